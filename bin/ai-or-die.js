@@ -2,6 +2,8 @@
 
 const { Command } = require('commander');
 const path = require('path');
+const fs = require('fs');
+const os = require('os');
 const crypto = require('crypto');
 
 // Lazy-load open — may not be available in SEA binary
@@ -46,6 +48,9 @@ program
   .option('--sticky-notes-model-dir <path>', 'custom directory for the sticky-note model file')
   .option('--sticky-notes-model <url>', 'override the sticky-note model GGUF download URL')
   .option('--sticky-notes-threads <number>', 'CPU threads for sticky-note inference (default: auto — three-quarters of the cores on CPU, gentle on GPU)')
+  .option('--record', 'record every terminal session as an asciicast v2 file for replay (off by default; also AIORDIE_RECORD=1)')
+  .option('--redact', 'redact secrets from saved session output and from replays sent to remote devices (off by default; also AIORDIE_REDACT=1; extra patterns in ~/.ai-or-die/redaction.json)')
+  .option('--workspace <name>', 'open the tabs of workspace profile ~/.ai-or-die/workspaces/<name>.json on start')
   .option('--no-keepalive', 'disable keeping the machine awake while the server runs (Windows only; on by default)')
   .option('--keepalive-display', 'also keep the display on (default keeps the system awake but lets the monitor sleep)')
   .option('--disable-hibernation', 'disable OS hibernation + set sleep/hibernate timeouts to Never via elevated powercfg (Windows only; off by default; prompts for UAC; needed to stop host-initiated hibernation on Hyper-V guests)');
@@ -98,9 +103,13 @@ async function main() {
 
     // Handle authentication logic
     // Tunnel mode disables auth — the tunnel controls access — even with --mesh.
-    // (--mesh alone keeps the Bearer token on; --tunnel always wins.)
+    // (--mesh alone keeps the Bearer token on; --tunnel always wins.) The
+    // exception is a users.json with named users: a team sharing the box over
+    // the tunnel still gets per-user tokens and roles.
+    const usersFile = path.join(process.env.AI_OR_DIE_SESSION_DIR || path.join(os.homedir(), '.ai-or-die'), 'users.json');
+    const hasUsersFile = fs.existsSync(usersFile);
     let authToken = null;
-    let noAuth = options.disableAuth === true || options.tunnel === true;
+    let noAuth = options.disableAuth === true || (options.tunnel === true && !hasUsersFile);
 
     if (!noAuth) {
       if (options.auth) {
@@ -140,6 +149,14 @@ async function main() {
       stickyNotesModelDir: options.stickyNotesModelDir || process.env.STICKY_NOTES_MODEL_DIR,
       stickyNotesModel: options.stickyNotesModel || process.env.STICKY_NOTES_MODEL,
       stickyNotesThreads: options.stickyNotesThreads || process.env.STICKY_NOTES_THREADS,
+      // Opt-in asciicast recording of every PTY (input + output with timing),
+      // replayable from the UI. Files land in ~/.ai-or-die/recordings/.
+      record: options.record === true || process.env.AIORDIE_RECORD === '1',
+      // Opt-in redaction of sessions.json buffers and remote join replays;
+      // user patterns come from ~/.ai-or-die/redaction.json.
+      redact: options.redact === true || process.env.AIORDIE_REDACT === '1',
+      // Workspace profile whose tabs are launched once the server is listening.
+      workspace: options.workspace,
       // Keep the host awake while the server runs (Windows only; on by default;
       // --no-keepalive / AIORDIE_DISABLE_KEEPALIVE=1 disables). System-awake by
       // default; --keepalive-display / AIORDIE_KEEPALIVE_DISPLAY=1 also holds
@@ -163,7 +180,7 @@ async function main() {
 
     // Display authentication status. --tunnel disables auth (tunnel controls
     // access) even with --mesh; --mesh alone keeps the Bearer token on.
-    if (options.tunnel) {
+    if (options.tunnel && noAuth) {
       console.log('\n🌍 TUNNEL MODE — authentication disabled (tunnel controls access)');
     } else if (noAuth) {
       console.log('\n⚠️  AUTHENTICATION DISABLED - Server is accessible without a token');
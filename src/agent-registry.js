@@ -0,0 +1,265 @@
+'use strict';
+
+// Which agent CLIs this server can start. The built-in bridges (claude, codex,
+// copilot, gemini, terminal) are registered by the server; any other CLI is a
+// plugin: one JSON manifest per agent under <storageDir>/agents/<id>.json.
+//
+//   {
+//     "id": "aider",
+//     "name": "Aider",
+//     "description": "AI pair programming in your terminal",
+//     "commandPaths": {
+//       "linux": ["aider", "{HOME}/.local/bin/aider"],
+//       "win32": ["aider", "{HOME}\\AppData\\Roaming\\Python\\Scripts\\aider"]
+//     },
+//     "args": ["--no-auto-commits"],
+//     "dangerousFlag": "--yes-always",
+//     "busyRegex": "Waiting for|Thinking",
+//     "icon": { "label": "Ai", "color": "#14b8a6" }
+//   }
+//
+// The server derives everything per-agent from here: the `start_<id>` WebSocket
+// message, the `/api/config` tool entry, the bridge used by the control plane
+// and workspaces, and the busy-footer regex session-status.js applies to that
+// agent's screen. Manifests are read once at startup; a manifest that fails
+// validation is skipped and reported, and never replaces a built-in.
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const ManifestBridge = require('./manifest-bridge');
+
+const MANIFEST_EXT = '.json';
+// Ids become message types (`start_<id>`, `<id>_started`) and CSS attribute
+// values, so keep them short and plain.
+const AGENT_ID_RE = /^[a-z][a-z0-9-]{1,31}$/;
+// Taken by client message families that are not tools (`session_started`, …).
+const RESERVED_IDS = new Set(['agent', 'session', 'vscode', 'tunnel', 'plugin']);
+const ICON_COLOR_RE = /^#(?:[0-9a-f]{3}|[0-9a-f]{6})$/i;
+const MAX_ARGS = 32;
+const MAX_PATHS = 16;
+const DEFAULT_TRUST_KEYS = '1\r';
+
+function manifestError(file, message) {
+  const err = new Error(`Agent manifest ${file}: ${message}`);
+  err.code = 'INVALID_AGENT_MANIFEST';
+  return err;
+}
+
+function stringList(value, field, max, invalid) {
+  if (value == null) return [];
+  if (!Array.isArray(value) || value.some((v) => typeof v !== 'string' || !v.trim())) {
+    throw invalid(`"${field}" must be an array of non-empty strings`);
+  }
+  if (value.length > max) throw invalid(`"${field}" allows at most ${max} entries`);
+  return value.slice();
+}
+
+function compileRegex(value, field, invalid) {
+  if (value == null || value === '') return null;
+  if (typeof value !== 'string') throw invalid(`"${field}" must be a regular expression string`);
+  try {
+    return new RegExp(value, 'i');
+  } catch (err) {
+    throw invalid(`"${field}" is not a valid regular expression: ${err.message}`);
+  }
+}
+
+/**
+ * Validate a parsed plugin manifest.
+ * @param {object} raw - Parsed JSON.
+ * @param {string} [file] - File name, for error messages.
+ * @returns {object} The normalized manifest.
+ * @throws {Error} code INVALID_AGENT_MANIFEST
+ */
+function normalizeManifest(raw, file = 'manifest') {
+  const invalid = (msg) => manifestError(file, msg);
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) throw invalid('expected a JSON object');
+  if (typeof raw.id !== 'string' || !AGENT_ID_RE.test(raw.id)) {
+    throw invalid('"id" must be 2-32 characters of a-z, 0-9 and "-", starting with a letter');
+  }
+  if (RESERVED_IDS.has(raw.id)) throw invalid(`"id" "${raw.id}" is reserved`);
+  if (typeof raw.name !== 'string' || !raw.name.trim() || raw.name.length > 40) {
+    throw invalid('"name" must be a non-empty string of at most 40 characters');
+  }
+  if (raw.description != null && typeof raw.description !== 'string') throw invalid('"description" must be a string');
+
+  const paths = raw.commandPaths || {};
+  if (typeof paths !== 'object' || Array.isArray(paths)) throw invalid('"commandPaths" must be an object with "linux" and/or "win32" arrays');
+  const commandPaths = {
+    linux: stringList(paths.linux, 'commandPaths.linux', MAX_PATHS, invalid),
+    win32: stringList(paths.win32, 'commandPaths.win32', MAX_PATHS, invalid),
+  };
+  const defaultCommand = raw.defaultCommand == null ? raw.id : raw.defaultCommand;
+  if (typeof defaultCommand !== 'string' || !defaultCommand.trim()) throw invalid('"defaultCommand" must be a non-empty string');
+  if (raw.dangerousFlag != null && (typeof raw.dangerousFlag !== 'string' || !raw.dangerousFlag.startsWith('-'))) {
+    throw invalid('"dangerousFlag" must be a command-line flag');
+  }
+
+  let trust = null;
+  if (raw.autoAcceptTrust === true) {
+    if (raw.trustKeys != null && (typeof raw.trustKeys !== 'string' || !raw.trustKeys)) {
+      throw invalid('"trustKeys" must be a non-empty string');
+    }
+    trust = {
+      regex: compileRegex(raw.trustPromptRegex, 'trustPromptRegex', invalid),
+      keys: raw.trustKeys == null ? DEFAULT_TRUST_KEYS : raw.trustKeys,
+    };
+  } else if (raw.autoAcceptTrust != null && raw.autoAcceptTrust !== false) {
+    throw invalid('"autoAcceptTrust" must be true or false');
+  }
+
+  const icon = raw.icon || {};
+  if (typeof icon !== 'object' || Array.isArray(icon)) throw invalid('"icon" must be an object');
+  if (icon.label != null && (typeof icon.label !== 'string' || !icon.label.trim() || icon.label.length > 3)) {
+    throw invalid('"icon.label" must be 1-3 characters');
+  }
+  if (icon.color != null && (typeof icon.color !== 'string' || !ICON_COLOR_RE.test(icon.color))) {
+    throw invalid('"icon.color" must be a hex color such as "#14b8a6"');
+  }
+
+  return {
+    id: raw.id,
+    name: raw.name.trim(),
+    description: (raw.description || '').trim().slice(0, 120),
+    commandPaths,
+    defaultCommand,
+    args: stringList(raw.args, 'args', MAX_ARGS, invalid),
+    dangerousFlag: raw.dangerousFlag || null,
+    trust,
+    busyRegex: compileRegex(raw.busyRegex, 'busyRegex', invalid),
+    icon: {
+      label: icon.label ? icon.label.trim() : raw.name.trim().charAt(0).toUpperCase(),
+      color: icon.color || null,
+    },
+  };
+}
+
+class AgentRegistry {
+  /**
+   * @param {object} [options]
+   * @param {string} [options.storageDir] - Base dir; plugins live in `<storageDir>/agents`.
+   * @param {function} [options.createBridge] - Manifest → bridge (tests); defaults to ManifestBridge.
+   */
+  constructor(options = {}) {
+    const storageDir = options.storageDir
+      || process.env.AI_OR_DIE_SESSION_DIR
+      || path.join(os.homedir(), '.ai-or-die');
+    this.dir = path.join(storageDir, 'agents');
+    this._createBridge = options.createBridge || ((manifest) => new ManifestBridge(manifest));
+    this._logger = options.logger || console;
+    this._agents = new Map();
+    this.errors = [];
+  }
+
+  /**
+   * Register a built-in agent.
+   * @param {string} id
+   * @param {object} bridge - A BaseBridge (or TerminalBridge) instance.
+   * @param {{hasDangerousMode?: boolean, busyRegex?: RegExp}} [info]
+   */
+  register(id, bridge, info = {}) {
+    this._agents.set(id, {
+      id,
+      bridge,
+      plugin: false,
+      hasDangerousMode: !!info.hasDangerousMode,
+      busyRegex: info.busyRegex || null,
+      manifest: null,
+    });
+  }
+
+  /**
+   * Read every manifest in the plugin directory. Synchronous: it runs once,
+   * from the server constructor, before any route can ask for a tool.
+   * @returns {{loaded: string[], errors: Array<{file: string, error: string}>}}
+   */
+  loadPlugins() {
+    const loaded = [];
+    this.errors = [];
+    let files;
+    try {
+      files = fs.readdirSync(this.dir);
+    } catch (err) {
+      if (err.code !== 'ENOENT') this._logger.warn(`[agents] cannot read ${this.dir}: ${err.message}`);
+      return { loaded, errors: this.errors };
+    }
+    for (const file of files.sort()) {
+      if (!file.endsWith(MANIFEST_EXT)) continue;
+      try {
+        let raw;
+        try {
+          raw = JSON.parse(fs.readFileSync(path.join(this.dir, file), 'utf8'));
+        } catch (err) {
+          throw manifestError(file, err.message);
+        }
+        const manifest = normalizeManifest(raw, file);
+        if (this._agents.has(manifest.id)) {
+          throw manifestError(file, `"id" "${manifest.id}" is already registered`);
+        }
+        this._agents.set(manifest.id, {
+          id: manifest.id,
+          bridge: this._createBridge(manifest),
+          plugin: true,
+          hasDangerousMode: !!manifest.dangerousFlag,
+          busyRegex: manifest.busyRegex,
+          manifest,
+        });
+        loaded.push(manifest.id);
+      } catch (err) {
+        this.errors.push({ file, error: err.message });
+        this._logger.warn(`[agents] ${err.message}`);
+      }
+    }
+    if (loaded.length) console.log(`[agents] loaded plugins: ${loaded.join(', ')}`);
+    return { loaded, errors: this.errors };
+  }
+
+  has(id) {
+    return this._agents.has(id);
+  }
+
+  ids() {
+    return Array.from(this._agents.keys());
+  }
+
+  get(id) {
+    return this._agents.get(id) || null;
+  }
+
+  bridgeFor(id) {
+    const entry = this._agents.get(id);
+    return entry ? entry.bridge : null;
+  }
+
+  bridges() {
+    return Array.from(this._agents.values(), (entry) => entry.bridge);
+  }
+
+  /** Entries loaded from manifests, in load order. */
+  plugins() {
+    return Array.from(this._agents.values()).filter((entry) => entry.plugin);
+  }
+
+  /**
+   * The agent a `start_<id>` WebSocket message starts, or null.
+   * @param {string} type
+   * @returns {string|null}
+   */
+  toolForStartMessage(type) {
+    if (typeof type !== 'string' || !type.startsWith('start_')) return null;
+    const id = type.slice('start_'.length);
+    return this._agents.has(id) ? id : null;
+  }
+
+  /** Busy-footer regex for an agent's screen, or null for the default. */
+  busyRegexFor(id) {
+    const entry = id ? this._agents.get(id) : null;
+    return entry ? entry.busyRegex : null;
+  }
+}
+
+module.exports = AgentRegistry;
+module.exports.AgentRegistry = AgentRegistry;
+module.exports.normalizeManifest = normalizeManifest;
+module.exports.AGENT_ID_RE = AGENT_ID_RE;
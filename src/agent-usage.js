@@ -0,0 +1,591 @@
+'use strict';
+
+// Token and cost accounting across every agent CLI, not just claude.
+// UsageReader keeps reading claude's ~/.claude/projects JSONL; the readers
+// here parse what the other CLIs leave on disk:
+//
+//   codex    ~/.codex/sessions/YYYY/MM/DD/rollout-*.jsonl
+//            `token_count` events carry running totals per session.
+//   gemini   the local telemetry outfile (settings.json
+//            `telemetry: { enabled: true, target: "local", outfile }`),
+//            `gemini_cli.api_response` log records. The file is a stream
+//            of pretty-printed JSON objects, not JSONL.
+//   copilot  ~/.copilot/session-state/*.jsonl
+//            events that carry a usage object.
+//
+// None of these formats is a documented interface, so every reader skips
+// what it does not recognise instead of failing. All readers produce the
+// same entry shape (normalizeEntry) and AgentUsage sums them by agent,
+// model and session for `get_usage` and GET /api/usage.
+
+const fs = require('fs');
+const fsp = fs.promises;
+const os = require('os');
+const path = require('path');
+const readline = require('readline');
+
+const AGENTS = ['claude', 'codex', 'gemini', 'copilot'];
+const CACHE_TTL_MS = 5000;
+const MAX_FILES_PER_READER = 2000;
+const MAX_RANGE_HOURS = 90 * 24;
+
+// USD per million tokens, first match wins. Copilot is billed per seat and
+// premium request, not per token, so its entries cost 0.
+const PRICING = {
+  codex: [
+    [/^gpt-5(\.\d+)?-codex-mini|^gpt-5(\.\d+)?-mini/, { input: 0.25, cached: 0.025, output: 2 }],
+    [/^gpt-5(\.\d+)?-nano/, { input: 0.05, cached: 0.005, output: 0.4 }],
+    [/^gpt-5/, { input: 1.25, cached: 0.125, output: 10 }],
+    [/^codex-mini/, { input: 1.5, cached: 0.375, output: 6 }],
+    [/^o4-mini/, { input: 1.1, cached: 0.275, output: 4.4 }],
+    [/^o3/, { input: 2, cached: 0.5, output: 8 }],
+    [/^gpt-4\.1-mini/, { input: 0.4, cached: 0.1, output: 1.6 }],
+    [/^gpt-4\.1/, { input: 2, cached: 0.5, output: 8 }],
+  ],
+  gemini: [
+    [/flash-lite/, { input: 0.1, cached: 0.025, output: 0.4 }],
+    [/flash/, { input: 0.3, cached: 0.075, output: 2.5 }],
+    [/pro/, { input: 1.25, cached: 0.31, output: 10 }],
+  ],
+};
+
+function priceFor(agent, model) {
+  const table = PRICING[agent] || [];
+  const hit = table.find(([re]) => re.test(String(model || '').toLowerCase()));
+  return hit ? hit[1] : null;
+}
+
+function tokenCount(value) {
+  const n = Number(value);
+  return Number.isFinite(n) && n > 0 ? Math.round(n) : 0;
+}
+
+/**
+ * Bring one usage record into the shared entry shape. `inputTokens` never
+ * includes cache reads (codex and gemini report them inside the input count;
+ * the readers subtract them first). A missing `totalCost` is priced from
+ * PRICING, or 0 when the model is unknown.
+ * @param {string} agent
+ * @param {object} raw
+ * @returns {{agent: string, timestamp: string, sessionId: (string|null), model: string,
+ *   workingDir: (string|null), inputTokens: number, outputTokens: number,
+ *   cacheCreationTokens: number, cacheReadTokens: number, totalCost: number}}
+ */
+function normalizeEntry(agent, raw) {
+  const entry = {
+    agent,
+    timestamp: new Date(raw.timestamp).toISOString(),
+    sessionId: raw.sessionId || null,
+    model: raw.model || 'unknown',
+    workingDir: raw.workingDir || null,
+    inputTokens: tokenCount(raw.inputTokens),
+    outputTokens: tokenCount(raw.outputTokens),
+    cacheCreationTokens: tokenCount(raw.cacheCreationTokens),
+    cacheReadTokens: tokenCount(raw.cacheReadTokens),
+    totalCost: 0,
+  };
+  if (Number.isFinite(raw.totalCost) && raw.totalCost >= 0) {
+    entry.totalCost = raw.totalCost;
+  } else {
+    const price = priceFor(agent, entry.model);
+    if (price) {
+      entry.totalCost = ((entry.inputTokens + entry.cacheCreationTokens) * price.input
+        + entry.cacheReadTokens * price.cached
+        + entry.outputTokens * price.output) / 1e6;
+    }
+  }
+  return entry;
+}
+
+function validTime(ts) {
+  const t = new Date(ts).getTime();
+  return Number.isFinite(t) ? t : null;
+}
+
+// Files under `dir` (recursively) accepted by `filter` and modified at or
+// after `since` — older files cannot hold entries in the window.
+async function listFiles(dir, filter, since) {
+  const out = [];
+  const walk = async (d, depth) => {
+    let items;
+    try {
+      items = await fsp.readdir(d, { withFileTypes: true });
+    } catch (_) {
+      return;
+    }
+    for (const item of items) {
+      if (out.length >= MAX_FILES_PER_READER) return;
+      const full = path.join(d, item.name);
+      if (item.isDirectory()) {
+        if (depth < 4) await walk(full, depth + 1);
+      } else if (filter(item.name)) {
+        try {
+          if ((await fsp.stat(full)).mtimeMs >= since) out.push(full);
+        } catch (_) { /* deleted meanwhile */ }
+      }
+    }
+  };
+  await walk(dir, 0);
+  return out;
+}
+
+async function forEachJsonLine(file, onRecord) {
+  const rl = readline.createInterface({ input: fs.createReadStream(file), crlfDelay: Infinity });
+  try {
+    for await (const line of rl) {
+      if (!line.trim()) continue;
+      let record;
+      try {
+        record = JSON.parse(line);
+      } catch (_) {
+        continue;
+      }
+      onRecord(record);
+    }
+  } catch (_) {
+    // Unreadable file: keep what was parsed.
+  }
+}
+
+/**
+ * Incremental splitter for a stream of concatenated top-level JSON objects
+ * (pretty-printed or one per line). Yields each object's source text.
+ */
+class JsonObjectSplitter {
+  constructor() {
+    this._buf = '';
+    this._depth = 0;
+    this._inString = false;
+    this._escaped = false;
+    this._start = -1;
+  }
+
+  push(chunk) {
+    const out = [];
+    const base = this._buf.length;
+    this._buf += chunk;
+    for (let i = base; i < this._buf.length; i++) {
+      const c = this._buf[i];
+      if (this._inString) {
+        if (this._escaped) this._escaped = false;
+        else if (c === '\\') this._escaped = true;
+        else if (c === '"') this._inString = false;
+      } else if (c === '"') {
+        if (this._depth > 0) this._inString = true;
+      } else if (c === '{') {
+        if (this._depth === 0) this._start = i;
+        this._depth++;
+      } else if (c === '}' && this._depth > 0) {
+        this._depth--;
+        if (this._depth === 0) {
+          out.push(this._buf.slice(this._start, i + 1));
+          this._start = -1;
+        }
+      }
+    }
+    // Keep only the unfinished object.
+    if (this._depth === 0) {
+      this._buf = '';
+    } else if (this._start > 0) {
+      this._buf = this._buf.slice(this._start);
+      this._start = 0;
+    }
+    return out;
+  }
+}
+
+class CodexUsageReader {
+  /**
+   * @param {object} [options]
+   * @param {string} [options.sessionsPath] - Defaults to $CODEX_HOME/sessions or ~/.codex/sessions.
+   */
+  constructor(options = {}) {
+    this.sessionsPath = options.sessionsPath
+      || path.join(process.env.CODEX_HOME || path.join(os.homedir(), '.codex'), 'sessions');
+  }
+
+  async readEntries(since, until) {
+    const files = await listFiles(this.sessionsPath, (name) => name.endsWith('.jsonl'), since);
+    const entries = [];
+    for (const file of files) entries.push(...await this.readFile(file, since, until));
+    return entries;
+  }
+
+  // token_count events repeat the running total (sometimes twice for one
+  // turn), so each entry is the difference from the previous total.
+  async readFile(file, since, until) {
+    const entries = [];
+    const match = path.basename(file).match(/([0-9a-f]{8}-[0-9a-f-]{27})\.jsonl$/i);
+    let sessionId = match ? match[1] : path.basename(file, '.jsonl');
+    let model = null;
+    let workingDir = null;
+    let previous = null;
+    await forEachJsonLine(file, (record) => {
+      const payload = record && record.payload;
+      if (!payload || typeof payload !== 'object') return;
+      if (record.type === 'session_meta') {
+        sessionId = payload.id || sessionId;
+        workingDir = payload.cwd || workingDir;
+      } else if (record.type === 'turn_context') {
+        model = payload.model || model;
+        workingDir = payload.cwd || workingDir;
+      } else if (record.type === 'event_msg' && payload.type === 'token_count' && payload.info) {
+        const total = payload.info.total_token_usage;
+        let usage = payload.info.last_token_usage;
+        if (total) {
+          const prev = previous || {};
+          usage = {};
+          for (const key of ['input_tokens', 'cached_input_tokens', 'output_tokens']) {
+            usage[key] = tokenCount(total[key]) - tokenCount(prev[key]);
+          }
+          previous = total;
+        }
+        if (!usage || !(usage.input_tokens > 0 || usage.output_tokens > 0)) return;
+        const t = validTime(record.timestamp);
+        if (t === null || t < since || t > until) return;
+        const cached = tokenCount(usage.cached_input_tokens);
+        entries.push(normalizeEntry('codex', {
+          timestamp: record.timestamp,
+          sessionId,
+          model,
+          workingDir,
+          inputTokens: tokenCount(usage.input_tokens) - cached,
+          outputTokens: usage.output_tokens,
+          cacheReadTokens: cached,
+        }));
+      }
+    });
+    return entries;
+  }
+}
+
+class GeminiUsageReader {
+  /**
+   * @param {object} [options]
+   * @param {string[]} [options.telemetryPaths] - Telemetry outfiles; defaults
+   *   to $GEMINI_TELEMETRY_OUTFILE and ~/.gemini/telemetry.log.
+   */
+  constructor(options = {}) {
+    this.telemetryPaths = options.telemetryPaths || [
+      process.env.GEMINI_TELEMETRY_OUTFILE,
+      path.join(os.homedir(), '.gemini', 'telemetry.log'),
+    ].filter(Boolean);
+  }
+
+  async readEntries(since, until) {
+    const entries = [];
+    for (const file of new Set(this.telemetryPaths)) {
+      let stat;
+      try {
+        stat = await fsp.stat(file);
+      } catch (_) {
+        continue;
+      }
+      if (stat.mtimeMs < since) continue;
+      entries.push(...await this.readFile(file, since, until));
+    }
+    return entries;
+  }
+
+  async readFile(file, since, until) {
+    const entries = [];
+    const splitter = new JsonObjectSplitter();
+    const onObject = (text) => {
+      let record;
+      try {
+        record = JSON.parse(text);
+      } catch (_) {
+        return;
+      }
+      const attrs = record && record.attributes;
+      if (!attrs || attrs['event.name'] !== 'gemini_cli.api_response') return;
+      let timestamp = attrs['event.timestamp'];
+      if (!timestamp && Array.isArray(record.hrTime)) timestamp = record.hrTime[0] * 1000 + Math.floor(record.hrTime[1] / 1e6);
+      const t = validTime(timestamp);
+      if (t === null || t < since || t > until) return;
+      const cached = tokenCount(attrs.cached_content_token_count);
+      entries.push(normalizeEntry('gemini', {
+        timestamp: t,
+        sessionId: attrs['session.id'],
+        model: attrs.model,
+        inputTokens: tokenCount(attrs.input_token_count) - cached,
+        // Thinking tokens are billed as output.
+        outputTokens: tokenCount(attrs.output_token_count) + tokenCount(attrs.thoughts_token_count),
+        cacheReadTokens: cached,
+      }));
+    };
+    try {
+      for await (const chunk of fs.createReadStream(file, { encoding: 'utf8' })) {
+        splitter.push(chunk).forEach(onObject);
+      }
+    } catch (_) {
+      // Unreadable file: keep what was parsed.
+    }
+    return entries;
+  }
+}
+
+class CopilotUsageReader {
+  /**
+   * @param {object} [options]
+   * @param {string} [options.sessionStatePath] - Defaults to ~/.copilot/session-state.
+   */
+  constructor(options = {}) {
+    this.sessionStatePath = options.sessionStatePath
+      || path.join(process.env.COPILOT_HOME || path.join(os.homedir(), '.copilot'), 'session-state');
+  }
+
+  async readEntries(since, until) {
+    const files = await listFiles(this.sessionStatePath, (name) => name.endsWith('.jsonl'), since);
+    const entries = [];
+    for (const file of files) entries.push(...await this.readFile(file, since, until));
+    return entries;
+  }
+
+  // Accepts the CLI's camelCase usage events as well as OpenAI-style
+  // `usage` objects, wherever in the event they appear.
+  async readFile(file, since, until) {
+    const entries = [];
+    let sessionId = path.basename(file, '.jsonl');
+    let model = null;
+    let workingDir = null;
+    await forEachJsonLine(file, (record) => {
+      if (!record || typeof record !== 'object') return;
+      const data = record.data && typeof record.data === 'object' ? record.data : record;
+      if (data.sessionId) sessionId = data.sessionId;
+      if (data.cwd) workingDir = data.cwd;
+      if (typeof data.model === 'string' || typeof data.selectedModel === 'string') model = data.model || data.selectedModel;
+      const usage = data.usage || (/usage$/i.test(record.type || '') ? data : null);
+      if (!usage || typeof usage !== 'object') return;
+      const input = usage.inputTokens !== undefined ? usage.inputTokens : usage.prompt_tokens;
+      const output = usage.outputTokens !== undefined ? usage.outputTokens : usage.completion_tokens;
+      if (input === undefined && output === undefined) return;
+      const t = validTime(record.timestamp || data.timestamp);
+      if (t === null || t < since || t > until) return;
+      const details = usage.prompt_tokens_details || {};
+      const cacheRead = tokenCount(usage.cacheReadTokens !== undefined ? usage.cacheReadTokens : details.cached_tokens);
+      entries.push(normalizeEntry('copilot', {
+        timestamp: t,
+        sessionId,
+        model: usage.model || model,
+        workingDir,
+        // OpenAI-style prompt_tokens include the cached part.
+        inputTokens: tokenCount(input) - (usage.inputTokens !== undefined ? 0 : cacheRead),
+        outputTokens: output,
+        cacheCreationTokens: usage.cacheWriteTokens,
+        cacheReadTokens: cacheRead,
+        totalCost: 0,
+      }));
+    });
+    return entries;
+  }
+}
+
+// Claude through the existing UsageReader (same parsing, pricing and
+// per-file dedupe as the usage widget).
+class ClaudeUsageSource {
+  constructor(usageReader) {
+    this.usageReader = usageReader;
+  }
+
+  async readEntries(since, until) {
+    const cutoff = new Date(since);
+    // Files untouched for a day cannot hold entries from the last day.
+    const recent = Date.now() - since <= 24 * 60 * 60 * 1000;
+    const raw = recent
+      ? await this.usageReader.readRecentEntries(cutoff)
+      : await this.usageReader.readAllEntries(cutoff);
+    return raw
+      .filter((e) => {
+        const t = validTime(e.timestamp);
+        return t !== null && t <= until;
+      })
+      .map((e) => normalizeEntry('claude', e));
+  }
+}
+
+function emptyTotals() {
+  return {
+    requests: 0,
+    inputTokens: 0,
+    outputTokens: 0,
+    cacheCreationTokens: 0,
+    cacheReadTokens: 0,
+    totalTokens: 0,
+    totalCost: 0,
+  };
+}
+
+function addTo(totals, entry) {
+  totals.requests++;
+  totals.inputTokens += entry.inputTokens;
+  totals.outputTokens += entry.outputTokens;
+  totals.cacheCreationTokens += entry.cacheCreationTokens;
+  totals.cacheReadTokens += entry.cacheReadTokens;
+  // Same convention as UsageReader: cache tokens are not in totalTokens.
+  totals.totalTokens += entry.inputTokens + entry.outputTokens;
+  totals.totalCost += entry.totalCost;
+}
+
+/**
+ * Sum entries overall and by agent, model and session.
+ * @param {object[]} entries - normalizeEntry() results.
+ * @returns {{totals: object, byAgent: object, byModel: object[], bySession: object[]}}
+ *   byModel and bySession are sorted by cost, then tokens, descending.
+ */
+function summarize(entries) {
+  const totals = emptyTotals();
+  const byAgent = {};
+  const models = new Map();
+  const sessions = new Map();
+  for (const entry of entries) {
+    addTo(totals, entry);
+    addTo(byAgent[entry.agent] || (byAgent[entry.agent] = emptyTotals()), entry);
+
+    const modelKey = `${entry.agent}\0${entry.model}`;
+    if (!models.has(modelKey)) models.set(modelKey, { agent: entry.agent, model: entry.model, ...emptyTotals() });
+    addTo(models.get(modelKey), entry);
+
+    const sessionKey = `${entry.agent}\0${entry.sessionId}`;
+    let session = sessions.get(sessionKey);
+    if (!session) {
+      session = {
+        agent: entry.agent,
+        sessionId: entry.sessionId,
+        workingDir: entry.workingDir,
+        models: [],
+        firstEntry: entry.timestamp,
+        lastEntry: entry.timestamp,
+        ...emptyTotals(),
+      };
+      sessions.set(sessionKey, session);
+    }
+    addTo(session, entry);
+    if (!session.models.includes(entry.model)) session.models.push(entry.model);
+    if (entry.timestamp < session.firstEntry) session.firstEntry = entry.timestamp;
+    if (entry.timestamp > session.lastEntry) session.lastEntry = entry.timestamp;
+    if (!session.workingDir) session.workingDir = entry.workingDir;
+  }
+  const byCost = (a, b) => (b.totalCost - a.totalCost) || (b.totalTokens - a.totalTokens);
+  return {
+    totals,
+    byAgent,
+    byModel: Array.from(models.values()).sort(byCost),
+    bySession: Array.from(sessions.values()).sort(byCost),
+  };
+}
+
+function parseTime(value) {
+  if (value == null || value === '') return null;
+  const ms = /^\d+$/.test(String(value)) ? Number(value) : Date.parse(value);
+  return Number.isFinite(ms) ? ms : null;
+}
+
+/**
+ * Read a usage time range from query parameters: `since` / `until` (ISO or
+ * epoch ms) or `hours` back from now (default 24, at most 90 days), plus an
+ * optional comma-separated `agent` list.
+ * @param {object} query
+ * @returns {{since: number, until: (number|undefined), agents: (string[]|undefined)}}
+ * @throws {Error} code INVALID_ARGUMENT
+ */
+function parseUsageQuery(query = {}) {
+  const invalid = (message) => Object.assign(new Error(message), { code: 'INVALID_ARGUMENT' });
+  const now = Date.now();
+  let until;
+  if (query.until !== undefined) {
+    until = parseTime(query.until);
+    if (until === null) throw invalid('"until" must be an ISO date or epoch milliseconds');
+  }
+  let since;
+  if (query.since !== undefined) {
+    since = parseTime(query.since);
+    if (since === null) throw invalid('"since" must be an ISO date or epoch milliseconds');
+  } else {
+    const hours = query.hours === undefined ? 24 : Number(query.hours);
+    if (!Number.isFinite(hours) || hours <= 0 || hours > MAX_RANGE_HOURS) {
+      throw invalid(`"hours" must be between 0 and ${MAX_RANGE_HOURS}`);
+    }
+    since = (until === undefined ? now : until) - hours * 60 * 60 * 1000;
+  }
+  if (until !== undefined && until < since) throw invalid('"until" is before "since"');
+  let agents;
+  if (query.agent !== undefined && query.agent !== '') {
+    agents = String(query.agent).split(',').map((a) => a.trim()).filter(Boolean);
+    const unknown = agents.find((a) => !AGENTS.includes(a));
+    if (unknown) throw invalid(`Unknown agent "${unknown}"; expected ${AGENTS.join(', ')}`);
+  }
+  return { since, until, agents };
+}
+
+class AgentUsage {
+  /**
+   * @param {object} [options]
+   * @param {object} [options.usageReader] - The server's UsageReader (claude).
+   * @param {object} [options.readers] - Agent id → reader with
+   *   `readEntries(sinceMs, untilMs)`; replaces the defaults (tests).
+   */
+  constructor(options = {}) {
+    this.readers = options.readers || {
+      ...(options.usageReader ? { claude: new ClaudeUsageSource(options.usageReader) } : {}),
+      codex: new CodexUsageReader(options.codex),
+      gemini: new GeminiUsageReader(options.gemini),
+      copilot: new CopilotUsageReader(options.copilot),
+    };
+    this._cache = null;
+  }
+
+  /**
+   * Entries from every reader (or just `agents`) in [since, until], oldest
+   * first. A reader that throws contributes nothing.
+   * @param {{since: number, until?: number, agents?: string[]}} range - epoch ms.
+   * @returns {Promise<object[]>}
+   */
+  async getEntries({ since, until = Date.now(), agents } = {}) {
+    const ids = Object.keys(this.readers).filter((id) => !agents || agents.includes(id));
+    const lists = await Promise.all(ids.map((id) => this.readers[id].readEntries(since, until).catch((err) => {
+      console.warn(`[usage] ${id} usage unavailable: ${err.message}`);
+      return [];
+    })));
+    return lists.flat().sort((a, b) => (a.timestamp < b.timestamp ? -1 : a.timestamp > b.timestamp ? 1 : 0));
+  }
+
+  /**
+   * Totals for a time range, broken down by agent, model and session.
+   * Repeated identical queries within 5 s share one read (the usage widget
+   * polls every few seconds).
+   * @param {{since: number, until?: number, agents?: string[]}} range - epoch ms.
+   */
+  async getUsage({ since, until, agents } = {}) {
+    // Open-ended ranges are keyed by the second so the poll hits the cache.
+    const key = JSON.stringify([Math.floor(since / 1000), until === undefined ? null : until, agents || null]);
+    if (this._cache && this._cache.key === key && Date.now() - this._cache.at < CACHE_TTL_MS) {
+      return this._cache.value;
+    }
+    const end = until === undefined ? Date.now() : until;
+    const entries = await this.getEntries({ since, until: end, agents });
+    const value = {
+      since: new Date(since).toISOString(),
+      until: new Date(end).toISOString(),
+      agents: Object.keys(this.readers).filter((id) => !agents || agents.includes(id)),
+      ...summarize(entries),
+    };
+    this._cache = { key, at: Date.now(), value };
+    return value;
+  }
+}
+
+module.exports = AgentUsage;
+module.exports.AgentUsage = AgentUsage;
+module.exports.AGENTS = AGENTS;
+module.exports.ClaudeUsageSource = ClaudeUsageSource;
+module.exports.CodexUsageReader = CodexUsageReader;
+module.exports.CopilotUsageReader = CopilotUsageReader;
+module.exports.GeminiUsageReader = GeminiUsageReader;
+module.exports.JsonObjectSplitter = JsonObjectSplitter;
+module.exports.addTo = addTo;
+module.exports.emptyTotals = emptyTotals;
+module.exports.normalizeEntry = normalizeEntry;
+module.exports.parseTime = parseTime;
+module.exports.parseUsageQuery = parseUsageQuery;
+module.exports.summarize = summarize;
@@ -5,6 +5,7 @@ const fs = require('fs');
 const os = require('os');
 const jobGuard = require('./job-guard');
 const { killProcessTreeSync } = require('./utils/process-tree');
+const { registerSecretValues } = require('./utils/secret-redact');
 
 /** Chunk size for PTY writes — safely below ConPTY ~16KB kernel buffer */
 const PTY_WRITE_CHUNK_SIZE = 4096;
@@ -59,6 +60,11 @@ class BaseBridge {
       this.command = this.defaultCommand;
       this._commandReady = this.initCommand();
     }
+
+    // Optional SessionRecorder (src/utils/session-recorder.js), attached by the
+    // server when --record is on. Every PTY this bridge owns is recorded through
+    // the _record* helpers below, which never let a recorder fault reach the PTY.
+    this.recorder = null;
   }
 
   /**
@@ -282,7 +288,11 @@ class BaseBridge {
       onError = () => {},
       cols = 80,
       rows = 24,
-      extraEnv = null
+      extraEnv = null,
+      // Vault secrets ({ NAME: value }, resolved by the server). Set last so
+      // nothing else can shadow them, and registered for redaction before the
+      // PTY can print one.
+      secrets = null
     } = options;
 
     try {
@@ -293,6 +303,12 @@ class BaseBridge {
       if (dangerouslySkipPermissions && this.dangerousFlag) {
         console.log(`WARNING: Using ${this.dangerousFlag} flag`);
       }
+      const secretEnv = (secrets && typeof secrets === 'object') ? secrets : {};
+      const secretNames = Object.keys(secretEnv);
+      if (secretNames.length) {
+        registerSecretValues(Object.values(secretEnv));
+        console.log(`Injecting secrets: ${secretNames.join(', ')}`);
+      }
 
       // F10: forward permissionMode/agentArgs so tool-specific buildArgs (claude)
       // can emit --permission-mode + caller passthrough flags. Subclasses that
@@ -304,7 +320,8 @@ class BaseBridge {
         TERM: 'xterm-256color',
         FORCE_COLOR: '1',
         COLORTERM: 'truecolor',
-        ...((extraEnv && typeof extraEnv === 'object') ? extraEnv : {})
+        ...((extraEnv && typeof extraEnv === 'object') ? extraEnv : {}),
+        ...secretEnv
       };
 
       const ptyProcess = spawn(this.command, args, {
@@ -339,6 +356,14 @@ class BaseBridge {
       };
 
       this.sessions.set(sessionId, session);
+      this._record('start', sessionId, {
+        cols,
+        rows,
+        title: options.title,
+        agent: this.toolName,
+        command: [this.command, ...args].join(' '),
+        workingDir,
+      });
 
       // Windows: enclose the PTY in its own kill-on-close Job Object now, before the CLI
       // boots, so the CLI's future node/bun MCP grandchildren auto-join and can be reaped
@@ -360,6 +385,7 @@ class BaseBridge {
           console.error(`${this.toolName} session ${sessionId}: no response within ${SPAWN_TIMEOUT_MS}ms, treating as spawn failure`);
           session.active = false;
           this.sessions.delete(sessionId);
+          this._record('stop', sessionId);
           // Dispose any listener handles we wired up before the timeout fired;
           // otherwise the PTY object (and its FDs) cannot be GC'd even after
           // the kill() below succeeds.
@@ -387,6 +413,7 @@ class BaseBridge {
           clearTimeout(spawnWatchdog);
         }
         session.lastOutputAt = Date.now();
+        this._record('output', sessionId, data);
 
         if (process.env.DEBUG) {
           console.log(`${this.toolName} session ${sessionId} output:`, data);
@@ -438,6 +465,7 @@ class BaseBridge {
           session.active = false;
           this.sessions.delete(sessionId);
         }
+        this._record('stop', sessionId);
         onExit(exitCode, signal);
       });
       this._addPtyDisposable(session, onExitDisposable);
@@ -500,6 +528,7 @@ class BaseBridge {
           session.active = false;
           this.sessions.delete(sessionId);
         }
+        this._record('stop', sessionId);
         onError(error);
       };
       ptyProcess.on('error', errorHandler);
@@ -554,6 +583,7 @@ class BaseBridge {
       throw new Error(`Session ${sessionId} not found or not active`);
     }
 
+    this._record('input', sessionId, data);
     session.writeQueue = session.writeQueue.then(() =>
       this._writeChunked(session, data)
     ).catch((err) => {
@@ -620,6 +650,23 @@ class BaseBridge {
       wrapped.cause = error;
       throw wrapped;
     }
+    this._record('resize', sessionId, cols, rows);
+  }
+
+  /**
+   * Forward a PTY event to the attached recorder, if any. Recording is an
+   * observer: a recorder fault is logged and swallowed, never surfaced to the
+   * spawn/input/resize path that triggered it.
+   * @private
+   * @param {'start'|'output'|'input'|'resize'|'stop'} method
+   */
+  _record(method, ...args) {
+    if (!this.recorder) return;
+    try {
+      this.recorder[method](...args);
+    } catch (err) {
+      console.warn(`${this.toolName} recorder ${method} failed: ${err && err.message}`);
+    }
   }
 
   /**
@@ -715,6 +762,7 @@ class BaseBridge {
     // Mark inactive and remove from map immediately so onExit guard skips
     session.active = false;
     this.sessions.delete(sessionId);
+    this._record('stop', sessionId);
 
     if (session.killTimeout) {
       clearTimeout(session.killTimeout);
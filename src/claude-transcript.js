@@ -0,0 +1,232 @@
+'use strict';
+
+// Structured entries from a Claude Code session JSONL transcript, for the
+// conversation view (src/public/transcript-view.js).
+//
+// sticky-note-jsonl.js reads the same file but flattens it to short prose for a
+// small summariser. The conversation view needs the structure instead: each
+// user prompt, each assistant text block, each tool call with its input and
+// each tool result, plus the per-message token usage. Binding a tab to its file
+// is unchanged — the server hands us `_stickyJsonl.get(sessionId).file`.
+//
+// Claude writes one line per content block, so an assistant message with a
+// reply and two tool calls arrives as three lines sharing `message.id`, each
+// repeating the usage seen so far. We emit them as they come; the client
+// groups by message id and keeps the last usage.
+
+const fsp = require('fs').promises;
+const { stripInjected, readRange } = require('./sticky-note-jsonl');
+
+const READ_MAX_BYTES = 4 * 1024 * 1024; // one response never carries more
+const TEXT_MAX = 20000; // prompt / reply text
+const RESULT_MAX = 8000; // tool result text
+const INPUT_MAX = 2000; // each string in a tool's input
+const EDIT_MAX = 200000; // old/new strings of a file edit, for the diff view
+
+// Tools whose call edits one file, and the input field naming it.
+const EDIT_TOOLS = {
+  Edit: 'file_path',
+  MultiEdit: 'file_path',
+  Write: 'file_path',
+  NotebookEdit: 'notebook_path',
+};
+
+function clip(s, max) {
+  if (typeof s !== 'string') return '';
+  return s.length > max ? s.slice(0, max) + '\n…' : s;
+}
+
+/** Copy a tool input with every string cut to `max` (objects and arrays kept). */
+function clipInput(value, max, depth = 0) {
+  if (typeof value === 'string') return clip(value, max);
+  if (depth > 6 || value === null || typeof value !== 'object') return value;
+  if (Array.isArray(value)) return value.map((v) => clipInput(v, max, depth + 1));
+  const out = {};
+  for (const [k, v] of Object.entries(value)) out[k] = clipInput(v, max, depth + 1);
+  return out;
+}
+
+/** Text of a message or tool_result `content` (string or blocks); images become a marker. */
+function blockText(content) {
+  if (typeof content === 'string') return content;
+  if (!Array.isArray(content)) return '';
+  const parts = [];
+  for (const b of content) {
+    if (!b) continue;
+    if (b.type === 'text' && typeof b.text === 'string') parts.push(b.text);
+    else if (b.type === 'image') parts.push('[image]');
+  }
+  return parts.join('\n');
+}
+
+/** `toolUseResult.structuredPatch` → `[{ header, lines }]`, or null. */
+function patchHunks(result) {
+  const patch = result && Array.isArray(result.structuredPatch) ? result.structuredPatch : null;
+  if (!patch || !patch.length) return null;
+  return patch
+    .filter((h) => h && Array.isArray(h.lines))
+    .map((h) => ({
+      header: `@@ -${h.oldStart},${h.oldLines} +${h.newStart},${h.newLines} @@`,
+      lines: h.lines.slice(0, 2000).map((l) => clip(String(l), INPUT_MAX)),
+    }));
+}
+
+function usageOf(message) {
+  const u = message && message.usage;
+  if (!u || typeof u !== 'object') return null;
+  const n = (v) => (Number.isFinite(v) ? v : 0);
+  return {
+    input: n(u.input_tokens),
+    output: n(u.output_tokens),
+    cacheRead: n(u.cache_read_input_tokens),
+    cacheCreation: n(u.cache_creation_input_tokens),
+  };
+}
+
+/**
+ * The view entries for one parsed transcript line. Sidechain (subagent) lines,
+ * meta lines and compaction summaries give none.
+ *
+ * @param {object} obj
+ * @returns {Array<object>} `user`, `tool_result` and `assistant` entries
+ */
+function entriesFromRecord(obj) {
+  if (!obj || obj.isSidechain || obj.isMeta || obj.isCompactSummary) return [];
+  const message = obj.message;
+  if (!message) return [];
+  const at = obj.timestamp || null;
+
+  if (obj.type === 'user') {
+    const content = message.content;
+    const out = [];
+    if (Array.isArray(content)) {
+      for (const b of content) {
+        if (!b || b.type !== 'tool_result') continue;
+        const result = obj.toolUseResult && typeof obj.toolUseResult === 'object' ? obj.toolUseResult : null;
+        const entry = {
+          kind: 'tool_result',
+          at,
+          toolUseId: b.tool_use_id || null,
+          isError: !!b.is_error,
+          text: clip(blockText(b.content), RESULT_MAX),
+          patch: patchHunks(result),
+        };
+        // Write's result carries the file as it was, so the diff view can
+        // show the whole replacement; null when the file was new.
+        if (result && (result.type === 'create' || result.type === 'update')) {
+          entry.original = typeof result.originalFile === 'string' && result.originalFile.length <= EDIT_MAX
+            ? result.originalFile
+            : null;
+        }
+        out.push(entry);
+      }
+    }
+    const text = stripInjected(blockText(Array.isArray(content)
+      ? content.filter((b) => b && b.type !== 'tool_result')
+      : content));
+    if (text) out.unshift({ kind: 'user', id: obj.uuid || null, at, text: clip(text, TEXT_MAX) });
+    return out;
+  }
+
+  if (obj.type === 'assistant') {
+    const blocks = [];
+    for (const b of Array.isArray(message.content) ? message.content : []) {
+      if (!b) continue;
+      if (b.type === 'text' && typeof b.text === 'string' && b.text.trim()) {
+        blocks.push({ type: 'text', text: clip(b.text, TEXT_MAX) });
+      } else if (b.type === 'tool_use') {
+        const fileKey = EDIT_TOOLS[b.name];
+        const file = fileKey && b.input && typeof b.input[fileKey] === 'string' ? b.input[fileKey] : null;
+        blocks.push({
+          type: 'tool_use',
+          id: b.id || null,
+          name: String(b.name || ''),
+          input: clipInput(b.input, file ? EDIT_MAX : INPUT_MAX),
+          file,
+        });
+      }
+    }
+    const usage = usageOf(message);
+    if (!blocks.length && !usage) return [];
+    return [{
+      kind: 'assistant',
+      id: obj.uuid || null,
+      at,
+      messageId: message.id || null,
+      model: message.model || null,
+      blocks,
+      usage,
+    }];
+  }
+  return [];
+}
+
+/**
+ * Read entries from `offset` on. Only whole lines are consumed; `offset` in the
+ * result is where the next read starts.
+ *
+ * - An `offset` past the end (file replaced or rewritten) starts over and sets
+ *   `reset`.
+ * - Reading from 0 a file larger than `maxBytes` starts at the newest window
+ *   and sets `truncated`.
+ * - Otherwise at most `maxBytes` are read and `more` says whether to call again.
+ *
+ * @param {string} file
+ * @param {{ offset?: number, maxBytes?: number }} [opts]
+ * @returns {Promise<{entries, offset, size, truncated, reset, more}|null>} null when the file is gone
+ */
+async function readTranscript(file, opts = {}) {
+  const maxBytes = opts.maxBytes || READ_MAX_BYTES;
+  let st;
+  try {
+    st = await fsp.stat(file);
+  } catch {
+    return null;
+  }
+  let start = Math.max(0, Number(opts.offset) || 0);
+  let reset = false;
+  if (start > st.size) {
+    start = 0;
+    reset = true;
+  }
+  let truncated = false;
+  if (start === 0 && st.size > maxBytes) {
+    start = st.size - maxBytes;
+    truncated = true;
+  }
+  const end = Math.min(st.size, start + maxBytes);
+  const result = { entries: [], offset: start, size: st.size, truncated, reset, more: false };
+  if (end <= start) return result;
+
+  const buf = await readRange(file, start, end);
+  let from = 0;
+  if (truncated) from = buf.indexOf(0x0a) + 1; // drop the partial first line
+  const lastNl = buf.lastIndexOf(0x0a);
+  if (lastNl < from) {
+    // No complete line yet — or one line larger than the whole window, which
+    // we step over rather than stall on.
+    if (end - start >= maxBytes) result.offset = end;
+    result.more = result.offset < st.size;
+    return result;
+  }
+  for (const line of buf.slice(from, lastNl + 1).toString('utf8').split('\n')) {
+    if (!line.trim()) continue;
+    let obj;
+    try {
+      obj = JSON.parse(line);
+    } catch {
+      continue; // tail of a skipped oversized line, or noise
+    }
+    result.entries.push(...entriesFromRecord(obj));
+  }
+  result.offset = start + lastNl + 1;
+  result.more = result.offset < st.size && end < st.size;
+  return result;
+}
+
+module.exports = {
+  readTranscript,
+  entriesFromRecord,
+  EDIT_TOOLS,
+  READ_MAX_BYTES,
+};
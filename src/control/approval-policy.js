@@ -0,0 +1,287 @@
+'use strict';
+
+// Approval policy: answers agent permission prompts from a hand-edited rules
+// file, <storageDir>/approval-policy.json. Example:
+//
+//   {
+//     "dryRun": false,
+//     "default": "escalate",
+//     "rules": [
+//       { "name": "no rm -rf", "action": "deny", "prompt": "/rm\\s+-(rf|fr)\\b/" },
+//       { "name": "git status", "action": "approve", "prompt": "git status" },
+//       { "name": "reads in src", "action": "approve", "agent": "claude",
+//         "workingDir": "~/src", "prompt": "/Read\\([^)]*\\)/" }
+//     ]
+//   }
+//
+// This module only loads rules and decides; typing the answer into the PTY is
+// the server's job (ClaudeCodeWebServer._applyApprovalPolicy via
+// _controlRespond). Every rule that matches is considered, and the strictest
+// action wins (deny > escalate > approve), so a broad approve rule can never
+// override a deny that also matches.
+//
+// Deny and escalate patterns look anywhere in the dialog. Approve patterns
+// must match the whole command the dialog shows, so "git status" does not
+// approve "git status; curl … | sh".
+
+const fsp = require('fs').promises;
+const path = require('path');
+const os = require('os');
+
+const POLICY_FILE = 'approval-policy.json';
+const POLICY_ACTIONS = ['approve', 'deny', 'escalate'];
+// Only prompts that are answered with accept / reject. choice_question and
+// next_message want free text or a specific option, which a rule can't pick.
+const POLICY_KINDS = ['tool_approval', 'plan_approval', 'trust_prompt'];
+const DEFAULT_KINDS = ['tool_approval'];
+const SEVERITY = { approve: 0, escalate: 1, deny: 2 };
+const MAX_RULES = 200;
+// Same window session-status.js uses to detect a screen prompt.
+const PROMPT_ROWS = 12;
+
+function policyError(message) {
+  const err = new Error(message);
+  err.code = 'INVALID_POLICY';
+  return err;
+}
+
+function expandHome(p) {
+  if (p === '~') return os.homedir();
+  if (p.startsWith('~/') || p.startsWith('~\\')) return path.join(os.homedir(), p.slice(2));
+  return p;
+}
+
+function toList(value) {
+  if (value == null) return null;
+  return Array.isArray(value) ? value : [value];
+}
+
+// "/.../flags" is a regular expression; anything else is a case-insensitive
+// substring. With `whole`, the pattern must match all of the text instead: a
+// regular expression is anchored at both ends (without the m flag, so ^ and $
+// cannot stop at a line break), and a literal must equal it once runs of
+// whitespace are collapsed.
+function compilePattern(source, where, whole = false) {
+  if (typeof source !== 'string' || !source) throw policyError(`${where} must be a non-empty string`);
+  const m = /^\/(.+)\/([a-z]*)$/s.exec(source);
+  if (!m) {
+    const needle = whole ? normalizeCommand(source) : source.toLowerCase();
+    return whole
+      ? (text) => !!text && normalizeCommand(text) === needle
+      : (text) => text.toLowerCase().includes(needle);
+  }
+  let re;
+  try {
+    re = whole
+      ? new RegExp(`^(?:${m[1]})$`, m[2].replace(/[gym]/g, ''))
+      : new RegExp(m[1], m[2].replace(/[gy]/g, ''));
+  } catch (err) {
+    throw policyError(`${where} is not a valid regular expression: ${err.message}`);
+  }
+  return whole ? (text) => !!text && re.test(text) : (text) => re.test(text);
+}
+
+function normalizeCommand(text) {
+  return text.trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+function isUnder(dir, root) {
+  const rel = path.relative(path.resolve(root), path.resolve(dir));
+  return rel === '' || (!rel.startsWith('..') && !path.isAbsolute(rel));
+}
+
+/**
+ * Validate and compile a parsed policy file.
+ * @param {object} raw - Parsed JSON.
+ * @returns {{dryRun: boolean, default: string, rules: Array<{name: string, action: string, test: function}>}}
+ * @throws {Error} code INVALID_POLICY
+ */
+function compilePolicy(raw) {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) throw policyError('expected a JSON object');
+  if (raw.dryRun != null && typeof raw.dryRun !== 'boolean') throw policyError('"dryRun" must be true or false');
+  const fallback = raw.default == null ? 'escalate' : raw.default;
+  // An "approve everything else" default would defeat the point of the file.
+  if (fallback !== 'escalate' && fallback !== 'deny') throw policyError('"default" must be "escalate" or "deny"');
+  if (!Array.isArray(raw.rules)) throw policyError('"rules" must be an array');
+  if (raw.rules.length > MAX_RULES) throw policyError(`at most ${MAX_RULES} rules are allowed`);
+
+  const rules = raw.rules.map((rule, i) => {
+    const where = `rule ${i + 1}`;
+    if (!rule || typeof rule !== 'object' || Array.isArray(rule)) throw policyError(`${where} must be an object`);
+    if (!POLICY_ACTIONS.includes(rule.action)) {
+      throw policyError(`${where} has unknown action "${rule.action}" (expected one of ${POLICY_ACTIONS.join(', ')})`);
+    }
+    const kinds = toList(rule.kind) || DEFAULT_KINDS;
+    for (const kind of kinds) {
+      if (!POLICY_KINDS.includes(kind)) {
+        throw policyError(`${where} has unknown kind "${kind}" (expected one of ${POLICY_KINDS.join(', ')})`);
+      }
+    }
+    const agents = toList(rule.agent);
+    if (agents && agents.some((a) => typeof a !== 'string' || !a)) throw policyError(`${where} "agent" must be a string or an array of strings`);
+    const dirs = toList(rule.workingDir);
+    if (dirs && dirs.some((d) => typeof d !== 'string' || !d.trim())) throw policyError(`${where} "workingDir" must be a string or an array of strings`);
+    const roots = dirs ? dirs.map((d) => expandHome(d.trim())) : null;
+    const prompts = toList(rule.prompt);
+    const whole = rule.action === 'approve';
+    const matchers = prompts ? prompts.map((p, j) => compilePattern(p, `${where} "prompt"${prompts.length > 1 ? ` #${j + 1}` : ''}`, whole)) : null;
+    if (!agents && !roots && !matchers && rule.kind == null) {
+      throw policyError(`${where} needs at least one of "agent", "workingDir", "prompt" or "kind"`);
+    }
+
+    return {
+      name: typeof rule.name === 'string' && rule.name.trim() ? rule.name.trim() : where,
+      action: rule.action,
+      test(prompt, command) {
+        if (!kinds.includes(prompt.kind)) return false;
+        if (agents && !agents.includes(prompt.agent)) return false;
+        if (roots && !(prompt.workingDir && roots.some((root) => isUnder(prompt.workingDir, root)))) return false;
+        if (matchers && !matchers.some((match) => match(whole ? command : prompt.text || ''))) return false;
+        return true;
+      },
+    };
+  });
+
+  return { dryRun: raw.dryRun === true, default: fallback, rules };
+}
+
+/**
+ * Decide what to do with one pending prompt. Every matching rule is
+ * considered and the strictest action wins; no match falls back to
+ * `policy.default`.
+ * @param {object} policy - From compilePolicy.
+ * @param {{kind: string, agent?: string, workingDir?: string, text?: string}} prompt
+ * @returns {{action: string, rule: string|null}|null} null when the prompt kind is not policy-eligible.
+ */
+function evaluatePolicy(policy, prompt) {
+  if (!policy || !prompt || !POLICY_KINDS.includes(prompt.kind)) return null;
+  const command = commandFromDialog(prompt.text || '');
+  let best = null;
+  for (const rule of policy.rules) {
+    if (!rule.test(prompt, command)) continue;
+    if (!best || SEVERITY[rule.action] > SEVERITY[best.action]) best = rule;
+  }
+  return best ? { action: best.action, rule: best.name } : { action: policy.default, rule: null };
+}
+
+/**
+ * The text a rule's "prompt" pattern is matched against: the dialog at the
+ * bottom of the rendered screen. Claude draws its permission dialog under a
+ * horizontal rule or inside a box, so everything from the nearest border
+ * above the numbered options down is the dialog. Without numbered options in
+ * the last PROMPT_ROWS rows, or a border above them, there is no dialog and
+ * the result is empty: the rest of the screen is agent output, which must
+ * never be able to satisfy a rule. Box side characters are stripped so
+ * patterns anchor on the content.
+ * @param {string} screen - Rendered screen text.
+ * @returns {string}
+ */
+function promptTextFromScreen(screen) {
+  const lines = String(screen || '').split('\n');
+  let options = -1;
+  for (let i = lines.length - 1; i >= Math.max(0, lines.length - PROMPT_ROWS); i--) {
+    if (/^[\s│|]*❯?\s*1\.\s/.test(lines[i])) { options = i; break; }
+  }
+  if (options === -1) return '';
+  let start = -1;
+  for (let i = options - 1; i >= 0; i--) {
+    if (/^\s*[╭┌]?[─━]{3,}/.test(lines[i])) { start = i + 1; break; }
+  }
+  if (start === -1) return '';
+  return lines.slice(start)
+    .map((line) => line.replace(/^\s*[│|]\s?/, '').replace(/\s*[│|]\s*$/, '').replace(/^\s*╰[─━]*╯?\s*$/, ''))
+    .join('\n')
+    .trim();
+}
+
+/**
+ * The command a dialog asks about: the first block of lines indented under
+ * its title ("Bash command", "Read file", ...). Claude prints the tool call's
+ * description as the block's last line (`git status` / `Show working tree
+ * status`), so a block of two or more lines loses its last one.
+ * @param {string} text - From promptTextFromScreen.
+ * @returns {string} Empty when the dialog has no indented body.
+ */
+function commandFromDialog(text) {
+  const lines = String(text || '').split('\n');
+  const indent = (line) => line.length - line.trimStart().length;
+  const base = indent(lines[0]);
+  const block = [];
+  for (const line of lines.slice(1)) {
+    if (!line.trim()) {
+      if (block.length) break;
+      continue;
+    }
+    if (indent(line) <= base) break;
+    block.push(line.trimEnd());
+  }
+  if (block.length > 1) block.pop();
+  if (!block.length) return '';
+  const margin = Math.min(...block.map(indent));
+  return block.map((line) => line.slice(margin)).join('\n').trim();
+}
+
+class ApprovalPolicy {
+  /**
+   * @param {object} [options]
+   * @param {string} [options.storageDir] - Base dir; the rules live in `<storageDir>/approval-policy.json`.
+   * @param {string} [options.file] - Explicit rules file; overrides storageDir.
+   */
+  constructor(options = {}) {
+    const storageDir = options.storageDir
+      || process.env.AI_OR_DIE_SESSION_DIR
+      || path.join(os.homedir(), '.ai-or-die');
+    this.file = options.file || path.join(storageDir, POLICY_FILE);
+    this._cache = null; // { mtimeMs, size, policy }
+  }
+
+  /**
+   * Read the rules file, re-parsing only when it changed on disk, so edits
+   * apply to the next prompt without a restart.
+   * @returns {Promise<object|null>} Compiled policy, or null when there is no file.
+   * @throws {Error} code INVALID_POLICY
+   */
+  async load() {
+    let stat;
+    try {
+      stat = await fsp.stat(this.file);
+    } catch (err) {
+      if (err.code === 'ENOENT') { this._cache = null; return null; }
+      throw err;
+    }
+    if (this._cache && this._cache.mtimeMs === stat.mtimeMs && this._cache.size === stat.size) {
+      if (this._cache.error) throw this._cache.error;
+      return this._cache.policy;
+    }
+    const text = await fsp.readFile(this.file, 'utf8');
+    let policy = null;
+    let error = null;
+    try {
+      policy = compilePolicy(JSON.parse(text));
+    } catch (err) {
+      error = policyError(`${this.file}: ${err.message}`);
+    }
+    this._cache = { mtimeMs: stat.mtimeMs, size: stat.size, policy, error };
+    if (error) throw error;
+    return policy;
+  }
+
+  /**
+   * Load the rules and decide one prompt.
+   * @param {{kind: string, agent?: string, workingDir?: string, text?: string}} prompt
+   * @returns {Promise<{action: string, rule: string|null, dryRun: boolean}|null>} null when there is no rules file or the prompt kind is not eligible.
+   */
+  async decide(prompt) {
+    const policy = await this.load();
+    const decision = evaluatePolicy(policy, prompt);
+    return decision ? { ...decision, dryRun: policy.dryRun } : null;
+  }
+}
+
+module.exports = ApprovalPolicy;
+module.exports.ApprovalPolicy = ApprovalPolicy;
+module.exports.compilePolicy = compilePolicy;
+module.exports.evaluatePolicy = evaluatePolicy;
+module.exports.promptTextFromScreen = promptTextFromScreen;
+module.exports.commandFromDialog = commandFromDialog;
+module.exports.POLICY_KINDS = POLICY_KINDS;
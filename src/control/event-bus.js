@@ -55,6 +55,7 @@ const EVENT_KINDS = Object.freeze([
   'crashed',
   'session_created',
   'session_deleted',
+  'budget_alert',
 ]);
 
 class ControlEventBus extends EventEmitter {
@@ -12,13 +12,16 @@
 //   deps.readTail(id, lines)    -> Promise<{ text, truncated, source }>
 //   deps.eventBus               ControlEventBus
 //   deps.createSession(opts)    -> Promise<{ sessionId, lifecycle }>
-//   deps.stopSession(id, mode, idempotencyKey) -> Promise<{ stopped, lifecycle }>
+//   deps.stopSession(id, mode, idempotencyKey, actor) -> Promise<{ stopped, lifecycle }>
 //   deps.sendMessage(opts)      -> Promise<object>
 //   deps.sendKeys(opts)         -> Promise<object>
 //   deps.respond(opts)          -> Promise<object>
+//   deps.webhooks               WebhookManager (optional; /webhooks answers 404 without it)
+//   deps.audit(actor, action, details)  (optional)
 
 const express = require('express');
 const { deriveStatus } = require('./session-status');
+const { canUseHttpMethod } = require('../utils/auth');
 
 const DEFAULT_READ_LINES = 80;
 const MAX_READ_LINES = 2000;
@@ -28,6 +31,7 @@ const ROUTE_IDEMPOTENCY_CAP = 500;
 const DEFAULT_RATE_LIMIT_MAX = 600;
 const DEFAULT_RATE_LIMIT_WINDOW_MS = 60000;
 const RATE_LIMIT_IDENTITY_CAP = 2000;
+const MAX_BROADCAST_SESSIONS = 32;
 
 function statusForSession(deps, id, session) {
   const signal = (deps.getStatusSignal && deps.getStatusSignal(id)) || {};
@@ -43,6 +47,7 @@ function deriveStatusForSignal(signal, session) {
     jsonl: signal.jsonl,
     renderedTail: signal.renderedTail,
     exit: signal.exit,
+    busyRegex: signal.busyRegex,
   });
 }
 
@@ -176,6 +181,15 @@ function createControlRouter(deps) {
     next();
   });
 
+  // Role gate: req.user is set by the server's auth middleware (users.json).
+  // A viewer may read status, transcripts and events but never drive a session.
+  router.use((req, res, next) => {
+    if (canUseHttpMethod(req.user, req.method)) return next();
+    res.status(403).json({
+      error: { code: 'FORBIDDEN', message: `The ${req.user.role} role cannot ${req.method} ${req.path}` },
+    });
+  });
+
   // GET /capabilities — F19 cross-repo capability negotiation. The fleet client
   // reads this ONCE per instance and fails closed on a missing capability, so a
   // newer client never silently assumes an older instance supports a field/event.
@@ -250,7 +264,7 @@ function createControlRouter(deps) {
   // POST /sessions/create
   router.post('/sessions/create', async (req, res, next) => {
     try {
-      const out = await deps.createSession(req.body || {});
+      const out = await deps.createSession({ ...(req.body || {}), actor: req.actor || null });
       res.json(out);
     } catch (err) {
       if (err && err.code === 'INVALID_WORKDIR') {
@@ -273,7 +287,7 @@ function createControlRouter(deps) {
         return res.status(404).json({ error: { code: 'SESSION_NOT_FOUND', message: 'Unknown session' } });
       }
       const mode = req.body && req.body.mode === 'kill' ? 'kill' : 'graceful';
-      const out = await deps.stopSession(id, mode, req.body && req.body.idempotencyKey);
+      const out = await deps.stopSession(id, mode, req.body && req.body.idempotencyKey, req.actor || null);
       res.json(out);
     } catch (err) {
       next(err);
@@ -291,6 +305,7 @@ function createControlRouter(deps) {
       const out = await routeIdempotent(routeIdempotency, 'message', id, body.idempotencyKey, () =>
         deps.sendMessage({
           sessionId: id,
+          actor: req.actor || null,
           message: body.message,
           idempotencyKey: body.idempotencyKey,
           awaitMs: body.awaitMs,
@@ -313,6 +328,7 @@ function createControlRouter(deps) {
       const out = await routeIdempotent(routeIdempotency, 'keys', id, body.idempotencyKey, () =>
         deps.sendKeys({
           sessionId: id,
+          actor: req.actor || null,
           keys: body.keys,
           idempotencyKey: body.idempotencyKey,
           raw: body.raw,
@@ -324,6 +340,56 @@ function createControlRouter(deps) {
     }
   });
 
+  // POST /sessions/broadcast — the same message (or keys) to several sessions.
+  // Each target goes through the single-session path, so it is validated,
+  // audited and idempotent per session; one failing target does not stop the
+  // others. Always 200 once the request itself is valid: read `results`.
+  router.post('/sessions/broadcast', async (req, res, next) => {
+    try {
+      const body = req.body || {};
+      const ids = Array.isArray(body.sessionIds) ? [...new Set(body.sessionIds)] : [];
+      if (!ids.length || ids.length > MAX_BROADCAST_SESSIONS || ids.some((id) => typeof id !== 'string' || !id)) {
+        return res.status(400).json({
+          error: { code: 'INVALID_ARGUMENT', message: `sessionIds must list 1-${MAX_BROADCAST_SESSIONS} session ids` },
+        });
+      }
+      if ((body.message == null) === (body.keys == null)) {
+        return res.status(400).json({
+          error: { code: 'INVALID_ARGUMENT', message: 'send exactly one of message or keys' },
+        });
+      }
+      const kind = body.keys == null ? 'message' : 'keys';
+      const results = await Promise.all(ids.map(async (id) => {
+        if (!deps.sessions.has(id)) return { sessionId: id, error: { code: 'SESSION_NOT_FOUND', message: 'Unknown session' } };
+        try {
+          const out = await routeIdempotent(routeIdempotency, kind, id, body.idempotencyKey, () =>
+            kind === 'message'
+              ? deps.sendMessage({
+                sessionId: id,
+                actor: req.actor || null,
+                message: body.message,
+                idempotencyKey: body.idempotencyKey,
+                awaitMs: body.awaitMs,
+              })
+              : deps.sendKeys({
+                sessionId: id,
+                actor: req.actor || null,
+                keys: body.keys,
+                idempotencyKey: body.idempotencyKey,
+                raw: body.raw,
+              })
+          );
+          return { sessionId: id, ...out };
+        } catch (err) {
+          return { sessionId: id, error: { code: (err && err.code) || 'ERROR', message: (err && err.message) || 'Request failed' } };
+        }
+      }));
+      res.json({ results, delivered: results.filter((r) => !r.error).length });
+    } catch (err) {
+      next(err);
+    }
+  });
+
   // POST /sessions/:id/respond — answer the currently pending interaction.
   router.post('/sessions/:id/respond', async (req, res, next) => {
     try {
@@ -335,6 +401,7 @@ function createControlRouter(deps) {
       const out = await routeIdempotent(routeIdempotency, 'respond', id, body.idempotencyKey, () =>
         deps.respond({
           sessionId: id,
+          actor: req.actor || null,
           choice: body.choice,
           optionValue: body.optionValue,
           keys: body.keys,
@@ -366,6 +433,82 @@ function createControlRouter(deps) {
     }
   });
 
+  // ---- Outbound webhooks (control/webhooks.js) -------------------------------
+  // Operators only, reads included: a webhook URL is often a credential itself
+  // (chat incoming-webhook URLs carry their token in the path).
+  const audit = typeof deps.audit === 'function' ? deps.audit : () => {};
+  router.use('/webhooks', (req, res, next) => {
+    if (!deps.webhooks) {
+      return res.status(404).json({ error: { code: 'NOT_FOUND', message: 'Webhooks are not enabled' } });
+    }
+    if (req.user && req.user.role !== 'operator') {
+      return res.status(403).json({
+        error: { code: 'FORBIDDEN', message: `The ${req.user.role} role cannot manage webhooks` },
+      });
+    }
+    next();
+  });
+
+  router.get('/webhooks', (req, res) => {
+    res.json({ webhooks: deps.webhooks.list() });
+  });
+
+  router.post('/webhooks', async (req, res, next) => {
+    try {
+      const hook = await deps.webhooks.create(req.body || {}, req.user ? req.user.name : null);
+      audit(req.actor || null, 'webhook.create', { webhookId: hook.id, host: new URL(hook.url).host, events: hook.events });
+      res.status(201).json({ webhook: hook });
+    } catch (err) {
+      sendControlError(res, next, err);
+    }
+  });
+
+  // GET /webhooks/deliveries?webhookId=&deliveryId=&limit= — the delivery log, newest first.
+  router.get('/webhooks/deliveries', async (req, res, next) => {
+    try {
+      res.json(await deps.webhooks.deliveries(req.query));
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  router.get('/webhooks/:id', (req, res, next) => {
+    try {
+      res.json({ webhook: deps.webhooks.get(req.params.id) });
+    } catch (err) {
+      sendControlError(res, next, err);
+    }
+  });
+
+  router.patch('/webhooks/:id', async (req, res, next) => {
+    try {
+      const hook = await deps.webhooks.update(req.params.id, req.body || {});
+      audit(req.actor || null, 'webhook.update', { webhookId: hook.id, host: new URL(hook.url).host, events: hook.events, active: hook.active });
+      res.json({ webhook: hook });
+    } catch (err) {
+      sendControlError(res, next, err);
+    }
+  });
+
+  router.delete('/webhooks/:id', async (req, res, next) => {
+    try {
+      await deps.webhooks.remove(req.params.id);
+      audit(req.actor || null, 'webhook.delete', { webhookId: req.params.id });
+      res.json({ removed: true });
+    } catch (err) {
+      sendControlError(res, next, err);
+    }
+  });
+
+  // POST /webhooks/:id/test — send a `ping` and answer with its final log entry.
+  router.post('/webhooks/:id/test', async (req, res, next) => {
+    try {
+      res.json({ delivery: await deps.webhooks.test(req.params.id) });
+    } catch (err) {
+      sendControlError(res, next, err);
+    }
+  });
+
   return router;
 }
 
@@ -415,4 +558,4 @@ function statusForErrorCode(code) {
   return 500;
 }
 
-module.exports = { createControlRouter, parseCursor, encodeCursor, sessionSummary, statusForSession };
+module.exports = { createControlRouter, parseCursor, encodeCursor, sessionSummary, statusForSession, MAX_BROADCAST_SESSIONS };
@@ -310,5 +310,5 @@ function awaitingFromScreen(renderedTail) {
   return null;
 }
 
-module.exports = { deriveStatus, awaitingKindForPendingTool, awaitingFromScreen, resolveBusyRegex, DEFAULT_BUSY_REGEX, DEFAULT_UNBOUND_QUIET_MS, TRUST_PROMPT_REGEX };
+module.exports = { deriveStatus, awaitingKindForPendingTool, awaitingFromScreen, isCrashExit, resolveBusyRegex, DEFAULT_BUSY_REGEX, DEFAULT_UNBOUND_QUIET_MS, TRUST_PROMPT_REGEX };
 
@@ -0,0 +1,456 @@
+'use strict';
+
+// Outbound webhooks for control-plane events. A registered URL gets one POST
+// per ControlEventBus event it subscribed to, so chat bots and CI can react to
+// a session without long-polling /api/control/events.
+//
+// Events: session_created, turn_ended, waiting_input, exited, crashed,
+// budget_alert. The bus reports every PTY exit as `exited`; an exit that
+// isCrashExit() counts as a crash is delivered as `crashed` instead, so a
+// receiver sees exactly one of the two. A budget_alert's detail is the alert
+// from usage-budget.js, and its sessionId is null for day and directory
+// budgets.
+//
+// Every request is signed:
+//   X-AiOrDie-Timestamp: <unix seconds>
+//   X-AiOrDie-Signature: sha256=<hex HMAC-SHA256(secret, `${timestamp}.${body}`)>
+// X-AiOrDie-Delivery stays the same across retries, so receivers can dedupe.
+//
+// State:
+//   <storageDir>/webhooks.json            { webhooks: [...] } (0600, holds the secrets)
+//   <storageDir>/webhook-deliveries.jsonl one line per attempt; rotated to
+//                                         webhook-deliveries.1.jsonl past maxLogBytes
+
+const crypto = require('crypto');
+const fsp = require('fs').promises;
+const http = require('http');
+const https = require('https');
+const os = require('os');
+const path = require('path');
+const { isCrashExit } = require('./session-status');
+
+const WEBHOOK_EVENTS = Object.freeze(['session_created', 'turn_ended', 'waiting_input', 'exited', 'crashed', 'budget_alert']);
+// Waits before attempts 2..5. A receiver that is down for a deploy is usually
+// back within a couple of minutes.
+const DEFAULT_RETRY_DELAYS_MS = Object.freeze([1000, 5000, 30000, 120000]);
+const DEFAULT_TIMEOUT_MS = 10000;
+const DEFAULT_MAX_LOG_BYTES = 2 * 1024 * 1024;
+const MAX_WEBHOOKS = 50;
+const MAX_URL_LENGTH = 2048;
+const MIN_SECRET_LENGTH = 16;
+const DEFAULT_LOG_LIMIT = 100;
+const MAX_LOG_LIMIT = 1000;
+
+function webhookError(code, message) {
+  const err = new Error(message);
+  err.code = code;
+  err.statusCode = code === 'WEBHOOK_NOT_FOUND' ? 404 : code === 'LIMIT_EXCEEDED' ? 409 : 400;
+  return err;
+}
+
+/**
+ * `X-AiOrDie-Signature` value for one request body.
+ * @param {string} secret
+ * @param {number|string} timestamp - Unix seconds, as sent in X-AiOrDie-Timestamp.
+ * @param {string} body
+ * @returns {string}
+ */
+function signPayload(secret, timestamp, body) {
+  return 'sha256=' + crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+/** Does a response status deserve another attempt? */
+function isRetryableStatus(statusCode) {
+  return statusCode === 408 || statusCode === 429 || statusCode >= 500;
+}
+
+function normalizeUrl(value) {
+  let url;
+  try {
+    url = new URL(String(value || ''));
+  } catch (_) {
+    throw webhookError('INVALID_ARGUMENT', 'url must be an absolute http(s) URL');
+  }
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+    throw webhookError('INVALID_ARGUMENT', 'url must be an absolute http(s) URL');
+  }
+  if (url.href.length > MAX_URL_LENGTH) throw webhookError('INVALID_ARGUMENT', `url is longer than ${MAX_URL_LENGTH} characters`);
+  return url.href;
+}
+
+function normalizeEvents(value) {
+  if (value == null) return WEBHOOK_EVENTS.slice();
+  const list = Array.isArray(value) ? value : [value];
+  if (!list.length) throw webhookError('INVALID_ARGUMENT', 'events must name at least one event');
+  for (const event of list) {
+    if (!WEBHOOK_EVENTS.includes(event)) {
+      throw webhookError('INVALID_ARGUMENT', `unknown event "${event}" (expected ${WEBHOOK_EVENTS.join(', ')})`);
+    }
+  }
+  return WEBHOOK_EVENTS.filter((e) => list.includes(e));
+}
+
+/** The webhook as the API shows it: everything but the secret. */
+function publicView(hook) {
+  const view = { ...hook };
+  delete view.secret;
+  return view;
+}
+
+/**
+ * Which webhook event a bus event is, or null for kinds webhooks don't carry.
+ * @param {{kind: string, detail?: object}} event
+ * @returns {string|null}
+ */
+function webhookEventFor(event) {
+  if (!event) return null;
+  if (event.kind === 'exited' && isCrashExit(event.detail)) return 'crashed';
+  return WEBHOOK_EVENTS.includes(event.kind) ? event.kind : null;
+}
+
+/**
+ * POST a body once. Resolves with the status for any HTTP response and
+ * rejects on network errors and timeouts.
+ */
+function postOnce(url, body, headers, timeoutMs) {
+  const target = new URL(url);
+  const transport = target.protocol === 'http:' ? http : https;
+  return new Promise((resolve, reject) => {
+    const req = transport.request(target, {
+      method: 'POST',
+      timeout: timeoutMs,
+      headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+    }, (res) => {
+      res.resume();
+      res.on('end', () => resolve({ statusCode: res.statusCode }));
+    });
+    req.on('timeout', () => req.destroy(new Error(`timed out after ${timeoutMs}ms`)));
+    req.on('error', reject);
+    req.end(body);
+  });
+}
+
+class WebhookManager {
+  /**
+   * @param {object} [options]
+   * @param {string} [options.storageDir] - Base dir for webhooks.json and the delivery log.
+   * @param {Map} [options.sessions] - Live sessions, for the `session` block of a payload.
+   * @param {number[]} [options.retryDelaysMs] - Wait before each retry; its length + 1 is the attempt cap.
+   * @param {number} [options.timeoutMs] - Per-attempt request timeout.
+   * @param {number} [options.maxLogBytes] - Rotate the delivery log past this size.
+   * @param {function} [options.post] - Transport override (tests); defaults to a plain http(s) POST.
+   */
+  constructor(options = {}) {
+    const storageDir = options.storageDir
+      || process.env.AI_OR_DIE_SESSION_DIR
+      || path.join(os.homedir(), '.ai-or-die');
+    this.file = path.join(storageDir, 'webhooks.json');
+    this.logFile = path.join(storageDir, 'webhook-deliveries.jsonl');
+    this.rotatedLogFile = path.join(storageDir, 'webhook-deliveries.1.jsonl');
+    this.sessions = options.sessions || new Map();
+    this.retryDelaysMs = options.retryDelaysMs || DEFAULT_RETRY_DELAYS_MS;
+    this.timeoutMs = options.timeoutMs || DEFAULT_TIMEOUT_MS;
+    this.maxLogBytes = options.maxLogBytes || DEFAULT_MAX_LOG_BYTES;
+    this.hostname = options.hostname || os.hostname();
+    this._post = options.post || postOnce;
+    this._logger = options.logger || console;
+    this.webhooks = [];
+    this._timers = new Map(); // pending retry timer -> settles its delivery as failed
+    this._closed = false;
+    this._saving = Promise.resolve();
+    this._logging = Promise.resolve();
+    this._logSize = null;
+    this._onEvent = (event) => { this.handleEvent(event); };
+  }
+
+  async init() {
+    try {
+      const data = JSON.parse(await fsp.readFile(this.file, 'utf8'));
+      this.webhooks = (Array.isArray(data.webhooks) ? data.webhooks : [])
+        .filter((h) => h && typeof h.id === 'string' && typeof h.url === 'string' && typeof h.secret === 'string');
+    } catch (err) {
+      if (err.code !== 'ENOENT') this._logger.warn(`[webhooks] ${this.file} unreadable: ${err.message}`);
+      this.webhooks = [];
+    }
+    return this;
+  }
+
+  /** Start listening to a ControlEventBus. */
+  attach(eventBus) {
+    if (eventBus) eventBus.on('event', this._onEvent);
+    this._eventBus = eventBus;
+  }
+
+  /**
+   * Stop listening and drop pending retries (server shutdown). Each dropped
+   * delivery is logged and settled as failed, so nothing waiting on it hangs.
+   */
+  close() {
+    this._closed = true;
+    if (this._eventBus) this._eventBus.removeListener('event', this._onEvent);
+    this._eventBus = null;
+    for (const [timer, cancel] of this._timers) {
+      clearTimeout(timer);
+      cancel();
+    }
+    this._timers.clear();
+    return this._logging;
+  }
+
+  list() {
+    return this.webhooks.map(publicView);
+  }
+
+  get(id) {
+    return publicView(this._find(id));
+  }
+
+  _find(id) {
+    const hook = this.webhooks.find((h) => h.id === id);
+    if (!hook) throw webhookError('WEBHOOK_NOT_FOUND', 'Unknown webhook');
+    return hook;
+  }
+
+  /**
+   * Register a webhook. The secret is generated unless given and is only
+   * ever returned here.
+   * @param {{url: string, events?: string[], secret?: string, description?: string}} input
+   * @param {string|null} [createdBy]
+   * @returns {Promise<object>} The webhook including `secret`.
+   */
+  async create(input = {}, createdBy = null) {
+    if (this.webhooks.length >= MAX_WEBHOOKS) throw webhookError('LIMIT_EXCEEDED', `at most ${MAX_WEBHOOKS} webhooks are allowed`);
+    let secret = input.secret;
+    if (secret == null) {
+      secret = crypto.randomBytes(24).toString('base64url');
+    } else if (typeof secret !== 'string' || secret.length < MIN_SECRET_LENGTH) {
+      throw webhookError('INVALID_ARGUMENT', `secret must be a string of at least ${MIN_SECRET_LENGTH} characters`);
+    }
+    const hook = {
+      id: 'wh_' + crypto.randomBytes(6).toString('hex'),
+      url: normalizeUrl(input.url),
+      events: normalizeEvents(input.events),
+      description: input.description == null ? null : String(input.description).slice(0, 200),
+      active: input.active !== false,
+      secret,
+      createdAt: new Date().toISOString(),
+      createdBy: createdBy || null,
+    };
+    this.webhooks.push(hook);
+    await this._save();
+    return { ...hook };
+  }
+
+  /**
+   * Change url, events, description or active. The secret is fixed for the
+   * life of the webhook; replace the webhook to rotate it.
+   */
+  async update(id, patch = {}) {
+    const hook = this._find(id);
+    const next = { ...hook };
+    if (patch.url !== undefined) next.url = normalizeUrl(patch.url);
+    if (patch.events !== undefined) next.events = normalizeEvents(patch.events);
+    if (patch.description !== undefined) next.description = patch.description == null ? null : String(patch.description).slice(0, 200);
+    if (patch.active !== undefined) next.active = patch.active !== false;
+    Object.assign(hook, next);
+    await this._save();
+    return publicView(hook);
+  }
+
+  async remove(id) {
+    this._find(id);
+    this.webhooks = this.webhooks.filter((h) => h.id !== id);
+    await this._save();
+    return true;
+  }
+
+  /**
+   * ControlEventBus listener: queue a delivery to every active webhook that
+   * subscribed to the event. Returns the delivery ids; the sends run in the
+   * background.
+   */
+  handleEvent(event) {
+    const name = webhookEventFor(event);
+    if (!name) return [];
+    const session = event.sessionId ? this.sessions.get(event.sessionId) : null;
+    const payload = {
+      event: name,
+      sessionId: event.sessionId || null,
+      session: session
+        ? { name: session.name || null, agent: session.agent || null, workingDir: session.workingDir || null }
+        : null,
+      at: new Date(event.at || Date.now()).toISOString(),
+      seq: event.seq == null ? null : event.seq,
+      detail: event.detail || null,
+      host: this.hostname,
+    };
+    const ids = [];
+    for (const hook of this.webhooks) {
+      if (!hook.active || !hook.events.includes(name)) continue;
+      ids.push(this._startDelivery(hook, payload).id);
+    }
+    return ids;
+  }
+
+  /**
+   * Send one `ping` to a webhook, without retries, so an operator can check
+   * the receiver and the secret from the API.
+   * @returns {Promise<object>} The delivery log entry.
+   */
+  async test(id) {
+    const hook = this._find(id);
+    const delivery = this._startDelivery(hook, {
+      event: 'ping',
+      sessionId: null,
+      session: null,
+      at: new Date().toISOString(),
+      seq: null,
+      detail: null,
+      host: this.hostname,
+    }, []);
+    return delivery.done;
+  }
+
+  _startDelivery(hook, payload, retryDelaysMs = this.retryDelaysMs) {
+    const id = 'dlv_' + crypto.randomBytes(8).toString('hex');
+    const body = JSON.stringify({ id, ...payload });
+    let finish;
+    const done = new Promise((resolve) => { finish = resolve; });
+    // The hook object may be edited or removed while retries are pending; the
+    // url and secret in force when the event fired are the ones used.
+    const target = { id: hook.id, url: hook.url, secret: hook.secret };
+    this._attempt(target, id, payload, body, 1, retryDelaysMs, finish);
+    return { id, done };
+  }
+
+  async _attempt(hook, deliveryId, payload, body, attempt, retryDelaysMs, finish) {
+    const timestamp = Math.floor(Date.now() / 1000);
+    const headers = {
+      'Content-Type': 'application/json',
+      'User-Agent': 'ai-or-die-webhooks',
+      'X-AiOrDie-Event': payload.event,
+      'X-AiOrDie-Delivery': deliveryId,
+      'X-AiOrDie-Timestamp': String(timestamp),
+      'X-AiOrDie-Signature': signPayload(hook.secret, timestamp, body),
+    };
+    const started = Date.now();
+    let statusCode = null;
+    let error = null;
+    try {
+      statusCode = (await this._post(hook.url, body, headers, this.timeoutMs)).statusCode;
+    } catch (err) {
+      error = err.message;
+    }
+
+    const ok = statusCode >= 200 && statusCode < 300;
+    const retry = !ok && !this._closed && (error || isRetryableStatus(statusCode)) && attempt <= retryDelaysMs.length;
+    const entry = {
+      ts: new Date(started).toISOString(),
+      deliveryId,
+      webhookId: hook.id,
+      event: payload.event,
+      sessionId: payload.sessionId,
+      attempt,
+      statusCode,
+      error,
+      durationMs: Date.now() - started,
+      outcome: ok ? 'delivered' : retry ? 'retrying' : 'failed',
+    };
+    await this._log(entry);
+
+    if (!retry) {
+      if (!ok) this._logger.warn(`[webhooks] ${hook.id} gave up on ${payload.event} after ${attempt} attempt(s): ${error || `HTTP ${statusCode}`}`);
+      finish(entry);
+      return;
+    }
+    const timer = setTimeout(() => {
+      this._timers.delete(timer);
+      this._attempt(hook, deliveryId, payload, body, attempt + 1, retryDelaysMs, finish);
+    }, retryDelaysMs[attempt - 1]);
+    if (timer.unref) timer.unref();
+    this._timers.set(timer, () => {
+      const cancelled = { ...entry, ts: new Date().toISOString(), statusCode: null, durationMs: 0, outcome: 'failed', error: 'server shut down before the next attempt' };
+      this._log(cancelled);
+      finish(cancelled);
+    });
+  }
+
+  /**
+   * Delivery log, newest first.
+   * @param {{webhookId?: string, deliveryId?: string, limit?: number}} [filters]
+   * @returns {Promise<{deliveries: object[]}>}
+   */
+  async deliveries(filters = {}) {
+    await this._logging;
+    const parsedLimit = parseInt(filters.limit, 10);
+    const limit = Math.min(MAX_LOG_LIMIT, Math.max(1, Number.isFinite(parsedLimit) ? parsedLimit : DEFAULT_LOG_LIMIT));
+    const out = [];
+    for (const file of [this.logFile, this.rotatedLogFile]) {
+      let text;
+      try {
+        text = await fsp.readFile(file, 'utf8');
+      } catch (err) {
+        if (err.code === 'ENOENT') continue;
+        throw err;
+      }
+      const lines = text.split('\n');
+      for (let i = lines.length - 1; i >= 0 && out.length < limit; i--) {
+        if (!lines[i]) continue;
+        let entry;
+        try {
+          entry = JSON.parse(lines[i]);
+        } catch (_) {
+          continue; // a torn last line after a crash
+        }
+        if (filters.webhookId && entry.webhookId !== filters.webhookId) continue;
+        if (filters.deliveryId && entry.deliveryId !== filters.deliveryId) continue;
+        out.push(entry);
+      }
+      if (out.length >= limit) break;
+    }
+    return { deliveries: out };
+  }
+
+  _log(entry) {
+    const line = JSON.stringify(entry) + '\n';
+    this._logging = this._logging.catch(() => {}).then(async () => {
+      try {
+        if (this._logSize == null) {
+          try {
+            this._logSize = (await fsp.stat(this.logFile)).size;
+          } catch (_) {
+            this._logSize = 0;
+          }
+        }
+        if (this._logSize > 0 && this._logSize + line.length > this.maxLogBytes) {
+          await fsp.rename(this.logFile, this.rotatedLogFile);
+          this._logSize = 0;
+        }
+        await fsp.appendFile(this.logFile, line, { mode: 0o600 });
+        this._logSize += Buffer.byteLength(line);
+      } catch (err) {
+        this._logger.warn(`[webhooks] delivery log write failed: ${err.message}`);
+      }
+    });
+    return this._logging;
+  }
+
+  _save() {
+    const text = JSON.stringify({ webhooks: this.webhooks }, null, 2);
+    this._saving = this._saving.catch(() => {}).then(async () => {
+      await fsp.mkdir(path.dirname(this.file), { recursive: true });
+      const tmp = `${this.file}.tmp`;
+      await fsp.writeFile(tmp, text, { mode: 0o600 });
+      await fsp.rename(tmp, this.file);
+    });
+    return this._saving;
+  }
+}
+
+module.exports = {
+  WebhookManager,
+  WEBHOOK_EVENTS,
+  signPayload,
+  webhookEventFor,
+  isRetryableStatus,
+};
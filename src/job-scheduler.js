@@ -0,0 +1,596 @@
+'use strict';
+
+// Scheduled agent jobs: a prompt sent to a fresh agent session on a cron
+// schedule (or on demand), with a run history and each run's transcript.
+//
+// A run goes through the same steps as a control-plane client:
+//   1. create + start a session  (deps.createSession, as POST /api/control/sessions/create)
+//   2. send the prompt           (deps.sendMessage, as POST /api/control/sessions/:id/message)
+//   3. wait for the turn to end  (deps.eventBus, a ControlEventBus): `turn_ended`, or
+//                                `became_idle` for a session without turn detection;
+//                                `exited` or the timeout fail the run
+//   4. store the screen          (deps.readTail, as GET /api/control/sessions/:id/read)
+//   5. stop the agent            (deps.stopSession) unless the job keeps it running
+// The session itself stays in the session list so the run can be opened and
+// continued by hand.
+//
+// Schedules are 5-field cron expressions in the server's local time, checked
+// every 30 s. A run that is still going when its job comes due again is
+// recorded as `skipped`; runs missed while the server was down are not made
+// up.
+//
+// State:
+//   <storageDir>/jobs.json                    { jobs: [...] }, rewritten via temp+rename
+//   <storageDir>/jobs/<jobId>/runs.json       newest MAX_RUNS_KEPT runs, newest first
+//   <storageDir>/jobs/<jobId>/<runId>.txt     the run's transcript
+
+const crypto = require('crypto');
+const fsp = require('fs').promises;
+const os = require('os');
+const path = require('path');
+
+const JOBS_FILE = 'jobs.json';
+const JOBS_DIR = 'jobs';
+const DEFAULT_TICK_MS = 30 * 1000;
+const DEFAULT_TIMEOUT_MINUTES = 30;
+const MAX_TIMEOUT_MINUTES = 24 * 60;
+// Each waitFor() is bounded so close() is never stuck behind a long turn.
+const WAIT_SLICE_MS = 15 * 1000;
+// How long the message route may spend proving the prompt was submitted.
+const SUBMIT_AWAIT_MS = 15 * 1000;
+const TRANSCRIPT_LINES = 2000;
+const MAX_JOBS = 100;
+const MAX_RUNS_KEPT = 50;
+const MAX_PROMPT_LENGTH = 20000;
+const MAX_NAME_LENGTH = 100;
+// Audit actor for runs the schedule starts; "run now" passes the caller's.
+const SCHEDULER_ACTOR = Object.freeze({ name: 'scheduler', role: null, transport: null });
+const DAY_MS = 24 * 60 * 60 * 1000;
+// A schedule with no match in this window (e.g. "0 0 31 2 *") is rejected.
+const SEARCH_HORIZON_MS = 5 * 366 * DAY_MS;
+
+const CRON_MACROS = Object.freeze({
+  '@yearly': '0 0 1 1 *',
+  '@annually': '0 0 1 1 *',
+  '@monthly': '0 0 1 * *',
+  '@weekly': '0 0 * * 0',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@hourly': '0 * * * *',
+});
+const MONTH_NAMES = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const DAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const CRON_FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: MONTH_NAMES, offset: 1 },
+  // 7 is Sunday too, as in most crons.
+  { name: 'day of week', min: 0, max: 7, names: DAY_NAMES, offset: 0 },
+];
+
+function jobError(code, message) {
+  const err = new Error(message);
+  err.code = code;
+  err.statusCode = code === 'JOB_NOT_FOUND' || code === 'RUN_NOT_FOUND' ? 404
+    : code === 'LIMIT_EXCEEDED' || code === 'JOB_RUNNING' ? 409 : 400;
+  return err;
+}
+
+function cronValue(text, field) {
+  const lower = text.toLowerCase();
+  if (field.names && field.names.includes(lower)) return field.names.indexOf(lower) + field.offset;
+  if (!/^\d+$/.test(text)) throw jobError('INVALID_ARGUMENT', `bad ${field.name} "${text}" in schedule`);
+  const n = Number(text);
+  if (n < field.min || n > field.max) {
+    throw jobError('INVALID_ARGUMENT', `${field.name} ${n} is outside ${field.min}-${field.max}`);
+  }
+  return n;
+}
+
+function parseCronField(text, field) {
+  const values = new Set();
+  for (const part of text.split(',')) {
+    const [range, stepText, extra] = part.split('/');
+    if (extra !== undefined || !range) throw jobError('INVALID_ARGUMENT', `bad ${field.name} "${part}" in schedule`);
+    let step = 1;
+    if (stepText !== undefined) {
+      step = /^\d+$/.test(stepText) ? Number(stepText) : 0;
+      if (step < 1) throw jobError('INVALID_ARGUMENT', `bad step "${stepText}" in ${field.name}`);
+    }
+    let lo, hi;
+    if (range === '*') {
+      lo = field.min;
+      hi = field.max;
+    } else if (range.includes('-')) {
+      const [a, b] = range.split('-');
+      lo = cronValue(a, field);
+      hi = cronValue(b, field);
+      if (hi < lo) throw jobError('INVALID_ARGUMENT', `${field.name} range "${range}" runs backwards`);
+    } else {
+      lo = cronValue(range, field);
+      // "5/15" means from 5 to the end of the range, every 15.
+      hi = stepText !== undefined ? field.max : lo;
+    }
+    for (let v = lo; v <= hi; v += step) values.add(v);
+  }
+  return values;
+}
+
+/**
+ * Parse a 5-field cron expression (minute hour day-of-month month
+ * day-of-week) or one of the @-macros. Fields take `*`, numbers, names
+ * (jan, mon), ranges, lists and `/step`.
+ * @param {string} expr
+ * @returns {{expr: string, minutes: Set<number>, hours: Set<number>, days: Set<number>,
+ *   months: Set<number>, weekdays: Set<number>, anyDay: boolean, anyWeekday: boolean}}
+ * @throws {Error} code INVALID_ARGUMENT
+ */
+function parseCron(expr) {
+  const text = String(expr == null ? '' : expr).trim().replace(/\s+/g, ' ');
+  const expanded = CRON_MACROS[text.toLowerCase()] || text;
+  const fields = expanded.split(' ');
+  if (fields.length !== 5) {
+    throw jobError('INVALID_ARGUMENT', 'schedule must have 5 fields (minute hour day month weekday) or be an @-macro');
+  }
+  const [minutes, hours, days, months, weekdays] = fields.map((f, i) => parseCronField(f, CRON_FIELDS[i]));
+  if (weekdays.delete(7)) weekdays.add(0);
+  return {
+    expr: text,
+    minutes,
+    hours,
+    days,
+    months,
+    weekdays,
+    // With both day fields restricted, either may match (the usual cron rule).
+    anyDay: fields[2] === '*',
+    anyWeekday: fields[4] === '*',
+  };
+}
+
+function dayMatches(cron, date) {
+  const dom = cron.days.has(date.getDate());
+  const dow = cron.weekdays.has(date.getDay());
+  if (cron.anyDay) return dow;
+  if (cron.anyWeekday) return dom;
+  return dom || dow;
+}
+
+/**
+ * The first minute after `afterMs` that the schedule matches, in local time.
+ * @param {object|string} cron - parseCron() output or an expression.
+ * @param {number} afterMs
+ * @returns {number|null} Epoch ms, or null when nothing matches in five years.
+ */
+function nextRun(cron, afterMs) {
+  const c = typeof cron === 'string' ? parseCron(cron) : cron;
+  const d = new Date(afterMs);
+  d.setSeconds(0, 0);
+  d.setMinutes(d.getMinutes() + 1);
+  const limit = afterMs + SEARCH_HORIZON_MS;
+  while (d.getTime() <= limit) {
+    if (!c.months.has(d.getMonth() + 1)) {
+      d.setMonth(d.getMonth() + 1, 1);
+      d.setHours(0, 0, 0, 0);
+    } else if (!dayMatches(c, d)) {
+      d.setDate(d.getDate() + 1);
+      d.setHours(0, 0, 0, 0);
+    } else if (!c.hours.has(d.getHours())) {
+      d.setHours(d.getHours() + 1, 0, 0, 0);
+    } else if (!c.minutes.has(d.getMinutes())) {
+      d.setMinutes(d.getMinutes() + 1, 0, 0);
+    } else {
+      return d.getTime();
+    }
+  }
+  return null;
+}
+
+function normalizeSchedule(value) {
+  const cron = parseCron(value);
+  if (nextRun(cron, Date.now()) == null) throw jobError('INVALID_ARGUMENT', `schedule "${cron.expr}" never runs`);
+  return cron.expr;
+}
+
+function normalizeName(value) {
+  const name = String(value == null ? '' : value).trim();
+  if (!name) throw jobError('INVALID_ARGUMENT', 'name is required');
+  if (name.length > MAX_NAME_LENGTH) throw jobError('INVALID_ARGUMENT', `name is longer than ${MAX_NAME_LENGTH} characters`);
+  return name;
+}
+
+function normalizePrompt(value) {
+  if (typeof value !== 'string' || !value.trim()) throw jobError('INVALID_ARGUMENT', 'prompt is required');
+  if (value.length > MAX_PROMPT_LENGTH) throw jobError('INVALID_ARGUMENT', `prompt is longer than ${MAX_PROMPT_LENGTH} characters`);
+  return value;
+}
+
+function normalizeTimeout(value) {
+  if (value == null) return DEFAULT_TIMEOUT_MINUTES;
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < 1 || n > MAX_TIMEOUT_MINUTES) {
+    throw jobError('INVALID_ARGUMENT', `timeoutMinutes must be a whole number from 1 to ${MAX_TIMEOUT_MINUTES}`);
+  }
+  return n;
+}
+
+function optionalString(value, name) {
+  if (value == null || value === '') return null;
+  if (typeof value !== 'string') throw jobError('INVALID_ARGUMENT', `${name} must be a string`);
+  return value;
+}
+
+class JobScheduler {
+  /**
+   * @param {object} [options]
+   * @param {string} [options.storageDir] - Base dir for jobs.json and jobs/.
+   * @param {function} options.createSession - (opts) => Promise<{sessionId, lifecycle, startError?}>
+   * @param {function} options.sendMessage - (opts) => Promise<object>
+   * @param {function} options.readTail - (sessionId, lines) => Promise<{text}>
+   * @param {function} [options.stopSession] - (sessionId) => Promise
+   * @param {function|string[]} [options.agents] - Agent ids a job may use (the agent registry's); unchecked when absent.
+   * @param {object} options.eventBus - ControlEventBus.
+   * @param {number} [options.tickMs] - How often due jobs are looked for.
+   * @param {function} [options.now] - Clock (tests).
+   */
+  constructor(options = {}) {
+    const storageDir = options.storageDir
+      || process.env.AI_OR_DIE_SESSION_DIR
+      || path.join(os.homedir(), '.ai-or-die');
+    this.file = path.join(storageDir, JOBS_FILE);
+    this.dir = path.join(storageDir, JOBS_DIR);
+    this.createSession = options.createSession;
+    this.sendMessage = options.sendMessage;
+    this.readTail = options.readTail;
+    this.stopSession = options.stopSession || (async () => {});
+    this.agents = options.agents || null;
+    this.eventBus = options.eventBus;
+    this.tickMs = options.tickMs || DEFAULT_TICK_MS;
+    this.now = options.now || Date.now;
+    this._logger = options.logger || console;
+    this.jobs = [];
+    this._next = new Map(); // jobId -> next due time (ms)
+    this._running = new Map(); // jobId -> { run, promise }
+    this._saving = Promise.resolve();
+    this._runWrites = new Map(); // jobId -> write chain for runs.json
+    this._timer = null;
+    this._closed = false;
+  }
+
+  async init() {
+    try {
+      const data = JSON.parse(await fsp.readFile(this.file, 'utf8'));
+      this.jobs = (Array.isArray(data.jobs) ? data.jobs : [])
+        .filter((j) => j && typeof j.id === 'string' && typeof j.schedule === 'string' && typeof j.prompt === 'string');
+    } catch (err) {
+      if (err.code !== 'ENOENT') this._logger.warn(`[jobs] ${this.file} unreadable: ${err.message}`);
+      this.jobs = [];
+    }
+    for (const job of this.jobs) this._schedule(job);
+    return this;
+  }
+
+  /** Start the due-job check. */
+  start() {
+    if (this._timer) return;
+    this._closed = false;
+    this._timer = setInterval(() => { this.tick(); }, this.tickMs);
+    if (this._timer.unref) this._timer.unref();
+  }
+
+  /** Stop scheduling and wait (bounded by WAIT_SLICE_MS) for runs in flight to record. */
+  async close() {
+    this._closed = true;
+    if (this._timer) clearInterval(this._timer);
+    this._timer = null;
+    await Promise.allSettled(Array.from(this._running.values(), (r) => r.promise));
+    await this._saving.catch(() => {});
+  }
+
+  list() {
+    return this.jobs.map((job) => this._view(job));
+  }
+
+  get(id) {
+    return this._view(this._find(id));
+  }
+
+  _find(id) {
+    const job = this.jobs.find((j) => j.id === id);
+    if (!job) throw jobError('JOB_NOT_FOUND', 'Unknown job');
+    return job;
+  }
+
+  _view(job) {
+    const running = this._running.get(job.id);
+    return {
+      ...job,
+      nextRunAt: job.enabled ? (this._next.get(job.id) || null) : null,
+      running: running ? running.run : null,
+    };
+  }
+
+  _schedule(job) {
+    const next = job.enabled ? nextRun(job.schedule, this.now()) : null;
+    if (next == null) this._next.delete(job.id);
+    else this._next.set(job.id, next);
+  }
+
+  /**
+   * Add a job.
+   * @param {{name: string, schedule: string, prompt: string, agent?: string, workingDir?: string,
+   *   permissionMode?: string, timeoutMinutes?: number, keepSession?: boolean, enabled?: boolean}} input
+   * @param {string|null} [createdBy]
+   */
+  async create(input = {}, createdBy = null) {
+    if (this.jobs.length >= MAX_JOBS) throw jobError('LIMIT_EXCEEDED', `at most ${MAX_JOBS} jobs are allowed`);
+    const job = {
+      id: 'job_' + crypto.randomBytes(6).toString('hex'),
+      name: normalizeName(input.name),
+      schedule: normalizeSchedule(input.schedule),
+      prompt: normalizePrompt(input.prompt),
+      agent: this._normalizeAgent(input.agent),
+      workingDir: optionalString(input.workingDir, 'workingDir'),
+      permissionMode: optionalString(input.permissionMode, 'permissionMode'),
+      timeoutMinutes: normalizeTimeout(input.timeoutMinutes),
+      keepSession: input.keepSession === true,
+      enabled: input.enabled !== false,
+      createdAt: new Date(this.now()).toISOString(),
+      createdBy: createdBy || null,
+      lastRun: null,
+    };
+    this.jobs.push(job);
+    this._schedule(job);
+    await this._save();
+    return this._view(job);
+  }
+
+  async update(id, patch = {}) {
+    const job = this._find(id);
+    const next = { ...job };
+    if (patch.name !== undefined) next.name = normalizeName(patch.name);
+    if (patch.schedule !== undefined) next.schedule = normalizeSchedule(patch.schedule);
+    if (patch.prompt !== undefined) next.prompt = normalizePrompt(patch.prompt);
+    if (patch.agent !== undefined) next.agent = this._normalizeAgent(patch.agent);
+    if (patch.workingDir !== undefined) next.workingDir = optionalString(patch.workingDir, 'workingDir');
+    if (patch.permissionMode !== undefined) next.permissionMode = optionalString(patch.permissionMode, 'permissionMode');
+    if (patch.timeoutMinutes !== undefined) next.timeoutMinutes = normalizeTimeout(patch.timeoutMinutes);
+    if (patch.keepSession !== undefined) next.keepSession = patch.keepSession === true;
+    if (patch.enabled !== undefined) next.enabled = patch.enabled !== false;
+    Object.assign(job, next);
+    this._schedule(job);
+    await this._save();
+    return this._view(job);
+  }
+
+  /** Delete a job with its run history. A run in flight finishes but is not recorded. */
+  async remove(id) {
+    this._find(id);
+    this.jobs = this.jobs.filter((j) => j.id !== id);
+    this._next.delete(id);
+    await this._save();
+    await (this._runWrites.get(id) || Promise.resolve()).catch(() => {});
+    await fsp.rm(path.join(this.dir, id), { recursive: true, force: true });
+    return true;
+  }
+
+  _normalizeAgent(value) {
+    const agent = optionalString(value, 'agent') || 'claude';
+    const known = typeof this.agents === 'function' ? this.agents() : this.agents;
+    if (Array.isArray(known) && !known.includes(agent)) {
+      throw jobError('INVALID_ARGUMENT', `unknown agent "${agent}" (expected one of ${known.join(', ')})`);
+    }
+    return agent;
+  }
+
+  /** Start every enabled job that is due. */
+  tick() {
+    if (this._closed) return [];
+    const now = this.now();
+    const started = [];
+    for (const job of this.jobs) {
+      const due = this._next.get(job.id);
+      if (!job.enabled || due == null || due > now) continue;
+      this._schedule(job);
+      if (this._running.has(job.id)) {
+        this._record(job, this._newRun(job, 'schedule', { status: 'skipped', finishedAt: now, error: 'previous run still going' }));
+        continue;
+      }
+      started.push(this._start(job, 'schedule'));
+    }
+    return started;
+  }
+
+  /**
+   * Run a job now, outside its schedule. Resolves once the run has started.
+   * @returns {object} The run record (status `running`).
+   */
+  runNow(id, actor = null) {
+    const job = this._find(id);
+    if (this._running.has(id)) throw jobError('JOB_RUNNING', 'This job is already running');
+    return this._start(job, 'manual', actor);
+  }
+
+  _newRun(job, trigger, extra) {
+    return {
+      id: 'run_' + crypto.randomBytes(6).toString('hex'),
+      jobId: job.id,
+      trigger,
+      status: 'running',
+      startedAt: this.now(),
+      finishedAt: null,
+      sessionId: null,
+      turn: null,
+      error: null,
+      transcriptBytes: 0,
+      ...extra,
+    };
+  }
+
+  _start(job, trigger, actor) {
+    const run = this._newRun(job, trigger);
+    const entry = { run, promise: null };
+    this._running.set(job.id, entry);
+    entry.promise = this._execute(job, run, actor)
+      .catch((err) => {
+        run.status = 'failed';
+        run.error = err && err.message ? err.message : String(err);
+      })
+      .then(() => {
+        run.finishedAt = this.now();
+        this._running.delete(job.id);
+        return this._record(job, run);
+      });
+    return run;
+  }
+
+  async _execute(job, run, actor) {
+    const by = actor || SCHEDULER_ACTOR;
+    const created = await this.createSession({
+      name: `${job.name} (${new Date(run.startedAt).toLocaleString()})`,
+      workingDir: job.workingDir || undefined,
+      agent: job.agent,
+      start: true,
+      permissionMode: job.permissionMode || undefined,
+      actor: by,
+    });
+    run.sessionId = created.sessionId;
+    try {
+      if (created.startError || created.lifecycle === 'exited') {
+        throw new Error(`agent did not start: ${created.startError || 'exited'}`);
+      }
+      await this._awaitTurn(job, run, by);
+    } finally {
+      await this._saveTranscript(job, run);
+      if (!job.keepSession) {
+        try {
+          await this.stopSession(run.sessionId);
+        } catch (err) {
+          this._logger.warn(`[jobs] could not stop ${run.sessionId}: ${err.message}`);
+        }
+      }
+    }
+  }
+
+  /** Send the prompt and wait for the turn it starts to end. */
+  async _awaitTurn(job, run, actor) {
+    const deadline = run.startedAt + job.timeoutMinutes * 60 * 1000;
+    // Taken before the prompt goes in, so the turn it starts cannot be missed.
+    let cursor = this.eventBus.headCursor();
+    const sent = await this.sendMessage({
+      sessionId: run.sessionId,
+      message: job.prompt,
+      awaitMs: SUBMIT_AWAIT_MS,
+      actor,
+    });
+    run.turn = sent && sent.submission ? sent.submission.status : null;
+    // Only a session bound to its transcript (claude) ever reports
+    // turn_ended. For codex, gemini, copilot or an unbound claude the message
+    // route says no_turn_binding, and the turn is over once the PTY goes
+    // quiet after the prompt.
+    const endKind = run.turn === 'no_turn_binding' ? 'became_idle' : 'turn_ended';
+
+    let ended = null;
+    while (!ended && !this._closed && this.now() < deadline) {
+      const slice = Math.min(WAIT_SLICE_MS, deadline - this.now());
+      const batch = await this.eventBus.waitFor(cursor, slice, { sessionIds: [run.sessionId], kinds: [endKind, 'exited'] });
+      cursor = batch.cursor || cursor;
+      ended = batch.events.find((e) => e.kind === endKind || e.kind === 'exited') || null;
+    }
+    if (ended && ended.kind === endKind) {
+      run.status = 'succeeded';
+    } else if (ended) {
+      run.status = 'failed';
+      run.error = 'the agent exited before finishing its turn';
+    } else if (this._closed) {
+      run.status = 'failed';
+      run.error = 'the server shut down mid-run';
+    } else {
+      run.status = 'timed_out';
+      run.error = `no ${endKind} within ${job.timeoutMinutes} minutes`;
+    }
+  }
+
+  async _saveTranscript(job, run) {
+    if (!this.jobs.includes(job)) return;
+    let text = '';
+    try {
+      text = (await this.readTail(run.sessionId, TRANSCRIPT_LINES)).text || '';
+    } catch (err) {
+      this._logger.warn(`[jobs] transcript of ${run.sessionId} unreadable: ${err.message}`);
+      return;
+    }
+    const dir = path.join(this.dir, job.id);
+    await fsp.mkdir(dir, { recursive: true });
+    await fsp.writeFile(path.join(dir, `${run.id}.txt`), text, { mode: 0o600 });
+    run.transcriptBytes = Buffer.byteLength(text);
+  }
+
+  /** Add a finished run to the job's history and drop the oldest past the cap. */
+  _record(job, run) {
+    const dir = path.join(this.dir, job.id);
+    const write = (this._runWrites.get(job.id) || Promise.resolve()).catch(() => {}).then(async () => {
+      if (!this.jobs.includes(job)) return;
+      const runs = [run, ...(await this._readRuns(job.id))];
+      const dropped = runs.splice(MAX_RUNS_KEPT);
+      await fsp.mkdir(dir, { recursive: true });
+      const tmp = path.join(dir, 'runs.json.tmp');
+      await fsp.writeFile(tmp, JSON.stringify({ runs }, null, 2), { mode: 0o600 });
+      await fsp.rename(tmp, path.join(dir, 'runs.json'));
+      for (const old of dropped) await fsp.rm(path.join(dir, `${old.id}.txt`), { force: true });
+      job.lastRun = { id: run.id, status: run.status, startedAt: run.startedAt, finishedAt: run.finishedAt };
+      await this._save();
+    }).catch((err) => {
+      this._logger.warn(`[jobs] could not record run ${run.id}: ${err.message}`);
+    });
+    this._runWrites.set(job.id, write);
+    return write;
+  }
+
+  async _readRuns(jobId) {
+    try {
+      const data = JSON.parse(await fsp.readFile(path.join(this.dir, jobId, 'runs.json'), 'utf8'));
+      return Array.isArray(data.runs) ? data.runs : [];
+    } catch (_) {
+      return [];
+    }
+  }
+
+  /** Run history, newest first, with the run in flight on top. */
+  async runs(jobId) {
+    this._find(jobId);
+    const running = this._running.get(jobId);
+    const done = await this._readRuns(jobId);
+    return running ? [running.run, ...done] : done;
+  }
+
+  /** The stored transcript of one finished run. */
+  async transcript(jobId, runId) {
+    this._find(jobId);
+    if (!/^run_[0-9a-f]+$/.test(String(runId))) throw jobError('RUN_NOT_FOUND', 'Unknown run');
+    try {
+      return await fsp.readFile(path.join(this.dir, jobId, `${runId}.txt`), 'utf8');
+    } catch (err) {
+      if (err.code === 'ENOENT') throw jobError('RUN_NOT_FOUND', 'No transcript for this run');
+      throw err;
+    }
+  }
+
+  _save() {
+    const text = JSON.stringify({ jobs: this.jobs }, null, 2);
+    this._saving = this._saving.catch(() => {}).then(async () => {
+      await fsp.mkdir(path.dirname(this.file), { recursive: true });
+      const tmp = `${this.file}.tmp`;
+      await fsp.writeFile(tmp, text, { mode: 0o600 });
+      await fsp.rename(tmp, this.file);
+    });
+    return this._saving;
+  }
+}
+
+module.exports = {
+  JobScheduler,
+  parseCron,
+  nextRun,
+  MAX_RUNS_KEPT,
+};
@@ -0,0 +1,52 @@
+const BaseBridge = require('./base-bridge');
+const { TRUST_PROMPT_REGEX } = require('./control/session-status');
+
+// Bridge for an agent described by a plugin manifest (~/.ai-or-die/agents/*.json,
+// validated by agent-registry.js) rather than a hand-written *-bridge.js. The
+// manifest supplies everything the built-in subclasses hard-code: discovery
+// paths, fixed args, the dangerous flag and, optionally, a trust prompt to
+// answer on the user's behalf.
+class ManifestBridge extends BaseBridge {
+  /**
+   * @param {object} manifest - A normalized manifest from agent-registry.js.
+   */
+  constructor(manifest) {
+    super(manifest.name, {
+      commandPaths: manifest.commandPaths,
+      defaultCommand: manifest.defaultCommand,
+      dangerousFlag: manifest.dangerousFlag,
+      autoAcceptTrust: !!manifest.trust,
+    });
+    this.manifest = manifest;
+    this._trustPromptHandled = new Map();
+  }
+
+  buildArgs(options = {}) {
+    const out = [...this.manifest.args];
+    if (options.dangerouslySkipPermissions && this.dangerousFlag) out.push(this.dangerousFlag);
+    return out;
+  }
+
+  // Same guard as ClaudeBridge: strip ANSI, require a numbered choice list as
+  // well as the prompt text, and answer once per session.
+  processOutput(sessionId, ptyProcess, dataBuffer) {
+    const trust = this.manifest.trust;
+    if (!trust || this._trustPromptHandled.get(sessionId)) return;
+    const plain = String(dataBuffer || '').replace(/\x1b\[[0-9;?]*[A-Za-z]/g, '');
+    const numbered = /\b1\.\s/.test(plain) && /\b2\.\s/.test(plain);
+    if (numbered && (trust.regex || TRUST_PROMPT_REGEX).test(plain)) {
+      this._trustPromptHandled.set(sessionId, true);
+      console.log(`Auto-accepting ${this.toolName} trust prompt for session ${sessionId}`);
+      setTimeout(() => {
+        try { ptyProcess.write(trust.keys); } catch (_) { /* pty may have exited */ }
+      }, 500);
+    }
+  }
+
+  async stopSession(sessionId) {
+    this._trustPromptHandled.delete(sessionId);
+    return super.stopSession(sessionId);
+  }
+}
+
+module.exports = ManifestBridge;
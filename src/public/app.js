@@ -253,6 +253,7 @@ class ClaudeCodeWebInterface {
         this._setupPwaStandaloneListener();
         this.setupUI();
         this._setupNotificationCapability();
+        this._setupPushToggle();
         if (this.voiceInputConfig) this.setupVoiceInput();
         this.setupPlanDetector();
         if (window.InputOverlay) {
@@ -303,6 +304,102 @@ class ClaudeCodeWebInterface {
             console.warn('[artifact-review] panel init failed:', e && e.message);
         }
 
+        // Replay viewer for --record session recordings. Built lazily on first
+        // open; absent when the script failed to load.
+        try {
+            if (typeof RecordingPlayer !== 'undefined') {
+                this.recordingPlayer = new RecordingPlayer(this);
+            }
+        } catch (e) {
+            console.warn('[recordings] player init failed:', e && e.message);
+        }
+
+        // Audit log viewer (GET /api/audit), opened from the command palette.
+        try {
+            if (typeof AuditViewer !== 'undefined') {
+                this.auditViewer = new AuditViewer(this);
+            }
+        } catch (e) {
+            console.warn('[audit] viewer init failed:', e && e.message);
+        }
+
+        // Usage history dashboard (GET /api/usage/history), from the palette.
+        try {
+            if (typeof UsageDashboard !== 'undefined') {
+                this.usageDashboard = new UsageDashboard(this);
+            }
+        } catch (e) {
+            console.warn('[usage] dashboard init failed:', e && e.message);
+        }
+
+        // Search over every session's indexed output (GET /api/sessions/search).
+        try {
+            if (typeof SessionSearch !== 'undefined') {
+                this.sessionSearch = new SessionSearch(this);
+            }
+        } catch (e) {
+            console.warn('[search] session search init failed:', e && e.message);
+        }
+
+        // Scheduled jobs (/api/jobs), from the palette.
+        try {
+            if (typeof JobsPanel !== 'undefined') {
+                this.jobsPanel = new JobsPanel(this);
+            }
+        } catch (e) {
+            console.warn('[jobs] panel init failed:', e && e.message);
+        }
+
+        // Prompt snippets (/api/snippets): palette, composer and library.
+        try {
+            if (typeof SnippetLibrary !== 'undefined') {
+                this.snippetLibrary = new SnippetLibrary(this);
+            }
+        } catch (e) {
+            console.warn('[snippets] library init failed:', e && e.message);
+        }
+
+        // Session templates (/api/templates): palette commands and the manager.
+        try {
+            if (typeof TemplateLibrary !== 'undefined') {
+                this.templateLibrary = new TemplateLibrary(this);
+            }
+        } catch (e) {
+            console.warn('[templates] library init failed:', e && e.message);
+        }
+
+        // Secret vault (/api/vault): unlock, manage and pick a tab's secrets.
+        try {
+            if (typeof VaultManager !== 'undefined') {
+                this.vaultManager = new VaultManager(this);
+            }
+        } catch (e) {
+            console.warn('[vault] manager init failed:', e && e.message);
+        }
+
+        // Vertical tab sidebar (tab groups, agent state, sticky-note titles).
+        try {
+            if (typeof TabSidebar !== 'undefined') {
+                this.tabSidebar = new TabSidebar(this);
+                this.tabSidebar.restore();
+            }
+        } catch (e) {
+            console.warn('[tabs] sidebar init failed:', e && e.message);
+        }
+
+        // Conversation view of the active Claude tab's transcript.
+        try {
+            if (typeof TranscriptView !== 'undefined') {
+                this.transcriptView = new TranscriptView(this);
+                this.transcriptView.restore();
+            }
+        } catch (e) {
+            console.warn('[transcript] view init failed:', e && e.message);
+        }
+
+        // Web Push subscription for this browser (settings toggle, tab mute).
+        this.pushClient = typeof PushClient !== 'undefined' ? new PushClient(this) : null;
+
         // Listen for service worker notification clicks (Windows Notification Center)
         if ('serviceWorker' in navigator) {
             navigator.serviceWorker.addEventListener('message', (event) => {
@@ -352,6 +449,11 @@ class ClaudeCodeWebInterface {
                 : this.sessionTabManager.tabs.keys().next().value;
             console.log('[Init] Switching to tab:', firstTabId);
             await this.sessionTabManager.switchToTab(firstTabId);
+            // Reopen this device's split layout, minus tabs closed while away
+            if (this.splitContainer) {
+                this.splitContainer.restoreLayout((id) => this.sessionTabManager.tabs.has(id))
+                    .catch((err) => console.error('[Init] Split layout restore failed:', err));
+            }
             // The session_joined handler decides the overlay state:
             // - Active session → hideOverlay()
             // - Inactive/new session → showOverlay('startPrompt') for tool selection
@@ -480,6 +582,10 @@ class ClaudeCodeWebInterface {
                 this.voiceInputConfig = cfg.voiceInput || null;
                 this._configPrerequisites = cfg.prerequisites || null;
                 this.hostname = cfg.hostname || '';
+                this.currentUser = cfg.user || null;
+                if (this.currentUser && this.currentUser.role === 'viewer' && window.feedback) {
+                    window.feedback.info(`Signed in as ${this.currentUser.name} (viewer): sessions are read-only`);
+                }
                 // Store baseFolder so first-run can auto-create a session
                 if (cfg.baseFolder) {
                     this.selectedWorkingDir = this.selectedWorkingDir || cfg.baseFolder;
@@ -492,6 +598,9 @@ class ClaudeCodeWebInterface {
         if (this.aliases && this.aliases[kind]) {
             return this.aliases[kind];
         }
+        if (this.tools && this.tools[kind] && this.tools[kind].alias) {
+            return this.tools[kind].alias;
+        }
         // Default aliases
         const defaults = {
             claude: 'Claude',
@@ -704,6 +813,36 @@ class ClaudeCodeWebInterface {
         }
     }
 
+    // Settings → Notifications → Push Notifications. The switch mirrors
+    // whether this browser holds a push subscription, not a stored setting.
+    _setupPushToggle() {
+        const toggle = document.getElementById('notifPush');
+        const status = document.getElementById('notifPushStatus');
+        if (!toggle) return;
+        const supported = !!(this.pushClient && window.PushClient.isSupported());
+        toggle.hidden = !supported;
+        if (status) {
+            status.hidden = supported;
+            status.textContent = supported ? '' : 'Push needs HTTPS and a browser with the Push API (on iOS, install the app first).';
+        }
+        if (!supported) return;
+        this.pushClient.refresh()
+            .catch((err) => console.warn('[push] refresh failed:', err && err.message))
+            .finally(() => { toggle.checked = this.pushClient.enabled; });
+        toggle.addEventListener('change', async () => {
+            toggle.disabled = true;
+            try {
+                if (toggle.checked) await this.pushClient.enable();
+                else await this.pushClient.disable();
+            } catch (err) {
+                if (window.feedback) window.feedback.error(`Push notifications: ${err.message}`);
+            } finally {
+                toggle.checked = this.pushClient.enabled;
+                toggle.disabled = false;
+            }
+        });
+    }
+
     sendEscape() {
         // Send ESC key to terminal
         if (this.socket && this.socket.readyState === WebSocket.OPEN) {
@@ -1579,6 +1718,8 @@ class ClaudeCodeWebInterface {
     /** Tell the server this browser has (or no longer has) a tab's card expanded. */
     _reportStickyActive(sessionId, active) {
         if (!sessionId) return;
+        // An expanded card starts the summariser, which a viewer may not do.
+        if (this.currentUser && this.currentUser.role === 'viewer') return;
         if (this.socket && this.socket.readyState === WebSocket.OPEN) {
             this.send({ type: 'set_sticky_active', sessionId, active: !!active });
         }
@@ -2581,7 +2722,12 @@ class ClaudeCodeWebInterface {
 
     send(data) {
         if (this.socket && this.socket.readyState === WebSocket.OPEN) {
-            this.socket.send(JSON.stringify(data));
+            // Broadcast mode: input typed into a tab in the broadcast set
+            // names the other tabs, and the server copies it to them.
+            const targets = data.type === 'input' && this.sessionTabManager
+                ? this.sessionTabManager.broadcastTargetsFor(this.currentClaudeSessionId)
+                : null;
+            this.socket.send(JSON.stringify(targets ? { ...data, broadcast: targets } : data));
         }
     }
 
@@ -3015,6 +3161,11 @@ class ClaudeCodeWebInterface {
                 });
                 break;
                 
+            case 'session_forked':
+                // Reply to our own fork_session (command palette).
+                if (this.sessionTabManager) this.sessionTabManager.openForkedSession(message);
+                break;
+
             case 'session_created':
                 this.currentClaudeSessionId = message.sessionId;
                 this.currentClaudeSessionName = message.sessionName;
@@ -3133,6 +3284,9 @@ class ClaudeCodeWebInterface {
                 if (this._artifactPanel) {
                     this._artifactPanel.notifyActiveSessionChanged(message.sessionId);
                 }
+                if (this.transcriptView) {
+                    this.transcriptView.notifyActiveSessionChanged(message.sessionId);
+                }
                 
                 // Update tab status
                 if (this.sessionTabManager) {
@@ -3350,60 +3504,18 @@ class ClaudeCodeWebInterface {
             case 'agent_started':
             case 'copilot_started':
             case 'gemini_started':
-            case 'terminal_started': {
-                this._toolStartPending = false;
-                if (this._startToolTimeout) { clearTimeout(this._startToolTimeout); this._startToolTimeout = null; }
-                this.hideOverlay();
-                // When the server enriches *_started with workingDir
-                // (SE's complementary change), seed the resolver-chain
-                // cache here too — belt-and-braces against any path
-                // where the client receives *_started before session_joined
-                // (e.g. reconnect-mid-tool flows). The map already has the
-                // value from session_created/joined; this is idempotent.
-                if (message.sessionId && message.workingDir && this._sessionWorkingDirs) {
-                    this._sessionWorkingDirs.set(message.sessionId, message.workingDir);
-                }
-                this.loadSessions();
-                this.requestUsageStats();
-                const startedTool = message.type.replace('_started', '');
-                if (this.sessionTabManager && this.currentClaudeSessionId) {
-                    this.sessionTabManager.updateTabStatus(this.currentClaudeSessionId, 'active');
-                    this.sessionTabManager.setTabToolType(this.currentClaudeSessionId, startedTool === 'agent' ? 'claude' : startedTool);
-                }
-                const srStarted = document.getElementById('srAnnounce');
-                if (srStarted) srStarted.textContent = `${this.getAlias(startedTool)} started`;
+            case 'terminal_started':
+                this.handleToolStarted(message, message.type.replace('_started', ''));
                 break;
-            }
 
             case 'claude_stopped':
             case 'codex_stopped':
             case 'agent_stopped':
             case 'copilot_stopped':
             case 'gemini_stopped':
-            case 'terminal_stopped': {
-                const stoppedTool = message.type.replace('_stopped', '');
-                this.terminal.writeln(`\r\n\x1b[33m${this.getAlias(stoppedTool)} stopped\x1b[0m`);
-                const srStopped = document.getElementById('srAnnounce');
-                if (srStopped) srStopped.textContent = `${this.getAlias(stoppedTool)} stopped`;
-                // If terminal was opened for installation, refresh config to pick up newly installed tools
-                if (this._pendingInstallToolId) {
-                    const pendingTool = this._pendingInstallToolId;
-                    this._pendingInstallToolId = null;
-                    this.refreshConfig().then(() => {
-                        // Auto-recheck the specific tool that was being installed
-                        fetch(`/api/tools/${pendingTool}/recheck`, { method: 'POST' })
-                            .then(r => r.json())
-                            .then(() => this.refreshConfig())
-                            .catch(() => {});
-                    });
-                }
-                this.showOverlay('startPrompt');
-                this.loadSessions();
-                if (this.sessionTabManager && this.currentClaudeSessionId) {
-                    this.sessionTabManager.updateTabStatus(this.currentClaudeSessionId, 'idle');
-                }
+            case 'terminal_stopped':
+                this.handleToolStopped(message.type.replace('_stopped', ''));
                 break;
-            }
                 
             case 'output':
                 // Drain queued binary FIRST. Binary output defers to the next
@@ -3439,6 +3551,12 @@ class ClaudeCodeWebInterface {
                 break;
                 
             case 'error':
+                // A viewer (read-only role) tried to type or start something;
+                // that is not a session failure.
+                if (message.code === 'forbidden') {
+                    if (window.feedback) window.feedback.warning(message.message);
+                    break;
+                }
                 this._toolStartPending = false;
                 if (this._startToolTimeout) { clearTimeout(this._startToolTimeout); this._startToolTimeout = null; }
                 this.showError(message.message);
@@ -3449,6 +3567,10 @@ class ClaudeCodeWebInterface {
                 }
                 break;
                 
+            case 'broadcast_skipped':
+                if (this.sessionTabManager) this.sessionTabManager.dropBroadcastTargets(message.sessionIds, message.message);
+                break;
+
             case 'info':
                 // Info message - show the start prompt if Claude is not running
                 if (message.message.includes('not running')) {
@@ -3495,6 +3617,10 @@ class ClaudeCodeWebInterface {
                 this._handleStickyNoteUpdate(message);
                 break;
 
+            case 'session_groups':
+                this.sessionTabManager?.applyGroups(message);
+                break;
+
             case 'artifact_review_opened':
                 if (this._artifactPanel) this._artifactPanel.open(message);
                 break;
@@ -3681,6 +3807,47 @@ class ClaudeCodeWebInterface {
                 }
                 break;
 
+            // Approval policy could not answer a prompt (escalate, dry run, or
+            // delivery failed): someone has to look at that tab.
+            case 'session_approval_needed':
+                if (this.sessionTabManager && message.sessionId &&
+                    message.sessionId !== this.currentClaudeSessionId) {
+                    const rule = message.rule ? `rule "${message.rule}"` : 'no matching rule';
+                    let label = `Escalated by the approval policy (${rule})`;
+                    if (message.decision !== 'escalate') {
+                        label = message.dryRun
+                            ? `Dry run: the policy would ${message.decision} (${rule})`
+                            : `The policy could not ${message.decision} this prompt (${rule})`;
+                    }
+                    this.sessionTabManager.sendNotification({
+                        title: `${message.sessionName || 'Session'} \u2014 approval needed`,
+                        body: label,
+                        sessionId: message.sessionId,
+                        type: 'approval',
+                    });
+                }
+                break;
+
+            // A usage budget (~/.ai-or-die/budgets.json) crossed a threshold.
+            // Shown on every tab, including the one that is spending.
+            case 'budget_alert':
+                if (window.feedback) {
+                    const used = [];
+                    if (message.maxCost) used.push(`$${message.cost.toFixed(2)} of $${message.maxCost}`);
+                    if (message.maxTokens) used.push(`${message.tokens.toLocaleString()} of ${message.maxTokens.toLocaleString()} tokens`);
+                    let text = `Budget "${message.budget}"${message.sessionName ? ` (${message.sessionName})` : ''}: ` +
+                        `${Math.round(message.fraction * 100)}% used, ${used.join(', ')}`;
+                    if (message.interrupted && message.interrupted.length) {
+                        text += ` \u2014 interrupted ${message.interrupted.length} session(s)`;
+                    }
+                    if (message.exceeded) {
+                        window.feedback.error(text, { duration: 0 });
+                    } else {
+                        window.feedback.warning(text);
+                    }
+                }
+                break;
+
             case 'session_started':
                 if (this.sessionTabManager && message.sessionId &&
                     message.sessionId !== this.currentClaudeSessionId) {
@@ -3755,8 +3922,64 @@ class ClaudeCodeWebInterface {
                 }, 60000);
                 break;
 
-            default:
+            default: {
+                // Plugin agents (see /api/config tools) use the same
+                // <tool>_started / <tool>_stopped pair as the built-ins.
+                const toolEvent = /^([a-z][a-z0-9-]*)_(started|stopped)$/.exec(message.type);
+                if (toolEvent && this.tools && this.tools[toolEvent[1]]) {
+                    if (toolEvent[2] === 'started') this.handleToolStarted(message, toolEvent[1]);
+                    else this.handleToolStopped(toolEvent[1]);
+                    break;
+                }
                 console.log('Unknown message type:', message.type);
+            }
+        }
+    }
+
+    // <tool>_started / <tool>_stopped, for built-in agents and plugins alike.
+    handleToolStarted(message, startedTool) {
+        this._toolStartPending = false;
+        if (this._startToolTimeout) { clearTimeout(this._startToolTimeout); this._startToolTimeout = null; }
+        this.hideOverlay();
+        // When the server enriches *_started with workingDir
+        // (SE's complementary change), seed the resolver-chain
+        // cache here too — belt-and-braces against any path
+        // where the client receives *_started before session_joined
+        // (e.g. reconnect-mid-tool flows). The map already has the
+        // value from session_created/joined; this is idempotent.
+        if (message.sessionId && message.workingDir && this._sessionWorkingDirs) {
+            this._sessionWorkingDirs.set(message.sessionId, message.workingDir);
+        }
+        this.loadSessions();
+        this.requestUsageStats();
+        if (this.sessionTabManager && this.currentClaudeSessionId) {
+            this.sessionTabManager.updateTabStatus(this.currentClaudeSessionId, 'active');
+            this.sessionTabManager.setTabToolType(this.currentClaudeSessionId, startedTool === 'agent' ? 'claude' : startedTool);
+        }
+        const srStarted = document.getElementById('srAnnounce');
+        if (srStarted) srStarted.textContent = `${this.getAlias(startedTool)} started`;
+    }
+
+    handleToolStopped(stoppedTool) {
+        this.terminal.writeln(`\r\n\x1b[33m${this.getAlias(stoppedTool)} stopped\x1b[0m`);
+        const srStopped = document.getElementById('srAnnounce');
+        if (srStopped) srStopped.textContent = `${this.getAlias(stoppedTool)} stopped`;
+        // If terminal was opened for installation, refresh config to pick up newly installed tools
+        if (this._pendingInstallToolId) {
+            const pendingTool = this._pendingInstallToolId;
+            this._pendingInstallToolId = null;
+            this.refreshConfig().then(() => {
+                // Auto-recheck the specific tool that was being installed
+                fetch(`/api/tools/${pendingTool}/recheck`, { method: 'POST' })
+                    .then(r => r.json())
+                    .then(() => this.refreshConfig())
+                    .catch(() => {});
+            });
+        }
+        this.showOverlay('startPrompt');
+        this.loadSessions();
+        if (this.sessionTabManager && this.currentClaudeSessionId) {
+            this.sessionTabManager.updateTabStatus(this.currentClaudeSessionId, 'idle');
         }
     }
 
@@ -3804,10 +4027,20 @@ class ClaudeCodeWebInterface {
                 return 0;
             });
 
+        // Escape server-provided text (aliases, plugin descriptions) to prevent XSS
+        const escapeHtml = (text) => String(text || '').replace(/[&<>"']/g, c =>
+            ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+
         let cardIndex = 0;
         let addedDivider = false;
         for (const [toolId, tool] of sortedEntries) {
-            const meta = toolMeta[toolId] || {
+            // Agent plugins describe themselves; icon.color is validated as hex server-side.
+            const pluginMeta = tool.plugin && tool.icon ? {
+                icon: `<span class="tool-card-label">${escapeHtml(tool.icon.label)}</span>`,
+                gradient: tool.icon.color || 'linear-gradient(135deg, #6b7280, #4b5563)',
+                desc: escapeHtml(tool.description),
+            } : null;
+            const meta = toolMeta[toolId] || pluginMeta || {
                 icon: '<svg width="22" height="22" viewBox="0 0 24 24" fill="none" stroke="#fff" stroke-width="2"><circle cx="12" cy="12" r="10"/><path d="M9.09 9a3 3 0 0 1 5.83 1c0 2-3 3-3 3"/><line x1="12" y1="17" x2="12.01" y2="17"/></svg>',
                 gradient: 'linear-gradient(135deg, #6b7280, #4b5563)',
                 desc: '',
@@ -3825,16 +4058,14 @@ class ClaudeCodeWebInterface {
                 }
             }
 
-            const isInstallable = !tool.available && toolId !== 'terminal';
+            const isInstallable = !tool.available && !!tool.install;
             const card = document.createElement('div');
             card.className = 'tool-card' + (tool.available ? '' : (isInstallable ? ' installable' : ' disabled'));
             card.dataset.tool = toolId;
             card.style.animationDelay = `calc(var(--duration-fast) * ${cardIndex / 3})`;
             card.classList.add('tool-card-enter');
 
-            // Escape alias to prevent XSS from server-provided config
-            const safeAlias = (tool.alias || '').replace(/[&<>"']/g, c =>
-                ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+            const safeAlias = escapeHtml(tool.alias);
 
             if (tool.available) {
                 card.setAttribute('tabindex', '0');
@@ -4479,11 +4710,7 @@ class ClaudeCodeWebInterface {
                     return {
                         terminal: split.terminal,
                         socket: split.socket,
-                        sendFn: (data) => {
-                            if (split.socket && split.socket.readyState === WebSocket.OPEN) {
-                                split.socket.send(JSON.stringify({ type: 'input', data }));
-                            }
-                        }
+                        sendFn: (data) => split.send({ type: 'input', data })
                     };
                 }
             }
@@ -6431,11 +6658,13 @@ class ClaudeCodeWebInterface {
 
         document.getElementById('sessionName').value = '';
         document.getElementById('sessionWorkingDir').value = '';
+        document.getElementById('sessionWorktree').checked = false;
     }
     
     async createNewSession() {
         const name = document.getElementById('sessionName').value.trim() || `Session ${new Date().toLocaleString()}`;
         const workingDir = document.getElementById('sessionWorkingDir').value.trim() || this.selectedWorkingDir;
+        const worktree = document.getElementById('sessionWorktree').checked;
         
         if (!workingDir) {
             this.showError('Please select a working directory first');
@@ -6446,10 +6675,18 @@ class ClaudeCodeWebInterface {
             const response = await this.authFetch('/api/sessions/create', {
                 method: 'POST',
                 headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ name, workingDir })
+                body: JSON.stringify({ name, workingDir, worktree })
             });
             
-            if (!response.ok) throw new Error('Failed to create session');
+            if (!response.ok) {
+                // Worktree failures (not a repo, git error) are worth showing as-is.
+                const body = await response.json().catch(() => ({}));
+                if (worktree && body.code) {
+                    this.showError(`Failed to create worktree session: ${body.error}`);
+                    return;
+                }
+                throw new Error('Failed to create session');
+            }
             
             const data = await response.json();
             
@@ -6458,7 +6695,8 @@ class ClaudeCodeWebInterface {
 
             // Add tab for the new session
             if (this.sessionTabManager) {
-                this.sessionTabManager.addTab(data.sessionId, name, 'idle', workingDir);
+                this.sessionTabManager.addTab(data.sessionId, name, 'idle', data.session.workingDir);
+                this.sessionTabManager.setTabWorktree(data.sessionId, data.session.worktree);
                 // switchToTab will handle joining the session
                 await this.sessionTabManager.switchToTab(data.sessionId);
             } else {
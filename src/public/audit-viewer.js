@@ -0,0 +1,194 @@
+'use strict';
+
+// Audit log viewer: a read-only table over GET /api/audit with user, action
+// and transport filters. Newest entries first; "Load more" widens the page
+// (the server caps a page at 1000 entries).
+
+(function () {
+  const PAGE = 200;
+  const MAX_LIMIT = 1000;
+  const TRANSPORTS = ['localhost', 'lan', 'tunnel', 'mesh', 'proxy'];
+
+  /**
+   * Query string for GET /api/audit; empty filters are dropped.
+   * @param {{user?: string, action?: string, transport?: string, sessionId?: string}} filters
+   * @param {number} limit
+   * @returns {string}
+   */
+  function buildQuery(filters, limit) {
+    const params = new URLSearchParams();
+    for (const key of ['user', 'action', 'transport', 'sessionId']) {
+      const value = filters && filters[key] ? String(filters[key]).trim() : '';
+      if (value) params.set(key, value);
+    }
+    params.set('limit', String(limit));
+    return params.toString();
+  }
+
+  /**
+   * One-line summary of what an entry did, for the "Details" column.
+   * @param {object} entry
+   * @returns {string}
+   */
+  function describeEntry(entry) {
+    const parts = [];
+    if (entry.name) parts.push(`"${entry.name}"`);
+    if (entry.path) parts.push(entry.path);
+    if (entry.agent) parts.push(entry.agent);
+    if (entry.via) parts.push(`via ${entry.via}`);
+    if (entry.mode) parts.push(entry.mode);
+    if (entry.choice) parts.push(`choice ${entry.choice}`);
+    if (entry.decision) parts.push(`${entry.dryRun ? 'would ' : ''}${entry.decision}${entry.rule ? ` (${entry.rule})` : ''}`);
+    if (entry.budget) parts.push(`budget "${entry.budget}"`);
+    if (entry.optionValue != null) parts.push(`option ${entry.optionValue}`);
+    if (typeof entry.keys === 'number') parts.push(`${entry.keys} key${entry.keys === 1 ? '' : 's'}`);
+    if (typeof entry.messages === 'number') parts.push(`${entry.messages} message${entry.messages === 1 ? '' : 's'}`);
+    if (typeof entry.bytes === 'number') parts.push(`${entry.bytes} B`);
+    if (entry.sessionId) parts.push(`session ${String(entry.sessionId).slice(0, 8)}`);
+    return parts.join(' · ');
+  }
+
+  function el(tag, attrs, children) {
+    const node = document.createElement(tag);
+    if (attrs) {
+      for (const k of Object.keys(attrs)) {
+        if (k === 'class') node.className = attrs[k];
+        else if (k === 'text') node.textContent = attrs[k];
+        else node.setAttribute(k, attrs[k]);
+      }
+    }
+    (children || []).forEach((c) => node.appendChild(c));
+    return node;
+  }
+
+  class AuditViewer {
+    constructor(app) {
+      this.app = app;
+      this.el = null;
+      this.limit = PAGE;
+      this._onKeydown = (e) => {
+        if (this.isOpen() && e.key === 'Escape') this.close();
+      };
+    }
+
+    isOpen() {
+      return !!(this.el && this.el.classList.contains('active'));
+    }
+
+    _fetch(url, opts) {
+      if (this.app && typeof this.app.authFetch === 'function') return this.app.authFetch(url, opts);
+      return fetch(url, opts);
+    }
+
+    async open() {
+      this._mount();
+      this.el.classList.add('active');
+      if (window.focusTrap) window.focusTrap.activate(this.el);
+      this.limit = PAGE;
+      await this.refresh();
+    }
+
+    close() {
+      if (this.el) this.el.classList.remove('active');
+      if (window.focusTrap) window.focusTrap.deactivate();
+    }
+
+    _filters() {
+      const value = (sel) => this.el.querySelector(sel).value;
+      return {
+        user: value('.audit-filter-user'),
+        action: value('.audit-filter-action'),
+        transport: value('.audit-filter-transport'),
+      };
+    }
+
+    async refresh() {
+      const status = this.el.querySelector('.audit-status');
+      status.textContent = 'Loading…';
+      try {
+        const res = await this._fetch(`/api/audit?${buildQuery(this._filters(), this.limit)}`);
+        if (!res.ok) throw new Error(`HTTP ${res.status}`);
+        const body = await res.json();
+        this._render(body.entries || [], !!body.hasMore);
+      } catch (err) {
+        status.textContent = `Could not load the audit log: ${err.message}`;
+      }
+    }
+
+    _render(entries, hasMore) {
+      const tbody = this.el.querySelector('.audit-table tbody');
+      tbody.textContent = '';
+      for (const entry of entries) {
+        tbody.appendChild(el('tr', null, [
+          el('td', { class: 'audit-time', text: new Date(entry.ts).toLocaleString() }),
+          el('td', { text: entry.user || '—' }),
+          el('td', { text: entry.transport || '—' }),
+          el('td', { class: 'audit-action', text: entry.action }),
+          el('td', { class: 'audit-details', text: describeEntry(entry) }),
+        ]));
+      }
+      this.el.querySelector('.audit-status').textContent = entries.length
+        ? `${entries.length} entr${entries.length === 1 ? 'y' : 'ies'}${hasMore ? ' (more available)' : ''}`
+        : 'No matching entries.';
+      this.el.querySelector('.audit-more').style.display = hasMore && this.limit < MAX_LIMIT ? '' : 'none';
+    }
+
+    _mount() {
+      if (this.el) return;
+      const closeBtn = el('button', { class: 'close-btn', 'aria-label': 'Close audit log', title: 'Close' });
+      closeBtn.textContent = '×';
+      closeBtn.addEventListener('click', () => this.close());
+
+      const user = el('input', { class: 'audit-filter-user', type: 'text', placeholder: 'User', 'aria-label': 'Filter by user' });
+      const action = el('input', { class: 'audit-filter-action', type: 'text', placeholder: 'Action (e.g. session, file.write)', 'aria-label': 'Filter by action' });
+      const transport = el('select', { class: 'audit-filter-transport', 'aria-label': 'Filter by transport' },
+        [el('option', { value: '', text: 'Any transport' })].concat(TRANSPORTS.map((t) => el('option', { value: t, text: t }))));
+      const apply = el('button', { class: 'btn btn-primary', text: 'Filter' });
+      const run = () => { this.limit = PAGE; this.refresh(); };
+      apply.addEventListener('click', run);
+      transport.addEventListener('change', run);
+      [user, action].forEach((input) => input.addEventListener('keydown', (e) => { if (e.key === 'Enter') run(); }));
+
+      const more = el('button', { class: 'btn btn-secondary audit-more', text: 'Load more' });
+      more.style.display = 'none';
+      more.addEventListener('click', () => {
+        this.limit = Math.min(MAX_LIMIT, this.limit + PAGE);
+        this.refresh();
+      });
+
+      const table = el('table', { class: 'audit-table' }, [
+        el('thead', null, [el('tr', null, ['Time', 'User', 'Transport', 'Action', 'Details'].map((h) => el('th', { text: h })))]),
+        el('tbody'),
+      ]);
+
+      this.el = el('div', { class: 'audit-viewer-modal', role: 'dialog', 'aria-modal': 'true', 'aria-labelledby': 'auditViewerHeading' }, [
+        el('div', { class: 'modal-content' }, [
+          el('div', { class: 'modal-header' }, [
+            el('h2', { id: 'auditViewerHeading', text: 'Audit Log' }),
+            closeBtn,
+          ]),
+          el('div', { class: 'audit-filters' }, [user, action, transport, apply]),
+          el('div', { class: 'modal-body' }, [
+            table,
+            el('div', { class: 'audit-footer' }, [el('span', { class: 'audit-status' }), more]),
+          ]),
+        ]),
+      ]);
+      this.el.addEventListener('click', (e) => { if (e.target === this.el) this.close(); });
+      document.addEventListener('keydown', this._onKeydown);
+      document.body.appendChild(this.el);
+    }
+
+    destroy() {
+      document.removeEventListener('keydown', this._onKeydown);
+      if (this.el && this.el.parentNode) this.el.parentNode.removeChild(this.el);
+      this.el = null;
+    }
+  }
+
+  AuditViewer.buildQuery = buildQuery;
+  AuditViewer.describeEntry = describeEntry;
+
+  if (typeof module !== 'undefined' && module.exports) module.exports = AuditViewer;
+  if (typeof window !== 'undefined') window.AuditViewer = AuditViewer;
+})();
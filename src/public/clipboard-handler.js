@@ -20,6 +20,25 @@ function wrapBracketedPaste(text) {
   return '\x1b[200~' + text + '\x1b[201~';
 }
 
+/**
+ * Terminal input for text typed or pasted in from outside xterm (the
+ * type-ahead composer, snippets).
+ * With bracketed paste on, the text goes in as one paste. Without it, a
+ * newline would run each line, so an insert collapses newlines to spaces.
+ * `submit` presses Enter after the text.
+ * @param {string} text
+ * @param {boolean} bracketed - terminal.modes.bracketedPasteMode
+ * @param {boolean} [submit]
+ * @returns {string}
+ */
+function encodePaste(text, bracketed, submit) {
+  if (submit) {
+    var normalized = normalizeLineEndings(text);
+    return (bracketed ? wrapBracketedPaste(normalized) : normalized) + '\r';
+  }
+  return bracketed ? wrapBracketedPaste(normalizeLineEndings(text)) : text.replace(/[\r\n]+/g, ' ');
+}
+
 /**
  * Show a brief "Copied" feedback indicator via inline badge callback.
  * Decoupled from DOM — app.js wires window.showCopiedFeedback to the badge.
@@ -96,6 +115,7 @@ function attachClipboardHandler(terminal, sendFn) {
 // Attach utility functions as static properties for use by context menu
 attachClipboardHandler.normalizeLineEndings = normalizeLineEndings;
 attachClipboardHandler.wrapBracketedPaste = wrapBracketedPaste;
+attachClipboardHandler.encodePaste = encodePaste;
 attachClipboardHandler.showCopiedToast = showCopiedToast;
 
 // Browser: expose on window
@@ -105,5 +125,5 @@ if (typeof window !== 'undefined') {
 
 // Node.js: CommonJS export for unit testing
 if (typeof module !== 'undefined' && module.exports) {
-  module.exports = { attachClipboardHandler, normalizeLineEndings, wrapBracketedPaste, showCopiedToast };
+  module.exports = { attachClipboardHandler, normalizeLineEndings, wrapBracketedPaste, encodePaste, showCopiedToast };
 }
@@ -7,6 +7,8 @@ class CommandPaletteManager {
   constructor() {
     this.ninja = null;
     this.app = null;
+    this._workspaces = [];
+    this._workspacesLoading = false;
     // Wait for both DOM and ninja-keys custom element to be defined
     if (document.readyState === 'loading') {
       document.addEventListener('DOMContentLoaded', () => this._init());
@@ -97,11 +99,52 @@ class CommandPaletteManager {
   _bindActions() {
     // Re-bind whenever the palette is opened so session list is fresh
     if (this.ninja) {
-      this.ninja.addEventListener('open', () => this.refreshActions());
+      this.ninja.addEventListener('open', () => {
+        this.refreshActions();
+        this._loadWorkspaces();
+        this._loadSnippets();
+        this._loadTemplates();
+      });
     }
     this.refreshActions();
   }
 
+  // Workspace profiles live on the server. Fetch them in the background and
+  // re-render the palette only when the list actually changed.
+  _loadWorkspaces() {
+    const app = window.app;
+    if (!app || typeof app.authFetch !== 'function' || this._workspacesLoading) return;
+    this._workspacesLoading = true;
+    app.authFetch('/api/workspaces')
+      .then((res) => (res.ok ? res.json() : { workspaces: [] }))
+      .then((data) => {
+        const next = Array.isArray(data.workspaces) ? data.workspaces : [];
+        const changed = JSON.stringify(next) !== JSON.stringify(this._workspaces);
+        this._workspaces = next;
+        if (changed) this.refreshActions();
+      })
+      .catch(() => { /* palette works without workspaces */ })
+      .finally(() => { this._workspacesLoading = false; });
+  }
+
+  // Snippets are cached by the snippet library; refresh them the same way.
+  _loadSnippets() {
+    const library = window.app && window.app.snippetLibrary;
+    if (!library) return;
+    library.load()
+      .then((changed) => { if (changed) this.refreshActions(); })
+      .catch(() => { /* palette works without snippets */ });
+  }
+
+  // Templates are cached by the template library, like snippets.
+  _loadTemplates() {
+    const library = window.app && window.app.templateLibrary;
+    if (!library) return;
+    library.load()
+      .then((changed) => { if (changed) this.refreshActions(); })
+      .catch(() => { /* palette works without templates */ });
+  }
+
   refreshActions() {
     if (!this.ninja) return;
     const app = window.app;
@@ -127,6 +170,17 @@ class CommandPaletteManager {
       }
     }
 
+    // --- Search across session output ---
+    actions.push({
+      id: 'search-session-output',
+      title: 'Search Session Output',
+      description: 'Find text printed by any session, including closed ones, and jump to it',
+      section: 'Sessions',
+      handler: () => {
+        if (app.sessionSearch) app.sessionSearch.open();
+      }
+    });
+
     // --- New session ---
     actions.push({
       id: 'new-session',
@@ -154,6 +208,187 @@ class CommandPaletteManager {
       }
     });
 
+    // --- New session in a git worktree ---
+    actions.push({
+      id: 'new-session-worktree',
+      title: 'New Session in Git Worktree',
+      description: 'New tab on its own branch, checked out from the current tab\'s repository',
+      section: 'Sessions',
+      handler: () => {
+        const app = window.app;
+        if (app && app.sessionTabManager) {
+          app.sessionTabManager.quickCreateSession({ worktree: true });
+        }
+      }
+    });
+
+    // --- Broadcast input ---
+    if (app.sessionTabManager) {
+      const tabs = app.sessionTabManager;
+      const current = app.currentClaudeSessionId;
+      if (tabs.tabs.size > 1) {
+        actions.push({
+          id: 'broadcast-all-tabs',
+          title: 'Broadcast Input to All Tabs',
+          description: 'Type once, send to every open session',
+          section: 'Sessions',
+          handler: () => tabs.setBroadcast(tabs.getOrderedTabIds()),
+        });
+      }
+      if (current && tabs.tabs.size > 1) {
+        const included = tabs.broadcastIds.has(current);
+        actions.push({
+          id: 'broadcast-toggle-tab',
+          title: included ? 'Remove Current Tab from Broadcast' : 'Add Current Tab to Broadcast',
+          description: 'Alt+click a tab to do the same for any tab',
+          section: 'Sessions',
+          handler: () => tabs.toggleBroadcast(current),
+        });
+      }
+      if (tabs.broadcastIds.size > 1) {
+        actions.push({
+          id: 'broadcast-stop',
+          title: 'Stop Broadcast',
+          description: `Stop sending input to ${tabs.broadcastIds.size} tabs at once`,
+          section: 'Sessions',
+          handler: () => tabs.stopBroadcast(),
+        });
+      }
+    }
+
+    // --- Split view ---
+    const splits = app.splitContainer;
+    if (splits && app.sessionTabManager) {
+      const shown = splits.enabled ? splits.splits.map((s) => s.sessionId) : [app.currentClaudeSessionId];
+      const next = app.sessionTabManager.getOrderedTabIds().find((id) => !shown.includes(id));
+      if (next) {
+        actions.push({
+          id: 'split-pane-right',
+          title: 'Split Pane Right',
+          description: 'Open the next tab beside the current pane (or drag a tab onto a pane)',
+          section: 'Sessions',
+          handler: () => splits.addPane(next, 'right'),
+        });
+        if (splits.enabled) {
+          actions.push({
+            id: 'split-pane-down',
+            title: 'Split Pane Down',
+            description: 'Open the next tab below the current pane',
+            section: 'Sessions',
+            handler: () => splits.addPane(next, 'down'),
+          });
+        }
+      }
+      if (splits.enabled) {
+        actions.push({
+          id: 'split-close-pane',
+          title: 'Close Pane',
+          description: `Close the focused pane (${splits.splits.length} open)`,
+          section: 'Sessions',
+          handler: () => splits.closePane(splits.activeSplitIndex),
+        });
+      }
+    }
+
+    // --- Tab groups ---
+    if (app.sessionTabManager && app.sessionTabManager.tabs.size > 1) {
+      actions.push({
+        id: 'tabs-group-by-repo',
+        title: 'Group Tabs by Repository',
+        description: 'Put the tabs of each repository with two or more tabs into a group',
+        section: 'Sessions',
+        handler: () => app.sessionTabManager.groupTabsByRepo(),
+      });
+    }
+    if (app.tabSidebar && !app.isMobile) {
+      actions.push({
+        id: 'tabs-toggle-sidebar',
+        title: app.tabSidebar.open ? 'Hide Tab Sidebar' : 'Show Tab Sidebar',
+        description: 'List tabs down the side, by group, with each agent\'s state',
+        section: 'Sessions',
+        handler: () => app.tabSidebar.toggle(),
+      });
+    }
+    if (app.transcriptView) {
+      actions.push({
+        id: 'transcript-toggle-view',
+        title: app.transcriptView.open ? 'Hide Conversation' : 'Show Conversation',
+        description: 'Read this Claude tab\'s transcript as turns, with tool calls, diffs and tokens',
+        section: 'Sessions',
+        handler: () => app.transcriptView.toggle(),
+      });
+    }
+
+    // --- Workspace profiles ---
+    this._workspaces.forEach((ws) => {
+      actions.push({
+        id: `workspace-${ws.name}`,
+        title: `Open Workspace: ${ws.name}`,
+        description: ws.error
+          ? `Invalid profile: ${ws.error}`
+          : (ws.description || `Open ${ws.tabs} tab${ws.tabs === 1 ? '' : 's'}`),
+        section: 'Workspaces',
+        handler: () => {
+          if (ws.error) {
+            if (window.feedback) window.feedback.error(ws.error);
+            return;
+          }
+          if (app.sessionTabManager) app.sessionTabManager.openWorkspace(ws.name);
+        }
+      });
+    });
+
+    // --- Prompt snippets ---
+    if (app.snippetLibrary) {
+      app.snippetLibrary.snippets.forEach((snippet) => {
+        actions.push({
+          id: `snippet-${snippet.scope}-${snippet.id}`,
+          title: `Insert Snippet: ${snippet.name}`,
+          description: snippet.description || (snippet.scope === 'workspace' ? 'Workspace snippet' : 'My snippet'),
+          section: 'Snippets',
+          handler: () => app.snippetLibrary.insert(snippet),
+        });
+      });
+      actions.push({
+        id: 'open-snippet-library',
+        title: 'Open Snippet Library',
+        description: 'Add, edit, import or export reusable prompts with {{variables}}',
+        section: 'Snippets',
+        handler: () => app.snippetLibrary.open(),
+      });
+    }
+
+    // --- Session templates ---
+    if (app.templateLibrary) {
+      app.templateLibrary.templates.forEach((template) => {
+        actions.push({
+          id: `template-${template.id}`,
+          title: `New Session from Template: ${template.name}`,
+          description: template.description || TemplateLibrary.describeTemplate(template),
+          section: 'Templates',
+          handler: () => app.templateLibrary.start(template),
+        });
+      });
+      actions.push({
+        id: 'open-template-library',
+        title: 'Open Session Templates',
+        description: 'Save agent, environment, arguments, instructions and a first prompt for new tabs',
+        section: 'Templates',
+        handler: () => app.templateLibrary.open(),
+      });
+    }
+
+    // --- Secret vault ---
+    if (app.vaultManager) {
+      actions.push({
+        id: 'open-secret-vault',
+        title: 'Open Secret Vault',
+        description: 'Unlock the vault, add API keys and choose which ones this tab starts with',
+        section: 'Sessions',
+        handler: () => app.vaultManager.open(),
+      });
+    }
+
     // --- Close current session ---
     actions.push({
       id: 'close-session',
@@ -182,6 +417,90 @@ class CommandPaletteManager {
       }
     });
 
+    // --- Fork session (over the WebSocket; answered with session_forked) ---
+    actions.push({
+      id: 'fork-session',
+      title: 'Fork Session',
+      description: 'Clone the current agent into a new tab with the same folder and context',
+      section: 'Sessions',
+      handler: () => app.send({ type: 'fork_session' })
+    });
+
+    actions.push({
+      id: 'fork-session-worktree',
+      title: 'Fork Session into Git Worktree',
+      description: 'Clone the current agent onto a new branch in its own git worktree',
+      section: 'Sessions',
+      handler: () => app.send({ type: 'fork_session', worktree: true })
+    });
+
+    // --- Session export (GET /api/sessions/:id/export) ---
+    if (app.currentClaudeSessionId && app.sessionTabManager) {
+      [['md', 'Markdown'], ['html', 'HTML'], ['json', 'JSON']].forEach(([format, label]) => {
+        actions.push({
+          id: `export-session-${format}`,
+          title: `Export Session as ${label}`,
+          description: 'Sticky note, conversation, changed files and usage, with secrets redacted',
+          section: 'Sessions',
+          handler: () => app.sessionTabManager.exportSession(app.currentClaudeSessionId, format),
+        });
+      });
+    }
+
+    // --- Session recordings ---
+    actions.push({
+      id: 'replay-session',
+      title: 'Replay Session Recording',
+      description: 'Play back a recording of the current session',
+      section: 'Sessions',
+      handler: () => {
+        if (app.recordingPlayer) app.recordingPlayer.open(app.currentClaudeSessionId);
+      }
+    });
+
+    actions.push({
+      id: 'replay-all-sessions',
+      title: 'Browse All Recordings',
+      description: 'List recordings from every session, including closed ones',
+      section: 'Sessions',
+      handler: () => {
+        if (app.recordingPlayer) app.recordingPlayer.open();
+      }
+    });
+
+    // --- Audit log ---
+    actions.push({
+      id: 'open-audit-log',
+      title: 'Open Audit Log',
+      description: 'Who created, stopped or typed into sessions and wrote files, and from where',
+      section: 'Server',
+      handler: () => {
+        if (app.auditViewer) app.auditViewer.open();
+      }
+    });
+
+    // --- Usage dashboard ---
+    actions.push({
+      id: 'open-usage-dashboard',
+      title: 'Open Usage Dashboard',
+      description: 'Token and cost history by day or week, per model and project, with CSV export',
+      section: 'Server',
+      handler: () => {
+        if (app.usageDashboard) app.usageDashboard.open();
+      }
+    });
+
+    // --- Scheduled jobs ---
+    actions.push({
+      id: 'open-scheduled-jobs',
+      title: 'Open Scheduled Jobs',
+      description: 'Cron-scheduled agent prompts with run history, transcripts and run now',
+      section: 'Server',
+      handler: () => {
+        if (app.jobsPanel) app.jobsPanel.open();
+      }
+    });
+
     // --- Restart Dev Tunnel ---
     actions.push({
       id: 'restart-tunnel',
@@ -278,6 +597,19 @@ class CommandPaletteManager {
       }
     });
 
+    actions.push({
+      id: 'git-source-control',
+      title: 'Source Control',
+      description: 'Stage, commit, switch branches and browse history in the file browser',
+      section: 'Actions',
+      handler: () => {
+        const panel = app._ensureFileBrowser ? app._ensureFileBrowser() : app._fileBrowserPanel;
+        if (!panel) return;
+        if (!panel.isOpen()) panel.open();
+        if (typeof panel.toggleGitPanel === 'function') panel.toggleGitPanel();
+      }
+    });
+
     actions.push({
       id: 'upload-file',
       title: 'Upload File',
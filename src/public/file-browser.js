@@ -462,6 +462,15 @@
     searchBtn.addEventListener('click', this._toggleSearch.bind(this));
     header.appendChild(searchBtn);
 
+    // Source control (git-panel.js)
+    var gitBtn = document.createElement('button');
+    gitBtn.className = 'fb-header-btn';
+    gitBtn.title = 'Source control';
+    gitBtn.setAttribute('aria-label', 'Toggle source control');
+    gitBtn.innerHTML = window.icons ? window.icons.gitBranch(14) : 'G';
+    gitBtn.addEventListener('click', this.toggleGitPanel.bind(this));
+    header.appendChild(gitBtn);
+
     // Follow-terminal toggle (per ADR-0019). Hidden until OSC 7 fires for
     // the active session — _refreshFollowToggleUI() flips display on once
     // a liveCwd is stashed. Click toggles the per-session follow flag.
@@ -1776,6 +1785,39 @@
     return true;
   };
 
+  // Source control panel — mounted on first use, over the file list like
+  // the search panel. "Open side-by-side diff" closes it so the diff tab
+  // it opens is visible.
+  FileBrowserPanel.prototype._ensureGitPanel = function () {
+    if (this._gitPanel) return this._gitPanel;
+    if (!window.gitPanel || typeof window.gitPanel.GitPanel !== 'function' || !this.authFetch) return null;
+    var self = this;
+    this._gitPanel = new window.gitPanel.GitPanel({
+      containerEl: this._panelEl,
+      authFetch: this.authFetch,
+      getPath: function () { return self._currentPath || null; },
+      onOpenDiff: function (filePath) {
+        self._gitPanel.close();
+        self._onDiffRequest({ path: filePath, compareWithRef: 'HEAD' });
+      },
+      onClose: function () {
+        if (self._fileListEl && self._fileListEl.style.display !== 'none') {
+          try { self._fileListEl.focus(); } catch (_) { /* ignore */ }
+        }
+      },
+    });
+    return this._gitPanel;
+  };
+
+  // Public for the command palette's "Source Control" action.
+  FileBrowserPanel.prototype.toggleGitPanel = function () {
+    var gp = this._ensureGitPanel();
+    if (!gp) return false;
+    if (!gp.isOpen() && this._searchPanel && this._searchPanel.isOpen()) this._searchPanel.close();
+    gp.toggle();
+    return true;
+  };
+
   FileBrowserPanel.prototype._handleBack = function () {
     if (this._currentView === 'editor') {
       if (this._editorPanel) this._editorPanel.close();
@@ -0,0 +1,763 @@
+// git-panel.js — Source control panel for the file browser.
+//
+// Reviews and commits an agent's changes without a terminal. Talks to the
+// /api/git/* endpoints (server.js, utils/git-ops.js); every request names the
+// file browser's current directory as `path` and the server finds the repo.
+//
+//   Changes  staged and unstaged files; stage / unstage a file or, in its
+//            inline diff, a single hunk; commit box (Ctrl/Cmd+Enter).
+//   History  the log of the checked-out branch; click a commit for its diff,
+//            Shift+click a second one (or fill in From / To) for the diff
+//            between two refs.
+//   Branch   picker in the header: switch to a local or remote branch, or
+//            start a new one.
+//
+// Public API (window.gitPanel):
+//   GitPanel constructor({ containerEl, authFetch, getPath, onOpenDiff, onClose })
+//     .open() / .close() / .toggle() / .isOpen() / .destroy()
+//     .refresh()           — reload status, branches and (in History) the log
+//
+//   buildGitUrl(endpoint, params)  — pure helper, testable
+//   groupChanges(files)            — pure helper, testable
+//   statusLetter(file, staged)     — pure helper, testable
+//   compareRefs(commits, a, b)     — pure helper, testable
+
+(function () {
+  'use strict';
+
+  // ---------------------------------------------------------------------------
+  // Constants
+  // ---------------------------------------------------------------------------
+
+  var GIT_ENDPOINT = '/api/git/';
+  var LOG_PAGE = 50;
+  var NEW_BRANCH = '\u0000new';
+
+  // ---------------------------------------------------------------------------
+  // Pure helpers (testable under Node)
+  // ---------------------------------------------------------------------------
+
+  // '/api/git/<endpoint>?…'. Skips null / undefined / false; true becomes '1'.
+  function buildGitUrl(endpoint, params) {
+    var parts = [];
+    Object.keys(params || {}).forEach(function (key) {
+      var value = params[key];
+      if (value === undefined || value === null || value === false || value === '') return;
+      parts.push(encodeURIComponent(key) + '=' + encodeURIComponent(value === true ? '1' : String(value)));
+    });
+    return GIT_ENDPOINT + endpoint + (parts.length ? '?' + parts.join('&') : '');
+  }
+
+  // Split GET /api/git/status files into the panel's sections. A file with
+  // both staged and unstaged edits is listed in both.
+  function groupChanges(files) {
+    var out = { conflicted: [], staged: [], unstaged: [] };
+    (files || []).forEach(function (f) {
+      if (f.conflicted) { out.conflicted.push(f); return; }
+      if (f.staged) out.staged.push(f);
+      if (f.unstaged || f.untracked) out.unstaged.push(f);
+    });
+    return out;
+  }
+
+  // One-letter badge: the index side for the staged list, the worktree side
+  // otherwise. Untracked files show U and conflicts !, as in VS Code.
+  function statusLetter(file, staged) {
+    if (file.conflicted) return '!';
+    if (file.untracked) return 'U';
+    var letter = staged ? file.index : file.worktree;
+    return letter === ' ' ? '' : letter;
+  }
+
+  // From / To for two commits picked in the log (newest first): the older
+  // one is From. Null when either is not in the list.
+  function compareRefs(commits, a, b) {
+    var ia = -1;
+    var ib = -1;
+    (commits || []).forEach(function (c, i) {
+      if (c.sha === a) ia = i;
+      if (c.sha === b) ib = i;
+    });
+    if (ia === -1 || ib === -1 || ia === ib) return null;
+    return ia > ib ? { from: a, to: b } : { from: b, to: a };
+  }
+
+  // ---------------------------------------------------------------------------
+  // Browser-only beyond this point
+  // ---------------------------------------------------------------------------
+
+  if (typeof window === 'undefined' || typeof document === 'undefined') {
+    if (typeof module !== 'undefined' && module.exports) {
+      module.exports = {
+        buildGitUrl: buildGitUrl,
+        groupChanges: groupChanges,
+        statusLetter: statusLetter,
+        compareRefs: compareRefs,
+      };
+    }
+    return;
+  }
+
+  function el(tag, className, text) {
+    var node = document.createElement(tag);
+    if (className) node.className = className;
+    if (text !== undefined) node.textContent = text;
+    return node;
+  }
+
+  function button(className, text, title) {
+    var b = el('button', className, text);
+    b.type = 'button';
+    if (title) {
+      b.title = title;
+      b.setAttribute('aria-label', title);
+    }
+    return b;
+  }
+
+  function readError(resp) {
+    return resp.json().then(function (data) {
+      return (data && (data.error || data.message)) || ('HTTP ' + resp.status);
+    }, function () { return 'HTTP ' + resp.status; });
+  }
+
+  // ---------------------------------------------------------------------------
+  // GitPanel
+  // ---------------------------------------------------------------------------
+
+  function GitPanel(options) {
+    options = options || {};
+    if (!options.containerEl) throw new Error('GitPanel: options.containerEl is required');
+    if (typeof options.authFetch !== 'function') throw new Error('GitPanel: options.authFetch is required');
+    this.containerEl = options.containerEl;
+    this.authFetch = options.authFetch;
+    this.getPath = typeof options.getPath === 'function' ? options.getPath : function () { return null; };
+    this.onOpenDiff = options.onOpenDiff || null;
+    this.onClose = options.onClose || function () {};
+
+    this._open = false;
+    this._destroyed = false;
+    this._view = 'changes';
+    this._status = null;         // last GET /api/git/status
+    this._expanded = null;       // { path, staged } of the file whose diff is shown
+    this._commits = [];
+    this._logDone = false;
+    this._selected = null;       // sha picked in History
+    this._busy = false;
+
+    this._buildDOM();
+  }
+
+  GitPanel.prototype.isOpen = function () { return !!this._open; };
+
+  GitPanel.prototype._buildDOM = function () {
+    var self = this;
+
+    var panel = el('div', 'fb-git-panel');
+    panel.style.display = 'none';
+    panel.setAttribute('role', 'region');
+    panel.setAttribute('aria-label', 'Source control');
+    this._panelEl = panel;
+
+    var header = el('div', 'fb-git-header');
+    header.appendChild(el('span', 'fb-git-title', 'Source control'));
+
+    var branch = el('select', 'fb-git-branch');
+    branch.setAttribute('aria-label', 'Branch');
+    branch.addEventListener('change', function () { self._onBranchChange(); });
+    header.appendChild(branch);
+    this._branchEl = branch;
+
+    var refreshBtn = button('fb-search-close', '', 'Refresh');
+    refreshBtn.innerHTML = window.icons ? window.icons.refresh(14) : '&#8635;';
+    refreshBtn.addEventListener('click', function () { self.refresh(); });
+    header.appendChild(refreshBtn);
+
+    var closeBtn = button('fb-search-close', '', 'Close source control');
+    closeBtn.innerHTML = window.icons ? window.icons.x(14) : '&times;';
+    closeBtn.addEventListener('click', function () { self.close(); });
+    header.appendChild(closeBtn);
+    panel.appendChild(header);
+
+    var tabs = el('div', 'fb-git-views');
+    tabs.setAttribute('role', 'tablist');
+    this._viewBtns = {};
+    [['changes', 'Changes'], ['history', 'History']].forEach(function (pair) {
+      var b = button('fb-git-view', pair[1]);
+      b.setAttribute('role', 'tab');
+      b.addEventListener('click', function () { self._setView(pair[0]); });
+      tabs.appendChild(b);
+      self._viewBtns[pair[0]] = b;
+    });
+    panel.appendChild(tabs);
+
+    var status = el('div', 'fb-search-status');
+    status.setAttribute('aria-live', 'polite');
+    panel.appendChild(status);
+    this._statusEl = status;
+
+    // Changes view: commit box, then the file sections.
+    var changes = el('div', 'fb-git-body');
+    var commitBox = el('div', 'fb-git-commit');
+    var message = el('textarea', 'fb-git-message');
+    message.rows = 3;
+    message.placeholder = 'Commit message (Ctrl+Enter to commit)';
+    message.setAttribute('aria-label', 'Commit message');
+    message.addEventListener('input', function () { self._updateCommitButton(); });
+    message.addEventListener('keydown', function (e) {
+      if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+        e.preventDefault();
+        self.commit();
+      }
+    });
+    commitBox.appendChild(message);
+    var commitBtn = button('btn btn-primary btn-small fb-git-commit-btn', 'Commit');
+    commitBtn.addEventListener('click', function () { self.commit(); });
+    commitBox.appendChild(commitBtn);
+    changes.appendChild(commitBox);
+    var files = el('div', 'fb-git-files');
+    changes.appendChild(files);
+    panel.appendChild(changes);
+    this._messageEl = message;
+    this._commitBtn = commitBtn;
+    this._changesEl = changes;
+    this._filesEl = files;
+
+    // History view: compare form, commit list, diff of the pick.
+    var history = el('div', 'fb-git-body');
+    history.style.display = 'none';
+    var compare = el('form', 'fb-git-compare');
+    var from = el('input', 'fb-search-glob');
+    from.placeholder = 'From (e.g. main)';
+    from.setAttribute('aria-label', 'Compare from ref');
+    var to = el('input', 'fb-search-glob');
+    to.placeholder = 'To (working tree)';
+    to.setAttribute('aria-label', 'Compare to ref');
+    var compareBtn = button('btn btn-secondary btn-small', 'Compare');
+    compareBtn.type = 'submit';
+    compare.appendChild(from);
+    compare.appendChild(to);
+    compare.appendChild(compareBtn);
+    compare.addEventListener('submit', function (e) {
+      e.preventDefault();
+      self.compare(from.value.trim(), to.value.trim());
+    });
+    history.appendChild(compare);
+    var commits = el('div', 'fb-git-log');
+    commits.setAttribute('role', 'list');
+    history.appendChild(commits);
+    var historyDiff = el('div', 'fb-git-log-diff');
+    history.appendChild(historyDiff);
+    panel.appendChild(history);
+    this._fromEl = from;
+    this._toEl = to;
+    this._historyEl = history;
+    this._logEl = commits;
+    this._logDiffEl = historyDiff;
+
+    panel.addEventListener('keydown', function (e) {
+      if (e.key === 'Escape') {
+        e.stopPropagation();
+        self.close();
+      }
+    });
+
+    this.containerEl.appendChild(panel);
+    this._setView('changes');
+  };
+
+  // -- Public API --
+
+  GitPanel.prototype.open = function () {
+    if (this._destroyed) return;
+    this._open = true;
+    this._panelEl.style.display = '';
+    this.refresh();
+    var self = this;
+    setTimeout(function () {
+      if (!self._destroyed && self._viewBtns[self._view]) self._viewBtns[self._view].focus();
+    }, 0);
+  };
+
+  GitPanel.prototype.close = function () {
+    if (!this._open) return;
+    this._open = false;
+    this._panelEl.style.display = 'none';
+    try { this.onClose(); } catch (_) { /* ignore */ }
+  };
+
+  GitPanel.prototype.toggle = function () {
+    if (this._open) this.close(); else this.open();
+  };
+
+  GitPanel.prototype.destroy = function () {
+    if (this._destroyed) return;
+    this._destroyed = true;
+    this.close();
+    if (this._panelEl.parentNode) this._panelEl.parentNode.removeChild(this._panelEl);
+  };
+
+  GitPanel.prototype.refresh = function () {
+    var self = this;
+    return this._loadStatus().then(function (ok) {
+      if (!ok) return;
+      self._loadBranches();
+      if (self._view === 'history') self._loadLog(true);
+    });
+  };
+
+  // -- Requests --
+
+  GitPanel.prototype._get = function (endpoint, params) {
+    var query = { path: this.getPath() };
+    Object.keys(params || {}).forEach(function (k) { query[k] = params[k]; });
+    return this.authFetch(buildGitUrl(endpoint, query)).then(function (resp) {
+      if (resp.ok) return resp.json();
+      return readError(resp).then(function (message) {
+        var err = new Error(message);
+        err.status = resp.status;
+        throw err;
+      });
+    });
+  };
+
+  GitPanel.prototype._post = function (endpoint, body) {
+    var payload = { path: this.getPath() };
+    Object.keys(body || {}).forEach(function (k) { payload[k] = body[k]; });
+    return this.authFetch(buildGitUrl(endpoint), {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(payload),
+    }).then(function (resp) {
+      if (resp.ok) return resp.json();
+      return readError(resp).then(function (message) { throw new Error(message); });
+    });
+  };
+
+  // Run a write, then reload the status. Errors land in the status line.
+  GitPanel.prototype._write = function (endpoint, body, busyText) {
+    var self = this;
+    if (this._busy) return Promise.resolve(null);
+    this._busy = true;
+    this._setStatus(busyText, true);
+    return this._post(endpoint, body).then(function (result) {
+      self._busy = false;
+      return self._loadStatus().then(function () { return result; });
+    }, function (err) {
+      self._busy = false;
+      self._setStatus(err.message, false, true);
+      // A stale hunk or a refused switch: show the repo as it is now.
+      self._loadStatus(true);
+      return null;
+    });
+  };
+
+  // -- Status / Changes --
+
+  GitPanel.prototype._loadStatus = function (keepMessage) {
+    var self = this;
+    if (!keepMessage) this._setStatus('Loading…', true);
+    return this._get('status').then(function (status) {
+      if (self._destroyed) return false;
+      self._status = status;
+      if (!keepMessage) self._setStatus(self._summary(status));
+      self._renderChanges();
+      return true;
+    }, function (err) {
+      if (self._destroyed) return false;
+      self._status = null;
+      self._filesEl.innerHTML = '';
+      self._branchEl.innerHTML = '';
+      self._setStatus(err.status === 404 ? 'This folder is not in a git repository.' : err.message, false, err.status !== 404);
+      self._updateCommitButton();
+      return false;
+    });
+  };
+
+  GitPanel.prototype._summary = function (status) {
+    var where = status.detached ? 'Detached HEAD' : (status.branch || '');
+    if (status.unborn) where += ' (no commits yet)';
+    var sync = [];
+    if (status.ahead) sync.push(status.ahead + ' ahead');
+    if (status.behind) sync.push(status.behind + ' behind');
+    if (status.upstream) where += ' → ' + status.upstream + (sync.length ? ' (' + sync.join(', ') + ')' : '');
+    var n = status.files.length;
+    return where + ' · ' + (n ? n + (n === 1 ? ' changed file' : ' changed files') : 'clean');
+  };
+
+  GitPanel.prototype._renderChanges = function () {
+    var self = this;
+    var groups = groupChanges(this._status ? this._status.files : []);
+    this._filesEl.innerHTML = '';
+
+    function section(title, files, staged, bulk) {
+      if (!files.length) return;
+      var head = el('div', 'fb-git-section');
+      head.appendChild(el('span', 'fb-git-section-title', title + ' (' + files.length + ')'));
+      if (bulk) {
+        var all = button('fb-git-action', bulk.label, bulk.label);
+        all.addEventListener('click', bulk.run);
+        head.appendChild(all);
+      }
+      self._filesEl.appendChild(head);
+      files.forEach(function (f) { self._filesEl.appendChild(self._fileRow(f, staged)); });
+    }
+
+    section('Merge conflicts', groups.conflicted, false, null);
+    section('Staged', groups.staged, true, {
+      label: 'Unstage all',
+      run: function () { self._write('unstage', { all: true }, 'Unstaging…'); },
+    });
+    section('Changes', groups.unstaged, false, {
+      label: 'Stage all',
+      run: function () { self._write('stage', { all: true }, 'Staging…'); },
+    });
+    if (this._status && !this._status.files.length) {
+      this._filesEl.appendChild(el('div', 'fb-git-empty', 'No changes.'));
+    }
+    this._updateCommitButton();
+
+    // Keep the open diff open across refreshes while its file is listed.
+    var open = this._expanded;
+    this._expanded = null;
+    if (open) {
+      var list = open.staged ? groups.staged : groups.unstaged.concat(groups.conflicted);
+      if (list.some(function (f) { return f.path === open.path; })) this._toggleDiff(open.path, open.staged);
+    }
+  };
+
+  GitPanel.prototype._fileRow = function (file, staged) {
+    var self = this;
+    var row = el('div', 'fb-git-file');
+    row.setAttribute('data-path', file.path);
+    row.setAttribute('data-staged', staged ? '1' : '0');
+
+    var name = button('fb-git-file-name', '', file.path);
+    name.setAttribute('aria-expanded', 'false');
+    var letter = statusLetter(file, staged);
+    var badge = el('span', 'fb-git-letter', letter);
+    badge.setAttribute('data-letter', letter);
+    name.appendChild(badge);
+    var slash = file.path.lastIndexOf('/');
+    name.appendChild(el('span', 'fb-git-file-base', file.path.slice(slash + 1)));
+    if (slash > 0) name.appendChild(el('span', 'fb-git-file-dir', file.path.slice(0, slash)));
+    name.addEventListener('click', function () { self._toggleDiff(file.path, staged); });
+    row.appendChild(name);
+
+    if (this.onOpenDiff && !staged && !file.untracked && file.worktree !== 'D' && this._status) {
+      var side = button('fb-git-action', '↔', 'Open side-by-side diff');
+      side.addEventListener('click', function () {
+        self.onOpenDiff(self._status.root.replace(/[\\/]+$/, '') + '/' + file.path);
+      });
+      row.appendChild(side);
+    }
+    var files = file.origPath ? [file.path, file.origPath] : [file.path];
+    var act = staged
+      ? button('fb-git-action', '−', 'Unstage ' + file.path)
+      : button('fb-git-action', '+', (file.conflicted ? 'Mark resolved: ' : 'Stage ') + file.path);
+    act.addEventListener('click', function () {
+      self._write(staged ? 'unstage' : 'stage', { files: files }, staged ? 'Unstaging…' : 'Staging…');
+    });
+    row.appendChild(act);
+    return row;
+  };
+
+  GitPanel.prototype._toggleDiff = function (path, staged) {
+    var self = this;
+    var rows = this._filesEl.querySelectorAll('.fb-git-file');
+    var row = null;
+    Array.prototype.forEach.call(rows, function (r) {
+      if (r.getAttribute('data-path') === path && r.getAttribute('data-staged') === (staged ? '1' : '0')) row = r;
+    });
+    var existing = this._filesEl.querySelector('.fb-git-diff');
+    if (existing) {
+      existing.parentNode.removeChild(existing);
+      Array.prototype.forEach.call(rows, function (r) {
+        r.querySelector('.fb-git-file-name').setAttribute('aria-expanded', 'false');
+      });
+    }
+    var wasOpen = this._expanded && this._expanded.path === path && this._expanded.staged === staged;
+    this._expanded = null;
+    if (!row || (wasOpen && existing)) return;
+
+    var file = (this._status.files || []).filter(function (f) { return f.path === path; })[0];
+    var untracked = !!(file && file.untracked);
+    var host = el('div', 'fb-git-diff');
+    host.appendChild(el('div', 'fb-loading', 'Loading diff…'));
+    row.parentNode.insertBefore(host, row.nextSibling);
+    row.querySelector('.fb-git-file-name').setAttribute('aria-expanded', 'true');
+    this._expanded = { path: path, staged: staged };
+
+    this._get('diff', { file: path, staged: staged, untracked: untracked }).then(function (data) {
+      if (!host.parentNode) return;
+      host.innerHTML = '';
+      self._renderDiff(host, data, {
+        hunkAction: untracked || (file && file.conflicted) ? null : {
+          label: staged ? 'Unstage hunk' : 'Stage hunk',
+          run: function (f, hunk) {
+            self._write('stage-hunk', { file: f.path, hunkId: hunk.id, unstage: staged }, staged ? 'Unstaging hunk…' : 'Staging hunk…');
+          },
+        },
+      });
+    }, function (err) {
+      if (!host.parentNode) return;
+      host.innerHTML = '';
+      host.appendChild(el('div', 'fb-preview-error', err.message));
+    });
+  };
+
+  // Unified diff, one block per file and hunk. `hunkAction` adds a button to
+  // each hunk header.
+  GitPanel.prototype._renderDiff = function (host, data, opts) {
+    opts = opts || {};
+    var files = data.files || [];
+    if (!files.length) {
+      host.appendChild(el('div', 'fb-git-empty', 'No differences.'));
+    }
+    files.forEach(function (f) {
+      var block = el('div', 'fb-git-diff-file');
+      if (opts.showNames) {
+        var title = f.status === 'renamed' ? f.oldPath + ' → ' + f.path : f.path;
+        block.appendChild(el('div', 'fb-git-diff-name', title + (f.status !== 'modified' ? ' (' + f.status + ')' : '')));
+      }
+      if (f.binary) block.appendChild(el('div', 'fb-git-empty', 'Binary file changed.'));
+      else if (!f.hunks.length) block.appendChild(el('div', 'fb-git-empty', f.status === 'renamed' ? 'Renamed without changes.' : 'Mode change only.'));
+      f.hunks.forEach(function (hunk) {
+        var head = el('div', 'fb-git-hunk-header');
+        head.appendChild(el('code', null, hunk.header));
+        if (opts.hunkAction) {
+          var b = button('fb-git-action', opts.hunkAction.label);
+          b.addEventListener('click', function () { opts.hunkAction.run(f, hunk); });
+          head.appendChild(b);
+        }
+        block.appendChild(head);
+        var pre = el('pre', 'fb-git-hunk');
+        hunk.lines.forEach(function (line) {
+          var kind = line[0] === '+' ? 'add' : line[0] === '-' ? 'del' : line[0] === '\\' ? 'meta' : 'ctx';
+          pre.appendChild(el('span', 'fb-git-line fb-git-line-' + kind, line + '\n'));
+        });
+        block.appendChild(pre);
+      });
+      host.appendChild(block);
+    });
+    if (data.truncated) {
+      host.appendChild(el('div', 'fb-git-empty', 'Diff cut at 5 MB; later files are not shown.'));
+    }
+  };
+
+  GitPanel.prototype._updateCommitButton = function () {
+    var staged = this._status ? groupChanges(this._status.files).staged.length : 0;
+    var ready = staged > 0 && this._messageEl.value.trim() !== '' && !this._busy;
+    this._commitBtn.disabled = !ready;
+    this._commitBtn.title = staged ? '' : 'Stage changes to commit them';
+  };
+
+  GitPanel.prototype.commit = function () {
+    var self = this;
+    var message = this._messageEl.value.trim();
+    if (!message || this._commitBtn.disabled) return Promise.resolve(null);
+    return this._write('commit', { message: message }, 'Committing…').then(function (result) {
+      if (!result) return null;
+      self._messageEl.value = '';
+      self._updateCommitButton();
+      self._setStatus('Committed ' + result.commit.sha.slice(0, 7) + ': ' + result.commit.subject);
+      self._commits = [];
+      self._loadBranches();
+      return result.commit;
+    });
+  };
+
+  // -- Branches --
+
+  GitPanel.prototype._loadBranches = function () {
+    var self = this;
+    return this._get('branches').then(function (data) {
+      if (self._destroyed) return;
+      var select = self._branchEl;
+      select.innerHTML = '';
+      var status = self._status || {};
+      if (status.detached || (status.unborn && !data.local.some(function (b) { return b.current; }))) {
+        var here = el('option', null, status.detached ? '(detached HEAD)' : status.branch);
+        here.value = '';
+        here.selected = true;
+        select.appendChild(here);
+      }
+      function group(label, list) {
+        if (!list.length) return;
+        var g = el('optgroup');
+        g.label = label;
+        list.forEach(function (b) {
+          var o = el('option', null, b.name);
+          o.value = b.name;
+          if (b.current) o.selected = true;
+          g.appendChild(o);
+        });
+        select.appendChild(g);
+      }
+      group('Branches', data.local);
+      group('Remote branches', data.remote);
+      var create = el('option', null, 'New branch…');
+      create.value = NEW_BRANCH;
+      select.appendChild(create);
+      self._current = select.value;
+    }, function () { /* status line already reports the repo error */ });
+  };
+
+  GitPanel.prototype._onBranchChange = function () {
+    var self = this;
+    var value = this._branchEl.value;
+    var body;
+    if (value === NEW_BRANCH) {
+      var name = window.prompt('New branch name (starts at the current commit):');
+      if (!name || !name.trim()) {
+        this._branchEl.value = this._current || '';
+        return Promise.resolve(null);
+      }
+      body = { branch: name.trim(), create: true };
+    } else if (value && value !== this._current) {
+      body = { branch: value };
+    } else {
+      return Promise.resolve(null);
+    }
+    return this._write('switch', body, 'Switching to ' + body.branch + '…').then(function (result) {
+      if (result) {
+        self._commits = [];
+        if (self._view === 'history') self._loadLog(true);
+      }
+      self._loadBranches();
+      return result;
+    });
+  };
+
+  // -- History --
+
+  GitPanel.prototype._setView = function (view) {
+    this._view = view;
+    var self = this;
+    Object.keys(this._viewBtns).forEach(function (key) {
+      var on = key === view;
+      self._viewBtns[key].setAttribute('aria-selected', on ? 'true' : 'false');
+      self._viewBtns[key].classList.toggle('active', on);
+    });
+    this._changesEl.style.display = view === 'changes' ? '' : 'none';
+    this._historyEl.style.display = view === 'history' ? '' : 'none';
+    if (view === 'history' && this._open && !this._commits.length) this._loadLog(true);
+  };
+
+  GitPanel.prototype._loadLog = function (reset) {
+    var self = this;
+    if (reset) {
+      this._commits = [];
+      this._logDone = false;
+      this._selected = null;
+      this._logEl.innerHTML = '';
+      this._logDiffEl.innerHTML = '';
+    }
+    if (this._logDone) return Promise.resolve();
+    return this._get('log', { limit: LOG_PAGE, skip: this._commits.length }).then(function (data) {
+      if (self._destroyed) return;
+      self._commits = self._commits.concat(data.commits);
+      self._logDone = data.commits.length < LOG_PAGE;
+      self._renderLog();
+    }, function (err) {
+      self._setStatus(err.message, false, err.status !== 404);
+    });
+  };
+
+  GitPanel.prototype._renderLog = function () {
+    var self = this;
+    this._logEl.innerHTML = '';
+    if (!this._commits.length) {
+      this._logEl.appendChild(el('div', 'fb-git-empty', 'No commits yet.'));
+      return;
+    }
+    this._commits.forEach(function (c) {
+      var row = button('fb-search-result fb-git-commit-row', '');
+      row.setAttribute('role', 'listitem');
+      row.setAttribute('data-sha', c.sha);
+      row.title = c.sha + '\n' + c.author + ', ' + new Date(c.date).toLocaleString() +
+        '\nClick for its changes; Shift+click another commit to compare.';
+      var top = el('div', 'fb-search-result-loc');
+      top.appendChild(el('span', 'fb-git-sha', c.shortSha));
+      c.refs.forEach(function (r) { top.appendChild(el('span', 'fb-git-ref', r.replace(/^HEAD -> /, ''))); });
+      row.appendChild(top);
+      row.appendChild(el('div', 'fb-search-result-text', c.subject + ' — ' + c.author));
+      if (c.sha === self._selected) row.classList.add('active');
+      row.addEventListener('click', function (e) {
+        if (e.shiftKey && self._selected && self._selected !== c.sha) {
+          var range = compareRefs(self._commits, self._selected, c.sha);
+          if (range) self.compare(range.from, range.to);
+          return;
+        }
+        self._showCommit(c);
+      });
+      self._logEl.appendChild(row);
+    });
+    if (!this._logDone) {
+      var more = button('btn btn-secondary btn-small fb-git-more', 'Load more');
+      more.addEventListener('click', function () { self._loadLog(false); });
+      this._logEl.appendChild(more);
+    }
+  };
+
+  GitPanel.prototype._showCommit = function (commit) {
+    this._selected = commit.sha;
+    Array.prototype.forEach.call(this._logEl.querySelectorAll('.fb-git-commit-row'), function (r) {
+      r.classList.toggle('active', r.getAttribute('data-sha') === commit.sha);
+    });
+    return this._showLogDiff(commit.shortSha + ' ' + commit.subject, { commit: commit.sha });
+  };
+
+  /** Diff between two refs; without `to`, `from` against the working tree. */
+  GitPanel.prototype.compare = function (from, to) {
+    if (!from) {
+      this._setStatus('Enter a ref to compare from.', false, true);
+      return Promise.resolve(null);
+    }
+    this._fromEl.value = from;
+    this._toEl.value = to || '';
+    if (this._view !== 'history') this._setView('history');
+    var short = function (ref) { return /^[0-9a-f]{40}$/.test(ref) ? ref.slice(0, 7) : ref; };
+    return this._showLogDiff(short(from) + ' → ' + (to ? short(to) : 'working tree'), { from: from, to: to });
+  };
+
+  GitPanel.prototype._showLogDiff = function (title, params) {
+    var self = this;
+    var host = this._logDiffEl;
+    host.innerHTML = '';
+    host.appendChild(el('div', 'fb-git-section-title fb-git-log-diff-title', title));
+    var loading = el('div', 'fb-loading', 'Loading diff…');
+    host.appendChild(loading);
+    return this._get('diff', params).then(function (data) {
+      if (host.lastChild !== loading) return;
+      host.removeChild(loading);
+      self._renderDiff(host, data, { showNames: true });
+    }, function (err) {
+      if (host.lastChild !== loading) return;
+      host.removeChild(loading);
+      host.appendChild(el('div', 'fb-preview-error', err.message));
+    });
+  };
+
+  GitPanel.prototype._setStatus = function (text, busy, isError) {
+    this._statusEl.textContent = text || '';
+    this._statusEl.classList.toggle('busy', !!busy);
+    this._statusEl.classList.toggle('error', !!isError);
+    if (busy || isError) this._updateCommitButton();
+  };
+
+  // ---------------------------------------------------------------------------
+  // Exports
+  // ---------------------------------------------------------------------------
+
+  var exportsObj = {
+    GitPanel: GitPanel,
+    buildGitUrl: buildGitUrl,
+    groupChanges: groupChanges,
+    statusLetter: statusLetter,
+    compareRefs: compareRefs,
+  };
+
+  window.gitPanel = exportsObj;
+  if (typeof module !== 'undefined' && module.exports) module.exports = exportsObj;
+})();
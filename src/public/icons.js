@@ -50,6 +50,7 @@
     save: (s = 16) => toSvg('<path d="M19 21H5a2 2 0 0 1-2-2V5a2 2 0 0 1 2-2h11l5 5v11a2 2 0 0 1-2 2z"/><polyline points="17 21 17 13 7 13 7 21"/><polyline points="7 3 7 8 15 8"/>', { width: s, height: s }),
     search: (s = 16) => toSvg(circle(11, 11, 8) + '<line x1="21" y1="21" x2="16.65" y2="16.65"/>', { width: s, height: s }),
     refresh: (s = 16) => toSvg('<polyline points="23 4 23 10 17 10"/><path d="M20.49 15a9 9 0 1 1-2.12-9.36L23 10"/>', { width: s, height: s }),
+    gitBranch: (s = 16) => toSvg(line(6, 3, 6, 15) + circle(18, 6, 3) + circle(6, 18, 3) + '<path d="M18 9a9 9 0 0 1-9 9"/>', { width: s, height: s }),
     plus: (s = 16) => toSvg(line(12, 5, 12, 19) + line(5, 12, 19, 12), { width: s, height: s }),
     arrowLeft: (s = 16) => toSvg('<line x1="19" y1="12" x2="5" y2="12"/><polyline points="12 19 5 12 12 5"/>', { width: s, height: s }),
     folderOpen: (s = 16) => toSvg('<path d="M22 19a2 2 0 0 1-2 2H4a2 2 0 0 1-2-2V5a2 2 0 0 1 2-2h5l2 3h9a2 2 0 0 1 2 2z"/><path d="M2 10h20"/>', { width: s, height: s }),
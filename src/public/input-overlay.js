@@ -29,6 +29,7 @@ class InputOverlay {
     var cancelBtn = this._overlay.querySelector('.input-overlay-cancel');
     var insertBtn = this._overlay.querySelector('.input-overlay-insert');
     var sendBtn = this._overlay.querySelector('.input-overlay-send');
+    var snippetsBtn = this._overlay.querySelector('.input-overlay-snippets');
 
     this._insertBtn = insertBtn;
     this._sendBtn = sendBtn;
@@ -39,6 +40,7 @@ class InputOverlay {
     if (sendBtn) sendBtn.addEventListener('click', () => this._deliverText('send'));
     if (this._triggerBtn) this._triggerBtn.addEventListener('click', () => this.toggle());
     if (this._voiceBtn) this._voiceBtn.addEventListener('click', () => this._toggleVoice());
+    if (snippetsBtn) snippetsBtn.addEventListener('click', () => this._openSnippets());
 
     // Textarea: update char count and disable/enable buttons
     if (this._textarea) {
@@ -170,17 +172,12 @@ class InputOverlay {
       ? this.app._lastFocusedPaneIndex
       : 0;
 
-    if (this.app && this.app.splitContainer && this.app.splitContainer.splits &&
-        this.app.splitContainer.splits.length > 0 && paneIndex > 0) {
+    if (this.app && this.app.splitContainer && this.app.splitContainer.enabled) {
       var split = this.app.splitContainer.splits[paneIndex];
       if (split && split.terminal && split.socket) {
         this._targetTerminal = split.terminal;
         this._targetSocket = split.socket;
-        this._targetSendFn = function(msg) {
-          if (split.socket && split.socket.readyState === WebSocket.OPEN) {
-            split.socket.send(JSON.stringify(msg));
-          }
-        };
+        this._targetSendFn = function(msg) { split.send(msg); };
         return;
       }
     }
@@ -198,49 +195,74 @@ class InputOverlay {
 
   _deliverText(mode) {
     if (!this._textarea || !this._textarea.value.trim()) return;
-    var raw = this._textarea.value;
+    if (!this._send(this._textarea.value, mode)) return;
+
+    // Clear and close
+    this._textarea.value = '';
+    this._updateCharCount();
+    this.hide();
+  }
+
+  // Send text to the captured target. Returns false when nothing was sent.
+  _send(raw, mode) {
     var terminal = this._targetTerminal;
     var sendFn = this._targetSendFn;
 
-    if (!sendFn) return;
+    if (!sendFn) return false;
 
     // Check connection
     var sock = this._targetSocket;
     if (!sock || sock.readyState !== WebSocket.OPEN) {
       if (window.feedback) window.feedback.warning('Not connected — text not sent');
-      return;
+      return false;
     }
 
-    var bpm = terminal && terminal.modes && terminal.modes.bracketedPasteMode;
-
-    var normalizeLineEndings = (typeof attachClipboardHandler !== 'undefined' && attachClipboardHandler.normalizeLineEndings)
-      ? attachClipboardHandler.normalizeLineEndings
-      : function(t) { return t.replace(/\r\n/g, '\r').replace(/\n/g, '\r'); };
-    var wrapBracketedPaste = (typeof attachClipboardHandler !== 'undefined' && attachClipboardHandler.wrapBracketedPaste)
-      ? attachClipboardHandler.wrapBracketedPaste
-      : function(t) { return '\x1b[200~' + t + '\x1b[201~'; };
-
-    var data;
-    if (mode === 'insert') {
-      if (bpm) {
-        data = wrapBracketedPaste(normalizeLineEndings(raw));
-      } else {
-        // Collapse newlines to spaces — no way to insert without executing in raw mode
-        data = raw.replace(/[\r\n]+/g, ' ');
-      }
-    } else {
-      // Send mode: paste + Enter
-      var normalized = normalizeLineEndings(raw);
-      data = bpm ? wrapBracketedPaste(normalized) : normalized;
-      data = data + '\r';
-    }
+    var bpm = !!(terminal && terminal.modes && terminal.modes.bracketedPasteMode);
+    var encodePaste = (typeof attachClipboardHandler !== 'undefined' && attachClipboardHandler.encodePaste)
+      ? attachClipboardHandler.encodePaste
+      : function(t, bracketed, submit) {
+        var n = t.replace(/\r\n/g, '\r').replace(/\n/g, '\r');
+        if (submit) return (bracketed ? '\x1b[200~' + n + '\x1b[201~' : n) + '\r';
+        return bracketed ? '\x1b[200~' + n + '\x1b[201~' : t.replace(/[\r\n]+/g, ' ');
+      };
+
+    sendFn({ type: 'input', data: encodePaste(raw, bpm, mode === 'send') });
+    return true;
+  }
 
-    sendFn({ type: 'input', data: data });
+  /**
+   * Insert text into the active pane without pressing Enter, the same way
+   * the composer's Insert does (snippet library, command palette).
+   */
+  pasteToTerminal(text) {
+    if (!text) return;
+    if (this._open) {
+      this.insertText(text);
+      return;
+    }
+    this._captureTarget();
+    this._send(text, 'insert');
+    this._targetSendFn = null;
+    this._targetTerminal = null;
+    this._targetSocket = null;
+    if (this.app && this.app.terminal) this.app.terminal.focus();
+  }
 
-    // Clear and close
-    this._textarea.value = '';
+  /** Put text into the composer at the cursor, opening it if needed. */
+  insertText(text) {
+    if (!this._textarea) return;
+    if (!this._open) this.show();
+    var ta = this._textarea;
+    var start = ta.selectionStart != null ? ta.selectionStart : ta.value.length;
+    var end = ta.selectionEnd != null ? ta.selectionEnd : start;
+    ta.value = ta.value.slice(0, start) + text + ta.value.slice(end);
+    ta.selectionStart = ta.selectionEnd = start + text.length;
+    ta.focus();
     this._updateCharCount();
-    this.hide();
+  }
+
+  _openSnippets() {
+    if (this.app && this.app.snippetLibrary) this.app.snippetLibrary.open({ target: 'composer' });
   }
 
   // ── Character count ──────────────────────────────────────────
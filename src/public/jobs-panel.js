@@ -0,0 +1,374 @@
+'use strict';
+
+// Scheduled jobs: list, add and edit the server's cron jobs (/api/jobs),
+// start one with "Run now", and read each run's history and stored
+// transcript.
+
+(function () {
+  const AGENTS = ['claude', 'codex', 'gemini', 'copilot', 'terminal'];
+  // While a run is in flight the open history refreshes this often.
+  const POLL_MS = 5000;
+
+  /**
+   * Request body for POST/PATCH /api/jobs from the form's values. Blank
+   * optional fields are sent as null so an edit can clear them.
+   * @param {{name: string, schedule: string, prompt: string, agent?: string, workingDir?: string,
+   *   timeoutMinutes?: string|number, keepSession?: boolean, enabled?: boolean}} values
+   * @returns {object}
+   */
+  function jobPayload(values) {
+    const timeout = String(values.timeoutMinutes == null ? '' : values.timeoutMinutes).trim();
+    return {
+      name: String(values.name || '').trim(),
+      schedule: String(values.schedule || '').trim(),
+      prompt: String(values.prompt || ''),
+      agent: values.agent || 'claude',
+      workingDir: String(values.workingDir || '').trim() || null,
+      timeoutMinutes: timeout ? Number(timeout) : null,
+      keepSession: !!values.keepSession,
+      enabled: values.enabled !== false,
+    };
+  }
+
+  /**
+   * "1h 5m", "42s" — how long a run took.
+   * @param {number|null} ms
+   * @returns {string}
+   */
+  function formatDuration(ms) {
+    if (ms == null || !Number.isFinite(ms) || ms < 0) return '—';
+    const s = Math.round(ms / 1000);
+    if (s < 60) return `${s}s`;
+    const m = Math.floor(s / 60);
+    if (m < 60) return `${m}m ${s % 60}s`;
+    return `${Math.floor(m / 60)}h ${m % 60}m`;
+  }
+
+  function formatTime(ms) {
+    return ms ? new Date(ms).toLocaleString() : '—';
+  }
+
+  function el(tag, attrs, children) {
+    const node = document.createElement(tag);
+    if (attrs) {
+      for (const k of Object.keys(attrs)) {
+        if (k === 'class') node.className = attrs[k];
+        else if (k === 'text') node.textContent = attrs[k];
+        else node.setAttribute(k, attrs[k]);
+      }
+    }
+    (children || []).forEach((c) => node.appendChild(c));
+    return node;
+  }
+
+  class JobsPanel {
+    constructor(app) {
+      this.app = app;
+      this.el = null;
+      this.jobs = [];
+      this.editing = null; // job id being edited, '' for a new job
+      this.historyJobId = null;
+      this._poll = null;
+      this._onKeydown = (e) => {
+        if (this.isOpen() && e.key === 'Escape') this.close();
+      };
+    }
+
+    isOpen() {
+      return !!(this.el && this.el.classList.contains('active'));
+    }
+
+    _fetch(url, opts) {
+      if (this.app && typeof this.app.authFetch === 'function') return this.app.authFetch(url, opts);
+      return fetch(url, opts);
+    }
+
+    async _json(url, opts) {
+      const res = await this._fetch(url, opts);
+      const body = await res.json().catch(() => ({}));
+      if (!res.ok) throw new Error(body.error || `HTTP ${res.status}`);
+      return body;
+    }
+
+    open() {
+      this._mount();
+      this.el.classList.add('active');
+      if (window.focusTrap) window.focusTrap.activate(this.el);
+      this.refresh();
+    }
+
+    close() {
+      this._stopPolling();
+      if (this.el) this.el.classList.remove('active');
+      if (window.focusTrap) window.focusTrap.deactivate();
+    }
+
+    _status(text) {
+      this.el.querySelector('.jobs-status').textContent = text;
+    }
+
+    async refresh() {
+      try {
+        this.jobs = (await this._json('/api/jobs')).jobs || [];
+        this._renderJobs();
+        if (this.historyJobId) await this._loadHistory(this.historyJobId);
+      } catch (err) {
+        this._status(`Could not load jobs: ${err.message}`);
+      }
+    }
+
+    _renderJobs() {
+      const tbody = this.el.querySelector('.jobs-table tbody');
+      tbody.textContent = '';
+      for (const job of this.jobs) {
+        const last = job.running ? 'running' : (job.lastRun ? job.lastRun.status : '—');
+        const actions = el('td', { class: 'jobs-actions' }, [
+          this._button('Run now', () => this.runNow(job), { disabled: !!job.running }),
+          this._button('History', () => this._loadHistory(job.id)),
+          this._button('Edit', () => this._edit(job)),
+          this._button(job.enabled ? 'Pause' : 'Resume', () => this._patch(job.id, { enabled: !job.enabled })),
+          this._button('Delete', () => this.remove(job)),
+        ]);
+        tbody.appendChild(el('tr', { class: job.enabled ? '' : 'jobs-paused' }, [
+          el('td', { class: 'jobs-name', text: job.name }),
+          el('td', { class: 'jobs-schedule', text: job.schedule }),
+          el('td', { text: job.agent }),
+          el('td', { text: job.enabled ? formatTime(job.nextRunAt) : 'paused' }),
+          el('td', { class: `jobs-run-status ${last}`, text: last }),
+          actions,
+        ]));
+      }
+      this._status(this.jobs.length ? `${this.jobs.length} job${this.jobs.length === 1 ? '' : 's'}` : 'No jobs yet.');
+    }
+
+    _button(text, onClick, opts) {
+      const btn = el('button', { class: 'btn btn-secondary btn-small', type: 'button', text });
+      if (opts && opts.disabled) btn.disabled = true;
+      btn.addEventListener('click', onClick);
+      return btn;
+    }
+
+    async runNow(job) {
+      try {
+        await this._json(`/api/jobs/${encodeURIComponent(job.id)}/run`, { method: 'POST' });
+        this._status(`Started ${job.name}.`);
+        this.historyJobId = job.id;
+        await this.refresh();
+      } catch (err) {
+        this._status(`Could not start ${job.name}: ${err.message}`);
+      }
+    }
+
+    async remove(job) {
+      if (!window.confirm(`Delete "${job.name}" and its run history?`)) return;
+      try {
+        await this._json(`/api/jobs/${encodeURIComponent(job.id)}`, { method: 'DELETE' });
+        if (this.historyJobId === job.id) this._closeHistory();
+        await this.refresh();
+      } catch (err) {
+        this._status(`Could not delete ${job.name}: ${err.message}`);
+      }
+    }
+
+    async _patch(id, body) {
+      try {
+        await this._json(`/api/jobs/${encodeURIComponent(id)}`, {
+          method: 'PATCH',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify(body),
+        });
+        await this.refresh();
+      } catch (err) {
+        this._status(`Could not save the job: ${err.message}`);
+      }
+    }
+
+    _edit(job) {
+      const form = this.el.querySelector('.jobs-form');
+      this.editing = job ? job.id : '';
+      const v = job || { agent: 'claude', timeoutMinutes: 30, enabled: true };
+      form.elements.name.value = v.name || '';
+      form.elements.schedule.value = v.schedule || '';
+      form.elements.prompt.value = v.prompt || '';
+      form.elements.agent.value = v.agent || 'claude';
+      form.elements.workingDir.value = v.workingDir || '';
+      form.elements.timeoutMinutes.value = v.timeoutMinutes || '';
+      form.elements.keepSession.checked = !!v.keepSession;
+      form.querySelector('.jobs-form-title').textContent = job ? `Edit ${job.name}` : 'New job';
+      form.querySelector('.jobs-form-error').textContent = '';
+      form.hidden = false;
+      form.elements.name.focus();
+    }
+
+    async _submit(e) {
+      e.preventDefault();
+      const form = this.el.querySelector('.jobs-form');
+      const f = form.elements;
+      const body = jobPayload({
+        name: f.name.value,
+        schedule: f.schedule.value,
+        prompt: f.prompt.value,
+        agent: f.agent.value,
+        workingDir: f.workingDir.value,
+        timeoutMinutes: f.timeoutMinutes.value,
+        keepSession: f.keepSession.checked,
+      });
+      // An edit leaves pausing to the Pause / Resume button.
+      if (this.editing) delete body.enabled;
+      const url = this.editing ? `/api/jobs/${encodeURIComponent(this.editing)}` : '/api/jobs';
+      try {
+        await this._json(url, {
+          method: this.editing ? 'PATCH' : 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify(body),
+        });
+        form.hidden = true;
+        this.editing = null;
+        await this.refresh();
+      } catch (err) {
+        form.querySelector('.jobs-form-error').textContent = err.message;
+      }
+    }
+
+    async _loadHistory(jobId) {
+      this.historyJobId = jobId;
+      const job = this.jobs.find((j) => j.id === jobId);
+      const panel = this.el.querySelector('.jobs-history');
+      panel.hidden = false;
+      panel.querySelector('.jobs-history-title').textContent = `Runs of ${job ? job.name : jobId}`;
+      let runs;
+      try {
+        runs = (await this._json(`/api/jobs/${encodeURIComponent(jobId)}/runs`)).runs || [];
+      } catch (err) {
+        panel.querySelector('.jobs-history-status').textContent = `Could not load runs: ${err.message}`;
+        return;
+      }
+      const tbody = panel.querySelector('tbody');
+      tbody.textContent = '';
+      for (const run of runs) {
+        const transcript = run.transcriptBytes
+          ? this._button('Transcript', () => this._showTranscript(jobId, run))
+          : el('span', { text: '—' });
+        tbody.appendChild(el('tr', null, [
+          el('td', { text: formatTime(run.startedAt) }),
+          el('td', { text: run.trigger }),
+          el('td', { class: `jobs-run-status ${run.status}`, text: run.status, title: run.error || '' }),
+          el('td', { text: formatDuration(run.finishedAt ? run.finishedAt - run.startedAt : null) }),
+          el('td', null, [transcript]),
+        ]));
+      }
+      panel.querySelector('.jobs-history-status').textContent = runs.length ? '' : 'No runs yet.';
+      this._stopPolling();
+      if (runs.some((r) => r.status === 'running') && this.isOpen()) {
+        this._poll = setTimeout(() => this.refresh(), POLL_MS);
+      }
+    }
+
+    async _showTranscript(jobId, run) {
+      const pre = this.el.querySelector('.jobs-transcript');
+      try {
+        const res = await this._fetch(`/api/jobs/${encodeURIComponent(jobId)}/runs/${encodeURIComponent(run.id)}/transcript`);
+        if (!res.ok) throw new Error(`HTTP ${res.status}`);
+        pre.textContent = await res.text();
+      } catch (err) {
+        pre.textContent = `Could not load the transcript: ${err.message}`;
+      }
+      pre.hidden = false;
+      pre.scrollTop = pre.scrollHeight;
+    }
+
+    _closeHistory() {
+      this._stopPolling();
+      this.historyJobId = null;
+      this.el.querySelector('.jobs-history').hidden = true;
+      this.el.querySelector('.jobs-transcript').hidden = true;
+    }
+
+    _stopPolling() {
+      if (this._poll) clearTimeout(this._poll);
+      this._poll = null;
+    }
+
+    _mount() {
+      if (this.el) return;
+      const closeBtn = el('button', { class: 'close-btn', 'aria-label': 'Close scheduled jobs', title: 'Close' });
+      closeBtn.textContent = '×';
+      closeBtn.addEventListener('click', () => this.close());
+      const add = el('button', { class: 'btn btn-primary', type: 'button', text: 'New job' });
+      add.addEventListener('click', () => this._edit(null));
+
+      const field = (label, input) => el('label', { class: 'jobs-field' }, [el('span', { text: label }), input]);
+      const cancel = el('button', { class: 'btn btn-secondary', type: 'button', text: 'Cancel' });
+      const form = el('form', { class: 'jobs-form' }, [
+        el('h3', { class: 'jobs-form-title' }),
+        field('Name', el('input', { name: 'name', type: 'text', maxlength: '100', required: 'required' })),
+        field('Schedule', el('input', {
+          name: 'schedule', type: 'text', required: 'required', spellcheck: 'false',
+          placeholder: '0 9 * * mon-fri', title: 'minute hour day month weekday, or @daily / @hourly',
+        })),
+        field('Prompt', el('textarea', { name: 'prompt', rows: '4', required: 'required' })),
+        field('Agent', el('select', { name: 'agent' }, AGENTS.map((a) => el('option', { value: a, text: a })))),
+        field('Working directory', el('input', { name: 'workingDir', type: 'text', placeholder: 'Server default', spellcheck: 'false' })),
+        field('Timeout (minutes)', el('input', { name: 'timeoutMinutes', type: 'number', min: '1', max: '1440', placeholder: '30' })),
+        el('label', { class: 'jobs-check' }, [
+          el('input', { name: 'keepSession', type: 'checkbox' }),
+          el('span', { text: 'Keep the agent running after the run' }),
+        ]),
+        el('div', { class: 'jobs-form-error', role: 'alert' }),
+        el('div', { class: 'jobs-form-buttons' }, [cancel, el('button', { class: 'btn btn-primary', type: 'submit', text: 'Save' })]),
+      ]);
+      form.hidden = true;
+      form.addEventListener('submit', (e) => this._submit(e));
+      cancel.addEventListener('click', () => { form.hidden = true; this.editing = null; });
+
+      const table = el('table', { class: 'jobs-table' }, [
+        el('thead', null, [el('tr', null, ['Name', 'Schedule', 'Agent', 'Next run', 'Last run', ''].map((h) => el('th', { text: h })))]),
+        el('tbody'),
+      ]);
+
+      const hideHistory = this._button('Close', () => this._closeHistory());
+      const history = el('div', { class: 'jobs-history' }, [
+        el('div', { class: 'jobs-history-header' }, [el('h3', { class: 'jobs-history-title' }), hideHistory]),
+        el('table', { class: 'jobs-table' }, [
+          el('thead', null, [el('tr', null, ['Started', 'Trigger', 'Status', 'Took', ''].map((h) => el('th', { text: h })))]),
+          el('tbody'),
+        ]),
+        el('div', { class: 'jobs-history-status' }),
+        el('pre', { class: 'jobs-transcript' }),
+      ]);
+      history.hidden = true;
+      history.querySelector('.jobs-transcript').hidden = true;
+
+      this.el = el('div', { class: 'jobs-panel-modal', role: 'dialog', 'aria-modal': 'true', 'aria-labelledby': 'jobsPanelHeading' }, [
+        el('div', { class: 'modal-content' }, [
+          el('div', { class: 'modal-header' }, [
+            el('h2', { id: 'jobsPanelHeading', text: 'Scheduled Jobs' }),
+            closeBtn,
+          ]),
+          el('div', { class: 'modal-body' }, [
+            el('div', { class: 'jobs-toolbar' }, [el('span', { class: 'jobs-status', role: 'status' }), add]),
+            form,
+            table,
+            history,
+          ]),
+        ]),
+      ]);
+      this.el.addEventListener('click', (e) => { if (e.target === this.el) this.close(); });
+      document.addEventListener('keydown', this._onKeydown);
+      document.body.appendChild(this.el);
+    }
+
+    destroy() {
+      this._stopPolling();
+      document.removeEventListener('keydown', this._onKeydown);
+      if (this.el && this.el.parentNode) this.el.parentNode.removeChild(this.el);
+      this.el = null;
+    }
+  }
+
+  JobsPanel.jobPayload = jobPayload;
+  JobsPanel.formatDuration = formatDuration;
+
+  if (typeof module !== 'undefined' && module.exports) module.exports = JobsPanel;
+  if (typeof window !== 'undefined') window.JobsPanel = JobsPanel;
+})();
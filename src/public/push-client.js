@@ -0,0 +1,133 @@
+'use strict';
+
+// Web Push subscription for this browser (server side: src/push-manager.js).
+// The service worker shows the notifications; this only subscribes,
+// unsubscribes and keeps this browser's per-session mutes.
+
+(function (root, factory) {
+  const api = factory();
+  if (typeof module === 'object' && module.exports) module.exports = api;
+  if (root) root.PushClient = api;
+})(typeof window !== 'undefined' ? window : globalThis, function () {
+  /**
+   * VAPID public key (base64url) to the Uint8Array PushManager.subscribe()
+   * wants as applicationServerKey.
+   * @param {string} base64url
+   * @returns {Uint8Array}
+   */
+  function keyToBytes(base64url) {
+    const base64 = String(base64url).replace(/-/g, '+').replace(/_/g, '/');
+    const padded = base64 + '='.repeat((4 - (base64.length % 4)) % 4);
+    const raw = atob(padded);
+    const out = new Uint8Array(raw.length);
+    for (let i = 0; i < raw.length; i++) out[i] = raw.charCodeAt(i);
+    return out;
+  }
+
+  /** Does an existing subscription use this server key? */
+  function sameKey(subscription, publicKey) {
+    const current = subscription && subscription.options && subscription.options.applicationServerKey;
+    if (!current) return true; // Not exposed by every browser; assume it matches.
+    const a = new Uint8Array(current);
+    const b = keyToBytes(publicKey);
+    return a.length === b.length && a.every((v, i) => v === b[i]);
+  }
+
+  class PushClient {
+    constructor(app) {
+      this.app = app;
+      this.subscription = null;
+      this.muted = new Set();
+    }
+
+    /** Push needs a secure context, a service worker and the Push API. */
+    static isSupported() {
+      return typeof window !== 'undefined' && window.isSecureContext
+        && 'serviceWorker' in navigator && 'PushManager' in window && 'Notification' in window;
+    }
+
+    get enabled() {
+      return !!this.subscription;
+    }
+
+    isMuted(sessionId) {
+      return this.muted.has(sessionId);
+    }
+
+    _fetch(url, opts) {
+      if (this.app && typeof this.app.authFetch === 'function') return this.app.authFetch(url, opts);
+      return fetch(url, opts);
+    }
+
+    async _post(url, body) {
+      const res = await this._fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body),
+      });
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok) throw new Error(data.error || `HTTP ${res.status}`);
+      return data;
+    }
+
+    _apply(state) {
+      this.muted = new Set(state.muted || []);
+    }
+
+    /**
+     * Pick up an existing subscription on page load and re-register it, so
+     * the server's list survives a wiped storage dir or a rotated key.
+     */
+    async refresh() {
+      if (!PushClient.isSupported()) return;
+      const registration = await navigator.serviceWorker.ready;
+      let subscription = await registration.pushManager.getSubscription();
+      if (!subscription) { this.subscription = null; return; }
+      const res = await this._fetch('/api/push');
+      const state = await res.json();
+      if (!state.publicKey) { this.subscription = null; return; }
+      if (!sameKey(subscription, state.publicKey)) {
+        await subscription.unsubscribe();
+        subscription = await registration.pushManager.subscribe({ userVisibleOnly: true, applicationServerKey: keyToBytes(state.publicKey) });
+      }
+      this.subscription = subscription;
+      this._apply(await this._post('/api/push/subscribe', { subscription: subscription.toJSON() }));
+    }
+
+    async enable() {
+      if (!PushClient.isSupported()) throw new Error('Push notifications are not supported in this browser');
+      const permission = Notification.permission === 'default'
+        ? await Notification.requestPermission()
+        : Notification.permission;
+      if (permission !== 'granted') throw new Error('Notification permission was not granted');
+      const res = await this._fetch('/api/push');
+      const state = await res.json();
+      if (!state.publicKey) throw new Error('Push is not available on this server');
+      const registration = await navigator.serviceWorker.ready;
+      const subscription = await registration.pushManager.getSubscription()
+        || await registration.pushManager.subscribe({ userVisibleOnly: true, applicationServerKey: keyToBytes(state.publicKey) });
+      this.subscription = subscription;
+      this._apply(await this._post('/api/push/subscribe', { subscription: subscription.toJSON() }));
+    }
+
+    async disable() {
+      const subscription = this.subscription;
+      this.subscription = null;
+      this.muted = new Set();
+      if (!subscription) return;
+      try {
+        await this._post('/api/push/unsubscribe', { endpoint: subscription.endpoint });
+      } finally {
+        await subscription.unsubscribe();
+      }
+    }
+
+    async setMuted(sessionId, muted) {
+      if (!this.subscription) return;
+      this._apply(await this._post('/api/push/mute', { endpoint: this.subscription.endpoint, sessionId, muted }));
+    }
+  }
+
+  PushClient.keyToBytes = keyToBytes;
+  return PushClient;
+});
@@ -0,0 +1,450 @@
+'use strict';
+
+// Replay viewer for session recordings (asciicast v2, written by the server's
+// SessionRecorder when started with --record). Lists the recordings for the
+// active tab (or all of them), then plays one back in a private xterm with
+// play/pause, a scrub bar, speed control, "jump to" a time offset and an
+// optional idle-gap cap so an overnight run can be skimmed.
+//
+// Seeking is stateless: going backwards resets the replay terminal and writes
+// every output event up to the target in one batch; going forwards writes just
+// the events in between. Input events ("i") are not fed to the terminal (the
+// PTY's own echo is already in the output) — the most recent one is shown in
+// the footer so you can see exactly what was typed and when.
+
+(function () {
+  const SPEEDS = [0.5, 1, 2, 4, 8, 16];
+  const TICK_MS = 33;
+  const IDLE_CAP_SECONDS = 2;
+
+  /**
+   * Parse an asciicast v2 document.
+   * @param {string} text
+   * @returns {{header: object, events: Array<{t: number, code: string, data: string}>, duration: number}}
+   */
+  function parseAsciicast(text) {
+    const lines = String(text || '').split('\n');
+    let header = null;
+    const events = [];
+    for (const line of lines) {
+      if (!line.trim()) continue;
+      let parsed;
+      try { parsed = JSON.parse(line); } catch (_) { continue; } // torn last line of a live file
+      if (!header) {
+        if (!parsed || Array.isArray(parsed) || parsed.version !== 2) {
+          throw new Error('Not an asciicast v2 recording');
+        }
+        header = parsed;
+        continue;
+      }
+      if (!Array.isArray(parsed) || parsed.length < 3 || typeof parsed[0] !== 'number') continue;
+      events.push({ t: parsed[0], code: String(parsed[1]), data: String(parsed[2]) });
+    }
+    if (!header) throw new Error('Empty recording');
+    events.sort((a, b) => a.t - b.t);
+    const duration = events.length ? events[events.length - 1].t : 0;
+    return { header, events, duration };
+  }
+
+  /**
+   * Index of the first event strictly after `t` (binary search).
+   * @returns {number}
+   */
+  function indexAfter(events, t) {
+    let lo = 0;
+    let hi = events.length;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (events[mid].t <= t) lo = mid + 1;
+      else hi = mid;
+    }
+    return lo;
+  }
+
+  /**
+   * Collapse events [from, to) into what the replay terminal needs: the output
+   * to write, the last geometry seen and the last input typed.
+   * @returns {{output: string, size: {cols: number, rows: number}|null, input: string|null}}
+   */
+  function collectRange(events, from, to) {
+    let output = '';
+    let size = null;
+    let input = null;
+    for (let i = from; i < to; i++) {
+      const ev = events[i];
+      if (ev.code === 'o') {
+        output += ev.data;
+      } else if (ev.code === 'i') {
+        input = ev.data;
+      } else if (ev.code === 'r') {
+        const m = /^(\d+)x(\d+)$/.exec(ev.data);
+        // Last resize wins; RecordingPlayer._apply splits runs at resize
+        // events so output is still written at the width it was produced at.
+        if (m) size = { cols: Number(m[1]), rows: Number(m[2]) };
+      }
+    }
+    return { output, size, input };
+  }
+
+  /** "h:mm:ss" / "m:ss" for a second offset. */
+  function formatOffset(seconds) {
+    const s = Math.max(0, Math.floor(seconds || 0));
+    const h = Math.floor(s / 3600);
+    const m = Math.floor((s % 3600) / 60);
+    const sec = String(s % 60).padStart(2, '0');
+    return h > 0 ? `${h}:${String(m).padStart(2, '0')}:${sec}` : `${m}:${sec}`;
+  }
+
+  /**
+   * Parse "90", "1:30" or "1:02:03" into seconds. Returns null when malformed.
+   * @returns {number|null}
+   */
+  function parseOffset(value) {
+    const text = String(value == null ? '' : value).trim();
+    if (!/^\d+(?::\d{1,2}){0,2}(?:\.\d+)?$/.test(text)) return null;
+    return text.split(':').reduce((acc, part) => acc * 60 + Number(part), 0);
+  }
+
+  /** Show control characters in the input footer without writing them raw. */
+  function describeInput(data) {
+    return String(data)
+      .replace(/\r/g, '⏎')
+      .replace(/\x1b/g, '⎋')
+      .replace(/[\x00-\x1f\x7f]/g, (c) => '^' + String.fromCharCode((c.charCodeAt(0) + 64) & 0x7f))
+      .slice(0, 200);
+  }
+
+  function el(tag, attrs, children) {
+    const node = document.createElement(tag);
+    if (attrs) {
+      for (const k of Object.keys(attrs)) {
+        if (k === 'class') node.className = attrs[k];
+        else if (k === 'text') node.textContent = attrs[k];
+        else node.setAttribute(k, attrs[k]);
+      }
+    }
+    (children || []).forEach((c) => node.appendChild(c));
+    return node;
+  }
+
+  class RecordingPlayer {
+    constructor(app) {
+      this.app = app;
+      this.el = null;
+      this.term = null;
+      this.cast = null;
+      this.position = 0;   // seconds into the recording
+      this.index = 0;      // next event to apply
+      this.playing = false;
+      this.speed = 1;
+      this.skipIdle = true;
+      this._timer = null;
+      this._lastTick = 0;
+      this._onKeydown = (e) => {
+        if (!this.isOpen()) return;
+        if (e.key === 'Escape') this.close();
+      };
+    }
+
+    isOpen() {
+      return !!(this.el && this.el.classList.contains('active'));
+    }
+
+    _fetch(url, opts) {
+      if (this.app && typeof this.app.authFetch === 'function') return this.app.authFetch(url, opts);
+      return fetch(url, opts);
+    }
+
+    /**
+     * Open the viewer on the recording list. With a sessionId only that tab's
+     * recordings are listed.
+     */
+    async open(sessionId) {
+      this._mount();
+      this.el.classList.add('active');
+      if (window.focusTrap) window.focusTrap.activate(this.el);
+      this._showList();
+      const list = this.el.querySelector('.recording-list');
+      list.textContent = 'Loading recordings…';
+      try {
+        const query = sessionId ? `?sessionId=${encodeURIComponent(sessionId)}` : '';
+        const res = await this._fetch(`/api/recordings${query}`);
+        if (!res.ok) throw new Error(`HTTP ${res.status}`);
+        const body = await res.json();
+        this._renderList(body.recordings || [], body.enabled);
+      } catch (err) {
+        list.textContent = `Could not load recordings: ${err.message}`;
+      }
+    }
+
+    close() {
+      this.pause();
+      if (this.el) this.el.classList.remove('active');
+      if (window.focusTrap) window.focusTrap.deactivate();
+    }
+
+    /** Fetch and start playing one recording. */
+    async load(recordingId) {
+      const res = await this._fetch(`/api/recordings/${encodeURIComponent(recordingId)}`);
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      const cast = parseAsciicast(await res.text());
+      this.pause();
+      this.cast = cast;
+      this.recordingId = recordingId;
+      this.position = 0;
+      this.index = 0;
+      this._showPlayer();
+      this._ensureTerminal();
+      if (this.term) this.term.reset();
+      this._applySize({ cols: cast.header.width, rows: cast.header.height });
+      this.seek(0);
+      this.play();
+    }
+
+    play() {
+      if (!this.cast || this.playing) return;
+      if (this.position >= this.cast.duration) this.seek(0);
+      this.playing = true;
+      this._lastTick = Date.now();
+      this._timer = setInterval(() => this._tick(), TICK_MS);
+      this._syncControls();
+    }
+
+    pause() {
+      this.playing = false;
+      if (this._timer) clearInterval(this._timer);
+      this._timer = null;
+      this._syncControls();
+    }
+
+    togglePlay() {
+      if (this.playing) this.pause();
+      else this.play();
+    }
+
+    setSpeed(speed) {
+      const n = Number(speed);
+      if (SPEEDS.includes(n)) this.speed = n;
+      this._syncControls();
+    }
+
+    /** Jump to an absolute offset (seconds), rewinding the terminal if needed. */
+    seek(seconds) {
+      if (!this.cast) return;
+      const target = Math.min(Math.max(0, Number(seconds) || 0), this.cast.duration);
+      const to = indexAfter(this.cast.events, target);
+      let from = this.index;
+      if (target < this.position || to < this.index) {
+        from = 0;
+        if (this.term) this.term.reset();
+        this._applySize({ cols: this.cast.header.width, rows: this.cast.header.height });
+      }
+      this._apply(from, to);
+      this.index = to;
+      this.position = target;
+      this._syncControls();
+    }
+
+    _tick() {
+      const now = Date.now();
+      const elapsed = ((now - this._lastTick) / 1000) * this.speed;
+      this._lastTick = now;
+      const events = this.cast.events;
+      let next = this.position + elapsed;
+      // Skip dead air: never wait longer than IDLE_CAP_SECONDS for the next event.
+      if (this.skipIdle && this.index < events.length) {
+        const gap = events[this.index].t - this.position;
+        if (gap > IDLE_CAP_SECONDS && elapsed > 0) {
+          next = Math.max(next, events[this.index].t - IDLE_CAP_SECONDS + elapsed);
+        }
+      }
+      if (next >= this.cast.duration) {
+        this.seek(this.cast.duration);
+        this.pause();
+        return;
+      }
+      this.seek(next);
+    }
+
+    _apply(from, to) {
+      if (from >= to || !this.term) return;
+      // Write in runs split at resize events so each run lands at its own width.
+      let start = from;
+      for (let i = from; i < to; i++) {
+        if (this.cast.events[i].code !== 'r') continue;
+        this._write(collectRange(this.cast.events, start, i));
+        this._write(collectRange(this.cast.events, i, i + 1));
+        start = i + 1;
+      }
+      this._write(collectRange(this.cast.events, start, to));
+    }
+
+    _write(chunk) {
+      if (chunk.output) this.term.write(chunk.output);
+      if (chunk.size) this._applySize(chunk.size);
+      if (chunk.input != null) {
+        const footer = this.el && this.el.querySelector('.recording-last-input');
+        if (footer) footer.textContent = `Last input: ${describeInput(chunk.input)}`;
+      }
+    }
+
+    _applySize(size) {
+      if (!this.term || !size || !size.cols || !size.rows) return;
+      if (this.term.cols === size.cols && this.term.rows === size.rows) return;
+      // The replay terminal mirrors the recorded PTY grid; it is never fitted
+      // to the viewport (the wrapper scrolls instead).
+      this.term.resize(size.cols, size.rows);
+    }
+
+    _ensureTerminal() {
+      if (this.term || typeof window.Terminal !== 'function') return;
+      const host = this.el.querySelector('.recording-terminal');
+      this.term = new window.Terminal({
+        cols: this.cast.header.width || 80,
+        rows: this.cast.header.height || 24,
+        disableStdin: true,
+        convertEol: false,
+        scrollback: 5000,
+        fontFamily: getComputedStyle(document.documentElement).getPropertyValue('--font-mono') || 'monospace',
+      });
+      this.term.open(host);
+    }
+
+    _mount() {
+      if (this.el) return;
+      const closeBtn = el('button', { class: 'close-btn', 'aria-label': 'Close replay', title: 'Close' });
+      closeBtn.textContent = '×';
+      closeBtn.addEventListener('click', () => this.close());
+
+      const backBtn = el('button', { class: 'btn btn-secondary recording-back', text: 'All recordings' });
+      backBtn.addEventListener('click', () => { this.pause(); this._showList(); });
+
+      const playBtn = el('button', { class: 'btn btn-primary recording-play', text: 'Play' });
+      playBtn.addEventListener('click', () => this.togglePlay());
+
+      const scrub = el('input', { class: 'recording-scrub', type: 'range', min: '0', max: '0', step: '0.1', value: '0', 'aria-label': 'Playback position' });
+      scrub.addEventListener('input', () => this.seek(Number(scrub.value)));
+
+      const speed = el('select', { class: 'recording-speed', 'aria-label': 'Playback speed' },
+        SPEEDS.map((s) => el('option', { value: String(s), text: `${s}×` })));
+      speed.value = '1';
+      speed.addEventListener('change', () => this.setSpeed(speed.value));
+
+      const idle = el('input', { type: 'checkbox', class: 'recording-skip-idle' });
+      idle.checked = this.skipIdle;
+      idle.addEventListener('change', () => { this.skipIdle = idle.checked; });
+
+      const jump = el('input', { class: 'recording-jump', type: 'text', placeholder: 'm:ss', 'aria-label': 'Jump to time offset' });
+      const jumpBtn = el('button', { class: 'btn btn-secondary', text: 'Jump' });
+      const doJump = () => {
+        const secs = parseOffset(jump.value);
+        if (secs == null) { jump.classList.add('invalid'); return; }
+        jump.classList.remove('invalid');
+        this.seek(secs);
+      };
+      jumpBtn.addEventListener('click', doJump);
+      jump.addEventListener('keydown', (e) => { if (e.key === 'Enter') doJump(); });
+
+      const player = el('div', { class: 'recording-player' }, [
+        el('div', { class: 'recording-terminal' }),
+        el('div', { class: 'recording-controls' }, [
+          playBtn,
+          el('span', { class: 'recording-time', text: '0:00 / 0:00' }),
+          scrub,
+          speed,
+          el('label', { class: 'recording-idle-label' }, [idle, document.createTextNode(' Skip idle')]),
+          jump,
+          jumpBtn,
+          backBtn,
+        ]),
+        el('div', { class: 'recording-last-input' }),
+      ]);
+
+      this.el = el('div', { class: 'recording-player-modal', role: 'dialog', 'aria-modal': 'true', 'aria-labelledby': 'recordingPlayerHeading' }, [
+        el('div', { class: 'modal-content' }, [
+          el('div', { class: 'modal-header' }, [
+            el('h2', { id: 'recordingPlayerHeading', text: 'Session Recordings' }),
+            closeBtn,
+          ]),
+          el('div', { class: 'modal-body' }, [
+            el('div', { class: 'recording-list' }),
+            player,
+          ]),
+        ]),
+      ]);
+      this.el.addEventListener('click', (e) => { if (e.target === this.el) this.close(); });
+      document.addEventListener('keydown', this._onKeydown);
+      document.body.appendChild(this.el);
+    }
+
+    _showList() {
+      this.el.querySelector('.recording-list').style.display = '';
+      this.el.querySelector('.recording-player').style.display = 'none';
+    }
+
+    _showPlayer() {
+      this.el.querySelector('.recording-list').style.display = 'none';
+      this.el.querySelector('.recording-player').style.display = '';
+      const title = this.cast.header.title || this.recordingId;
+      this.el.querySelector('#recordingPlayerHeading').textContent = `Replay: ${title}`;
+      this.el.querySelector('.recording-last-input').textContent = '';
+    }
+
+    _renderList(recordings, enabled) {
+      const list = this.el.querySelector('.recording-list');
+      list.textContent = '';
+      this.el.querySelector('#recordingPlayerHeading').textContent = 'Session Recordings';
+      if (!recordings.length) {
+        list.textContent = enabled
+          ? 'No recordings yet. Sessions started from now on are recorded.'
+          : 'No recordings. Start the server with --record to record sessions.';
+        return;
+      }
+      for (const rec of recordings) {
+        const started = new Date(rec.startedAt);
+        const label = `${rec.title || rec.sessionId}${rec.agent ? ` · ${rec.agent}` : ''}`;
+        const meta = `${started.toLocaleString()} · ${(rec.size / 1024).toFixed(0)} KB${rec.active ? ' · recording' : ''}`;
+        const item = el('button', { class: 'recording-item', type: 'button' }, [
+          el('span', { class: 'recording-item-title', text: label }),
+          el('span', { class: 'recording-item-meta', text: meta }),
+        ]);
+        item.addEventListener('click', () => {
+          this.load(rec.id).catch((err) => {
+            if (window.feedback) window.feedback.error(`Could not load recording: ${err.message}`);
+          });
+        });
+        list.appendChild(item);
+      }
+    }
+
+    _syncControls() {
+      if (!this.el || !this.cast) return;
+      const playBtn = this.el.querySelector('.recording-play');
+      if (playBtn) playBtn.textContent = this.playing ? 'Pause' : 'Play';
+      const scrub = this.el.querySelector('.recording-scrub');
+      if (scrub) {
+        scrub.max = String(this.cast.duration);
+        scrub.value = String(this.position);
+      }
+      const time = this.el.querySelector('.recording-time');
+      if (time) time.textContent = `${formatOffset(this.position)} / ${formatOffset(this.cast.duration)}`;
+    }
+
+    destroy() {
+      this.pause();
+      document.removeEventListener('keydown', this._onKeydown);
+      if (this.term) { try { this.term.dispose(); } catch (_) { /* ignore */ } this.term = null; }
+      if (this.el && this.el.parentNode) this.el.parentNode.removeChild(this.el);
+      this.el = null;
+    }
+  }
+
+  RecordingPlayer.parseAsciicast = parseAsciicast;
+  RecordingPlayer.indexAfter = indexAfter;
+  RecordingPlayer.collectRange = collectRange;
+  RecordingPlayer.formatOffset = formatOffset;
+  RecordingPlayer.parseOffset = parseOffset;
+
+  if (typeof module !== 'undefined' && module.exports) module.exports = RecordingPlayer;
+  if (typeof window !== 'undefined') window.RecordingPlayer = RecordingPlayer;
+})();
@@ -1,6 +1,6 @@
 // Bump this version when urlsToCache entries are added or removed.
 // Content changes to existing files are handled by the network-first fetch strategy.
-const CACHE_NAME = 'ai-or-die-v13';
+const CACHE_NAME = 'ai-or-die-v15';
 const urlsToCache = [
   '/',
   '/index.html',
@@ -28,8 +28,10 @@ const urlsToCache = [
   '/app-identity.js',
   '/command-palette.js',
   '/clipboard-handler.js',
+  '/tab-groups.js',
   '/session-manager.js',
   '/plan-detector.js',
+  '/split-layout.js',
   '/splits.js',
   '/icons.js',
   '/components/extra-keys.css',
@@ -183,6 +185,29 @@ self.addEventListener('message', event => {
   }
 });
 
+// Web Push from the server (push-manager.js): a long turn ended, a session is
+// waiting for input or a usage budget crossed a threshold. Shown even when no tab is open; clicks go through the
+// notificationclick handler below.
+self.addEventListener('push', event => {
+  let data = {};
+  try {
+    data = event.data ? event.data.json() : {};
+  } catch (_) {
+    data = { body: event.data ? event.data.text() : '' };
+  }
+  event.waitUntil(
+    self.registration.showNotification(data.title || 'ai-or-die', {
+      body: data.body || '',
+      icon: '/favicon.ico',
+      tag: data.tag || data.sessionId,
+      data: { sessionId: data.sessionId },
+      actions: [
+        { action: 'switch-tab', title: 'Open Session' }
+      ]
+    })
+  );
+});
+
 // Handle notification clicks (for Windows Notification Center / Action Center)
 self.addEventListener('notificationclick', event => {
   const data = event.notification.data || {};
@@ -4,6 +4,17 @@ function _esc(str) {
     return d.innerHTML;
 }
 
+// Tab badge per built-in tool. Color comes from token-backed CSS
+// (.tab-badge[data-tool="..."] in tabs.css), not an inline style, so the
+// badges stay consistent with the tool cards and don't bypass tokens.
+const TOOL_BADGES = {
+    claude: { label: 'C' },
+    codex: { label: 'Cx' },
+    copilot: { label: 'Cp' },
+    gemini: { label: 'G' },
+    terminal: { label: '>_' },
+};
+
 class SessionTabManager {
     constructor(claudeInterface) {
         this.claudeInterface = claudeInterface;
@@ -15,6 +26,8 @@ class SessionTabManager {
         this.notificationsEnabled = false;
         this.idleTimeoutMs = 90000;
         this._deletingSessionIds = new Set();
+        this.broadcastIds = new Set(); // tabs that receive each other's input
+        this.groups = []; // tab groups, in order (applyGroups)
     }
 
     getAlias(kind) {
@@ -23,6 +36,32 @@ class SessionTabManager {
         }
         return kind === 'codex' ? 'Codex' : 'Claude';
     }
+
+    /**
+     * Badge for a tab's tool, or null. Plugin agents take their label and
+     * color from the manifest icon in /api/config `tools`.
+     * @returns {{label: string, color?: string|null, plugin?: boolean}|null}
+     */
+    toolBadge(toolType) {
+        if (TOOL_BADGES[toolType]) return TOOL_BADGES[toolType];
+        const tools = this.claudeInterface && this.claudeInterface.tools;
+        const tool = tools && tools[toolType];
+        if (!tool || !tool.icon) return null;
+        return { label: tool.icon.label, color: tool.icon.color, plugin: true };
+    }
+
+    // The plugin color is a validated hex from the server; it goes through a
+    // custom property so tabs.css still owns how the badge is painted.
+    _applyBadge(badgeEl, toolType, badge) {
+        badgeEl.className = 'tab-badge';
+        if (toolType) badgeEl.setAttribute('data-tool', toolType);
+        if (badge.plugin) {
+            badgeEl.setAttribute('data-plugin', '');
+            if (badge.color) badgeEl.style.setProperty('--tab-badge-color', badge.color);
+        }
+        badgeEl.title = toolType;
+        badgeEl.textContent = badge.label;
+    }
     
     requestNotificationPermission() {
         if (!('Notification' in window)) {
@@ -370,6 +409,7 @@ class SessionTabManager {
                 if (e.target.classList.contains('session-tab')) {
                     e.target.classList.remove('dragging');
                     this.syncOrderFromDom();
+                    this._regroupDroppedTab(e.target);
                     this.updateTabOverflow();
                     this.updateOverflowMenu();
                 }
@@ -616,6 +656,7 @@ class SessionTabManager {
                     false,
                     session.agent || null
                 );
+                this.setTabWorktree(session.id, session.worktree);
                 // Set initial timestamps based on order (older sessions get older timestamps)
                 const sessionData = this.activeSessions.get(session.id);
                 if (sessionData) {
@@ -627,6 +668,7 @@ class SessionTabManager {
             if (this.claudeInterface.isMobile) {
                 this.reorderTabsByLastAccessed();
             }
+            await this.loadGroups();
             
             console.log('[SessionManager.loadSessions] Final tabs.size:', this.tabs.size);
             
@@ -664,27 +706,13 @@ class SessionTabManager {
         const folderName = workingDir ? workingDir.split('/').pop() || '/' : null;
         const displayName = !isDefaultSessionName ? sessionName : (folderName || sessionName);
         
-        // Tool type badge mapping. Color comes from token-backed CSS
-        // (.tab-badge[data-tool="..."] in tabs.css), not an inline style, so
-        // the badges stay consistent with the tool cards and don't bypass tokens.
-        const toolBadges = {
-            claude: { label: 'C' },
-            codex: { label: 'Cx' },
-            copilot: { label: 'Cp' },
-            gemini: { label: 'G' },
-            terminal: { label: '>_' },
-        };
-        const badge = toolBadges[toolType] || null;
-        const badgeHtml = badge
-            ? `<span class="tab-badge" data-tool="${toolType || ''}" title="${toolType || ''}">${badge.label}</span>`
-            : '';
+        const badge = this.toolBadge(toolType);
 
         const statusLabel = status === 'active' ? 'Active' : status === 'error' ? 'Error' : 'Idle';
         tab.innerHTML = `
             <span class="tab-status-border ${status}" aria-hidden="true"></span>
             <span class="sr-only">${statusLabel}</span>
             <div class="tab-content">
-                ${badgeHtml}
                 <span class="tab-name" title="${_esc(sessionName)}">${_esc(displayName)}</span>
             </div>
             <button type="button" class="tab-close" title="Close tab" aria-label="Close ${_esc(sessionName)}">
@@ -694,17 +722,27 @@ class SessionTabManager {
                 </svg>
             </button>
         `;
+        if (badge) {
+            const badgeEl = document.createElement('span');
+            this._applyBadge(badgeEl, toolType, badge);
+            const content = tab.querySelector('.tab-content');
+            content.insertBefore(badgeEl, content.firstChild);
+        }
         
-        // Tab click handler
+        // Tab click handler; Alt+click adds or removes the tab from the broadcast
         tab.addEventListener('click', async (e) => {
-            if (!e.target.closest('.tab-close')) {
+            if (e.altKey && !e.target.closest('.tab-close')) {
+                this.toggleBroadcast(sessionId);
+                return;
+            }
+            if (!e.target.closest('.tab-close, .tab-broadcast')) {
                 await this.switchToTab(sessionId);
             }
         });
         tab.addEventListener('keydown', (e) => {
             const ids = this.getOrderedTabIds().filter((id) => {
                 const candidate = this.tabs.get(id);
-                return candidate && candidate.style.display !== 'none';
+                return candidate && candidate.style.display !== 'none' && !candidate.classList.contains('group-collapsed');
             });
             const index = ids.indexOf(sessionId);
             let targetIndex = index;
@@ -784,6 +822,7 @@ class SessionTabManager {
         // Update overflow on mobile
         this.updateTabOverflow();
         this.updateOverflowMenu();
+        this.claudeInterface.tabSidebar?.render();
 
         // If this is the first tab and autoSwitch is enabled, make it active
         if (this.tabs.size === 1 && autoSwitch) {
@@ -848,6 +887,8 @@ class SessionTabManager {
         }
 
         this.updateOverflowMenu();
+        // The active tab stays visible in a collapsed group
+        this.renderGroups();
 
         // If tile view is enabled, tabs target the active pane (VS Code-style)
         // Instant paint from the cache (faithful serialize snapshot) BEFORE the
@@ -935,6 +976,10 @@ class SessionTabManager {
         // Confirm before closing sessions with an active process
         if (!skipConfirmation && !skipServerRequest) {
             const session = this.activeSessions.get(sessionId);
+            if (session && session.worktree) {
+                this.promptWorktreeClose(sessionId);
+                return;
+            }
             if (session && session.active) {
                 if (!confirm('Close session? The running process will be stopped.')) {
                     return;
@@ -963,10 +1008,13 @@ class SessionTabManager {
         this.claudeInterface.snapshotCache?.evict(sessionId);
         this.tabOrder = orderedIds.filter(id => id !== sessionId);
         this.removeFromHistory(sessionId);
+        if (this.broadcastIds.delete(sessionId)) this._renderBroadcast();
+        this.claudeInterface.splitContainer?.onSessionClosed(sessionId);
 
         // Update overflow on mobile
         this.updateTabOverflow();
         this.updateOverflowMenu();
+        this.claudeInterface.tabSidebar?.render();
 
         if (!skipServerRequest) {
             this._deletingSessionIds.add(sessionId);
@@ -994,6 +1042,85 @@ class SessionTabManager {
 
     }
 
+    // Closing a worktree tab asks what to do with its branch instead of the
+    // plain confirm(). The DELETE goes out before the tab is removed, so a
+    // refused merge (uncommitted changes, conflicts) leaves the tab open.
+    promptWorktreeClose(sessionId) {
+        const session = this.activeSessions.get(sessionId);
+        if (!session || !session.worktree) return;
+        const { branch } = session.worktree;
+
+        const overlay = document.createElement('div');
+        overlay.className = 'image-preview-modal active';
+        overlay.setAttribute('role', 'dialog');
+        overlay.setAttribute('aria-modal', 'true');
+        const box = document.createElement('div');
+        box.className = 'modal-content';
+        box.style.maxWidth = '480px';
+        const header = document.createElement('div');
+        header.className = 'modal-header';
+        const title = document.createElement('h2');
+        title.textContent = 'Close worktree session';
+        header.appendChild(title);
+        const body = document.createElement('div');
+        body.className = 'modal-body';
+        body.textContent = `"${session.name}" works on branch ${branch}. The running process will be stopped. ` +
+            'Merge needs the branch changes committed; Remove Checkout keeps the branch.';
+        const footer = document.createElement('div');
+        footer.className = 'modal-footer';
+        box.append(header, body, footer);
+        overlay.appendChild(box);
+
+        const dismiss = () => {
+            overlay.remove();
+            document.removeEventListener('keydown', onKey, true);
+        };
+        const onKey = (e) => {
+            if (e.key === 'Escape') { e.stopPropagation(); dismiss(); }
+        };
+        const choose = async (action) => {
+            dismiss();
+            this._deletingSessionIds.add(sessionId);
+            try {
+                const response = await this.claudeInterface.authFetch(
+                    `/api/sessions/${encodeURIComponent(sessionId)}?worktree=${action}`, { method: 'DELETE' });
+                const data = await response.json().catch(() => ({}));
+                if (!response.ok) throw new Error(data.error || 'Failed to close session');
+                this.closeSession(sessionId, { skipServerRequest: true });
+                const done = {
+                    merge: `Merged ${branch} and removed its worktree`,
+                    discard: `Discarded ${branch}`,
+                    cleanup: `Removed the worktree; branch ${branch} is kept`,
+                    keep: `Left ${branch} and its worktree on disk`
+                }[action];
+                if (window.feedback) window.feedback.success(done);
+            } catch (error) {
+                this._deletingSessionIds.delete(sessionId);
+                console.error('Close worktree session failed:', error);
+                if (window.feedback) window.feedback.error(error.message);
+            }
+        };
+        const addButton = (label, cls, fn) => {
+            const btn = document.createElement('button');
+            btn.type = 'button';
+            btn.className = `btn ${cls}`;
+            btn.textContent = label;
+            btn.addEventListener('click', fn);
+            footer.appendChild(btn);
+            return btn;
+        };
+        addButton('Cancel', 'btn-secondary', dismiss);
+        addButton('Keep Worktree', 'btn-secondary', () => choose('keep'));
+        addButton('Remove Checkout', 'btn-secondary', () => choose('cleanup'));
+        addButton('Discard', 'btn-danger', () => choose('discard'));
+        const mergeBtn = addButton('Merge', 'btn-primary', () => choose('merge'));
+
+        overlay.addEventListener('mousedown', (e) => { if (e.target === overlay) dismiss(); });
+        document.addEventListener('keydown', onKey, true);
+        document.body.appendChild(overlay);
+        mergeBtn.focus();
+    }
+
     isUserDeletion(sessionId) {
         return this._deletingSessionIds.has(sessionId);
     }
@@ -1083,8 +1210,8 @@ class SessionTabManager {
         ids.forEach(id => { if (id !== sessionId) this.closeSession(id); });
     }
 
-    // Context menu for a session tab
-    openTabContextMenu(sessionId, clientX, clientY) {
+    // Open a context menu at the pointer; `build(menu, addItem)` fills it.
+    _openMenu(clientX, clientY, build) {
         // Remove existing menus
         document.querySelectorAll('.pane-session-menu').forEach(m => m.remove());
         const menu = document.createElement('div');
@@ -1096,7 +1223,7 @@ class SessionTabManager {
             if (!disabled) el.onclick = () => { try { fn(); } finally { menu.remove(); } };
             return el;
         };
-        menu.appendChild(addItem('Close Others', () => this.closeOthers(sessionId)));
+        build(menu, addItem);
         document.body.appendChild(menu);
         menu.style.top = `${clientY + 4}px`;
         menu.style.left = `${clientX + 4}px`;
@@ -1104,6 +1231,41 @@ class SessionTabManager {
         setTimeout(() => document.addEventListener('mousedown', close, true), 0);
     }
 
+    // Context menu for a session tab
+    openTabContextMenu(sessionId, clientX, clientY) {
+        this._openMenu(clientX, clientY, (menu, addItem) => {
+            menu.appendChild(addItem('Close Others', () => this.closeOthers(sessionId)));
+            menu.appendChild(addItem(
+                this.broadcastIds.has(sessionId) ? 'Remove from Broadcast' : 'Add to Broadcast',
+                () => this.toggleBroadcast(sessionId)
+            ));
+            // Forking copies the tab's agent, so it needs one; viewers cannot start
+            // sessions. The server still refuses a tab whose agent has exited.
+            const tabSession = this.activeSessions.get(sessionId);
+            const user = this.claudeInterface && this.claudeInterface.currentUser;
+            const canFork = !!(tabSession && tabSession.toolType) && !(user && user.role === 'viewer');
+            menu.appendChild(addItem('Fork Session', () => this.forkSession(sessionId), !canFork));
+            menu.appendChild(addItem('Fork into Git Worktree', () => this.forkSession(sessionId, { worktree: true }), !canFork));
+            menu.appendChild(addItem('Export as Markdown', () => this.exportSession(sessionId, 'md')));
+            menu.appendChild(addItem('Export as HTML', () => this.exportSession(sessionId, 'html')));
+            const push = this.claudeInterface && this.claudeInterface.pushClient;
+            if (push && push.enabled) {
+                const muted = push.isMuted(sessionId);
+                menu.appendChild(addItem(muted ? 'Unmute Push Notifications' : 'Mute Push Notifications', () => {
+                    push.setMuted(sessionId, !muted).catch((err) => {
+                        if (window.feedback) window.feedback.error(`Push notifications: ${err.message}`);
+                    });
+                }));
+            }
+            const groupId = tabSession ? tabSession.groupId || null : null;
+            menu.appendChild(addItem('Add to New Group…', () => this.promptNewGroup([sessionId])));
+            this.groups.forEach((group) => {
+                if (group.id !== groupId) menu.appendChild(addItem(`Move to Group "${group.name}"`, () => this.setTabGroup(sessionId, group.id)));
+            });
+            if (groupId) menu.appendChild(addItem('Remove from Group', () => this.setTabGroup(sessionId, null)));
+        });
+    }
+
     createNewSession() {
         // Set flag to indicate we're creating a new session
         if (this.claudeInterface) {
@@ -1118,7 +1280,424 @@ class SessionTabManager {
         }
     }
 
-    async quickCreateSession() {
+    // Show the git branch of a worktree session in its tab.
+    setTabWorktree(sessionId, worktree) {
+        const session = this.activeSessions.get(sessionId);
+        const tab = this.tabs.get(sessionId);
+        if (!session || !tab || !worktree) return;
+        session.worktree = worktree;
+        let chip = tab.querySelector('.tab-branch');
+        if (!chip) {
+            chip = document.createElement('span');
+            chip.className = 'tab-branch';
+            tab.querySelector('.tab-content').appendChild(chip);
+        }
+        chip.textContent = worktree.branch.replace(/^ai-or-die\//, '');
+        chip.title = `Branch ${worktree.branch} (worktree ${worktree.path})`;
+    }
+
+    // --- Broadcast input ---
+    // Input typed into any tab of the broadcast set (keyboard, paste or the
+    // composer) is also sent to the others: app.send() and Split.send() add
+    // the other ids to the `input` frame and the server copies it. It only
+    // applies once two or more tabs are in the set.
+
+    isBroadcasting(sessionId) {
+        return this.broadcastIds.size > 1 && this.broadcastIds.has(sessionId);
+    }
+
+    /** The other sessions that should receive input typed into `sessionId`, or null. */
+    broadcastTargetsFor(sessionId) {
+        if (!this.isBroadcasting(sessionId)) return null;
+        return [...this.broadcastIds].filter(id => id !== sessionId);
+    }
+
+    setBroadcast(sessionIds) {
+        this.broadcastIds = new Set(sessionIds.filter(id => this.tabs.has(id)));
+        this._renderBroadcast();
+    }
+
+    // Adding the first tab also adds the active one: a broadcast needs a
+    // tab to type into and at least one to receive.
+    toggleBroadcast(sessionId, include = !this.broadcastIds.has(sessionId)) {
+        if (include) {
+            if (!this.broadcastIds.size && this.activeTabId && this.activeTabId !== sessionId) {
+                this.broadcastIds.add(this.activeTabId);
+            }
+            this.broadcastIds.add(sessionId);
+        } else {
+            this.broadcastIds.delete(sessionId);
+        }
+        if (this.broadcastIds.size < 2) this.broadcastIds.clear();
+        this._renderBroadcast();
+    }
+
+    stopBroadcast() {
+        this.setBroadcast([]);
+    }
+
+    // The server could not deliver to these sessions (no running agent).
+    dropBroadcastTargets(sessionIds, message) {
+        const before = this.broadcastIds.size;
+        (sessionIds || []).forEach(id => this.broadcastIds.delete(id));
+        if (this.broadcastIds.size === before) return;
+        if (this.broadcastIds.size < 2) this.broadcastIds.clear();
+        this._renderBroadcast();
+        if (message && window.feedback) window.feedback.warning(message);
+    }
+
+    _renderBroadcast() {
+        for (const [id, tab] of this.tabs) {
+            const on = this.isBroadcasting(id);
+            tab.classList.toggle('broadcasting', on);
+            let chip = tab.querySelector('.tab-broadcast');
+            if (on && !chip) {
+                chip = document.createElement('button');
+                chip.type = 'button';
+                chip.className = 'tab-broadcast';
+                chip.textContent = 'Broadcast';
+                chip.title = 'This tab receives broadcast input. Click to take it out of the broadcast.';
+                chip.setAttribute('aria-label', 'Remove from broadcast');
+                chip.addEventListener('click', (e) => {
+                    e.stopPropagation();
+                    this.toggleBroadcast(id, false);
+                });
+                tab.querySelector('.tab-content').appendChild(chip);
+            } else if (!on && chip) {
+                chip.remove();
+            }
+        }
+        const count = this.broadcastIds.size;
+        const sr = document.getElementById('srAnnounce');
+        if (sr) sr.textContent = count > 1 ? `Broadcasting input to ${count} tabs` : 'Broadcast off';
+    }
+
+    // --- Tab groups ---
+    // Named, coloured groups of tabs, kept by the server with the sessions
+    // (SessionStore). A tab belongs to at most one group, and a group lasts
+    // while it has a tab. Every change comes back to every client as a
+    // `session_groups` message (applyGroups), which also undoes a local
+    // change the server refused.
+
+    async loadGroups() {
+        try {
+            const response = await this.claudeInterface.authFetch('/api/session-groups');
+            if (response.ok) this.applyGroups(await response.json());
+        } catch (error) {
+            console.error('Failed to load tab groups:', error);
+        }
+    }
+
+    /** @param {{groups: object[], members: Object<string, string>}} state */
+    applyGroups({ groups = [], members = {} } = {}) {
+        this.groups = groups;
+        for (const [id, session] of this.activeSessions) {
+            session.groupId = members[id] || null;
+        }
+        this.renderGroups();
+    }
+
+    _groupOf(sessionId) {
+        const session = this.activeSessions.get(sessionId);
+        return (session && session.groupId) || null;
+    }
+
+    // Lay the strip out as each group's chip followed by its tabs, then the
+    // ungrouped tabs. A collapsed group hides its tabs, except the active
+    // one. Phones keep their most-recent-first strip without chips.
+    renderGroups() {
+        const container = document.getElementById('tabsContainer');
+        if (container && !this.groups.length) {
+            // Nothing to lay out; just clear what the last group left behind.
+            container.querySelectorAll('.tab-group-chip').forEach(chip => chip.remove());
+            this.tabs.forEach((tab) => {
+                delete tab.dataset.groupColor;
+                tab.classList.remove('group-collapsed');
+            });
+        } else if (container && window.TabGroups && !this.claudeInterface.isMobile) {
+            const chips = new Map();
+            container.querySelectorAll('.tab-group-chip').forEach(chip => chips.set(chip.dataset.groupId, chip));
+            const sections = window.TabGroups.arrangeTabs(this.getOrderedTabIds(), this.groups, id => this._groupOf(id));
+            const order = [];
+            for (const { group, sessionIds } of sections) {
+                if (group) {
+                    const chip = chips.get(group.id) || this._createGroupChip(group.id);
+                    chips.delete(group.id);
+                    this._updateGroupChip(chip, group, sessionIds.length);
+                    container.appendChild(chip);
+                }
+                for (const id of sessionIds) {
+                    const tab = this.tabs.get(id);
+                    if (group) tab.dataset.groupColor = group.color;
+                    else delete tab.dataset.groupColor;
+                    tab.classList.toggle('group-collapsed', !!(group && group.collapsed && id !== this.activeTabId));
+                    container.appendChild(tab);
+                    order.push(id);
+                }
+            }
+            chips.forEach(chip => chip.remove());
+            this.tabOrder = order;
+        }
+        this.claudeInterface.tabSidebar?.render();
+    }
+
+    _createGroupChip(groupId) {
+        const chip = document.createElement('button');
+        chip.type = 'button';
+        chip.className = 'tab-group-chip';
+        chip.dataset.groupId = groupId;
+        chip.addEventListener('click', () => this.toggleGroupCollapsed(groupId));
+        chip.addEventListener('contextmenu', (e) => {
+            e.preventDefault();
+            this.openGroupContextMenu(groupId, e.clientX, e.clientY);
+        });
+        return chip;
+    }
+
+    _updateGroupChip(chip, group, count) {
+        chip.textContent = group.collapsed ? `${group.name} · ${count}` : group.name;
+        chip.dataset.groupColor = group.color;
+        chip.setAttribute('aria-expanded', String(!group.collapsed));
+        chip.title = `${group.name}: ${count} tab${count === 1 ? '' : 's'}. Click to ${group.collapsed ? 'expand' : 'collapse'}, right-click for options.`;
+    }
+
+    // A tab dropped in the strip joins the group of what is now before it:
+    // a group chip or a grouped tab. At the front of the strip, or after an
+    // ungrouped tab, it leaves its group.
+    _regroupDroppedTab(tab) {
+        if (!this.groups.length) return;
+        const sessionId = tab.dataset.sessionId;
+        const prev = tab.previousElementSibling;
+        let groupId = null;
+        if (prev && prev.classList.contains('tab-group-chip')) groupId = prev.dataset.groupId;
+        else if (prev && prev.dataset.sessionId) groupId = this._groupOf(prev.dataset.sessionId);
+        if (groupId !== this._groupOf(sessionId)) this.setTabGroup(sessionId, groupId);
+        else this.renderGroups();
+    }
+
+    async setTabGroup(sessionId, groupId) {
+        const session = this.activeSessions.get(sessionId);
+        if (!session) return;
+        session.groupId = groupId;
+        this.renderGroups();
+        await this._groupRequest('PUT', `/api/sessions/${encodeURIComponent(sessionId)}/group`, { groupId });
+    }
+
+    async promptNewGroup(sessionIds) {
+        const name = prompt('Group name:');
+        if (!name || !name.trim()) return;
+        await this._groupRequest('POST', '/api/session-groups', {
+            name: name.trim(),
+            color: window.TabGroups ? window.TabGroups.nextColor(this.groups) : undefined,
+            sessionIds,
+        });
+    }
+
+    toggleGroupCollapsed(groupId) {
+        const group = this.groups.find(g => g.id === groupId);
+        if (!group) return;
+        group.collapsed = !group.collapsed;
+        this.renderGroups();
+        this._groupRequest('PATCH', `/api/session-groups/${encodeURIComponent(groupId)}`, { collapsed: group.collapsed });
+    }
+
+    renameGroup(groupId) {
+        const group = this.groups.find(g => g.id === groupId);
+        if (!group) return;
+        const name = prompt('Group name:', group.name);
+        if (!name || !name.trim() || name.trim() === group.name) return;
+        this._groupRequest('PATCH', `/api/session-groups/${encodeURIComponent(groupId)}`, { name: name.trim() });
+    }
+
+    openGroupContextMenu(groupId, clientX, clientY) {
+        const group = this.groups.find(g => g.id === groupId);
+        if (!group) return;
+        const url = `/api/session-groups/${encodeURIComponent(groupId)}`;
+        this._openMenu(clientX, clientY, (menu, addItem) => {
+            menu.appendChild(addItem('Rename Group…', () => this.renameGroup(groupId)));
+            menu.appendChild(addItem(group.collapsed ? 'Expand Group' : 'Collapse Group', () => this.toggleGroupCollapsed(groupId)));
+            const colors = window.TabGroups ? window.TabGroups.GROUP_COLORS : [];
+            colors.forEach((color) => {
+                const label = `Color: ${color[0].toUpperCase()}${color.slice(1)}`;
+                menu.appendChild(addItem(label, () => this._groupRequest('PATCH', url, { color }), color === group.color));
+            });
+            menu.appendChild(addItem('Ungroup', () => this._groupRequest('DELETE', url)));
+        });
+    }
+
+    // Palette → "Group Tabs by Repository". A worktree tab counts as its
+    // main repository, not as the worktree checkout.
+    async groupTabsByRepo() {
+        if (!window.TabGroups) return;
+        const roots = await Promise.all(this.getOrderedTabIds().map(async (sessionId) => {
+            const worktree = this.activeSessions.get(sessionId)?.worktree;
+            if (worktree && worktree.repoRoot) return { sessionId, root: worktree.repoRoot };
+            try {
+                const response = await this.claudeInterface.authFetch(`/api/sessions/${encodeURIComponent(sessionId)}/repo-root`);
+                const data = response.ok ? await response.json() : {};
+                return { sessionId, root: data.root || null };
+            } catch (_) {
+                return { sessionId, root: null };
+            }
+        }));
+        const plan = window.TabGroups.planRepoGroups(roots, this.groups, id => this._groupOf(id));
+        if (!plan.create.length && !plan.assign.length) {
+            if (window.feedback) window.feedback.info('No repository has two or more tabs outside its group');
+            return;
+        }
+        for (const group of plan.create) {
+            await this._groupRequest('POST', '/api/session-groups', group);
+        }
+        for (const { sessionId, groupId } of plan.assign) {
+            await this._groupRequest('PUT', `/api/sessions/${encodeURIComponent(sessionId)}/group`, { groupId });
+        }
+    }
+
+    async _groupRequest(method, url, body) {
+        try {
+            const response = await this.claudeInterface.authFetch(url, {
+                method,
+                headers: body ? { 'Content-Type': 'application/json' } : {},
+                body: body ? JSON.stringify(body) : undefined,
+            });
+            const data = await response.json().catch(() => ({}));
+            if (!response.ok) throw new Error(data.error || `HTTP ${response.status}`);
+            return data;
+        } catch (error) {
+            if (window.feedback) window.feedback.error(`Tab groups: ${error.message}`);
+            await this.loadGroups();
+            return null;
+        }
+    }
+
+    // Open every tab of a workspace profile (~/.ai-or-die/workspaces/<name>.json).
+    // The server spawns the tabs and types their startup commands; here we only
+    // add the tabs and apply the profile's split layout.
+    async openWorkspace(name) {
+        if (!this.claudeInterface) return;
+        try {
+            const response = await this.claudeInterface.authFetch('/api/sessions/create', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ workspace: name })
+            });
+            const data = await response.json();
+            if (!response.ok) throw new Error(data.error || 'Failed to open workspace');
+
+            data.sessions.forEach((s) => {
+                this.addTab(s.sessionId, s.name, s.lifecycle === 'exited' ? 'error' : 'active', s.workingDir, false, s.tool);
+            });
+
+            const split = data.layout && data.layout.split;
+            const splits = this.claudeInterface.splitContainer;
+            if (split && splits && splits.enabled) {
+                await splits.splits[0].setSession(split.left);
+                await splits.splits[1].setSession(split.right);
+            } else {
+                await this.switchToTab(data.layout.focus);
+                if (split && splits) await splits.createSplit(split.right);
+            }
+
+            const failed = data.sessions.filter((s) => s.error || (s.blocker && s.blocker.kind === 'trust'));
+            if (window.feedback) {
+                if (failed.length) {
+                    window.feedback.warning(`Workspace "${data.workspace}": ${failed.map((s) => s.name).join(', ')} need attention`);
+                } else {
+                    window.feedback.success(`Opened workspace "${data.workspace}" (${data.sessions.length} tabs)`);
+                }
+            }
+        } catch (error) {
+            console.error('Open workspace failed:', error);
+            if (window.feedback) window.feedback.error(error.message);
+        }
+    }
+
+    // Start a tab from a session template in the active tab's directory. The
+    // server launches the agent, writes the instructions file and types the
+    // first prompt once the agent is idle; here we only add and focus the tab.
+    async openTemplate(template) {
+        if (!this.claudeInterface) return;
+        const active = this.activeTabId && this.activeSessions.get(this.activeTabId);
+        const workingDir = (active && active.workingDir) || this.claudeInterface.selectedWorkingDir || undefined;
+        try {
+            const response = await this.claudeInterface.authFetch('/api/sessions/create', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ template: template.id, workingDir })
+            });
+            const data = await response.json();
+            if (!response.ok) {
+                // The template asks for secrets: offer the unlock right away.
+                if (data.code === 'VAULT_LOCKED' && this.claudeInterface.vaultManager) this.claudeInterface.vaultManager.open();
+                throw new Error(data.error || 'Failed to start template');
+            }
+
+            this.addTab(data.sessionId, data.name, data.lifecycle === 'exited' ? 'error' : 'active',
+                data.workingDir, false, data.agent || template.agent);
+            if (data.worktree) this.setTabWorktree(data.sessionId, data.worktree);
+            await this.switchToTab(data.sessionId);
+
+            if (window.feedback) {
+                if (data.startError) window.feedback.error(`"${data.name}" did not start: ${data.startError}`);
+                else if (data.instructions && !data.instructions.written) {
+                    window.feedback.warning(`Started "${data.name}" without its instructions: ${data.instructions.error}`);
+                } else {
+                    window.feedback.success(`Started "${data.name}"${data.prompt ? '; the first prompt goes in once it is ready' : ''}`);
+                }
+            }
+            if (this.claudeInterface.loadSessions) this.claudeInterface.loadSessions();
+        } catch (error) {
+            console.error('Start template failed:', error);
+            if (window.feedback) window.feedback.error(error.message);
+        }
+    }
+
+    // Clone a running tab (same tool, directory and launch options; claude
+    // resumes the same conversation) into a new tab next to it.
+    async forkSession(sessionId, { worktree = false } = {}) {
+        if (!this.claudeInterface) return;
+        try {
+            const response = await this.claudeInterface.authFetch(`/api/sessions/${encodeURIComponent(sessionId)}/fork`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ worktree })
+            });
+            const data = await response.json();
+            if (!response.ok) throw new Error(data.error || 'Failed to fork session');
+            await this.openForkedSession(data);
+        } catch (error) {
+            console.error('Fork session failed:', error);
+            if (window.feedback) window.feedback.error(error.message);
+        }
+    }
+
+    // Download a report of the tab (GET /api/sessions/:id/export): Markdown or
+    // HTML as a file, JSON in a new tab. window.open so the browser handles the
+    // download; the token rides in the query like other downloads.
+    exportSession(sessionId, format = 'md') {
+        let url = `/api/sessions/${encodeURIComponent(sessionId)}/export?format=${encodeURIComponent(format)}`;
+        if (window.authManager) url = window.authManager.appendAuthToUrl(url);
+        window.open(url, '_blank');
+    }
+
+    // Add and focus the tab for a fork result (HTTP response or the
+    // session_forked WebSocket reply). The server has already started it.
+    async openForkedSession(data) {
+        this.addTab(data.sessionId, data.name, data.error ? 'error' : 'active', data.workingDir, false, data.agent);
+        this.setTabWorktree(data.sessionId, data.worktree);
+        await this.switchToTab(data.sessionId);
+        if (!window.feedback) return;
+        if (data.error) {
+            window.feedback.warning(`Fork of "${data.name}" did not start: ${data.error}`);
+        } else {
+            const where = data.worktree ? ` on branch ${data.worktree.branch}` : '';
+            window.feedback.success(`Forked into "${data.name}"${where}`);
+        }
+    }
+
+    // New tab in the active tab's directory. `worktree` checks the repo out on
+    // a new branch for it (POST /api/sessions/create { worktree: true }).
+    async quickCreateSession({ worktree = false } = {}) {
         if (!this.claudeInterface) {
             this.createNewSession();
             return;
@@ -1153,14 +1732,23 @@ class SessionTabManager {
             const response = await this.claudeInterface.authFetch('/api/sessions/create', {
                 method: 'POST',
                 headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ name, workingDir })
+                body: JSON.stringify({ name, workingDir, worktree })
             });
 
-            if (!response.ok) throw new Error('Failed to create session');
+            if (!response.ok) {
+                const body = await response.json().catch(() => ({}));
+                // Not a repo / git failed: say so rather than opening the folder browser.
+                if (worktree && body.code) {
+                    if (window.feedback) window.feedback.error(body.error);
+                    return;
+                }
+                throw new Error('Failed to create session');
+            }
 
             const data = await response.json();
 
-            this.addTab(data.sessionId, name, 'idle', workingDir);
+            this.addTab(data.sessionId, name, 'idle', data.session.workingDir);
+            this.setTabWorktree(data.sessionId, data.session.worktree);
             await this.switchToTab(data.sessionId);
 
             if (this.claudeInterface && this.claudeInterface.loadSessions) {
@@ -1461,20 +2049,10 @@ class SessionTabManager {
 
         // Add badge if not already present
         if (!tab.querySelector('.tab-badge')) {
-            const toolBadges = {
-                claude: { label: 'C' },
-                codex: { label: 'Cx' },
-                copilot: { label: 'Cp' },
-                gemini: { label: 'G' },
-                terminal: { label: '>_' },
-            };
-            const badge = toolBadges[toolType];
+            const badge = this.toolBadge(toolType);
             if (badge) {
                 const badgeEl = document.createElement('span');
-                badgeEl.className = 'tab-badge';
-                if (toolType) badgeEl.setAttribute('data-tool', toolType);
-                badgeEl.title = toolType;
-                badgeEl.textContent = badge.label;
+                this._applyBadge(badgeEl, toolType, badge);
                 const content = tab.querySelector('.tab-content');
                 if (content) content.insertBefore(badgeEl, content.firstChild);
             }
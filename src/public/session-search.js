@@ -0,0 +1,231 @@
+'use strict';
+
+// Session output search: a query box over GET /api/sessions/search, which
+// scans the server's redacted index of every session's output (closed
+// sessions included). Picking a result switches to that session, scrolls the
+// terminal near the line and highlights the match with the terminal search.
+
+(function () {
+  const LIMIT = 100;
+  const MIN_QUERY = 2;
+
+  /**
+   * Query string for GET /api/sessions/search.
+   * @param {string} q
+   * @param {number} [limit]
+   * @returns {string}
+   */
+  function buildQuery(q, limit) {
+    const params = new URLSearchParams();
+    params.set('q', String(q || '').trim());
+    params.set('limit', String(limit || LIMIT));
+    return params.toString();
+  }
+
+  /**
+   * Split a result's snippet around its match, for highlighting.
+   * @param {{text: string, match: number[]}} hit
+   * @returns {{before: string, match: string, after: string}}
+   */
+  function splitSnippet(hit) {
+    const [start, end] = hit.match || [0, 0];
+    return {
+      before: hit.text.slice(0, start),
+      match: hit.text.slice(start, end),
+      after: hit.text.slice(end),
+    };
+  }
+
+  /**
+   * Viewport row to scroll to so the hit sits mid-screen: `linesFromEnd` rows
+   * above the last line of the buffer. Approximate — wrapped rows and screen
+   * redraws shift it — so the terminal search refines it.
+   * @param {number} bufferLength - terminal.buffer.active.length
+   * @param {number} rows - terminal.rows
+   * @param {number} linesFromEnd
+   * @returns {number}
+   */
+  function scrollTarget(bufferLength, rows, linesFromEnd) {
+    return Math.max(0, bufferLength - 1 - linesFromEnd - Math.floor(rows / 2));
+  }
+
+  function el(tag, attrs, children) {
+    const node = document.createElement(tag);
+    if (attrs) {
+      for (const k of Object.keys(attrs)) {
+        if (k === 'class') node.className = attrs[k];
+        else if (k === 'text') node.textContent = attrs[k];
+        else node.setAttribute(k, attrs[k]);
+      }
+    }
+    (children || []).forEach((c) => node.appendChild(c));
+    return node;
+  }
+
+  class SessionSearch {
+    constructor(app) {
+      this.app = app;
+      this.el = null;
+      this._seq = 0;
+      this._onKeydown = (e) => {
+        if (this.isOpen() && e.key === 'Escape') this.close();
+      };
+    }
+
+    isOpen() {
+      return !!(this.el && this.el.classList.contains('active'));
+    }
+
+    _fetch(url, opts) {
+      if (this.app && typeof this.app.authFetch === 'function') return this.app.authFetch(url, opts);
+      return fetch(url, opts);
+    }
+
+    open() {
+      this._mount();
+      this.el.classList.add('active');
+      if (window.focusTrap) window.focusTrap.activate(this.el);
+      const input = this.el.querySelector('.session-search-input');
+      input.focus();
+      input.select();
+    }
+
+    close() {
+      if (this.el) this.el.classList.remove('active');
+      if (window.focusTrap) window.focusTrap.deactivate();
+    }
+
+    async search() {
+      const q = this.el.querySelector('.session-search-input').value.trim();
+      const status = this.el.querySelector('.session-search-status');
+      if (q.length < MIN_QUERY) {
+        status.textContent = `Type at least ${MIN_QUERY} characters.`;
+        return;
+      }
+      // A slower earlier response must not overwrite a newer one.
+      const seq = ++this._seq;
+      status.textContent = 'Searching…';
+      try {
+        const res = await this._fetch(`/api/sessions/search?${buildQuery(q)}`);
+        const body = await res.json().catch(() => ({}));
+        if (!res.ok) throw new Error(body.error || `HTTP ${res.status}`);
+        if (seq === this._seq) this._render(q, body.results || []);
+      } catch (err) {
+        if (seq === this._seq) status.textContent = `Search failed: ${err.message}`;
+      }
+    }
+
+    _render(q, results) {
+      const list = this.el.querySelector('.session-search-results');
+      list.textContent = '';
+      for (const hit of results) {
+        const { before, match, after } = splitSnippet(hit);
+        const line = el('div', { class: 'session-search-line' }, [
+          document.createTextNode(before),
+          el('mark', { text: match }),
+          document.createTextNode(after),
+        ]);
+        const meta = el('div', { class: 'session-search-meta' }, [
+          el('span', { class: 'session-search-name', text: hit.name || hit.sessionId.slice(0, 8) }),
+          el('span', { text: hit.agent || '' }),
+          el('span', { text: new Date(hit.at).toLocaleString() }),
+          el('span', { text: hit.live ? `line ${hit.line}` : 'closed' }),
+        ]);
+        const item = el('button', {
+          class: `session-search-hit${hit.live ? '' : ' closed'}`,
+          type: 'button',
+          title: hit.live ? 'Jump to this line' : 'This session is closed',
+        }, [meta, line]);
+        if (hit.live) item.addEventListener('click', () => this.jump(hit, q));
+        else item.disabled = true;
+        list.appendChild(el('li', null, [item]));
+      }
+      this.el.querySelector('.session-search-status').textContent = results.length
+        ? `${results.length} match${results.length === 1 ? '' : 'es'}${results.length >= LIMIT ? ' (newest shown)' : ''}`
+        : 'No matches.';
+    }
+
+    /** Switch to the hit's session and bring the matching line into view. */
+    async jump(hit, q) {
+      const app = this.app;
+      const tabs = app && app.sessionTabManager;
+      if (!tabs) return;
+      this.close();
+      if (!tabs.tabs.has(hit.sessionId)) {
+        tabs.addTab(hit.sessionId, hit.name || 'Session', 'idle', null, false, hit.agent);
+      }
+      await tabs.switchToTab(hit.sessionId);
+      // The buffered output replays after the join; let it render first.
+      setTimeout(() => this._reveal(hit, q), 400);
+    }
+
+    _reveal(hit, q) {
+      const term = this.app.terminal;
+      if (!term) return;
+      if (hit.linesFromEnd != null) {
+        term.scrollToLine(scrollTarget(term.buffer.active.length, term.rows, hit.linesFromEnd));
+      }
+      const addon = this.app.searchAddon;
+      if (!addon) return;
+      const bar = document.getElementById('terminalSearchBar');
+      const input = document.getElementById('termSearchInput');
+      if (bar && input) {
+        bar.style.display = 'flex';
+        input.value = q;
+      }
+      // From the scrolled-to viewport forward; without a line number, the
+      // newest occurrence.
+      if (hit.linesFromEnd != null) addon.findNext(q, { caseSensitive: false, regex: false });
+      else addon.findPrevious(q, { caseSensitive: false, regex: false });
+    }
+
+    _mount() {
+      if (this.el) return;
+      const closeBtn = el('button', { class: 'close-btn', 'aria-label': 'Close session search', title: 'Close' });
+      closeBtn.textContent = '×';
+      closeBtn.addEventListener('click', () => this.close());
+
+      const input = el('input', {
+        class: 'session-search-input',
+        type: 'search',
+        placeholder: 'Search all session output (e.g. a stack trace line)',
+        'aria-label': 'Search session output',
+        autocomplete: 'off',
+        spellcheck: 'false',
+      });
+      input.addEventListener('keydown', (e) => { if (e.key === 'Enter') this.search(); });
+      const go = el('button', { class: 'btn btn-primary', text: 'Search' });
+      go.addEventListener('click', () => this.search());
+
+      this.el = el('div', { class: 'session-search-modal', role: 'dialog', 'aria-modal': 'true', 'aria-labelledby': 'sessionSearchHeading' }, [
+        el('div', { class: 'modal-content' }, [
+          el('div', { class: 'modal-header' }, [
+            el('h2', { id: 'sessionSearchHeading', text: 'Search Sessions' }),
+            closeBtn,
+          ]),
+          el('div', { class: 'session-search-form' }, [input, go]),
+          el('div', { class: 'modal-body' }, [
+            el('div', { class: 'session-search-status', role: 'status' }),
+            el('ul', { class: 'session-search-results' }),
+          ]),
+        ]),
+      ]);
+      this.el.addEventListener('click', (e) => { if (e.target === this.el) this.close(); });
+      document.addEventListener('keydown', this._onKeydown);
+      document.body.appendChild(this.el);
+    }
+
+    destroy() {
+      document.removeEventListener('keydown', this._onKeydown);
+      if (this.el && this.el.parentNode) this.el.parentNode.removeChild(this.el);
+      this.el = null;
+    }
+  }
+
+  SessionSearch.buildQuery = buildQuery;
+  SessionSearch.scrollTarget = scrollTarget;
+  SessionSearch.splitSnippet = splitSnippet;
+
+  if (typeof module !== 'undefined' && module.exports) module.exports = SessionSearch;
+  if (typeof window !== 'undefined') window.SessionSearch = SessionSearch;
+})();
@@ -0,0 +1,385 @@
+'use strict';
+
+// Prompt snippet library: reusable prompts with {{variable}} placeholders,
+// from the user's own library and the workspace's (/api/snippets). A snippet
+// is inserted into the active session from the command palette, or into the
+// type-ahead composer from its Snippets button; placeholders are asked for
+// first. Terminal delivery goes through InputOverlay.pasteToTerminal, so it
+// uses the same bracketed-paste handling as the composer's Insert.
+
+(function () {
+  const SCOPE_LABELS = { user: 'My snippets', workspace: 'Workspace snippets' };
+  const VARIABLE_RE = /\{\{\s*([A-Za-z_][\w.-]{0,63})\s*\}\}/g;
+
+  /**
+   * Placeholder names in a snippet body, in order of first use. Mirrors
+   * snippetVariables() in src/snippet-store.js.
+   * @param {string} body
+   * @returns {string[]}
+   */
+  function variablesOf(body) {
+    const names = [];
+    for (const m of String(body || '').matchAll(VARIABLE_RE)) {
+      if (!names.includes(m[1])) names.push(m[1]);
+    }
+    return names;
+  }
+
+  /**
+   * Replace every placeholder with its value; a missing value becomes ''.
+   * @param {string} body
+   * @param {Object<string, string>} values
+   * @returns {string}
+   */
+  function fillSnippet(body, values) {
+    return String(body || '').replace(VARIABLE_RE, (_, name) => (values && values[name] != null ? String(values[name]) : ''));
+  }
+
+  function el(tag, attrs, children) {
+    const node = document.createElement(tag);
+    if (attrs) {
+      for (const k of Object.keys(attrs)) {
+        if (k === 'class') node.className = attrs[k];
+        else if (k === 'text') node.textContent = attrs[k];
+        else node.setAttribute(k, attrs[k]);
+      }
+    }
+    (children || []).forEach((c) => node.appendChild(c));
+    return node;
+  }
+
+  class SnippetLibrary {
+    constructor(app) {
+      this.app = app;
+      this.snippets = [];
+      this.el = null;
+      this.promptEl = null;
+      this.editing = null; // { scope, id } being edited; id null for a new snippet
+      this._lastValues = {}; // variable -> last value typed, for the next insert
+      this._loading = null;
+      this._keysBound = false;
+      this._onKeydown = (e) => {
+        if (e.key !== 'Escape') return;
+        if (this._promptOpen()) this._closePrompt();
+        else if (this.isOpen()) this.close();
+      };
+    }
+
+    isOpen() {
+      return !!(this.el && this.el.classList.contains('active'));
+    }
+
+    _bindKeys() {
+      if (this._keysBound) return;
+      this._keysBound = true;
+      document.addEventListener('keydown', this._onKeydown);
+    }
+
+    _promptOpen() {
+      return !!(this.promptEl && this.promptEl.classList.contains('active'));
+    }
+
+    _fetch(url, opts) {
+      if (this.app && typeof this.app.authFetch === 'function') return this.app.authFetch(url, opts);
+      return fetch(url, opts);
+    }
+
+    async _json(url, opts) {
+      const res = await this._fetch(url, opts);
+      const body = await res.json().catch(() => ({}));
+      if (!res.ok) throw new Error(body.error || `HTTP ${res.status}`);
+      return body;
+    }
+
+    /**
+     * Fetch both libraries. Resolves true when the list changed, so the
+     * palette only re-renders when it has to.
+     * @returns {Promise<boolean>}
+     */
+    load() {
+      if (this._loading) return this._loading;
+      this._loading = this._json('/api/snippets')
+        .then((data) => {
+          const next = Array.isArray(data.snippets) ? data.snippets : [];
+          const changed = JSON.stringify(next) !== JSON.stringify(this.snippets);
+          this.snippets = next;
+          return changed;
+        })
+        .finally(() => { this._loading = null; });
+      return this._loading;
+    }
+
+    /**
+     * Ask for the snippet's variables (if any), then deliver the text.
+     * @param {object} snippet
+     * @param {'terminal'|'composer'} [target] - The active session, or the open composer.
+     */
+    insert(snippet, target) {
+      const deliver = (text) => {
+        const overlay = this.app && this.app._inputOverlay;
+        if (!overlay) return;
+        if (target === 'composer') overlay.insertText(text);
+        else overlay.pasteToTerminal(text);
+      };
+      const names = variablesOf(snippet.body);
+      if (!names.length) {
+        deliver(snippet.body);
+        return;
+      }
+      this._askVariables(snippet, names, (values) => deliver(fillSnippet(snippet.body, values)));
+    }
+
+    _askVariables(snippet, names, done) {
+      this._mountPrompt();
+      const form = this.promptEl.querySelector('form');
+      const fields = form.querySelector('.snippet-prompt-fields');
+      fields.textContent = '';
+      for (const name of names) {
+        const input = el('input', { type: 'text', name, autocomplete: 'off', spellcheck: 'false' });
+        input.value = this._lastValues[name] || '';
+        fields.appendChild(el('label', { class: 'snippet-field' }, [el('span', { text: name }), input]));
+      }
+      this.promptEl.querySelector('.snippet-prompt-title').textContent = snippet.name;
+      this._onPromptSubmit = () => {
+        const values = {};
+        for (const name of names) values[name] = form.elements[name].value;
+        Object.assign(this._lastValues, values);
+        this._closePrompt();
+        done(values);
+      };
+      this.promptEl.classList.add('active');
+      const first = fields.querySelector('input');
+      if (first) {
+        first.focus();
+        first.select();
+      }
+    }
+
+    _closePrompt() {
+      if (this.promptEl) this.promptEl.classList.remove('active');
+      this._onPromptSubmit = null;
+    }
+
+    _mountPrompt() {
+      if (this.promptEl) return;
+      const cancel = el('button', { class: 'btn btn-secondary', type: 'button', text: 'Cancel' });
+      cancel.addEventListener('click', () => this._closePrompt());
+      const form = el('form', { class: 'modal-content' }, [
+        el('div', { class: 'modal-header' }, [el('h2', { class: 'snippet-prompt-title', id: 'snippetPromptHeading' })]),
+        el('div', { class: 'modal-body' }, [el('div', { class: 'snippet-prompt-fields' })]),
+        el('div', { class: 'snippet-buttons' }, [cancel, el('button', { class: 'btn btn-primary', type: 'submit', text: 'Insert' })]),
+      ]);
+      form.addEventListener('submit', (e) => {
+        e.preventDefault();
+        if (this._onPromptSubmit) this._onPromptSubmit();
+      });
+      this.promptEl = el('div', { class: 'snippet-prompt-modal', role: 'dialog', 'aria-modal': 'true', 'aria-labelledby': 'snippetPromptHeading' }, [form]);
+      this.promptEl.addEventListener('click', (e) => { if (e.target === this.promptEl) this._closePrompt(); });
+      this._bindKeys();
+      document.body.appendChild(this.promptEl);
+    }
+
+    // ── Library manager ────────────────────────────────────────
+
+    /**
+     * Open the library. With `target: 'composer'`, Insert puts the snippet
+     * into the type-ahead composer instead of the terminal.
+     */
+    open(options) {
+      this.target = (options && options.target) || 'terminal';
+      this._mount();
+      this.el.classList.add('active');
+      if (window.focusTrap) window.focusTrap.activate(this.el);
+      this.refresh();
+    }
+
+    close() {
+      if (this.el) this.el.classList.remove('active');
+      if (window.focusTrap) window.focusTrap.deactivate();
+    }
+
+    _status(text) {
+      this.el.querySelector('.snippet-status').textContent = text;
+    }
+
+    async refresh() {
+      try {
+        await this.load();
+        this._render();
+      } catch (err) {
+        this._status(`Could not load snippets: ${err.message}`);
+      }
+    }
+
+    _render() {
+      const list = this.el.querySelector('.snippet-list');
+      list.textContent = '';
+      for (const scope of Object.keys(SCOPE_LABELS)) {
+        const items = this.snippets.filter((s) => s.scope === scope);
+        list.appendChild(el('h3', { class: 'snippet-scope', text: SCOPE_LABELS[scope] }));
+        if (!items.length) list.appendChild(el('p', { class: 'snippet-empty', text: 'None yet.' }));
+        for (const snippet of items) {
+          const insert = el('button', { class: 'btn btn-primary btn-small', type: 'button', text: 'Insert' });
+          insert.addEventListener('click', () => {
+            this.close();
+            this.insert(snippet, this.target);
+          });
+          const edit = el('button', { class: 'btn btn-secondary btn-small', type: 'button', text: 'Edit' });
+          edit.addEventListener('click', () => this._edit(snippet));
+          const del = el('button', { class: 'btn btn-secondary btn-small', type: 'button', text: 'Delete' });
+          del.addEventListener('click', () => this.remove(snippet));
+          list.appendChild(el('div', { class: 'snippet-item' }, [
+            el('div', { class: 'snippet-item-text' }, [
+              el('div', { class: 'snippet-name', text: snippet.name }),
+              el('div', { class: 'snippet-meta', text: snippet.description || snippet.body.slice(0, 120) }),
+              el('div', { class: 'snippet-vars' }, (snippet.variables || []).map((v) => el('code', { text: `{{${v}}}` }))),
+            ]),
+            el('div', { class: 'snippet-buttons' }, [insert, edit, del]),
+          ]));
+        }
+      }
+      this._status(`${this.snippets.length} snippet${this.snippets.length === 1 ? '' : 's'}`);
+    }
+
+    _edit(snippet) {
+      const form = this.el.querySelector('.snippet-form');
+      this.editing = snippet ? { scope: snippet.scope, id: snippet.id } : { scope: 'user', id: null };
+      form.elements.scope.value = this.editing.scope;
+      form.elements.scope.disabled = !!snippet;
+      form.elements.name.value = snippet ? snippet.name : '';
+      form.elements.description.value = snippet ? snippet.description || '' : '';
+      form.elements.body.value = snippet ? snippet.body : '';
+      form.querySelector('.snippet-form-error').textContent = '';
+      form.hidden = false;
+      form.elements.name.focus();
+    }
+
+    async _submit(e) {
+      e.preventDefault();
+      const form = this.el.querySelector('.snippet-form');
+      const f = form.elements;
+      const body = { name: f.name.value, description: f.description.value, body: f.body.value };
+      const { scope, id } = this.editing;
+      try {
+        if (id) {
+          await this._json(`/api/snippets/${scope}/${encodeURIComponent(id)}`, {
+            method: 'PATCH', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body),
+          });
+        } else {
+          await this._json('/api/snippets', {
+            method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ ...body, scope: f.scope.value }),
+          });
+        }
+        form.hidden = true;
+        this.editing = null;
+        await this.refresh();
+      } catch (err) {
+        form.querySelector('.snippet-form-error').textContent = err.message;
+      }
+    }
+
+    async remove(snippet) {
+      if (!window.confirm(`Delete the snippet "${snippet.name}"?`)) return;
+      try {
+        await this._json(`/api/snippets/${snippet.scope}/${encodeURIComponent(snippet.id)}`, { method: 'DELETE' });
+        await this.refresh();
+      } catch (err) {
+        this._status(`Could not delete ${snippet.name}: ${err.message}`);
+      }
+    }
+
+    export(scope) {
+      let url = `/api/snippets/export?scope=${scope}`;
+      if (window.authManager) url = window.authManager.appendAuthToUrl(url);
+      window.open(url, '_blank');
+    }
+
+    async import(scope, file) {
+      try {
+        const data = JSON.parse(await file.text());
+        const result = await this._json(`/api/snippets/import?scope=${scope}`, {
+          method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(data),
+        });
+        await this.refresh();
+        this._status(`Imported ${result.added} new and ${result.updated} updated snippet${result.added + result.updated === 1 ? '' : 's'}.`);
+      } catch (err) {
+        this._status(`Import failed: ${err.message}`);
+      }
+    }
+
+    _mount() {
+      if (this.el) return;
+      const closeBtn = el('button', { class: 'close-btn', 'aria-label': 'Close snippet library', title: 'Close' });
+      closeBtn.textContent = '×';
+      closeBtn.addEventListener('click', () => this.close());
+
+      const add = el('button', { class: 'btn btn-primary btn-small', type: 'button', text: 'New snippet' });
+      add.addEventListener('click', () => this._edit(null));
+      const scopeSelect = () => el('select', { name: 'scope', 'aria-label': 'Library' },
+        Object.keys(SCOPE_LABELS).map((s) => el('option', { value: s, text: SCOPE_LABELS[s] })));
+      const ioScope = scopeSelect();
+      const exportBtn = el('button', { class: 'btn btn-secondary btn-small', type: 'button', text: 'Export' });
+      exportBtn.addEventListener('click', () => this.export(ioScope.value));
+      const file = el('input', { type: 'file', accept: 'application/json,.json', hidden: 'hidden' });
+      file.addEventListener('change', () => {
+        if (file.files && file.files[0]) this.import(ioScope.value, file.files[0]);
+        file.value = '';
+      });
+      const importBtn = el('button', { class: 'btn btn-secondary btn-small', type: 'button', text: 'Import' });
+      importBtn.addEventListener('click', () => file.click());
+
+      const field = (label, input) => el('label', { class: 'snippet-field' }, [el('span', { text: label }), input]);
+      const cancel = el('button', { class: 'btn btn-secondary', type: 'button', text: 'Cancel' });
+      const form = el('form', { class: 'snippet-form' }, [
+        field('Library', scopeSelect()),
+        field('Name', el('input', { name: 'name', type: 'text', maxlength: '100', required: 'required' })),
+        field('Description', el('input', { name: 'description', type: 'text', maxlength: '200' })),
+        field('Prompt', el('textarea', {
+          name: 'body', rows: '6', required: 'required', spellcheck: 'false',
+          placeholder: 'Review {{file}} for security issues, focusing on {{area}}.',
+        })),
+        el('div', { class: 'snippet-form-error', role: 'alert' }),
+        el('div', { class: 'snippet-buttons' }, [cancel, el('button', { class: 'btn btn-primary', type: 'submit', text: 'Save' })]),
+      ]);
+      form.hidden = true;
+      form.addEventListener('submit', (e) => this._submit(e));
+      cancel.addEventListener('click', () => { form.hidden = true; this.editing = null; });
+
+      this.el = el('div', { class: 'snippet-library-modal', role: 'dialog', 'aria-modal': 'true', 'aria-labelledby': 'snippetLibraryHeading' }, [
+        el('div', { class: 'modal-content' }, [
+          el('div', { class: 'modal-header' }, [
+            el('h2', { id: 'snippetLibraryHeading', text: 'Snippet Library' }),
+            closeBtn,
+          ]),
+          el('div', { class: 'modal-body' }, [
+            el('div', { class: 'snippet-toolbar' }, [
+              el('span', { class: 'snippet-status', role: 'status' }),
+              add, ioScope, exportBtn, importBtn, file,
+            ]),
+            form,
+            el('div', { class: 'snippet-list' }),
+          ]),
+        ]),
+      ]);
+      this.el.addEventListener('click', (e) => { if (e.target === this.el) this.close(); });
+      this._bindKeys();
+      document.body.appendChild(this.el);
+    }
+
+    destroy() {
+      document.removeEventListener('keydown', this._onKeydown);
+      this._keysBound = false;
+      for (const node of [this.el, this.promptEl]) {
+        if (node && node.parentNode) node.parentNode.removeChild(node);
+      }
+      this.el = null;
+      this.promptEl = null;
+    }
+  }
+
+  SnippetLibrary.variablesOf = variablesOf;
+  SnippetLibrary.fillSnippet = fillSnippet;
+
+  if (typeof module !== 'undefined' && module.exports) module.exports = SnippetLibrary;
+  if (typeof window !== 'undefined') window.SnippetLibrary = SnippetLibrary;
+})();
@@ -0,0 +1,175 @@
+'use strict';
+
+// Split view grid model: a row of columns, each a stack of panes. Sizes are
+// percentages of the container (columns) or of the column (panes). Pure data,
+// so the saved layout can be validated and the divider arithmetic tested
+// without a DOM; SplitContainer (splits.js) renders it.
+(function (root, factory) {
+  const api = factory();
+  if (typeof module === 'object' && module.exports) module.exports = api;
+  if (root) root.SplitLayout = api;
+})(typeof window !== 'undefined' ? window : globalThis, function () {
+  const MAX_PANES = 6;
+  const MIN_SIZE = 15;
+
+  function round(n) {
+    return Math.round(n * 100) / 100;
+  }
+
+  // Rescale to sum to 100. Returns null for anything that is not a list of
+  // positive finite numbers.
+  function normalizeSizes(sizes) {
+    if (!Array.isArray(sizes) || !sizes.length) return null;
+    if (!sizes.every((n) => typeof n === 'number' && Number.isFinite(n) && n > 0)) return null;
+    const total = sizes.reduce((a, b) => a + b, 0);
+    return sizes.map((n) => round((n / total) * 100));
+  }
+
+  function evenSizes(count) {
+    return Array.from({ length: count }, () => round(100 / count));
+  }
+
+  function createLayout(sessionIds) {
+    const ids = sessionIds.slice(0, MAX_PANES);
+    const sizes = evenSizes(ids.length);
+    return {
+      columns: ids.map((sessionId, i) => ({ size: sizes[i], panes: [{ size: 100, sessionId }] })),
+    };
+  }
+
+  function paneCount(layout) {
+    return layout.columns.reduce((n, column) => n + column.panes.length, 0);
+  }
+
+  // Panes in reading order (column by column, top to bottom). This order is
+  // the pane index used by SplitContainer.splits and the Ctrl+N shortcuts.
+  function listPanes(layout) {
+    const out = [];
+    layout.columns.forEach((column, c) => {
+      column.panes.forEach((pane, p) => out.push({ column: c, pane: p, sessionId: pane.sessionId }));
+    });
+    return out;
+  }
+
+  function locate(layout, index) {
+    return listPanes(layout)[index] || null;
+  }
+
+  /**
+   * Split pane `index` in two, `direction` 'right' (new column) or 'down'
+   * (new pane under it in the same column). The new pane takes half of the
+   * old one's share.
+   *
+   * @returns {number} index of the new pane, or -1 when the grid is full or
+   *   the halves would fall below MIN_SIZE
+   */
+  function splitPane(layout, index, direction, sessionId) {
+    const at = locate(layout, index);
+    if (!at || paneCount(layout) >= MAX_PANES) return -1;
+    const column = layout.columns[at.column];
+    if (direction === 'right') {
+      if (column.size / 2 < MIN_SIZE) return -1;
+      column.size = round(column.size / 2);
+      layout.columns.splice(at.column + 1, 0, { size: column.size, panes: [{ size: 100, sessionId }] });
+      return index + (column.panes.length - at.pane);
+    }
+    if (direction === 'down') {
+      const pane = column.panes[at.pane];
+      if (pane.size / 2 < MIN_SIZE) return -1;
+      pane.size = round(pane.size / 2);
+      column.panes.splice(at.pane + 1, 0, { size: pane.size, sessionId });
+      return index + 1;
+    }
+    return -1;
+  }
+
+  // Remove pane `index`; its share goes to the pane (or column) before it,
+  // or after it when it was first.
+  function removePane(layout, index) {
+    const at = locate(layout, index);
+    if (!at) return false;
+    const column = layout.columns[at.column];
+    if (column.panes.length > 1) {
+      const [gone] = column.panes.splice(at.pane, 1);
+      const heir = column.panes[Math.max(0, at.pane - 1)];
+      heir.size = round(heir.size + gone.size);
+      return true;
+    }
+    if (layout.columns.length === 1) return false;
+    const [gone] = layout.columns.splice(at.column, 1);
+    const heir = layout.columns[Math.max(0, at.column - 1)];
+    heir.size = round(heir.size + gone.size);
+    return true;
+  }
+
+  /**
+   * Move the boundary between tracks `i` and `i + 1` by `delta` percent,
+   * keeping both at least MIN_SIZE. Only that pair changes.
+   *
+   * @returns {number[]} new sizes
+   */
+  function resizeTracks(sizes, i, delta) {
+    const next = sizes.slice();
+    if (i < 0 || i + 1 >= next.length) return next;
+    const pair = next[i] + next[i + 1];
+    const first = Math.max(MIN_SIZE, Math.min(pair - MIN_SIZE, next[i] + delta));
+    next[i] = round(first);
+    next[i + 1] = round(pair - first);
+    return next;
+  }
+
+  /**
+   * Validate a layout read back from storage. Sizes are rescaled, panes past
+   * MAX_PANES dropped, and anything malformed yields null.
+   */
+  function normalizeLayout(raw) {
+    if (!raw || !Array.isArray(raw.columns) || !raw.columns.length) return null;
+    const columnSizes = normalizeSizes(raw.columns.map((c) => c && c.size));
+    if (!columnSizes) return null;
+    const columns = [];
+    let budget = MAX_PANES;
+    for (let c = 0; c < raw.columns.length && budget > 0; c++) {
+      const panes = raw.columns[c].panes;
+      if (!Array.isArray(panes) || !panes.length) return null;
+      const kept = panes.slice(0, budget);
+      const paneSizes = normalizeSizes(kept.map((p) => p && p.size));
+      if (!paneSizes) return null;
+      columns.push({
+        size: columnSizes[c],
+        panes: kept.map((p, i) => ({
+          size: paneSizes[i],
+          sessionId: typeof p.sessionId === 'string' && p.sessionId ? p.sessionId : null,
+        })),
+      });
+      budget -= kept.length;
+    }
+    const sizes = normalizeSizes(columns.map((c) => c.size));
+    columns.forEach((column, i) => { column.size = sizes[i]; });
+    return { columns };
+  }
+
+  // Drop panes whose session `keep` rejects (closed while away), folding
+  // their space into neighbours. May leave a single pane.
+  function pruneLayout(layout, keep) {
+    for (let i = paneCount(layout) - 1; i >= 0; i--) {
+      const at = locate(layout, i);
+      if (at.sessionId && keep(at.sessionId)) continue;
+      if (!removePane(layout, i)) return null;
+    }
+    return layout;
+  }
+
+  return {
+    MAX_PANES,
+    MIN_SIZE,
+    createLayout,
+    listPanes,
+    locate,
+    normalizeLayout,
+    paneCount,
+    pruneLayout,
+    removePane,
+    resizeTracks,
+    splitPane,
+  };
+});
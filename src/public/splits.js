@@ -1,6 +1,7 @@
 /**
- * SplitContainer - Simple VS Code-style split view
- * Manages up to 2 terminal panes side-by-side with independent terminals
+ * SplitContainer - VS Code-style split view
+ * Manages a grid of up to 6 terminal panes (columns of stacked panes, see
+ * split-layout.js), each with its own terminal and socket
  */
 
 class Split {
@@ -30,6 +31,8 @@ class Split {
         this._repaintTimer = null;
         this._repaintGeneration = 0;
         this._reconnectViewState = null;
+        this._advertised = false;
+        this._claimPending = false;
 
         this.createTerminal();
     }
@@ -39,8 +42,11 @@ class Split {
         const wrapper = document.createElement('div');
         wrapper.className = 'split-terminal-wrapper';
         
+        // Monotonic instance id, NOT the positional index (see _fitId below).
+        Split._fitSeq = (Split._fitSeq || 0) + 1;
+        const seq = Split._fitSeq;
         const terminalDiv = document.createElement('div');
-        terminalDiv.id = `split-terminal-${this.index}`;
+        terminalDiv.id = `split-terminal-${seq}`;
         wrapper.appendChild(terminalDiv);
         
         this.container.appendChild(wrapper);
@@ -116,8 +122,7 @@ class Split {
         // disconnects the NEW pane's observer. It then never re-fits and its PTY
         // keeps a stale size. The index is reused by design; the fit identity
         // must not be.
-        Split._fitSeq = (Split._fitSeq || 0) + 1;
-        this._fitId = `split-${this.index}-${Split._fitSeq}`;
+        this._fitId = `split-${this.index}-${seq}`;
         if (this.app && this.app.fitCoordinator) {
             this.app.fitCoordinator.register(this._fitId, {
                 container: terminalDiv,
@@ -127,6 +132,8 @@ class Split {
                 send: ({ cols, rows }) => {
                     if (this.socket && this.socket.readyState === WebSocket.OPEN) {
                         this.socket.send(JSON.stringify({ type: 'resize', cols, rows }));
+                        this._advertised = true;
+                        if (this._claimPending) this.claimGeometry();
                         return true;
                     }
                     return false;
@@ -145,11 +152,7 @@ class Split {
         }
 
         // Attach keyboard copy/paste shortcuts (Ctrl+C/V, Ctrl+Shift+C/V)
-        attachClipboardHandler(this.terminal, (data) => {
-            if (this.socket && this.socket.readyState === WebSocket.OPEN) {
-                this.socket.send(JSON.stringify({ type: 'input', data }));
-            }
-        });
+        attachClipboardHandler(this.terminal, (data) => this.send({ type: 'input', data }));
 
         // Wire clickable file paths (xterm registerLinkProvider) +
         // right-click selection-based file menu, same as the main terminal.
@@ -243,17 +246,18 @@ class Split {
         }
 
         // Setup terminal input handler
-        this.terminal.onData((data) => {
-            if (this.socket && this.socket.readyState === WebSocket.OPEN) {
-                this.socket.send(JSON.stringify({ type: 'input', data }));
-            }
-        });
+        this.terminal.onData((data) => this.send({ type: 'input', data }));
         
         this.fit();
     }
 
-    async setSession(sessionId) {
-        if (this.sessionId === sessionId) return;
+    // `claim`: the user put this session here, so once the pane has advertised
+    // its size it takes the geometry lease and the PTY is sized to the pane.
+    async setSession(sessionId, { claim = false } = {}) {
+        if (this.sessionId === sessionId) {
+            if (claim) this.claimGeometry();
+            return;
+        }
         
         // Disconnect from old session
         if (this.socket) {
@@ -261,6 +265,7 @@ class Split {
         }
         
         this.sessionId = sessionId;
+        this._claimPending = claim;
         
         // Connect to new session
         if (sessionId) {
@@ -282,6 +287,7 @@ class Split {
 
         // Reset closing flag when (re)connecting — disconnect() may have set it.
         this._closing = false;
+        this._advertised = false;
         this._socketGeneration += 1;
         const gen = this._socketGeneration;
         const ws = new WebSocket(wsUrl);
@@ -357,6 +363,27 @@ class Split {
         };
     }
 
+    // Ask the server to size the PTY to this pane (geometry_take_control).
+    // The server only honours it for a view that has advertised a size, so
+    // before the first resize frame the claim waits for the fit to send one.
+    claimGeometry() {
+        if (this._advertised && this.socket && this.socket.readyState === WebSocket.OPEN) {
+            this._claimPending = false;
+            this.socket.send(JSON.stringify({ type: 'geometry_take_control' }));
+        } else {
+            this._claimPending = true;
+        }
+    }
+
+    // Keyboard and composer input for this pane. While the pane's session is
+    // in the broadcast set, the server copies it to the rest of the set.
+    send(msg) {
+        if (!this.socket || this.socket.readyState !== WebSocket.OPEN) return;
+        const tabs = this.app && this.app.sessionTabManager;
+        const targets = msg.type === 'input' && tabs ? tabs.broadcastTargetsFor(this.sessionId) : null;
+        this.socket.send(JSON.stringify(targets ? { ...msg, broadcast: targets } : msg));
+    }
+
     _startHeartbeat() {
         // Splits maintain their own heartbeat — main socket's heartbeat is not
         // a substitute, since an idle split socket can silently die from NAT
@@ -443,6 +470,9 @@ class Split {
                     ? this._reconnectViewState
                     : null;
                 this._reconnectViewState = null;
+                // Nobody holds the lease (e.g. every viewer reloaded): take it,
+                // or the PTY keeps its last size until someone types.
+                if (msg.geometry && !msg.geometry.owner) this.claimGeometry();
                 const joined = Array.isArray(msg.outputBuffer)
                     ? msg.outputBuffer.join('')
                     : '';
@@ -584,21 +614,34 @@ class Split {
     }
 }
 
+// Smallest pane, in CSS pixels, that a split may produce. 2 x 350 keeps the
+// long-standing rule that a first split needs 700px.
+const MIN_PANE_WIDTH = 350;
+const MIN_PANE_HEIGHT = 160;
+
+function hasSessionDrag(e) {
+    const types = e.dataTransfer && e.dataTransfer.types;
+    return !!types && Array.prototype.indexOf.call(types, 'application/x-session-id') !== -1;
+}
+
 class SplitContainer {
     constructor(app) {
         this.app = app;
         this.enabled = false;
         this.splits = [];
         this.activeSplitIndex = 0;
-        this.dividerPosition = 50; // percentage
-        
-        // Create split container elements
+        this.layout = null;
+        this._savedLayout = null;
+        this._savedActiveIndex = 0;
+        this._drag = null;
+
+        // Create split container element
         this.createSplitElements();
-        
-        // Restore state from localStorage
+
+        // Read the layout saved on this device; restoreLayout() reopens it
         this.restoreState();
-        
-        // Setup keyboard shortcuts
+
+        this.setupDividerDrag();
         this.setupKeyboardShortcuts();
     }
 
@@ -606,133 +649,225 @@ class SplitContainer {
         const main = document.querySelector('.main');
         if (!main) return;
 
-        // Create split container (initially hidden)
+        // Create split container (initially hidden). Columns, panes and
+        // dividers are rendered into it from this.layout.
         this.splitContainerEl = document.createElement('div');
         this.splitContainerEl.className = 'split-container';
         this.splitContainerEl.style.display = 'none';
+        main.appendChild(this.splitContainerEl);
+    }
 
-        // Create left split
-        const leftSplit = document.createElement('div');
-        leftSplit.className = 'split-pane split-left';
-        leftSplit.dataset.splitIndex = '0';
-
-        // Create divider
-        this.divider = document.createElement('div');
-        this.divider.className = 'split-divider';
-        this.divider.setAttribute('role', 'separator');
-        this.divider.setAttribute('aria-label', 'Resize terminal panes');
-        this.divider.setAttribute('aria-orientation', 'vertical');
-        this.divider.setAttribute('aria-valuemin', '20');
-        this.divider.setAttribute('aria-valuemax', '80');
-        this.divider.setAttribute('aria-valuenow', '50');
-        this.divider.tabIndex = 0;
-        this.setupDividerDrag();
-
-        // Create right split
-        const rightSplit = document.createElement('div');
-        rightSplit.className = 'split-pane split-right';
-        rightSplit.dataset.splitIndex = '1';
+    _createPane() {
+        const pane = document.createElement('div');
+        pane.className = 'split-pane';
 
-        // Add close button to right split
         const closeBtn = document.createElement('button');
         closeBtn.className = 'split-close';
-        closeBtn.title = 'Close Split (Ctrl+\\)';
+        closeBtn.title = 'Close Pane';
+        closeBtn.setAttribute('aria-label', 'Close pane');
         closeBtn.innerHTML = `<svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
             <line x1="18" y1="6" x2="6" y2="18"/>
             <line x1="6" y1="6" x2="18" y2="18"/>
         </svg>`;
-        closeBtn.addEventListener('click', () => this.closeSplit());
-        rightSplit.appendChild(closeBtn);
+        pane.appendChild(closeBtn);
 
-        this.splitContainerEl.appendChild(leftSplit);
-        this.splitContainerEl.appendChild(this.divider);
-        this.splitContainerEl.appendChild(rightSplit);
+        const split = new Split(pane, this.splits.length, this.app);
+        closeBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.closePane(this.splits.indexOf(split));
+        });
+        pane.addEventListener('click', () => this.focusSplit(this.splits.indexOf(split)));
+        this._setupPaneDrop(pane, split);
+        return split;
+    }
 
-        main.appendChild(this.splitContainerEl);
+    // Lay the panes out as this.layout says. Pane elements are moved, never
+    // recreated, so each keeps its terminal, socket and scrollback.
+    render() {
+        const el = this.splitContainerEl;
+        el.replaceChildren();
+        this._columnEls = [];
+        let index = 0;
+        this.layout.columns.forEach((column, c) => {
+            if (c > 0) el.appendChild(this._createDivider('column', c - 1));
+            const columnEl = document.createElement('div');
+            columnEl.className = 'split-column';
+            column.panes.forEach((_, p) => {
+                if (p > 0) columnEl.appendChild(this._createDivider('pane', p - 1, c));
+                const split = this.splits[index];
+                split.index = index;
+                split.container.dataset.splitIndex = String(index);
+                columnEl.appendChild(split.container);
+                index++;
+            });
+            el.appendChild(columnEl);
+            this._columnEls.push(columnEl);
+        });
+        this.applySizes();
+    }
 
-        // Create Split instances with their own terminals
-        this.splits.push(new Split(leftSplit, 0, this.app));
-        this.splits.push(new Split(rightSplit, 1, this.app));
-        
-        // Mark left as active by default
-        this.splits[0].isActive = true;
-        this.splits[0].updateActiveState();
+    // Push layout sizes to the DOM. Flex-grow with a zero basis keeps the
+    // percentages exact after the dividers take their fixed width.
+    applySizes() {
+        let index = 0;
+        this.layout.columns.forEach((column, c) => {
+            this._columnEls[c].style.flex = `${column.size} 1 0px`;
+            column.panes.forEach((pane) => {
+                this.splits[index++].container.style.flex = `${pane.size} 1 0px`;
+            });
+        });
+        this.splitContainerEl.querySelectorAll('.split-divider').forEach((divider) => this._updateDividerValue(divider));
+        this.splits.forEach(split => split.fit());
+    }
 
-        // Click handlers to focus splits
-        leftSplit.addEventListener('click', () => this.focusSplit(0));
-        rightSplit.addEventListener('click', () => this.focusSplit(1));
+    _tracks(kind, column) {
+        return kind === 'column' ? this.layout.columns : this.layout.columns[column].panes;
     }
 
-    setupDividerDrag() {
-        let isDragging = false;
-        let startX = 0;
-        let startPosition = 50;
-
-        this.divider.addEventListener('mousedown', (e) => {
-            isDragging = true;
-            startX = e.clientX;
-            startPosition = this.dividerPosition;
-            document.body.style.cursor = 'col-resize';
+    _createDivider(kind, boundary, column) {
+        const divider = document.createElement('div');
+        divider.className = kind === 'column' ? 'split-divider' : 'split-divider split-divider-row';
+        divider.setAttribute('role', 'separator');
+        divider.setAttribute('aria-label', kind === 'column' ? 'Resize terminal columns' : 'Resize terminal panes');
+        divider.setAttribute('aria-orientation', kind === 'column' ? 'vertical' : 'horizontal');
+        divider.tabIndex = 0;
+        divider.dataset.kind = kind;
+        divider.dataset.boundary = String(boundary);
+        if (kind === 'pane') divider.dataset.column = String(column);
+
+        divider.addEventListener('mousedown', (e) => {
+            const extentEl = kind === 'column' ? this.splitContainerEl : this._columnEls[column];
+            const rect = extentEl.getBoundingClientRect();
+            this._drag = {
+                kind,
+                column,
+                boundary,
+                start: this._tracks(kind, column).map(t => t.size),
+                origin: kind === 'column' ? e.clientX : e.clientY,
+                extent: kind === 'column' ? rect.width : rect.height
+            };
+            document.body.style.cursor = kind === 'column' ? 'col-resize' : 'row-resize';
             e.preventDefault();
         });
 
+        divider.addEventListener('keydown', (e) => {
+            const back = kind === 'column' ? 'ArrowLeft' : 'ArrowUp';
+            const forward = kind === 'column' ? 'ArrowRight' : 'ArrowDown';
+            let delta;
+            if (e.key === back) delta = -5;
+            else if (e.key === forward) delta = 5;
+            else if (e.key === 'Home') delta = -100;
+            else if (e.key === 'End') delta = 100;
+            else return;
+            e.preventDefault();
+            this._moveBoundary(kind, column, boundary, this._tracks(kind, column).map(t => t.size), delta);
+            this.saveState();
+        });
+        return divider;
+    }
+
+    // aria-valuenow is the boundary's position as a percentage of the row (or
+    // column), bounded by the minimum size of the two tracks beside it.
+    _updateDividerValue(divider) {
+        const column = divider.dataset.column != null ? Number(divider.dataset.column) : undefined;
+        const sizes = this._tracks(divider.dataset.kind, column).map(t => t.size);
+        const boundary = Number(divider.dataset.boundary);
+        const before = sizes.slice(0, boundary).reduce((a, b) => a + b, 0);
+        divider.setAttribute('aria-valuemin', String(Math.round(before + SplitLayout.MIN_SIZE)));
+        divider.setAttribute('aria-valuemax', String(Math.round(before + sizes[boundary] + sizes[boundary + 1] - SplitLayout.MIN_SIZE)));
+        divider.setAttribute('aria-valuenow', String(Math.round(before + sizes[boundary])));
+    }
+
+    _moveBoundary(kind, column, boundary, start, delta) {
+        const sizes = SplitLayout.resizeTracks(start, boundary, delta);
+        this._tracks(kind, column).forEach((track, i) => { track.size = sizes[i]; });
+        this.applySizes();
+    }
+
+    setupDividerDrag() {
         document.addEventListener('mousemove', (e) => {
-            if (!isDragging) return;
-            
-            const container = this.splitContainerEl.getBoundingClientRect();
-            const delta = e.clientX - startX;
-            const deltaPercent = (delta / container.width) * 100;
-            
-            this.dividerPosition = Math.max(20, Math.min(80, startPosition + deltaPercent));
-            this.updateDividerPosition();
+            const drag = this._drag;
+            if (!drag || !drag.extent) return;
+            const position = drag.kind === 'column' ? e.clientX : e.clientY;
+            const delta = ((position - drag.origin) / drag.extent) * 100;
+            this._moveBoundary(drag.kind, drag.column, drag.boundary, drag.start, delta);
         });
 
         document.addEventListener('mouseup', () => {
-            if (isDragging) {
-                isDragging = false;
+            if (this._drag) {
+                this._drag = null;
                 document.body.style.cursor = '';
                 this.saveState();
             }
         });
+    }
 
-        this.divider.addEventListener('keydown', (e) => {
-            let next = this.dividerPosition;
-            if (e.key === 'ArrowLeft') next -= 5;
-            else if (e.key === 'ArrowRight') next += 5;
-            else if (e.key === 'Home') next = 20;
-            else if (e.key === 'End') next = 80;
-            else return;
+    _setupPaneDrop(pane, split) {
+        const zone = document.createElement('div');
+        zone.className = 'split-drop-zone';
+        zone.style.display = 'none';
+        pane.appendChild(zone);
+
+        // Right quarter splits right, bottom quarter splits down, anywhere
+        // else shows the tab in this pane.
+        const regionAt = (e) => {
+            const rect = pane.getBoundingClientRect();
+            if (e.clientX > rect.right - rect.width / 4) return 'right';
+            if (e.clientY > rect.bottom - rect.height / 4) return 'down';
+            return 'replace';
+        };
+
+        pane.addEventListener('dragover', (e) => {
+            if (!hasSessionDrag(e)) return;
             e.preventDefault();
-            this.dividerPosition = Math.max(20, Math.min(80, next));
-            this.updateDividerPosition();
-            this.saveState();
+            e.dataTransfer.dropEffect = 'move';
+            zone.dataset.region = regionAt(e);
+            zone.style.display = 'block';
         });
-    }
 
-    updateDividerPosition() {
-        const leftSplit = this.splitContainerEl.querySelector('.split-left');
-        const rightSplit = this.splitContainerEl.querySelector('.split-right');
-        
-        if (leftSplit && rightSplit) {
-            leftSplit.style.width = `${this.dividerPosition}%`;
-            rightSplit.style.width = `${100 - this.dividerPosition}%`;
-            this.divider.setAttribute('aria-valuenow', String(Math.round(this.dividerPosition)));
-            
-            // Fit both terminals
-            this.splits.forEach(split => split.fit());
-        }
+        pane.addEventListener('dragleave', (e) => {
+            if (!pane.contains(e.relatedTarget)) zone.style.display = 'none';
+        });
+
+        pane.addEventListener('drop', async (e) => {
+            zone.style.display = 'none';
+            const sessionId = e.dataTransfer?.getData('application/x-session-id');
+            if (!sessionId) return;
+            e.preventDefault();
+            e.stopPropagation();
+            const index = this.splits.indexOf(split);
+            const region = regionAt(e);
+            if (region === 'replace') {
+                await split.setSession(sessionId, { claim: true });
+                this.activeSplitIndex = -1;
+                this.focusSplit(index);
+                this.saveState();
+            } else {
+                await this.addPane(sessionId, region, index);
+            }
+        });
     }
 
     async createSplit(sessionId) {
-        if (this.enabled) return; // Already split
+        if (this.enabled) return this.addPane(sessionId, 'right');
         const availableWidth = document.querySelector('.main')?.getBoundingClientRect().width || window.innerWidth;
-        if (availableWidth < 700) {
+        if (availableWidth < 2 * MIN_PANE_WIDTH) {
             if (window.feedback) window.feedback.info('Split view needs a wider screen. Use session tabs on this device.');
             return;
         }
 
+        // Left gets the current session, right gets the dragged session
+        const currentSessionId = this.app.currentClaudeSessionId;
+        await this._open(SplitLayout.createLayout([currentSessionId, sessionId]), 1, { claim: true });
+
+        console.log(`[SplitContainer] Created split with sessions: ${currentSessionId} | ${sessionId}`);
+    }
+
+    async _open(layout, focusIndex, { claim }) {
         this.enabled = true;
-        
+        this.layout = layout;
+        this.splits = SplitLayout.listPanes(layout).map(() => this._createPane());
+
         // Hide single terminal container
         const terminalContainer = document.getElementById('terminalContainer');
         if (terminalContainer) {
@@ -741,22 +876,79 @@ class SplitContainer {
 
         // Show split container
         this.splitContainerEl.style.display = 'flex';
+        this.render();
 
-        // Update divider position
-        this.updateDividerPosition();
+        // The main terminal stays joined but is hidden, so it must stop
+        // advertising a size: left in place it can hold the geometry lease and
+        // keep the PTY at full-window width behind a half-width pane.
+        if (this.app && typeof this.app.send === 'function') {
+            this.app.send({ type: 'geometry_withdraw' });
+        }
 
-        // Set sessions - left gets current session, right gets the dragged session
-        const currentSessionId = this.app.currentClaudeSessionId;
-        await this.splits[0].setSession(currentSessionId);
-        await this.splits[1].setSession(sessionId);
+        const panes = SplitLayout.listPanes(layout);
+        for (let i = 0; i < this.splits.length; i++) {
+            await this.splits[i].setSession(panes[i].sessionId, { claim });
+        }
 
-        // Focus right split (newly created)
-        this.focusSplit(1);
+        this.activeSplitIndex = -1;
+        this.focusSplit(focusIndex);
+        this.saveState();
+    }
 
-        // Save state
+    /**
+     * Split pane `index` and show `sessionId` in the new half.
+     * @param {string} sessionId
+     * @param {'right'|'down'} direction
+     */
+    async addPane(sessionId, direction = 'right', index = this.activeSplitIndex) {
+        if (!this.enabled) return this.createSplit(sessionId);
+        const target = this.splits[index];
+        if (!target) return;
+        if (this.splits.length >= SplitLayout.MAX_PANES) {
+            if (window.feedback) window.feedback.info(`Split view holds up to ${SplitLayout.MAX_PANES} panes.`);
+            return;
+        }
+        const rect = target.container.getBoundingClientRect();
+        const roomy = direction === 'down'
+            ? rect.height >= 2 * MIN_PANE_HEIGHT
+            : rect.width >= 2 * MIN_PANE_WIDTH;
+        const at = roomy ? SplitLayout.splitPane(this.layout, index, direction, sessionId) : -1;
+        if (at < 0) {
+            if (window.feedback) window.feedback.info('Not enough room to split this pane.');
+            return;
+        }
+
+        const active = this.splits[this.activeSplitIndex];
+        const split = this._createPane();
+        this.splits.splice(at, 0, split);
+        this.activeSplitIndex = this.splits.indexOf(active);
+        this.render();
+        await split.setSession(sessionId, { claim: true });
+        this.focusSplit(at);
         this.saveState();
+    }
 
-        console.log(`[SplitContainer] Created split with sessions: ${currentSessionId} | ${sessionId}`);
+    closePane(index) {
+        if (!this.enabled || !this.splits[index]) return;
+
+        // The last pane standing goes back to the single terminal
+        if (this.splits.length <= 2) {
+            this.focusSplit(index === 0 ? 1 : 0);
+            this.closeSplit();
+            return;
+        }
+
+        const active = this.splits[this.activeSplitIndex];
+        const [split] = this.splits.splice(index, 1);
+        SplitLayout.removePane(this.layout, index);
+        split.destroy();
+        split.container.remove();
+        this.render();
+
+        const next = split === active ? Math.max(0, index - 1) : this.splits.indexOf(active);
+        this.activeSplitIndex = -1;
+        this.focusSplit(next);
+        this.saveState();
     }
 
     closeSplit() {
@@ -764,8 +956,11 @@ class SplitContainer {
 
         this.enabled = false;
 
-        // Disconnect both splits
-        this.splits.forEach(split => split.disconnect());
+        // Panes are cheap to rebuild and up to six idle terminals are not
+        this.splits.forEach(split => split.destroy());
+        this.splits = [];
+        this.layout = null;
+        this.splitContainerEl.replaceChildren();
 
         // Show single terminal container
         const terminalContainer = document.getElementById('terminalContainer');
@@ -776,17 +971,10 @@ class SplitContainer {
         // Hide split container
         this.splitContainerEl.style.display = 'none';
 
-        // Clear splits but don't destroy terminals (we'll reuse them)
-        this.splits.forEach((split, i) => {
-            split.sessionId = null;
-            split.isActive = (i === 0);
-            split.updateActiveState();
-            if (split.terminal) {
-                split.terminal.clear();
-            }
-        });
-        
         this.activeSplitIndex = 0;
+        if (this.app) {
+            this.app._lastFocusedPaneIndex = 0;
+        }
 
         // Reconnect main terminal to current session if we have one
         if (this.app.currentClaudeSessionId) {
@@ -824,10 +1012,15 @@ class SplitContainer {
             split.terminal.focus();
         }
 
+        // The same session in two panes: the PTY follows the one in use
+        if (split.sessionId && this.splits.some(s => s !== split && s.sessionId === split.sessionId)) {
+            split.claimGeometry();
+        }
+
         // Update app's current session to match this split
         if (split.sessionId && this.app) {
             this.app.currentClaudeSessionId = split.sessionId;
-            
+
             // Update tab selection
             if (this.app.sessionTabManager) {
                 const tab = this.app.sessionTabManager.tabs.get(split.sessionId);
@@ -845,6 +1038,7 @@ class SplitContainer {
             }
         }
 
+        this.saveState();
         console.log(`[SplitContainer] Focused split ${index}, session: ${split.sessionId}`);
     }
 
@@ -854,7 +1048,16 @@ class SplitContainer {
 
         const activeSplit = this.splits[this.activeSplitIndex];
         if (activeSplit) {
-            await activeSplit.setSession(sessionId);
+            await activeSplit.setSession(sessionId, { claim: true });
+            this.saveState();
+        }
+    }
+
+    // A closed tab takes its panes with it
+    onSessionClosed(sessionId) {
+        if (!this.enabled) return;
+        for (let i = this.splits.length - 1; i >= 0; i--) {
+            if (this.enabled && this.splits[i] && this.splits[i].sessionId === sessionId) this.closePane(i);
         }
     }
 
@@ -871,15 +1074,13 @@ class SplitContainer {
                     console.log('[SplitContainer] To create a split, drag a tab to the right edge of the terminal');
                 }
             }
-            
-            // Cmd/Ctrl + 1/2 to focus splits
-            if ((e.metaKey || e.ctrlKey) && this.enabled) {
-                if (e.key === '1') {
-                    e.preventDefault();
-                    this.focusSplit(0);
-                } else if (e.key === '2') {
+
+            // Cmd/Ctrl + 1..6 to focus panes
+            if ((e.metaKey || e.ctrlKey) && this.enabled && /^[1-6]$/.test(e.key)) {
+                const index = Number(e.key) - 1;
+                if (index < this.splits.length) {
                     e.preventDefault();
-                    this.focusSplit(1);
+                    this.focusSplit(index);
                 }
             }
         });
@@ -887,11 +1088,22 @@ class SplitContainer {
 
     saveState() {
         try {
+            const layout = this.enabled ? {
+                columns: this.layout.columns.map(column => ({
+                    size: column.size,
+                    panes: column.panes.map(pane => ({ size: pane.size }))
+                }))
+            } : null;
+            if (layout) {
+                SplitLayout.listPanes(this.layout).forEach((at, i) => {
+                    layout.columns[at.column].panes[at.pane].sessionId = this.splits[i].sessionId;
+                });
+            }
             const state = {
+                version: 2,
                 enabled: this.enabled,
-                dividerPosition: this.dividerPosition,
                 activeSplitIndex: this.activeSplitIndex,
-                sessions: this.splits.map(s => s.sessionId)
+                layout
             };
             localStorage.setItem('cc-web-splits', JSON.stringify(state));
         } catch (error) {
@@ -905,20 +1117,33 @@ class SplitContainer {
             if (!saved) return;
 
             const state = JSON.parse(saved);
-            
-            // Restore divider position
-            if (state.dividerPosition) {
-                this.dividerPosition = state.dividerPosition;
-            }
-
-            // Note: Don't auto-restore enabled state on page load
-            // User needs to manually create splits
-            // This prevents issues with stale session IDs
+            // Version 1 only kept a divider position; there is nothing to reopen
+            if (state.version !== 2 || !state.enabled) return;
+            this._savedLayout = SplitLayout.normalizeLayout(state.layout);
+            this._savedActiveIndex = Number.isInteger(state.activeSplitIndex) ? state.activeSplitIndex : 0;
         } catch (error) {
             console.error('Failed to restore split state:', error);
         }
     }
 
+    /**
+     * Reopen the grid saved on this device, once the tabs are known. Panes
+     * whose session is gone are dropped; fewer than two left means no split.
+     *
+     * @param {(sessionId: string) => boolean} hasSession
+     * @returns {Promise<boolean>} whether the grid was reopened
+     */
+    async restoreLayout(hasSession) {
+        const layout = this._savedLayout && SplitLayout.pruneLayout(this._savedLayout, hasSession);
+        this._savedLayout = null;
+        if (this.enabled || !layout || SplitLayout.paneCount(layout) < 2) return false;
+        const availableWidth = document.querySelector('.main')?.getBoundingClientRect().width || window.innerWidth;
+        if (availableWidth < 2 * MIN_PANE_WIDTH) return false;
+        // No claim: a pane takes the PTY size only when nobody holds it
+        await this._open(layout, Math.min(this._savedActiveIndex, SplitLayout.paneCount(layout) - 1), { claim: false });
+        return true;
+    }
+
     // Setup drop zones for drag-to-split
     setupDropZones() {
         const terminalContainer = document.getElementById('terminalContainer');
@@ -934,12 +1159,9 @@ class SplitContainer {
         terminalContainer.addEventListener('dragover', (e) => {
             // Only show drop zone if we're not already in split mode
             if (this.enabled) return;
-            
-            const sessionId = e.dataTransfer?.getData('application/x-session-id');
-            if (!sessionId) return;
-            
-            // Don't allow splitting with the current session
-            if (sessionId === this.app.currentClaudeSessionId) return;
+
+            // Drag data is unreadable until drop; the type list is not
+            if (!hasSessionDrag(e)) return;
 
             e.preventDefault();
             e.dataTransfer.dropEffect = 'move';
@@ -962,7 +1184,7 @@ class SplitContainer {
         terminalContainer.addEventListener('drop', async (e) => {
             const sessionId = e.dataTransfer?.getData('application/x-session-id');
             if (!sessionId) return;
-            
+
             // Don't allow splitting with the current session
             if (sessionId === this.app.currentClaudeSessionId) {
                 dropZone.style.display = 'none';
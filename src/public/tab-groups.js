@@ -0,0 +1,96 @@
+'use strict';
+
+// Tab group model shared by the tab strip (SessionTabManager) and the tab
+// sidebar: the order tabs are shown in, and the plan for grouping tabs by
+// repository. Groups themselves live on the server (SessionStore); this only
+// arranges what the client already has, so it runs without a DOM.
+(function (root, factory) {
+  const api = factory();
+  if (typeof module === 'object' && module.exports) module.exports = api;
+  if (root) root.TabGroups = api;
+})(typeof window !== 'undefined' ? window : globalThis, function () {
+  // Same list as GROUP_COLORS in src/utils/session-store.js.
+  const GROUP_COLORS = ['gray', 'blue', 'green', 'yellow', 'orange', 'red', 'purple', 'cyan'];
+
+  /**
+   * Split tabs into sections: one per group that has tabs, in group order,
+   * then the ungrouped tabs. Tabs keep their relative order within a section.
+   *
+   * @param {string[]} tabOrder - session ids in strip order
+   * @param {Array<{id: string}>} groups
+   * @param {function(string): (string|null)} groupOf - session id → group id
+   * @returns {Array<{group: object|null, sessionIds: string[]}>}
+   */
+  function arrangeTabs(tabOrder, groups, groupOf) {
+    const byGroup = new Map(groups.map((g) => [g.id, []]));
+    const ungrouped = [];
+    for (const id of tabOrder) {
+      const members = byGroup.get(groupOf(id));
+      (members || ungrouped).push(id);
+    }
+    const sections = groups
+      .filter((g) => byGroup.get(g.id).length)
+      .map((g) => ({ group: g, sessionIds: byGroup.get(g.id) }));
+    if (ungrouped.length) sections.push({ group: null, sessionIds: ungrouped });
+    return sections;
+  }
+
+  // The least used colour, earliest in GROUP_COLORS on a tie.
+  function nextColor(groups) {
+    const uses = new Map(GROUP_COLORS.map((c) => [c, 0]));
+    groups.forEach((g) => { if (uses.has(g.color)) uses.set(g.color, uses.get(g.color) + 1); });
+    return GROUP_COLORS.reduce((best, c) => (uses.get(c) < uses.get(best) ? c : best), GROUP_COLORS[0]);
+  }
+
+  function repoName(rootPath) {
+    const parts = String(rootPath).split(/[\\/]+/).filter(Boolean);
+    return parts.length ? parts[parts.length - 1] : String(rootPath);
+  }
+
+  /**
+   * Plan "group by repository": every repository with two or more tabs gets
+   * a group named after its folder. A group of that name is reused; tabs
+   * already in it are left alone. Tabs outside a repository, or alone in
+   * theirs, are not touched.
+   *
+   * @param {Array<{sessionId: string, root: string|null}>} roots
+   * @param {Array<{id: string, name: string, color: string}>} groups
+   * @param {function(string): (string|null)} groupOf
+   * @returns {{create: Array<{name: string, color: string, sessionIds: string[]}>,
+   *            assign: Array<{sessionId: string, groupId: string}>}}
+   */
+  function planRepoGroups(roots, groups, groupOf) {
+    const byRoot = new Map();
+    roots.forEach(({ sessionId, root }) => {
+      if (!root) return;
+      if (!byRoot.has(root)) byRoot.set(root, []);
+      byRoot.get(root).push(sessionId);
+    });
+    const create = [];
+    const assign = [];
+    const known = groups.slice();
+    for (const [root, sessionIds] of byRoot) {
+      if (sessionIds.length < 2) continue;
+      const name = repoName(root);
+      const existing = known.find((g) => g.name === name);
+      if (existing) {
+        sessionIds
+          .filter((id) => groupOf(id) !== existing.id)
+          .forEach((sessionId) => assign.push({ sessionId, groupId: existing.id }));
+        continue;
+      }
+      const group = { name, color: nextColor(known), sessionIds };
+      known.push(group);
+      create.push(group);
+    }
+    return { create, assign };
+  }
+
+  return {
+    GROUP_COLORS,
+    arrangeTabs,
+    nextColor,
+    planRepoGroups,
+    repoName,
+  };
+});
@@ -0,0 +1,248 @@
+'use strict';
+
+// Vertical tab sidebar: every tab down the left of the terminal, under its
+// group, with the agent's state (busy / idle / waiting, GET
+// /api/sessions/status, the control plane's derivation) and its sticky-note
+// title. It stands in for the tab strip while open; open or closed is kept
+// per browser. Groups and their changes belong to SessionTabManager.
+
+(function () {
+  const STORAGE_KEY = 'cc-web-tab-sidebar';
+  const POLL_MS = 5000;
+  const STATE_LABELS = {
+    busy: 'Busy',
+    idle: 'Idle',
+    waiting: 'Waiting',
+    exited: 'Exited',
+    stopped: 'Not started',
+  };
+
+  /**
+   * Sidebar state for one GET /api/sessions/status entry: a key of
+   * STATE_LABELS, or null while unknown.
+   * @param {{lifecycle?: string, interactionState?: string}|undefined} status
+   * @returns {string|null}
+   */
+  function stateOf(status) {
+    if (!status) return null;
+    if (status.lifecycle === 'exited' || status.lifecycle === 'crashed') return 'exited';
+    if (status.lifecycle === 'created') return 'stopped';
+    switch (status.interactionState) {
+      case 'busy': return 'busy';
+      case 'idle': return 'idle';
+      case 'waiting_input':
+      case 'blocked': return 'waiting';
+      default: return null;
+    }
+  }
+
+  function el(tag, attrs, children) {
+    const node = document.createElement(tag);
+    if (attrs) {
+      for (const k of Object.keys(attrs)) {
+        if (k === 'class') node.className = attrs[k];
+        else if (k === 'text') node.textContent = attrs[k];
+        else node.setAttribute(k, attrs[k]);
+      }
+    }
+    (children || []).forEach((c) => node.appendChild(c));
+    return node;
+  }
+
+  function isSessionDrag(e) {
+    return !!(e.dataTransfer && Array.from(e.dataTransfer.types || []).includes('application/x-session-id'));
+  }
+
+  class TabSidebar {
+    constructor(app) {
+      this.app = app;
+      this.el = document.getElementById('tabSidebar');
+      this.open = false;
+      this.statuses = new Map(); // sessionId -> GET /api/sessions/status entry
+      this._timer = null;
+      this._onVisibility = () => {
+        if (!this.open) return;
+        if (document.visibilityState === 'visible') this.refreshStatus();
+        else this._schedule();
+      };
+      document.addEventListener('visibilitychange', this._onVisibility);
+    }
+
+    get tabs() {
+      return this.app.sessionTabManager;
+    }
+
+    restore() {
+      let saved = null;
+      try { saved = localStorage.getItem(STORAGE_KEY); } catch (_) { /* private mode */ }
+      if (saved === '1') this.setOpen(true, { save: false });
+    }
+
+    toggle() {
+      this.setOpen(!this.open);
+    }
+
+    setOpen(open, { save = true } = {}) {
+      if (!this.el) return;
+      if (open && this.app.isMobile) {
+        if (window.feedback) window.feedback.info('The tab sidebar needs a wider screen');
+        return;
+      }
+      this.open = open;
+      this.el.hidden = !open;
+      document.getElementById('app')?.classList.toggle('tab-sidebar-open', open);
+      if (save) {
+        try { localStorage.setItem(STORAGE_KEY, open ? '1' : '0'); } catch (_) { /* private mode */ }
+      }
+      if (open) {
+        this.render();
+        this.refreshStatus();
+      } else {
+        this._schedule();
+      }
+    }
+
+    // Poll only while the sidebar is open and the page is visible.
+    _schedule() {
+      clearTimeout(this._timer);
+      this._timer = null;
+      if (!this.open || document.visibilityState === 'hidden') return;
+      this._timer = setTimeout(() => this.refreshStatus(), POLL_MS);
+    }
+
+    async refreshStatus() {
+      try {
+        const response = await this.app.authFetch('/api/sessions/status');
+        if (response.ok) {
+          const data = await response.json();
+          this.statuses = new Map((data.sessions || []).map((s) => [s.id, s]));
+          this.render();
+        }
+      } catch (_) {
+        // The next poll tries again.
+      }
+      this._schedule();
+    }
+
+    // Rebuilt whole on every change; a focused row keeps focus.
+    render() {
+      const mgr = this.tabs;
+      if (!this.open || !this.el || !mgr || !window.TabGroups) return;
+      const focusedId = this.el.contains(document.activeElement) ? document.activeElement.dataset.sessionId : null;
+      const sections = window.TabGroups.arrangeTabs(
+        mgr.getOrderedTabIds(),
+        mgr.groups,
+        (id) => mgr.activeSessions.get(id)?.groupId || null
+      );
+
+      const closeBtn = el('button', { class: 'tab-sidebar-close', type: 'button', title: 'Back to the tab strip', 'aria-label': 'Close tab sidebar', text: '×' });
+      closeBtn.addEventListener('click', () => this.setOpen(false));
+      const header = el('div', { class: 'tab-sidebar-header' }, [
+        el('span', { class: 'tab-sidebar-title', text: `Sessions (${mgr.tabs.size})` }),
+        closeBtn,
+      ]);
+
+      const list = el('div', { class: 'tab-sidebar-list' });
+      for (const { group, sessionIds } of sections) {
+        if (group || mgr.groups.length) list.appendChild(this._groupHeader(group, sessionIds.length));
+        for (const id of sessionIds) {
+          if (group && group.collapsed && id !== mgr.activeTabId) continue;
+          list.appendChild(this._row(id, group));
+        }
+      }
+      this.el.replaceChildren(header, list);
+      if (focusedId) this.el.querySelector(`.tab-sidebar-row[data-session-id="${CSS.escape(focusedId)}"]`)?.focus();
+    }
+
+    _groupHeader(group, count) {
+      const mgr = this.tabs;
+      // The ungrouped heading is only a drop target, so not a button.
+      const header = el(group ? 'button' : 'div', {
+        class: 'tab-sidebar-group',
+        text: group ? `${group.name} (${count})` : `Ungrouped (${count})`,
+      });
+      if (group) {
+        header.type = 'button';
+        header.dataset.groupColor = group.color;
+        header.setAttribute('aria-expanded', String(!group.collapsed));
+        header.addEventListener('click', () => mgr.toggleGroupCollapsed(group.id));
+        header.addEventListener('contextmenu', (e) => {
+          e.preventDefault();
+          mgr.openGroupContextMenu(group.id, e.clientX, e.clientY);
+        });
+      }
+      this._acceptDrop(header, group ? group.id : null);
+      return header;
+    }
+
+    _row(sessionId, group) {
+      const mgr = this.tabs;
+      const session = mgr.activeSessions.get(sessionId) || {};
+      const status = this.statuses.get(sessionId);
+      const state = stateOf(status);
+      const name = mgr.tabs.get(sessionId)?.querySelector('.tab-name')?.textContent || session.name || 'Session';
+      const stickyTitle = (status && status.stickyTitle) || (session.stickyNote && session.stickyNote.title) || '';
+
+      const row = el('button', { class: 'tab-sidebar-row', type: 'button', draggable: 'true' }, [
+        el('span', { class: 'tab-sidebar-state', 'aria-hidden': 'true' }),
+        el('span', { class: 'tab-sidebar-text' }, [
+          el('span', { class: 'tab-sidebar-name', text: name }),
+          el('span', { class: 'tab-sidebar-note', text: stickyTitle }),
+        ]),
+        el('span', { class: 'tab-sidebar-label', text: state ? STATE_LABELS[state] : '' }),
+      ]);
+      row.dataset.sessionId = sessionId;
+      if (state) row.dataset.state = state;
+      if (group) row.dataset.groupColor = group.color;
+      row.title = stickyTitle ? `${name}: ${stickyTitle}` : name;
+      if (sessionId === mgr.activeTabId) {
+        row.classList.add('active');
+        row.setAttribute('aria-current', 'page');
+      }
+
+      row.addEventListener('click', () => mgr.switchToTab(sessionId));
+      row.addEventListener('contextmenu', (e) => {
+        e.preventDefault();
+        mgr.openTabContextMenu(sessionId, e.clientX, e.clientY);
+      });
+      // Same drag data as a strip tab, so a row can also be dropped on a split pane.
+      row.addEventListener('dragstart', (e) => {
+        e.dataTransfer.effectAllowed = 'copyMove';
+        e.dataTransfer.setData('text/plain', sessionId);
+        e.dataTransfer.setData('application/x-session-id', sessionId);
+        e.dataTransfer.setData('x-source-pane', '-1');
+      });
+      this._acceptDrop(row, group ? group.id : null);
+      return row;
+    }
+
+    // Dropping a tab on a group header or on one of its rows moves it there.
+    _acceptDrop(node, groupId) {
+      node.addEventListener('dragover', (e) => {
+        if (!isSessionDrag(e)) return;
+        e.preventDefault();
+        e.dataTransfer.dropEffect = 'move';
+        node.classList.add('drop-target');
+      });
+      node.addEventListener('dragleave', () => node.classList.remove('drop-target'));
+      node.addEventListener('drop', (e) => {
+        node.classList.remove('drop-target');
+        const sessionId = e.dataTransfer.getData('application/x-session-id');
+        if (!sessionId) return;
+        e.preventDefault();
+        const session = this.tabs.activeSessions.get(sessionId);
+        if (session && (session.groupId || null) !== groupId) this.tabs.setTabGroup(sessionId, groupId);
+      });
+    }
+
+    destroy() {
+      clearTimeout(this._timer);
+      document.removeEventListener('visibilitychange', this._onVisibility);
+    }
+  }
+
+  TabSidebar.stateOf = stateOf;
+
+  if (typeof module !== 'undefined' && module.exports) module.exports = TabSidebar;
+  if (typeof window !== 'undefined') window.TabSidebar = TabSidebar;
+})();
@@ -0,0 +1,341 @@
+'use strict';
+
+// Session templates (/api/templates): a saved way to start a tab — agent,
+// permission-skipping, environment, vault secrets, extra CLI arguments, an instructions
+// fragment for CLAUDE.md / AGENTS.md / GEMINI.md and a first prompt. The
+// manager lists, edits and starts them; starting goes through
+// SessionTabManager.openTemplate, and the palette has one command per template.
+
+(function () {
+  const AGENTS = ['claude', 'codex', 'copilot', 'gemini', 'terminal'];
+  const INSTRUCTION_FILES = ['CLAUDE.md', 'AGENTS.md', 'GEMINI.md'];
+  const ENV_NAME_RE = /^[A-Za-z_][A-Za-z0-9_]{0,127}$/;
+
+  /**
+   * `NAME=value` lines as an env object. Blank lines and `#` comments are
+   * skipped; the value is everything after the first `=`, kept as typed.
+   * @param {string} text
+   * @returns {{env: Object<string, string>, errors: string[]}}
+   */
+  function parseEnv(text) {
+    const env = {};
+    const errors = [];
+    String(text || '').split('\n').forEach((raw, i) => {
+      const line = raw.replace(/\r$/, '');
+      if (!line.trim() || line.trim().startsWith('#')) return;
+      const eq = line.indexOf('=');
+      const name = (eq < 0 ? line : line.slice(0, eq)).trim();
+      if (eq < 0 || !ENV_NAME_RE.test(name)) {
+        errors.push(`Line ${i + 1}: expected NAME=value`);
+        return;
+      }
+      env[name] = line.slice(eq + 1);
+    });
+    return { env, errors };
+  }
+
+  /** The inverse of parseEnv, one `NAME=value` per line. */
+  function formatEnv(env) {
+    return Object.keys(env || {}).map((name) => `${name}=${env[name]}`).join('\n');
+  }
+
+  /** Secret names separated by spaces, commas or new lines. */
+  function parseNames(text) {
+    return String(text || '').split(/[\s,]+/).filter(Boolean);
+  }
+
+  /** One argument per non-blank line, trimmed. */
+  function parseArgs(text) {
+    return String(text || '').split('\n').map((l) => l.trim()).filter(Boolean);
+  }
+
+  /** A short line describing what a template starts. */
+  function describeTemplate(t) {
+    const parts = [t.agent || 'claude'];
+    if (t.dangerouslySkipPermissions) parts.push('skips permissions');
+    const envCount = Object.keys(t.env || {}).length;
+    if (envCount) parts.push(`${envCount} env var${envCount === 1 ? '' : 's'}`);
+    const secretCount = (t.secrets || []).length;
+    if (secretCount) parts.push(`${secretCount} secret${secretCount === 1 ? '' : 's'}`);
+    if (t.args && t.args.length) parts.push(t.args.join(' '));
+    if (t.instructions) parts.push(`instructions → ${t.instructionsFile || 'agent default'}`);
+    if (t.prompt) parts.push('first prompt');
+    return parts.join(' · ');
+  }
+
+  function el(tag, attrs, children) {
+    const node = document.createElement(tag);
+    if (attrs) {
+      for (const k of Object.keys(attrs)) {
+        if (k === 'class') node.className = attrs[k];
+        else if (k === 'text') node.textContent = attrs[k];
+        else node.setAttribute(k, attrs[k]);
+      }
+    }
+    (children || []).forEach((c) => node.appendChild(c));
+    return node;
+  }
+
+  class TemplateLibrary {
+    constructor(app) {
+      this.app = app;
+      this.templates = [];
+      this.el = null;
+      this.editing = null; // template id being edited; '' for a new one
+      this._loading = null;
+      this._keysBound = false;
+      this._onKeydown = (e) => {
+        if (e.key === 'Escape' && this.isOpen()) this.close();
+      };
+    }
+
+    isOpen() {
+      return !!(this.el && this.el.classList.contains('active'));
+    }
+
+    _fetch(url, opts) {
+      if (this.app && typeof this.app.authFetch === 'function') return this.app.authFetch(url, opts);
+      return fetch(url, opts);
+    }
+
+    async _json(url, opts) {
+      const res = await this._fetch(url, opts);
+      const body = await res.json().catch(() => ({}));
+      if (!res.ok) throw new Error(body.error || `HTTP ${res.status}`);
+      return body;
+    }
+
+    /**
+     * Fetch the templates. Resolves true when the list changed, so the
+     * palette only re-renders when it has to.
+     * @returns {Promise<boolean>}
+     */
+    load() {
+      if (this._loading) return this._loading;
+      this._loading = this._json('/api/templates')
+        .then((data) => {
+          const next = Array.isArray(data.templates) ? data.templates : [];
+          const changed = JSON.stringify(next) !== JSON.stringify(this.templates);
+          this.templates = next;
+          return changed;
+        })
+        .finally(() => { this._loading = null; });
+      return this._loading;
+    }
+
+    /** Start a new tab from the template. */
+    start(template) {
+      const tabs = this.app && this.app.sessionTabManager;
+      if (tabs) tabs.openTemplate(template);
+    }
+
+    open() {
+      this._mount();
+      this.el.classList.add('active');
+      if (window.focusTrap) window.focusTrap.activate(this.el);
+      this.refresh();
+    }
+
+    close() {
+      if (this.el) this.el.classList.remove('active');
+      if (window.focusTrap) window.focusTrap.deactivate();
+    }
+
+    _status(text) {
+      this.el.querySelector('.template-status').textContent = text;
+    }
+
+    async refresh() {
+      try {
+        await this.load();
+        this._render();
+      } catch (err) {
+        this._status(`Could not load templates: ${err.message}`);
+      }
+    }
+
+    _render() {
+      const list = this.el.querySelector('.template-list');
+      list.textContent = '';
+      if (!this.templates.length) list.appendChild(el('p', { class: 'template-empty', text: 'No templates yet.' }));
+      for (const template of this.templates) {
+        const start = el('button', { class: 'btn btn-primary btn-small', type: 'button', text: 'Start' });
+        start.addEventListener('click', () => {
+          this.close();
+          this.start(template);
+        });
+        const edit = el('button', { class: 'btn btn-secondary btn-small', type: 'button', text: 'Edit' });
+        edit.addEventListener('click', () => this._edit(template));
+        const del = el('button', { class: 'btn btn-secondary btn-small', type: 'button', text: 'Delete' });
+        del.addEventListener('click', () => this.remove(template));
+        list.appendChild(el('div', { class: 'template-item' }, [
+          el('div', { class: 'template-item-text' }, [
+            el('div', { class: 'template-name', text: template.name }),
+            el('div', { class: 'template-meta', text: template.description || describeTemplate(template) }),
+            template.description ? el('div', { class: 'template-meta', text: describeTemplate(template) }) : el('span'),
+          ]),
+          el('div', { class: 'template-buttons' }, [start, edit, del]),
+        ]));
+      }
+      this._status(`${this.templates.length} template${this.templates.length === 1 ? '' : 's'}`);
+    }
+
+    _edit(template) {
+      const form = this.el.querySelector('.template-form');
+      const f = form.elements;
+      const t = template || {};
+      this.editing = template ? template.id : '';
+      // A plugin agent is not in the fixed list; offer it while editing.
+      if (t.agent && !Array.from(f.agent.options).some((o) => o.value === t.agent)) {
+        f.agent.appendChild(el('option', { value: t.agent, text: t.agent }));
+      }
+      f.name.value = t.name || '';
+      f.description.value = t.description || '';
+      f.agent.value = t.agent || 'claude';
+      f.dangerouslySkipPermissions.checked = !!t.dangerouslySkipPermissions;
+      f.env.value = formatEnv(t.env);
+      f.secrets.value = (t.secrets || []).join(' ');
+      f.args.value = (t.args || []).join('\n');
+      f.instructionsFile.value = t.instructionsFile || '';
+      f.instructions.value = t.instructions || '';
+      f.prompt.value = t.prompt || '';
+      form.querySelector('.template-form-error').textContent = '';
+      form.hidden = false;
+      f.name.focus();
+    }
+
+    async _submit(e) {
+      e.preventDefault();
+      const form = this.el.querySelector('.template-form');
+      const f = form.elements;
+      const errorEl = form.querySelector('.template-form-error');
+      const { env, errors } = parseEnv(f.env.value);
+      if (errors.length) {
+        errorEl.textContent = `Environment: ${errors.join('; ')}`;
+        return;
+      }
+      const body = {
+        name: f.name.value,
+        description: f.description.value,
+        agent: f.agent.value,
+        dangerouslySkipPermissions: f.dangerouslySkipPermissions.checked,
+        env,
+        secrets: parseNames(f.secrets.value),
+        args: parseArgs(f.args.value),
+        instructionsFile: f.instructionsFile.value || null,
+        instructions: f.instructions.value,
+        prompt: f.prompt.value,
+      };
+      try {
+        if (this.editing) {
+          await this._json(`/api/templates/${encodeURIComponent(this.editing)}`, {
+            method: 'PATCH', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body),
+          });
+        } else {
+          await this._json('/api/templates', {
+            method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body),
+          });
+        }
+        form.hidden = true;
+        this.editing = null;
+        await this.refresh();
+      } catch (err) {
+        errorEl.textContent = err.message;
+      }
+    }
+
+    async remove(template) {
+      if (!window.confirm(`Delete the template "${template.name}"?`)) return;
+      try {
+        await this._json(`/api/templates/${encodeURIComponent(template.id)}`, { method: 'DELETE' });
+        await this.refresh();
+      } catch (err) {
+        this._status(`Could not delete ${template.name}: ${err.message}`);
+      }
+    }
+
+    _mount() {
+      if (this.el) return;
+      const closeBtn = el('button', { class: 'close-btn', 'aria-label': 'Close session templates', title: 'Close' });
+      closeBtn.textContent = '×';
+      closeBtn.addEventListener('click', () => this.close());
+
+      const add = el('button', { class: 'btn btn-primary btn-small', type: 'button', text: 'New template' });
+      add.addEventListener('click', () => this._edit(null));
+
+      const field = (label, input, hint) => el('label', { class: 'template-field' }, [
+        el('span', { text: label }),
+        input,
+        ...(hint ? [el('small', { class: 'template-hint', text: hint })] : []),
+      ]);
+      const cancel = el('button', { class: 'btn btn-secondary', type: 'button', text: 'Cancel' });
+      const form = el('form', { class: 'template-form' }, [
+        field('Name', el('input', { name: 'name', type: 'text', maxlength: '100', required: 'required' })),
+        field('Description', el('input', { name: 'description', type: 'text', maxlength: '200' })),
+        field('Agent', el('select', { name: 'agent' }, AGENTS.map((a) => el('option', { value: a, text: a })))),
+        el('label', { class: 'template-check' }, [
+          el('input', { name: 'dangerouslySkipPermissions', type: 'checkbox' }),
+          el('span', { text: 'Skip permission prompts (dangerous mode)' }),
+        ]),
+        field('Environment', el('textarea', { name: 'env', rows: '3', spellcheck: 'false', placeholder: 'NODE_ENV=development' }),
+          'One NAME=value per line. Anyone who can open this list can read the values.'),
+        field('Vault secrets', el('input', { name: 'secrets', type: 'text', spellcheck: 'false', placeholder: 'ANTHROPIC_API_KEY GITHUB_TOKEN' }),
+          'Names from the secret vault, set as environment variables of the same name. The vault must be unlocked to start.'),
+        field('Extra arguments', el('textarea', { name: 'args', rows: '2', spellcheck: 'false', placeholder: '--model\nsonnet' }),
+          'One argument per line, passed to the agent as they are.'),
+        field('Instructions file', el('select', { name: 'instructionsFile' }, [
+          el('option', { value: '', text: 'The agent\'s own (CLAUDE.md, GEMINI.md, else AGENTS.md)' }),
+          ...INSTRUCTION_FILES.map((name) => el('option', { value: name, text: name })),
+        ])),
+        field('Instructions', el('textarea', { name: 'instructions', rows: '4', spellcheck: 'false' }),
+          'Added to the instructions file in the working directory before the agent starts.'),
+        field('First prompt', el('textarea', { name: 'prompt', rows: '3', spellcheck: 'false' }),
+          'Typed once the agent is ready for input.'),
+        el('div', { class: 'template-form-error', role: 'alert' }),
+        el('div', { class: 'template-buttons' }, [cancel, el('button', { class: 'btn btn-primary', type: 'submit', text: 'Save' })]),
+      ]);
+      form.hidden = true;
+      form.addEventListener('submit', (e) => this._submit(e));
+      cancel.addEventListener('click', () => { form.hidden = true; this.editing = null; });
+
+      this.el = el('div', { class: 'template-library-modal', role: 'dialog', 'aria-modal': 'true', 'aria-labelledby': 'templateLibraryHeading' }, [
+        el('div', { class: 'modal-content' }, [
+          el('div', { class: 'modal-header' }, [
+            el('h2', { id: 'templateLibraryHeading', text: 'Session Templates' }),
+            closeBtn,
+          ]),
+          el('div', { class: 'modal-body' }, [
+            el('div', { class: 'template-toolbar' }, [
+              el('span', { class: 'template-status', role: 'status' }),
+              add,
+            ]),
+            form,
+            el('div', { class: 'template-list' }),
+          ]),
+        ]),
+      ]);
+      this.el.addEventListener('click', (e) => { if (e.target === this.el) this.close(); });
+      if (!this._keysBound) {
+        this._keysBound = true;
+        document.addEventListener('keydown', this._onKeydown);
+      }
+      document.body.appendChild(this.el);
+    }
+
+    destroy() {
+      document.removeEventListener('keydown', this._onKeydown);
+      this._keysBound = false;
+      if (this.el && this.el.parentNode) this.el.parentNode.removeChild(this.el);
+      this.el = null;
+    }
+  }
+
+  TemplateLibrary.parseEnv = parseEnv;
+  TemplateLibrary.formatEnv = formatEnv;
+  TemplateLibrary.parseArgs = parseArgs;
+  TemplateLibrary.parseNames = parseNames;
+  TemplateLibrary.describeTemplate = describeTemplate;
+
+  if (typeof module !== 'undefined' && module.exports) module.exports = TemplateLibrary;
+  if (typeof window !== 'undefined') window.TemplateLibrary = TemplateLibrary;
+})();
@@ -0,0 +1,460 @@
+'use strict';
+
+// Conversation view: the active Claude tab's JSONL transcript as turns — the
+// prompt, the assistant's replies, each tool call with its result and diff,
+// and the tokens the turn used — docked beside the terminal. Entries come from
+// GET /api/sessions/:id/transcript; the /watch stream says when to fetch more.
+// File edits open in the side-by-side diff viewer (file-diff.js).
+
+(function () {
+  const STORAGE_KEY = 'cc-web-transcript-view';
+  const RETRY_MS = 5000;
+  const MAX_TURNS = 200; // older turns stay in memory but are not drawn
+  const NEAR_BOTTOM_PX = 48;
+
+  function el(tag, attrs, children) {
+    const node = document.createElement(tag);
+    if (attrs) {
+      for (const k of Object.keys(attrs)) {
+        if (k === 'class') node.className = attrs[k];
+        else if (k === 'text') node.textContent = attrs[k];
+        else node.setAttribute(k, attrs[k]);
+      }
+    }
+    (children || []).forEach((c) => node.appendChild(c));
+    return node;
+  }
+
+  function emptyUsage() {
+    return { input: 0, output: 0, cacheRead: 0, cacheCreation: 0 };
+  }
+
+  function addUsage(total, u) {
+    if (!u) return;
+    total.input += u.input || 0;
+    total.output += u.output || 0;
+    total.cacheRead += u.cacheRead || 0;
+    total.cacheCreation += u.cacheCreation || 0;
+  }
+
+  /**
+   * Group transcript entries into turns. A turn starts at each user prompt;
+   * tool results join the call with the same id. Claude repeats a message's
+   * usage on every line of it, so only the last usage per message id counts.
+   * @param {Array<object>} entries
+   * @returns {Array<{prompt: ?{text: string, at: ?string}, items: Array<object>, usage: object}>}
+   */
+  function buildTurns(entries) {
+    const turns = [];
+    let turn = null;
+    let usageByMessage = null;
+    const calls = new Map();
+    const finish = () => {
+      if (!turn) return;
+      for (const u of usageByMessage.values()) addUsage(turn.usage, u);
+      turns.push(turn);
+    };
+    const start = (prompt) => {
+      finish();
+      turn = { prompt, items: [], usage: emptyUsage() };
+      usageByMessage = new Map();
+    };
+
+    for (const entry of entries || []) {
+      if (entry.kind === 'user') {
+        start({ text: entry.text, at: entry.at || null });
+      } else if (entry.kind === 'assistant') {
+        if (!turn) start(null);
+        for (const b of entry.blocks || []) {
+          if (b.type === 'text') {
+            turn.items.push({ type: 'text', text: b.text });
+          } else if (b.type === 'tool_use') {
+            const call = { type: 'tool', id: b.id, name: b.name, input: b.input || {}, file: b.file || null, result: null };
+            if (b.id) calls.set(b.id, call);
+            turn.items.push(call);
+          }
+        }
+        if (entry.usage) usageByMessage.set(entry.messageId || `line:${usageByMessage.size}`, entry.usage);
+      } else if (entry.kind === 'tool_result') {
+        const call = calls.get(entry.toolUseId);
+        if (call) call.result = entry;
+      }
+    }
+    finish();
+    return turns;
+  }
+
+  /** 950 → "950", 1234 → "1.2k", 12345 → "12k", 2500000 → "2.5M". */
+  function formatTokens(n) {
+    const v = Number(n) || 0;
+    if (v < 1000) return String(v);
+    if (v < 1e6) return `${(v / 1000).toFixed(v < 10000 ? 1 : 0).replace(/\.0$/, '')}k`;
+    return `${(v / 1e6).toFixed(1).replace(/\.0$/, '')}M`;
+  }
+
+  /**
+   * The two sides of a file edit for the diff viewer, or null for other tools.
+   * Edit and MultiEdit show the replaced text only; Write shows the whole file
+   * when the server sent what it replaced.
+   * @param {{name: string, input: object, result: ?object}} call
+   * @returns {{original: string, modified: string}|null}
+   */
+  function editSources(call) {
+    const input = (call && call.input) || {};
+    const str = (v) => (typeof v === 'string' ? v : '');
+    switch (call && call.name) {
+      case 'Edit':
+        return { original: str(input.old_string), modified: str(input.new_string) };
+      case 'MultiEdit': {
+        const edits = Array.isArray(input.edits) ? input.edits : [];
+        return {
+          original: edits.map((e) => str(e && e.old_string)).join('\n\n'),
+          modified: edits.map((e) => str(e && e.new_string)).join('\n\n'),
+        };
+      }
+      case 'Write':
+        return { original: str(call.result && call.result.original), modified: str(input.content) };
+      case 'NotebookEdit':
+        return { original: '', modified: str(input.new_source) };
+      default:
+        return null;
+    }
+  }
+
+  /** One line saying what a tool call did: its command, path, pattern or URL. */
+  function toolSummary(name, input) {
+    const i = input || {};
+    const first = [i.command, i.file_path, i.notebook_path, i.path, i.pattern, i.url, i.query, i.description, i.prompt]
+      .find((v) => typeof v === 'string' && v.trim());
+    const line = (first || '').split('\n')[0];
+    return line.length > 120 ? `${line.slice(0, 119)}…` : line;
+  }
+
+  class TranscriptView {
+    constructor(app) {
+      this.app = app;
+      this.el = document.getElementById('transcriptView');
+      this.open = false;
+      this.sessionId = null;
+      this._reset();
+      this._retryTimer = null;
+      this._source = null;
+      this._fetching = false;
+      this._again = false;
+      this._diffModal = null;
+    }
+
+    _reset() {
+      this.claudeSessionId = null;
+      this.offset = 0;
+      this.entries = [];
+      this.truncated = false;
+      this.status = 'loading'; // loading | ready | none | error
+      this._expanded = new Set(); // tool ids whose details are open
+    }
+
+    restore() {
+      let saved = null;
+      try { saved = localStorage.getItem(STORAGE_KEY); } catch (_) { /* private mode */ }
+      if (saved === '1') this.setOpen(true, { save: false });
+    }
+
+    toggle() {
+      this.setOpen(!this.open);
+    }
+
+    setOpen(open, { save = true } = {}) {
+      if (!this.el) return;
+      this.open = open;
+      this.el.hidden = !open;
+      document.getElementById('app')?.classList.toggle('transcript-view-open', open);
+      if (save) {
+        try { localStorage.setItem(STORAGE_KEY, open ? '1' : '0'); } catch (_) { /* private mode */ }
+      }
+      this._disconnect();
+      if (open) {
+        this.sessionId = this.app.currentClaudeSessionId || null;
+        this._reset();
+        this.render();
+        this.refresh();
+      }
+    }
+
+    notifyActiveSessionChanged(sessionId) {
+      const id = sessionId ? String(sessionId) : null;
+      if (id === this.sessionId) return;
+      this.sessionId = id;
+      this._disconnect();
+      this._reset();
+      if (!this.open) return;
+      this.render();
+      this.refresh();
+    }
+
+    _transcriptUrl(suffix) {
+      return `/api/sessions/${encodeURIComponent(this.sessionId)}/transcript${suffix || ''}`;
+    }
+
+    // Fetch everything after `offset`; a fetch asked for while one is running
+    // runs once more when it ends.
+    async refresh() {
+      if (!this.open) return;
+      if (!this.sessionId) {
+        this.status = 'none';
+        this.render();
+        return;
+      }
+      if (this._fetching) { this._again = true; return; }
+      this._fetching = true;
+      const sessionId = this.sessionId;
+      try {
+        let more = true;
+        while (more && sessionId === this.sessionId) {
+          const params = new URLSearchParams({ offset: String(this.offset) });
+          if (this.claudeSessionId) params.set('claudeSessionId', this.claudeSessionId);
+          const response = await this.app.authFetch(this._transcriptUrl(`?${params}`));
+          if (sessionId !== this.sessionId) break;
+          if (!response.ok) {
+            const body = await response.json().catch(() => ({}));
+            this.status = body.code === 'TRANSCRIPT_NOT_FOUND' ? 'none' : 'error';
+            this._disconnect();
+            this._scheduleRetry();
+            break;
+          }
+          const data = await response.json();
+          if (data.reset || data.claudeSessionId !== this.claudeSessionId) {
+            this.entries = [];
+            this._expanded = new Set();
+          }
+          this.claudeSessionId = data.claudeSessionId;
+          this.entries = this.entries.concat(data.entries || []);
+          this.offset = data.offset;
+          if (data.truncated) this.truncated = true;
+          this.status = 'ready';
+          more = !!data.more;
+          this._connect();
+        }
+      } catch (_) {
+        if (sessionId === this.sessionId) {
+          this.status = 'error';
+          this._scheduleRetry();
+        }
+      } finally {
+        this._fetching = false;
+      }
+      this.render();
+      if (this._again) {
+        this._again = false;
+        this.refresh();
+      }
+    }
+
+    _connect() {
+      if (this._source || typeof EventSource !== 'function') return;
+      const am = window.authManager;
+      const base = this._transcriptUrl('/watch');
+      const url = am && typeof am.appendAuthToUrl === 'function' ? am.appendAuthToUrl(base) : base;
+      const source = new EventSource(url);
+      this._source = source;
+      source.onmessage = (e) => {
+        let msg;
+        try { msg = JSON.parse(e.data); } catch (_) { return; }
+        if (msg.type === 'change') this.refresh();
+        else if (msg.type === 'end') {
+          this._disconnect();
+          this._scheduleRetry();
+        }
+      };
+      // EventSource would reconnect on its own, forever, against a 404.
+      source.onerror = () => {
+        this._disconnect();
+        this._scheduleRetry();
+      };
+    }
+
+    _disconnect() {
+      clearTimeout(this._retryTimer);
+      this._retryTimer = null;
+      if (this._source) {
+        this._source.onmessage = null;
+        this._source.onerror = null;
+        this._source.close();
+        this._source = null;
+      }
+    }
+
+    // Until the tab is bound (claude still starting, or not a Claude tab) and
+    // after a dropped stream, look again every few seconds while open.
+    _scheduleRetry() {
+      clearTimeout(this._retryTimer);
+      if (!this.open) return;
+      this._retryTimer = setTimeout(() => this.refresh(), RETRY_MS);
+    }
+
+    // Rebuilt whole on each change; open tool details and the scroll position
+    // (pinned to the bottom when it was there) are kept.
+    render() {
+      if (!this.open || !this.el) return;
+      const oldList = this.el.querySelector('.transcript-list');
+      const pinned = !oldList || oldList.scrollHeight - oldList.scrollTop - oldList.clientHeight < NEAR_BOTTOM_PX;
+      const scrollTop = oldList ? oldList.scrollTop : 0;
+
+      const turns = buildTurns(this.entries);
+      const total = emptyUsage();
+      turns.forEach((t) => addUsage(total, t.usage));
+
+      const closeBtn = el('button', { class: 'transcript-close', type: 'button', title: 'Close', 'aria-label': 'Close conversation view', text: '×' });
+      closeBtn.addEventListener('click', () => this.setOpen(false));
+      const header = el('div', { class: 'transcript-header' }, [
+        el('span', { class: 'transcript-title', text: 'Conversation' }),
+        el('span', { class: 'transcript-total', text: turns.length ? `${formatTokens(total.input + total.cacheRead + total.cacheCreation)} in · ${formatTokens(total.output)} out` : '' }),
+        closeBtn,
+      ]);
+
+      const list = el('div', { class: 'transcript-list', role: 'log', 'aria-live': 'polite' });
+      if (!turns.length) {
+        const empty = {
+          loading: 'Loading…',
+          none: 'No Claude transcript for this tab yet. It appears once claude is running here.',
+          error: 'Could not load the transcript. Retrying…',
+          ready: 'No messages yet.',
+        };
+        list.appendChild(el('div', { class: 'transcript-empty', text: empty[this.status] || empty.ready }));
+      } else {
+        if (this.truncated || turns.length > MAX_TURNS) {
+          list.appendChild(el('div', { class: 'transcript-empty', text: 'Earlier turns are not shown.' }));
+        }
+        turns.slice(-MAX_TURNS).forEach((turn) => list.appendChild(this._turn(turn)));
+      }
+      this.el.replaceChildren(header, list);
+      list.scrollTop = pinned ? list.scrollHeight : scrollTop;
+    }
+
+    _turn(turn) {
+      const node = el('section', { class: 'transcript-turn' });
+      if (turn.prompt) {
+        node.appendChild(el('div', { class: 'transcript-prompt', text: turn.prompt.text }));
+      }
+      for (const item of turn.items) {
+        node.appendChild(item.type === 'text'
+          ? el('div', { class: 'transcript-text', text: item.text })
+          : this._tool(item));
+      }
+      const u = turn.usage;
+      if (u.input || u.output || u.cacheRead || u.cacheCreation) {
+        const parts = [`${formatTokens(u.input + u.cacheRead + u.cacheCreation)} in`, `${formatTokens(u.output)} out`];
+        if (u.cacheRead) parts.push(`${formatTokens(u.cacheRead)} cached`);
+        node.appendChild(el('div', { class: 'transcript-tokens', text: parts.join(' · ') }));
+      }
+      return node;
+    }
+
+    _tool(call) {
+      const result = call.result;
+      const state = !result ? 'running' : (result.isError ? 'error' : 'done');
+      const summary = el('summary', { class: 'transcript-tool-summary' }, [
+        el('span', { class: 'transcript-tool-name', text: call.name }),
+        el('span', { class: 'transcript-tool-arg', text: toolSummary(call.name, call.input) }),
+        el('span', { class: 'transcript-tool-state', text: state === 'running' ? '…' : (state === 'error' ? 'failed' : '') }),
+      ]);
+      const details = el('details', { class: 'transcript-tool' }, [summary]);
+      details.dataset.state = state;
+      if (call.id && this._expanded.has(call.id)) details.open = true;
+      details.addEventListener('toggle', () => {
+        if (!call.id) return;
+        if (details.open) this._expanded.add(call.id);
+        else this._expanded.delete(call.id);
+      });
+
+      const sources = call.file ? editSources(call) : null;
+      if (sources) {
+        const diffBtn = el('button', { class: 'btn-small transcript-diff-btn', type: 'button', text: 'Open diff', title: `Compare the edit to ${call.file}` });
+        diffBtn.addEventListener('click', () => this.openEditDiff(call));
+        details.appendChild(el('div', { class: 'transcript-tool-actions' }, [diffBtn]));
+      }
+      if (result && result.patch && result.patch.length) {
+        details.appendChild(this._patch(result.patch));
+      } else if (!sources) {
+        details.appendChild(el('pre', { class: 'transcript-tool-input', text: JSON.stringify(call.input, null, 2) }));
+      }
+      if (result && result.text && !(result.patch && result.patch.length)) {
+        details.appendChild(el('pre', { class: 'transcript-tool-result', text: result.text }));
+      }
+      return details;
+    }
+
+    _patch(hunks) {
+      const node = el('div', { class: 'transcript-patch' });
+      for (const hunk of hunks) {
+        node.appendChild(el('div', { class: 'transcript-patch-line', 'data-kind': 'meta', text: hunk.header }));
+        for (const line of hunk.lines) {
+          const kind = line[0] === '+' ? 'add' : line[0] === '-' ? 'del' : 'ctx';
+          node.appendChild(el('div', { class: 'transcript-patch-line', 'data-kind': kind, text: line }));
+        }
+      }
+      return node;
+    }
+
+    openEditDiff(call) {
+      const sources = editSources(call);
+      if (!sources || !window.fileDiff || typeof window.fileDiff.DiffViewerPanel !== 'function') {
+        if (window.feedback) window.feedback.info('The diff viewer is not available');
+        return;
+      }
+      this._closeDiff();
+      const name = String(call.file).split(/[\\/]/).pop();
+      const closeBtn = el('button', { class: 'close-btn', 'aria-label': 'Close diff', title: 'Close', text: '×' });
+      closeBtn.addEventListener('click', () => this._closeDiff());
+      const host = el('div', { class: 'transcript-diff-host' });
+      const modal = el('div', { class: 'transcript-diff-modal active', role: 'dialog', 'aria-modal': 'true', 'aria-labelledby': 'transcriptDiffHeading' }, [
+        el('div', { class: 'modal-content' }, [
+          el('div', { class: 'modal-header' }, [
+            el('h2', { id: 'transcriptDiffHeading', text: `${call.name}: ${name}` }),
+            closeBtn,
+          ]),
+          el('div', { class: 'modal-body' }, [host]),
+        ]),
+      ]);
+      const onKeydown = (e) => {
+        if (e.key !== 'Escape') return;
+        e.stopPropagation();
+        this._closeDiff();
+      };
+      modal.addEventListener('click', (e) => { if (e.target === modal) this._closeDiff(); });
+      document.addEventListener('keydown', onKeydown, true);
+      document.body.appendChild(modal);
+
+      const panel = new window.fileDiff.DiffViewerPanel({ authFetch: this.app.authFetch.bind(this.app), containerEl: host });
+      this._diffModal = { modal, panel, onKeydown };
+      panel.openDiff({
+        originalSource: sources.original,
+        modifiedSource: sources.modified,
+        originalLabel: call.name === 'Write' ? `${name} (before)` : 'Before',
+        modifiedLabel: call.name === 'Write' ? `${name} (after)` : 'After',
+        path: call.file,
+      });
+    }
+
+    _closeDiff() {
+      const d = this._diffModal;
+      if (!d) return;
+      this._diffModal = null;
+      document.removeEventListener('keydown', d.onKeydown, true);
+      try { d.panel.destroy(); } catch (_) { /* ignore */ }
+      if (d.modal.parentNode) d.modal.parentNode.removeChild(d.modal);
+    }
+
+    destroy() {
+      this._disconnect();
+      this._closeDiff();
+    }
+  }
+
+  TranscriptView.buildTurns = buildTurns;
+  TranscriptView.formatTokens = formatTokens;
+  TranscriptView.editSources = editSources;
+  TranscriptView.toolSummary = toolSummary;
+
+  if (typeof module !== 'undefined' && module.exports) module.exports = TranscriptView;
+  if (typeof window !== 'undefined') window.TranscriptView = TranscriptView;
+})();
@@ -0,0 +1,333 @@
+'use strict';
+
+// Usage dashboard: token and cost history over GET /api/usage/history, as a
+// bar chart per day, week or month (stacked by agent), per-model and
+// per-project tables and the rolling session windows on a timeline. Export
+// downloads the same range as CSV or JSON.
+
+(function () {
+  const SVG_NS = 'http://www.w3.org/2000/svg';
+  const RANGES = [7, 30, 90, 365];
+  const AGENTS = ['claude', 'codex', 'gemini', 'copilot'];
+  const CHART_HEIGHT = 160;
+  const TIMELINE_HEIGHT = 28;
+
+  function pad(n) {
+    return String(n).padStart(2, '0');
+  }
+
+  function localDate(d) {
+    return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+  }
+
+  /**
+   * Query string for GET /api/usage/history: the last `days` calendar days
+   * up to and including `today`.
+   * @param {{days: number, groupBy: string, agent?: string, format?: string}} options
+   * @param {Date} [today]
+   * @returns {string}
+   */
+  function buildQuery(options, today) {
+    const to = today ? new Date(today) : new Date();
+    const from = new Date(to);
+    from.setDate(from.getDate() - (options.days - 1));
+    const params = new URLSearchParams();
+    params.set('from', localDate(from));
+    params.set('to', localDate(to));
+    params.set('groupBy', options.groupBy || 'day');
+    if (options.agent) params.set('agent', options.agent);
+    if (options.format) params.set('format', options.format);
+    return params.toString();
+  }
+
+  function formatTokens(tokens) {
+    if (tokens >= 1000000) return (tokens / 1000000).toFixed(1) + 'M';
+    if (tokens >= 1000) return (tokens / 1000).toFixed(1) + 'K';
+    return String(tokens);
+  }
+
+  function formatCost(cost) {
+    return `$${cost >= 100 ? cost.toFixed(0) : cost.toFixed(2)}`;
+  }
+
+  /**
+   * Bar geometry for the history chart, one stacked bar per bucket with a
+   * segment per agent. Heights are fractions of the tallest bar.
+   * @param {object[]} buckets - history.buckets.
+   * @param {'totalCost'|'totalTokens'} metric
+   * @returns {{max: number, bars: Array<{period: string, value: number, segments: Array<{agent: string, value: number, y: number, height: number}>}>}}
+   */
+  function chartBars(buckets, metric) {
+    const max = buckets.reduce((m, b) => Math.max(m, b[metric]), 0);
+    const bars = buckets.map((bucket) => {
+      let y = 1;
+      const segments = [];
+      for (const agent of AGENTS) {
+        const value = bucket.byAgent && bucket.byAgent[agent] ? bucket.byAgent[agent][metric] : 0;
+        if (!value) continue;
+        const height = max ? value / max : 0;
+        y -= height;
+        segments.push({ agent, value, y, height });
+      }
+      return { period: bucket.period, value: bucket[metric], segments };
+    });
+    return { max, bars };
+  }
+
+  function el(tag, attrs, children) {
+    const node = document.createElement(tag);
+    if (attrs) {
+      for (const k of Object.keys(attrs)) {
+        if (k === 'class') node.className = attrs[k];
+        else if (k === 'text') node.textContent = attrs[k];
+        else node.setAttribute(k, attrs[k]);
+      }
+    }
+    (children || []).forEach((c) => node.appendChild(c));
+    return node;
+  }
+
+  function svg(tag, attrs, children) {
+    const node = document.createElementNS(SVG_NS, tag);
+    for (const k of Object.keys(attrs || {})) {
+      if (k === 'text') node.textContent = attrs[k];
+      else node.setAttribute(k, attrs[k]);
+    }
+    (children || []).forEach((c) => node.appendChild(c));
+    return node;
+  }
+
+  function select(cls, label, options, value) {
+    const node = el('select', { class: cls, 'aria-label': label },
+      options.map(([v, text]) => el('option', { value: v, text })));
+    node.value = value;
+    return node;
+  }
+
+  class UsageDashboard {
+    constructor(app) {
+      this.app = app;
+      this.el = null;
+      this.history = null;
+      this.options = { days: 30, groupBy: 'day', agent: '', metric: 'totalCost' };
+      this._onKeydown = (e) => {
+        if (this.isOpen() && e.key === 'Escape') this.close();
+      };
+    }
+
+    isOpen() {
+      return !!(this.el && this.el.classList.contains('active'));
+    }
+
+    _fetch(url, opts) {
+      if (this.app && typeof this.app.authFetch === 'function') return this.app.authFetch(url, opts);
+      return fetch(url, opts);
+    }
+
+    async open() {
+      this._mount();
+      this.el.classList.add('active');
+      if (window.focusTrap) window.focusTrap.activate(this.el);
+      await this.refresh();
+    }
+
+    close() {
+      if (this.el) this.el.classList.remove('active');
+      if (window.focusTrap) window.focusTrap.deactivate();
+    }
+
+    async refresh() {
+      const status = this.el.querySelector('.usage-dash-status');
+      status.textContent = 'Loading…';
+      try {
+        const res = await this._fetch(`/api/usage/history?${buildQuery(this.options)}`);
+        if (!res.ok) {
+          const body = await res.json().catch(() => ({}));
+          throw new Error(body.error || `HTTP ${res.status}`);
+        }
+        this.history = await res.json();
+        this._render();
+      } catch (err) {
+        status.textContent = `Could not load usage: ${err.message}`;
+      }
+    }
+
+    export(format) {
+      let url = `/api/usage/history?${buildQuery({ ...this.options, format })}`;
+      if (window.authManager) url = window.authManager.appendAuthToUrl(url);
+      window.open(url, '_blank');
+    }
+
+    _render() {
+      const h = this.history;
+      const { totals } = h;
+      this.el.querySelector('.usage-dash-status').textContent =
+        `${formatCost(totals.totalCost)} · ${formatTokens(totals.totalTokens)} tokens · ${totals.requests} request${totals.requests === 1 ? '' : 's'}`;
+      this._renderChart();
+      this._renderTable('.usage-dash-models', h.byModel, (row) => [row.model, row.agent]);
+      this._renderTable('.usage-dash-projects', h.byProject, (row) => [row.project || '(unknown)', row.agents.join(', ')]);
+      this._renderTimeline();
+    }
+
+    _renderChart() {
+      const metric = this.options.metric;
+      const { max, bars } = chartBars(this.history.buckets, metric);
+      const host = this.el.querySelector('.usage-dash-chart');
+      host.textContent = '';
+      if (!max) {
+        host.appendChild(el('p', { class: 'usage-dash-empty', text: 'No usage in this range.' }));
+        return;
+      }
+      const width = Math.max(bars.length * 12, 300);
+      const barWidth = width / bars.length;
+      const fmt = metric === 'totalCost' ? formatCost : formatTokens;
+      const chart = svg('svg', {
+        class: 'usage-dash-bars',
+        viewBox: `0 0 ${width} ${CHART_HEIGHT}`,
+        preserveAspectRatio: 'none',
+        role: 'img',
+        'aria-label': `${metric === 'totalCost' ? 'Cost' : 'Tokens'} per ${this.history.groupBy}, peak ${fmt(max)}`,
+      });
+      bars.forEach((bar, i) => {
+        const group = svg('g', {}, [svg('title', { text: `${bar.period}: ${fmt(bar.value)}` })]);
+        for (const seg of bar.segments) {
+          group.appendChild(svg('rect', {
+            class: `usage-dash-seg usage-dash-${seg.agent}`,
+            x: i * barWidth + barWidth * 0.1,
+            y: seg.y * CHART_HEIGHT,
+            width: barWidth * 0.8,
+            height: Math.max(seg.height * CHART_HEIGHT, 0.5),
+          }));
+        }
+        chart.appendChild(group);
+      });
+      const first = bars[0].period;
+      const last = bars[bars.length - 1].period;
+      host.appendChild(chart);
+      host.appendChild(el('div', { class: 'usage-dash-axis' }, [
+        el('span', { text: first }),
+        el('span', { text: `peak ${fmt(max)}` }),
+        el('span', { text: last }),
+      ]));
+      host.appendChild(el('div', { class: 'usage-dash-legend' }, AGENTS
+        .filter((a) => bars.some((b) => b.segments.some((s) => s.agent === a)))
+        .map((a) => el('span', { class: `usage-dash-key usage-dash-${a}`, text: a }))));
+    }
+
+    _renderTable(sel, rows, label) {
+      const tbody = this.el.querySelector(`${sel} tbody`);
+      tbody.textContent = '';
+      for (const row of rows) {
+        const [name, detail] = label(row);
+        tbody.appendChild(el('tr', null, [
+          el('td', { class: 'usage-dash-name', text: name, title: name }),
+          el('td', { text: detail }),
+          el('td', { class: 'usage-dash-num', text: formatTokens(row.totalTokens) }),
+          el('td', { class: 'usage-dash-num', text: formatCost(row.totalCost) }),
+        ]));
+      }
+      if (!rows.length) tbody.appendChild(el('tr', null, [el('td', { colspan: '4', class: 'usage-dash-empty', text: 'None' })]));
+    }
+
+    _renderTimeline() {
+      const h = this.history;
+      const host = this.el.querySelector('.usage-dash-timeline');
+      host.textContent = '';
+      host.appendChild(el('h3', { text: `${h.sessionHours}-hour session windows (claude) · ${h.windows.length}` }));
+      if (!h.windows.length) {
+        host.appendChild(el('p', { class: 'usage-dash-empty', text: 'No claude usage in this range.' }));
+        return;
+      }
+      const from = Date.parse(h.from);
+      const span = Math.max(Date.parse(h.to) - from, 1);
+      const peak = h.windows.reduce((m, w) => Math.max(m, w.totalTokens), 0) || 1;
+      const line = svg('svg', {
+        class: 'usage-dash-windows',
+        viewBox: `0 0 1000 ${TIMELINE_HEIGHT}`,
+        preserveAspectRatio: 'none',
+        role: 'img',
+        'aria-label': `${h.windows.length} session windows`,
+      });
+      for (const w of h.windows) {
+        const start = Math.max(Date.parse(w.start), from);
+        const x = ((start - from) / span) * 1000;
+        const width = Math.max(((Date.parse(w.end) - start) / span) * 1000, 2);
+        line.appendChild(svg('rect', {
+          class: 'usage-dash-window',
+          x,
+          y: 0,
+          width: Math.min(width, 1000 - x),
+          height: TIMELINE_HEIGHT,
+          // Busier windows are more opaque.
+          'fill-opacity': (0.35 + 0.65 * (w.totalTokens / peak)).toFixed(2),
+        }, [svg('title', {
+          text: `${new Date(w.start).toLocaleString()} – ${new Date(w.end).toLocaleTimeString()}: ${formatTokens(w.totalTokens)} tokens, ${formatCost(w.totalCost)}`,
+        })]));
+      }
+      host.appendChild(line);
+    }
+
+    _mount() {
+      if (this.el) return;
+      const closeBtn = el('button', { class: 'close-btn', 'aria-label': 'Close usage dashboard', title: 'Close' });
+      closeBtn.textContent = '×';
+      closeBtn.addEventListener('click', () => this.close());
+
+      const o = this.options;
+      const range = select('usage-dash-range', 'Range', RANGES.map((d) => [String(d), `Last ${d} days`]), String(o.days));
+      const groupBy = select('usage-dash-group', 'Group by', [['day', 'Daily'], ['week', 'Weekly'], ['month', 'Monthly']], o.groupBy);
+      const agent = select('usage-dash-agent', 'Agent', [['', 'All agents']].concat(AGENTS.map((a) => [a, a])), o.agent);
+      const metric = select('usage-dash-metric', 'Metric', [['totalCost', 'Cost'], ['totalTokens', 'Tokens']], o.metric);
+      range.addEventListener('change', () => { o.days = Number(range.value); this.refresh(); });
+      groupBy.addEventListener('change', () => { o.groupBy = groupBy.value; this.refresh(); });
+      agent.addEventListener('change', () => { o.agent = agent.value; this.refresh(); });
+      metric.addEventListener('change', () => { o.metric = metric.value; if (this.history) this._renderChart(); });
+
+      const csv = el('button', { class: 'btn btn-secondary', text: 'Export CSV' });
+      const json = el('button', { class: 'btn btn-secondary', text: 'Export JSON' });
+      csv.addEventListener('click', () => this.export('csv'));
+      json.addEventListener('click', () => this.export('json'));
+
+      const table = (cls, first) => el('table', { class: `usage-dash-table ${cls}` }, [
+        el('thead', null, [el('tr', null, [first, first === 'Model' ? 'Agent' : 'Agents', 'Tokens', 'Cost'].map((t) => el('th', { text: t })))]),
+        el('tbody'),
+      ]);
+
+      this.el = el('div', { class: 'usage-dashboard-modal', role: 'dialog', 'aria-modal': 'true', 'aria-labelledby': 'usageDashboardHeading' }, [
+        el('div', { class: 'modal-content' }, [
+          el('div', { class: 'modal-header' }, [
+            el('h2', { id: 'usageDashboardHeading', text: 'Usage' }),
+            closeBtn,
+          ]),
+          el('div', { class: 'usage-dash-controls' }, [range, groupBy, agent, metric, csv, json]),
+          el('div', { class: 'modal-body' }, [
+            el('div', { class: 'usage-dash-status' }),
+            el('div', { class: 'usage-dash-chart' }),
+            el('div', { class: 'usage-dash-timeline' }),
+            el('div', { class: 'usage-dash-breakdowns' }, [
+              el('section', null, [el('h3', { text: 'By model' }), table('usage-dash-models', 'Model')]),
+              el('section', null, [el('h3', { text: 'By project' }), table('usage-dash-projects', 'Project')]),
+            ]),
+          ]),
+        ]),
+      ]);
+      this.el.addEventListener('click', (e) => { if (e.target === this.el) this.close(); });
+      document.addEventListener('keydown', this._onKeydown);
+      document.body.appendChild(this.el);
+    }
+
+    destroy() {
+      document.removeEventListener('keydown', this._onKeydown);
+      if (this.el && this.el.parentNode) this.el.parentNode.removeChild(this.el);
+      this.el = null;
+    }
+  }
+
+  UsageDashboard.buildQuery = buildQuery;
+  UsageDashboard.chartBars = chartBars;
+  UsageDashboard.formatCost = formatCost;
+  UsageDashboard.formatTokens = formatTokens;
+
+  if (typeof module !== 'undefined' && module.exports) module.exports = UsageDashboard;
+  if (typeof window !== 'undefined') window.UsageDashboard = UsageDashboard;
+})();
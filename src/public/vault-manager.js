@@ -0,0 +1,261 @@
+'use strict';
+
+// Secret vault (/api/vault): create or unlock the server's encrypted vault,
+// add and remove secrets, and pick which of them the active tab's agent
+// starts with. Values are typed in here and never come back: the server
+// only lists names.
+
+(function () {
+  const NAME_RE = /^[A-Za-z_][A-Za-z0-9_]{0,127}$/;
+
+  function el(tag, attrs, children) {
+    const node = document.createElement(tag);
+    if (attrs) {
+      for (const k of Object.keys(attrs)) {
+        if (k === 'class') node.className = attrs[k];
+        else if (k === 'text') node.textContent = attrs[k];
+        else node.setAttribute(k, attrs[k]);
+      }
+    }
+    (children || []).forEach((c) => node.appendChild(c));
+    return node;
+  }
+
+  /**
+   * The checkbox rows for a tab: every vault secret, plus any name the tab
+   * asks for that the vault no longer has (so it can be unticked).
+   * @param {string[]} vaultNames
+   * @param {string[]} chosen
+   * @returns {Array<{name: string, checked: boolean, missing: boolean}>}
+   */
+  function secretChoices(vaultNames, chosen) {
+    const picked = new Set(chosen || []);
+    const rows = (vaultNames || []).map((name) => ({ name, checked: picked.has(name), missing: false }));
+    for (const name of chosen || []) {
+      if (!(vaultNames || []).includes(name)) rows.push({ name, checked: true, missing: true });
+    }
+    return rows;
+  }
+
+  class VaultManager {
+    constructor(app) {
+      this.app = app;
+      this.state = { exists: false, unlocked: false, secrets: [] };
+      this.el = null;
+      this._keysBound = false;
+      this._onKeydown = (e) => {
+        if (e.key === 'Escape' && this.isOpen()) this.close();
+      };
+    }
+
+    isOpen() {
+      return !!(this.el && this.el.classList.contains('active'));
+    }
+
+    _fetch(url, opts) {
+      if (this.app && typeof this.app.authFetch === 'function') return this.app.authFetch(url, opts);
+      return fetch(url, opts);
+    }
+
+    async _json(url, opts) {
+      const res = await this._fetch(url, opts);
+      const body = await res.json().catch(() => ({}));
+      if (!res.ok) throw new Error(body.error || `HTTP ${res.status}`);
+      return body;
+    }
+
+    _send(method, url, body) {
+      return this._json(url, {
+        method,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body || {}),
+      });
+    }
+
+    open() {
+      this._mount();
+      this.el.classList.add('active');
+      if (window.focusTrap) window.focusTrap.activate(this.el);
+      this.refresh();
+    }
+
+    close() {
+      if (this.el) this.el.classList.remove('active');
+      if (window.focusTrap) window.focusTrap.deactivate();
+    }
+
+    _status(text) {
+      this.el.querySelector('.vault-status').textContent = text;
+    }
+
+    async refresh() {
+      try {
+        this.state = await this._json('/api/vault');
+        this._render();
+        if (this.state.unlocked) await this._renderTab();
+      } catch (err) {
+        this._status(`Could not read the vault: ${err.message}`);
+      }
+    }
+
+    async _act(fn) {
+      try {
+        const next = await fn();
+        if (next && typeof next.unlocked === 'boolean') this.state = next;
+        this._render();
+        if (this.state.unlocked) await this._renderTab();
+        return true;
+      } catch (err) {
+        this._status(err.message);
+        return false;
+      }
+    }
+
+    _render() {
+      const body = this.el.querySelector('.vault-body');
+      body.textContent = '';
+      const { exists, unlocked, secrets } = this.state;
+      if (!exists) {
+        this._status('No vault yet. Its passphrase cannot be recovered, so keep it somewhere safe.');
+        body.appendChild(this._passphraseForm('Create vault', true, (pass) => this._send('POST', '/api/vault', { passphrase: pass })));
+        return;
+      }
+      if (!unlocked) {
+        this._status('Locked. Tabs that use secrets cannot start until it is unlocked.');
+        body.appendChild(this._passphraseForm('Unlock', false, (pass) => this._send('POST', '/api/vault/unlock', { passphrase: pass })));
+        return;
+      }
+
+      this._status(`${secrets.length} secret${secrets.length === 1 ? '' : 's'}. Unlocked until you lock it or the server restarts.`);
+      const lock = el('button', { class: 'btn btn-secondary btn-small', type: 'button', text: 'Lock' });
+      lock.addEventListener('click', () => this._act(() => this._send('POST', '/api/vault/lock')));
+      this.el.querySelector('.vault-toolbar-actions').replaceChildren(lock);
+
+      const list = el('div', { class: 'vault-list' });
+      for (const secret of secrets) {
+        const del = el('button', { class: 'btn btn-secondary btn-small', type: 'button', text: 'Delete' });
+        del.addEventListener('click', () => {
+          if (!window.confirm(`Delete the secret ${secret.name}?`)) return;
+          this._act(() => this._json(`/api/vault/secrets/${encodeURIComponent(secret.name)}`, { method: 'DELETE' }));
+        });
+        list.appendChild(el('div', { class: 'vault-item' }, [
+          el('code', { class: 'vault-name', text: secret.name }),
+          el('span', { class: 'vault-meta', text: secret.updatedAt ? `updated ${new Date(secret.updatedAt).toLocaleString()}` : '' }),
+          del,
+        ]));
+      }
+      body.appendChild(list);
+
+      const name = el('input', { name: 'name', type: 'text', spellcheck: 'false', placeholder: 'ANTHROPIC_API_KEY', 'aria-label': 'Secret name' });
+      const value = el('input', { name: 'value', type: 'password', autocomplete: 'off', placeholder: 'Value', 'aria-label': 'Secret value' });
+      const add = el('form', { class: 'vault-add' }, [name, value, el('button', { class: 'btn btn-primary btn-small', type: 'submit', text: 'Save secret' })]);
+      add.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        if (!NAME_RE.test(name.value)) {
+          this._status('Names are environment variable names: letters, digits and _.');
+          return;
+        }
+        const saved = await this._act(() => this._send('PUT', `/api/vault/secrets/${encodeURIComponent(name.value)}`, { value: value.value }));
+        if (saved) value.value = '';
+      });
+      body.appendChild(add);
+      body.appendChild(el('div', { class: 'vault-tab' }));
+    }
+
+    _passphraseForm(label, confirm, submit) {
+      const pass = el('input', { type: 'password', autocomplete: 'current-password', placeholder: 'Passphrase', 'aria-label': 'Passphrase', minlength: '8' });
+      const again = confirm ? el('input', { type: 'password', autocomplete: 'new-password', placeholder: 'Repeat passphrase', 'aria-label': 'Repeat passphrase' }) : null;
+      const form = el('form', { class: 'vault-unlock' }, [pass, ...(again ? [again] : []), el('button', { class: 'btn btn-primary', type: 'submit', text: label })]);
+      form.addEventListener('submit', (e) => {
+        e.preventDefault();
+        if (again && again.value !== pass.value) {
+          this._status('The passphrases do not match.');
+          return;
+        }
+        this._act(() => submit(pass.value));
+      });
+      this.el.querySelector('.vault-toolbar-actions').replaceChildren();
+      setTimeout(() => pass.focus(), 0);
+      return form;
+    }
+
+    // Which secrets the active tab's agent starts with.
+    async _renderTab() {
+      const box = this.el.querySelector('.vault-tab');
+      const tabs = this.app && this.app.sessionTabManager;
+      const sessionId = tabs && tabs.activeTabId;
+      if (!box || !sessionId) return;
+      let session;
+      try {
+        const data = await this._json('/api/sessions/list');
+        session = (data.sessions || []).find((s) => s.id === sessionId);
+      } catch (_) { /* the tab section is optional */ }
+      if (!session) return;
+
+      const rows = secretChoices(this.state.secrets.map((s) => s.name), session.secretNames);
+      const checks = rows.map((row) => el('label', { class: 'vault-check' }, [
+        el('input', { type: 'checkbox', value: row.name, ...(row.checked ? { checked: 'checked' } : {}) }),
+        el('code', { text: row.name }),
+        ...(row.missing ? [el('span', { class: 'vault-meta', text: 'not in the vault' })] : []),
+      ]));
+      const save = el('button', { class: 'btn btn-primary btn-small', type: 'button', text: 'Use for this tab' });
+      save.addEventListener('click', async () => {
+        const names = Array.from(box.querySelectorAll('input[type=checkbox]:checked')).map((c) => c.value);
+        try {
+          const out = await this._send('PUT', `/api/sessions/${encodeURIComponent(sessionId)}/secrets`, { secrets: names });
+          this._status(out.active
+            ? 'Saved. The running agent keeps its environment; the change applies when it next starts.'
+            : 'Saved. The agent starts with these secrets.');
+        } catch (err) {
+          this._status(err.message);
+        }
+      });
+      box.replaceChildren(
+        el('h3', { text: `Secrets for "${session.name}"` }),
+        ...(rows.length ? checks : [el('p', { class: 'vault-meta', text: 'Add a secret above to inject it.' })]),
+        ...(rows.length ? [el('div', { class: 'vault-buttons' }, [save])] : []),
+      );
+    }
+
+    _mount() {
+      if (this.el) return;
+      const closeBtn = el('button', { class: 'close-btn', 'aria-label': 'Close secret vault', title: 'Close' });
+      closeBtn.textContent = '×';
+      closeBtn.addEventListener('click', () => this.close());
+
+      this.el = el('div', { class: 'vault-manager-modal', role: 'dialog', 'aria-modal': 'true', 'aria-labelledby': 'vaultManagerHeading' }, [
+        el('div', { class: 'modal-content' }, [
+          el('div', { class: 'modal-header' }, [
+            el('h2', { id: 'vaultManagerHeading', text: 'Secret Vault' }),
+            closeBtn,
+          ]),
+          el('div', { class: 'modal-body' }, [
+            el('div', { class: 'vault-toolbar' }, [
+              el('span', { class: 'vault-status', role: 'status' }),
+              el('span', { class: 'vault-toolbar-actions' }),
+            ]),
+            el('div', { class: 'vault-body' }),
+          ]),
+        ]),
+      ]);
+      this.el.addEventListener('click', (e) => { if (e.target === this.el) this.close(); });
+      if (!this._keysBound) {
+        this._keysBound = true;
+        document.addEventListener('keydown', this._onKeydown);
+      }
+      document.body.appendChild(this.el);
+    }
+
+    destroy() {
+      document.removeEventListener('keydown', this._onKeydown);
+      this._keysBound = false;
+      if (this.el && this.el.parentNode) this.el.parentNode.removeChild(this.el);
+      this.el = null;
+    }
+  }
+
+  VaultManager.secretChoices = secretChoices;
+
+  if (typeof module !== 'undefined' && module.exports) module.exports = VaultManager;
+  if (typeof window !== 'undefined') window.VaultManager = VaultManager;
+})();
@@ -0,0 +1,392 @@
+'use strict';
+
+// Web Push for the installed PWA: tells subscribed browsers when a long agent
+// turn ends, a session starts waiting for input or a usage budget crosses a
+// threshold, even with every tab closed.
+//
+// State lives under <storageDir>/push/ (mode 0600, it holds a private key):
+//   vapid.json          { publicKey, privateKey }, generated on first start
+//   subscriptions.json  { subscriptions: [{ endpoint, keys, user, muted: [sessionId], createdAt }] }
+//
+// Mutes are per subscription, i.e. per browser: muting a session on the phone
+// leaves the laptop's notifications alone. Events come from ControlEventBus;
+// the encryption and VAPID signing are in utils/web-push.js.
+
+const fsp = require('fs').promises;
+const path = require('path');
+const os = require('os');
+const express = require('express');
+const webPush = require('./utils/web-push');
+
+// A turn shorter than this ends while you are still looking at it.
+const DEFAULT_MIN_TURN_MS = 30 * 1000;
+const DEFAULT_SUBJECT = 'https://github.com/animeshkundu/ai-or-die';
+const MAX_SUBSCRIPTIONS = 50;
+const MAX_MUTED_PER_SUBSCRIPTION = 500;
+const LOOPBACK_HOSTS = new Set(['localhost', '127.0.0.1', '[::1]']);
+// The push services browsers hand out endpoints for. The server POSTs to
+// whatever endpoint a client registers, so anything else (an internal
+// address, a cloud metadata service) is refused. A leading dot matches any
+// subdomain. AIORDIE_PUSH_HOSTS adds more, e.g. a self-hosted autopush.
+const KNOWN_PUSH_HOSTS = [
+  'fcm.googleapis.com', // Chrome, Edge on Android, Opera, Samsung Internet
+  'android.googleapis.com',
+  '.push.services.mozilla.com', // Firefox
+  '.notify.windows.com', // Edge
+  '.push.apple.com', // Safari
+];
+
+function pushError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+function formatBudget(alert) {
+  const parts = [];
+  if (alert.maxCost) parts.push(`$${alert.cost.toFixed(2)} of $${alert.maxCost}`);
+  if (alert.maxTokens) parts.push(`${alert.tokens.toLocaleString('en-US')} of ${alert.maxTokens.toLocaleString('en-US')} tokens`);
+  let body = `${Math.round(alert.fraction * 100)}% used: ${parts.join(', ')}`;
+  if (alert.interrupted && alert.interrupted.length) body += ` \u2014 interrupted ${alert.interrupted.length} session(s)`;
+  return body;
+}
+
+function formatDuration(ms) {
+  const s = Math.round(ms / 1000);
+  if (s < 60) return `${s}s`;
+  const m = Math.floor(s / 60);
+  if (m < 60) return `${m}m ${s % 60}s`;
+  return `${Math.floor(m / 60)}h ${m % 60}m`;
+}
+
+function isPushHost(hostname, hosts) {
+  return hosts.some((h) => (h.startsWith('.') ? hostname.endsWith(h) : hostname === h));
+}
+
+// The endpoint as a URL, or a 400 when the server should never post to it.
+function parseEndpoint(endpoint, hosts) {
+  let url;
+  try {
+    url = new URL(String(endpoint));
+  } catch (_) {
+    throw pushError(400, 'subscription.endpoint must be a URL');
+  }
+  // Plain http is only accepted on loopback, where tests run a local receiver.
+  if (url.protocol !== 'https:' && !(url.protocol === 'http:' && LOOPBACK_HOSTS.has(url.hostname))) {
+    throw pushError(400, 'subscription.endpoint must be https');
+  }
+  if (!isPushHost(url.hostname, hosts)) {
+    throw pushError(400, `subscription.endpoint host ${url.hostname} is not a known push service`);
+  }
+  return url;
+}
+
+/**
+ * Validate a PushSubscription.toJSON() body.
+ * @param {string[]} [hosts] - Allowed endpoint hosts (see KNOWN_PUSH_HOSTS).
+ * @returns {{endpoint: string, keys: {p256dh: string, auth: string}}}
+ * @throws {Error} with status 400
+ */
+function normalizeSubscription(raw, hosts = KNOWN_PUSH_HOSTS) {
+  if (!raw || typeof raw !== 'object') throw pushError(400, 'subscription is required');
+  const url = parseEndpoint(raw.endpoint, hosts);
+  const keys = raw.keys || {};
+  const p256dh = Buffer.from(String(keys.p256dh || ''), 'base64url');
+  const auth = Buffer.from(String(keys.auth || ''), 'base64url');
+  if (p256dh.length !== 65 || p256dh[0] !== 4 || auth.length !== 16) {
+    throw pushError(400, 'subscription.keys must carry a P-256 p256dh key and a 16-byte auth secret');
+  }
+  return { endpoint: url.href, keys: { p256dh: String(keys.p256dh), auth: String(keys.auth) } };
+}
+
+class PushManager {
+  /**
+   * @param {object} [options]
+   * @param {string} [options.storageDir] - Base dir; state lives in `<storageDir>/push`.
+   * @param {Map} [options.sessions] - Live sessions, for notification titles.
+   * @param {number} [options.minTurnMs] - Shortest turn worth a "turn ended" push.
+   * @param {string} [options.subject] - VAPID contact (`mailto:` or `https:`).
+   * @param {function} [options.send] - Delivery override (tests); defaults to web-push sendNotification.
+   * @param {string[]} [options.pushHosts] - Allowed endpoint hosts; defaults to
+   *   KNOWN_PUSH_HOSTS plus AIORDIE_PUSH_HOSTS.
+   */
+  constructor(options = {}) {
+    const storageDir = options.storageDir
+      || process.env.AI_OR_DIE_SESSION_DIR
+      || path.join(os.homedir(), '.ai-or-die');
+    this.dir = path.join(storageDir, 'push');
+    this.sessions = options.sessions || new Map();
+    this.minTurnMs = options.minTurnMs == null ? DEFAULT_MIN_TURN_MS : options.minTurnMs;
+    this.subject = options.subject || process.env.AIORDIE_PUSH_SUBJECT || DEFAULT_SUBJECT;
+    this.hostname = options.hostname || os.hostname();
+    this._send = options.send || webPush.sendNotification;
+    this.pushHosts = options.pushHosts || KNOWN_PUSH_HOSTS.concat(
+      String(process.env.AIORDIE_PUSH_HOSTS || '').split(',').map((h) => h.trim().toLowerCase()).filter(Boolean));
+    this._logger = options.logger || console;
+    this.vapidKeys = null;
+    this.subscriptions = [];
+    this._turns = new Map();
+    this._saving = Promise.resolve();
+    this._onEvent = (event) => this.handleEvent(event);
+  }
+
+  /** Load (or create) the VAPID keys and the subscription list. */
+  async init() {
+    await fsp.mkdir(this.dir, { recursive: true, mode: 0o700 });
+    const keysPath = path.join(this.dir, 'vapid.json');
+    try {
+      const keys = JSON.parse(await fsp.readFile(keysPath, 'utf8'));
+      if (keys && keys.publicKey && keys.privateKey) this.vapidKeys = { publicKey: keys.publicKey, privateKey: keys.privateKey };
+    } catch (err) {
+      if (err.code !== 'ENOENT') this._logger.warn(`[push] ${keysPath} unreadable, generating new keys: ${err.message}`);
+    }
+    if (!this.vapidKeys) {
+      // New keys invalidate every existing browser subscription.
+      this.vapidKeys = webPush.generateVapidKeys();
+      await fsp.writeFile(keysPath, JSON.stringify(this.vapidKeys, null, 2), { mode: 0o600 });
+      this.subscriptions = [];
+      await this._save();
+      return this;
+    }
+    try {
+      const data = JSON.parse(await fsp.readFile(path.join(this.dir, 'subscriptions.json'), 'utf8'));
+      this.subscriptions = (Array.isArray(data.subscriptions) ? data.subscriptions : [])
+        .filter((s) => s && typeof s.endpoint === 'string' && s.keys && this._allowsEndpoint(s.endpoint))
+        .map((s) => ({ ...s, muted: Array.isArray(s.muted) ? s.muted : [] }));
+    } catch (err) {
+      if (err.code !== 'ENOENT') this._logger.warn(`[push] subscriptions.json unreadable: ${err.message}`);
+      this.subscriptions = [];
+    }
+    return this;
+  }
+
+  /** Start listening to a ControlEventBus. */
+  attach(eventBus) {
+    if (eventBus) eventBus.on('event', this._onEvent);
+    this._eventBus = eventBus;
+  }
+
+  detach() {
+    if (this._eventBus) this._eventBus.removeListener('event', this._onEvent);
+    this._eventBus = null;
+  }
+
+  _allowsEndpoint(endpoint) {
+    try {
+      parseEndpoint(endpoint, this.pushHosts);
+      return true;
+    } catch (_) {
+      return false;
+    }
+  }
+
+  _find(endpoint) {
+    return this.subscriptions.find((s) => s.endpoint === endpoint) || null;
+  }
+
+  /**
+   * What one browser needs to render its settings: the server key and, when
+   * `endpoint` is known here, its mutes.
+   */
+  state(endpoint) {
+    const sub = endpoint ? this._find(String(endpoint)) : null;
+    return {
+      publicKey: this.vapidKeys ? this.vapidKeys.publicKey : null,
+      subscribed: !!sub,
+      muted: sub ? sub.muted.slice() : [],
+    };
+  }
+
+  async subscribe(raw, user) {
+    const sub = normalizeSubscription(raw, this.pushHosts);
+    const existing = this._find(sub.endpoint);
+    if (existing) {
+      existing.keys = sub.keys;
+      existing.user = user || null;
+    } else {
+      if (this.subscriptions.length >= MAX_SUBSCRIPTIONS) throw pushError(409, `at most ${MAX_SUBSCRIPTIONS} push subscriptions are allowed`);
+      this.subscriptions.push({ ...sub, user: user || null, muted: [], createdAt: new Date().toISOString() });
+    }
+    await this._save();
+    return this.state(sub.endpoint);
+  }
+
+  async unsubscribe(endpoint) {
+    const before = this.subscriptions.length;
+    this.subscriptions = this.subscriptions.filter((s) => s.endpoint !== endpoint);
+    if (this.subscriptions.length !== before) await this._save();
+    return this.subscriptions.length !== before;
+  }
+
+  async setMuted(endpoint, sessionId, muted) {
+    const sub = this._find(String(endpoint || ''));
+    if (!sub) throw pushError(404, 'Unknown push subscription');
+    if (typeof sessionId !== 'string' || !sessionId) throw pushError(400, 'sessionId is required');
+    const set = new Set(sub.muted);
+    if (muted) set.add(sessionId);
+    else set.delete(sessionId);
+    if (set.size > MAX_MUTED_PER_SUBSCRIPTION) throw pushError(409, 'Too many muted sessions');
+    sub.muted = Array.from(set);
+    await this._save();
+    return this.state(sub.endpoint);
+  }
+
+  /** Drop a deleted session from every mute list. */
+  async forgetSession(sessionId) {
+    this._turns.delete(sessionId);
+    let changed = false;
+    for (const sub of this.subscriptions) {
+      if (sub.muted.includes(sessionId)) {
+        sub.muted = sub.muted.filter((id) => id !== sessionId);
+        changed = true;
+      }
+    }
+    if (changed) await this._save();
+  }
+
+  /**
+   * ControlEventBus listener. became_busy starts the turn clock; turn_ended
+   * pushes when the turn ran for at least minTurnMs; waiting_input and
+   * budget_alert always push.
+   * @returns {Promise<number>} Subscriptions the message was sent to.
+   */
+  async handleEvent(event) {
+    if (event && event.kind === 'budget_alert' && event.detail) {
+      const alert = event.detail;
+      return this.deliver({
+        title: `[${this.hostname}] Budget "${alert.budget}"${alert.exceeded ? ' exceeded' : ''}`,
+        body: formatBudget(alert),
+        sessionId: event.sessionId || null,
+        kind: 'budget_alert',
+        tag: `budget:${alert.budget}`,
+      }, { urgency: alert.exceeded ? 'high' : 'normal' });
+    }
+    if (!event || !event.sessionId) return 0;
+    const { sessionId, kind, at } = event;
+    if (kind === 'became_busy') {
+      if (!this._turns.has(sessionId)) this._turns.set(sessionId, at);
+      return 0;
+    }
+    if (kind === 'session_deleted') {
+      await this.forgetSession(sessionId);
+      return 0;
+    }
+    if (kind !== 'turn_ended' && kind !== 'waiting_input') return 0;
+
+    const session = this.sessions.get(sessionId);
+    const name = (session && session.name) || 'Session';
+    let body;
+    if (kind === 'turn_ended') {
+      const started = this._turns.get(sessionId);
+      this._turns.delete(sessionId);
+      if (started == null || at - started < this.minTurnMs) return 0;
+      body = `Turn finished after ${formatDuration(at - started)}`;
+    } else {
+      body = 'Waiting for your input';
+    }
+    return this.deliver({
+      title: `[${this.hostname}] ${name}`,
+      body,
+      sessionId,
+      kind,
+      tag: `${sessionId}:${kind}`,
+    }, { urgency: kind === 'waiting_input' ? 'high' : 'normal' });
+  }
+
+  /**
+   * Send one message to every subscription that has not muted its session.
+   * Subscriptions the push service reports gone (404 / 410) are dropped.
+   */
+  async deliver(message, options = {}) {
+    if (!this.vapidKeys) return 0;
+    const targets = this.subscriptions.filter((s) => !s.muted.includes(message.sessionId));
+    const gone = [];
+    let sent = 0;
+    await Promise.all(targets.map(async (sub) => {
+      try {
+        const res = await this._send(sub, message, {
+          vapidKeys: this.vapidKeys,
+          subject: this.subject,
+          urgency: options.urgency,
+        });
+        if (res.statusCode === 404 || res.statusCode === 410) gone.push(sub.endpoint);
+        else if (res.statusCode >= 200 && res.statusCode < 300) sent++;
+        else this._logger.warn(`[push] ${new URL(sub.endpoint).host} answered HTTP ${res.statusCode}`);
+      } catch (err) {
+        this._logger.warn(`[push] delivery to ${new URL(sub.endpoint).host} failed: ${err.message}`);
+      }
+    }));
+    if (gone.length) {
+      this.subscriptions = this.subscriptions.filter((s) => !gone.includes(s.endpoint));
+      await this._save();
+    }
+    return sent;
+  }
+
+  _save() {
+    const file = path.join(this.dir, 'subscriptions.json');
+    const text = JSON.stringify({ subscriptions: this.subscriptions }, null, 2);
+    this._saving = this._saving.catch(() => {}).then(async () => {
+      const tmp = `${file}.tmp`;
+      await fsp.writeFile(tmp, text, { mode: 0o600 });
+      await fsp.rename(tmp, file);
+    });
+    return this._saving;
+  }
+}
+
+/**
+ * /api/push routes. Mounted ahead of the viewer read-only gate: subscribing
+ * and muting only change what this browser is told, not any session.
+ * @param {{pushManager: PushManager, audit?: function}} options
+ */
+function createPushRouter(options) {
+  const pushManager = options.pushManager;
+  const audit = typeof options.audit === 'function' ? options.audit : () => {};
+  const router = express.Router();
+  const fail = (res, err) => res.status(err.status || 500).json({ error: err.message });
+
+  router.get('/', (req, res) => {
+    res.json(pushManager.state(req.query.endpoint));
+  });
+
+  router.post('/subscribe', async (req, res) => {
+    try {
+      const body = req.body || {};
+      const state = await pushManager.subscribe(body.subscription, req.user ? req.user.name : null);
+      audit(req.actor, 'push.subscribe', { host: new URL(body.subscription.endpoint).host });
+      res.status(201).json(state);
+    } catch (err) {
+      fail(res, err);
+    }
+  });
+
+  router.post('/unsubscribe', async (req, res) => {
+    try {
+      const endpoint = String((req.body || {}).endpoint || '');
+      const removed = await pushManager.unsubscribe(endpoint);
+      if (removed) audit(req.actor, 'push.unsubscribe', { host: new URL(endpoint).host });
+      res.json({ removed });
+    } catch (err) {
+      fail(res, err);
+    }
+  });
+
+  router.post('/mute', async (req, res) => {
+    try {
+      const body = req.body || {};
+      res.json(await pushManager.setMuted(body.endpoint, body.sessionId, body.muted !== false));
+    } catch (err) {
+      fail(res, err);
+    }
+  });
+
+  return router;
+}
+
+module.exports = PushManager;
+module.exports.PushManager = PushManager;
+module.exports.createPushRouter = createPushRouter;
+module.exports.normalizeSubscription = normalizeSubscription;
+module.exports.KNOWN_PUSH_HOSTS = KNOWN_PUSH_HOSTS;
+module.exports.DEFAULT_MIN_TURN_MS = DEFAULT_MIN_TURN_MS;
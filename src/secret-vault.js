@@ -0,0 +1,308 @@
+'use strict';
+
+// Encrypted local secret vault: named values (API keys, tokens) that a
+// session or template asks for by name and gets in its PTY environment, so
+// they no longer have to be exported in the shell that starts the server,
+// where every tab inherits them.
+//
+//   <storageDir>/vault.json   { version: 1, kdf: { name, salt, N, r, p }, iv, tag, data }
+//
+// `data` is the AES-256-GCM ciphertext of { secrets: { NAME: { value, updatedAt } } }
+// under a key derived from the passphrase with scrypt. The names are inside
+// the ciphertext as well, so the file on its own says nothing about what it
+// holds. Unlocking keeps the key and the secrets in memory until lock() or a
+// restart; values are only ever handed to the bridge that spawns a session
+// (see resolve), never back to a client.
+
+const crypto = require('crypto');
+const fsp = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+
+const VAULT_FILE = 'vault.json';
+const MAX_SECRETS = 100;
+const MAX_SECRET_LENGTH = 16384;
+const MAX_NAMES_PER_SESSION = 50;
+const MIN_PASSPHRASE_LENGTH = 8;
+const MAX_PASSPHRASE_LENGTH = 1024;
+const NAME_RE = /^[A-Za-z_][A-Za-z0-9_]{0,127}$/;
+// scrypt at N=2^15, r=8 takes ~32 MB and a few hundred ms, once per unlock.
+const DEFAULT_KDF = Object.freeze({ N: 2 ** 15, r: 8, p: 1 });
+const KEY_LENGTH = 32;
+
+function vaultError(code, message) {
+  const err = new Error(message);
+  err.code = code;
+  err.statusCode = {
+    VAULT_NOT_FOUND: 404,
+    SECRET_NOT_FOUND: 404,
+    INVALID_PASSPHRASE: 403,
+    VAULT_EXISTS: 409,
+    LIMIT_EXCEEDED: 409,
+    VAULT_LOCKED: 423,
+  }[code] || 400;
+  return err;
+}
+
+function checkPassphrase(value, field = 'passphrase') {
+  if (typeof value !== 'string' || value.length < MIN_PASSPHRASE_LENGTH || value.length > MAX_PASSPHRASE_LENGTH) {
+    throw vaultError('INVALID_ARGUMENT', `${field} must be ${MIN_PASSPHRASE_LENGTH} to ${MAX_PASSPHRASE_LENGTH} characters`);
+  }
+  return value;
+}
+
+function checkName(name) {
+  if (typeof name !== 'string' || !NAME_RE.test(name)) {
+    throw vaultError('INVALID_ARGUMENT', 'secret names are environment variable names (letters, digits, _)');
+  }
+  return name;
+}
+
+/**
+ * The secret names a session or template asks for: unique, in order.
+ * `null`/`undefined` is no secrets.
+ * @param {*} value
+ * @returns {string[]}
+ * @throws {Error} code INVALID_ARGUMENT
+ */
+function normalizeSecretNames(value) {
+  if (value == null) return [];
+  if (!Array.isArray(value)) throw vaultError('INVALID_ARGUMENT', 'secrets must be an array of names');
+  const names = [...new Set(value.map(checkName))];
+  if (names.length > MAX_NAMES_PER_SESSION) {
+    throw vaultError('INVALID_ARGUMENT', `at most ${MAX_NAMES_PER_SESSION} secrets can be injected`);
+  }
+  return names;
+}
+
+// The kdf block comes from a file on disk; bound it so an edited file cannot
+// ask for gigabytes of scrypt memory.
+function readKdf(kdf) {
+  const ok = kdf && kdf.name === 'scrypt' && typeof kdf.salt === 'string'
+    && Number.isInteger(kdf.N) && kdf.N >= 2 ** 10 && kdf.N <= 2 ** 20 && (kdf.N & (kdf.N - 1)) === 0
+    && Number.isInteger(kdf.r) && kdf.r >= 1 && kdf.r <= 16
+    && Number.isInteger(kdf.p) && kdf.p >= 1 && kdf.p <= 4;
+  if (!ok) throw vaultError('INVALID_ARGUMENT', 'vault.json has an unsupported key derivation');
+  return kdf;
+}
+
+async function deriveKey(passphrase, kdf) {
+  return scrypt(passphrase, Buffer.from(kdf.salt, 'base64'), KEY_LENGTH, {
+    N: kdf.N,
+    r: kdf.r,
+    p: kdf.p,
+    maxmem: 256 * kdf.N * kdf.r + 1024 * 1024,
+  });
+}
+
+class SecretVault {
+  /**
+   * @param {object} [options]
+   * @param {string} [options.storageDir] - Directory holding vault.json.
+   * @param {{N: number, r: number, p: number}} [options.kdf] - scrypt cost for new keys (tests).
+   * @param {function(): number} [options.now] - Clock (tests).
+   */
+  constructor(options = {}) {
+    const storageDir = options.storageDir
+      || process.env.AI_OR_DIE_SESSION_DIR
+      || path.join(os.homedir(), '.ai-or-die');
+    this.file = path.join(storageDir, VAULT_FILE);
+    this.kdf = { ...DEFAULT_KDF, ...(options.kdf || {}) };
+    this.now = options.now || Date.now;
+    this._key = null;
+    this._kdf = null;
+    this._secrets = null;
+    this._writes = Promise.resolve();
+  }
+
+  get unlocked() {
+    return this._secrets !== null;
+  }
+
+  /** `{ exists, unlocked }`. */
+  async status() {
+    let exists = this.unlocked;
+    if (!exists) {
+      try {
+        await fsp.access(this.file);
+        exists = true;
+      } catch (_) { /* no vault yet */ }
+    }
+    return { exists, unlocked: this.unlocked };
+  }
+
+  /**
+   * Create an empty vault and leave it unlocked.
+   * @throws {Error} code VAULT_EXISTS, INVALID_ARGUMENT
+   */
+  async create(passphrase) {
+    checkPassphrase(passphrase);
+    if ((await this.status()).exists) throw vaultError('VAULT_EXISTS', 'A secret vault already exists');
+    const kdf = { name: 'scrypt', salt: crypto.randomBytes(16).toString('base64'), ...this.kdf };
+    this._key = await deriveKey(passphrase, kdf);
+    this._kdf = kdf;
+    this._secrets = {};
+    await this._save();
+  }
+
+  /**
+   * @throws {Error} code VAULT_NOT_FOUND, INVALID_PASSPHRASE
+   */
+  async unlock(passphrase) {
+    if (typeof passphrase !== 'string' || !passphrase) throw vaultError('INVALID_ARGUMENT', 'passphrase is required');
+    const file = await this._readFile();
+    const kdf = readKdf(file.kdf);
+    const key = await deriveKey(passphrase, kdf);
+    let data;
+    try {
+      const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(file.iv, 'base64'));
+      decipher.setAuthTag(Buffer.from(file.tag, 'base64'));
+      const plain = Buffer.concat([decipher.update(Buffer.from(file.data, 'base64')), decipher.final()]);
+      data = JSON.parse(plain.toString('utf8'));
+    } catch (_) {
+      // GCM refuses a wrong key and a tampered file alike.
+      throw vaultError('INVALID_PASSPHRASE', 'Wrong passphrase');
+    }
+    this._key = key;
+    this._kdf = kdf;
+    this._secrets = data && typeof data.secrets === 'object' && data.secrets ? data.secrets : {};
+  }
+
+  /** Drop the key and the secrets from memory. */
+  lock() {
+    if (this._key) this._key.fill(0);
+    this._key = null;
+    this._kdf = null;
+    this._secrets = null;
+  }
+
+  /**
+   * Re-encrypt under a new passphrase. The current one must be given even
+   * while unlocked, so an open browser tab is not enough to take the vault over.
+   * @throws {Error} code INVALID_PASSPHRASE, INVALID_ARGUMENT
+   */
+  async changePassphrase(current, next) {
+    checkPassphrase(next, 'newPassphrase');
+    await this.unlock(current);
+    const kdf = { name: 'scrypt', salt: crypto.randomBytes(16).toString('base64'), ...this.kdf };
+    this._key = await deriveKey(next, kdf);
+    this._kdf = kdf;
+    await this._save();
+  }
+
+  /**
+   * Names and dates, never values.
+   * @returns {Array<{name: string, updatedAt: string}>}
+   * @throws {Error} code VAULT_LOCKED
+   */
+  list() {
+    this._requireUnlocked();
+    return Object.entries(this._secrets)
+      .map(([name, s]) => ({ name, updatedAt: s.updatedAt || null }))
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Add or replace a secret.
+   * @throws {Error} code VAULT_LOCKED, INVALID_ARGUMENT, LIMIT_EXCEEDED
+   */
+  async set(name, value) {
+    this._requireUnlocked();
+    checkName(name);
+    if (typeof value !== 'string' || !value || value.length > MAX_SECRET_LENGTH || value.includes('\0')) {
+      throw vaultError('INVALID_ARGUMENT', `value must be a non-empty string of at most ${MAX_SECRET_LENGTH} characters`);
+    }
+    if (!this._secrets[name] && Object.keys(this._secrets).length >= MAX_SECRETS) {
+      throw vaultError('LIMIT_EXCEEDED', `at most ${MAX_SECRETS} secrets are allowed`);
+    }
+    this._secrets[name] = { value, updatedAt: new Date(this.now()).toISOString() };
+    await this._save();
+  }
+
+  /**
+   * @throws {Error} code VAULT_LOCKED, SECRET_NOT_FOUND
+   */
+  async remove(name) {
+    this._requireUnlocked();
+    if (!Object.prototype.hasOwnProperty.call(this._secrets, name)) throw vaultError('SECRET_NOT_FOUND', `No secret named ${name}`);
+    delete this._secrets[name];
+    await this._save();
+  }
+
+  /**
+   * The environment for a spawn: `{ NAME: value }` for each name asked for.
+   * No names needs no unlock.
+   * @param {string[]} names
+   * @returns {Object<string, string>}
+   * @throws {Error} code VAULT_LOCKED, SECRET_NOT_FOUND
+   */
+  resolve(names) {
+    const wanted = normalizeSecretNames(names);
+    if (wanted.length === 0) return {};
+    if (!this.unlocked) {
+      throw vaultError('VAULT_LOCKED', `Unlock the secret vault to start a session with ${wanted.join(', ')}`);
+    }
+    const missing = wanted.filter((n) => !Object.prototype.hasOwnProperty.call(this._secrets, n));
+    if (missing.length) throw vaultError('SECRET_NOT_FOUND', `The vault has no ${missing.join(', ')}`);
+    const env = {};
+    for (const name of wanted) env[name] = this._secrets[name].value;
+    return env;
+  }
+
+  _requireUnlocked() {
+    if (!this.unlocked) throw vaultError('VAULT_LOCKED', 'The secret vault is locked');
+  }
+
+  async _readFile() {
+    let raw;
+    try {
+      raw = await fsp.readFile(this.file, 'utf8');
+    } catch (err) {
+      if (err.code === 'ENOENT') throw vaultError('VAULT_NOT_FOUND', 'No secret vault has been created');
+      throw err;
+    }
+    const file = JSON.parse(raw);
+    if (!file || file.version !== 1 || !file.iv || !file.tag || !file.data) {
+      throw vaultError('INVALID_ARGUMENT', 'vault.json is not a version 1 vault');
+    }
+    return file;
+  }
+
+  // Every save re-encrypts everything under a fresh IV; writes are chained so
+  // two saves cannot interleave their temp files. The key is copied: a lock()
+  // while this save is still queued zero-fills this._key, and encrypting with
+  // that buffer would leave vault.json readable by no passphrase.
+  _save() {
+    const key = Buffer.from(this._key);
+    const kdf = this._kdf;
+    const plain = Buffer.from(JSON.stringify({ secrets: this._secrets }), 'utf8');
+    const run = this._writes.catch(() => {}).then(async () => {
+      const iv = crypto.randomBytes(12);
+      const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+      const data = Buffer.concat([cipher.update(plain), cipher.final()]);
+      const body = {
+        version: 1,
+        kdf,
+        iv: iv.toString('base64'),
+        tag: cipher.getAuthTag().toString('base64'),
+        data: data.toString('base64'),
+      };
+      await fsp.mkdir(path.dirname(this.file), { recursive: true });
+      const tmp = `${this.file}.tmp`;
+      await fsp.writeFile(tmp, JSON.stringify(body, null, 2) + '\n', { mode: 0o600 });
+      await fsp.rename(tmp, this.file);
+    }).finally(() => key.fill(0));
+    this._writes = run;
+    return run;
+  }
+}
+
+module.exports = {
+  SecretVault,
+  normalizeSecretNames,
+  MAX_SECRETS,
+  MIN_PASSPHRASE_LENGTH,
+};
@@ -19,7 +19,20 @@ const CodexBridge = require('./codex-bridge');
 const CopilotBridge = require('./copilot-bridge');
 const GeminiBridge = require('./gemini-bridge');
 const TerminalBridge = require('./terminal-bridge');
+const AgentRegistry = require('./agent-registry');
 const SessionStore = require('./utils/session-store');
+const SessionRecorder = require('./utils/session-recorder');
+const { outputOnlyCast } = SessionRecorder;
+const OutputRedactor = require('./utils/output-redactor');
+const OutputIndex = require('./utils/output-index');
+const WorkspaceProfiles = require('./utils/workspace-profiles');
+const { createWorktree, closeWorktree } = require('./utils/git-worktree');
+const gitOps = require('./utils/git-ops');
+const { isSafeRef, sanitizeGitMessage } = require('./utils/git-ops');
+const AuthManager = require('./utils/auth');
+const { canSendWsMessage, canUseHttpMethod } = require('./utils/auth');
+const AuditLog = require('./utils/audit-log');
+const { actorFor, classifyTransport } = require('./utils/audit-log');
 const {
   TerminalGeometryCoordinator,
   normalizeGeometry,
@@ -27,6 +40,14 @@ const {
 const { getFileInfo, computeFileHash, isBinaryFile, sanitizeFileName, isBlockedExtension, formatFileSize, normalizePath, BLOCKED_EXTENSIONS } = require('./utils/file-utils');
 const UsageReader = require('./usage-reader');
 const UsageAnalytics = require('./usage-analytics');
+const AgentUsage = require('./agent-usage');
+const { parseUsageQuery, AGENTS: AGENT_USAGE_AGENTS } = require('./agent-usage');
+const { buildHistory, historyToCsv, localDate, parseHistoryQuery } = require('./usage-history');
+const UsageBudget = require('./usage-budget');
+const { JobScheduler } = require('./job-scheduler');
+const { SnippetStore } = require('./snippet-store');
+const { TemplateStore, upsertInstructions, instructionsFileFor } = require('./session-templates');
+const { SecretVault, normalizeSecretNames } = require('./secret-vault');
 const { VSCodeTunnelManager } = require('./vscode-tunnel');
 const InstallAdvisor = require('./install-advisor');
 const SttEngine = require('./stt-engine');
@@ -34,6 +55,8 @@ const StickyNoteEngine = require('./sticky-note-engine');
 const modelHostContainment = require('./model-host-containment');
 const StickyNoteSummarizer = require('./sticky-note-summarizer');
 const StickyNoteJsonl = require('./sticky-note-jsonl');
+const { readTranscript } = require('./claude-transcript');
+const sessionExport = require('./session-export');
 const { redactSecrets } = require('./utils/secret-redact');
 const { isBun } = require('./utils/runtime');
 const CircularBuffer = require('./utils/circular-buffer');
@@ -43,7 +66,12 @@ const KeepaliveManager = require('./keepalive-manager');
 const HibernationGuard = require('./hibernation-guard');
 const { ControlEventBus, EVENT_KINDS: CONTROL_EVENT_KINDS } = require('./control/event-bus');
 const TranscriptBuffer = require('./sticky-note-transcript');
-const { createControlRouter } = require('./control/routes');
+const { createControlRouter, MAX_BROADCAST_SESSIONS } = require('./control/routes');
+const ApprovalPolicy = require('./control/approval-policy');
+const PushManager = require('./push-manager');
+const { createPushRouter } = require('./push-manager');
+const { promptTextFromScreen } = require('./control/approval-policy');
+const { WebhookManager } = require('./control/webhooks');
 const { ArtifactReviewStore, createArtifactReviewRouter, createAssetTokenSigner, buildArtifactPushPayload, artifactPushEnabledFromEnv } = require('./artifact-review');
 const { deriveStatus, awaitingKindForPendingTool, awaitingFromScreen, TRUST_PROMPT_REGEX, DEFAULT_UNBOUND_QUIET_MS } = require('./control/session-status');
 const { detectAwaiting, detectTurnState } = require('./control/jsonl-awaiting');
@@ -64,6 +92,10 @@ const MAX_WS_MESSAGE_BYTES = 1 * 1024 * 1024;
 const MAX_GEOMETRY_HOLD_BYTES = 8 * 1024 * 1024;
 const MAX_GEOMETRY_HOLD_CHUNKS = 1000;
 const GEOMETRY_HOLD_WATCHDOG_MS = 15000;
+// Open conversation-view streams per session (a few browser windows on one tab).
+const MAX_TRANSCRIPT_STREAMS = 4;
+// How long a template's first prompt waits for its agent to report idle.
+const TEMPLATE_PROMPT_WAIT_MS = 90 * 1000;
 
 // Fleet control-plane contract version (F19). Bumped when the cross-repo wire
 // shape (status fields, event kinds, snapshot/capabilities/permission-mode
@@ -248,6 +280,8 @@ class ClaudeCodeWebServer {
     // summariser (JSONL mode). Tabs not running claude keep the scrape fallback.
     this._stickyJsonl = new Map();
     this._stickyJsonlPoll = null;
+    // Conversation-view SSE streams: sessionId -> Set<{ cleanup(reason) }>.
+    this._transcriptStreams = new Map();
     this._controlIdempotency = new Map();
     this._controlSessionSeq = new Map();
     // Durable notes keyed by CLAUDE sessionId (the JSONL basename / --resume key),
@@ -318,6 +352,109 @@ class ClaudeCodeWebServer {
     });
 
     this.sessionStore = new SessionStore(options.sessionStoreOptions);
+    // Every agent the server can start, keyed by tool id: the built-in bridges
+    // above plus manifest plugins from <storageDir>/agents/*.json.
+    this.agentRegistry = new AgentRegistry({ storageDir: this.sessionStore.storageDir });
+    this.agentRegistry.register('claude', this.claudeBridge, { hasDangerousMode: true });
+    this.agentRegistry.register('codex', this.codexBridge, { hasDangerousMode: true });
+    this.agentRegistry.register('copilot', this.copilotBridge, { hasDangerousMode: true });
+    this.agentRegistry.register('gemini', this.geminiBridge, { hasDangerousMode: true });
+    this.agentRegistry.register('terminal', this.terminalBridge, { hasDangerousMode: false });
+    this.agentRegistry.loadPlugins();
+    // Opt-in asciicast recording of every PTY (--record / AIORDIE_RECORD=1).
+    // Attached to each bridge so interactive tabs and control-plane spawns are
+    // recorded through the same hooks. Lives next to sessions.json so it counts
+    // against the DISK-03 quota, and pauses while that breaker is open.
+    this.sessionRecorder = SessionRecorder.fromOptions({
+      record: options.record,
+      storageDir: this.sessionStore.storageDir,
+      isDiskFull: () => this._diskFull,
+    });
+    for (const bridge of this.agentRegistry.bridges()) {
+      bridge.recorder = this.sessionRecorder;
+    }
+    // Opt-in redaction of saved output buffers and of join replays sent to
+    // remote devices (--redact / AIORDIE_REDACT=1, <storageDir>/redaction.json).
+    this.outputRedactor = OutputRedactor.fromOptions({
+      redact: options.redact,
+      storageDir: this.sessionStore.storageDir,
+    });
+    this.sessionStore.redactor = this.outputRedactor;
+    // Plain-text, secret-redacted history of every session's output for
+    // GET /api/sessions/search. Fed from the same onOutput taps that fill
+    // outputBuffer; on by default (AIORDIE_SEARCH_INDEX=0 turns it off).
+    this.outputIndex = OutputIndex.fromOptions({
+      searchIndex: options.searchIndex,
+      storageDir: this.sessionStore.storageDir,
+      isDiskFull: () => this._diskFull,
+      describe: (id) => {
+        const s = this.claudeSessions.get(id);
+        return s ? { name: s.name, agent: s.agent || null } : null;
+      },
+    });
+    // Named tab sets under <storageDir>/workspaces/ (--workspace, palette).
+    this.workspaceProfiles = new WorkspaceProfiles({
+      storageDir: this.sessionStore.storageDir,
+      tools: this.agentRegistry.ids(),
+    });
+    this.startupWorkspace = options.workspace || null;
+    // Named users with their own tokens and roles (<storageDir>/users.json).
+    // The shared --auth token keeps working as the built-in "owner" operator.
+    this.authManager = new AuthManager();
+    if (this.auth) this.authManager.addToken(this.auth);
+    const usersFile = options.usersFile || path.join(this.sessionStore.storageDir, 'users.json');
+    const users = this.authManager.loadUsersFile(usersFile);
+    for (const msg of users.errors) console.warn(`[auth] ${msg}`);
+    if (users.loaded) console.log(`[auth] ${users.loaded} named user(s) loaded from ${usersFile}`);
+    // Who did what, from which transport (never what was typed or written).
+    this.auditLog = new AuditLog({
+      storageDir: this.sessionStore.storageDir,
+      isDiskFull: () => this._diskFull,
+    });
+    // Auto-answers permission prompts from <storageDir>/approval-policy.json.
+    this.approvalPolicy = new ApprovalPolicy({
+      storageDir: this.sessionStore.storageDir,
+      file: options.approvalPolicyFile,
+    });
+    // Web Push to installed PWAs (<storageDir>/push/); keys load in start().
+    this.pushManager = new PushManager({
+      storageDir: this.sessionStore.storageDir,
+      sessions: this.claudeSessions,
+    });
+    // Outbound webhooks (<storageDir>/webhooks.json), managed under /api/control/webhooks.
+    this.webhooks = new WebhookManager({
+      storageDir: this.sessionStore.storageDir,
+      sessions: this.claudeSessions,
+    });
+    // Scheduled agent jobs (<storageDir>/jobs.json), driven through the same
+    // create / message / read steps as the control plane; started in start().
+    this.jobScheduler = new JobScheduler({
+      storageDir: this.sessionStore.storageDir,
+      eventBus: this.controlEventBus,
+      createSession: (opts) => this._controlCreateSession({ ...opts, via: 'scheduler' }),
+      sendMessage: (opts) => {
+        this._audit(opts.actor, 'control.message', {
+          sessionId: opts.sessionId,
+          bytes: Buffer.byteLength(String(opts.message), 'utf8'),
+        });
+        return this._controlSendMessage(opts);
+      },
+      readTail: (id, lines) => this._controlReadTail(id, lines),
+      stopSession: (id) => this._controlStopSession(id),
+      agents: () => this.agentRegistry.ids(),
+    });
+    // Prompt snippets: per-user libraries under <storageDir>/snippets/, and
+    // the workspace's in <baseFolder>/.ai-or-die/snippets.json.
+    this.snippetStore = new SnippetStore({
+      storageDir: this.sessionStore.storageDir,
+      workspaceDir: () => this.baseFolder,
+    });
+    // Session templates: <storageDir>/templates.json, launched by
+    // _createFromTemplate.
+    this.templateStore = new TemplateStore({ storageDir: this.sessionStore.storageDir });
+    // Encrypted secrets (<storageDir>/vault.json), injected by name when an
+    // agent starts. Locked until someone unlocks it after each restart.
+    this.secretVault = new SecretVault({ storageDir: this.sessionStore.storageDir });
     this.terminalGeometry = new TerminalGeometryCoordinator({
       coalesceMs: 80,
       isActive: (sessionId) => {
@@ -335,6 +472,17 @@ class ClaudeCodeWebServer {
       },
     });
     this.usageReader = new UsageReader(this.sessionDurationHours);
+    // Every agent's usage in one schema (claude via usageReader).
+    this.agentUsage = new AgentUsage({ usageReader: this.usageReader });
+    // Spend caps from <storageDir>/budgets.json, checked once a minute from start().
+    this.usageBudget = new UsageBudget({
+      storageDir: this.sessionStore.storageDir,
+      file: options.budgetsFile,
+      agentUsage: this.agentUsage,
+      listSessions: () => this._budgetSessions(),
+      interrupt: (sessionId, budget) => this._budgetInterrupt(sessionId, budget),
+      notify: (alert) => this._budgetAlert(alert),
+    });
     this.usageAnalytics = new UsageAnalytics({
       sessionDurationHours: this.sessionDurationHours,
       plan: options.plan || process.env.CLAUDE_PLAN || 'max20',
@@ -364,6 +512,9 @@ class ClaudeCodeWebServer {
       gemini: options.geminiAlias || process.env.GEMINI_ALIAS || 'Gemini',
       terminal: options.terminalAlias || process.env.TERMINAL_ALIAS || 'Terminal'
     };
+    for (const plugin of this.agentRegistry.plugins()) {
+      this.aliases[plugin.id] = plugin.manifest.name;
+    }
     
     this.setupExpress();
     this._sessionsLoaded = this.loadPersistedSessions();
@@ -386,6 +537,9 @@ class ClaudeCodeWebServer {
           if (session.stickyNote && session.stickyClaudeSessionId) {
             this._claudeNotes.set(session.stickyClaudeSessionId, session.stickyNote);
           }
+          // Sessions saved before the search index existed get their
+          // buffered output indexed once.
+          this.outputIndex.seed(id, Array.from(session.outputBuffer || [])).catch(() => {});
         }
       }
       this._capClaudeNotes();
@@ -449,6 +603,30 @@ class ClaudeCodeWebServer {
       });
     });
 
+    // Recordings past their retention window are pruned at startup and every
+    // 6 h while recording is on; an in-progress recording is never touched.
+    if (this.sessionRecorder.enabled) {
+      const pruneRecordings = () => {
+        this.sessionRecorder.prune().catch((err) => {
+          console.warn('Recording pruning failed:', err && err.message);
+        });
+      };
+      setImmediate(pruneRecordings);
+      this.recordingPruneInterval = setInterval(pruneRecordings, 6 * 60 * 60 * 1000);
+    }
+
+    // The search index is held to its retention window and size cap on the
+    // same schedule.
+    if (this.outputIndex.enabled) {
+      const pruneIndex = () => {
+        this.outputIndex.prune().catch((err) => {
+          console.warn('Search index pruning failed:', err && err.message);
+        });
+      };
+      setImmediate(pruneIndex);
+      this.searchIndexPruneInterval = setInterval(pruneIndex, 6 * 60 * 60 * 1000);
+    }
+
     // DISK-02/03: warm the disk-usage sample so /api/diagnostics returns
     // real numbers within the first 60 s. Bounded time budget; never
     // blocks the event loop.
@@ -1235,7 +1413,7 @@ class ClaudeCodeWebServer {
         // auth token at all. Fail-closed: if any token is set we never put
         // os.hostname() in the publicly-fetchable manifest. In-session title/UI
         // still show the host in all cases.
-        if (!this.auth) {
+        if (!this.auth && !this.authManager.hasUsers()) {
           const host = os.hostname();
           manifest.name = appIdentity.formatAppIdentity({ hostname: host });
           manifest.short_name = appIdentity.formatShortName({ hostname: host });
@@ -1304,38 +1482,41 @@ class ClaudeCodeWebServer {
     // Auth status endpoint - always accessible
     this.app.get('/auth-status', (req, res) => {
       res.json({ 
-        authRequired: !this.noAuth && !!this.auth,
+        authRequired: this._authEnabled(),
         authenticated: false 
       });
     });
 
     // Auth verify endpoint - check if token is valid
     this.app.post('/auth-verify', (req, res) => {
-      if (this.noAuth || !this.auth) {
+      if (!this._authEnabled()) {
         return res.json({ valid: true }); // No auth required
       }
       
       const { token } = req.body;
-      const valid = token === this.auth;
+      const user = this.authManager.authenticate(token);
       
-      if (valid) {
-        res.json({ valid: true });
+      if (user) {
+        res.json({ valid: true, user });
       } else {
         res.status(401).json({ valid: false, error: 'Invalid token' });
       }
     });
 
-    if (!this.noAuth && this.auth) {
+    if (this._authEnabled()) {
       this.app.use((req, res, next) => {
         const asset = this._artifactAssetAuthFromPath(req);
         if (asset && this._artifactAssetSigner.verify(asset.sessionId, asset.token)) {
           req.artifactAssetPathToken = asset.token;
           return next();
         }
-        const token = req.headers.authorization || req.query.token;
-        if (token !== `Bearer ${this.auth}` && token !== this.auth) {
+        const raw = req.headers.authorization || req.query.token;
+        const token = typeof raw === 'string' && raw.startsWith('Bearer ') ? raw.slice(7) : raw;
+        const user = this.authManager.authenticate(token);
+        if (!user) {
           return res.status(401).json({ error: 'Unauthorized' });
         }
+        req.user = user;
         next();
       });
     } else {
@@ -1348,7 +1529,32 @@ class ClaudeCodeWebServer {
       });
     }
 
+    // Who is acting and from where, for the audit log (user is null with auth off).
+    this.app.use((req, res, next) => {
+      req.actor = actorFor(req.user, this._requestTransport(req));
+      next();
+    });
+
     this.app.use('/api/control', createControlRouter(this._buildControlDeps()));
+
+    // Ahead of the viewer gate: a push subscription and its mutes only change
+    // what one browser is told, so viewers may manage their own.
+    this.app.use('/api/push', createPushRouter({
+      pushManager: this.pushManager,
+      audit: (actor, action, details) => this._audit(actor, action, details),
+    }));
+
+    // Viewers are read-only across the rest of the HTTP API. (The control
+    // router above answers them with its own error shape.)
+    this.app.use((req, res, next) => {
+      if (canUseHttpMethod(req.user, req.method, req.path)) return next();
+      res.status(403).json({
+        error: 'Forbidden',
+        message: canUseHttpMethod(req.user, req.method)
+          ? `The ${req.user.role} role cannot read this`
+          : `The ${req.user.role} role is read-only`,
+      });
+    });
     this.app.use('/api/artifact', createArtifactReviewRouter({
       store: this.artifactReviews,
       validatePath: (p) => this.validateArtifactPath(p),
@@ -1403,6 +1609,8 @@ class ClaudeCodeWebServer {
         return res.status(404).json({ error: 'No tunnel configured' });
       }
 
+      this._audit(req.actor, 'tunnel.restart', {});
+
       // Broadcast warning to all connected clients before killing
       this.webSocketConnections.forEach((wsInfo) => {
         if (wsInfo.ws.readyState === WebSocket.OPEN) {
@@ -1467,15 +1675,74 @@ class ClaudeCodeWebServer {
         active: session.active,
         agent: session.agent || null,
         workingDir: session.workingDir,
+        worktree: session.worktree || null,
+        groupId: session.groupId || null,
+        secretNames: session.secretNames || [],
         connectedClients: session.connections.size,
         lastActivity: session.lastActivity
       }));
       res.json({ sessions: sessionList });
     });
 
-    // Create a new session
-    this.app.post('/api/sessions/create', (req, res) => {
-      const { name, workingDir } = req.body;
+    // Busy / idle / waiting for every session (the tab sidebar), derived the
+    // same way as the control plane's status, plus the sticky-note title.
+    this.app.get('/api/sessions/status', async (req, res) => {
+      try {
+        const sessions = await Promise.all(Array.from(this.claudeSessions.keys()).map(async (id) => {
+          const status = await this._controlDerivedStatus(id);
+          const session = this.claudeSessions.get(id);
+          if (!status || !session) return null;
+          return {
+            id,
+            lifecycle: status.lifecycle,
+            interactionState: status.interactionState,
+            stickyTitle: (session.stickyNote && session.stickyNote.title) || null,
+          };
+        }));
+        res.json({ sessions: sessions.filter(Boolean) });
+      } catch (error) {
+        res.status(500).json({ error: 'Failed to read session status', message: error.message });
+      }
+    });
+
+    // Create a new session. `{ workspace: "<name>" }` instead launches every
+    // tab of that workspace profile (see _launchWorkspace), and
+    // `{ template: "<id or name>" }` starts a tab from a session template.
+    this.app.post('/api/sessions/create', async (req, res) => {
+      const { name, workingDir, workspace, worktree, template, secrets } = req.body;
+      if (template !== undefined) {
+        try {
+          res.json(await this._createFromTemplate(template, {
+            name,
+            workingDir,
+            worktree,
+            secrets,
+            // The browser attaches straight away and watches the tab come up.
+            readyTimeoutMs: 0,
+            actor: req.actor || null,
+            via: 'http',
+          }));
+        } catch (error) {
+          const status = error.statusCode || { INVALID_WORKDIR: 403 }[error.code] || 500;
+          res.status(status).json({ error: error.message, code: error.code || 'TEMPLATE_LAUNCH_FAILED' });
+        }
+        return;
+      }
+      if (workspace !== undefined) {
+        try {
+          res.json(await this._launchWorkspace(workspace, req.actor || null));
+        } catch (error) {
+          const status = { WORKSPACE_NOT_FOUND: 404, INVALID_WORKSPACE: 400, INVALID_WORKDIR: 403 }[error.code] || 500;
+          res.status(status).json({ error: error.message, code: error.code || 'WORKSPACE_LAUNCH_FAILED' });
+        }
+        return;
+      }
+      let secretNames;
+      try {
+        secretNames = normalizeSecretNames(secrets);
+      } catch (error) {
+        return res.status(error.statusCode).json({ error: error.message, code: error.code });
+      }
       const sessionId = uuidv4();
       
       // Validate working directory if provided
@@ -1492,6 +1759,17 @@ class ClaudeCodeWebServer {
       } else if (this.selectedWorkingDir) {
         validWorkingDir = this.selectedWorkingDir;
       }
+
+      // `worktree: true` runs the session on its own branch in a new git
+      // worktree of the repo that contains the chosen directory.
+      let sessionWorktree = null;
+      if (worktree === true) {
+        try {
+          ({ workingDir: validWorkingDir, worktree: sessionWorktree } = await this._createSessionWorktree(validWorkingDir, 'session'));
+        } catch (error) {
+          return res.status(error.statusCode || 500).json({ error: error.message, code: error.code });
+        }
+      }
       
       const session = {
         id: sessionId,
@@ -1515,6 +1793,8 @@ class ClaudeCodeWebServer {
         },
         maxBufferSize: 1000
       };
+      if (sessionWorktree) session.worktree = sessionWorktree;
+      if (secretNames.length) session.secretNames = secretNames;
       
       this.claudeSessions.set(sessionId, session);
       if (this.terminalGeometry) this.terminalGeometry.initializeSession(sessionId, session);
@@ -1523,6 +1803,13 @@ class ClaudeCodeWebServer {
 
       // Save sessions after creating new one
       this.saveSessionsToDisk();
+      this._audit(req.actor, 'session.create', {
+        sessionId,
+        name: session.name,
+        workingDir: validWorkingDir,
+        agent: null,
+        via: 'http',
+      });
 
       if (this.dev) {
         console.log(`Created new session: ${sessionId} (${session.name})`);
@@ -1534,12 +1821,34 @@ class ClaudeCodeWebServer {
         session: {
           id: sessionId,
           name: session.name,
-          workingDir: session.workingDir
+          workingDir: session.workingDir,
+          worktree: sessionWorktree
         }
       });
     });
 
     // Get session details
+    // Full-text search over every session's indexed output, newest first.
+    // Query: q (2-200 chars), sessionId, limit (default 50, at most 200).
+    this.app.get('/api/sessions/search', async (req, res) => {
+      const q = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+      if (q.length < 2 || q.length > 200) {
+        return res.status(400).json({ error: '"q" must be 2 to 200 characters', code: 'INVALID_ARGUMENT' });
+      }
+      if (!this.outputIndex.enabled) {
+        return res.status(503).json({ error: 'Session search is turned off (AIORDIE_SEARCH_INDEX=0)' });
+      }
+      try {
+        const results = await this.outputIndex.search(q, {
+          sessionId: typeof req.query.sessionId === 'string' ? req.query.sessionId : undefined,
+          limit: req.query.limit,
+        });
+        res.json({ query: q, results });
+      } catch (error) {
+        res.status(500).json({ error: 'Failed to search session output', message: error.message });
+      }
+    });
+
     this.app.get('/api/sessions/:sessionId', (req, res) => {
       const session = this.claudeSessions.get(req.params.sessionId);
       if (!session) {
@@ -1552,12 +1861,29 @@ class ClaudeCodeWebServer {
         created: session.created,
         active: session.active,
         workingDir: session.workingDir,
+        worktree: session.worktree || null,
         connectedClients: session.connections.size,
         lastActivity: session.lastActivity
       });
     });
 
-    // Delete a Claude session
+    // Clone a running session into a new one (see _forkSession).
+    this.app.post('/api/sessions/:sessionId/fork', async (req, res) => {
+      const body = req.body || {};
+      try {
+        res.json(await this._forkSession(req.params.sessionId, {
+          name: body.name,
+          worktree: body.worktree === true,
+          actor: req.actor || null,
+        }));
+      } catch (error) {
+        res.status(error.statusCode || 500).json({ error: error.message, code: error.code || 'FORK_FAILED' });
+      }
+    });
+
+    // Delete a Claude session. `?worktree=merge|discard|cleanup` also
+    // finishes the session's git worktree (see closeWorktree); without it
+    // the worktree and its branch are left on disk.
     this.app.delete('/api/sessions/:sessionId', async (req, res) => {
       const sessionId = req.params.sessionId;
       const session = this.claudeSessions.get(sessionId);
@@ -1565,6 +1891,10 @@ class ClaudeCodeWebServer {
       if (!session) {
         return res.status(404).json({ error: 'Session not found' });
       }
+      const worktreeAction = req.query.worktree;
+      if (worktreeAction !== undefined && !['merge', 'discard', 'cleanup', 'keep'].includes(worktreeAction)) {
+        return res.status(400).json({ error: 'worktree must be merge, discard, cleanup or keep', code: 'INVALID_ARGUMENT' });
+      }
       
       // Stop running process if active. Must `await` so the PTY teardown
       // (listener disposal + kill + bounded wait) completes BEFORE we
@@ -1582,6 +1912,21 @@ class ClaudeCodeWebServer {
           }
         }
       }
+
+      // Finish the worktree with the agent stopped. If git refuses (dirty
+      // checkout, conflicting merge) the session is kept, so the user can
+      // restart the agent, sort it out and close again.
+      let worktreeResult = null;
+      if (session.worktree && worktreeAction && worktreeAction !== 'keep') {
+        try {
+          worktreeResult = await closeWorktree(session.worktree, worktreeAction);
+        } catch (error) {
+          const status = { WORKTREE_DIRTY: 409, REPO_DIRTY: 409, MERGE_CONFLICT: 409 }[error.code] || 500;
+          return res.status(status).json({ error: error.message, code: error.code || 'GIT_FAILED' });
+        }
+        this._audit(req.actor, 'session.worktree', { sessionId, action: worktreeAction, branch: session.worktree.branch });
+      }
+      this._audit(req.actor, 'session.delete', { sessionId, name: session.name, via: 'http' });
       
       // Notify WebSocket connections that this session was deleted
       // Do NOT close the WS — the client may already be joined to a
@@ -1614,6 +1959,7 @@ class ClaudeCodeWebServer {
       // (PR #99 regression) — kernel inotify-watch + FD exhaustion after
       // weeks of uptime. See _cleanupFsWatchSession.
       this._cleanupFsWatchSession(sessionId, 'session_deleted');
+      this._closeTranscriptStreams(sessionId, 'session_deleted');
 
       // Stop + tear down the summariser so an in-flight inference is discarded.
       this.stickyNoteSummarizer.cancel(sessionId);
@@ -1621,26 +1967,502 @@ class ClaudeCodeWebServer {
       this._removeClaudeBindSidecar(session);
       if (this._foregroundSessionId === sessionId) this._foregroundSessionId = null;
 
+      if (this.outputIndex) await this.outputIndex.forget(sessionId);
+
       this.claudeSessions.delete(sessionId);
       if (this.terminalGeometry) this.terminalGeometry.removeSession(sessionId);
       if (this.controlEventBus) this.controlEventBus.append(sessionId, 'session_deleted');
       this.activityBroadcastTimestamps.delete(sessionId);
+      // Its group goes too if this was the group's last tab.
+      if (session.groupId && this.sessionStore.pruneGroups(this.claudeSessions)) {
+        this.broadcastToAll({ type: 'session_groups', ...this._sessionGroupsState() });
+      }
       this.sessionStore.markDirty();
 
       // Save sessions after deletion — await to ensure persistence
       await this.saveSessionsToDisk();
 
-      res.json({ success: true, message: 'Session deleted' });
+      res.json({ success: true, message: 'Session deleted', ...(worktreeResult ? { worktree: worktreeResult } : {}) });
+    });
+
+    this.app.get('/api/workspaces', async (req, res) => {
+      try {
+        res.json({ workspaces: await this.workspaceProfiles.list() });
+      } catch (error) {
+        res.status(500).json({ error: 'Failed to list workspaces' });
+      }
+    });
+
+    // Audit trail, newest first. Filters: user, action, sessionId, transport
+    // (comma lists), since / until (ISO or epoch ms), limit.
+    this.app.get('/api/audit', async (req, res) => {
+      const q = req.query;
+      const pick = (v) => (typeof v === 'string' ? v : undefined);
+      try {
+        res.json(await this.auditLog.query({
+          user: pick(q.user),
+          action: pick(q.action),
+          sessionId: pick(q.sessionId),
+          transport: pick(q.transport),
+          since: pick(q.since),
+          until: pick(q.until),
+          limit: pick(q.limit),
+        }));
+      } catch (error) {
+        res.status(500).json({ error: 'Failed to read audit log', message: error.message });
+      }
+    });
+
+    // Usage across agents (claude, codex, gemini, copilot), broken down by
+    // agent, model and session. Query: hours | since, until; agent=a,b.
+    this.app.get('/api/usage', async (req, res) => {
+      let range;
+      try {
+        range = parseUsageQuery(req.query);
+      } catch (error) {
+        return res.status(400).json({ error: error.message, code: error.code });
+      }
+      try {
+        res.json(await this.agentUsage.getUsage(range));
+      } catch (error) {
+        res.status(500).json({ error: 'Failed to read usage', message: error.message });
+      }
+    });
+
+    // Usage history for the dashboard: buckets by day, week or month with
+    // model / project breakdowns and session windows. Query: from, to
+    // (YYYY-MM-DD or ISO), groupBy, agent; format=csv|json downloads it.
+    this.app.get('/api/usage/history', async (req, res) => {
+      let query;
+      try {
+        query = parseHistoryQuery(req.query);
+        if (req.query.format !== undefined && !['csv', 'json'].includes(req.query.format)) {
+          throw Object.assign(new Error('"format" must be csv or json'), { code: 'INVALID_ARGUMENT' });
+        }
+      } catch (error) {
+        return res.status(400).json({ error: error.message, code: error.code });
+      }
+      try {
+        const entries = await this.agentUsage.getEntries({ since: query.from, until: query.to, agents: query.agents });
+        const history = buildHistory(entries, { ...query, sessionHours: this.sessionDurationHours });
+        const format = req.query.format;
+        if (!format) {
+          const { rows, ...view } = history;
+          return res.json(view);
+        }
+        const filename = `usage-${localDate(query.from)}-to-${localDate(query.to)}-${history.groupBy}.${format}`;
+        res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+        res.setHeader('Cache-Control', 'no-store');
+        if (format === 'csv') {
+          res.type('text/csv; charset=utf-8').send(historyToCsv(history));
+        } else {
+          res.type('application/json').send(JSON.stringify(history, null, 2));
+        }
+      } catch (error) {
+        res.status(500).json({ error: 'Failed to read usage history', message: error.message });
+      }
+    });
+
+    // Errors from the job and snippet stores carry their HTTP status;
+    // anything else is a 500.
+    const storeFailure = (res, error, what) => {
+      if (error.statusCode) return res.status(error.statusCode).json({ error: error.message, code: error.code });
+      res.status(500).json({ error: `Failed to ${what}`, message: error.message });
+    };
+
+    // Scheduled jobs (job-scheduler.js). Writes are audited; viewers are
+    // already limited to GET by the role middleware.
+
+    this.app.get('/api/jobs', (req, res) => {
+      res.json({ jobs: this.jobScheduler.list() });
+    });
+
+    this.app.post('/api/jobs', async (req, res) => {
+      try {
+        const job = await this.jobScheduler.create(req.body || {}, req.user ? req.user.name : null);
+        this._audit(req.actor, 'job.create', { jobId: job.id, name: job.name, schedule: job.schedule, agent: job.agent });
+        res.status(201).json({ job });
+      } catch (error) {
+        storeFailure(res, error, 'create job');
+      }
+    });
+
+    this.app.patch('/api/jobs/:jobId', async (req, res) => {
+      try {
+        const job = await this.jobScheduler.update(req.params.jobId, req.body || {});
+        this._audit(req.actor, 'job.update', { jobId: job.id, schedule: job.schedule, enabled: job.enabled });
+        res.json({ job });
+      } catch (error) {
+        storeFailure(res, error, 'update job');
+      }
+    });
+
+    this.app.delete('/api/jobs/:jobId', async (req, res) => {
+      try {
+        await this.jobScheduler.remove(req.params.jobId);
+        this._audit(req.actor, 'job.delete', { jobId: req.params.jobId });
+        res.json({ success: true });
+      } catch (error) {
+        storeFailure(res, error, 'delete job');
+      }
+    });
+
+    // Run now: answers 202 as soon as the run starts; poll /runs for the outcome.
+    this.app.post('/api/jobs/:jobId/run', (req, res) => {
+      try {
+        const run = this.jobScheduler.runNow(req.params.jobId, req.actor);
+        this._audit(req.actor, 'job.run', { jobId: req.params.jobId, runId: run.id });
+        res.status(202).json({ run });
+      } catch (error) {
+        storeFailure(res, error, 'start job');
+      }
+    });
+
+    this.app.get('/api/jobs/:jobId/runs', async (req, res) => {
+      try {
+        res.json({ runs: await this.jobScheduler.runs(req.params.jobId) });
+      } catch (error) {
+        storeFailure(res, error, 'read job runs');
+      }
+    });
+
+    this.app.get('/api/jobs/:jobId/runs/:runId/transcript', async (req, res) => {
+      try {
+        const text = await this.jobScheduler.transcript(req.params.jobId, req.params.runId);
+        res.setHeader('Cache-Control', 'no-store');
+        res.type('text/plain; charset=utf-8').send(text);
+      } catch (error) {
+        storeFailure(res, error, 'read transcript');
+      }
+    });
+
+    // Prompt snippets (snippet-store.js). `user` is the signed-in account;
+    // without accounts everyone shares the "default" user library.
+    const snippetUser = (req) => (req.user ? req.user.name : null);
+
+    this.app.get('/api/snippets', async (req, res) => {
+      try {
+        res.json(await this.snippetStore.list(snippetUser(req)));
+      } catch (error) {
+        storeFailure(res, error, 'list snippets');
+      }
+    });
+
+    this.app.post('/api/snippets', async (req, res) => {
+      const body = req.body || {};
+      try {
+        const snippet = await this.snippetStore.create(body.scope || 'user', body, snippetUser(req));
+        res.status(201).json({ snippet });
+      } catch (error) {
+        storeFailure(res, error, 'save snippet');
+      }
+    });
+
+    // Export / import one library as { version: 1, snippets: [{ name, description, body }] }.
+    this.app.get('/api/snippets/export', async (req, res) => {
+      const scope = req.query.scope || 'user';
+      try {
+        const data = await this.snippetStore.export(scope, snippetUser(req));
+        res.setHeader('Content-Disposition', `attachment; filename="snippets-${scope}.json"`);
+        res.setHeader('Cache-Control', 'no-store');
+        res.type('application/json').send(JSON.stringify(data, null, 2));
+      } catch (error) {
+        storeFailure(res, error, 'export snippets');
+      }
+    });
+
+    this.app.post('/api/snippets/import', async (req, res) => {
+      try {
+        res.json(await this.snippetStore.import(req.query.scope || 'user', req.body, snippetUser(req)));
+      } catch (error) {
+        storeFailure(res, error, 'import snippets');
+      }
+    });
+
+    this.app.patch('/api/snippets/:scope/:snippetId', async (req, res) => {
+      try {
+        const snippet = await this.snippetStore.update(req.params.scope, req.params.snippetId, req.body || {}, snippetUser(req));
+        res.json({ snippet });
+      } catch (error) {
+        storeFailure(res, error, 'save snippet');
+      }
+    });
+
+    this.app.delete('/api/snippets/:scope/:snippetId', async (req, res) => {
+      try {
+        await this.snippetStore.remove(req.params.scope, req.params.snippetId, snippetUser(req));
+        res.json({ success: true });
+      } catch (error) {
+        storeFailure(res, error, 'delete snippet');
+      }
+    });
+
+    // Session templates (session-templates.js). Launched through
+    // POST /api/sessions/create { template }; writes are audited.
+    this.app.get('/api/templates', async (req, res) => {
+      try {
+        res.json({ templates: await this.templateStore.list() });
+      } catch (error) {
+        storeFailure(res, error, 'list templates');
+      }
+    });
+
+    this.app.post('/api/templates', async (req, res) => {
+      try {
+        const template = await this.templateStore.create(req.body || {}, req.user ? req.user.name : null);
+        this._audit(req.actor, 'template.create', { templateId: template.id, name: template.name, agent: template.agent });
+        res.status(201).json({ template });
+      } catch (error) {
+        storeFailure(res, error, 'save template');
+      }
+    });
+
+    this.app.patch('/api/templates/:templateId', async (req, res) => {
+      try {
+        const template = await this.templateStore.update(req.params.templateId, req.body || {});
+        this._audit(req.actor, 'template.update', { templateId: template.id, name: template.name, agent: template.agent });
+        res.json({ template });
+      } catch (error) {
+        storeFailure(res, error, 'save template');
+      }
+    });
+
+    this.app.delete('/api/templates/:templateId', async (req, res) => {
+      try {
+        await this.templateStore.remove(req.params.templateId);
+        this._audit(req.actor, 'template.delete', { templateId: req.params.templateId });
+        res.json({ success: true });
+      } catch (error) {
+        storeFailure(res, error, 'delete template');
+      }
+    });
+
+    // Secret vault (secret-vault.js). Names go out, values never do: they
+    // only reach a PTY's environment at spawn. Every change is audited by name.
+    const vaultState = async () => {
+      const status = await this.secretVault.status();
+      return { ...status, secrets: status.unlocked ? this.secretVault.list() : [] };
+    };
+
+    this.app.get('/api/vault', async (req, res) => {
+      try {
+        res.json(await vaultState());
+      } catch (error) {
+        storeFailure(res, error, 'read the secret vault');
+      }
+    });
+
+    this.app.post('/api/vault', async (req, res) => {
+      try {
+        await this.secretVault.create((req.body || {}).passphrase);
+        this._audit(req.actor, 'vault.create', {});
+        res.status(201).json(await vaultState());
+      } catch (error) {
+        storeFailure(res, error, 'create the secret vault');
+      }
+    });
+
+    this.app.post('/api/vault/unlock', async (req, res) => {
+      // scrypt makes each guess slow; the limit makes guessing slower still.
+      const rl = this._perIpRateLimit(req, 'vault-unlock', 10, 60_000);
+      if (rl) {
+        return res.status(429).json({ error: 'Too many unlock attempts', code: 'RATE_LIMITED', retryAfterMs: rl.retryAfterMs });
+      }
+      try {
+        await this.secretVault.unlock((req.body || {}).passphrase);
+        this._audit(req.actor, 'vault.unlock', { ok: true });
+        res.json(await vaultState());
+      } catch (error) {
+        if (error.code === 'INVALID_PASSPHRASE') this._audit(req.actor, 'vault.unlock', { ok: false });
+        storeFailure(res, error, 'unlock the secret vault');
+      }
+    });
+
+    this.app.post('/api/vault/lock', async (req, res) => {
+      this.secretVault.lock();
+      this._audit(req.actor, 'vault.lock', {});
+      res.json(await vaultState());
+    });
+
+    this.app.post('/api/vault/passphrase', async (req, res) => {
+      const rl = this._perIpRateLimit(req, 'vault-unlock', 10, 60_000);
+      if (rl) {
+        return res.status(429).json({ error: 'Too many unlock attempts', code: 'RATE_LIMITED', retryAfterMs: rl.retryAfterMs });
+      }
+      try {
+        const { passphrase, newPassphrase } = req.body || {};
+        await this.secretVault.changePassphrase(passphrase, newPassphrase);
+        this._audit(req.actor, 'vault.passphrase', {});
+        res.json(await vaultState());
+      } catch (error) {
+        storeFailure(res, error, 'change the vault passphrase');
+      }
+    });
+
+    this.app.put('/api/vault/secrets/:name', async (req, res) => {
+      try {
+        await this.secretVault.set(req.params.name, (req.body || {}).value);
+        this._audit(req.actor, 'secret.set', { name: req.params.name });
+        res.json(await vaultState());
+      } catch (error) {
+        storeFailure(res, error, 'save the secret');
+      }
+    });
+
+    this.app.delete('/api/vault/secrets/:name', async (req, res) => {
+      try {
+        await this.secretVault.remove(req.params.name);
+        this._audit(req.actor, 'secret.delete', { name: req.params.name });
+        res.json(await vaultState());
+      } catch (error) {
+        storeFailure(res, error, 'delete the secret');
+      }
+    });
+
+    // The secrets a tab's agent starts with. Takes effect at the next start;
+    // a running agent keeps the environment it was spawned with.
+    this.app.put('/api/sessions/:sessionId/secrets', (req, res) => {
+      const session = this.claudeSessions.get(req.params.sessionId);
+      if (!session) return res.status(404).json({ error: 'Session not found', code: 'SESSION_NOT_FOUND' });
+      let names;
+      try {
+        names = normalizeSecretNames((req.body || {}).secrets);
+      } catch (error) {
+        return res.status(error.statusCode).json({ error: error.message, code: error.code });
+      }
+      session.secretNames = names.length ? names : null;
+      this.sessionStore.markDirty();
+      this.saveSessionsToDisk();
+      this._audit(req.actor, 'session.secrets', { sessionId: req.params.sessionId, secrets: names });
+      res.json({ secrets: names, active: !!session.active });
+    });
+
+    // What --redact took out of a tab: `persisted` is the saved buffer as of
+    // the last save, `replayed` adds up every remote join's replay.
+    this.app.get('/api/sessions/:sessionId/redactions', async (req, res) => {
+      const session = this.claudeSessions.get(req.params.sessionId);
+      if (!session) return res.status(404).json({ error: 'Session not found', code: 'SESSION_NOT_FOUND' });
+      const settings = await this.outputRedactor.settings();
+      const redactions = session.redactions || {};
+      res.json({
+        enabled: { persist: settings.persist, remoteReplay: settings.remoteReplay },
+        error: settings.error || null,
+        persisted: redactions.persisted || {},
+        replayed: redactions.replayed || {},
+      });
+    });
+
+    // Tab groups (SessionStore). A session's group is its `groupId`, and a
+    // group lasts while it has a session. Each change is pushed to every
+    // client as `session_groups`.
+    this.app.get('/api/session-groups', (req, res) => {
+      res.json(this._sessionGroupsState());
+    });
+
+    this.app.post('/api/session-groups', (req, res) => {
+      const body = req.body || {};
+      const sessionIds = Array.isArray(body.sessionIds)
+        ? body.sessionIds.filter((id) => typeof id === 'string' && this.claudeSessions.has(id))
+        : [];
+      if (!sessionIds.length) {
+        return res.status(400).json({ error: 'sessionIds must name at least one session', code: 'INVALID_ARGUMENT' });
+      }
+      try {
+        const group = this.sessionStore.createGroup(body);
+        sessionIds.forEach((id) => { this.claudeSessions.get(id).groupId = group.id; });
+        this._sessionGroupsChanged();
+        res.status(201).json({ group });
+      } catch (error) {
+        storeFailure(res, error, 'create group');
+      }
+    });
+
+    this.app.patch('/api/session-groups/:groupId', (req, res) => {
+      try {
+        const group = this.sessionStore.updateGroup(req.params.groupId, req.body || {});
+        this._sessionGroupsChanged();
+        res.json({ group });
+      } catch (error) {
+        storeFailure(res, error, 'save group');
+      }
+    });
+
+    // Ungroups the group's tabs; the sessions stay open.
+    this.app.delete('/api/session-groups/:groupId', (req, res) => {
+      try {
+        this.sessionStore.removeGroup(req.params.groupId);
+        this._sessionGroupsChanged();
+        res.json({ success: true });
+      } catch (error) {
+        storeFailure(res, error, 'delete group');
+      }
+    });
+
+    // `{ groupId }` moves the session into that group; null takes it out.
+    this.app.put('/api/sessions/:sessionId/group', (req, res) => {
+      const session = this.claudeSessions.get(req.params.sessionId);
+      if (!session) return res.status(404).json({ error: 'Session not found', code: 'SESSION_NOT_FOUND' });
+      const groupId = (req.body || {}).groupId == null ? null : req.body.groupId;
+      try {
+        if (groupId !== null) this.sessionStore.requireGroup(groupId);
+        session.groupId = groupId;
+        this.sessionStore.markDirty();
+        this._sessionGroupsChanged();
+        res.json({ sessionId: req.params.sessionId, groupId });
+      } catch (error) {
+        storeFailure(res, error, 'move session');
+      }
+    });
+
+    // Session recordings (asciicast v2). Listing works with recording off so
+    // files from an earlier --record run stay reachable for replay.
+    this.app.get('/api/recordings', async (req, res) => {
+      try {
+        const sessionId = typeof req.query.sessionId === 'string' ? req.query.sessionId : undefined;
+        const recordings = await this.sessionRecorder.list({ sessionId });
+        res.json({ enabled: this.sessionRecorder.enabled, recordings });
+      } catch (error) {
+        res.status(500).json({ error: 'Failed to list recordings' });
+      }
+    });
+
+    this.app.get('/api/recordings/:recordingId', (req, res) => {
+      const file = this.sessionRecorder.resolve(req.params.recordingId);
+      if (!file) {
+        return res.status(404).json({ error: 'Recording not found' });
+      }
+      res.setHeader('Content-Type', 'application/x-asciicast; charset=utf-8');
+      res.setHeader('Cache-Control', 'no-store');
+      if (req.query.download === '1') {
+        res.setHeader('Content-Disposition', `attachment; filename="${path.basename(file)}"`);
+      }
+      const stream = fs.createReadStream(file);
+      stream.on('error', () => {
+        if (!res.headersSent) res.status(500).json({ error: 'Failed to read recording' });
+        else res.destroy();
+      });
+      // A viewer watches output; the "i" events are every keystroke, passwords
+      // typed at no-echo prompts included.
+      if (req.user && req.user.role === 'viewer') stream.pipe(outputOnlyCast()).pipe(res);
+      else stream.pipe(res);
+    });
+
+    this.app.delete('/api/recordings/:recordingId', async (req, res) => {
+      try {
+        const removed = await this.sessionRecorder.remove(req.params.recordingId);
+        if (!removed) return res.status(404).json({ error: 'Recording not found' });
+        res.json({ success: true });
+      } catch (error) {
+        if (error.code === 'RECORDING_ACTIVE') {
+          return res.status(409).json({ error: error.message });
+        }
+        res.status(500).json({ error: 'Failed to delete recording' });
+      }
     });
 
     this.app.get('/api/config', async (req, res) => {
-      const toolEntries = {
-        claude: { bridge: this.claudeBridge, hasDangerousMode: true },
-        codex: { bridge: this.codexBridge, hasDangerousMode: true },
-        copilot: { bridge: this.copilotBridge, hasDangerousMode: true },
-        gemini: { bridge: this.geminiBridge, hasDangerousMode: true },
-        terminal: { bridge: this.terminalBridge, hasDangerousMode: false },
-      };
+      const toolEntries = {};
+      for (const id of this.agentRegistry.ids()) toolEntries[id] = this.agentRegistry.get(id);
 
       // Wait for all bridges' async command discovery to finish before
       // calling isAvailable(). Without this, isAvailable() falls back to
@@ -1659,7 +2481,12 @@ class ClaudeCodeWebServer {
           available,
           hasDangerousMode: entry.hasDangerousMode,
         };
-        if (!available && id !== 'terminal') {
+        if (entry.plugin) {
+          // Plugins have no built-in card art or install recipe.
+          tools[id].plugin = true;
+          tools[id].description = entry.manifest.description;
+          tools[id].icon = entry.manifest.icon;
+        } else if (!available && id !== 'terminal') {
           tools[id].install = this.installAdvisor.getInstallInfo(id);
         }
       }
@@ -1688,6 +2515,9 @@ class ClaudeCodeWebServer {
           localEnabled: !!(this.sttEngine._enabled && !this.sttEngine._sttEndpoint),
           cloudAvailable: true,
         },
+        recording: { enabled: this.sessionRecorder.enabled },
+        // { name, role } of the caller ("owner" for the shared token); null with auth disabled.
+        user: req.user || null,
         ...(prerequisites ? { prerequisites } : {}),
       });
     });
@@ -1743,6 +2573,7 @@ class ClaudeCodeWebServer {
         
         // Create the folder
         fs.mkdirSync(fullValidation.path, { recursive: true });
+        this._audit(req.actor, 'folder.create', { path: fullValidation.path });
         
         res.json({
           success: true,
@@ -2200,11 +3031,11 @@ class ClaudeCodeWebServer {
 
       if (!filePath) return res.status(400).json({ error: 'Path is required' });
 
-      // Allowlist for refs: alphanum + a small set of git-rev punctuation.
-      // Covers HEAD, HEAD~3, HEAD^, branch names like main/feat-x, tags
-      // like v1.2.3, and full SHAs. Disallows -options, NUL, ;, |, $, `,
-      // backslash, whitespace, glob chars.
-      if (!/^[A-Za-z0-9_./~^@-]{1,200}$/.test(ref) || ref.startsWith('-')) {
+      // Allowlist for refs (isSafeRef, shared with /api/git/*): alphanum +
+      // a small set of git-rev punctuation. Covers HEAD, HEAD~3, HEAD^,
+      // branch names like main/feat-x, tags like v1.2.3, and full SHAs.
+      // Disallows -options, NUL, ;, |, $, `, backslash, whitespace, glob chars.
+      if (!isSafeRef(ref)) {
         return res.status(400).json({ error: 'Invalid ref' });
       }
 
@@ -2245,19 +3076,7 @@ class ClaudeCodeWebServer {
       // git error messages routinely contain `cwd`-resolved absolute paths
       // (e.g. "fatal: not a git repository: '/Users/.../foo/.git'") which
       // leak host filesystem layout. Reviewer MEDIUM-2 on 2fa99d1.
-      const sanitize = (s) => {
-        if (!s) return s;
-        let out = String(s);
-        try {
-          const escapeRe = (str) => str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-          if (gitRoot) out = out.replace(new RegExp(escapeRe(gitRoot), 'g'), '<repo>');
-          if (this.baseFolder) out = out.replace(new RegExp(escapeRe(this.baseFolder), 'g'), '<base>');
-        } catch (_) {}
-        // Catch-all: redact long absolute path tokens that survived the prefix
-        // strip (different drive letters, symlink-resolved variants, etc.).
-        out = out.replace(/(['"]?)(\/[^\s'"`]{12,}|[A-Za-z]:[\\/][^\s'"`]{6,})\1/g, '<path>');
-        return out.slice(0, 300);
-      };
+      const sanitize = (s) => sanitizeGitMessage(s, { repo: gitRoot, base: this.baseFolder });
 
       const MAX_BYTES = 5 * 1024 * 1024;
       // execFile buffers stdout in memory; cap maxBuffer at MAX_BYTES + slack.
@@ -2323,6 +3142,170 @@ class ClaudeCodeWebServer {
       });
     });
 
+    // Git panel (file browser, git-panel.js): /api/git/*. Every request
+    // names a file or directory inside the repository as `path` (query for
+    // GET, body otherwise), which goes through validatePath and
+    // _findGitRoot as in /api/files/git-show; refs pass the same allowlist
+    // (isSafeRef, in utils/git-ops.js). One per-IP bucket covers reads and
+    // writes: opening the panel costs three requests and each file a diff,
+    // so it is wider than git-show's. Viewers are held to the GET routes by
+    // the role middleware. Commits and branch switches are audited.
+    const gitRepoRoot = (req, res) => {
+      const rl = this._perIpRateLimit(req, 'git', 120, 60_000);
+      if (rl) {
+        res.status(429).json({ error: 'Too many git requests', code: 'RATE_LIMITED', retryAfterMs: rl.retryAfterMs });
+        return null;
+      }
+      const target = req.method === 'GET' ? req.query.path : (req.body || {}).path;
+      if (!target || typeof target !== 'string') {
+        res.status(400).json({ error: 'Path is required', code: 'INVALID_ARGUMENT' });
+        return null;
+      }
+      const validation = this.validatePath(target);
+      if (!validation.valid) {
+        res.status(403).json({ error: validation.error, code: 'FORBIDDEN' });
+        return null;
+      }
+      const root = this._findGitRoot(validation.path);
+      if (!root) {
+        res.status(404).json({ error: 'Not a git repository', code: 'NOT_A_GIT_REPO' });
+        return null;
+      }
+      return root;
+    };
+    const gitFailure = (res, error, root) => {
+      res.status(error.statusCode || 500).json({
+        error: sanitizeGitMessage(error.message, { repo: root, base: this.baseFolder }) || 'git failed',
+        code: error.code || 'GIT_FAILED',
+      });
+    };
+    const gitNoStore = (res) => {
+      res.setHeader('X-Content-Type-Options', 'nosniff');
+      res.setHeader('Cache-Control', 'no-store');
+    };
+
+    this.app.get('/api/git/status', async (req, res) => {
+      const root = gitRepoRoot(req, res);
+      if (!root) return;
+      try {
+        gitNoStore(res);
+        res.json({ root, ...(await gitOps.status(root)) });
+      } catch (error) {
+        gitFailure(res, error, root);
+      }
+    });
+
+    // ?file= limits to one path; ?staged=1 index vs HEAD; ?untracked=1 a new
+    // file; ?commit= one commit; ?from=[&to=] between refs (or the working tree).
+    this.app.get('/api/git/diff', async (req, res) => {
+      const root = gitRepoRoot(req, res);
+      if (!root) return;
+      const q = req.query;
+      try {
+        gitNoStore(res);
+        res.json(await gitOps.diff(root, {
+          file: typeof q.file === 'string' ? q.file : undefined,
+          staged: q.staged === '1',
+          untracked: q.untracked === '1',
+          commit: typeof q.commit === 'string' ? q.commit : undefined,
+          from: typeof q.from === 'string' ? q.from : undefined,
+          to: typeof q.to === 'string' ? q.to : undefined,
+        }));
+      } catch (error) {
+        gitFailure(res, error, root);
+      }
+    });
+
+    this.app.post('/api/git/stage', async (req, res) => {
+      const root = gitRepoRoot(req, res);
+      if (!root) return;
+      try {
+        await gitOps.stageFiles(root, { files: req.body.files, all: req.body.all === true });
+        res.json({ success: true });
+      } catch (error) {
+        gitFailure(res, error, root);
+      }
+    });
+
+    this.app.post('/api/git/unstage', async (req, res) => {
+      const root = gitRepoRoot(req, res);
+      if (!root) return;
+      try {
+        await gitOps.unstageFiles(root, { files: req.body.files, all: req.body.all === true });
+        res.json({ success: true });
+      } catch (error) {
+        gitFailure(res, error, root);
+      }
+    });
+
+    // `{ file, hunkId, unstage }`: hunkId comes from GET /api/git/diff; a 409
+    // HUNK_CHANGED means the file moved on and the client should reload it.
+    this.app.post('/api/git/stage-hunk', async (req, res) => {
+      const root = gitRepoRoot(req, res);
+      if (!root) return;
+      const { file, hunkId, unstage } = req.body;
+      if (typeof hunkId !== 'string' || !hunkId) {
+        return res.status(400).json({ error: 'hunkId is required', code: 'INVALID_ARGUMENT' });
+      }
+      try {
+        await gitOps.applyHunk(root, { file, hunkId, unstage: unstage === true });
+        res.json({ success: true });
+      } catch (error) {
+        gitFailure(res, error, root);
+      }
+    });
+
+    this.app.post('/api/git/commit', async (req, res) => {
+      const root = gitRepoRoot(req, res);
+      if (!root) return;
+      try {
+        const commit = await gitOps.commit(root, req.body.message);
+        this._audit(req.actor, 'git.commit', { repo: root, sha: commit.sha });
+        res.status(201).json({ commit });
+      } catch (error) {
+        gitFailure(res, error, root);
+      }
+    });
+
+    this.app.get('/api/git/branches', async (req, res) => {
+      const root = gitRepoRoot(req, res);
+      if (!root) return;
+      try {
+        gitNoStore(res);
+        res.json(await gitOps.branches(root));
+      } catch (error) {
+        gitFailure(res, error, root);
+      }
+    });
+
+    // `{ branch, create }`. A remote-tracking name checks out a local branch
+    // tracking it.
+    this.app.post('/api/git/switch', async (req, res) => {
+      const root = gitRepoRoot(req, res);
+      if (!root) return;
+      const { branch, create } = req.body;
+      try {
+        await gitOps.switchBranch(root, branch, { create: create === true });
+        this._audit(req.actor, 'git.switch', { repo: root, branch, create: create === true });
+        res.json({ branch });
+      } catch (error) {
+        gitFailure(res, error, root);
+      }
+    });
+
+    // ?ref= (default HEAD), ?limit= (max 200), ?skip= for the next page.
+    this.app.get('/api/git/log', async (req, res) => {
+      const root = gitRepoRoot(req, res);
+      if (!root) return;
+      const { ref, limit, skip } = req.query;
+      try {
+        gitNoStore(res);
+        res.json(await gitOps.log(root, { ref: typeof ref === 'string' && ref ? ref : 'HEAD', limit, skip }));
+      } catch (error) {
+        gitFailure(res, error, root);
+      }
+    });
+
     // GET /api/search — SSE-streamed cross-file search via ripgrep (or grep
     // fallback on Linux). One match per SSE event; capped at 500 matches per
     // request and 50 matches per file. Rate-limited per IP at 10/minute.
@@ -2748,6 +3731,150 @@ class ClaudeCodeWebServer {
       });
     });
 
+    // Conversation view (docs/specs/transcript-view.md). The tab's Claude
+    // transcript is the file the sticky-note binder already tracks; the client
+    // never names a path, so nothing here is subject to validatePath.
+    //   GET /api/sessions/:sessionId/transcript?offset=&claudeSessionId=
+    //     Entries from `offset` on. A claudeSessionId other than the bound one
+    //     (/clear, /resume) reads from the start and sets `reset`.
+    //   GET /api/sessions/:sessionId/transcript/watch
+    //     SSE: {"type":"start"}, {"type":"change"} when a transcript in the
+    //     project folder is written, {"type":"end","reason":...}. The client
+    //     re-fetches on change.
+    this.app.get('/api/sessions/:sessionId/transcript', async (req, res) => {
+      const sessionId = req.params.sessionId;
+      if (!this.claudeSessions.has(sessionId)) {
+        return res.status(404).json({ error: 'Session not found', code: 'SESSION_NOT_FOUND' });
+      }
+      const binding = this._stickyJsonl.get(sessionId);
+      const noTranscript = () => res.status(404).json({ error: 'No Claude transcript for this session', code: 'TRANSCRIPT_NOT_FOUND' });
+      if (!binding || !binding.file) return noTranscript();
+      const asked = typeof req.query.claudeSessionId === 'string' ? req.query.claudeSessionId : '';
+      const switched = !!asked && asked !== binding.claudeSessionId;
+      const offset = switched ? 0 : Math.max(0, parseInt(req.query.offset, 10) || 0);
+      try {
+        const result = await readTranscript(binding.file, { offset });
+        if (!result) return noTranscript();
+        if (switched) result.reset = true;
+        res.json({ claudeSessionId: binding.claudeSessionId, ...result });
+      } catch (error) {
+        res.status(500).json({ error: 'Failed to read transcript', code: 'TRANSCRIPT_READ_FAILED' });
+      }
+    });
+
+    this.app.get('/api/sessions/:sessionId/transcript/watch', async (req, res) => {
+      const sessionId = req.params.sessionId;
+      if (!this.claudeSessions.has(sessionId)) {
+        return res.status(404).json({ error: 'Session not found', code: 'SESSION_NOT_FOUND' });
+      }
+      const binding = this._stickyJsonl.get(sessionId);
+      if (!binding || !binding.file) {
+        return res.status(404).json({ error: 'No Claude transcript for this session', code: 'TRANSCRIPT_NOT_FOUND' });
+      }
+      const streams = this._transcriptStreams.get(sessionId) || new Set();
+      if (streams.size >= MAX_TRANSCRIPT_STREAMS) {
+        return res.status(429).json({ error: 'Too many transcript streams', code: 'RATE_LIMITED' });
+      }
+      const dir = path.dirname(binding.file);
+
+      res.status(200);
+      res.setHeader('Content-Type', 'text/event-stream');
+      res.setHeader('Cache-Control', 'no-cache, no-transform, no-store');
+      res.setHeader('Connection', 'keep-alive');
+      res.setHeader('X-Accel-Buffering', 'no');
+      res.setHeader('X-Content-Type-Options', 'nosniff');
+      if (typeof res.flushHeaders === 'function') res.flushHeaders();
+      const send = (obj) => {
+        try { res.write('data: ' + JSON.stringify(obj) + '\n\n'); } catch (_) { /* ignore */ }
+      };
+
+      let watcher = null;
+      const entry = {
+        closed: false,
+        cleanup: (reason) => {
+          if (entry.closed) return;
+          entry.closed = true;
+          streams.delete(entry);
+          if (!streams.size && this._transcriptStreams.get(sessionId) === streams) {
+            this._transcriptStreams.delete(sessionId);
+          }
+          if (watcher) watcher.close().catch(() => {});
+          send({ type: 'end', reason });
+          try { res.end(); } catch (_) { /* ignore */ }
+        },
+      };
+      streams.add(entry);
+      this._transcriptStreams.set(sessionId, streams);
+      req.on('close', () => entry.cleanup('client-disconnect'));
+
+      const rawStability = process.env.FS_WATCHER_STABILITY_MS;
+      const stabilityMs = rawStability !== undefined && rawStability !== '' ? parseInt(rawStability, 10) : 80;
+      try {
+        watcher = new FileWatcher({
+          watchRoot: dir,
+          debounceMs: parseInt(process.env.FS_WATCHER_DEBOUNCE_MS, 10) || 300,
+          stabilityMs,
+          pollIntervalMs: parseInt(process.env.FS_WATCHER_POLL_MS, 10) || 30,
+          awaitWriteFinish: stabilityMs === 0 ? false : undefined,
+          usePolling: process.env.FS_WATCHER_USE_POLLING === '1',
+          ignoreDirs: [], // the project folder holds only transcripts
+          depth: 0,
+        });
+        watcher.on('event', (evt) => {
+          if (entry.closed || !evt || !/\.jsonl$/i.test(evt.path || '')) return;
+          // A rebind to another project folder (cd + relaunch) needs a new
+          // watcher; the client reconnects on this end reason.
+          const current = this._stickyJsonl.get(sessionId);
+          if (!current || !current.file || path.dirname(current.file) !== dir) {
+            entry.cleanup('rebound');
+            return;
+          }
+          send({ type: 'change' });
+        });
+        watcher.on('error', () => { /* transient walk errors; keep the stream */ });
+        await watcher.start();
+        if (entry.closed) return;
+        await watcher.subscribe(dir, { recursive: true });
+        send({ type: 'start' });
+      } catch (_) {
+        entry.cleanup('watcher-error');
+      }
+    });
+
+    // GET /api/sessions/:sessionId/export?format=md|html|json — a report of the
+    // session for pasting into a PR: sticky note, conversation (Claude's
+    // transcript, else the terminal's recent text), changed files, usage.
+    // Everything passes through redactSecrets. See docs/specs/session-export.md.
+    this.app.get('/api/sessions/:sessionId/export', async (req, res) => {
+      const session = this.claudeSessions.get(req.params.sessionId);
+      if (!session) return res.status(404).json({ error: 'Session not found', code: 'SESSION_NOT_FOUND' });
+      const format = req.query.format || 'md';
+      if (!sessionExport.FORMATS.includes(format)) {
+        return res.status(400).json({ error: `format must be one of ${sessionExport.FORMATS.join(', ')}`, code: 'INVALID_ARGUMENT' });
+      }
+      const rl = this._perIpRateLimit(req, 'export', 20, 60_000);
+      if (rl) {
+        return res.status(429).json({ error: 'Too many export requests', code: 'RATE_LIMITED', retryAfterMs: rl.retryAfterMs });
+      }
+      try {
+        const report = sessionExport.redactReport(sessionExport.buildReport({
+          session,
+          note: session.stickyNote || null,
+          ...(await this._exportConversation(session)),
+          repo: await this._exportRepo(session),
+          usage: await this._exportUsage(session),
+        }));
+        res.setHeader('Cache-Control', 'no-store');
+        res.setHeader('X-Content-Type-Options', 'nosniff');
+        if (format === 'json') return res.json(report);
+        res.setHeader('Content-Disposition', `attachment; filename="${sessionExport.exportFileName(report, format)}"`);
+        if (format === 'html') res.type('text/html; charset=utf-8').send(sessionExport.toHtml(report));
+        else res.type('text/markdown; charset=utf-8').send(sessionExport.toMarkdown(report));
+      } catch (error) {
+        res.status(500).json({ error: 'Failed to export session', code: 'EXPORT_FAILED' });
+      }
+    });
+
 
     // via chokidar. Per ADR-0017 (#100, amended at 4d047d1): proactive sync
     // between agent edits and user-open Monaco tabs / file-browser
@@ -3136,6 +4263,7 @@ class ClaudeCodeWebServer {
         await fs.promises.writeFile(resolvedPath, content, 'utf-8');
         const newHash = await computeFileHash(resolvedPath);
         const stat = await fs.promises.stat(resolvedPath);
+        this._audit(req.actor, 'file.write', { path: resolvedPath, bytes: stat.size, hash: newHash });
 
         res.json({ hash: newHash, size: stat.size });
       } catch (error) {
@@ -3256,6 +4384,7 @@ class ClaudeCodeWebServer {
 
         await fs.promises.writeFile(targetPath, buffer);
         const stat = await fs.promises.stat(targetPath);
+        this._audit(req.actor, 'file.upload', { path: targetPath, bytes: stat.size, overwrite: !!overwrite });
 
         // HOT-09: incrementally update the attachment-dir bytes cache so
         // the next upload doesn't pay an O(N) re-scan. Safe no-op if the
@@ -3436,11 +4565,7 @@ class ClaudeCodeWebServer {
     // Run session loading and command discovery in parallel
     await Promise.all([
       this._sessionsLoaded,
-      this.claudeBridge._commandReady,
-      this.codexBridge._commandReady,
-      this.copilotBridge._commandReady,
-      this.geminiBridge._commandReady,
-      this.terminalBridge._commandReady,
+      ...this.agentRegistry.bridges().map((bridge) => bridge._commandReady),
     ]);
 
     // Search-backend startup gate (ADR-0018). Hard-error with actionable
@@ -3451,6 +4576,20 @@ class ClaudeCodeWebServer {
     // the file-browser feature treats search as load-bearing.
     search.requireBackendAtStartup();
 
+    // Web Push keys and subscriptions. A failure here only disables push.
+    try {
+      await this.pushManager.init();
+      this.pushManager.attach(this.controlEventBus);
+    } catch (err) {
+      console.warn(`[push] disabled: ${err.message}`);
+    }
+    await this.webhooks.init();
+    this.webhooks.attach(this.controlEventBus);
+    await this.usageBudget.init();
+    this.usageBudget.start();
+    await this.jobScheduler.init();
+    this.jobScheduler.start();
+
     // Download preparation runs at boot, but native weights stay outside the core
     // and are loaded only when voice input is warmed or submitted.
     this._ensureSttModel();
@@ -3580,10 +4719,13 @@ class ClaudeCodeWebServer {
       // in zlib context allocation and eliminates thread pool contention.
       perMessageDeflate: false,
       verifyClient: (info) => {
-        if (!this.noAuth && this.auth) {
+        if (this._authEnabled()) {
           const url = new URL(info.req.url, 'ws://localhost');
           const token = url.searchParams.get('token');
-          return token === this.auth;
+          const user = this.authManager.authenticate(token);
+          if (!user) return false;
+          // Picked up by handleWebSocketConnection for per-message role checks.
+          info.req.aiOrDieUser = user;
         }
         return true;
       }
@@ -3617,6 +4759,13 @@ class ClaudeCodeWebServer {
         // Opt-in one-shot: disable hibernation (elevated) so a Hyper-V host
         // can't hibernate us. Fire-and-forget; off by default; never throws.
         this.hibernationGuard.run();
+        // --workspace <name>: open the profile's tabs once the port is bound,
+        // since spawned agents are handed this port in their artifact env.
+        if (this.startupWorkspace) {
+          this._launchWorkspace(this.startupWorkspace)
+            .then((r) => console.log(`Opened workspace "${r.workspace}" (${r.sessions.length} tabs)`))
+            .catch((err) => console.warn(`[workspace] ${err.message}`));
+        }
         resolve(server);
       };
       server.once('error', onError);
@@ -3646,6 +4795,8 @@ class ClaudeCodeWebServer {
       created: new Date(),
       secure: !!req.connection.encrypted,
       capabilities: new Set(),
+      user: req.aiOrDieUser || null, // null when auth is disabled
+      actor: actorFor(req.aiOrDieUser || null, this._requestTransport(req)),
     };
     this.webSocketConnections.set(wsId, wsInfo);
 
@@ -3767,6 +4918,21 @@ class ClaudeCodeWebServer {
     const wsInfo = this.webSocketConnections.get(wsId);
     if (!wsInfo) return;
 
+    if (!canSendWsMessage(wsInfo.user, data.type)) {
+      // Tell the client once per message type; a viewer typing into a
+      // terminal would otherwise get an error frame per keystroke.
+      if (!wsInfo.forbiddenNotified) wsInfo.forbiddenNotified = new Set();
+      if (!wsInfo.forbiddenNotified.has(data.type)) {
+        wsInfo.forbiddenNotified.add(data.type);
+        this.sendToWebSocket(wsInfo.ws, {
+          type: 'error',
+          code: 'forbidden',
+          message: `Signed in as ${wsInfo.user.name} (${wsInfo.user.role}): this session is read-only`,
+        });
+      }
+      return;
+    }
+
     switch (data.type) {
       case 'create_session':
         await this.createAndJoinSession(wsId, data.name, data.workingDir);
@@ -3780,22 +4946,23 @@ class ClaudeCodeWebServer {
         await this.leaveClaudeSession(wsId);
         break;
 
-      case 'start_claude':
-        await this.startToolSession(wsId, 'claude', this.claudeBridge, data.options || {}, data.cols, data.rows, data.viewId);
-        break;
-      case 'start_codex':
-        await this.startToolSession(wsId, 'codex', this.codexBridge, data.options || {}, data.cols, data.rows, data.viewId);
-        break;
-      case 'start_copilot':
-        await this.startToolSession(wsId, 'copilot', this.copilotBridge, data.options || {}, data.cols, data.rows, data.viewId);
-        break;
-      case 'start_gemini':
-        await this.startToolSession(wsId, 'gemini', this.geminiBridge, data.options || {}, data.cols, data.rows, data.viewId);
-        break;
-      case 'start_terminal':
-        await this.startToolSession(wsId, 'terminal', this.terminalBridge, data.options || {}, data.cols, data.rows, data.viewId);
+      case 'fork_session': {
+        // Defaults to the joined session; answers only the requester, who
+        // then joins the new tab like any other.
+        const sourceId = data.sessionId || wsInfo.claudeSessionId;
+        try {
+          const forked = await this._forkSession(sourceId, {
+            name: data.name,
+            worktree: data.worktree === true,
+            actor: wsInfo.actor || null,
+          });
+          this.sendToWebSocket(wsInfo.ws, { type: 'session_forked', ...forked });
+        } catch (error) {
+          this.sendToWebSocket(wsInfo.ws, { type: 'error', code: error.code, message: `Fork failed: ${error.message}` });
+        }
         break;
-      
+      }
+
       case 'input':
         if (data.data && data.data.length > 256 * 1024) {
           data.data = data.data.slice(0, 256 * 1024);
@@ -3825,6 +4992,7 @@ class ClaudeCodeWebServer {
                   } else {
                     await sendInput();
                   }
+                  this.auditLog.input(wsInfo.actor, wsInfo.claudeSessionId, data.data, 'websocket');
                 }
               } catch (error) {
                 if (this.dev) {
@@ -3842,6 +5010,9 @@ class ClaudeCodeWebServer {
                 message: 'No agent is running. Choose an option to start.'
               });
             }
+            if (Array.isArray(data.broadcast) && data.broadcast.length) {
+              await this._broadcastInput(wsInfo, wsInfo.claudeSessionId, data.broadcast, data.data);
+            }
           }
         }
         break;
@@ -3933,6 +5104,7 @@ class ClaudeCodeWebServer {
         if (wsInfo.claudeSessionId) {
           const stopSession = this.claudeSessions.get(wsInfo.claudeSessionId);
           if (!stopSession) break; // Session was deleted
+          this._audit(wsInfo.actor, 'session.stop', { sessionId: wsInfo.claudeSessionId, via: 'websocket' });
           await this.stopToolSession(wsInfo.claudeSessionId);
         }
         break;
@@ -3952,6 +5124,7 @@ class ClaudeCodeWebServer {
         break;
 
       case 'restart_server':
+        this._audit(wsInfo.actor, 'server.restart', { supervised: !!this.supervised });
         if (!this.supervised) {
           this.sendToWebSocket(wsInfo.ws, {
             type: 'error',
@@ -4022,10 +5195,12 @@ class ClaudeCodeWebServer {
         break;
 
       case 'start_vscode_tunnel':
+        this._audit(wsInfo.actor, 'vscode_tunnel.start', { sessionId: wsInfo.claudeSessionId || null });
         await this.handleStartVSCodeTunnel(wsId, data);
         break;
 
       case 'stop_vscode_tunnel':
+        this._audit(wsInfo.actor, 'vscode_tunnel.stop', { sessionId: wsInfo.claudeSessionId || null });
         await this.handleStopVSCodeTunnel(wsId, data);
         break;
 
@@ -4067,10 +5242,56 @@ class ClaudeCodeWebServer {
         break;
       }
 
-      default:
+      default: {
+        // start_<tool> for every registered agent, built-in or plugin.
+        const toolId = this.agentRegistry.toolForStartMessage(data.type);
+        if (toolId) {
+          await this.startToolSession(wsId, toolId, this.agentRegistry.bridgeFor(toolId),
+            data.options || {}, data.cols, data.rows, data.viewId);
+          break;
+        }
         if (this.dev) {
           console.log(`Unknown message type: ${data.type}`);
         }
+      }
+    }
+  }
+
+  /**
+   * Broadcast mode (session-manager.js): an `input` frame can name other
+   * sessions to receive the same bytes. Each copy goes through that
+   * session's bridge and geometry queue, as if typed into its own tab.
+   * Sessions that cannot take input are reported back once per frame as
+   * `broadcast_skipped`, and the client drops them from the broadcast.
+   */
+  async _broadcastInput(wsInfo, originId, targets, text) {
+    const ids = [...new Set(targets)]
+      .filter((id) => typeof id === 'string' && id !== originId)
+      .slice(0, MAX_BROADCAST_SESSIONS);
+    const skipped = [];
+    await Promise.all(ids.map(async (id) => {
+      const session = this.claudeSessions.get(id);
+      const bridge = session && session.active && session.agent ? this.getBridgeForAgent(session.agent) : null;
+      if (!bridge) {
+        skipped.push(id);
+        return;
+      }
+      try {
+        const sendInput = () => bridge.sendInput(id, text);
+        if (this.terminalGeometry) await this.terminalGeometry.runSerialized(id, sendInput);
+        else await sendInput();
+        this.auditLog.input(wsInfo.actor, id, text, 'broadcast');
+      } catch (error) {
+        if (this.dev) console.error(`Broadcast input to ${id} failed:`, error.message);
+        skipped.push(id);
+      }
+    }));
+    if (skipped.length) {
+      this.sendToWebSocket(wsInfo.ws, {
+        type: 'broadcast_skipped',
+        sessionIds: skipped,
+        message: `Broadcast input could not be sent to ${skipped.length} session${skipped.length === 1 ? '' : 's'}`,
+      });
     }
   }
 
@@ -4145,6 +5366,13 @@ class ClaudeCodeWebServer {
 
     // Save sessions after creating new one
     this.saveSessionsToDisk();
+    this._audit(wsInfo.actor, 'session.create', {
+      sessionId,
+      name: session.name,
+      workingDir: validWorkingDir,
+      agent: null,
+      via: 'websocket',
+    });
     
     this.sendToWebSocket(wsInfo.ws, {
       type: 'session_created',
@@ -4190,6 +5418,11 @@ class ClaudeCodeWebServer {
     if (session._ctlTranscript) {
       renderedSnapshot = (await this._peekWithTimeout(session._ctlTranscript, 200, 300)) || renderedSnapshot;
     }
+    // A browser on this machine gets the replay as it is; any other transport
+    // (LAN, proxy, tunnel, mesh) gets it redacted when --redact is on. Loaded
+    // here so no await sits between the flush and the subscription below.
+    const remote = !!(wsInfo.actor && wsInfo.actor.transport && wsInfo.actor.transport !== 'localhost');
+    const redaction = remote && this.outputRedactor ? await this.outputRedactor.settings() : null;
     // Drain any coalesced output that is already represented in outputBuffer
     // before the new subscriber is added. Otherwise the pending coalescer flush
     // sends those same bytes immediately after session_joined replays them.
@@ -4215,6 +5448,12 @@ class ClaudeCodeWebServer {
     // is still sent, because a caller that is still open deserves an answer.
     const wsStillOpen = wsInfo && wsInfo.ws && wsInfo.ws.readyState === WebSocket.OPEN;
     if (wsStillOpen) session.connections.add(wsId);
+    let outputBuffer;
+    if (redaction && redaction.remoteReplay) {
+      ({ outputBuffer, renderedSnapshot } = this._redactJoinReplay(session, renderedSnapshot, redaction));
+    } else {
+      outputBuffer = this._buildJoinReplay(session);
+    }
     this.sendToWebSocket(wsInfo.ws, {
       type: 'session_joined',
       sessionId: claudeSessionId,
@@ -4223,7 +5462,8 @@ class ClaudeCodeWebServer {
       active: session.active,
       wasActive: session.wasActive || false,
       agent: session.agent || null,
-      outputBuffer: this._buildJoinReplay(session),
+      worktree: session.worktree || null,
+      outputBuffer,
       renderedSnapshot, // rendered last screen so idle/empty-buffer joins repaint
       stickyNote: session.stickyNote || null,
       autoTitle: session.nameIsUserSet ? null : (session.autoTitle || null),
@@ -4262,15 +5502,18 @@ class ClaudeCodeWebServer {
     }
   }
 
-  _buildJoinReplay(session, maxBytes = 256 * 1024) {
+  // `transform` rewrites the whole buffer before it is cut to maxBytes, so a
+  // secret that straddles the cut is still seen whole.
+  _buildJoinReplay(session, maxBytes = 256 * 1024, transform = null) {
     const holdingGeometry = session && Array.isArray(session._geometryOutputHold);
-    const items = holdingGeometry && Array.isArray(session._geometryReplayBuffer)
+    let items = holdingGeometry && Array.isArray(session._geometryReplayBuffer)
       ? session._geometryReplayBuffer
       : (
         session && session.outputBuffer && session.outputBuffer.toArray
           ? session.outputBuffer.toArray()
           : []
       );
+    if (transform) items = transform(items);
     let bytes = 0;
     let start = items.length;
     while (start > 0) {
@@ -4283,6 +5526,33 @@ class ClaudeCodeWebServer {
     return items.slice(start);
   }
 
+  /**
+   * The join replay and rendered screen for a remote viewer, redacted, with
+   * what was taken out added to `session.redactions.replayed`.
+   * @returns {{outputBuffer: string[], renderedSnapshot: string|null}}
+   */
+  _redactJoinReplay(session, renderedSnapshot, settings) {
+    let counts = {};
+    const outputBuffer = this._buildJoinReplay(session, undefined, (items) => {
+      const out = this.outputRedactor.redactChunks(items, settings);
+      counts = out.counts;
+      return out.chunks;
+    });
+    let snapshot = renderedSnapshot;
+    if (typeof snapshot === 'string' && snapshot) {
+      const out = this.outputRedactor.redactText(snapshot, settings);
+      snapshot = out.text;
+      counts = OutputRedactor.addCounts(counts, out.counts);
+    }
+    if (Object.keys(counts).length) {
+      session.redactions = {
+        ...(session.redactions || {}),
+        replayed: OutputRedactor.addCounts(session.redactions && session.redactions.replayed, counts),
+      };
+    }
+    return { outputBuffer, renderedSnapshot: snapshot };
+  }
+
   async leaveClaudeSession(wsId) {
     const wsInfo = this.webSocketConnections.get(wsId);
     if (!wsInfo || !wsInfo.claudeSessionId) return;
@@ -4325,25 +5595,349 @@ class ClaudeCodeWebServer {
     }
   }
 
-  getBridgeForAgent(agentType) {
-    const bridges = {
-      claude: this.claudeBridge,
-      codex: this.codexBridge,
-      copilot: this.copilotBridge,
-      gemini: this.geminiBridge,
-      terminal: this.terminalBridge
+  /**
+   * Open every tab of a workspace profile (POST /api/sessions/create with
+   * `workspace`, --workspace, the command palette). Tabs use the same headless
+   * spawn as control-plane creates, so they are running before a browser
+   * attaches, and each tab's startup command is typed once its agent is ready.
+   * Working directories are all validated before anything is created.
+   * @param {string} name - Profile name.
+   * @param {{name: string|null, role: string|null, transport: string|null}|null} [actor] - Requester, for the audit log.
+   * @returns {Promise<{success: true, workspace: string, sessions: object[], layout: {split: ({left: string, right: string}|null), focus: string}}>}
+   * @throws {Error} code WORKSPACE_NOT_FOUND, INVALID_WORKSPACE or INVALID_WORKDIR
+   */
+  async _launchWorkspace(name, actor = null) {
+    const profile = await this.workspaceProfiles.load(name);
+    const dirs = profile.tabs.map((tab) => {
+      if (!tab.workingDir) return undefined;
+      const validation = this.validatePath(path.resolve(this.baseFolder, tab.workingDir));
+      if (!validation.valid) {
+        const err = new Error(`Workspace "${profile.name}": working directory of tab "${tab.name}" is outside the allowed area`);
+        err.code = 'INVALID_WORKDIR';
+        throw err;
+      }
+      return validation.path;
+    });
+
+    // Started side by side so slow agents boot in parallel. Each create
+    // registers its session before its first await, so tab order still
+    // follows the profile.
+    const sessions = await Promise.all(profile.tabs.map(async (tab, i) => {
+      const created = await this._controlCreateSession({
+        name: tab.name,
+        workingDir: dirs[i],
+        start: true,
+        agent: tab.tool,
+        actor,
+        via: 'workspace',
+      });
+      const session = this.claudeSessions.get(created.sessionId);
+      const entry = {
+        sessionId: created.sessionId,
+        name: tab.name,
+        tool: tab.tool,
+        workingDir: session ? session.workingDir : dirs[i] || null,
+        split: tab.split,
+        lifecycle: created.lifecycle,
+        commandSent: false,
+      };
+      if (created.startError) entry.error = created.startError;
+      else if (created.blocker) entry.blocker = created.blocker;
+      // Don't type into a folder-trust modal: the Enter would accept it.
+      const blocked = created.blocker && created.blocker.kind === 'trust';
+      if (tab.command && (created.lifecycle === 'running' || (created.lifecycle === 'starting' && !blocked))) {
+        try {
+          this.auditLog.input(actor, created.sessionId, tab.command, 'workspace');
+          await this._controlSendMessage({ sessionId: created.sessionId, message: tab.command, awaitMs: 0 });
+          entry.commandSent = true;
+        } catch (err) {
+          entry.error = err.message;
+        }
+      }
+      return entry;
+    }));
+
+    const right = sessions.find((s) => s.split === 'right');
+    const left = sessions.find((s) => s.split === 'left') || sessions.find((s) => s !== right);
+    return {
+      success: true,
+      workspace: profile.name,
+      sessions,
+      layout: {
+        split: right && left ? { left: left.sessionId, right: right.sessionId } : null,
+        focus: (left || sessions[0]).sessionId,
+      },
+    };
+  }
+
+  /**
+   * Start a tab from a session template (POST /api/sessions/create or
+   * control-plane create with `template`). The template decides the agent and
+   * how it is launched; the caller picks the name, directory and worktree. The
+   * instructions fragment is written before the agent starts, and the first
+   * prompt is typed later by _sendTemplatePrompt.
+   * @param {string} ref - Template id or name.
+   * @param {object} [opts] - `_controlCreateSession` options. `name` defaults to the template's.
+   * @returns {Promise<object>} The create result plus `template` (`{ id, name }`),
+   *   `instructions` (`{ file, written, error? }`, or null) and `prompt`
+   *   (`"pending"` when a first prompt will be sent, else null).
+   * @throws {Error} code TEMPLATE_NOT_FOUND, INVALID_WORKDIR or INVALID_ARGUMENT
+   */
+  async _createFromTemplate(ref, opts = {}) {
+    let template;
+    try {
+      template = await this.templateStore.get(ref);
+    } catch (err) {
+      if (err.code === 'TEMPLATE_NOT_FOUND') throw this._controlError('TEMPLATE_NOT_FOUND', `Unknown template "${ref}"`, 404);
+      throw err;
+    }
+    const args = template.args || [];
+    const env = template.env || {};
+    let instructions = null;
+    const created = await this._controlCreateSession({
+      ...opts,
+      name: (typeof opts.name === 'string' && opts.name.trim()) || template.name,
+      secrets: [...(template.secrets || []), ...normalizeSecretNames(opts.secrets)],
+      start: true,
+      agent: template.agent,
+      dangerouslySkipPermissions: !!template.dangerouslySkipPermissions,
+      agentArgs: args.length ? args : undefined,
+      extraEnv: Object.keys(env).length ? env : undefined,
+      templateName: template.name,
+      prepare: template.instructions
+        ? async (dir) => { instructions = await this._writeTemplateInstructions(template, dir); }
+        : undefined,
+    });
+    const started = !created.startError && created.lifecycle !== 'exited';
+    if (template.prompt && started) {
+      this._sendTemplatePrompt(created.sessionId, template.prompt, opts.actor || null)
+        .catch((err) => console.warn(`[templates] first prompt for ${created.sessionId} failed: ${err.message}`));
+    }
+    const session = this.claudeSessions.get(created.sessionId);
+    return {
+      ...created,
+      workingDir: session ? session.workingDir : null,
+      template: { id: template.id, name: template.name },
+      instructions,
+      prompt: template.prompt && started ? 'pending' : null,
+    };
+  }
+
+  // Put a template's instructions in the working directory's CLAUDE.md,
+  // AGENTS.md or GEMINI.md as a marked block. Failure is reported, not thrown:
+  // the tab still starts, just without the fragment.
+  async _writeTemplateInstructions(template, dir) {
+    const validation = this.validatePath(path.join(dir, template.instructionsFile || instructionsFileFor(template.agent)));
+    if (!validation.valid) return { file: null, written: false, error: validation.error };
+    const file = validation.path;
+    try {
+      let existing = '';
+      try {
+        existing = await fs.promises.readFile(file, 'utf8');
+      } catch (err) {
+        if (err.code !== 'ENOENT') throw err;
+      }
+      await fs.promises.writeFile(file, upsertInstructions(existing, template.name, template.instructions));
+      return { file, written: true };
+    } catch (err) {
+      return { file, written: false, error: err.message };
+    }
+  }
+
+  // Type a template's first prompt once session-status reports the agent idle
+  // at its prompt: never into a folder-trust or other modal, which reads as
+  // waiting_input. The outcome is kept on the session as `templatePrompt`:
+  // sent, exited (the agent stopped first) or timed_out.
+  async _sendTemplatePrompt(sessionId, prompt, actor) {
+    const deadline = Date.now() + TEMPLATE_PROMPT_WAIT_MS;
+    const record = (outcome) => {
+      const s = this.claudeSessions.get(sessionId);
+      if (s) s.templatePrompt = outcome;
+      return outcome;
+    };
+    for (;;) {
+      const session = this.claudeSessions.get(sessionId);
+      if (!session || !session.active) return record('exited');
+      const status = await this._controlDerivedStatus(sessionId);
+      if (status && status.lifecycle === 'running' && status.interactionState === 'idle' && status.canAcceptInput) break;
+      if (Date.now() >= deadline) return record('timed_out');
+      await new Promise((resolve) => {
+        const timer = setTimeout(resolve, 500);
+        if (timer.unref) timer.unref();
+      });
+    }
+    this.auditLog.input(actor, sessionId, prompt, 'template');
+    await this._controlSendMessage({ sessionId, message: prompt, awaitMs: 0 });
+    return record('sent');
+  }
+
+  /**
+   * Fork a running session into a new one with the same tool, directory and
+   * launch options (POST /api/sessions/:id/fork, `fork_session`). A claude
+   * session that is bound to a transcript resumes it with `--resume <id>
+   * --fork-session`, so the fork starts with the same context on a new claude
+   * session id; in a worktree, from a copy of the transcript in the worktree's
+   * project directory (`resumed` is false if the copy fails). Other agents
+   * start fresh in the same place.
+   * @param {string} sourceId
+   * @param {{name?: string, worktree?: boolean, actor?: object}} [opts] -
+   *   `worktree` checks the fork out in a new git worktree and branch.
+   * @returns {Promise<{sessionId: string, sourceSessionId: string, name: string, agent: string,
+   *   workingDir: string, resumed: boolean, worktree: ({path: string, branch: string, repoRoot: string}|null),
+   *   lifecycle: string, error?: string}>}
+   * @throws {Error} code SESSION_NOT_FOUND, PRECONDITION_FAILED, NOT_A_GIT_REPO, GIT_FAILED or INVALID_WORKDIR
+   */
+  async _forkSession(sourceId, opts = {}) {
+    const source = this.claudeSessions.get(sourceId);
+    if (!source) throw this._controlError('SESSION_NOT_FOUND', 'Unknown session', 404);
+    const agent = source.agent;
+    if (!source.active || !agent) {
+      throw this._controlError('PRECONDITION_FAILED', 'Only a session with a running agent can be forked', 409);
+    }
+    // A terminal tab may have cd'ed away from where it started.
+    let workingDir = (agent === 'terminal' && source.liveCwd) || source.workingDir;
+
+    let worktree = null;
+    if (opts.worktree) ({ workingDir, worktree } = await this._createSessionWorktree(workingDir, 'fork'));
+
+    // Resume only a transcript that exists; a pending bind has no turns yet.
+    const binding = agent === 'claude' ? this._stickyJsonl.get(sourceId) : null;
+    let resumeId = binding && !binding.transcriptPending ? binding.claudeSessionId : null;
+    // Claude looks a --resume id up in the project directory of its cwd, and
+    // a worktree is a different cwd: give it a copy of the transcript there.
+    if (resumeId && worktree && !(await this._copyTranscriptToCwd(binding.file, workingDir))) resumeId = null;
+    const launch = source.launchOptions || {};
+    const name = (typeof opts.name === 'string' && opts.name.trim()) || `${source.name} (fork)`;
+
+    const created = await this._controlCreateSession({
+      name,
+      workingDir,
+      start: true,
+      agent,
+      dangerouslySkipPermissions: !!launch.dangerouslySkipPermissions,
+      permissionMode: launch.permissionMode || undefined,
+      agentArgs: resumeId ? ['--resume', resumeId, '--fork-session'] : undefined,
+      extraEnv: launch.extraEnv || undefined,
+      secrets: source.secretNames || undefined,
+      // The browser attaches straight away and watches the tab come up.
+      readyTimeoutMs: 0,
+      actor: opts.actor || null,
+      via: 'fork',
+    });
+    const forked = this.claudeSessions.get(created.sessionId);
+    if (forked) {
+      forked.forkedFrom = sourceId;
+      if (worktree) forked.worktree = worktree;
+    }
+    this._audit(opts.actor, 'session.fork', {
+      sessionId: created.sessionId,
+      sourceSessionId: sourceId,
+      agent,
+      resumed: !!resumeId,
+      branch: worktree ? worktree.branch : null,
+    });
+    const result = {
+      sessionId: created.sessionId,
+      sourceSessionId: sourceId,
+      name,
+      agent,
+      workingDir: forked ? forked.workingDir : workingDir,
+      resumed: !!resumeId,
+      worktree,
+      lifecycle: created.lifecycle,
+    };
+    // Like a workspace tab: the session exists either way, so report the
+    // failure and let the client show the exited tab.
+    if (created.startError) result.error = created.startError;
+    return result;
+  }
+
+  /**
+   * Copy a claude transcript into the project directory claude uses for
+   * `cwd` (`<projects>/<slug>/<id>.jsonl`, next to the source's own project
+   * directory), so `--resume <id>` started there finds it.
+   * @param {string} file - The bound transcript.
+   * @param {string} cwd
+   * @returns {Promise<boolean>} false when there is no file or the copy failed.
+   */
+  async _copyTranscriptToCwd(file, cwd) {
+    if (!file) return false;
+    const dir = path.join(path.dirname(path.dirname(file)), StickyNoteJsonl.slugForCwd(cwd));
+    try {
+      await fs.promises.mkdir(dir, { recursive: true });
+      await fs.promises.copyFile(file, path.join(dir, path.basename(file)));
+      return true;
+    } catch (err) {
+      console.warn(`[fork] Could not copy ${file} for ${cwd}: ${err.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * Check out a new git worktree for a session (create or fork with
+   * `worktree: true`) and make sure it is inside the allowed area.
+   * @param {string} dir - Validated directory inside the source checkout.
+   * @param {string} prefix - Branch/dir name prefix.
+   * @returns {Promise<{workingDir: string, worktree: {path: string, branch: string, repoRoot: string}}>}
+   * @throws {Error} code NOT_A_GIT_REPO (400), GIT_FAILED (500) or INVALID_WORKDIR (403)
+   */
+  async _createSessionWorktree(dir, prefix) {
+    let created;
+    try {
+      created = await createWorktree(dir, { prefix });
+    } catch (err) {
+      throw this._controlError(err.code || 'GIT_FAILED', err.message, err.code === 'NOT_A_GIT_REPO' ? 400 : 500);
+    }
+    const worktree = { path: created.path, branch: created.branch, repoRoot: created.repoRoot };
+    // The worktree lives under the main checkout, which can sit above
+    // baseFolder when the session started in a subdirectory of a repo.
+    const validation = this.validatePath(created.workingDir);
+    if (!validation.valid) {
+      await closeWorktree(worktree, 'discard').catch(() => {});
+      throw this._controlError('INVALID_WORKDIR', 'The repository root is outside the allowed area', 403);
+    }
+    return { workingDir: validation.path, worktree };
+  }
+
+  // Append an audit entry. Tolerates a missing auditLog so prototype-built
+  // test harnesses don't need one.
+  _audit(actor, action, details) {
+    if (this.auditLog) this.auditLog.record(actor || null, action, details);
+  }
+
+  // localhost / lan / tunnel / mesh / proxy — see classifyTransport.
+  _requestTransport(req) {
+    const hostOf = (manager) => {
+      try {
+        const url = manager && manager.getStatus().publicUrl;
+        return url ? new URL(url).hostname.toLowerCase() : null;
+      } catch (_) {
+        return null;
+      }
     };
-    return bridges[agentType] || null;
+    return classifyTransport(req, {
+      tunnel: !!this.tunnelManager,
+      tunnelHost: hostOf(this.tunnelManager),
+      mesh: !!this.meshManager,
+      meshHost: hostOf(this.meshManager),
+    });
+  }
+
+  // Auth is on unless --disable-auth/tunnel mode, and there is at least one
+  // token to check against: the shared --auth token or a users.json entry.
+  _authEnabled() {
+    return !this.noAuth && (!!this.auth || this.authManager.hasUsers());
+  }
+
+  getBridgeForAgent(agentType) {
+    return this.agentRegistry ? this.agentRegistry.bridgeFor(agentType) : null;
   }
 
   // Return the bridge that currently owns a live PTY for `sessionId`, or null.
   // Uses msSinceLastOutput (null when the session is absent/inactive) so we
   // don't reach into a bridge's private session map.
   _bridgeForSession(sessionId) {
-    const bridges = [
-      this.claudeBridge, this.terminalBridge,
-      this.codexBridge, this.copilotBridge, this.geminiBridge,
-    ];
+    const bridges = this.agentRegistry ? this.agentRegistry.bridges() : [];
     for (const bridge of bridges) {
       if (bridge && typeof bridge.msSinceLastOutput === 'function'
           && bridge.msSinceLastOutput(sessionId) !== null) {
@@ -4443,13 +6037,41 @@ class ClaudeCodeWebServer {
       getMeshPeers: () => this.meshManager ? this.meshManager.getStatus().peers : [],
       getStatusSignal: (id) => this._controlStatusSignal(id),
       readTail: async (id, lines) => this._controlReadTail(id, lines),
-      createSession: async (opts) => this._controlCreateSession(opts),
-      stopSession: async (id, mode, idempotencyKey) => this._controlStopSession(id, mode, idempotencyKey),
-      sendMessage: async (opts) => this._controlSendMessage(opts),
-      sendKeys: async (opts) => this._controlSendKeys(opts),
-      respond: async (opts) => this._controlRespond(opts),
+      createSession: async (opts) => (opts.template !== undefined
+        ? this._createFromTemplate(opts.template, { ...opts, via: 'control' })
+        : this._controlCreateSession({ ...opts, via: 'control' })),
+      stopSession: async (id, mode, idempotencyKey, actor) => {
+        this._audit(actor, 'session.stop', { sessionId: id, via: 'control', mode });
+        return this._controlStopSession(id, mode, idempotencyKey);
+      },
+      sendMessage: async (opts) => {
+        this._audit(opts.actor, 'control.message', {
+          sessionId: opts.sessionId,
+          bytes: Buffer.byteLength(opts.message == null ? '' : String(opts.message), 'utf8'),
+        });
+        return this._controlSendMessage(opts);
+      },
+      sendKeys: async (opts) => {
+        this._audit(opts.actor, 'control.keys', {
+          sessionId: opts.sessionId,
+          keys: [].concat(opts.keys == null ? [] : opts.keys).length,
+          raw: !!opts.raw,
+        });
+        return this._controlSendKeys(opts);
+      },
+      respond: async (opts) => {
+        // choice / optionValue name a menu option, not free text, so they are kept.
+        this._audit(opts.actor, 'control.respond', {
+          sessionId: opts.sessionId,
+          choice: opts.choice || null,
+          optionValue: opts.optionValue == null ? null : opts.optionValue,
+        });
+        return this._controlRespond(opts);
+      },
       snapshot: async () => this._controlSnapshot(),
       capabilities: () => this._controlCapabilities(),
+      webhooks: this.webhooks,
+      audit: (actor, action, details) => this._audit(actor, action, details),
     };
   }
 
@@ -4489,7 +6111,12 @@ class ClaudeCodeWebServer {
         lastActivity: session.lastActivity || null,
       };
     }));
-    return { sessions: sessions.filter(Boolean), cursor, capturedAt: Date.now() };
+    return {
+      sessions: sessions.filter(Boolean),
+      cursor,
+      capturedAt: Date.now(),
+      budgets: this.usageBudget ? this.usageBudget.snapshot() : null,
+    };
   }
 
   /**
@@ -4507,6 +6134,10 @@ class ClaudeCodeWebServer {
         'events_cursor',       // F22 cursor-based /events long-poll (epoch:seq, strictly-after)
         'events_retention',    // F15 per-session event ring + overflow gap
         'session_state_seq',   // monotonic per-session state seq surfaced in status/message responses
+        'budgets',             // budget_alert event kind + snapshot.budgets (usage-budget.js)
+        'broadcast',           // POST /sessions/broadcast (one message or keys to many sessions)
+        // /webhooks CRUD + deliveries (control/webhooks.js); the routes 404 without a manager.
+        ...(this.webhooks ? ['webhooks'] : []),
       ],
       controlVersion: String(CONTROL_CONTRACT_VERSION),
       // Additive extras (the fleet client ignores unknown keys; kept for human/debug + future clients):
@@ -4575,7 +6206,9 @@ class ClaudeCodeWebServer {
       const awaiting = await this._controlDetectAwaitingCached(b);
       if (awaiting) Object.assign(jsonl, awaiting);
     }
-    return { hadOutput, jsonl, renderedTail, exit: session._lastExit || null };
+    // Plugin agents may bring their own busy footer; null keeps the default.
+    const busyRegex = this.agentRegistry ? this.agentRegistry.busyRegexFor(session.agent) : null;
+    return { hadOutput, jsonl, renderedTail, exit: session._lastExit || null, busyRegex };
   }
 
   async _controlDetectAwaitingCached(binding) {
@@ -4597,6 +6230,7 @@ class ClaudeCodeWebServer {
       jsonl: signal.jsonl,
       renderedTail: signal.renderedTail,
       exit: signal.exit,
+      busyRegex: signal.busyRegex,
       // F12: coarse PTY-output recency feeds the UNBOUND busy/idle fallback. Only
       // consulted when there is no JSONL binding; bound claude returns earlier on
       // the authoritative transcript turn state.
@@ -4642,9 +6276,137 @@ class ClaudeCodeWebServer {
 
     const kind = this._controlEventKindForInteractionState(status.interactionState);
     if (kind) this._controlAppendStateEvent(sessionId, kind, { interactionState: status.interactionState, confidence: status.confidence });
+    // Once per waiting_input edge, never awaited: the pollers that drive this
+    // must not stall on a policy file read or on typing the answer.
+    if (kind === 'waiting_input') {
+      Promise.resolve(this._applyApprovalPolicy(sessionId, status)).catch(() => {});
+    }
     return status;
   }
 
+  /**
+   * Answer a freshly detected prompt from the approval policy
+   * (control/approval-policy.js): approve / deny through _controlRespond,
+   * escalate by notifying the browsers. Every decision is audited as
+   * `policy.decision`; in dry-run mode nothing is typed and every prompt is
+   * escalated, so a person still answers it.
+   * @param {string} sessionId
+   * @param {object} status - Derived status carrying `awaiting`.
+   * @returns {Promise<object|null>} The decision, or null when no policy applies or no dialog is on screen.
+   */
+  async _applyApprovalPolicy(sessionId, status) {
+    const session = this.claudeSessions.get(sessionId);
+    const awaiting = status && status.awaiting;
+    if (!this.approvalPolicy || !session || !awaiting) return null;
+
+    // Rules only ever see the dialog itself. No dialog on screen (an unbound
+    // agent with a different layout, a transcript that is unavailable) means
+    // no decision: the browsers already got waiting_input.
+    let dialog = '';
+    if (session._ctlTranscript) {
+      try {
+        dialog = promptTextFromScreen(await session._ctlTranscript.snapshot(20));
+      } catch (_) { /* transcript unavailable */ }
+    }
+    if (!dialog) return null;
+    const prompt = {
+      kind: awaiting.kind,
+      agent: session.agent,
+      workingDir: session.workingDir,
+      text: dialog,
+    };
+
+    let decision;
+    try {
+      decision = await this.approvalPolicy.decide(prompt);
+    } catch (err) {
+      // A broken rules file must not answer anything. Say so once per edit.
+      if (this._approvalPolicyError !== err.message) {
+        this._approvalPolicyError = err.message;
+        console.warn(`[policy] ${err.message}`);
+      }
+      return null;
+    }
+    this._approvalPolicyError = null;
+    if (!decision) return null;
+
+    let delivered = false;
+    let error = null;
+    if (decision.action !== 'escalate' && !decision.dryRun) {
+      try {
+        const result = await this._controlRespond({
+          sessionId,
+          choice: decision.action === 'approve' ? 'accept' : 'reject',
+        });
+        delivered = !!(result && result.delivered);
+        if (result && result.error) error = result.error.code;
+      } catch (err) {
+        error = err.code || err.message;
+      }
+    }
+    this._audit(null, 'policy.decision', {
+      sessionId,
+      kind: awaiting.kind,
+      decision: decision.action,
+      rule: decision.rule,
+      dryRun: decision.dryRun,
+      delivered,
+      ...(error ? { error } : {}),
+    });
+    // Anything not answered needs a person: a dry run, an escalate, or an
+    // approve / deny whose keystrokes could not be delivered.
+    if (!delivered) {
+      this.broadcastSessionActivity(sessionId, 'session_approval_needed', {
+        kind: awaiting.kind,
+        decision: decision.action,
+        rule: decision.rule,
+        dryRun: decision.dryRun,
+      });
+    }
+    return { ...decision, delivered };
+  }
+
+  /** Live agent sessions in the shape UsageBudget attributes usage to. */
+  _budgetSessions() {
+    const list = [];
+    for (const [id, session] of this.claudeSessions) {
+      if (!session.agent) continue;
+      const binding = session.agent === 'claude' && this._stickyJsonl ? this._stickyJsonl.get(id) : null;
+      list.push({
+        id,
+        agent: session.agent,
+        workingDir: session.workingDir,
+        startedAt: session.sessionStartTime ? new Date(session.sessionStartTime).getTime() : NaN,
+        claudeSessionId: (binding && binding.claudeSessionId) || null,
+      });
+    }
+    return list;
+  }
+
+  /**
+   * Stop the running turn of a session that is over an interrupting budget.
+   * Every supported agent CLI cancels its turn on Esc ("esc to interrupt").
+   * @throws {Error} PRECONDITION_FAILED when the session is not running.
+   */
+  async _budgetInterrupt(sessionId, budget) {
+    const session = this.claudeSessions.get(sessionId);
+    if (!session) throw this._controlError('SESSION_NOT_FOUND', 'Unknown session', 404);
+    await this._controlSteeringLock(sessionId, async () => {
+      const bridge = this._controlInputBridge(sessionId, session);
+      await bridge.sendInput(sessionId, '\x1b');
+    });
+    this._audit(null, 'budget.interrupt', { sessionId, budget });
+  }
+
+  /** Fan a budget alert out to the control plane (push, webhooks) and open tabs. */
+  _budgetAlert(alert) {
+    const session = alert.sessionId ? this.claudeSessions.get(alert.sessionId) : null;
+    console.log(`[budget] "${alert.budget}" at ${Math.round(alert.fraction * 100)}%`
+      + (alert.interrupted.length ? `, interrupted ${alert.interrupted.length} session(s)` : ''));
+    if (this.controlEventBus) this.controlEventBus.append(alert.sessionId, 'budget_alert', alert);
+    this.broadcastToAll({ type: 'budget_alert', sessionName: session ? session.name : null, ...alert });
+  }
+
   _controlEventKindForInteractionState(interactionState) {
     if (interactionState === 'busy') return 'became_busy';
     if (interactionState === 'idle') return 'became_idle';
@@ -4784,6 +6546,21 @@ class ClaudeCodeWebServer {
         }
       }
 
+      // Vault secrets are checked here too: a locked vault or a missing name
+      // fails the create instead of starting an agent without them.
+      const secretNames = normalizeSecretNames(opts.secrets);
+      if (opts.start && secretNames.length) this.secretVault.resolve(secretNames);
+
+      // `worktree: true`: run on a new branch in its own git worktree. Created
+      // after the argument checks so a rejected create leaves nothing behind.
+      let sessionWorktree = null;
+      if (opts.worktree === true) {
+        ({ workingDir: validWorkingDir, worktree: sessionWorktree } = await this._createSessionWorktree(validWorkingDir, 'session'));
+      }
+      // Last step before the session exists, with its final directory
+      // (_createFromTemplate writes the instructions file here).
+      if (typeof opts.prepare === 'function') await opts.prepare(validWorkingDir);
+
       // opts.start spawns the agent headlessly via _controlStartAgent (below).
       const session = {
         id: sessionId,
@@ -4807,6 +6584,8 @@ class ClaudeCodeWebServer {
         },
         maxBufferSize: 1000
       };
+      if (sessionWorktree) session.worktree = sessionWorktree;
+      if (secretNames.length) session.secretNames = secretNames;
 
       this.claudeSessions.set(sessionId, session);
       if (this.terminalGeometry) this.terminalGeometry.initializeSession(sessionId, session);
@@ -4814,6 +6593,14 @@ class ClaudeCodeWebServer {
       this.sessionStore.markDirty();
       this.saveSessionsToDisk();
       if (this.controlEventBus) this.controlEventBus.append(sessionId, 'session_created');
+      this._audit(opts.actor, 'session.create', {
+        sessionId,
+        name: session.name,
+        workingDir: validWorkingDir,
+        agent: opts.start ? (opts.agent || 'claude') : null,
+        via: opts.via || 'control',
+        ...(opts.templateName ? { template: opts.templateName } : {}),
+      });
       // Headless start: spawn the agent over a PTY with NO WebSocket when
       // requested (the fleet create_session(start:true) path). The agent gets a
       // deterministic JSONL bind sidecar (turn detection) + the artifact tool
@@ -4827,10 +6614,11 @@ class ClaudeCodeWebServer {
             dangerouslySkipPermissions: !!opts.dangerouslySkipPermissions,
             permissionMode: opts.permissionMode,
             agentArgs: opts.agentArgs,
+            extraEnv: opts.extraEnv,
           });
         } catch (e) {
           lifecycle = 'exited';
-          return { sessionId, lifecycle, name: session.name, agent: null, ready: false, bound: false, blocker: { kind: 'start_error', message: (e && e.message) || 'start failed' }, startError: e && e.message };
+          return { sessionId, lifecycle, name: session.name, agent: null, ready: false, bound: false, ...(sessionWorktree ? { worktree: sessionWorktree } : {}), blocker: { kind: 'start_error', message: (e && e.message) || 'start failed' }, startError: e && e.message };
         }
         // F17: readiness barrier — don't report success the moment the PTY spawns.
         // Wait (bounded) until the agent is actually driveable (claude: JSONL-bound +
@@ -4845,10 +6633,11 @@ class ClaudeCodeWebServer {
           agent: session.agent || null,
           ready: state.ready,
           bound: state.bound,
+          ...(sessionWorktree ? { worktree: sessionWorktree } : {}),
           ...(state.blocker ? { blocker: state.blocker } : {}),
         };
       }
-      return { sessionId, lifecycle, name: session.name, agent: session.agent || null, ready: false, bound: false };
+      return { sessionId, lifecycle, name: session.name, agent: session.agent || null, ready: false, bound: false, ...(sessionWorktree ? { worktree: sessionWorktree } : {}) };
     });
   }
 
@@ -4933,8 +6722,11 @@ class ClaudeCodeWebServer {
     }
     const cols = opts.cols || 100;
     const rows = opts.rows || 30;
+    const secrets = session.secretNames && session.secretNames.length ? this.secretVault.resolve(session.secretNames) : null;
 
-    const extraEnv = {};
+    // Caller env first (a fork inherits its source's); the hardening and
+    // sidecar vars below always win.
+    const extraEnv = opts.extraEnv && typeof opts.extraEnv === 'object' ? { ...opts.extraEnv } : {};
     // F6: non-interactive env hardening for CONTROL-spawned PTYs only (interactive
     // WebSocket terminals keep their pager UX). A headless fleet shell has no human
     // to press 'q', so a paging git command (log/diff/branch → less) would hang the
@@ -4965,22 +6757,30 @@ class ClaudeCodeWebServer {
     try { session._ctlTranscript = new TranscriptBuffer({ cols, rows }); } catch (_) { session._ctlTranscript = null; }
     session.active = true;
     session.agent = toolName;
+    session.launchOptions = {
+      dangerouslySkipPermissions: !!opts.dangerouslySkipPermissions,
+      permissionMode: opts.permissionMode || null,
+      extraEnv: opts.extraEnv && typeof opts.extraEnv === 'object' ? { ...opts.extraEnv } : null,
+    };
     session._geometrySpawning = true;
     this.activityBroadcastTimestamps.set(sessionId, Date.now());
     try {
       const startedBridgeSession = await bridge.startSession(sessionId, {
         workingDir: session.workingDir,
         cols, rows,
+        title: session.name,
         dangerouslySkipPermissions: !!opts.dangerouslySkipPermissions,
         // F10: claude permission mode + caller passthrough flags (claude only;
         // terminal/codex bridges ignore these in BaseBridge.buildArgs).
         permissionMode: opts.permissionMode,
         agentArgs: opts.agentArgs,
+        secrets,
         onOutput: (data) => {
           const s = this.claudeSessions.get(sessionId);
           if (!s) return;
           s.outputBuffer.push(data);
           try { if (s._ctlTranscript) s._ctlTranscript.write(data); } catch (_) { /* isolate */ }
+          try { this.outputIndex.feed(sessionId, data); } catch (_) { /* isolate */ }
           // F12: record PTY-output recency + drive coarse busy/idle edges for
           // UNBOUND sessions (no-op for bound claude — the JSONL turn detector is
           // authoritative there).
@@ -5635,6 +7435,16 @@ class ClaudeCodeWebServer {
       return;
     }
 
+    // The tab's vault secrets, resolved before anything is marked active so a
+    // locked vault leaves the tab as it was.
+    let secrets = null;
+    try {
+      if (session.secretNames && session.secretNames.length) secrets = this.secretVault.resolve(session.secretNames);
+    } catch (err) {
+      this.sendToWebSocket(wsInfo.ws, { type: 'error', message: err.message });
+      return;
+    }
+
     if (advertised && this.terminalGeometry) {
       await this.terminalGeometry.takeControl(sessionId, wsId, viewId);
     }
@@ -5644,6 +7454,12 @@ class ClaudeCodeWebServer {
     // session.active check above and spawn duplicate PTY processes.
     session.active = true;
     session.agent = toolName;
+    // What a fork of this tab needs to start the same way.
+    session.launchOptions = {
+      dangerouslySkipPermissions: !!options.dangerouslySkipPermissions,
+      permissionMode: null,
+      extraEnv: options.extraEnv && typeof options.extraEnv === 'object' ? { ...options.extraEnv } : null,
+    };
     session._geometrySpawning = true;
     this.activityBroadcastTimestamps.set(sessionId, Date.now());
 
@@ -5720,12 +7536,14 @@ class ClaudeCodeWebServer {
         workingDir: session.workingDir,
         cols: spawnGeometry.cols,
         rows: spawnGeometry.rows,
+        title: session.name,
         ...osc7Hooks,
         onOutput: (data) => {
           const currentSession = this.claudeSessions.get(sessionId);
           if (!currentSession) return;
           currentSession.outputBuffer.push(data);
           try { if (currentSession._ctlTranscript) currentSession._ctlTranscript.write(data); } catch (_) { /* isolate */ }
+          try { this.outputIndex.feed(sessionId, data); } catch (_) { /* isolate */ }
           this.sessionStore.markDirty();
           this._broadcastOrHoldSessionOutput(sessionId, data);
           // Tap for the local-LLM summariser (off the hot path: this only
@@ -5780,6 +7598,8 @@ class ClaudeCodeWebServer {
           this.broadcastSessionActivity(sessionId, 'session_error');
         },
         ...options,
+        // Only ever the server's own resolution, never a value from the client.
+        secrets,
         extraEnv: {
           ...((options.extraEnv && typeof options.extraEnv === 'object') ? options.extraEnv : {}),
           ...terminalExtraEnv,
@@ -6009,6 +7829,22 @@ class ClaudeCodeWebServer {
     if (held.length > 0) this._throttledOutputBroadcast(sessionId, held.join(''));
   }
 
+  // Groups plus each grouped session's group id: GET /api/session-groups
+  // and the `session_groups` broadcast.
+  _sessionGroupsState() {
+    const members = {};
+    for (const [id, session] of this.claudeSessions) {
+      if (session.groupId) members[id] = session.groupId;
+    }
+    return { groups: this.sessionStore.listGroups(), members };
+  }
+
+  _sessionGroupsChanged() {
+    this.sessionStore.pruneGroups(this.claudeSessions);
+    this.saveSessionsToDisk();
+    this.broadcastToAll({ type: 'session_groups', ...this._sessionGroupsState() });
+  }
+
   broadcastToAll(data) {
     for (const [, wsInfo] of this.webSocketConnections) {
       if (wsInfo.ws.readyState === WebSocket.OPEN) {
@@ -6988,10 +8824,12 @@ class ClaudeCodeWebServer {
         // voice-upload rate-limit history lives on the session object and is
         // dropped with it below.
         try { this._cleanupFsWatchSession(top.id, 'session_evicted'); } catch (_) { /* ignore */ }
+        this._closeTranscriptStreams(top.id, 'session_evicted');
         try { this.stickyNoteSummarizer.cancel(top.id); } catch (_) { /* ignore */ }
         try { this._stickyJsonl.delete(top.id); } catch (_) { /* ignore */ }
         if (this._foregroundSessionId === top.id) this._foregroundSessionId = null;
         if (this.terminalGeometry) this.terminalGeometry.removeSession(top.id);
+        if (this.outputIndex) await this.outputIndex.forget(top.id);
         this.claudeSessions.delete(top.id);
         this.controlEventBus.append(top.id, 'session_deleted');
         this.activityBroadcastTimestamps.delete(top.id);
@@ -7122,6 +8960,80 @@ class ClaudeCodeWebServer {
     return true;
   }
 
+  // The conversation part of an export: a bound Claude tab's transcript
+  // entries, otherwise the terminal's buffered output.
+  async _exportConversation(session) {
+    const binding = this._stickyJsonl.get(session.id);
+    if (binding && binding.file) {
+      const transcript = await readTranscript(binding.file).catch(() => null);
+      if (transcript) return { entries: transcript.entries, truncated: transcript.truncated };
+    }
+    const chunks = session.outputBuffer && session.outputBuffer.toArray ? session.outputBuffer.toArray() : [];
+    return { terminal: chunks };
+  }
+
+  // Uncommitted changes in the session's repository and the commits made
+  // since the session started. Null outside a repository or when git fails.
+  async _exportRepo(session) {
+    const dir = session.liveCwd || session.workingDir;
+    const validation = dir ? this.validatePath(dir) : null;
+    const root = validation && validation.valid ? this._findGitRoot(validation.path) : null;
+    if (!root) return null;
+    try {
+      const status = await gitOps.status(root);
+      const since = session.created ? new Date(session.created).getTime() : 0;
+      const { commits } = await gitOps.log(root, { limit: 100 });
+      return {
+        root,
+        branch: status.detached ? null : status.branch,
+        files: status.files,
+        // Short SHAs only: a full one is 40 hex characters, which redaction removes.
+        commits: commits
+          .filter((c) => Date.parse(c.date) >= since)
+          .map((c) => ({ shortSha: c.shortSha, author: c.author, date: c.date, subject: c.subject })),
+      };
+    } catch (_) {
+      return null;
+    }
+  }
+
+  // Usage totals for the session from AgentUsage: Claude by the bound claude
+  // session id, other agents by working directory, both since the session
+  // started. Null for plain terminals or when no usage was recorded.
+  async _exportUsage(session) {
+    const agent = session.agent;
+    if (!AGENT_USAGE_AGENTS.includes(agent)) return null;
+    const binding = agent === 'claude' ? this._stickyJsonl.get(session.id) : null;
+    const since = session.created ? new Date(session.created).getTime() : Date.now();
+    let usage;
+    try {
+      usage = await this.agentUsage.getUsage({ since, agents: [agent] });
+    } catch (_) {
+      return null;
+    }
+    const dir = session.workingDir ? path.resolve(session.workingDir) : null;
+    const mine = usage.bySession.filter((s) => (binding
+      ? s.sessionId === binding.claudeSessionId
+      : !!dir && !!s.workingDir && path.resolve(s.workingDir) === dir));
+    if (!mine.length) return null;
+    const total = { requests: 0, inputTokens: 0, outputTokens: 0, cacheCreationTokens: 0, cacheReadTokens: 0, totalTokens: 0, totalCost: 0, models: [] };
+    for (const s of mine) {
+      for (const k of Object.keys(total)) if (k !== 'models') total[k] += s[k] || 0;
+      for (const m of s.models) if (!total.models.includes(m)) total.models.push(m);
+    }
+    return total;
+  }
+
+  /** End every conversation-view stream of a session (its watchers close with them). */
+  _closeTranscriptStreams(sessionId, reason) {
+    const streams = this._transcriptStreams.get(sessionId);
+    if (!streams) return;
+    this._transcriptStreams.delete(sessionId);
+    for (const entry of Array.from(streams)) {
+      try { entry.cleanup(reason); } catch (_) { /* ignore */ }
+    }
+  }
+
   /**
    * Best-effort teardown of a fs-watch entry. Used by
    * _cleanupFsWatchSession when the route-level cleanup is missing OR
@@ -7798,6 +9710,12 @@ class ClaudeCodeWebServer {
     if (this.diskUsageSampleInterval) {
       clearInterval(this.diskUsageSampleInterval);
     }
+    if (this.recordingPruneInterval) {
+      clearInterval(this.recordingPruneInterval);
+    }
+    if (this.searchIndexPruneInterval) {
+      clearInterval(this.searchIndexPruneInterval);
+    }
 
     // Stop memory monitoring to release the interval timer
     if (this.restartManager) {
@@ -7876,6 +9794,15 @@ class ClaudeCodeWebServer {
     }
     const timeout = new Promise(resolve => setTimeout(resolve, 5000));
     await Promise.race([Promise.allSettled(stopPromises), timeout]);
+    // Flush any recording whose PTY did not settle inside the window above.
+    try { await this.sessionRecorder.closeAll(); } catch (_) { /* ignore */ }
+    try { await this.outputIndex.close(); } catch (_) { /* ignore */ }
+    try { await this.auditLog.close(); } catch (_) { /* ignore */ }
+    this.pushManager.detach();
+    this.usageBudget.stop();
+    try { await this.jobScheduler.close(); } catch (_) { /* ignore */ }
+    try { await this.webhooks.close(); } catch (_) { /* ignore */ }
+    this.authManager.destroy();
 
     // Tear down every live fs-watch SSE (chokidar watcher + TCP conn +
     // per-IP counter). The Map is keyed by sessionId, so we snapshot the
@@ -7885,6 +9812,9 @@ class ClaudeCodeWebServer {
         this._cleanupFsWatchSession(sid, 'server_close');
       }
     }
+    for (const sid of Array.from(this._transcriptStreams.keys())) {
+      this._closeTranscriptStreams(sid, 'server_close');
+    }
 
     // Release the Windows keep-awake assertion LAST. Held through the session
     // save + native-engine teardown above so an already-idle laptop cannot
@@ -7913,6 +9843,14 @@ class ClaudeCodeWebServer {
       
       // Get 24h stats for additional context
       const dailyStats = await this.usageReader.getUsageStats(24);
+
+      // The same 24h across every agent, not just claude.
+      let agentUsage = null;
+      try {
+        agentUsage = await this.agentUsage.getUsage({ since: Date.now() - 24 * 60 * 60 * 1000 });
+      } catch (error) {
+        console.warn('Cross-agent usage unavailable:', error.message);
+      }
       
       // Update analytics with current session data
       if (currentSessionStats && currentSessionStats.sessionStartTime) {
@@ -7988,6 +9926,7 @@ class ClaudeCodeWebServer {
           message: 'No active Claude session'
         },
         dailyStats: dailyStats,
+        agentUsage: agentUsage,
         sessionTimer: sessionTimer,
         analytics: analytics,
         burnRate: burnRateData,
@@ -0,0 +1,374 @@
+'use strict';
+
+// Session reports for GET /api/sessions/:id/export: what the session set out
+// to do (the sticky note), what was said (Claude's transcript as turns, or the
+// terminal's recent text for other agents), what changed in its repository and
+// what it cost. The server gathers the pieces; this module shapes, redacts and
+// renders them as JSON, Markdown or a single self-contained HTML file.
+
+const { redactSecrets } = require('./utils/secret-redact');
+const { stripTerminal, resolveLine } = require('./utils/output-index');
+
+const FORMATS = ['md', 'html', 'json'];
+const MAX_TERMINAL_LINES = 2000;
+const MAX_TURNS = 500;
+const PROMPT_MAX = 4000;
+const REPLY_MAX = 8000;
+
+function clip(s, max) {
+  if (typeof s !== 'string') return '';
+  return s.length > max ? s.slice(0, max) + ' …' : s;
+}
+
+/**
+ * The terminal's buffered output as plain lines: escape sequences removed,
+ * carriage-return overwrites resolved, runs of blank lines folded to one.
+ * @param {string[]} chunks - raw PTY output, oldest first
+ * @param {number} [maxLines]
+ * @returns {string[]} at most `maxLines`, the newest
+ */
+function terminalLines(chunks, maxLines = MAX_TERMINAL_LINES) {
+  const rows = stripTerminal((chunks || []).join('')).split('\n').map(resolveLine);
+  const out = [];
+  for (const row of rows) {
+    if (!row && (!out.length || !out[out.length - 1])) continue;
+    out.push(row);
+  }
+  while (out.length && !out[out.length - 1]) out.pop();
+  return out.slice(-maxLines);
+}
+
+/** One line naming what a tool call touched: its command, path, pattern or URL. */
+function toolDetail(input) {
+  const i = input || {};
+  const first = [i.command, i.file_path, i.notebook_path, i.path, i.pattern, i.url, i.query, i.description]
+    .find((v) => typeof v === 'string' && v.trim());
+  const line = (first || '').split('\n')[0];
+  return line.length > 160 ? `${line.slice(0, 159)}…` : line;
+}
+
+/**
+ * Transcript entries (claude-transcript.js) as report turns. Claude repeats a
+ * message's usage on each of its lines, so the last one per message counts.
+ * @param {Array<object>} entries
+ * @returns {Array<{prompt: ?string, at: ?string, replies: string[], tools: object[], usage: object}>}
+ */
+function turnsFromEntries(entries) {
+  const turns = [];
+  const calls = new Map();
+  let turn = null;
+  let usage = null;
+  const finish = () => {
+    if (!turn) return;
+    for (const u of usage.values()) {
+      turn.usage.inputTokens += u.input || 0;
+      turn.usage.outputTokens += u.output || 0;
+      turn.usage.cacheReadTokens += u.cacheRead || 0;
+      turn.usage.cacheCreationTokens += u.cacheCreation || 0;
+    }
+    turns.push(turn);
+  };
+  const start = (prompt, at) => {
+    finish();
+    turn = {
+      prompt,
+      at,
+      replies: [],
+      tools: [],
+      usage: { inputTokens: 0, outputTokens: 0, cacheReadTokens: 0, cacheCreationTokens: 0 },
+    };
+    usage = new Map();
+  };
+  for (const entry of entries || []) {
+    if (entry.kind === 'user') {
+      start(clip(entry.text, PROMPT_MAX), entry.at || null);
+    } else if (entry.kind === 'assistant') {
+      if (!turn) start(null, entry.at || null);
+      for (const b of entry.blocks || []) {
+        if (b.type === 'text') turn.replies.push(clip(b.text, REPLY_MAX));
+        else if (b.type === 'tool_use') {
+          const tool = { name: b.name, detail: toolDetail(b.input), file: b.file || null, error: false };
+          if (b.id) calls.set(b.id, tool);
+          turn.tools.push(tool);
+        }
+      }
+      if (entry.usage) usage.set(entry.messageId || `line:${usage.size}`, entry.usage);
+    } else if (entry.kind === 'tool_result' && entry.isError) {
+      const tool = calls.get(entry.toolUseId);
+      if (tool) tool.error = true;
+    }
+  }
+  finish();
+  return turns.slice(-MAX_TURNS);
+}
+
+/**
+ * Assemble a report. Every part but `session` may be null when it does not
+ * apply (no note yet, not a git repository, an agent without usage data).
+ * @param {object} parts
+ * @param {object} parts.session - `{ id, name, agent, workingDir, created }`
+ * @param {?object} parts.note - the sticky note
+ * @param {?Array<object>} parts.entries - Claude transcript entries
+ * @param {?boolean} parts.truncated - only the newest part of the transcript was read
+ * @param {?string[]} parts.terminal - terminal output chunks, for other agents
+ * @param {?object} parts.repo - `{ root, branch, files, commits }`
+ * @param {?object} parts.usage - AgentUsage totals for the session
+ * @param {Date} [parts.now]
+ * @returns {object} the JSON export, not yet redacted
+ */
+function buildReport(parts) {
+  const { session, note, entries, truncated, terminal, repo, usage } = parts;
+  let conversation = null;
+  if (entries) {
+    conversation = { kind: 'turns', truncated: !!truncated, turns: turnsFromEntries(entries) };
+  } else if (terminal) {
+    conversation = { kind: 'terminal', lines: terminalLines(terminal) };
+  }
+  return {
+    version: 1,
+    generatedAt: (parts.now || new Date()).toISOString(),
+    session: {
+      id: session.id,
+      name: session.name || '',
+      agent: session.agent || null,
+      workingDir: session.workingDir || null,
+      created: session.created ? new Date(session.created).toISOString() : null,
+    },
+    note: note ? {
+      title: note.title || '',
+      goal: note.goal || '',
+      done: Array.isArray(note.done) ? note.done : [],
+      remaining: Array.isArray(note.remaining) ? note.remaining : [],
+      updates: Array.isArray(note.updates) ? note.updates.map((u) => ({ text: u.text, at: u.at || null })) : [],
+    } : null,
+    conversation,
+    repo: repo || null,
+    usage: usage || null,
+  };
+}
+
+/**
+ * A copy of `value` with every string passed through redactSecrets. Keys are
+ * kept as they are.
+ */
+function redactReport(value) {
+  if (typeof value === 'string') return redactSecrets(value);
+  if (Array.isArray(value)) return value.map(redactReport);
+  if (value && typeof value === 'object') {
+    const out = {};
+    for (const [k, v] of Object.entries(value)) out[k] = redactReport(v);
+    return out;
+  }
+  return value;
+}
+
+function formatTokens(n) {
+  const v = Number(n) || 0;
+  if (v < 1000) return String(v);
+  if (v < 1e6) return `${(v / 1000).toFixed(1).replace(/\.0$/, '')}k`;
+  return `${(v / 1e6).toFixed(1).replace(/\.0$/, '')}M`;
+}
+
+function turnTokens(u) {
+  const input = u.inputTokens + u.cacheReadTokens + u.cacheCreationTokens;
+  return input || u.outputTokens ? `${formatTokens(input)} in · ${formatTokens(u.outputTokens)} out` : '';
+}
+
+function statusLabel(file) {
+  if (file.untracked) return '??';
+  return `${file.index}${file.worktree}`.trim() || '?';
+}
+
+function titleOf(report) {
+  return (report.note && report.note.title) || report.session.name || report.session.id;
+}
+
+// A code fence longer than any backtick run in the text, so the text cannot close it.
+function fence(text, lang = '') {
+  const runs = String(text).match(/`{3,}/g) || [];
+  const ticks = '`'.repeat(Math.max(3, ...runs.map((r) => r.length + 1)));
+  return `${ticks}${lang}\n${text}\n${ticks}`;
+}
+
+function mdInline(text) {
+  return String(text).replace(/([\\`*_[\]<>|])/g, '\\$1').replace(/\n+/g, ' ');
+}
+
+/** The report as GitHub-flavoured Markdown, ready to paste into a PR. */
+function toMarkdown(report) {
+  const out = [];
+  const { session, note, conversation, repo, usage } = report;
+  out.push(`# ${mdInline(titleOf(report))}`, '');
+  const meta = [session.agent, session.workingDir && `\`${session.workingDir}\``, session.created && `started ${session.created}`]
+    .filter(Boolean);
+  out.push(`_${meta.join(' · ')} · exported ${report.generatedAt}_`, '');
+
+  if (note) {
+    out.push('## Summary', '');
+    if (note.goal) out.push(`**Goal:** ${mdInline(note.goal)}`, '');
+    if (note.done.length) out.push('**Done**', '', ...note.done.map((d) => `- ${mdInline(d)}`), '');
+    if (note.remaining.length) out.push('**Remaining**', '', ...note.remaining.map((d) => `- ${mdInline(d)}`), '');
+  }
+
+  if (repo) {
+    out.push('## Files changed', '');
+    out.push(`Branch \`${repo.branch || '(detached)'}\` in \`${repo.root}\`.`, '');
+    if (repo.files.length) {
+      out.push('| Status | File |', '|--------|------|');
+      for (const f of repo.files) {
+        out.push(`| \`${statusLabel(f)}\` | ${mdInline(f.origPath ? `${f.origPath} → ${f.path}` : f.path)} |`);
+      }
+      out.push('');
+    } else {
+      out.push('No uncommitted changes.', '');
+    }
+    if (repo.commits.length) {
+      out.push('Commits since the session started:', '');
+      out.push(...repo.commits.map((c) => `- \`${c.shortSha}\` ${mdInline(c.subject)}`), '');
+    }
+  }
+
+  if (usage) {
+    out.push('## Usage', '');
+    out.push('| Input | Output | Cache read | Cache write | Cost |', '|-------|--------|------------|-------------|------|');
+    out.push(`| ${formatTokens(usage.inputTokens)} | ${formatTokens(usage.outputTokens)} | ${formatTokens(usage.cacheReadTokens)} | ${formatTokens(usage.cacheCreationTokens)} | $${usage.totalCost.toFixed(2)} |`);
+    if (usage.models && usage.models.length) out.push('', `Models: ${usage.models.map((m) => `\`${m}\``).join(', ')}`);
+    out.push('');
+  }
+
+  if (conversation && conversation.kind === 'turns') {
+    out.push('## Conversation', '');
+    if (conversation.truncated) out.push('_Earlier turns are not included._', '');
+    conversation.turns.forEach((turn, i) => {
+      out.push(`### Turn ${i + 1}${turn.at ? ` · ${turn.at}` : ''}`, '');
+      if (turn.prompt) out.push(...turn.prompt.split('\n').map((l) => `> ${l}`), '');
+      for (const reply of turn.replies) out.push(reply, '');
+      if (turn.tools.length) {
+        out.push(...turn.tools.map((t) => `- \`${t.name}\`${t.detail ? ` ${mdInline(t.detail)}` : ''}${t.error ? ' (failed)' : ''}`), '');
+      }
+      const tokens = turnTokens(turn.usage);
+      if (tokens) out.push(`_Tokens: ${tokens}_`, '');
+    });
+  } else if (conversation && conversation.kind === 'terminal') {
+    out.push('## Terminal', '', fence(conversation.lines.join('\n'), 'text'), '');
+  }
+  return out.join('\n').replace(/\n{3,}/g, '\n\n').trimEnd() + '\n';
+}
+
+function escapeHtml(s) {
+  return String(s)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// Inline so the file opens anywhere; the page's CSP forbids fetching anything.
+const HTML_STYLE = `
+:root { color-scheme: light dark; --fg: #1f2328; --muted: #656d76; --bg: #ffffff; --soft: #f6f8fa; --line: #d0d7de; --add: #1a7f37; --del: #cf222e; }
+@media (prefers-color-scheme: dark) { :root { --fg: #e6edf3; --muted: #8d96a0; --bg: #0d1117; --soft: #161b22; --line: #30363d; --add: #3fb950; --del: #f85149; } }
+body { margin: 0 auto; max-width: 960px; padding: 24px; font: 14px/1.5 -apple-system, "Segoe UI", Helvetica, Arial, sans-serif; color: var(--fg); background: var(--bg); }
+h1 { font-size: 24px; margin: 0 0 4px; } h2 { font-size: 18px; margin: 28px 0 8px; padding-bottom: 4px; border-bottom: 1px solid var(--line); } h3 { font-size: 14px; margin: 0 0 6px; color: var(--muted); }
+.meta, .tokens, .note { color: var(--muted); font-size: 12px; }
+table { border-collapse: collapse; } th, td { border: 1px solid var(--line); padding: 4px 10px; text-align: left; }
+code, pre { font: 12px/1.45 ui-monospace, SFMono-Regular, Menlo, Consolas, monospace; }
+pre { background: var(--soft); border: 1px solid var(--line); border-radius: 6px; padding: 10px; overflow: auto; white-space: pre-wrap; overflow-wrap: anywhere; }
+.turn { border: 1px solid var(--line); border-radius: 6px; padding: 12px; margin: 12px 0; }
+.prompt { border-left: 3px solid var(--muted); background: var(--soft); padding: 6px 10px; white-space: pre-wrap; }
+.reply { white-space: pre-wrap; margin: 8px 0; }
+ul.tools { padding-left: 18px; margin: 8px 0; } .failed { color: var(--del); }
+.status-added { color: var(--add); } .status-deleted { color: var(--del); }
+`;
+
+/** The report as one HTML file with no external resources. */
+function toHtml(report) {
+  const e = escapeHtml;
+  const { session, note, conversation, repo, usage } = report;
+  const body = [];
+  body.push(`<h1>${e(titleOf(report))}</h1>`);
+  const meta = [session.agent, session.workingDir, session.created && `started ${session.created}`].filter(Boolean);
+  body.push(`<p class="meta">${meta.map(e).join(' · ')} · exported ${e(report.generatedAt)}</p>`);
+
+  if (note) {
+    body.push('<h2>Summary</h2>');
+    if (note.goal) body.push(`<p><strong>Goal:</strong> ${e(note.goal)}</p>`);
+    if (note.done.length) body.push('<p><strong>Done</strong></p>', `<ul>${note.done.map((d) => `<li>${e(d)}</li>`).join('')}</ul>`);
+    if (note.remaining.length) body.push('<p><strong>Remaining</strong></p>', `<ul>${note.remaining.map((d) => `<li>${e(d)}</li>`).join('')}</ul>`);
+  }
+
+  if (repo) {
+    body.push('<h2>Files changed</h2>', `<p>Branch <code>${e(repo.branch || '(detached)')}</code> in <code>${e(repo.root)}</code>.</p>`);
+    if (repo.files.length) {
+      const rows = repo.files.map((f) => {
+        const name = f.origPath ? `${f.origPath} → ${f.path}` : f.path;
+        const kind = f.untracked || f.index === 'A' ? 'added' : (f.index === 'D' || f.worktree === 'D' ? 'deleted' : 'changed');
+        return `<tr><td class="status-${kind}"><code>${e(statusLabel(f))}</code></td><td>${e(name)}</td></tr>`;
+      });
+      body.push(`<table><thead><tr><th>Status</th><th>File</th></tr></thead><tbody>${rows.join('')}</tbody></table>`);
+    } else {
+      body.push('<p class="note">No uncommitted changes.</p>');
+    }
+    if (repo.commits.length) {
+      body.push('<p>Commits since the session started:</p>');
+      body.push(`<ul>${repo.commits.map((c) => `<li><code>${e(c.shortSha)}</code> ${e(c.subject)}</li>`).join('')}</ul>`);
+    }
+  }
+
+  if (usage) {
+    body.push('<h2>Usage</h2>');
+    body.push('<table><thead><tr><th>Input</th><th>Output</th><th>Cache read</th><th>Cache write</th><th>Cost</th></tr></thead>');
+    body.push(`<tbody><tr><td>${formatTokens(usage.inputTokens)}</td><td>${formatTokens(usage.outputTokens)}</td><td>${formatTokens(usage.cacheReadTokens)}</td><td>${formatTokens(usage.cacheCreationTokens)}</td><td>$${e(usage.totalCost.toFixed(2))}</td></tr></tbody></table>`);
+    if (usage.models && usage.models.length) body.push(`<p class="note">Models: ${usage.models.map((m) => `<code>${e(m)}</code>`).join(', ')}</p>`);
+  }
+
+  if (conversation && conversation.kind === 'turns') {
+    body.push('<h2>Conversation</h2>');
+    if (conversation.truncated) body.push('<p class="note">Earlier turns are not included.</p>');
+    conversation.turns.forEach((turn, i) => {
+      const parts = [`<h3>Turn ${i + 1}${turn.at ? ` · ${e(turn.at)}` : ''}</h3>`];
+      if (turn.prompt) parts.push(`<div class="prompt">${e(turn.prompt)}</div>`);
+      for (const reply of turn.replies) parts.push(`<div class="reply">${e(reply)}</div>`);
+      if (turn.tools.length) {
+        parts.push(`<ul class="tools">${turn.tools.map((t) => `<li><code>${e(t.name)}</code> ${e(t.detail)}${t.error ? ' <span class="failed">(failed)</span>' : ''}</li>`).join('')}</ul>`);
+      }
+      const tokens = turnTokens(turn.usage);
+      if (tokens) parts.push(`<div class="tokens">Tokens: ${e(tokens)}</div>`);
+      body.push(`<section class="turn">${parts.join('')}</section>`);
+    });
+  } else if (conversation && conversation.kind === 'terminal') {
+    body.push('<h2>Terminal</h2>', `<pre>${e(conversation.lines.join('\n'))}</pre>`);
+  }
+
+  return [
+    '<!DOCTYPE html>',
+    '<html lang="en">',
+    '<head>',
+    '<meta charset="utf-8">',
+    '<meta name="viewport" content="width=device-width, initial-scale=1">',
+    '<meta http-equiv="Content-Security-Policy" content="default-src \'none\'; style-src \'unsafe-inline\'">',
+    `<title>${e(titleOf(report))}</title>`,
+    `<style>${HTML_STYLE}</style>`,
+    '</head>',
+    `<body>\n${body.join('\n')}\n</body>`,
+    '</html>',
+    '',
+  ].join('\n');
+}
+
+/** `<name>-<YYYY-MM-DD>.<format>` with anything unsafe in a file name dropped. */
+function exportFileName(report, format) {
+  const base = String(titleOf(report)).replace(/[^A-Za-z0-9._-]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 60) || 'session';
+  return `${base}-${report.generatedAt.slice(0, 10)}.${format}`;
+}
+
+module.exports = {
+  FORMATS,
+  buildReport,
+  redactReport,
+  terminalLines,
+  turnsFromEntries,
+  toMarkdown,
+  toHtml,
+  exportFileName,
+};
@@ -0,0 +1,256 @@
+'use strict';
+
+// Session templates: a reusable launch for a new tab. A template names the
+// agent, whether it skips permission prompts, extra environment variables and
+// CLI arguments, the vault secrets to inject (by name; secret-vault.js holds
+// the values), an instructions fragment dropped into the working directory's
+// CLAUDE.md / AGENTS.md / GEMINI.md before the agent starts, and a first prompt
+// typed once the agent is idle.
+//
+//   <storageDir>/templates.json   { version: 1, templates: [...] }, rewritten via temp+rename
+//
+// The server does the launching (_createFromTemplate); this module keeps the
+// library and shapes the instructions file.
+
+const crypto = require('crypto');
+const fsp = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { normalizeSecretNames } = require('./secret-vault');
+
+const TEMPLATES_FILE = 'templates.json';
+const MAX_TEMPLATES = 100;
+const MAX_NAME_LENGTH = 100;
+const MAX_DESCRIPTION_LENGTH = 200;
+const MAX_TEXT_LENGTH = 20000;
+const MAX_ENV_VARS = 50;
+const MAX_ENV_VALUE_LENGTH = 4096;
+const MAX_ARGS = 32;
+const MAX_ARG_LENGTH = 1000;
+const AGENT_RE = /^[A-Za-z0-9][A-Za-z0-9_-]{0,63}$/;
+const ENV_NAME_RE = /^[A-Za-z_][A-Za-z0-9_]{0,127}$/;
+const INSTRUCTION_FILES = Object.freeze(['CLAUDE.md', 'AGENTS.md', 'GEMINI.md']);
+
+function templateError(code, message) {
+  const err = new Error(message);
+  err.code = code;
+  err.statusCode = code === 'TEMPLATE_NOT_FOUND' ? 404 : (code === 'LIMIT_EXCEEDED' || code === 'TEMPLATE_EXISTS') ? 409 : 400;
+  return err;
+}
+
+/** The file an agent reads its project instructions from. */
+function instructionsFileFor(agent) {
+  if (agent === 'claude') return 'CLAUDE.md';
+  if (agent === 'gemini') return 'GEMINI.md';
+  return 'AGENTS.md';
+}
+
+/**
+ * `existing` with the template's fragment in a marked block. A block from the
+ * same template is replaced, so launching twice in one directory leaves one
+ * copy; anything else in the file is kept as it is.
+ * @param {string} existing - Current file contents ('' when there is none).
+ * @param {string} templateName
+ * @param {string} fragment
+ * @returns {string}
+ */
+function upsertInstructions(existing, templateName, fragment) {
+  const label = String(templateName).replace(/-->/g, '').replace(/\s+/g, ' ').trim();
+  const open = `<!-- ai-or-die template: ${label} -->`;
+  const close = `<!-- /ai-or-die template: ${label} -->`;
+  const block = `${open}\n${String(fragment).trim()}\n${close}`;
+  const text = existing || '';
+  const start = text.indexOf(open);
+  const end = start < 0 ? -1 : text.indexOf(close, start);
+  if (end >= 0) return text.slice(0, start) + block + text.slice(end + close.length);
+  if (!text.trim()) return block + '\n';
+  return text.replace(/\s*$/, '\n\n') + block + '\n';
+}
+
+function normalizeText(value, field, { required = false, max = MAX_TEXT_LENGTH } = {}) {
+  if (value == null || value === '') {
+    if (required) throw templateError('INVALID_ARGUMENT', `${field} is required`);
+    return null;
+  }
+  if (typeof value !== 'string') throw templateError('INVALID_ARGUMENT', `${field} must be a string`);
+  if (required && !value.trim()) throw templateError('INVALID_ARGUMENT', `${field} is required`);
+  if (value.length > max) throw templateError('INVALID_ARGUMENT', `${field} is longer than ${max} characters`);
+  return value;
+}
+
+function normalizeAgent(value) {
+  if (value == null || value === '') return 'claude';
+  if (typeof value !== 'string' || !AGENT_RE.test(value)) throw templateError('INVALID_ARGUMENT', 'agent is not a valid agent id');
+  return value;
+}
+
+function normalizeEnv(value) {
+  if (value == null) return {};
+  if (typeof value !== 'object' || Array.isArray(value)) throw templateError('INVALID_ARGUMENT', 'env must be an object of NAME: value');
+  const entries = Object.entries(value);
+  if (entries.length > MAX_ENV_VARS) throw templateError('INVALID_ARGUMENT', `env has more than ${MAX_ENV_VARS} variables`);
+  const env = {};
+  for (const [name, v] of entries) {
+    if (!ENV_NAME_RE.test(name)) throw templateError('INVALID_ARGUMENT', `env name "${name}" is not a valid variable name`);
+    if (typeof v !== 'string') throw templateError('INVALID_ARGUMENT', `env ${name} must be a string`);
+    if (v.length > MAX_ENV_VALUE_LENGTH || v.includes('\0')) throw templateError('INVALID_ARGUMENT', `env ${name} is too long or contains a NUL`);
+    env[name] = v;
+  }
+  return env;
+}
+
+function normalizeArgs(value) {
+  if (value == null) return [];
+  if (!Array.isArray(value)) throw templateError('INVALID_ARGUMENT', 'args must be an array of strings');
+  if (value.length > MAX_ARGS) throw templateError('INVALID_ARGUMENT', `args has more than ${MAX_ARGS} entries`);
+  for (const arg of value) {
+    if (typeof arg !== 'string' || !arg || arg.length > MAX_ARG_LENGTH || arg.includes('\0')) {
+      throw templateError('INVALID_ARGUMENT', `each arg must be a non-empty string of at most ${MAX_ARG_LENGTH} characters`);
+    }
+  }
+  return [...value];
+}
+
+function normalizeInstructionsFile(value) {
+  if (value == null || value === '') return null;
+  if (!INSTRUCTION_FILES.includes(value)) throw templateError('INVALID_ARGUMENT', `instructionsFile must be one of ${INSTRUCTION_FILES.join(', ')}`);
+  return value;
+}
+
+function normalizeFields(input, current) {
+  const next = { ...current };
+  const has = (key) => input[key] !== undefined || !current;
+  if (has('name')) {
+    next.name = normalizeText(typeof input.name === 'string' ? input.name.trim() : input.name, 'name', { required: true, max: MAX_NAME_LENGTH });
+  }
+  if (has('description')) {
+    next.description = input.description == null || input.description === ''
+      ? null
+      : String(input.description).slice(0, MAX_DESCRIPTION_LENGTH);
+  }
+  if (has('agent')) next.agent = normalizeAgent(input.agent);
+  if (has('dangerouslySkipPermissions')) next.dangerouslySkipPermissions = input.dangerouslySkipPermissions === true;
+  if (has('env')) next.env = normalizeEnv(input.env);
+  if (has('args')) next.args = normalizeArgs(input.args);
+  if (has('secrets')) {
+    try {
+      next.secrets = normalizeSecretNames(input.secrets);
+    } catch (err) {
+      throw templateError('INVALID_ARGUMENT', err.message);
+    }
+  }
+  if (has('instructions')) next.instructions = normalizeText(input.instructions, 'instructions');
+  if (has('instructionsFile')) next.instructionsFile = normalizeInstructionsFile(input.instructionsFile);
+  if (has('prompt')) next.prompt = normalizeText(input.prompt, 'prompt');
+  return next;
+}
+
+class TemplateStore {
+  /**
+   * @param {object} [options]
+   * @param {string} [options.storageDir] - Directory holding templates.json.
+   * @param {function(): number} [options.now] - Clock (tests).
+   */
+  constructor(options = {}) {
+    const storageDir = options.storageDir
+      || process.env.AI_OR_DIE_SESSION_DIR
+      || path.join(os.homedir(), '.ai-or-die');
+    this.file = path.join(storageDir, TEMPLATES_FILE);
+    this.now = options.now || Date.now;
+    this._writes = Promise.resolve();
+  }
+
+  async _read() {
+    try {
+      const data = JSON.parse(await fsp.readFile(this.file, 'utf8'));
+      return (Array.isArray(data.templates) ? data.templates : [])
+        .filter((t) => t && typeof t.id === 'string' && typeof t.name === 'string');
+    } catch (err) {
+      if (err.code === 'ENOENT') return [];
+      throw err;
+    }
+  }
+
+  /** Read-modify-write under one chain, so two requests cannot drop each other's change. */
+  _modify(fn) {
+    const run = this._writes.catch(() => {}).then(async () => {
+      const templates = await this._read();
+      const result = await fn(templates);
+      await fsp.mkdir(path.dirname(this.file), { recursive: true });
+      const tmp = `${this.file}.tmp`;
+      await fsp.writeFile(tmp, JSON.stringify({ version: 1, templates }, null, 2) + '\n', { mode: 0o600 });
+      await fsp.rename(tmp, this.file);
+      return result;
+    });
+    this._writes = run;
+    return run;
+  }
+
+  /** Every template, sorted by name. */
+  async list() {
+    const templates = await this._read();
+    return templates.sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * A template by id, or else by name (case-insensitive), as control-plane
+   * creates refer to it.
+   * @throws {Error} code TEMPLATE_NOT_FOUND
+   */
+  async get(ref) {
+    const key = String(ref == null ? '' : ref);
+    const templates = await this._read();
+    const found = templates.find((t) => t.id === key)
+      || templates.find((t) => t.name.toLowerCase() === key.toLowerCase());
+    if (!found) throw templateError('TEMPLATE_NOT_FOUND', 'Unknown template');
+    return found;
+  }
+
+  async create(input = {}, createdBy = null) {
+    const fields = normalizeFields(input, null);
+    return this._modify((templates) => {
+      if (templates.length >= MAX_TEMPLATES) throw templateError('LIMIT_EXCEEDED', `at most ${MAX_TEMPLATES} templates are allowed`);
+      this._checkName(templates, fields.name, null);
+      const at = new Date(this.now()).toISOString();
+      const template = { id: 'tpl_' + crypto.randomBytes(6).toString('hex'), ...fields, createdAt: at, updatedAt: at, createdBy: createdBy || null };
+      templates.push(template);
+      return template;
+    });
+  }
+
+  async update(id, patch = {}) {
+    return this._modify((templates) => {
+      const i = templates.findIndex((t) => t.id === id);
+      if (i < 0) throw templateError('TEMPLATE_NOT_FOUND', 'Unknown template');
+      const next = normalizeFields(patch, templates[i]);
+      this._checkName(templates, next.name, id);
+      templates[i] = { ...next, updatedAt: new Date(this.now()).toISOString() };
+      return templates[i];
+    });
+  }
+
+  async remove(id) {
+    return this._modify((templates) => {
+      const i = templates.findIndex((t) => t.id === id);
+      if (i < 0) throw templateError('TEMPLATE_NOT_FOUND', 'Unknown template');
+      templates.splice(i, 1);
+      return true;
+    });
+  }
+
+  // Names are how control-plane clients pick a template, so they must be unique.
+  _checkName(templates, name, id) {
+    const lower = name.toLowerCase();
+    if (templates.some((t) => t.id !== id && t.name.toLowerCase() === lower)) {
+      throw templateError('TEMPLATE_EXISTS', `A template named "${name}" already exists`);
+    }
+  }
+}
+
+module.exports = {
+  TemplateStore,
+  upsertInstructions,
+  instructionsFileFor,
+  INSTRUCTION_FILES,
+  MAX_TEMPLATES,
+};
@@ -0,0 +1,234 @@
+'use strict';
+
+// Prompt snippets: reusable prompts with {{variable}} placeholders, kept in
+// two libraries that the client shows side by side.
+//
+//   user       <storageDir>/snippets/<user>.json   one library per account
+//                                                   ("default" without accounts)
+//   workspace  <baseFolder>/.ai-or-die/snippets.json  shared by everyone on this
+//                                                   server; can be committed
+//
+// Both files are { version: 1, snippets: [...] }, rewritten via temp+rename.
+// The export format is the same shape without ids, so an export can be
+// imported into either library.
+
+const crypto = require('crypto');
+const fsp = require('fs').promises;
+const os = require('os');
+const path = require('path');
+
+const SCOPES = Object.freeze(['user', 'workspace']);
+const MAX_SNIPPETS = 500;
+const MAX_NAME_LENGTH = 100;
+const MAX_DESCRIPTION_LENGTH = 200;
+const MAX_BODY_LENGTH = 20000;
+const USER_FILE_RE = /^[A-Za-z0-9][A-Za-z0-9_.-]{0,63}$/;
+const VARIABLE_RE = /\{\{\s*([A-Za-z_][\w.-]{0,63})\s*\}\}/g;
+
+function snippetError(code, message) {
+  const err = new Error(message);
+  err.code = code;
+  err.statusCode = code === 'SNIPPET_NOT_FOUND' ? 404 : code === 'LIMIT_EXCEEDED' ? 409 : 400;
+  return err;
+}
+
+/**
+ * Placeholder names in a snippet body, in order of first use.
+ * @param {string} body
+ * @returns {string[]}
+ */
+function snippetVariables(body) {
+  const names = [];
+  for (const m of String(body || '').matchAll(VARIABLE_RE)) {
+    if (!names.includes(m[1])) names.push(m[1]);
+  }
+  return names;
+}
+
+function normalizeScope(scope) {
+  if (!SCOPES.includes(scope)) throw snippetError('INVALID_ARGUMENT', `scope must be ${SCOPES.join(' or ')}`);
+  return scope;
+}
+
+function normalizeFields(input, current) {
+  const next = { ...current };
+  if (input.name !== undefined || !current) {
+    const name = String(input.name == null ? '' : input.name).trim();
+    if (!name) throw snippetError('INVALID_ARGUMENT', 'name is required');
+    if (name.length > MAX_NAME_LENGTH) throw snippetError('INVALID_ARGUMENT', `name is longer than ${MAX_NAME_LENGTH} characters`);
+    next.name = name;
+  }
+  if (input.body !== undefined || !current) {
+    if (typeof input.body !== 'string' || !input.body.trim()) throw snippetError('INVALID_ARGUMENT', 'body is required');
+    if (input.body.length > MAX_BODY_LENGTH) throw snippetError('INVALID_ARGUMENT', `body is longer than ${MAX_BODY_LENGTH} characters`);
+    next.body = input.body;
+  }
+  if (input.description !== undefined || !current) {
+    next.description = input.description == null || input.description === ''
+      ? null
+      : String(input.description).slice(0, MAX_DESCRIPTION_LENGTH);
+  }
+  return next;
+}
+
+class SnippetStore {
+  /**
+   * @param {object} [options]
+   * @param {string} [options.storageDir] - Base dir for the per-user libraries.
+   * @param {function(): string} options.workspaceDir - The server's base folder (read per call; it can change).
+   */
+  constructor(options = {}) {
+    const storageDir = options.storageDir
+      || process.env.AI_OR_DIE_SESSION_DIR
+      || path.join(os.homedir(), '.ai-or-die');
+    this.userDir = path.join(storageDir, 'snippets');
+    this.workspaceDir = options.workspaceDir || (() => process.cwd());
+    this.now = options.now || Date.now;
+    this._writes = new Map(); // file -> write chain
+  }
+
+  /** File of one library. `user` is the account name, or null without accounts. */
+  fileFor(scope, user) {
+    if (normalizeScope(scope) === 'workspace') return path.join(this.workspaceDir(), '.ai-or-die', 'snippets.json');
+    const name = user == null || user === '' ? 'default' : String(user);
+    // Account names are free text; anything that is not a safe file name is hashed.
+    const base = USER_FILE_RE.test(name) ? name : 'u-' + crypto.createHash('sha256').update(name).digest('hex').slice(0, 16);
+    return path.join(this.userDir, `${base}.json`);
+  }
+
+  async _read(file) {
+    try {
+      const data = JSON.parse(await fsp.readFile(file, 'utf8'));
+      return (Array.isArray(data.snippets) ? data.snippets : [])
+        .filter((s) => s && typeof s.id === 'string' && typeof s.name === 'string' && typeof s.body === 'string');
+    } catch (err) {
+      if (err.code === 'ENOENT') return [];
+      throw err;
+    }
+  }
+
+  /**
+   * Read-modify-write one library under a per-file chain, so two requests
+   * cannot drop each other's change.
+   */
+  _modify(file, fn) {
+    const run = (this._writes.get(file) || Promise.resolve()).catch(() => {}).then(async () => {
+      const snippets = await this._read(file);
+      const result = await fn(snippets);
+      await fsp.mkdir(path.dirname(file), { recursive: true });
+      const tmp = `${file}.tmp`;
+      await fsp.writeFile(tmp, JSON.stringify({ version: 1, snippets }, null, 2) + '\n', { mode: 0o600 });
+      await fsp.rename(tmp, file);
+      return result;
+    });
+    this._writes.set(file, run);
+    return run;
+  }
+
+  _view(snippet, scope) {
+    return { ...snippet, scope, variables: snippetVariables(snippet.body) };
+  }
+
+  /**
+   * Both libraries, each sorted by name. A library that cannot be read is
+   * reported in `errors` instead of failing the list.
+   * @returns {Promise<{snippets: object[], errors: object[]}>}
+   */
+  async list(user) {
+    const snippets = [];
+    const errors = [];
+    for (const scope of SCOPES) {
+      try {
+        const items = await this._read(this.fileFor(scope, user));
+        items.sort((a, b) => a.name.localeCompare(b.name));
+        snippets.push(...items.map((s) => this._view(s, scope)));
+      } catch (err) {
+        errors.push({ scope, error: err.message });
+      }
+    }
+    return { snippets, errors };
+  }
+
+  /**
+   * @param {'user'|'workspace'} scope
+   * @param {{name: string, body: string, description?: string}} input
+   */
+  async create(scope, input = {}, user = null) {
+    const fields = normalizeFields(input, null);
+    return this._modify(this.fileFor(scope, user), (snippets) => {
+      if (snippets.length >= MAX_SNIPPETS) throw snippetError('LIMIT_EXCEEDED', `at most ${MAX_SNIPPETS} snippets per library`);
+      const at = new Date(this.now()).toISOString();
+      const snippet = { id: 'snp_' + crypto.randomBytes(6).toString('hex'), ...fields, createdAt: at, updatedAt: at };
+      snippets.push(snippet);
+      return this._view(snippet, scope);
+    });
+  }
+
+  async update(scope, id, patch = {}, user = null) {
+    return this._modify(this.fileFor(scope, user), (snippets) => {
+      const i = snippets.findIndex((s) => s.id === id);
+      if (i < 0) throw snippetError('SNIPPET_NOT_FOUND', 'Unknown snippet');
+      snippets[i] = { ...normalizeFields(patch, snippets[i]), updatedAt: new Date(this.now()).toISOString() };
+      return this._view(snippets[i], scope);
+    });
+  }
+
+  async remove(scope, id, user = null) {
+    return this._modify(this.fileFor(scope, user), (snippets) => {
+      const i = snippets.findIndex((s) => s.id === id);
+      if (i < 0) throw snippetError('SNIPPET_NOT_FOUND', 'Unknown snippet');
+      snippets.splice(i, 1);
+      return true;
+    });
+  }
+
+  /** One library in the export format: { version: 1, snippets: [{ name, description, body }] }. */
+  async export(scope, user = null) {
+    const snippets = await this._read(this.fileFor(scope, user));
+    return {
+      version: 1,
+      snippets: snippets.map(({ name, description, body }) => ({ name, description: description || null, body })),
+    };
+  }
+
+  /**
+   * Import an export into a library. A snippet whose name already exists
+   * replaces that snippet's body and description; the rest are added. The
+   * whole file is checked before anything is written.
+   * @returns {Promise<{added: number, updated: number}>}
+   */
+  async import(scope, data, user = null) {
+    const list = data && Array.isArray(data.snippets) ? data.snippets : null;
+    if (!list) throw snippetError('INVALID_ARGUMENT', 'expected { "snippets": [...] }');
+    const incoming = list.map((s, i) => {
+      try {
+        return normalizeFields(s || {}, null);
+      } catch (err) {
+        throw snippetError('INVALID_ARGUMENT', `snippets[${i}]: ${err.message}`);
+      }
+    });
+    return this._modify(this.fileFor(scope, user), (snippets) => {
+      const at = new Date(this.now()).toISOString();
+      let added = 0;
+      let updated = 0;
+      for (const fields of incoming) {
+        const existing = snippets.find((s) => s.name === fields.name);
+        if (existing) {
+          Object.assign(existing, fields, { updatedAt: at });
+          updated++;
+        } else {
+          snippets.push({ id: 'snp_' + crypto.randomBytes(6).toString('hex'), ...fields, createdAt: at, updatedAt: at });
+          added++;
+        }
+      }
+      if (snippets.length > MAX_SNIPPETS) throw snippetError('LIMIT_EXCEEDED', `at most ${MAX_SNIPPETS} snippets per library`);
+      return { added, updated };
+    });
+  }
+}
+
+module.exports = {
+  SnippetStore,
+  SNIPPET_SCOPES: SCOPES,
+  snippetVariables,
+};
@@ -291,5 +291,6 @@ module.exports = {
   extractText,
   toolNames,
   stripInjected,
+  readRange,
   DEFAULT_PROJECTS_DIR,
 };
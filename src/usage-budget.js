@@ -0,0 +1,470 @@
+'use strict';
+
+// Usage budgets: dollar and token caps on agent usage, from a hand-edited
+// file, <storageDir>/budgets.json. Example:
+//
+//   {
+//     "thresholds": [0.5, 0.8],
+//     "budgets": [
+//       { "name": "daily", "scope": "day", "maxCost": 40 },
+//       { "name": "per session", "scope": "session", "maxTokens": 5000000, "interrupt": true },
+//       { "name": "api repo", "scope": "workingDir", "workingDir": "~/src/api",
+//         "maxCost": 10, "agent": ["codex", "claude"] }
+//     ]
+//   }
+//
+// "day" and "workingDir" budgets count usage since local midnight; "session"
+// budgets count one ai-or-die session's usage since its agent first started.
+// Each budget alerts once per period at every threshold (a fraction of the
+// cap) and again at 100%. With "interrupt": true, every session that is
+// still spending past the cap has its turn interrupted through its bridge
+// (the server sends Esc) on each check.
+//
+// Usage comes from AgentUsage. An entry belongs to the newest session of the
+// same agent that was running when it was logged and either is bound to the
+// entry's claude transcript or contains the entry's working directory.
+// Gemini telemetry records no directory, so gemini usage counts towards
+// "day" budgets only. Which alerts have fired is kept in
+// <storageDir>/budget-state.json so a restart does not repeat them.
+
+const fsp = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { AGENTS } = require('./agent-usage');
+
+const BUDGET_FILE = 'budgets.json';
+const STATE_FILE = 'budget-state.json';
+const SCOPES = ['day', 'session', 'workingDir'];
+const DEFAULT_THRESHOLDS = [0.8];
+const DEFAULT_INTERVAL_MS = 60 * 1000;
+const MAX_BUDGETS = 100;
+const MAX_THRESHOLDS = 10;
+// Session budgets never look further back than this.
+const MAX_LOOKBACK_MS = 7 * 24 * 60 * 60 * 1000;
+const MAX_INTERRUPTS_KEPT = 20;
+
+function budgetError(message) {
+  const err = new Error(message);
+  err.code = 'INVALID_BUDGET';
+  return err;
+}
+
+function expandHome(p) {
+  if (p === '~') return os.homedir();
+  if (p.startsWith('~/') || p.startsWith('~\\')) return path.join(os.homedir(), p.slice(2));
+  return p;
+}
+
+function isUnder(dir, root) {
+  const rel = path.relative(path.resolve(root), path.resolve(dir));
+  return rel === '' || (!rel.startsWith('..') && !path.isAbsolute(rel));
+}
+
+function compileThresholds(value, where) {
+  if (value == null) return null;
+  if (!Array.isArray(value) || value.length > MAX_THRESHOLDS) {
+    throw budgetError(`${where} must be an array of at most ${MAX_THRESHOLDS} numbers`);
+  }
+  for (const t of value) {
+    if (typeof t !== 'number' || !(t > 0 && t < 1)) throw budgetError(`${where} values must be between 0 and 1 (exclusive)`);
+  }
+  return Array.from(new Set(value)).sort((a, b) => a - b);
+}
+
+/**
+ * Validate and compile a parsed budgets file.
+ * @param {object} raw - Parsed JSON.
+ * @returns {{budgets: Array<object>}}
+ * @throws {Error} code INVALID_BUDGET
+ */
+function compileBudgets(raw) {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) throw budgetError('expected a JSON object');
+  const thresholds = compileThresholds(raw.thresholds, '"thresholds"') || DEFAULT_THRESHOLDS;
+  if (!Array.isArray(raw.budgets)) throw budgetError('"budgets" must be an array');
+  if (raw.budgets.length > MAX_BUDGETS) throw budgetError(`at most ${MAX_BUDGETS} budgets are allowed`);
+
+  const names = new Set();
+  const budgets = raw.budgets.map((budget, i) => {
+    const where = `budget ${i + 1}`;
+    if (!budget || typeof budget !== 'object' || Array.isArray(budget)) throw budgetError(`${where} must be an object`);
+    const name = typeof budget.name === 'string' && budget.name.trim() ? budget.name.trim() : where;
+    // Alert state is keyed by name.
+    if (names.has(name)) throw budgetError(`${where} reuses the name "${name}"`);
+    names.add(name);
+    if (!SCOPES.includes(budget.scope)) {
+      throw budgetError(`${where} has unknown scope "${budget.scope}" (expected one of ${SCOPES.join(', ')})`);
+    }
+    if (budget.maxCost != null && !(typeof budget.maxCost === 'number' && budget.maxCost > 0)) {
+      throw budgetError(`${where} "maxCost" must be a positive number of dollars`);
+    }
+    if (budget.maxTokens != null && !(Number.isInteger(budget.maxTokens) && budget.maxTokens > 0)) {
+      throw budgetError(`${where} "maxTokens" must be a positive integer`);
+    }
+    if (budget.maxCost == null && budget.maxTokens == null) throw budgetError(`${where} needs "maxCost" or "maxTokens"`);
+    let workingDir = null;
+    if (budget.scope === 'workingDir') {
+      if (typeof budget.workingDir !== 'string' || !budget.workingDir.trim()) {
+        throw budgetError(`${where} needs a "workingDir" for scope "workingDir"`);
+      }
+      workingDir = path.resolve(expandHome(budget.workingDir.trim()));
+    } else if (budget.workingDir != null) {
+      throw budgetError(`${where} "workingDir" only applies to scope "workingDir"`);
+    }
+    let agents = null;
+    if (budget.agent != null) {
+      agents = Array.isArray(budget.agent) ? budget.agent : [budget.agent];
+      for (const agent of agents) {
+        if (!AGENTS.includes(agent)) throw budgetError(`${where} has unknown agent "${agent}" (expected one of ${AGENTS.join(', ')})`);
+      }
+    }
+    if (budget.interrupt != null && typeof budget.interrupt !== 'boolean') throw budgetError(`${where} "interrupt" must be true or false`);
+    return {
+      name,
+      scope: budget.scope,
+      workingDir,
+      agents,
+      maxCost: budget.maxCost == null ? null : budget.maxCost,
+      maxTokens: budget.maxTokens == null ? null : budget.maxTokens,
+      thresholds: compileThresholds(budget.thresholds, `${where} "thresholds"`) || thresholds,
+      interrupt: budget.interrupt === true,
+    };
+  });
+  return { budgets };
+}
+
+function localMidnight(now) {
+  const d = new Date(now);
+  d.setHours(0, 0, 0, 0);
+  return d.getTime();
+}
+
+function localDate(now) {
+  const d = new Date(now);
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+}
+
+/**
+ * Tie usage entries to live sessions.
+ * @param {Array<object>} entries - AgentUsage entries.
+ * @param {Array<{id: string, agent: string, workingDir: string, startedAt: number, claudeSessionId?: string}>} sessions
+ * @returns {Map<object, object>} entry -> session, for the entries that belong to one.
+ */
+function attributeEntries(entries, sessions) {
+  const byAgent = new Map();
+  for (const session of sessions) {
+    if (!Number.isFinite(session.startedAt)) continue;
+    if (!byAgent.has(session.agent)) byAgent.set(session.agent, []);
+    byAgent.get(session.agent).push(session);
+  }
+  // Newest first, so overlapping sessions in one directory do not both count an entry.
+  for (const list of byAgent.values()) list.sort((a, b) => b.startedAt - a.startedAt);
+
+  const owners = new Map();
+  for (const entry of entries) {
+    const candidates = byAgent.get(entry.agent);
+    if (!candidates) continue;
+    const at = Date.parse(entry.timestamp);
+    const owner = candidates.find((session) => {
+      if (session.startedAt > at) return false;
+      if (session.claudeSessionId && entry.sessionId) return session.claudeSessionId === entry.sessionId;
+      return !!(entry.workingDir && session.workingDir && isUnder(entry.workingDir, session.workingDir));
+    });
+    if (owner) owners.set(entry, owner);
+  }
+  return owners;
+}
+
+function fractionOf(budget, cost, tokens) {
+  const parts = [];
+  if (budget.maxCost) parts.push(cost / budget.maxCost);
+  if (budget.maxTokens) parts.push(tokens / budget.maxTokens);
+  return Math.max(...parts);
+}
+
+/**
+ * Measure every budget against the entries. Day and working-directory
+ * budgets give one row each; session budgets give one row per live session.
+ * @returns {Array<object>} Rows with the budget, its period key and usage, plus the ids of sessions that contributed.
+ */
+function evaluateBudgets(config, entries, sessions, now) {
+  const owners = attributeEntries(entries, sessions);
+  const midnight = localMidnight(now);
+  const today = localDate(now);
+  const rows = [];
+
+  const measure = (budget, key, fields, list) => {
+    let cost = 0;
+    let tokens = 0;
+    const contributors = new Map();
+    for (const entry of list) {
+      cost += entry.totalCost;
+      tokens += entry.inputTokens + entry.outputTokens;
+      const owner = owners.get(entry);
+      if (owner) {
+        const last = contributors.get(owner.id) || 0;
+        contributors.set(owner.id, Math.max(last, Date.parse(entry.timestamp)));
+      }
+    }
+    rows.push({
+      key,
+      budget,
+      ...fields,
+      cost,
+      tokens,
+      fraction: fractionOf(budget, cost, tokens),
+      contributors, // sessionId -> newest entry time
+    });
+  };
+
+  for (const budget of config.budgets) {
+    const pool = entries.filter((e) => !budget.agents || budget.agents.includes(e.agent));
+    if (budget.scope === 'session') {
+      for (const session of sessions) {
+        if (!Number.isFinite(session.startedAt)) continue;
+        if (budget.agents ? !budget.agents.includes(session.agent) : !AGENTS.includes(session.agent)) continue;
+        const list = pool.filter((e) => owners.get(e) === session);
+        measure(budget, `${budget.name}@${session.id}`, { period: null, sessionId: session.id, workingDir: session.workingDir }, list);
+      }
+      continue;
+    }
+    let list = pool.filter((e) => Date.parse(e.timestamp) >= midnight);
+    if (budget.scope === 'workingDir') {
+      list = list.filter((e) => {
+        const dir = e.workingDir || (owners.get(e) && owners.get(e).workingDir);
+        return !!dir && isUnder(dir, budget.workingDir);
+      });
+    }
+    measure(budget, `${budget.name}@${today}`, { period: today, sessionId: null, workingDir: budget.workingDir }, list);
+  }
+  return rows;
+}
+
+class UsageBudget {
+  /**
+   * @param {object} options
+   * @param {object} options.agentUsage - AgentUsage instance.
+   * @param {function(): Array<object>} options.listSessions - Live sessions as `{id, agent, workingDir, startedAt, claudeSessionId}`.
+   * @param {function(string, string): Promise<void>} [options.interrupt] - Stop a session's turn; gets the session id and budget name.
+   * @param {function(object): void} [options.notify] - Called once per alert.
+   * @param {string} [options.storageDir] - Base dir for budgets.json and budget-state.json.
+   * @param {string} [options.file] - Explicit budgets file; overrides storageDir.
+   * @param {number} [options.intervalMs] - How often start() re-checks.
+   */
+  constructor(options = {}) {
+    const storageDir = options.storageDir
+      || process.env.AI_OR_DIE_SESSION_DIR
+      || path.join(os.homedir(), '.ai-or-die');
+    this.file = options.file || path.join(storageDir, BUDGET_FILE);
+    this.stateFile = path.join(storageDir, STATE_FILE);
+    this.agentUsage = options.agentUsage;
+    this.listSessions = options.listSessions || (() => []);
+    this.interrupt = options.interrupt || (async () => {});
+    this.notify = options.notify || (() => {});
+    this.intervalMs = options.intervalMs || DEFAULT_INTERVAL_MS;
+    this._now = options.now || Date.now;
+    this._cache = null; // { mtimeMs, size, config, error }
+    this._state = {}; // row key -> { notified: [fraction], interrupts: [{sessionId, at}] }
+    this._rows = [];
+    this._error = null;
+    this._checkedAt = null;
+    this._lastCheckAt = null;
+    this._timer = null;
+    this._checking = null;
+    this._saving = Promise.resolve();
+  }
+
+  /** Load persisted alert state. A missing or unreadable file starts empty. */
+  async init() {
+    try {
+      const saved = JSON.parse(await fsp.readFile(this.stateFile, 'utf8'));
+      if (saved && saved.budgets && typeof saved.budgets === 'object') this._state = saved.budgets;
+      if (Array.isArray(saved.rows)) this._rows = saved.rows;
+      if (typeof saved.checkedAt === 'number') this._checkedAt = saved.checkedAt;
+    } catch (err) {
+      if (err.code !== 'ENOENT') console.warn(`[budget] ignoring ${this.stateFile}: ${err.message}`);
+    }
+  }
+
+  start() {
+    if (this._timer) return;
+    this._timer = setInterval(() => {
+      this.check().catch((err) => console.warn(`[budget] check failed: ${err.message}`));
+    }, this.intervalMs);
+    if (this._timer.unref) this._timer.unref();
+  }
+
+  stop() {
+    if (this._timer) clearInterval(this._timer);
+    this._timer = null;
+  }
+
+  /**
+   * Read the budgets file, re-parsing only when it changed on disk.
+   * @returns {Promise<object|null>} Compiled budgets, or null when there is no file.
+   * @throws {Error} code INVALID_BUDGET
+   */
+  async load() {
+    let stat;
+    try {
+      stat = await fsp.stat(this.file);
+    } catch (err) {
+      if (err.code === 'ENOENT') { this._cache = null; return null; }
+      throw err;
+    }
+    if (this._cache && this._cache.mtimeMs === stat.mtimeMs && this._cache.size === stat.size) {
+      if (this._cache.error) throw this._cache.error;
+      return this._cache.config;
+    }
+    const text = await fsp.readFile(this.file, 'utf8');
+    let config = null;
+    let error = null;
+    try {
+      config = compileBudgets(JSON.parse(text));
+    } catch (err) {
+      error = budgetError(`${this.file}: ${err.message}`);
+    }
+    this._cache = { mtimeMs: stat.mtimeMs, size: stat.size, config, error };
+    if (error) throw error;
+    return config;
+  }
+
+  /** Measure usage, send due alerts and interrupts. Overlapping calls share one run. */
+  check() {
+    if (!this._checking) {
+      this._checking = this._check().finally(() => { this._checking = null; });
+    }
+    return this._checking;
+  }
+
+  async _check() {
+    const now = this._now();
+    let config;
+    try {
+      config = await this.load();
+      this._error = null;
+    } catch (err) {
+      // A broken file keeps the last good state; say so once per edit.
+      if (this._error !== err.message) console.warn(`[budget] ${err.message}`);
+      this._error = err.message;
+      return [];
+    }
+    if (!config || !config.budgets.length) {
+      this._rows = [];
+      this._checkedAt = now;
+      return [];
+    }
+
+    const sessions = this.listSessions().filter((s) => AGENTS.includes(s.agent));
+    let since = localMidnight(now);
+    if (config.budgets.some((b) => b.scope === 'session')) {
+      for (const s of sessions) if (Number.isFinite(s.startedAt) && s.startedAt < since) since = s.startedAt;
+    }
+    since = Math.max(since, now - MAX_LOOKBACK_MS);
+    const entries = await this.agentUsage.getEntries({ since, until: now });
+    const rows = evaluateBudgets(config, entries, sessions, now);
+    // On the first check after a start, only spend from the last interval counts as "still spending".
+    const spendingSince = this._lastCheckAt == null ? now - this.intervalMs : this._lastCheckAt;
+    this._lastCheckAt = now;
+
+    const alerts = [];
+    const nextState = {};
+    for (const row of rows) {
+      const state = this._state[row.key] || { notified: [], interrupts: [] };
+      nextState[row.key] = state;
+      const levels = row.budget.thresholds.concat(1);
+      const crossed = levels.filter((level) => row.fraction >= level && !state.notified.includes(level));
+
+      let interrupted = [];
+      if (row.budget.interrupt && row.fraction >= 1) {
+        const targets = [];
+        for (const [sessionId, lastAt] of row.contributors) {
+          if (lastAt > spendingSince) targets.push(sessionId);
+        }
+        for (const sessionId of targets) {
+          try {
+            await this.interrupt(sessionId, row.budget.name);
+            interrupted.push(sessionId);
+          } catch (err) {
+            console.warn(`[budget] could not interrupt ${sessionId}: ${err.message}`);
+          }
+        }
+        if (interrupted.length) {
+          state.interrupts = state.interrupts
+            .concat(interrupted.map((sessionId) => ({ sessionId, at: now })))
+            .slice(-MAX_INTERRUPTS_KEPT);
+        }
+      }
+
+      if (crossed.length || interrupted.length) {
+        state.notified = state.notified.concat(crossed);
+        const alert = {
+          ...this._publicRow(row, state),
+          threshold: crossed.length ? crossed[crossed.length - 1] : 1,
+          interrupted,
+        };
+        alerts.push(alert);
+        try {
+          this.notify(alert);
+        } catch (err) {
+          console.warn(`[budget] notify failed: ${err.message}`);
+        }
+      }
+    }
+
+    this._state = nextState;
+    this._rows = rows.map((row) => this._publicRow(row, nextState[row.key]));
+    this._checkedAt = now;
+    await this._save();
+    return alerts;
+  }
+
+  _publicRow(row, state) {
+    return {
+      budget: row.budget.name,
+      scope: row.budget.scope,
+      period: row.period,
+      sessionId: row.sessionId,
+      workingDir: row.workingDir,
+      cost: row.cost,
+      tokens: row.tokens,
+      maxCost: row.budget.maxCost,
+      maxTokens: row.budget.maxTokens,
+      fraction: row.fraction,
+      exceeded: row.fraction >= 1,
+      interrupt: row.budget.interrupt,
+      notified: state.notified.slice(),
+      interrupts: state.interrupts.slice(),
+    };
+  }
+
+  /**
+   * Current budget state, as last measured.
+   * @returns {{file: string, error: string|null, checkedAt: number|null, budgets: Array<object>}}
+   */
+  snapshot() {
+    return {
+      file: this.file,
+      error: this._error,
+      checkedAt: this._checkedAt,
+      budgets: this._rows.map((row) => ({ ...row })),
+    };
+  }
+
+  _save() {
+    const text = JSON.stringify({ checkedAt: this._checkedAt, budgets: this._state, rows: this._rows }, null, 2);
+    this._saving = this._saving.catch(() => {}).then(async () => {
+      await fsp.mkdir(path.dirname(this.stateFile), { recursive: true });
+      const tmp = `${this.stateFile}.tmp`;
+      await fsp.writeFile(tmp, text);
+      await fsp.rename(tmp, this.stateFile);
+    }).catch((err) => console.warn(`[budget] could not save ${this.stateFile}: ${err.message}`));
+    return this._saving;
+  }
+}
+
+module.exports = UsageBudget;
+module.exports.UsageBudget = UsageBudget;
+module.exports.attributeEntries = attributeEntries;
+module.exports.compileBudgets = compileBudgets;
+module.exports.evaluateBudgets = evaluateBudgets;
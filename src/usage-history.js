@@ -0,0 +1,228 @@
+'use strict';
+
+// Usage history for the dashboard and for export: AgentUsage entries over a
+// date range, bucketed by day, week or month in the server's local time,
+// with per-model and per-project (working directory) breakdowns and the
+// rolling session windows (5 hours by default) that claude's plan limits are
+// counted in. GET /api/usage/history serves it as JSON or CSV.
+
+const { AGENTS, addTo, emptyTotals, parseTime } = require('./agent-usage');
+
+const GROUP_BY = ['day', 'week', 'month'];
+const DEFAULT_DAYS = 30;
+const MAX_DAYS = 366;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const CSV_COLUMNS = [
+  'period', 'agent', 'model', 'project', 'requests', 'inputTokens', 'outputTokens',
+  'cacheCreationTokens', 'cacheReadTokens', 'totalTokens', 'totalCost',
+];
+
+function invalid(message) {
+  return Object.assign(new Error(message), { code: 'INVALID_ARGUMENT' });
+}
+
+function pad(n) {
+  return String(n).padStart(2, '0');
+}
+
+function localDate(ms) {
+  const d = new Date(ms);
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+}
+
+// A bare YYYY-MM-DD is a local calendar day: "from" is its first moment, "to"
+// includes the whole day. Anything else is an ISO timestamp or epoch ms.
+function parseBound(value, name, endOfDay) {
+  const s = String(value);
+  const day = /^(\d{4})-(\d{2})-(\d{2})$/.exec(s);
+  if (day) {
+    const d = new Date(Number(day[1]), Number(day[2]) - 1, Number(day[3]) + (endOfDay ? 1 : 0));
+    return endOfDay ? d.getTime() - 1 : d.getTime();
+  }
+  const ms = parseTime(s);
+  if (ms === null) throw invalid(`"${name}" must be a date (YYYY-MM-DD), an ISO timestamp or epoch milliseconds`);
+  return ms;
+}
+
+/**
+ * Read the history query: `from` / `to` (default: the last 30 days),
+ * `groupBy` (day, week or month; default day), `agent` (comma-separated).
+ * @param {object} query
+ * @returns {{from: number, to: number, groupBy: string, agents: (string[]|undefined)}}
+ * @throws {Error} code INVALID_ARGUMENT
+ */
+function parseHistoryQuery(query = {}) {
+  const to = query.to === undefined || query.to === '' ? Date.now() : parseBound(query.to, 'to', true);
+  let from;
+  if (query.from === undefined || query.from === '') {
+    const start = new Date(to);
+    start.setHours(0, 0, 0, 0);
+    start.setDate(start.getDate() - (DEFAULT_DAYS - 1));
+    from = start.getTime();
+  } else {
+    from = parseBound(query.from, 'from', false);
+  }
+  if (to < from) throw invalid('"to" is before "from"');
+  if (to - from > MAX_DAYS * DAY_MS) throw invalid(`the range is limited to ${MAX_DAYS} days`);
+  const groupBy = query.groupBy === undefined || query.groupBy === '' ? 'day' : String(query.groupBy);
+  if (!GROUP_BY.includes(groupBy)) throw invalid(`"groupBy" must be one of ${GROUP_BY.join(', ')}`);
+  let agents;
+  if (query.agent !== undefined && query.agent !== '') {
+    agents = String(query.agent).split(',').map((a) => a.trim()).filter(Boolean);
+    const unknown = agents.find((a) => !AGENTS.includes(a));
+    if (unknown) throw invalid(`Unknown agent "${unknown}"; expected ${AGENTS.join(', ')}`);
+  }
+  return { from, to, groupBy, agents };
+}
+
+/**
+ * First moment of the bucket that holds `ms`. Weeks start on Monday.
+ * @returns {number}
+ */
+function bucketStart(ms, groupBy) {
+  const d = new Date(ms);
+  d.setHours(0, 0, 0, 0);
+  if (groupBy === 'week') d.setDate(d.getDate() - ((d.getDay() + 6) % 7));
+  if (groupBy === 'month') d.setDate(1);
+  return d.getTime();
+}
+
+function nextBucket(start, groupBy) {
+  const d = new Date(start);
+  if (groupBy === 'day') d.setDate(d.getDate() + 1);
+  if (groupBy === 'week') d.setDate(d.getDate() + 7);
+  if (groupBy === 'month') d.setMonth(d.getMonth() + 1);
+  return d.getTime();
+}
+
+function bucketLabel(start, groupBy) {
+  return groupBy === 'month' ? localDate(start).slice(0, 7) : localDate(start);
+}
+
+/**
+ * Rolling usage windows, the way claude's plan limits count them: a window
+ * opens at the hour of the first request after the previous one closed and
+ * lasts `hours`. Same rule as UsageReader.getDailySessionBoundaries, without
+ * its cut at midnight.
+ * @param {object[]} entries - Sorted oldest first.
+ * @param {number} hours
+ * @returns {Array<{start: string, end: string}>} Each with the usage totals inside it.
+ */
+function sessionWindows(entries, hours) {
+  const windows = [];
+  let current = null;
+  for (const entry of entries) {
+    const at = Date.parse(entry.timestamp);
+    if (!current || at >= current.endMs) {
+      const start = new Date(at);
+      start.setMinutes(0, 0, 0);
+      current = { startMs: start.getTime(), endMs: start.getTime() + hours * 60 * 60 * 1000, totals: emptyTotals() };
+      windows.push(current);
+    }
+    addTo(current.totals, entry);
+  }
+  return windows.map((w) => ({ start: new Date(w.startMs).toISOString(), end: new Date(w.endMs).toISOString(), ...w.totals }));
+}
+
+const byCost = (a, b) => (b.totalCost - a.totalCost) || (b.totalTokens - a.totalTokens);
+
+/**
+ * Bucket entries for the dashboard. Every bucket in the range is present,
+ * empty ones included, so charts need no gap filling.
+ * @param {object[]} entries - AgentUsage entries, sorted oldest first.
+ * @param {{from: number, to: number, groupBy: string, agents?: string[], sessionHours?: number}} options
+ */
+function buildHistory(entries, { from, to, groupBy, agents, sessionHours = 5 }) {
+  const buckets = [];
+  const index = new Map();
+  for (let start = bucketStart(from, groupBy); start <= to; start = nextBucket(start, groupBy)) {
+    const bucket = {
+      period: bucketLabel(start, groupBy),
+      start: new Date(start).toISOString(),
+      end: new Date(nextBucket(start, groupBy)).toISOString(),
+      ...emptyTotals(),
+      byAgent: {},
+    };
+    index.set(start, bucket);
+    buckets.push(bucket);
+  }
+
+  const totals = emptyTotals();
+  const models = new Map();
+  const projects = new Map();
+  // One line per period × agent × model × project, for CSV.
+  const rows = new Map();
+  for (const entry of entries) {
+    const at = Date.parse(entry.timestamp);
+    if (at < from || at > to) continue;
+    const bucket = index.get(bucketStart(at, groupBy));
+    if (!bucket) continue;
+    addTo(totals, entry);
+    addTo(bucket, entry);
+    addTo(bucket.byAgent[entry.agent] || (bucket.byAgent[entry.agent] = emptyTotals()), entry);
+
+    const modelKey = `${entry.agent}\0${entry.model}`;
+    if (!models.has(modelKey)) models.set(modelKey, { agent: entry.agent, model: entry.model, ...emptyTotals() });
+    addTo(models.get(modelKey), entry);
+
+    const project = entry.workingDir || null;
+    if (!projects.has(project)) projects.set(project, { project, agents: [], ...emptyTotals() });
+    const p = projects.get(project);
+    addTo(p, entry);
+    if (!p.agents.includes(entry.agent)) p.agents.push(entry.agent);
+
+    const rowKey = `${bucket.period}\0${modelKey}\0${project}`;
+    if (!rows.has(rowKey)) {
+      rows.set(rowKey, { period: bucket.period, agent: entry.agent, model: entry.model, project, ...emptyTotals() });
+    }
+    addTo(rows.get(rowKey), entry);
+  }
+
+  const claude = entries.filter((e) => e.agent === 'claude' && Date.parse(e.timestamp) >= from && Date.parse(e.timestamp) <= to);
+  return {
+    from: new Date(from).toISOString(),
+    to: new Date(to).toISOString(),
+    groupBy,
+    agents: agents || AGENTS.slice(),
+    totals,
+    buckets,
+    byModel: Array.from(models.values()).sort(byCost),
+    byProject: Array.from(projects.values()).sort(byCost),
+    sessionHours,
+    windows: sessionWindows(claude, sessionHours),
+    rows: Array.from(rows.values()),
+  };
+}
+
+function csvCell(value) {
+  if (value == null) return '';
+  const s = String(value);
+  // Quote separators and line breaks; prefix formula starters so a
+  // spreadsheet does not evaluate a crafted directory name.
+  const safe = /^[=+\-@\t\r]/.test(s) && !/^-?\d/.test(s) ? `'${s}` : s;
+  return /[",\r\n]/.test(safe) ? `"${safe.replace(/"/g, '""')}"` : safe;
+}
+
+/**
+ * The history's rows as CSV, one line per period, agent, model and project.
+ * @param {object} history - From buildHistory.
+ * @returns {string}
+ */
+function historyToCsv(history) {
+  const lines = [CSV_COLUMNS.join(',')];
+  for (const row of history.rows) {
+    lines.push(CSV_COLUMNS.map((col) => csvCell(col === 'totalCost' ? row.totalCost.toFixed(6) : row[col])).join(','));
+  }
+  return lines.join('\r\n') + '\r\n';
+}
+
+module.exports = {
+  buildHistory,
+  bucketStart,
+  historyToCsv,
+  localDate,
+  parseHistoryQuery,
+  sessionWindows,
+  CSV_COLUMNS,
+  GROUP_BY,
+};
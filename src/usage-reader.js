@@ -502,6 +502,7 @@ class UsageReader {
                 cacheReadTokens: cacheReadTokens,
                 totalCost: finalCost,
                 sessionId: entry.sessionId,
+                workingDir: entry.cwd || null,
                 messageId: entry.message_id || entry.messageId || (entry.message && entry.message.id) || null,
                 requestId: entry.request_id || entry.requestId || null
               };
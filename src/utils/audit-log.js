@@ -0,0 +1,311 @@
+'use strict';
+
+// Append-only audit trail of who did what, as JSONL at
+// <storageDir>/audit/audit.jsonl. One line per entry:
+//
+//   {"ts":"2026-01-01T00:00:00.000Z","user":"alice","role":"operator","transport":"tunnel","action":"file.write","path":"/repo/a.js","bytes":120}
+//
+// `user` is null when authentication is disabled. `transport` is how the
+// request reached the server (see classifyTransport). Entries never contain
+// what was typed or written — only who acted on which session or path and how
+// much — so the audit file is safe to hand to a reviewer (recordings are the
+// place for content).
+//
+// Keystrokes arrive one WebSocket message per key, so terminal input is
+// coalesced per user+session into one "input" entry per burst, flushed after
+// `inputQuietMs` of silence. Every other action is one entry.
+//
+// Rotation: once the live file passes `maxBytes` it is renamed to
+// audit-<stamp>.jsonl and gzipped by utils/log-rotator; rotated files older
+// than `retentionDays` are pruned (the newest is always kept).
+
+const fsp = require('fs').promises;
+const path = require('path');
+const os = require('os');
+const zlib = require('zlib');
+const { promisify } = require('util');
+const { compactJsonlFile, pruneOldFiles } = require('./log-rotator');
+
+const gunzip = promisify(zlib.gunzip);
+
+const DEFAULT_INPUT_QUIET_MS = 2000;
+const DEFAULT_MAX_BYTES = 10 * 1024 * 1024;
+const DEFAULT_RETENTION_DAYS = 365;
+const DEFAULT_QUERY_LIMIT = 200;
+const MAX_QUERY_LIMIT = 1000;
+const ROTATED_RE = /^audit-(\d{8}T\d{9}Z)(?:-(\d+))?\.jsonl(?:\.gz)?$/;
+const LOOPBACK = new Set(['127.0.0.1', '::1', '::ffff:127.0.0.1']);
+
+/**
+ * How a request reached the server:
+ *   "mesh"      — via the Tailscale `serve` proxy (--mesh)
+ *   "tunnel"    — via the dev tunnel relay (--tunnel)
+ *   "proxy"     — some other local reverse proxy (loopback + X-Forwarded-For)
+ *   "localhost" — directly from this machine
+ *   "lan"       — directly from another machine
+ * Both `tailscale serve` and the dev tunnel host connect from this machine,
+ * so the socket address decides first: a request from anywhere else is
+ * "lan" whatever its headers say. The host and identity headers then only
+ * pick mesh or tunnel when that proxy is configured.
+ * @param {import('http').IncomingMessage} req
+ * @param {{mesh?: boolean, meshHost?: string|null, tunnel?: boolean, tunnelHost?: string|null}} [setup] -
+ *   Whether --mesh / --tunnel are on, and their public hostnames when known.
+ * @returns {string}
+ */
+function classifyTransport(req, setup = {}) {
+  const socket = req && (req.socket || req.connection);
+  const addr = (socket && socket.remoteAddress) || '';
+  if (!LOOPBACK.has(addr)) return 'lan';
+  const headers = (req && req.headers) || {};
+  const host = String(headers['x-forwarded-host'] || headers.host || '')
+    .split(',')[0].trim().toLowerCase().replace(/:\d+$/, '');
+  if (setup.mesh && (headers['tailscale-user-login'] || host.endsWith('.ts.net') || (setup.meshHost && host === setup.meshHost))) {
+    return 'mesh';
+  }
+  if (setup.tunnel && (host.endsWith('.devtunnels.ms') || (setup.tunnelHost && host === setup.tunnelHost))) return 'tunnel';
+  return headers['x-forwarded-for'] ? 'proxy' : 'localhost';
+}
+
+/**
+ * The identity an audit entry is attributed to.
+ * @param {{name: string, role: string}|null} user - null with auth disabled.
+ * @param {string|null} transport
+ * @returns {{name: string|null, role: string|null, transport: string|null}}
+ */
+function actorFor(user, transport) {
+  return { name: user ? user.name : null, role: user ? user.role : null, transport: transport || null };
+}
+
+function parseTime(value) {
+  if (value == null || value === '') return null;
+  const ms = /^\d+$/.test(String(value)) ? Number(value) : Date.parse(value);
+  return Number.isFinite(ms) ? ms : null;
+}
+
+function listFilter(value) {
+  if (value == null || value === '') return null;
+  return String(value).split(',').map((v) => v.trim()).filter(Boolean);
+}
+
+class AuditLog {
+  /**
+   * @param {object} [options]
+   * @param {string} [options.storageDir] - Base dir; the log goes in `<storageDir>/audit`.
+   * @param {number} [options.inputQuietMs] - Silence that ends an input burst.
+   * @param {number} [options.maxBytes] - Rotate the live file past this size.
+   * @param {number} [options.retentionDays] - Prune rotated files older than this.
+   * @param {() => boolean} [options.isDiskFull] - Drops entries while true.
+   * @param {() => number} [options.now] - Clock (ms); injectable for tests.
+   */
+  constructor(options = {}) {
+    const storageDir = options.storageDir
+      || process.env.AI_OR_DIE_SESSION_DIR
+      || path.join(os.homedir(), '.ai-or-die');
+    this.dir = path.join(storageDir, 'audit');
+    this.file = path.join(this.dir, 'audit.jsonl');
+    this.inputQuietMs = options.inputQuietMs || DEFAULT_INPUT_QUIET_MS;
+    this.maxBytes = options.maxBytes || DEFAULT_MAX_BYTES;
+    this.retentionMs = (options.retentionDays || DEFAULT_RETENTION_DAYS) * 24 * 60 * 60 * 1000;
+    this._isDiskFull = typeof options.isDiskFull === 'function' ? options.isDiskFull : () => false;
+    this._now = typeof options.now === 'function' ? options.now : () => Date.now();
+    this._bursts = new Map(); // `${user}\0${transport}\0${sessionId}\0${via}` -> burst
+    this._queue = Promise.resolve();
+    this._size = null; // bytes in the live file; read on first append
+  }
+
+  /**
+   * Append one entry. Never throws; a failed write is logged.
+   * @param {{name: string|null, role: string|null, transport?: string|null}|null} actor
+   * @param {string} action - Dotted verb, e.g. "session.create", "file.write".
+   * @param {object} [details]
+   * @returns {Promise<void>} resolves once the line is written
+   */
+  record(actor, action, details = {}) {
+    const entry = {
+      ts: new Date(this._now()).toISOString(),
+      user: actor ? actor.name : null,
+      role: actor ? actor.role : null,
+      transport: (actor && actor.transport) || null,
+      action,
+      ...details,
+    };
+    return this._append(JSON.stringify(entry) + '\n');
+  }
+
+  /**
+   * Note input sent to a session. Coalesced into one "input" entry per burst.
+   * @param {{name: string|null, role: string|null, transport?: string|null}|null} actor
+   * @param {string} sessionId
+   * @param {string} data - The input (only its length is kept).
+   * @param {string} via - "websocket", "workspace" …
+   */
+  input(actor, sessionId, data, via) {
+    const user = actor ? actor.name : null;
+    const transport = (actor && actor.transport) || null;
+    const key = `${user}\0${transport}\0${sessionId}\0${via}`;
+    let burst = this._bursts.get(key);
+    if (!burst) {
+      burst = { actor, sessionId, via, startedAt: this._now(), bytes: 0, messages: 0, timer: null };
+      this._bursts.set(key, burst);
+    }
+    burst.bytes += Buffer.byteLength(String(data == null ? '' : data), 'utf8');
+    burst.messages += 1;
+    if (burst.timer) clearTimeout(burst.timer);
+    burst.timer = setTimeout(() => this._flushBurst(key), this.inputQuietMs);
+    if (burst.timer.unref) burst.timer.unref();
+  }
+
+  /** Write out every pending input burst. */
+  flush() {
+    for (const key of Array.from(this._bursts.keys())) this._flushBurst(key);
+    return this._queue;
+  }
+
+  /** Flush and stop (server shutdown). */
+  close() {
+    return this.flush();
+  }
+
+  /**
+   * Read entries back, newest first, across the live file and rotated ones.
+   * Pending input bursts are flushed first so the result is current.
+   * @param {object} [filters]
+   * @param {string} [filters.user] - Comma-separated user names.
+   * @param {string} [filters.action] - Comma-separated actions; "session" also
+   *   matches "session.create", "session.stop" ….
+   * @param {string} [filters.sessionId]
+   * @param {string} [filters.transport] - Comma-separated transports.
+   * @param {string|number} [filters.since] - ISO time or epoch ms (inclusive).
+   * @param {string|number} [filters.until] - ISO time or epoch ms (inclusive).
+   * @param {number} [filters.limit] - Default 200, max 1000.
+   * @returns {Promise<{entries: object[], hasMore: boolean}>}
+   */
+  async query(filters = {}) {
+    await this.flush();
+    const users = listFilter(filters.user);
+    const actions = listFilter(filters.action);
+    const transports = listFilter(filters.transport);
+    const sessionId = filters.sessionId || null;
+    const since = parseTime(filters.since);
+    const until = parseTime(filters.until);
+    const parsedLimit = parseInt(filters.limit, 10);
+    const limit = Math.min(MAX_QUERY_LIMIT, Math.max(1, Number.isFinite(parsedLimit) ? parsedLimit : DEFAULT_QUERY_LIMIT));
+
+    const matches = (e) => {
+      if (users && !users.includes(e.user)) return false;
+      if (actions && !actions.some((a) => e.action === a || String(e.action).startsWith(a + '.'))) return false;
+      if (transports && !transports.includes(e.transport)) return false;
+      if (sessionId && e.sessionId !== sessionId) return false;
+      return true;
+    };
+
+    const entries = [];
+    for (const file of await this._filesNewestFirst()) {
+      let text;
+      try {
+        const raw = await fsp.readFile(file);
+        text = file.endsWith('.gz') ? (await gunzip(raw)).toString('utf8') : raw.toString('utf8');
+      } catch (err) {
+        if (err.code !== 'ENOENT') console.warn(`[audit] could not read ${file}: ${err.message}`);
+        continue;
+      }
+      const lines = text.split('\n');
+      for (let i = lines.length - 1; i >= 0; i--) {
+        if (!lines[i]) continue;
+        let entry;
+        try { entry = JSON.parse(lines[i]); } catch (_) { continue; } // torn line after a crash
+        const ts = Date.parse(entry.ts);
+        if (until != null && ts > until) continue;
+        // Files and lines are chronological, so nothing older can match.
+        if (since != null && ts < since) return { entries, hasMore: false };
+        if (!matches(entry)) continue;
+        if (entries.length === limit) return { entries, hasMore: true };
+        entries.push(entry);
+      }
+    }
+    return { entries, hasMore: false };
+  }
+
+  async _filesNewestFirst() {
+    let names = [];
+    try {
+      names = await fsp.readdir(this.dir);
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err;
+    }
+    // Rotated files are named by rotation time; a "-N" suffix marks a later
+    // rotation within the same millisecond. An uncompressed one is a rotation
+    // whose gzip step failed.
+    const rotated = names
+      .map((n) => ({ n, m: ROTATED_RE.exec(n) }))
+      .filter((r) => r.m)
+      .sort((a, b) => (b.m[1] < a.m[1] ? -1 : b.m[1] > a.m[1] ? 1 : Number(b.m[2] || 0) - Number(a.m[2] || 0)));
+    return [this.file, ...rotated.map((r) => path.join(this.dir, r.n))];
+  }
+
+  _flushBurst(key) {
+    const burst = this._bursts.get(key);
+    if (!burst) return;
+    this._bursts.delete(key);
+    if (burst.timer) clearTimeout(burst.timer);
+    this.record(burst.actor, 'input', {
+      sessionId: burst.sessionId,
+      via: burst.via,
+      bytes: burst.bytes,
+      messages: burst.messages,
+      startedAt: new Date(burst.startedAt).toISOString(),
+    });
+  }
+
+  _append(line) {
+    if (this._isDiskFull()) return this._queue;
+    this._queue = this._queue.then(async () => {
+      try {
+        if (this._size == null) {
+          await fsp.mkdir(this.dir, { recursive: true });
+          try {
+            this._size = (await fsp.stat(this.file)).size;
+          } catch (_) {
+            this._size = 0;
+          }
+        }
+        await fsp.appendFile(this.file, line, { mode: 0o600 });
+        this._size += Buffer.byteLength(line, 'utf8');
+        if (this._size >= this.maxBytes) await this._rotate();
+      } catch (err) {
+        console.warn(`[audit] could not write ${this.file}: ${err.message}`);
+      }
+    });
+    return this._queue;
+  }
+
+  // Runs inside the append queue, so no write can land mid-rotation.
+  async _rotate() {
+    const stamp = new Date(this._now()).toISOString().replace(/[-:.]/g, '');
+    let target = path.join(this.dir, `audit-${stamp}.jsonl`);
+    for (let n = 1; await exists(target) || await exists(target + '.gz'); n++) {
+      target = path.join(this.dir, `audit-${stamp}-${n}.jsonl`);
+    }
+    await fsp.rename(this.file, target);
+    this._size = 0;
+    const compacted = await compactJsonlFile(target);
+    if (!compacted.ok) {
+      console.warn(`[audit] could not compress ${target}: ${compacted.error && compacted.error.message}`);
+    }
+    await pruneOldFiles(this.dir, ROTATED_RE, { maxAgeMs: this.retentionMs, preserveLatestN: 1 });
+  }
+}
+
+async function exists(p) {
+  try {
+    await fsp.access(p);
+    return true;
+  } catch (_) {
+    return false;
+  }
+}
+
+module.exports = AuditLog;
+module.exports.AuditLog = AuditLog;
+module.exports.classifyTransport = classifyTransport;
+module.exports.actorFor = actorFor;
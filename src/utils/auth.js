@@ -1,8 +1,71 @@
 const crypto = require('crypto');
+const fs = require('fs');
+
+// Roles for named users (users.json). A viewer can watch sessions but never
+// drive a PTY or change server state; an operator can do everything. The
+// shared --auth token authenticates as an operator.
+const ROLES = ['viewer', 'operator'];
+const USER_NAME_RE = /^[A-Za-z0-9][A-Za-z0-9_.@-]{0,63}$/;
+const MIN_USER_TOKEN_LENGTH = 16;
+const OWNER_NAME = 'owner';
+
+// WebSocket message types a viewer may send: joining and leaving sessions,
+// keepalive, per-connection delivery tuning and status reads. This is an
+// allow-list so a newly added message type is operator-only by default.
+const VIEWER_WS_MESSAGES = new Set([
+    'join_session',
+    'leave_session',
+    'ping',
+    'client_capabilities',
+    'set_priority',
+    'flow_control',
+    'geometry_withdraw',
+    'get_usage',
+    'voice_status',
+    'sticky_notes_status',
+    'vscode_tunnel_status',
+    'app_tunnel_status',
+]);
+
+const READ_METHODS = new Set(['GET', 'HEAD', 'OPTIONS']);
+// Reads a viewer may not make either. Template `env` values are often
+// credentials, and a job transcript is a stored copy of a whole run, not a
+// session the viewer was let in to watch. (Recordings are served to viewers
+// without their input events instead; see the /api/recordings route.)
+const OPERATOR_ONLY_READS = [
+    /^\/api\/templates(\/|$)/,
+    /^\/api\/jobs\/[^/]+\/runs\/[^/]+\/transcript$/,
+];
+
+function digest(token) {
+    return crypto.createHash('sha256').update(String(token)).digest();
+}
+
+/**
+ * May `user` send this WebSocket message type? `null` means auth is
+ * disabled, which allows everything.
+ */
+function canSendWsMessage(user, type) {
+    if (!user || user.role === 'operator') return true;
+    return VIEWER_WS_MESSAGES.has(type);
+}
+
+/**
+ * May `user` make an HTTP request with this method to this path? Viewers
+ * are read-only, and some reads are operator-only too.
+ */
+function canUseHttpMethod(user, method, urlPath = '') {
+    if (!user || user.role === 'operator') return true;
+    if (!READ_METHODS.has(String(method).toUpperCase())) return false;
+    return !OPERATOR_ONLY_READS.some((re) => re.test(String(urlPath)));
+}
 
 class AuthManager {
     constructor() {
         this.tokens = new Set();
+        // sha256(token) hex -> { name, role, digest }. Looked up by hash and
+        // confirmed with timingSafeEqual so a lookup never leaks token bytes.
+        this.users = new Map();
         this.rateLimiter = new Map();
         this._rateLimitCleanupInterval = setInterval(() => this.cleanupRateLimit(), 10 * 60 * 1000);
         if (this._rateLimitCleanupInterval.unref) {
@@ -15,7 +78,92 @@ class AuthManager {
     }
 
     validateToken(token) {
-        return this.tokens.has(token);
+        return this.authenticate(token) !== null;
+    }
+
+    /**
+     * Register a named user.
+     * @param {string} name
+     * @param {string} token
+     * @param {'viewer'|'operator'} role
+     */
+    addUser(name, token, role) {
+        if (typeof name !== 'string' || !USER_NAME_RE.test(name)) {
+            throw new Error(`Invalid user name "${name}"`);
+        }
+        if (name === OWNER_NAME) {
+            throw new Error(`"${OWNER_NAME}" is reserved for the shared --auth token`);
+        }
+        if (typeof token !== 'string' || token.length < MIN_USER_TOKEN_LENGTH) {
+            throw new Error(`Token for user "${name}" must be at least ${MIN_USER_TOKEN_LENGTH} characters`);
+        }
+        if (!ROLES.includes(role)) {
+            throw new Error(`User "${name}" has unknown role "${role}" (expected ${ROLES.join(' or ')})`);
+        }
+        const hash = digest(token);
+        const key = hash.toString('hex');
+        if (this.users.has(key)) {
+            throw new Error(`User "${name}" reuses another user's token`);
+        }
+        for (const u of this.users.values()) {
+            if (u.name === name) throw new Error(`Duplicate user name "${name}"`);
+        }
+        this.users.set(key, { name, role, digest: hash });
+    }
+
+    hasUsers() {
+        return this.users.size > 0;
+    }
+
+    /**
+     * Resolve a token to its user. Shared tokens (addToken) resolve to the
+     * built-in "owner" operator.
+     * @returns {{name: string, role: string}|null}
+     */
+    authenticate(token) {
+        if (typeof token !== 'string' || !token) return null;
+        if (this.tokens.has(token)) return { name: OWNER_NAME, role: 'operator' };
+        const hash = digest(token);
+        const user = this.users.get(hash.toString('hex'));
+        if (!user || !crypto.timingSafeEqual(user.digest, hash)) return null;
+        return { name: user.name, role: user.role };
+    }
+
+    /**
+     * Load users from a JSON file shaped like
+     * `{ "users": [ { "name": "alice", "token": "...", "role": "operator" } ] }`.
+     * A missing file is not an error. Invalid entries are skipped and reported,
+     * so a typo locks that one user out rather than opening the server.
+     * @returns {{loaded: number, errors: string[]}}
+     */
+    loadUsersFile(file) {
+        const errors = [];
+        let raw;
+        try {
+            raw = fs.readFileSync(file, 'utf8');
+        } catch (err) {
+            if (err.code === 'ENOENT') return { loaded: 0, errors };
+            return { loaded: 0, errors: [`Cannot read ${file}: ${err.message}`] };
+        }
+        let parsed;
+        try {
+            parsed = JSON.parse(raw);
+        } catch (err) {
+            return { loaded: 0, errors: [`${file} is not valid JSON: ${err.message}`] };
+        }
+        const entries = parsed && Array.isArray(parsed.users) ? parsed.users : null;
+        if (!entries) return { loaded: 0, errors: [`${file} must contain a "users" array`] };
+        let loaded = 0;
+        entries.forEach((entry, i) => {
+            try {
+                if (!entry || typeof entry !== 'object') throw new Error('entry must be an object');
+                this.addUser(entry.name, entry.token, entry.role);
+                loaded++;
+            } catch (err) {
+                errors.push(`users[${i}]: ${err.message}`);
+            }
+        });
+        return { loaded, errors };
     }
 
     addToken(token) {
@@ -139,4 +287,9 @@ class AuthManager {
     }
 }
 
-module.exports = AuthManager;
\ No newline at end of file
+module.exports = AuthManager;
+module.exports.AuthManager = AuthManager;
+module.exports.ROLES = ROLES;
+module.exports.VIEWER_WS_MESSAGES = VIEWER_WS_MESSAGES;
+module.exports.canSendWsMessage = canSendWsMessage;
+module.exports.canUseHttpMethod = canUseHttpMethod;
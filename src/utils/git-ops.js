@@ -0,0 +1,449 @@
+'use strict';
+
+// Git operations behind the file browser's git panel (/api/git/*): status,
+// diffs split into hunks, staging whole files or single hunks, commits,
+// branches and the log. git runs through execFile (never a shell) with
+// --literal-pathspecs, so a file name is never read as pathspec magic, and
+// refs pass the same allowlist as /api/files/git-show (isSafeRef).
+
+const { execFile } = require('child_process');
+const crypto = require('crypto');
+
+// Refs and SHAs only: HEAD, HEAD~3, HEAD^, main, feat/x, v1.2.3, full SHAs.
+// No leading "-", whitespace, NUL, shell or glob characters.
+const REF_PATTERN = /^[A-Za-z0-9_./~^@-]{1,200}$/;
+
+const MAX_DIFF_BYTES = 5 * 1024 * 1024;
+const MAX_LOG = 200;
+const MAX_FILES = 1000;
+const MAX_MESSAGE_LENGTH = 10000;
+
+const GIT_ENV = {
+  GIT_TERMINAL_PROMPT: '0',
+  // A status refresh must not take index.lock from under an agent's git.
+  GIT_OPTIONAL_LOCKS: '0',
+  GIT_EDITOR: 'true',
+};
+
+function gitOpsError(code, message, statusCode) {
+  const err = new Error(message);
+  err.code = code;
+  err.statusCode = statusCode;
+  return err;
+}
+
+function isSafeRef(ref) {
+  return typeof ref === 'string' && REF_PATTERN.test(ref) && !ref.startsWith('-');
+}
+
+// A path relative to the repository root, as status and diff report them.
+function isSafeRepoPath(p) {
+  if (typeof p !== 'string' || !p || p.length > 4096 || p.includes('\0')) return false;
+  if (/^([\\/]|[A-Za-z]:)/.test(p)) return false;
+  return !p.split(/[\\/]/).includes('..');
+}
+
+/**
+ * Strip server paths from a git message before it reaches the client, and
+ * cap it at 300 characters.
+ * @param {string} text
+ * @param {{repo?: string, base?: string}} [roots] - replaced by <repo> / <base>
+ */
+function sanitizeGitMessage(text, roots = {}) {
+  if (!text) return text;
+  let out = String(text);
+  try {
+    const escapeRe = (str) => str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    if (roots.repo) out = out.replace(new RegExp(escapeRe(roots.repo), 'g'), '<repo>');
+    if (roots.base) out = out.replace(new RegExp(escapeRe(roots.base), 'g'), '<base>');
+  } catch (_) { /* keep the unreplaced text */ }
+  // Long absolute paths that survived the prefix strip (another drive
+  // letter, a symlink-resolved variant).
+  out = out.replace(/(['"]?)(\/[^\s'"`]{12,}|[A-Za-z]:[\\/][^\s'"`]{6,})\1/g, '<path>');
+  return out.slice(0, 300);
+}
+
+/**
+ * Run git in `root`.
+ * @param {string} root
+ * @param {string[]} args
+ * @param {{input?: string, maxBuffer?: number, timeout?: number, okExit?: number[], write?: boolean}} [opts]
+ *   `okExit` lists non-zero exit codes that still mean success; `write`
+ *   reports a refusal as GIT_REFUSED (409) rather than GIT_FAILED (500).
+ * @returns {Promise<{stdout: string, truncated: boolean}>}
+ */
+function run(root, args, opts = {}) {
+  return new Promise((resolve, reject) => {
+    const maxBuffer = opts.maxBuffer || MAX_DIFF_BYTES;
+    const child = execFile('git', ['-c', 'core.quotepath=false', '-c', 'color.ui=false', '--literal-pathspecs', ...args], {
+      cwd: root,
+      shell: false,
+      env: { ...process.env, ...GIT_ENV },
+      maxBuffer,
+      timeout: opts.timeout || 15000,
+      windowsHide: true,
+    }, (err, stdout, stderr) => {
+      if (!err) return resolve({ stdout: String(stdout), truncated: false });
+      if (err.code === 'ERR_CHILD_PROCESS_STDIO_MAXBUFFER') return resolve({ stdout: String(stdout), truncated: true });
+      if (typeof err.code === 'number' && (opts.okExit || []).includes(err.code)) {
+        return resolve({ stdout: String(stdout), truncated: false });
+      }
+      if (err.code === 'ENOENT') return reject(gitOpsError('GIT_MISSING', 'git is not installed on the server', 503));
+      if (err.killed) return reject(gitOpsError('GIT_TIMEOUT', `git ${args[0]} timed out`, 504));
+      const message = String(stderr || '').split('\n').map((l) => l.trim()).find(Boolean) || err.message;
+      reject(opts.write
+        ? gitOpsError('GIT_REFUSED', message, 409)
+        : gitOpsError('GIT_FAILED', message, 500));
+    });
+    if (opts.input !== undefined) child.stdin.end(opts.input);
+  });
+}
+
+async function refExists(root, ref) {
+  try {
+    await run(root, ['rev-parse', '--verify', '--quiet', '--end-of-options', ref]);
+    return true;
+  } catch (err) {
+    if (err.code === 'GIT_FAILED') return false;
+    throw err;
+  }
+}
+
+async function requireRef(root, ref) {
+  if (!isSafeRef(ref)) throw gitOpsError('INVALID_REF', 'Invalid ref', 400);
+  if (!(await refExists(root, `${ref}^{commit}`))) throw gitOpsError('REF_NOT_FOUND', `Unknown revision: ${ref}`, 404);
+}
+
+function requirePaths(files) {
+  if (!Array.isArray(files) || !files.length || files.length > MAX_FILES || !files.every(isSafeRepoPath)) {
+    throw gitOpsError('INVALID_ARGUMENT', `files must list 1 to ${MAX_FILES} paths inside the repository`, 400);
+  }
+}
+
+// --- Parsing ---
+
+/**
+ * Parse `git status --porcelain=v1 -z --branch`.
+ * @returns {{branch: string|null, detached: boolean, unborn: boolean, upstream: string|null,
+ *            ahead: number, behind: number,
+ *            files: Array<{path: string, origPath: string|null, index: string, worktree: string,
+ *                          staged: boolean, unstaged: boolean, untracked: boolean, conflicted: boolean}>}}
+ */
+function parseStatus(out) {
+  const result = { branch: null, detached: false, unborn: false, upstream: null, ahead: 0, behind: 0, files: [] };
+  const entries = out.split('\0');
+  for (let i = 0; i < entries.length; i++) {
+    const entry = entries[i];
+    if (!entry) continue;
+    if (entry.startsWith('## ')) {
+      const head = entry.slice(3);
+      if (head.startsWith('No commits yet on ')) {
+        result.branch = head.slice(18);
+        result.unborn = true;
+      } else if (head.startsWith('HEAD (no branch)')) {
+        result.detached = true;
+      } else {
+        const m = /^(.+?)(?:\.\.\.(\S+))?(?: \[(.+)\])?$/.exec(head);
+        result.branch = m[1];
+        result.upstream = m[2] || null;
+        const ahead = /ahead (\d+)/.exec(m[3] || '');
+        const behind = /behind (\d+)/.exec(m[3] || '');
+        result.ahead = ahead ? Number(ahead[1]) : 0;
+        result.behind = behind ? Number(behind[1]) : 0;
+      }
+      continue;
+    }
+    const index = entry[0];
+    const worktree = entry[1];
+    const file = { path: entry.slice(3), origPath: null, index, worktree };
+    // Renames and copies carry the source path as the next entry.
+    if ('RC'.includes(index) || 'RC'.includes(worktree)) file.origPath = entries[++i] || null;
+    const pair = index + worktree;
+    file.untracked = pair === '??';
+    file.conflicted = index === 'U' || worktree === 'U' || pair === 'AA' || pair === 'DD';
+    file.staged = !file.untracked && !file.conflicted && index !== ' ' && index !== '!';
+    file.unstaged = !file.untracked && !file.conflicted && worktree !== ' ' && worktree !== '!';
+    if (pair !== '!!') result.files.push(file);
+  }
+  return result;
+}
+
+// Undo git's C-style quoting of a path ("a\tb", "caf\303\251").
+function unquotePath(s) {
+  if (!s.startsWith('"') || !s.endsWith('"') || s.length < 2) return s;
+  const body = s.slice(1, -1);
+  const escapes = { a: 7, b: 8, t: 9, n: 10, v: 11, f: 12, r: 13 };
+  const bytes = [];
+  for (let i = 0; i < body.length; i++) {
+    if (body[i] !== '\\') {
+      const ch = String.fromCodePoint(body.codePointAt(i));
+      bytes.push(...Buffer.from(ch, 'utf8'));
+      i += ch.length - 1;
+      continue;
+    }
+    const next = body[++i];
+    if (/[0-7]/.test(next)) {
+      bytes.push(parseInt(body.substr(i, 3), 8));
+      i += 2;
+    } else {
+      bytes.push(escapes[next] !== undefined ? escapes[next] : next.charCodeAt(0));
+    }
+  }
+  return Buffer.from(bytes).toString('utf8');
+}
+
+function diffPath(s) {
+  if (s === '/dev/null') return null;
+  return unquotePath(s).replace(/^[ab]\//, '');
+}
+
+// The path of a `diff --git a/P b/P` line. Renames are corrected by the
+// rename / --- / +++ lines that follow.
+function headerPath(rest) {
+  if (rest.startsWith('"')) {
+    const end = rest.indexOf('" ', 1);
+    return diffPath(end === -1 ? rest : rest.slice(0, end + 1));
+  }
+  const half = (rest.length - 5) / 2;
+  if (Number.isInteger(half) && rest.slice(2, 2 + half) === rest.slice(5 + half)) return rest.slice(2, 2 + half);
+  const split = rest.indexOf(' b/');
+  return diffPath(split === -1 ? rest : rest.slice(0, split));
+}
+
+/**
+ * Split unified diff output into files and hunks. Each hunk gets an `id`
+ * derived from its text, which stage-hunk uses to check that the diff has
+ * not changed since the client saw it.
+ * @param {string} text
+ * @returns {Array<{path: string, oldPath: string|null, status: string, binary: boolean,
+ *                  header: string[], hunks: Array<{id: string, header: string, lines: string[]}>}>}
+ */
+function parseDiff(text) {
+  const files = [];
+  let file = null;
+  let hunk = null;
+  const lines = text.split('\n');
+  if (lines[lines.length - 1] === '') lines.pop();
+  for (const line of lines) {
+    // Conflicted files come as combined diffs (diff --cc, @@@ hunks); they
+    // are shown but never staged by hunk.
+    const combined = /^diff --(cc|combined) /.exec(line);
+    if (line.startsWith('diff --git ') || combined) {
+      const p = combined ? unquotePath(line.slice(combined[0].length)) : headerPath(line.slice(11));
+      file = { path: p, oldPath: p, status: 'modified', binary: false, header: [line], hunks: [] };
+      files.push(file);
+      hunk = null;
+      continue;
+    }
+    if (!file) continue;
+    if (hunk && /^[ +\-\\]/.test(line)) {
+      hunk.lines.push(line);
+      continue;
+    }
+    hunk = null;
+    if (line.startsWith('@@')) {
+      hunk = { id: null, header: line, lines: [] };
+      file.hunks.push(hunk);
+      continue;
+    }
+    file.header.push(line);
+    if (line.startsWith('new file mode')) file.status = 'added';
+    else if (line.startsWith('deleted file mode')) file.status = 'deleted';
+    else if (line.startsWith('rename from ')) { file.oldPath = unquotePath(line.slice(12)); file.status = 'renamed'; }
+    else if (line.startsWith('rename to ')) file.path = unquotePath(line.slice(10));
+    else if (line.startsWith('Binary files ') || line === 'GIT binary patch') file.binary = true;
+    else if (line.startsWith('--- ')) { const p = diffPath(line.slice(4)); if (p) file.oldPath = p; }
+    else if (line.startsWith('+++ ')) { const p = diffPath(line.slice(4)); if (p) file.path = p; }
+  }
+  for (const f of files) {
+    for (const h of f.hunks) {
+      h.id = crypto.createHash('sha1').update(f.path).update('\0').update(h.header).update('\n')
+        .update(h.lines.join('\n')).digest('hex').slice(0, 16);
+    }
+  }
+  return files;
+}
+
+// A patch holding one hunk of `file`, for `git apply`.
+function hunkPatch(file, hunk) {
+  return `${file.header.join('\n')}\n${hunk.header}\n${hunk.lines.join('\n')}\n`;
+}
+
+// --- Operations ---
+
+async function status(root) {
+  const { stdout } = await run(root, ['status', '--porcelain=v1', '-z', '--branch', '--untracked-files=all']);
+  return parseStatus(stdout);
+}
+
+/**
+ * A diff, parsed. With `commit`, that commit's changes (against its first
+ * parent); with `from`, `from` against `to` or, without `to`, the working
+ * tree; otherwise the working tree against the index, or with `staged` the
+ * index against HEAD. `file` limits it to one path; with `untracked` that
+ * file is shown as new.
+ * @returns {Promise<{files: object[], truncated: boolean}>} A diff past 5 MB
+ *   is cut before its last file and flagged `truncated`.
+ */
+async function diff(root, opts = {}) {
+  const { file, staged, from, to, commit, untracked } = opts;
+  if (file !== undefined && !isSafeRepoPath(file)) throw gitOpsError('INVALID_ARGUMENT', 'Invalid file path', 400);
+  const common = ['--no-color', '--no-ext-diff'];
+  let args;
+  let okExit;
+  if (untracked) {
+    if (file === undefined) throw gitOpsError('INVALID_ARGUMENT', 'untracked needs a file', 400);
+    args = ['diff', '--no-index', ...common, '--', '/dev/null', file];
+    okExit = [1]; // --no-index exits 1 when the sides differ
+  } else if (commit) {
+    await requireRef(root, commit);
+    args = ['show', '--format=', '--patch', '-m', '--first-parent', '-M', ...common, '--end-of-options', commit];
+  } else if (from) {
+    await requireRef(root, from);
+    if (to) await requireRef(root, to);
+    args = ['diff', '-M', ...common, '--end-of-options', from, ...(to ? [to] : [])];
+  } else {
+    args = ['diff', ...(staged ? ['--cached', '-M'] : []), ...common];
+  }
+  if (file !== undefined && !untracked) args.push('--', file);
+  const { stdout, truncated } = await run(root, args, { okExit });
+  const files = parseDiff(stdout);
+  if (truncated) files.pop();
+  return { files, truncated };
+}
+
+/** Stage whole files (additions, edits and deletions), or everything with `all`. */
+async function stageFiles(root, { files, all } = {}) {
+  if (!all) requirePaths(files);
+  await run(root, ['add', '-A', '--', ...(all ? ['.'] : files)], { write: true });
+}
+
+/** Unstage whole files, or everything with `all`. Works before the first commit. */
+async function unstageFiles(root, { files, all } = {}) {
+  if (!all) requirePaths(files);
+  await run(root, ['reset', '-q', '--', ...(all ? ['.'] : files)], { write: true });
+}
+
+/**
+ * Stage one hunk of a file's unstaged diff, or with `unstage` take one hunk
+ * of its staged diff back out of the index.
+ * @throws {Error} HUNK_CHANGED (409) when `hunkId` is no longer in the diff
+ */
+async function applyHunk(root, { file, hunkId, unstage } = {}) {
+  if (!isSafeRepoPath(file)) throw gitOpsError('INVALID_ARGUMENT', 'Invalid file path', 400);
+  const { files } = await diff(root, { file, staged: !!unstage });
+  for (const f of files) {
+    const hunk = f.hunks.find((h) => h.id === hunkId);
+    if (!hunk) continue;
+    await run(root, ['apply', '--cached', ...(unstage ? ['--reverse'] : []), '--whitespace=nowarn', '-'], {
+      input: hunkPatch(f, hunk),
+      write: true,
+    });
+    return;
+  }
+  throw gitOpsError('HUNK_CHANGED', 'The file changed since its diff was loaded; refresh and try again', 409);
+}
+
+/**
+ * Commit what is staged. Hooks run as they would from a terminal.
+ * @returns {Promise<{sha: string, subject: string}>}
+ */
+async function commit(root, message) {
+  const text = typeof message === 'string' ? message.trim() : '';
+  if (!text) throw gitOpsError('INVALID_ARGUMENT', 'A commit message is required', 400);
+  if (text.length > MAX_MESSAGE_LENGTH) {
+    throw gitOpsError('INVALID_ARGUMENT', `The commit message is longer than ${MAX_MESSAGE_LENGTH} characters`, 400);
+  }
+  await run(root, ['commit', '--file=-'], { input: `${text}\n`, write: true, timeout: 60000 });
+  const { stdout } = await run(root, ['log', '-1', '--format=%H%x00%s']);
+  const [sha, subject] = stdout.trim().split('\0');
+  return { sha, subject };
+}
+
+/**
+ * Local and remote-tracking branches.
+ * @returns {Promise<{local: object[], remote: object[]}>} each `{ name, sha, upstream, current, subject }`
+ */
+async function branches(root) {
+  const { stdout } = await run(root, [
+    'for-each-ref',
+    '--format=%(refname)%00%(objectname:short)%00%(upstream:short)%00%(HEAD)%00%(subject)',
+    'refs/heads', 'refs/remotes',
+  ]);
+  const local = [];
+  const remote = [];
+  for (const line of stdout.split('\n')) {
+    if (!line) continue;
+    const [ref, sha, upstream, head, subject] = line.split('\0');
+    if (ref.startsWith('refs/heads/')) {
+      local.push({ name: ref.slice(11), sha, upstream: upstream || null, current: head === '*', subject });
+    } else if (!ref.endsWith('/HEAD')) {
+      remote.push({ name: ref.slice(13), sha, upstream: null, current: false, subject });
+    }
+  }
+  return { local, remote };
+}
+
+/**
+ * Switch the checkout to a branch. A remote-tracking name (origin/feat)
+ * creates the local branch tracking it; `create` starts a new branch at
+ * HEAD. git refuses (409) when uncommitted changes would be overwritten.
+ * @throws {Error} INVALID_REF, BRANCH_NOT_FOUND or GIT_REFUSED
+ */
+async function switchBranch(root, name, { create = false } = {}) {
+  if (!isSafeRef(name)) throw gitOpsError('INVALID_REF', 'Invalid branch name', 400);
+  let args;
+  if (create) args = ['switch', '--create', name];
+  else if (await refExists(root, `refs/heads/${name}`)) args = ['switch', '--end-of-options', name];
+  else if (await refExists(root, `refs/remotes/${name}`)) args = ['switch', '--track', '--end-of-options', name];
+  else throw gitOpsError('BRANCH_NOT_FOUND', `No branch named ${name}`, 404);
+  await run(root, args, { write: true, timeout: 60000 });
+}
+
+/**
+ * Commits reachable from `ref` (default HEAD), newest first.
+ * @returns {Promise<{commits: Array<{sha, shortSha, parents, author, date, refs, subject}>}>}
+ *   Empty before the first commit.
+ */
+async function log(root, { ref = 'HEAD', limit = 50, skip = 0 } = {}) {
+  if (ref === 'HEAD' && !(await refExists(root, 'HEAD'))) return { commits: [] };
+  await requireRef(root, ref);
+  const n = Math.min(Math.max(parseInt(limit, 10) || 50, 1), MAX_LOG);
+  const offset = Math.max(parseInt(skip, 10) || 0, 0);
+  const { stdout } = await run(root, [
+    'log', '--format=%H%x00%h%x00%P%x00%an%x00%aI%x00%D%x00%s%x1e',
+    `--max-count=${n}`, `--skip=${offset}`, '--end-of-options', ref,
+  ]);
+  const commits = stdout.split('\x1e').map((r) => r.replace(/^\n/, '')).filter(Boolean).map((record) => {
+    const [sha, shortSha, parents, author, date, refs, subject] = record.split('\0');
+    return {
+      sha,
+      shortSha,
+      parents: parents ? parents.split(' ') : [],
+      author,
+      date,
+      refs: refs ? refs.split(', ') : [],
+      subject,
+    };
+  });
+  return { commits };
+}
+
+module.exports = {
+  applyHunk,
+  branches,
+  commit,
+  diff,
+  hunkPatch,
+  isSafeRef,
+  isSafeRepoPath,
+  log,
+  MAX_LOG,
+  parseDiff,
+  parseStatus,
+  sanitizeGitMessage,
+  stageFiles,
+  status,
+  switchBranch,
+  unstageFiles,
+};
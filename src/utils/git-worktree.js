@@ -0,0 +1,169 @@
+'use strict';
+
+// Per-session git worktrees, so agents working in the same repo don't edit
+// the same checkout (session create or fork with `worktree: true`). Each one
+// is a new branch checked out under <main repo>/.ai-or-die/worktrees/<name>,
+// which is added to the repo's info/exclude so it never shows up in
+// `git status`. Keeping it inside the repo keeps it inside the server's
+// allowed area. When the session closes the branch is merged back into
+// whatever the main checkout has checked out, discarded, or kept with only
+// the checkout removed (closeWorktree).
+
+const { execFile } = require('child_process');
+const crypto = require('crypto');
+const fsp = require('fs').promises;
+const path = require('path');
+
+const WORKTREE_DIR = path.join('.ai-or-die', 'worktrees');
+const EXCLUDE_LINE = '/.ai-or-die/';
+
+function worktreeError(code, message) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+function git(args, cwd) {
+  return new Promise((resolve, reject) => {
+    execFile('git', args, { cwd, timeout: 15000, windowsHide: true }, (err, stdout, stderr) => {
+      if (err) {
+        err.stderr = String(stderr || '').trim();
+        return reject(err);
+      }
+      resolve(String(stdout).trim());
+    });
+  });
+}
+
+/**
+ * Locate the repository that contains `dir`.
+ * @param {string} dir
+ * @returns {Promise<{root: string, mainRoot: string, commonDir: string}|null>}
+ *   `root` is the checkout holding `dir` (possibly itself a worktree),
+ *   `mainRoot` the primary checkout. null when `dir` is not in a repo.
+ */
+async function findRepo(dir) {
+  let root;
+  let commonDir;
+  try {
+    root = path.resolve(await git(['rev-parse', '--show-toplevel'], dir));
+    commonDir = path.resolve(root, await git(['rev-parse', '--git-common-dir'], root));
+  } catch (_) {
+    return null;
+  }
+  const mainRoot = path.basename(commonDir) === '.git' ? path.dirname(commonDir) : root;
+  return { root, mainRoot, commonDir };
+}
+
+async function ensureExcluded(commonDir) {
+  const file = path.join(commonDir, 'info', 'exclude');
+  let text = '';
+  try {
+    text = await fsp.readFile(file, 'utf8');
+  } catch (err) {
+    if (err.code !== 'ENOENT') throw err;
+  }
+  if (text.split(/\r?\n/).includes(EXCLUDE_LINE)) return;
+  await fsp.mkdir(path.dirname(file), { recursive: true });
+  await fsp.appendFile(file, `${text && !text.endsWith('\n') ? '\n' : ''}${EXCLUDE_LINE}\n`);
+}
+
+/**
+ * Create a worktree on a new branch from the current HEAD of the repo that
+ * contains `dir`. Uncommitted changes in `dir` are not carried over.
+ * @param {string} dir - Directory inside the source checkout.
+ * @param {{prefix?: string}} [options] - Branch/dir name prefix (default "session").
+ * @returns {Promise<{path: string, workingDir: string, branch: string, repoRoot: string}>}
+ *   `workingDir` is `dir`'s counterpart inside the new worktree.
+ * @throws {Error} code NOT_A_GIT_REPO or GIT_FAILED
+ */
+async function createWorktree(dir, options = {}) {
+  const repo = await findRepo(dir);
+  if (!repo) throw worktreeError('NOT_A_GIT_REPO', `${dir} is not inside a git repository`);
+  const name = `${options.prefix || 'session'}-${crypto.randomBytes(4).toString('hex')}`;
+  const branch = `ai-or-die/${name}`;
+  const worktreePath = path.join(repo.mainRoot, WORKTREE_DIR, name);
+  try {
+    await git(['worktree', 'add', '-b', branch, worktreePath, 'HEAD'], repo.root);
+  } catch (err) {
+    throw worktreeError('GIT_FAILED', `git worktree add failed: ${err.stderr || err.message}`);
+  }
+  await ensureExcluded(repo.commonDir);
+  // git reports the real path, so compare against the real path of `dir`.
+  const real = await fsp.realpath(dir).catch(() => path.resolve(dir));
+  const rel = path.relative(repo.root, real);
+  return {
+    path: worktreePath,
+    workingDir: rel && !rel.startsWith('..') ? path.join(worktreePath, rel) : worktreePath,
+    branch,
+    repoRoot: repo.mainRoot,
+  };
+}
+
+/**
+ * Whether a checkout has uncommitted changes (untracked files included).
+ * @param {string} dir
+ * @returns {Promise<boolean>}
+ */
+async function isDirty(dir) {
+  return (await git(['status', '--porcelain'], dir)) !== '';
+}
+
+// A merge is under way in `dir` (MERGE_HEAD exists).
+function mergeInProgress(dir) {
+  return git(['rev-parse', '-q', '--verify', 'MERGE_HEAD'], dir).then(() => true, () => false);
+}
+
+/**
+ * Finish with a session worktree.
+ *   merge   - merge the branch into the main checkout, then remove the
+ *             worktree and the branch. Refused while the worktree or the
+ *             main checkout has uncommitted changes; a conflicting merge is
+ *             aborted.
+ *   discard - remove the worktree and delete the branch, changes and all.
+ *   cleanup - remove the worktree but keep the branch. Refused while the
+ *             worktree has uncommitted changes, since they would be lost.
+ * @param {{path: string, branch: string, repoRoot: string}} worktree
+ * @param {'merge'|'discard'|'cleanup'} action
+ * @returns {Promise<{action: string, branch: string, branchDeleted: boolean}>}
+ * @throws {Error} code WORKTREE_DIRTY, REPO_DIRTY, MERGE_CONFLICT or GIT_FAILED
+ */
+async function closeWorktree(worktree, action) {
+  const { path: worktreePath, branch, repoRoot } = worktree;
+  const exists = await fsp.stat(worktreePath).then(() => true, () => false);
+  if (action !== 'discard' && exists && await isDirty(worktreePath)) {
+    throw worktreeError('WORKTREE_DIRTY', `${branch} has uncommitted changes; commit them or discard the worktree`);
+  }
+  if (action === 'merge') {
+    // git refuses to merge over local changes it would overwrite, before any
+    // merge starts; say so up front rather than report it as a conflict. An
+    // unfinished merge of someone else's counts too, so it is never aborted.
+    if (await isDirty(repoRoot) || await mergeInProgress(repoRoot)) {
+      throw worktreeError('REPO_DIRTY', `${repoRoot} has uncommitted changes; commit or stash them before merging ${branch}`);
+    }
+    try {
+      await git(['merge', '--no-edit', branch], repoRoot);
+    } catch (err) {
+      // Only a merge that actually started leaves MERGE_HEAD behind.
+      if (!await mergeInProgress(repoRoot)) throw worktreeError('GIT_FAILED', `Merging ${branch} failed: ${err.stderr || err.message}`);
+      await git(['merge', '--abort'], repoRoot).catch(() => {});
+      throw worktreeError('MERGE_CONFLICT', `Merging ${branch} failed and was aborted: ${err.stderr || err.message}`);
+    }
+  }
+  try {
+    if (exists) await git(['worktree', 'remove', ...(action === 'discard' ? ['--force'] : []), worktreePath], repoRoot);
+    else await git(['worktree', 'prune'], repoRoot);
+    if (action !== 'cleanup') await git(['branch', action === 'discard' ? '-D' : '-d', branch], repoRoot);
+  } catch (err) {
+    throw worktreeError('GIT_FAILED', `Removing worktree ${branch} failed: ${err.stderr || err.message}`);
+  }
+  return { action, branch, branchDeleted: action !== 'cleanup' };
+}
+
+module.exports = {
+  closeWorktree,
+  createWorktree,
+  findRepo,
+  isDirty,
+  WORKTREE_DIR,
+};
@@ -0,0 +1,445 @@
+'use strict';
+
+// Searchable history of session output. Every chunk a session's PTY produces
+// (the same data that lands in its outputBuffer) is reduced to plain text
+// lines — escape sequences stripped, carriage-return overwrites resolved,
+// secrets redacted with utils/secret-redact — and appended to
+// <storageDir>/search/<sessionId>.jsonl. GET /api/sessions/search scans those
+// files newest first, so a session's output stays findable after the 512 KB
+// outputBuffer tail has rolled past it and after the session is closed.
+//
+// File format: a JSON header line `{ v, sessionId, name, agent, startedAt }`,
+// then one `[ms, line, text]` array per non-blank line, where `line` counts
+// every output line of the session (blank ones included) so the client can
+// scroll to it. A file that outgrows `maxSessionBytes` is renamed to
+// `<sessionId>.1.jsonl` (replacing the previous one) and a new file started.
+//
+// Feeding only appends to a string; stripping, redaction and the write run on
+// a timer, off the PTY hot path. Nothing here throws into the caller. Writes
+// pause while the server's disk-full circuit breaker is open (DISK-03), and
+// prune() enforces the retention window and the total size cap.
+
+const fs = require('fs');
+const fsp = require('fs').promises;
+const path = require('path');
+const os = require('os');
+const readline = require('readline');
+const { redactSecrets } = require('./secret-redact');
+
+const DEFAULT_MAX_MB = 128;
+const DEFAULT_SESSION_MAX_MB = 8;
+const DEFAULT_RETENTION_DAYS = 30;
+const FLUSH_MS = 1000;
+// A chunk stream with no newline (a full-screen TUI redrawing in place) is cut
+// into a line at this length rather than buffered forever.
+const MAX_PARTIAL = 16 * 1024;
+const MAX_LINE_CHARS = 2000;
+// TUIs repaint the same rows over and over; a line equal to one of the last
+// few stored lines of the session is counted but not stored again.
+const RECENT_LINES = 64;
+const TAIL_PEEK_BYTES = 64 * 1024;
+const SNIPPET_CHARS = 240;
+const MAX_QUERY_CHARS = 200;
+const MAX_LIMIT = 200;
+const SESSION_ID_RE = /^[A-Za-z0-9_-]{1,160}$/;
+const INDEX_FILE_RE = /^([A-Za-z0-9_-]+?)(\.1)?\.jsonl$/;
+
+// OSC (title, cwd, hyperlinks) and DCS/APC/PM strings, then CSI sequences.
+// Cursor moves to another row become line breaks and a cursor-forward becomes
+// a space, so a TUI's positioned text does not run together.
+const OSC_RE = /\x1b[\]P^_][\s\S]*?(?:\x07|\x1b\\)/g;
+const CSI_RE = /\x1b\[([0-?]*)[ -/]*([@-~])/g;
+const ESC_RE = /\x1b(?:[()*+][0-9A-Za-z]|[@-Z\\-_]|[0-9=<>])/g;
+const CONTROL_RE = /[\x00-\x08\x0b\x0c\x0e-\x1f\x7f]/g;
+
+function isTruthyFlag(value) {
+  if (typeof value !== 'string') return false;
+  const v = value.trim().toLowerCase();
+  return v === '1' || v === 'true' || v === 'on' || v === 'yes';
+}
+
+function positiveNumber(raw, fallback) {
+  const n = Number(raw);
+  return Number.isFinite(n) && n > 0 ? n : fallback;
+}
+
+/**
+ * Terminal output → plain text. Row-changing cursor moves become "\n".
+ * @param {string} text
+ * @returns {string}
+ */
+function stripTerminal(text) {
+  return text
+    .replace(OSC_RE, '')
+    .replace(CSI_RE, (m, params, final) => {
+      if ('ABEFHdf'.includes(final)) return '\n';
+      if (final === 'C') return ' ';
+      return '';
+    })
+    .replace(ESC_RE, '')
+    .replace(/\x1b/g, '')
+    .replace(CONTROL_RE, '');
+}
+
+/**
+ * One output line as shown: the text after the last carriage return that
+ * left something behind (progress bars overwrite themselves), right-trimmed.
+ * @param {string} raw
+ * @returns {string}
+ */
+function resolveLine(raw) {
+  const parts = raw.split('\r');
+  for (let i = parts.length - 1; i >= 0; i--) {
+    if (parts[i].trim()) return parts[i].replace(/\s+$/, '');
+  }
+  return '';
+}
+
+class OutputIndex {
+  /**
+   * @param {object} [options]
+   * @param {boolean} [options.enabled=true]
+   * @param {string} [options.storageDir] - Base dir; the index goes in `<storageDir>/search`.
+   * @param {number} [options.maxBytes] - Cap on the whole index directory.
+   * @param {number} [options.maxSessionBytes] - Size at which a session's file rolls over.
+   * @param {number} [options.retentionDays] - Age after which files are pruned.
+   * @param {() => boolean} [options.isDiskFull] - Pauses writes while true.
+   * @param {(sessionId: string) => ({name?: string, agent?: string}|null)} [options.describe]
+   *   - Live session metadata, for file headers and results.
+   * @param {() => number} [options.now] - Clock (ms); injectable for tests.
+   */
+  constructor(options = {}) {
+    this.enabled = options.enabled !== false;
+    const storageDir = options.storageDir
+      || process.env.AI_OR_DIE_SESSION_DIR
+      || path.join(os.homedir(), '.ai-or-die');
+    this.dir = path.join(storageDir, 'search');
+    this.maxBytes = positiveNumber(options.maxBytes, DEFAULT_MAX_MB * 1024 * 1024);
+    this.maxSessionBytes = positiveNumber(options.maxSessionBytes, DEFAULT_SESSION_MAX_MB * 1024 * 1024);
+    this.retentionDays = positiveNumber(options.retentionDays, DEFAULT_RETENTION_DAYS);
+    this._isDiskFull = typeof options.isDiskFull === 'function' ? options.isDiskFull : () => false;
+    this._describe = typeof options.describe === 'function' ? options.describe : () => null;
+    this._now = typeof options.now === 'function' ? options.now : () => Date.now();
+    this._sessions = new Map(); // sessionId -> { pending, partial, lines, recent, bytes, loaded }
+    this._timer = null;
+    this._flushing = null;
+    this._dirReady = false;
+  }
+
+  /**
+   * Build the index from CLI options + env. AIORDIE_SEARCH_INDEX=0 turns it
+   * off; AIORDIE_SEARCH_MAX_MB and AIORDIE_SEARCH_RETENTION_DAYS tune it.
+   */
+  static fromOptions(options = {}, env = process.env) {
+    const flag = env.AIORDIE_SEARCH_INDEX;
+    return new OutputIndex({
+      enabled: flag === undefined || flag === '' ? options.searchIndex !== false : isTruthyFlag(flag),
+      storageDir: options.storageDir,
+      maxBytes: env.AIORDIE_SEARCH_MAX_MB ? positiveNumber(env.AIORDIE_SEARCH_MAX_MB, DEFAULT_MAX_MB) * 1024 * 1024 : undefined,
+      retentionDays: env.AIORDIE_SEARCH_RETENTION_DAYS,
+      isDiskFull: options.isDiskFull,
+      describe: options.describe,
+    });
+  }
+
+  /**
+   * Queue a chunk of PTY output. O(1); the work happens at the next flush.
+   * @param {string} sessionId
+   * @param {string|Buffer} data
+   */
+  feed(sessionId, data) {
+    if (!this.enabled || data == null || !SESSION_ID_RE.test(String(sessionId))) return;
+    let state = this._sessions.get(sessionId);
+    if (!state) {
+      state = { pending: '', partial: '', lines: 0, recent: [], bytes: 0, loaded: false };
+      this._sessions.set(sessionId, state);
+    }
+    state.pending += typeof data === 'string' ? data : String(data);
+    if (!this._timer) {
+      this._timer = setTimeout(() => {
+        this._timer = null;
+        this.flush().catch(() => { /* logged in _flushSession */ });
+      }, FLUSH_MS);
+      if (this._timer.unref) this._timer.unref();
+    }
+  }
+
+  /**
+   * Index a restored session's buffered output, once: skipped when the
+   * session already has an index file (its output was indexed live).
+   * @param {string} sessionId
+   * @param {Array<string>} chunks - The session's outputBuffer contents.
+   */
+  async seed(sessionId, chunks) {
+    if (!this.enabled || !SESSION_ID_RE.test(String(sessionId)) || !chunks || !chunks.length) return;
+    try {
+      await fsp.access(this._file(sessionId));
+      return;
+    } catch (_) { /* not indexed yet */ }
+    for (const chunk of chunks) this.feed(sessionId, chunk);
+  }
+
+  /** Write everything queued so far. Resolves when the files are appended. */
+  async flush() {
+    if (this._flushing) await this._flushing;
+    this._flushing = (async () => {
+      for (const [sessionId, state] of this._sessions) {
+        if (!state.pending) continue;
+        await this._flushSession(sessionId, state);
+      }
+    })();
+    try {
+      await this._flushing;
+    } finally {
+      this._flushing = null;
+    }
+  }
+
+  /**
+   * Write a session's queued output, its unterminated last line included, and
+   * drop its in-memory state (session deleted or evicted). The index file
+   * stays, so the session remains searchable.
+   * @param {string} sessionId
+   */
+  async forget(sessionId) {
+    const state = this._sessions.get(sessionId);
+    if (!state) return;
+    this._sessions.delete(sessionId);
+    if (this._flushing) await this._flushing.catch(() => {});
+    const text = state.partial + state.pending;
+    if (!text) return;
+    if (!text.endsWith('\n')) state.pending += '\n';
+    await this._flushSession(sessionId, state);
+  }
+
+  /** Flush and stop the timer (server shutdown). */
+  async close() {
+    if (this._timer) {
+      clearTimeout(this._timer);
+      this._timer = null;
+    }
+    await this.flush().catch(() => {});
+  }
+
+  /**
+   * Find lines containing `query` (case-insensitive), newest first.
+   * @param {string} query
+   * @param {{limit?: number, sessionId?: string}} [options]
+   * @returns {Promise<Array<{sessionId, name, agent, live, at, line, linesFromEnd, text, match}>>}
+   *   `text` is a snippet of the line; `match` the [start, end) of the hit in it.
+   *   `linesFromEnd` counts output lines after the hit, for live sessions only.
+   */
+  async search(query, options = {}) {
+    const limit = Math.min(Math.max(1, Number(options.limit) || 50), MAX_LIMIT);
+    const needle = String(query).slice(0, MAX_QUERY_CHARS).toLowerCase();
+    await this.flush();
+
+    let files = await this._listFiles();
+    if (options.sessionId) files = files.filter((f) => f.sessionId === options.sessionId);
+    const results = [];
+    for (const file of files) {
+      // Every line in a file is older than the file's mtime, so once the page
+      // is full nothing in an older file can make it in.
+      if (results.length >= limit && results[limit - 1].ms > file.mtimeMs) break;
+      const hits = await this._scanFile(file, needle);
+      results.push(...hits);
+      results.sort((a, b) => b.ms - a.ms || b.line - a.line);
+      results.length = Math.min(results.length, limit);
+    }
+    return results.map((hit) => this._publicHit(hit, needle));
+  }
+
+  /**
+   * Drop files past the retention window, then the oldest files until the
+   * index fits its size cap. A live session's current file is only removed
+   * by the size cap, after every other file.
+   * @returns {Promise<{pruned: string[]}>}
+   */
+  async prune() {
+    const files = await this._listFiles();
+    const cutoff = this._now() - this.retentionDays * 24 * 60 * 60 * 1000;
+    const pruned = [];
+    const remove = async (file) => {
+      try {
+        await fsp.unlink(file.path);
+        pruned.push(path.basename(file.path));
+        const state = !file.rotated && this._sessions.get(file.sessionId);
+        if (state) state.bytes = 0;
+      } catch (_) { /* already gone */ }
+    };
+    let total = 0;
+    const kept = [];
+    for (const file of files) {
+      if (file.mtimeMs < cutoff) await remove(file);
+      else {
+        kept.push(file);
+        total += file.size;
+      }
+    }
+    // Oldest first; rotated halves before current files.
+    kept.sort((a, b) => (b.rotated - a.rotated) || (a.mtimeMs - b.mtimeMs));
+    for (const file of kept) {
+      if (total <= this.maxBytes) break;
+      await remove(file);
+      total -= file.size;
+    }
+    return { pruned };
+  }
+
+  _file(sessionId, rotated) {
+    return path.join(this.dir, `${sessionId}${rotated ? '.1' : ''}.jsonl`);
+  }
+
+  async _flushSession(sessionId, state) {
+    const text = state.partial + state.pending;
+    state.pending = '';
+    let cut = text.lastIndexOf('\n') + 1;
+    if (cut === 0 && text.length > MAX_PARTIAL) cut = text.length;
+    state.partial = text.slice(cut);
+    if (!cut || this._isDiskFull()) return;
+
+    try {
+      if (!state.loaded) await this._loadState(sessionId, state);
+      const at = this._now();
+      let out = '';
+      const rows = stripTerminal(text.slice(0, cut)).split('\n');
+      if (rows[rows.length - 1] === '') rows.pop(); // after the final newline
+      for (const raw of rows) {
+        state.lines++;
+        const line = redactSecrets(resolveLine(raw)).slice(0, MAX_LINE_CHARS);
+        if (!line.trim() || state.recent.includes(line)) continue;
+        state.recent.push(line);
+        if (state.recent.length > RECENT_LINES) state.recent.shift();
+        out += JSON.stringify([at, state.lines, line]) + '\n';
+      }
+      if (!out) return;
+      if (!this._dirReady) {
+        await fsp.mkdir(this.dir, { recursive: true });
+        this._dirReady = true;
+      }
+      const file = this._file(sessionId);
+      if (state.bytes && state.bytes + Buffer.byteLength(out) > this.maxSessionBytes) {
+        await fsp.rename(file, this._file(sessionId, true));
+        state.bytes = 0;
+      }
+      if (!state.bytes) out = this._header(sessionId) + out;
+      await fsp.appendFile(file, out);
+      state.bytes += Buffer.byteLength(out);
+    } catch (err) {
+      if (!state.failed) console.warn(`[search] indexing ${sessionId} failed: ${err.message}`);
+      state.failed = true;
+    }
+  }
+
+  _header(sessionId) {
+    const meta = this._describe(sessionId) || {};
+    return JSON.stringify({
+      v: 1,
+      sessionId,
+      name: meta.name || null,
+      agent: meta.agent || null,
+      startedAt: this._now(),
+    }) + '\n';
+  }
+
+  // Pick up the line count and recent lines where a previous run left off.
+  async _loadState(sessionId, state) {
+    state.loaded = true;
+    let handle;
+    try {
+      handle = await fsp.open(this._file(sessionId), 'r');
+      const { size } = await handle.stat();
+      state.bytes = size;
+      const length = Math.min(size, TAIL_PEEK_BYTES);
+      const buf = Buffer.alloc(length);
+      await handle.read(buf, 0, length, size - length);
+      const lines = buf.toString('utf8').split('\n').filter(Boolean);
+      if (size > length) lines.shift(); // probably cut mid-line
+      for (const l of lines) {
+        try {
+          const row = JSON.parse(l);
+          if (!Array.isArray(row)) continue;
+          state.lines = Math.max(state.lines, row[1]);
+          state.recent.push(row[2]);
+        } catch (_) { /* torn line */ }
+      }
+      state.recent = state.recent.slice(-RECENT_LINES);
+    } catch (_) {
+      // No file yet.
+    } finally {
+      if (handle) await handle.close().catch(() => {});
+    }
+  }
+
+  async _listFiles() {
+    let names;
+    try {
+      names = await fsp.readdir(this.dir);
+    } catch (_) {
+      return [];
+    }
+    const files = [];
+    for (const name of names) {
+      const m = INDEX_FILE_RE.exec(name);
+      if (!m) continue;
+      const full = path.join(this.dir, name);
+      try {
+        const st = await fsp.stat(full);
+        if (st.isFile()) files.push({ path: full, sessionId: m[1], rotated: !!m[2], mtimeMs: st.mtimeMs, size: st.size });
+      } catch (_) { /* racy unlink */ }
+    }
+    return files.sort((a, b) => b.mtimeMs - a.mtimeMs);
+  }
+
+  async _scanFile(file, needle) {
+    const hits = [];
+    const quick = !/["\\]/.test(needle);
+    let header = null;
+    const input = fs.createReadStream(file.path, { encoding: 'utf8' });
+    input.on('error', () => {});
+    const rl = readline.createInterface({ input, crlfDelay: Infinity });
+    try {
+      for await (const raw of rl) {
+        if (!header) {
+          try { header = JSON.parse(raw); } catch (_) { header = {}; }
+          continue;
+        }
+        // Cheap pre-filter on the JSON text, unless the query has characters
+        // JSON escapes.
+        if (quick && !raw.toLowerCase().includes(needle)) continue;
+        let row;
+        try { row = JSON.parse(raw); } catch (_) { continue; }
+        if (!Array.isArray(row) || typeof row[2] !== 'string' || !row[2].toLowerCase().includes(needle)) continue;
+        hits.push({ sessionId: file.sessionId, header, ms: row[0], line: row[1], text: row[2] });
+      }
+    } catch (_) {
+      // Unreadable file: whatever was found so far.
+    }
+    return hits;
+  }
+
+  _publicHit(hit, needle) {
+    const live = this._describe(hit.sessionId);
+    const state = this._sessions.get(hit.sessionId);
+    const start = hit.text.toLowerCase().indexOf(needle);
+    // Centre the snippet on the match.
+    const from = Math.max(0, Math.min(start - Math.floor((SNIPPET_CHARS - needle.length) / 2), hit.text.length - SNIPPET_CHARS));
+    const text = hit.text.slice(from, from + SNIPPET_CHARS);
+    return {
+      sessionId: hit.sessionId,
+      name: (live && live.name) || hit.header.name || null,
+      agent: (live && live.agent) || hit.header.agent || null,
+      live: !!live,
+      at: new Date(hit.ms).toISOString(),
+      line: hit.line,
+      linesFromEnd: live && state ? Math.max(0, state.lines - hit.line) : null,
+      text,
+      match: [start - from, start - from + needle.length],
+    };
+  }
+}
+
+module.exports = OutputIndex;
+module.exports.OutputIndex = OutputIndex;
+module.exports.resolveLine = resolveLine;
+module.exports.stripTerminal = stripTerminal;
@@ -0,0 +1,192 @@
+'use strict';
+
+// Opt-in redaction of terminal output on its way to disk and to remote
+// devices. SessionStore keeps the last 512 KB of every tab in sessions.json,
+// and a join replays that buffer to whoever opens the tab, including over a
+// tunnel or the mesh. With `--redact` / AIORDIE_REDACT=1 both copies go
+// through secret-redact.js's patterns, plus any the user adds in
+// <storageDir>/redaction.json:
+//
+//   {
+//     "persist": true,
+//     "remoteReplay": true,
+//     "patterns": [
+//       { "name": "internal host", "pattern": "build-01.corp.example" },
+//       { "name": "customer id", "pattern": "/\\bCUST-[0-9]{6}\\b/" }
+//     ]
+//   }
+//
+// A pattern is "/re/flags" (a regular expression, replaced whole) or a
+// case-insensitive literal. The file is optional and re-read when it changes.
+// Buffers are redacted as a whole rather than chunk by chunk, so a secret the
+// PTY delivered in two reads is still caught. The live terminal is never
+// rewritten: what the agent prints reaches connected viewers as printed.
+
+const fsp = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { redactSecretChunks } = require('./secret-redact');
+
+const CONFIG_FILE = 'redaction.json';
+const MAX_PATTERNS = 100;
+const MAX_PATTERN_LENGTH = 1000;
+const OFF = Object.freeze({ persist: false, remoteReplay: false, rules: [] });
+
+function isTruthyFlag(value) {
+  if (typeof value !== 'string') return false;
+  const v = value.trim().toLowerCase();
+  return v === '1' || v === 'true' || v === 'on' || v === 'yes';
+}
+
+function configError(message) {
+  const err = new Error(message);
+  err.code = 'INVALID_REDACTION';
+  return err;
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Same "/re/flags" convention as approval-policy.json, but always global:
+// every occurrence is replaced.
+function compilePattern(source, where) {
+  if (typeof source !== 'string' || !source || source.length > MAX_PATTERN_LENGTH) {
+    throw configError(`${where} must be a non-empty string of at most ${MAX_PATTERN_LENGTH} characters`);
+  }
+  const m = /^\/(.+)\/([a-z]*)$/s.exec(source);
+  let re;
+  try {
+    re = m
+      ? new RegExp(m[1], `${m[2].replace(/[gy]/g, '')}g`)
+      : new RegExp(escapeRegExp(source), 'gi');
+  } catch (err) {
+    throw configError(`${where} is not a valid regular expression: ${err.message}`);
+  }
+  // One that matches nothing at all would "redact" every position.
+  if (new RegExp(re.source, re.flags.replace('g', '')).test('')) throw configError(`${where} matches the empty string`);
+  return re;
+}
+
+/**
+ * Validate and compile a parsed redaction.json.
+ * @param {object} raw - Parsed JSON.
+ * @returns {{persist: boolean, remoteReplay: boolean, rules: Array<{rule: string, re: RegExp}>}}
+ * @throws {Error} code INVALID_REDACTION
+ */
+function compileRedactionConfig(raw) {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) throw configError('expected a JSON object');
+  for (const key of ['persist', 'remoteReplay']) {
+    if (raw[key] != null && typeof raw[key] !== 'boolean') throw configError(`"${key}" must be true or false`);
+  }
+  const patterns = raw.patterns == null ? [] : raw.patterns;
+  if (!Array.isArray(patterns)) throw configError('"patterns" must be an array');
+  if (patterns.length > MAX_PATTERNS) throw configError(`at most ${MAX_PATTERNS} patterns are allowed`);
+  const rules = patterns.map((p, i) => {
+    const where = `pattern ${i + 1}`;
+    const entry = typeof p === 'string' ? { pattern: p } : p;
+    if (!entry || typeof entry !== 'object' || Array.isArray(entry)) throw configError(`${where} must be a string or an object`);
+    return {
+      rule: typeof entry.name === 'string' && entry.name.trim() ? entry.name.trim().slice(0, 100) : where,
+      re: compilePattern(entry.pattern, `${where} "pattern"`),
+    };
+  });
+  return { persist: raw.persist !== false, remoteReplay: raw.remoteReplay !== false, rules };
+}
+
+/** Add one pass's counts into a running `{ rule: n }` tally. */
+function addCounts(into, counts) {
+  const out = { ...(into || {}) };
+  for (const [rule, n] of Object.entries(counts || {})) out[rule] = (out[rule] || 0) + n;
+  return out;
+}
+
+class OutputRedactor {
+  /**
+   * @param {object} [options]
+   * @param {boolean} [options.enabled=false]
+   * @param {string} [options.storageDir] - Base dir; extra patterns live in `<storageDir>/redaction.json`.
+   * @param {string} [options.file] - Explicit config file; overrides storageDir.
+   */
+  constructor(options = {}) {
+    this.enabled = !!options.enabled;
+    const storageDir = options.storageDir
+      || process.env.AI_OR_DIE_SESSION_DIR
+      || path.join(os.homedir(), '.ai-or-die');
+    this.file = options.file || path.join(storageDir, CONFIG_FILE);
+    this._cache = null; // { mtimeMs, size, config, error }
+    this._loggedError = null;
+  }
+
+  /** `--redact` / AIORDIE_REDACT=1 turn it on. */
+  static fromOptions(options = {}, env = process.env) {
+    return new OutputRedactor({
+      enabled: options.redact === true || isTruthyFlag(env.AIORDIE_REDACT),
+      storageDir: options.storageDir,
+      file: options.file,
+    });
+  }
+
+  /**
+   * What to redact right now. Off unless enabled. A missing file means the
+   * built-in patterns on both paths; a broken one is logged once and also
+   * falls back to them, so a typo never puts raw output back on disk.
+   * @returns {Promise<{persist: boolean, remoteReplay: boolean, rules: Array, error?: string}>}
+   */
+  async settings() {
+    if (!this.enabled) return OFF;
+    let stat;
+    try {
+      stat = await fsp.stat(this.file);
+    } catch (err) {
+      this._cache = null;
+      return { persist: true, remoteReplay: true, rules: [] };
+    }
+    if (!this._cache || this._cache.mtimeMs !== stat.mtimeMs || this._cache.size !== stat.size) {
+      let config = null;
+      let error = null;
+      try {
+        config = compileRedactionConfig(JSON.parse(await fsp.readFile(this.file, 'utf8')));
+      } catch (err) {
+        error = `${this.file}: ${err.message}`;
+      }
+      this._cache = { mtimeMs: stat.mtimeMs, size: stat.size, config, error };
+    }
+    const { config, error } = this._cache;
+    if (!error) {
+      this._loggedError = null;
+      return config;
+    }
+    if (this._loggedError !== error) {
+      this._loggedError = error;
+      console.warn(`[redact] ${error}; using the built-in patterns only`);
+    }
+    return { persist: true, remoteReplay: true, rules: [], error };
+  }
+
+  /**
+   * Redact a buffer of PTY chunks with the built-in patterns and `settings.rules`.
+   * @param {string[]} chunks
+   * @param {{rules: Array}} settings - From settings().
+   * @returns {{chunks: string[], counts: Object<string, number>}}
+   */
+  redactChunks(chunks, settings) {
+    return redactSecretChunks(chunks, { extraRules: (settings && settings.rules) || [] });
+  }
+
+  /**
+   * @param {string} text
+   * @param {{rules: Array}} settings
+   * @returns {{text: string, counts: Object<string, number>}}
+   */
+  redactText(text, settings) {
+    if (typeof text !== 'string' || !text) return { text, counts: {} };
+    const { chunks, counts } = this.redactChunks([text], settings);
+    return { text: chunks[0], counts };
+  }
+}
+
+module.exports = OutputRedactor;
+module.exports.OutputRedactor = OutputRedactor;
+module.exports.compileRedactionConfig = compileRedactionConfig;
+module.exports.addCounts = addCounts;
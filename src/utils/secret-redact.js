@@ -53,6 +53,181 @@ const ENV_ASSIGNMENT =
 const LONG_HEX = /\b[0-9a-fA-F]{40,}\b/g;
 const LONG_BASE64_CANDIDATE = /\b[A-Za-z0-9+/]{40,}={0,2}\b/g;
 
+// Values the server knows are secret, whatever they look like: the vault
+// secrets a bridge put into a session's environment (base-bridge.js). They
+// are matched literally, before the patterns, and stay registered for the
+// life of the process, since the output they appeared in outlives the
+// session. Shorter values are not registered: a 4-character secret would
+// take every other word of output with it.
+const MIN_KNOWN_SECRET_LENGTH = 6;
+const knownSecrets = new Set();
+let knownLongestFirst = [];
+
+/**
+ * Register literal secret values for redaction. A multi-line value is also
+ * registered with CRLF line ends, as a terminal echoes it.
+ * @param {Iterable<string>} values
+ */
+function registerSecretValues(values) {
+  let added = false;
+  for (const value of values || []) {
+    if (typeof value !== 'string' || value.length < MIN_KNOWN_SECRET_LENGTH) continue;
+    const variants = value.includes('\n') ? [value, value.replace(/\r?\n/g, '\r\n')] : [value];
+    for (const v of variants) {
+      if (knownSecrets.has(v)) continue;
+      knownSecrets.add(v);
+      added = true;
+    }
+  }
+  if (added) knownLongestFirst = [...knownSecrets].sort((a, b) => b.length - a.length);
+}
+
+/** Length of the longest registered value; 0 when there are none. */
+function longestKnownSecretLength() {
+  return knownLongestFirst.length ? knownLongestFirst[0].length : 0;
+}
+
+/** Forget every registered value (tests). */
+function clearSecretValues() {
+  knownSecrets.clear();
+  knownLongestFirst = [];
+}
+
+/**
+ * Replace registered secret values in a string. Cheap when none are registered.
+ * @param {string} text
+ * @returns {string}
+ */
+function redactKnownSecrets(text) {
+  if (typeof text !== 'string' || text.length === 0 || knownLongestFirst.length === 0) return text;
+  let out = text;
+  for (const value of knownLongestFirst) {
+    if (out.includes(value)) out = out.split(value).join(REDACTED);
+  }
+  return out;
+}
+
+// Where each pattern puts its secret, for callers that need positions rather
+// than a rewritten string (chunked PTY output). `part` returns the span to
+// replace relative to the match, the same span redactSecrets replaces, or
+// null to leave the match alone.
+const RANGE_RULES = [
+  { rule: 'private key', re: PEM_BLOCK },
+  { rule: 'url password', re: URL_CREDENTIALS, part: (m) => [m[1].length + 1, m[1].length + 1 + m[2].length] },
+  { rule: 'authorization', re: AUTH_HEADER, part: (m) => [m[1].length, m[0].length] },
+  { rule: 'bearer token', re: BEARER, part: (m) => [/^Bearer\s+/i.exec(m[0])[0].length, m[0].length] },
+  { rule: 'jwt', re: JWT },
+  ...PROVIDER_KEYS.map((re) => ({ rule: 'provider key', re })),
+  { rule: 'assignment', re: ENV_ASSIGNMENT, part: (m) => [m[1].length + m[2].length, m[0].length] },
+  { rule: 'hex blob', re: LONG_HEX },
+  {
+    rule: 'base64 blob',
+    re: LONG_BASE64_CANDIDATE,
+    part: (m) => (/[A-Z]/.test(m[0]) && /[a-z]/.test(m[0]) && /[0-9]/.test(m[0]) ? [0, m[0].length] : null),
+  },
+];
+
+/**
+ * Find what redactSecrets would replace, as ranges into `text`. Known
+ * values come first, then the built-in patterns, then `extraRules` (each a
+ * global RegExp replaced whole; empty matches are skipped). Ranges may
+ * overlap; replaceSecretRanges merges them.
+ * @param {string} text
+ * @param {{builtins?: boolean, extraRules?: Array<{rule: string, re: RegExp}>}} [options]
+ *   `builtins: false` limits the search to known values and `extraRules`.
+ * @returns {Array<{start: number, end: number, rule: string}>}
+ */
+function findSecretRanges(text, options = {}) {
+  const ranges = [];
+  if (typeof text !== 'string' || text.length === 0) return ranges;
+  for (const value of knownLongestFirst) {
+    for (let i = text.indexOf(value); i !== -1; i = text.indexOf(value, i + value.length)) {
+      ranges.push({ start: i, end: i + value.length, rule: 'vault secret' });
+    }
+  }
+  const rules = [...(options.builtins === false ? [] : RANGE_RULES), ...(options.extraRules || [])];
+  for (const { rule, re, part } of rules) {
+    // matchAll works on a copy, so the shared patterns' lastIndex is untouched.
+    for (const m of text.matchAll(re)) {
+      if (m[0].length === 0) continue;
+      const span = part ? part(m) : [0, m[0].length];
+      if (!span || span[1] <= span[0]) continue;
+      // Already redacted (a buffer restored from sessions.json): not a new find.
+      if (text.startsWith(REDACTED, m.index + span[0]) && span[1] - span[0] === REDACTED.length) continue;
+      ranges.push({ start: m.index + span[0], end: m.index + span[1], rule });
+    }
+  }
+  return ranges;
+}
+
+/**
+ * Replace ranges of the concatenation of `chunks`, where one range may span
+ * two or more chunks. The chunk count is kept (a chunk may end up empty): the
+ * marker goes where a range starts and the rest of it is dropped from the
+ * chunks that follow. Overlapping and touching ranges become one marker,
+ * counted under the rule of the one that starts first.
+ * @param {string[]} chunks
+ * @param {Array<{start: number, end: number, rule?: string}>} ranges - Offsets into chunks.join('').
+ * @returns {{chunks: string[], counts: Object<string, number>}} `chunks` itself when `ranges` is empty.
+ */
+function replaceSecretRanges(chunks, ranges) {
+  if (!ranges || ranges.length === 0) return { chunks, counts: {} };
+  const sorted = [...ranges].sort((a, b) => a.start - b.start || b.end - a.end);
+  const merged = [];
+  for (const r of sorted) {
+    const last = merged[merged.length - 1];
+    if (last && r.start <= last.end) last.end = Math.max(last.end, r.end);
+    else merged.push({ start: r.start, end: r.end, rule: r.rule || 'secret' });
+  }
+  const counts = {};
+  for (const r of merged) counts[r.rule] = (counts[r.rule] || 0) + 1;
+
+  const out = [];
+  let offset = 0;
+  let k = 0;
+  for (const chunk of chunks) {
+    const text = typeof chunk === 'string' ? chunk : String(chunk == null ? '' : chunk);
+    const end = offset + text.length;
+    let piece = '';
+    let pos = offset;
+    while (k < merged.length && merged[k].start < end) {
+      const { start, end: stop } = merged[k];
+      // A range that began in an earlier chunk already has its marker.
+      if (start >= pos) piece += text.slice(pos - offset, start - offset) + REDACTED;
+      pos = Math.max(pos, Math.min(stop, end));
+      if (stop > end) break;
+      k++;
+    }
+    out.push(piece + text.slice(pos - offset));
+    offset = end;
+  }
+  return { chunks: out, counts };
+}
+
+/**
+ * Redact a sequence of PTY output chunks as a whole, so a secret split
+ * across chunks is still found. See findSecretRanges for `options`.
+ * @param {string[]} chunks
+ * @param {object} [options]
+ * @returns {{chunks: string[], counts: Object<string, number>}}
+ */
+function redactSecretChunks(chunks, options) {
+  if (!Array.isArray(chunks) || chunks.length === 0) return { chunks, counts: {} };
+  const joined = chunks.map((c) => (typeof c === 'string' ? c : String(c == null ? '' : c))).join('');
+  return replaceSecretRanges(chunks, findSecretRanges(joined, options));
+}
+
+/**
+ * Replace registered secret values in a sequence of PTY output chunks, where
+ * one value may be split across two or more chunks.
+ * @param {string[]} chunks
+ * @returns {string[]} `chunks` itself when nothing matched.
+ */
+function redactKnownSecretChunks(chunks) {
+  if (!Array.isArray(chunks) || chunks.length === 0 || knownLongestFirst.length === 0) return chunks;
+  return redactSecretChunks(chunks, { builtins: false }).chunks;
+}
+
 /**
  * Redact likely secrets from a string.
  * @param {string} text
@@ -61,7 +236,7 @@ const LONG_BASE64_CANDIDATE = /\b[A-Za-z0-9+/]{40,}={0,2}\b/g;
 function redactSecrets(text) {
   if (typeof text !== 'string' || text.length === 0) return text;
 
-  let out = text;
+  let out = redactKnownSecrets(text);
 
   out = out.replace(PEM_BLOCK, REDACTED);
   out = out.replace(URL_CREDENTIALS, (m, prefix) => `${prefix}:${REDACTED}@`);
@@ -83,4 +258,15 @@ function redactSecrets(text) {
   return out;
 }
 
-module.exports = { redactSecrets, REDACTED };
+module.exports = {
+  redactSecrets,
+  registerSecretValues,
+  clearSecretValues,
+  redactKnownSecrets,
+  redactKnownSecretChunks,
+  longestKnownSecretLength,
+  findSecretRanges,
+  replaceSecretRanges,
+  redactSecretChunks,
+  REDACTED,
+};
@@ -0,0 +1,355 @@
+'use strict';
+
+// Opt-in, keystroke-accurate session recorder. Every PTY a bridge spawns gets
+// an asciicast v2 file (https://docs.asciinema.org/manual/asciicast/v2/) under
+// <storageDir>/recordings/: a JSON header line, then one `[t, code, data]`
+// event per line, where `t` is seconds since the recording started and `code`
+// is "o" (PTY output), "i" (input written to the PTY) or "r" (resize, data
+// "COLSxROWS"). The files play back in the built-in replay viewer and in any
+// asciinema-compatible player.
+//
+// This exists because SessionStore only persists the last 512 KB tail of each
+// session's output; a recording keeps the whole run with its timing.
+//
+// The recorder sits on the PTY hot path, so nothing here may throw into the
+// caller: a failed write closes that one recording and is logged once. Output
+// is recorded as it arrives from node-pty (before the bridge's setImmediate
+// batching) so the timing in the file is the timing the CLI produced. Writes
+// pause while the server's disk-full circuit breaker is open (DISK-03) and a
+// single recording stops growing at `maxBytes`.
+
+const fs = require('fs');
+const fsp = require('fs').promises;
+const path = require('path');
+const os = require('os');
+const { Transform } = require('stream');
+const { StringDecoder } = require('string_decoder');
+const { pruneOldFiles } = require('./log-rotator');
+const { redactKnownSecretChunks, longestKnownSecretLength } = require('./secret-redact');
+
+const DEFAULT_MAX_BYTES = 256 * 1024 * 1024;
+const DEFAULT_RETENTION_DAYS = 14;
+const RECORDING_EXT = '.cast';
+// `<sessionId>-<startedAtMs>` — session ids are uuids (or control-plane ids of
+// the same alphabet); anything else is refused so an id can never walk out of
+// the recordings directory.
+const RECORDING_ID_RE = /^[A-Za-z0-9_-]{1,160}$/;
+const RECORDING_FILE_RE = /^([A-Za-z0-9_-]+)-(\d+)\.cast$/;
+const HEADER_PEEK_BYTES = 8192;
+
+function isTruthyFlag(value) {
+  if (typeof value !== 'string') return false;
+  const v = value.trim().toLowerCase();
+  return v === '1' || v === 'true' || v === 'on' || v === 'yes';
+}
+
+function positiveNumber(raw, fallback) {
+  const n = Number(raw);
+  return Number.isFinite(n) && n > 0 ? n : fallback;
+}
+
+class SessionRecorder {
+  /**
+   * @param {object} [options]
+   * @param {boolean} [options.enabled=false]
+   * @param {string} [options.storageDir] - Base dir; recordings go in `<storageDir>/recordings`.
+   * @param {number} [options.maxBytes] - Per-recording size cap.
+   * @param {number} [options.retentionDays] - Age after which finished recordings are pruned.
+   * @param {() => boolean} [options.isDiskFull] - Pauses writes while true.
+   * @param {() => number} [options.now] - Clock (ms); injectable for tests.
+   */
+  constructor(options = {}) {
+    this.enabled = !!options.enabled;
+    const storageDir = options.storageDir
+      || process.env.AI_OR_DIE_SESSION_DIR
+      || path.join(os.homedir(), '.ai-or-die');
+    this.dir = path.join(storageDir, 'recordings');
+    this.maxBytes = positiveNumber(options.maxBytes, DEFAULT_MAX_BYTES);
+    this.retentionDays = positiveNumber(options.retentionDays, DEFAULT_RETENTION_DAYS);
+    this._isDiskFull = typeof options.isDiskFull === 'function' ? options.isDiskFull : () => false;
+    this._now = typeof options.now === 'function' ? options.now : () => Date.now();
+    this._active = new Map(); // sessionId -> { id, file, stream, startedAt, bytes, truncated }
+    this._dirReady = false;
+  }
+
+  /**
+   * Build the recorder from CLI options + env. `--record` / AIORDIE_RECORD=1
+   * turn it on; AIORDIE_RECORD_MAX_MB and AIORDIE_RECORD_RETENTION_DAYS tune it.
+   */
+  static fromOptions(options = {}, env = process.env) {
+    return new SessionRecorder({
+      enabled: options.record === true || isTruthyFlag(env.AIORDIE_RECORD),
+      storageDir: options.storageDir,
+      maxBytes: env.AIORDIE_RECORD_MAX_MB ? positiveNumber(env.AIORDIE_RECORD_MAX_MB, 0) * 1024 * 1024 : undefined,
+      retentionDays: env.AIORDIE_RECORD_RETENTION_DAYS,
+      isDiskFull: options.isDiskFull,
+    });
+  }
+
+  isRecording(sessionId) {
+    return this._active.has(sessionId);
+  }
+
+  /**
+   * Open a new recording for a freshly spawned PTY. A session that restarts its
+   * agent gets a new file per spawn; a still-open previous file is closed first.
+   * @returns {string|null} the recording id, or null when recording is off.
+   */
+  start(sessionId, meta = {}) {
+    if (!this.enabled || typeof sessionId !== 'string' || !RECORDING_ID_RE.test(sessionId)) return null;
+    if (this._active.has(sessionId)) this.stop(sessionId);
+    try {
+      if (!this._dirReady) {
+        fs.mkdirSync(this.dir, { recursive: true });
+        this._dirReady = true;
+      }
+      const startedAt = this._now();
+      const id = `${sessionId}-${startedAt}`;
+      const file = path.join(this.dir, id + RECORDING_EXT);
+      const header = {
+        version: 2,
+        width: meta.cols || 80,
+        height: meta.rows || 24,
+        timestamp: Math.floor(startedAt / 1000),
+        env: { TERM: 'xterm-256color' },
+      };
+      if (meta.title) header.title = String(meta.title);
+      // Non-standard header keys are ignored by asciinema players; the viewer
+      // uses them to label the recording.
+      header.aiOrDie = {
+        sessionId,
+        agent: meta.agent || null,
+        command: meta.command || null,
+        workingDir: meta.workingDir || null,
+      };
+      // Open synchronously so the file exists (and is listable/servable) the
+      // moment the PTY starts; the stream then appends asynchronously.
+      const stream = fs.createWriteStream(null, { fd: fs.openSync(file, 'a') });
+      const rec = { id, file, stream, startedAt, bytes: 0, truncated: false, pending: [] };
+      stream.on('error', (err) => this._fail(sessionId, rec, err));
+      this._active.set(sessionId, rec);
+      this._write(rec, JSON.stringify(header) + '\n');
+      return id;
+    } catch (err) {
+      console.warn(`[recorder] could not start recording for ${sessionId}: ${err.message}`);
+      return null;
+    }
+  }
+
+  // Output and input are scrubbed of vault secrets (see _drain), including a
+  // value node-pty split across reads or the user typed a key at a time.
+  output(sessionId, data) {
+    this._event(sessionId, 'o', data);
+  }
+
+  input(sessionId, data) {
+    this._event(sessionId, 'i', data);
+  }
+
+  resize(sessionId, cols, rows) {
+    this._event(sessionId, 'r', `${cols}x${rows}`);
+  }
+
+  /**
+   * Close a session's recording. Resolves once the file is flushed.
+   * @returns {Promise<void>}
+   */
+  stop(sessionId) {
+    const rec = this._active.get(sessionId);
+    if (!rec) return Promise.resolve();
+    this._active.delete(sessionId);
+    this._drain(rec, true);
+    return new Promise((resolve) => {
+      if (rec.stream.destroyed) return resolve();
+      rec.stream.once('error', () => resolve());
+      rec.stream.end(() => resolve());
+    });
+  }
+
+  /** Close every open recording (server shutdown). */
+  async closeAll() {
+    await Promise.allSettled(Array.from(this._active.keys()).map((id) => this.stop(id)));
+  }
+
+  /**
+   * List recordings on disk, newest first.
+   * @param {{sessionId?: string}} [filter]
+   * @returns {Promise<Array<{id, sessionId, startedAt, size, active, title, agent, width, height}>>}
+   */
+  async list(filter = {}) {
+    let names;
+    try {
+      names = await fsp.readdir(this.dir);
+    } catch (err) {
+      if (err.code === 'ENOENT') return [];
+      throw err;
+    }
+    const activeIds = new Set(Array.from(this._active.values(), (r) => r.id));
+    const out = [];
+    for (const name of names) {
+      const m = RECORDING_FILE_RE.exec(name);
+      if (!m) continue;
+      const sessionId = m[1];
+      if (filter.sessionId && filter.sessionId !== sessionId) continue;
+      const id = name.slice(0, -RECORDING_EXT.length);
+      const full = path.join(this.dir, name);
+      let st;
+      try { st = await fsp.stat(full); } catch (_) { continue; }
+      const header = await this._readHeader(full);
+      out.push({
+        id,
+        sessionId,
+        startedAt: new Date(Number(m[2])).toISOString(),
+        size: st.size,
+        active: activeIds.has(id),
+        title: (header && header.title) || null,
+        agent: (header && header.aiOrDie && header.aiOrDie.agent) || null,
+        width: (header && header.width) || null,
+        height: (header && header.height) || null,
+      });
+    }
+    out.sort((a, b) => (a.startedAt < b.startedAt ? 1 : a.startedAt > b.startedAt ? -1 : 0));
+    return out;
+  }
+
+  /**
+   * Absolute path of a recording, or null for a malformed or unknown id.
+   * @returns {string|null}
+   */
+  resolve(id) {
+    if (typeof id !== 'string' || !RECORDING_ID_RE.test(id)) return null;
+    if (!RECORDING_FILE_RE.test(id + RECORDING_EXT)) return null;
+    const full = path.join(this.dir, id + RECORDING_EXT);
+    return fs.existsSync(full) ? full : null;
+  }
+
+  /**
+   * Delete a finished recording. Refuses one that is still being written.
+   * @returns {Promise<boolean>} false when the id is unknown.
+   */
+  async remove(id) {
+    const full = this.resolve(id);
+    if (!full) return false;
+    for (const rec of this._active.values()) {
+      if (rec.id === id) {
+        const err = new Error('Recording is still in progress');
+        err.code = 'RECORDING_ACTIVE';
+        throw err;
+      }
+    }
+    await fsp.unlink(full);
+    return true;
+  }
+
+  /** Drop finished recordings older than the retention window. */
+  prune() {
+    // A long-idle session's open file can be older than the window; never
+    // unlink a recording that is still being written.
+    const activeFiles = new Set(Array.from(this._active.values(), (r) => path.basename(r.file)));
+    const finished = { test: (name) => RECORDING_FILE_RE.test(name) && !activeFiles.has(name) };
+    return pruneOldFiles(this.dir, finished, {
+      maxAgeMs: this.retentionDays * 24 * 60 * 60 * 1000,
+    });
+  }
+
+  _event(sessionId, code, data) {
+    const rec = this._active.get(sessionId);
+    if (!rec || rec.truncated || data == null || data === '') return;
+    const t = Math.max(0, this._now() - rec.startedAt) / 1000;
+    rec.pending.push({ t: Number(t.toFixed(6)), code, data: String(data) });
+    this._drain(rec, false);
+  }
+
+  // Events wait in `pending` until they cannot hold the start of a vault
+  // secret: output and input are each redacted as one run across their
+  // pending events, and the last (longest secret - 1) characters of each run
+  // stay back for the next event. Events keep their own timestamps and are
+  // written in arrival order, so a resize behind held output waits as well.
+  // With no secrets registered nothing is held. `all` writes everything (stop).
+  _drain(rec, all) {
+    const hold = all ? 0 : Math.max(0, longestKnownSecretLength() - 1);
+    const ready = new Set();
+    for (const code of ['o', 'i']) {
+      const idx = [];
+      rec.pending.forEach((e, i) => { if (e.code === code) idx.push(i); });
+      if (idx.length === 0) continue;
+      // Stored back redacted: a value whose start was already written must
+      // not be looked for again in what is left of it.
+      const texts = redactKnownSecretChunks(idx.map((i) => rec.pending[i].data));
+      const total = texts.reduce((n, text) => n + text.length, 0);
+      let end = 0;
+      idx.forEach((i, k) => {
+        rec.pending[i].data = texts[k];
+        end += texts[k].length;
+        if (end <= total - hold) ready.add(i);
+      });
+    }
+    let n = 0;
+    while (n < rec.pending.length && (rec.pending[n].code === 'r' || ready.has(n))) n++;
+    for (const e of rec.pending.splice(0, n)) {
+      if (e.data && !rec.truncated) this._write(rec, JSON.stringify([e.t, e.code, e.data]) + '\n');
+    }
+  }
+
+  _write(rec, line) {
+    if (rec.stream.destroyed || this._isDiskFull()) return;
+    const size = Buffer.byteLength(line, 'utf8');
+    if (rec.bytes + size > this.maxBytes) {
+      rec.truncated = true;
+      console.warn(`[recorder] ${rec.id} reached the ${Math.round(this.maxBytes / 1048576)} MB cap; further events are not recorded`);
+      return;
+    }
+    rec.bytes += size;
+    rec.stream.write(line);
+  }
+
+  _fail(sessionId, rec, err) {
+    console.warn(`[recorder] recording ${rec.id} failed: ${err && err.message}`);
+    if (this._active.get(sessionId) === rec) this._active.delete(sessionId);
+    try { rec.stream.destroy(); } catch (_) { /* already closed */ }
+  }
+
+  async _readHeader(file) {
+    let handle;
+    try {
+      handle = await fsp.open(file, 'r');
+      const buf = Buffer.alloc(HEADER_PEEK_BYTES);
+      const { bytesRead } = await handle.read(buf, 0, buf.length, 0);
+      const text = buf.subarray(0, bytesRead).toString('utf8');
+      const nl = text.indexOf('\n');
+      return JSON.parse(nl === -1 ? text : text.slice(0, nl));
+    } catch (_) {
+      return null;
+    } finally {
+      if (handle) await handle.close().catch(() => {});
+    }
+  }
+}
+
+/**
+ * A stream that passes an asciicast file through without its "i" (input)
+ * events, for readers who may see what a session printed but not what was
+ * typed into it.
+ * @returns {import('stream').Transform}
+ */
+function outputOnlyCast() {
+  const decoder = new StringDecoder('utf8');
+  const keep = (line) => !/^\[[^,\]]*,\s*"i"/.test(line);
+  let rest = '';
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      const lines = (rest + decoder.write(chunk)).split('\n');
+      rest = lines.pop();
+      callback(null, lines.filter(keep).map((line) => line + '\n').join(''));
+    },
+    flush(callback) {
+      const last = rest + decoder.end();
+      callback(null, last && keep(last) ? last : '');
+    },
+  });
+}
+
+module.exports = SessionRecorder;
+module.exports.SessionRecorder = SessionRecorder;
+module.exports.RECORDING_ID_RE = RECORDING_ID_RE;
+module.exports.outputOnlyCast = outputOnlyCast;
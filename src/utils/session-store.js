@@ -1,10 +1,65 @@
+const crypto = require('crypto');
 const fs = require('fs').promises;
 const path = require('path');
 const os = require('os');
 const CircularBuffer = require('./circular-buffer');
+const { redactKnownSecretChunks } = require('./secret-redact');
 
 const MAX_BUFFER_BYTES_PER_SESSION = 512 * 1024; // 512KB per-session byte cap
 
+// Tab groups: named, coloured groups of tabs. They are saved next to the
+// sessions; a session's membership is its own `groupId`.
+const GROUP_COLORS = Object.freeze(['gray', 'blue', 'green', 'yellow', 'orange', 'red', 'purple', 'cyan']);
+const MAX_GROUPS = 100;
+const MAX_GROUP_NAME_LENGTH = 60;
+
+function groupError(code, message) {
+    const err = new Error(message);
+    err.code = code;
+    err.statusCode = code === 'GROUP_NOT_FOUND' ? 404 : code === 'LIMIT_EXCEEDED' ? 409 : 400;
+    return err;
+}
+
+function groupName(value) {
+    const name = String(value == null ? '' : value).trim();
+    if (!name) throw groupError('INVALID_ARGUMENT', 'name is required');
+    if (name.length > MAX_GROUP_NAME_LENGTH) {
+        throw groupError('INVALID_ARGUMENT', `name is longer than ${MAX_GROUP_NAME_LENGTH} characters`);
+    }
+    return name;
+}
+
+function groupColor(value) {
+    if (!GROUP_COLORS.includes(value)) {
+        throw groupError('INVALID_ARGUMENT', `color must be one of ${GROUP_COLORS.join(', ')}`);
+    }
+    return value;
+}
+
+/**
+ * Keep the well-formed entries of a saved `groups` array. An unknown colour
+ * falls back to the first one rather than losing the group.
+ * @param {*} raw
+ * @returns {Array<{id: string, name: string, color: string, collapsed: boolean}>}
+ */
+function normalizeGroups(raw) {
+    if (!Array.isArray(raw)) return [];
+    const groups = [];
+    for (const g of raw) {
+        if (groups.length >= MAX_GROUPS) break;
+        if (!g || typeof g.id !== 'string' || !g.id || groups.some((kept) => kept.id === g.id)) continue;
+        let name;
+        try { name = groupName(g.name); } catch (_) { continue; }
+        groups.push({
+            id: g.id,
+            name,
+            color: GROUP_COLORS.includes(g.color) ? g.color : GROUP_COLORS[0],
+            collapsed: g.collapsed === true,
+        });
+    }
+    return groups;
+}
+
 /**
  * Migrate a persisted sticky note to the v2 shape:
  *   { title, goal, done[], remaining[], updates:[{text,at}], rev, ... }
@@ -48,6 +103,9 @@ class SessionStore {
             }
         }
         this.sessionsFile = path.join(this.storageDir, 'sessions.json');
+        this.groups = []; // tab groups, written with the sessions
+        // Optional OutputRedactor (set by the server) applied to saved buffers.
+        this.redactor = options.redactor || null;
         this._dirty = false;
         // DISK-03: surface the last save error to the server so it can
         // open the disk-full circuit breaker on ENOSPC without the
@@ -84,6 +142,83 @@ class SessionStore {
         this._dirty = true;
     }
 
+    // --- Tab groups ---
+    // Held in memory and written by saveSessions(). The server sets and
+    // clears each session's `groupId`; pruneGroups() then drops groups left
+    // without a session.
+
+    listGroups() {
+        return this.groups.map((g) => ({ ...g }));
+    }
+
+    /** @throws {Error} GROUP_NOT_FOUND (statusCode 404) */
+    requireGroup(groupId) {
+        const group = this.groups.find((g) => g.id === groupId);
+        if (!group) throw groupError('GROUP_NOT_FOUND', 'Group not found');
+        return group;
+    }
+
+    createGroup(input = {}) {
+        if (this.groups.length >= MAX_GROUPS) {
+            throw groupError('LIMIT_EXCEEDED', `A server keeps at most ${MAX_GROUPS} groups`);
+        }
+        const group = {
+            id: crypto.randomUUID(),
+            name: groupName(input.name),
+            color: input.color === undefined ? GROUP_COLORS[0] : groupColor(input.color),
+            collapsed: input.collapsed === true,
+        };
+        this.groups.push(group);
+        this.markDirty();
+        return { ...group };
+    }
+
+    updateGroup(groupId, patch = {}) {
+        const group = this.requireGroup(groupId);
+        const next = { ...group };
+        if (patch.name !== undefined) next.name = groupName(patch.name);
+        if (patch.color !== undefined) next.color = groupColor(patch.color);
+        if (patch.collapsed !== undefined) next.collapsed = patch.collapsed === true;
+        Object.assign(group, next);
+        this.markDirty();
+        return { ...group };
+    }
+
+    removeGroup(groupId) {
+        const group = this.requireGroup(groupId);
+        this.groups = this.groups.filter((g) => g !== group);
+        this.markDirty();
+        return { ...group };
+    }
+
+    /**
+     * Clear memberships of groups that no longer exist, then drop groups no
+     * session belongs to.
+     * @param {Map<string, object>} sessions
+     * @returns {boolean} whether anything changed
+     */
+    pruneGroups(sessions) {
+        const known = new Set(this.groups.map((g) => g.id));
+        const used = new Set();
+        let changed = false;
+        for (const session of sessions.values()) {
+            if (!session.groupId) continue;
+            if (known.has(session.groupId)) {
+                used.add(session.groupId);
+            } else {
+                session.groupId = null;
+                changed = true;
+            }
+        }
+        const kept = this.groups.filter((g) => used.has(g.id));
+        if (kept.length !== this.groups.length) {
+            this.groups = kept;
+            changed = true;
+        }
+        if (changed) this.markDirty();
+        return changed;
+    }
+
     /**
      * Trim an array of output lines to fit within MAX_BUFFER_BYTES_PER_SESSION.
      * Keeps the most recent lines (end of array) and drops the oldest.
@@ -211,6 +346,11 @@ class SessionStore {
             // Ensure storage directory exists
             await fs.mkdir(this.storageDir, { recursive: true });
 
+            // Opt-in pattern redaction (--redact, output-redactor.js); without
+            // it, only registered vault values are taken out below.
+            const redaction = this.redactor ? await this.redactor.settings() : null;
+            const redactAll = !!(redaction && redaction.persist);
+
             // Convert Map to array for JSON serialization
             const sessionsArray = Array.from(sessions.entries()).map(([id, session]) => ({
                 id,
@@ -221,8 +361,14 @@ class SessionStore {
                 active: false, // Always set to false when saving (processes won't persist)
                 wasActive: session.active || false, // Preserve active state for restart awareness
                 agent: session.agent || null, // Which tool was running (claude, codex, etc.)
+                // Keep last 1000 lines, capped at 512KB, with any vault secret
+                // the session printed taken out (even one split across chunks);
+                // with redaction on, the loop below does that and the patterns.
                 outputBuffer: (session.outputBuffer && typeof session.outputBuffer.slice === 'function')
-                    ? this._capBufferByBytes(session.outputBuffer.slice(-1000)) : [], // Keep last 1000 lines, capped at 512KB
+                    ? (redactAll
+                        ? this._capBufferByBytes(session.outputBuffer.slice(-1000))
+                        : redactKnownSecretChunks(this._capBufferByBytes(session.outputBuffer.slice(-1000))))
+                    : [],
                 connections: [], // Clear connections (they won't persist)
                 lastAccessed: session.lastAccessed || Date.now(),
                 // Session-specific usage tracking
@@ -251,12 +397,37 @@ class SessionStore {
                 claudePinnedSessionId: session.claudePinnedSessionId || null,
                 autoTitle: session.autoTitle || null,
                 nameIsUserSet: session.nameIsUserSet || false,
-                stickyNotesEnabled: session.stickyNotesEnabled === true
+                stickyNotesEnabled: session.stickyNotesEnabled === true,
+                // Git worktree the session runs in ({path, branch, repoRoot}),
+                // so the branch chip and close actions survive a restart.
+                worktree: session.worktree || null,
+                groupId: session.groupId || null,
+                // Names of the vault secrets its agent starts with; never values.
+                secretNames: Array.isArray(session.secretNames) && session.secretNames.length ? session.secretNames : null,
+                // What the opt-in redactor took out ({persisted, replayed} rule counts).
+                redactions: session.redactions || null
             }));
 
+            // Each buffer is scanned whole (vault values included), one regex
+            // pass per pattern over at most 512 KB; yield between sessions so
+            // a save of many tabs does not hold the loop for all of them.
+            if (redactAll) {
+                for (const entry of sessionsArray) {
+                    const { chunks, counts } = this.redactor.redactChunks(entry.outputBuffer, redaction);
+                    entry.outputBuffer = chunks;
+                    entry.redactions = { ...(entry.redactions || {}), persisted: counts };
+                    const live = sessions.get(entry.id);
+                    if (live) live.redactions = entry.redactions;
+                    await new Promise((resolve) => setImmediate(resolve));
+                }
+            }
+
+            // `groups` goes before `sessions`: _serializeDataStreamed
+            // splices the session entries into the last "sessions":[].
             const data = {
                 version: '1.0',
                 savedAt: new Date().toISOString(),
+                groups: this.groups,
                 sessions: sessionsArray
             };
 
@@ -411,6 +582,9 @@ class SessionStore {
                 });
             }
 
+            this.groups = normalizeGroups(parsed.groups);
+            this.pruneGroups(sessions);
+
             console.log(`Restored ${sessions.size} sessions from disk`);
             return sessions;
         } catch (error) {
@@ -534,4 +708,5 @@ class SessionStore {
 }
 
 module.exports = SessionStore;
-module.exports.migrateStickyNote = migrateStickyNote;
\ No newline at end of file
+module.exports.migrateStickyNote = migrateStickyNote;
+module.exports.GROUP_COLORS = GROUP_COLORS;
\ No newline at end of file
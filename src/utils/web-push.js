@@ -0,0 +1,149 @@
+'use strict';
+
+// Minimal Web Push sender: VAPID application-server keys (RFC 8292) and
+// aes128gcm payload encryption (RFC 8291 / RFC 8188), using only node:crypto.
+// One record per message, so payloads must stay under MAX_PAYLOAD_BYTES.
+// Delivery, subscriptions and retries belong to the caller (push-manager.js).
+
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+
+const RECORD_SIZE = 4096;
+// RECORD_SIZE minus the delimiter byte and the 16-byte GCM tag, with room to
+// spare for push services that cap the body below 4 KB.
+const MAX_PAYLOAD_BYTES = 3000;
+const DEFAULT_TTL_SECONDS = 24 * 60 * 60;
+const VAPID_EXPIRY_SECONDS = 12 * 60 * 60;
+const REQUEST_TIMEOUT_MS = 15000;
+
+function b64url(buf) {
+  return Buffer.from(buf).toString('base64url');
+}
+
+function fromB64url(str) {
+  return Buffer.from(String(str), 'base64url');
+}
+
+/**
+ * New VAPID key pair as base64url strings: the raw 65-byte uncompressed P-256
+ * public key (what PushManager.subscribe() takes as applicationServerKey) and
+ * the 32-byte private scalar.
+ * @returns {{publicKey: string, privateKey: string}}
+ */
+function generateVapidKeys() {
+  const ecdh = crypto.createECDH('prime256v1');
+  ecdh.generateKeys();
+  return { publicKey: b64url(ecdh.getPublicKey()), privateKey: b64url(ecdh.getPrivateKey()) };
+}
+
+function vapidPrivateKeyObject(keys) {
+  const pub = fromB64url(keys.publicKey);
+  return crypto.createPrivateKey({
+    format: 'jwk',
+    key: { kty: 'EC', crv: 'P-256', d: keys.privateKey, x: b64url(pub.subarray(1, 33)), y: b64url(pub.subarray(33, 65)) },
+  });
+}
+
+/**
+ * `Authorization` header value for one push endpoint.
+ * @param {string} endpoint - Subscription endpoint URL; its origin is the JWT audience.
+ * @param {{publicKey: string, privateKey: string}} keys
+ * @param {string} subject - `mailto:` or `https:` contact for the push service.
+ * @param {number} [nowSeconds]
+ * @returns {string}
+ */
+function vapidAuthorization(endpoint, keys, subject, nowSeconds = Math.floor(Date.now() / 1000)) {
+  const header = b64url(JSON.stringify({ typ: 'JWT', alg: 'ES256' }));
+  const claims = b64url(JSON.stringify({
+    aud: new URL(endpoint).origin,
+    exp: nowSeconds + VAPID_EXPIRY_SECONDS,
+    sub: subject,
+  }));
+  const signature = crypto.sign('sha256', Buffer.from(`${header}.${claims}`), {
+    key: vapidPrivateKeyObject(keys),
+    dsaEncoding: 'ieee-p1363',
+  });
+  return `vapid t=${header}.${claims}.${b64url(signature)}, k=${keys.publicKey}`;
+}
+
+/**
+ * Encrypt a payload for one subscription (RFC 8291, aes128gcm).
+ * @param {Buffer|string} payload
+ * @param {{p256dh: string, auth: string}} subscriptionKeys - From PushSubscription.toJSON().keys.
+ * @param {object} [options] - `salt` (16 bytes) and `senderPrivateKey` (32 bytes) pin the
+ *   otherwise random values, for test vectors only.
+ * @returns {Buffer} The request body.
+ */
+function encryptPayload(payload, subscriptionKeys, options = {}) {
+  const plaintext = Buffer.isBuffer(payload) ? payload : Buffer.from(String(payload), 'utf8');
+  if (plaintext.length > MAX_PAYLOAD_BYTES) {
+    throw new Error(`push payload is ${plaintext.length} bytes (max ${MAX_PAYLOAD_BYTES})`);
+  }
+  const uaPublic = fromB64url(subscriptionKeys.p256dh);
+  const authSecret = fromB64url(subscriptionKeys.auth);
+  if (uaPublic.length !== 65 || authSecret.length !== 16) throw new Error('invalid subscription keys');
+
+  const sender = crypto.createECDH('prime256v1');
+  if (options.senderPrivateKey) sender.setPrivateKey(options.senderPrivateKey);
+  else sender.generateKeys();
+  const asPublic = sender.getPublicKey();
+  const salt = options.salt || crypto.randomBytes(16);
+
+  const ecdhSecret = sender.computeSecret(uaPublic);
+  const keyInfo = Buffer.concat([Buffer.from('WebPush: info\0'), uaPublic, asPublic]);
+  const ikm = Buffer.from(crypto.hkdfSync('sha256', ecdhSecret, authSecret, keyInfo, 32));
+  const cek = Buffer.from(crypto.hkdfSync('sha256', ikm, salt, Buffer.from('Content-Encoding: aes128gcm\0'), 16));
+  const nonce = Buffer.from(crypto.hkdfSync('sha256', ikm, salt, Buffer.from('Content-Encoding: nonce\0'), 12));
+
+  const cipher = crypto.createCipheriv('aes-128-gcm', cek, nonce);
+  // 0x02 marks the last (and only) record; no padding.
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.update(Buffer.from([2])), cipher.final(), cipher.getAuthTag()]);
+
+  const header = Buffer.alloc(21);
+  salt.copy(header, 0);
+  header.writeUInt32BE(RECORD_SIZE, 16);
+  header.writeUInt8(asPublic.length, 20);
+  return Buffer.concat([header, asPublic, ciphertext]);
+}
+
+/**
+ * POST one encrypted message to a subscription's push service.
+ * @param {{endpoint: string, keys: {p256dh: string, auth: string}}} subscription
+ * @param {object|string} payload - Objects are sent as JSON.
+ * @param {{vapidKeys: {publicKey: string, privateKey: string}, subject: string, ttl?: number, urgency?: string}} options
+ * @returns {Promise<{statusCode: number}>} Resolves for any HTTP response; rejects on network errors.
+ */
+function sendNotification(subscription, payload, options) {
+  const body = encryptPayload(typeof payload === 'string' ? payload : JSON.stringify(payload), subscription.keys);
+  const url = new URL(subscription.endpoint);
+  const transport = url.protocol === 'http:' ? http : https;
+  return new Promise((resolve, reject) => {
+    const req = transport.request(url, {
+      method: 'POST',
+      timeout: REQUEST_TIMEOUT_MS,
+      headers: {
+        'Content-Type': 'application/octet-stream',
+        'Content-Encoding': 'aes128gcm',
+        'Content-Length': body.length,
+        TTL: String(options.ttl == null ? DEFAULT_TTL_SECONDS : options.ttl),
+        Urgency: options.urgency || 'normal',
+        Authorization: vapidAuthorization(subscription.endpoint, options.vapidKeys, options.subject),
+      },
+    }, (res) => {
+      res.resume();
+      res.on('end', () => resolve({ statusCode: res.statusCode }));
+    });
+    req.on('timeout', () => req.destroy(new Error('push service timed out')));
+    req.on('error', reject);
+    req.end(body);
+  });
+}
+
+module.exports = {
+  generateVapidKeys,
+  vapidAuthorization,
+  encryptPayload,
+  sendNotification,
+  MAX_PAYLOAD_BYTES,
+};
@@ -0,0 +1,171 @@
+'use strict';
+
+// Named workspace profiles: a JSON file per profile under
+// <storageDir>/workspaces/<name>.json describing a set of tabs to open in one
+// go. Example:
+//
+//   {
+//     "description": "Morning setup",
+//     "tabs": [
+//       { "name": "api", "tool": "claude", "workingDir": "~/src/api" },
+//       { "name": "web", "tool": "codex", "workingDir": "~/src/web" },
+//       { "name": "dev server", "tool": "terminal", "workingDir": "~/src/web",
+//         "command": "npm run dev", "split": "right" }
+//     ]
+//   }
+//
+// This module only reads and validates profiles; launching the tabs is the
+// server's job (ClaudeCodeWebServer._launchWorkspace). Profiles are hand-edited,
+// so every validation failure names the offending tab.
+
+const fsp = require('fs').promises;
+const path = require('path');
+const os = require('os');
+
+const PROFILE_EXT = '.json';
+// Profile names double as file names, so keep them to a safe alphabet.
+const WORKSPACE_NAME_RE = /^[A-Za-z0-9][A-Za-z0-9_.-]{0,63}$/;
+const WORKSPACE_TOOLS = ['claude', 'codex', 'copilot', 'gemini', 'terminal'];
+const SPLIT_SIDES = ['left', 'right'];
+const MAX_TABS = 20;
+const MAX_COMMAND_LENGTH = 4096;
+
+function workspaceError(code, message) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+function expandHome(p) {
+  if (p === '~') return os.homedir();
+  if (p.startsWith('~/') || p.startsWith('~\\')) return path.join(os.homedir(), p.slice(2));
+  return p;
+}
+
+/**
+ * Validate and normalise a parsed profile.
+ * @param {object} raw - Parsed JSON.
+ * @param {string} name - Profile name (file name without extension).
+ * @param {string[]} [tools] - Accepted tool ids; defaults to the built-in agents.
+ * @returns {{name: string, description: string, tabs: Array<{name: string, tool: string, workingDir: string|null, command: string|null, split: string|null}>}}
+ * @throws {Error} code INVALID_WORKSPACE
+ */
+function normalizeProfile(raw, name, tools = WORKSPACE_TOOLS) {
+  const invalid = (msg) => workspaceError('INVALID_WORKSPACE', `Workspace "${name}": ${msg}`);
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) throw invalid('expected a JSON object');
+  if (!Array.isArray(raw.tabs) || raw.tabs.length === 0) throw invalid('"tabs" must be a non-empty array');
+  if (raw.tabs.length > MAX_TABS) throw invalid(`at most ${MAX_TABS} tabs are allowed`);
+
+  const seenSplit = new Set();
+  const tabs = raw.tabs.map((tab, i) => {
+    const where = `tab ${i + 1}`;
+    if (!tab || typeof tab !== 'object' || Array.isArray(tab)) throw invalid(`${where} must be an object`);
+    const tool = tab.tool == null ? 'terminal' : tab.tool;
+    if (!tools.includes(tool)) {
+      throw invalid(`${where} has unknown tool "${tool}" (expected one of ${tools.join(', ')})`);
+    }
+    if (tab.name != null && typeof tab.name !== 'string') throw invalid(`${where} "name" must be a string`);
+    if (tab.workingDir != null && (typeof tab.workingDir !== 'string' || !tab.workingDir.trim())) {
+      throw invalid(`${where} "workingDir" must be a non-empty string`);
+    }
+    if (tab.command != null && typeof tab.command !== 'string') throw invalid(`${where} "command" must be a string`);
+    if (tab.command && tab.command.length > MAX_COMMAND_LENGTH) {
+      throw invalid(`${where} "command" is longer than ${MAX_COMMAND_LENGTH} characters`);
+    }
+    const split = tab.split == null || tab.split === false ? null : (tab.split === true ? 'right' : tab.split);
+    if (split !== null) {
+      if (!SPLIT_SIDES.includes(split)) throw invalid(`${where} "split" must be "left" or "right"`);
+      // The client's split view has exactly two panes.
+      if (seenSplit.has(split)) throw invalid(`only one tab can take the ${split} split pane`);
+      seenSplit.add(split);
+    }
+    return {
+      name: (tab.name && tab.name.trim()) || `${name} ${i + 1}`,
+      tool,
+      workingDir: tab.workingDir ? expandHome(tab.workingDir.trim()) : null,
+      command: tab.command ? tab.command : null,
+      split,
+    };
+  });
+
+  return {
+    name,
+    description: typeof raw.description === 'string' ? raw.description : '',
+    tabs,
+  };
+}
+
+class WorkspaceProfiles {
+  /**
+   * @param {object} [options]
+   * @param {string} [options.storageDir] - Base dir; profiles live in `<storageDir>/workspaces`.
+   * @param {string[]} [options.tools] - Tool ids a tab may use, including agent plugins.
+   */
+  constructor(options = {}) {
+    const storageDir = options.storageDir
+      || process.env.AI_OR_DIE_SESSION_DIR
+      || path.join(os.homedir(), '.ai-or-die');
+    this.dir = path.join(storageDir, 'workspaces');
+    this.tools = options.tools || WORKSPACE_TOOLS;
+  }
+
+  /**
+   * Summaries of every profile on disk, sorted by name. A profile that fails
+   * to parse is still listed, with `error` set, so the user can see why it
+   * won't launch.
+   * @returns {Promise<Array<{name: string, description: string, tabs: number, error?: string}>>}
+   */
+  async list() {
+    let names;
+    try {
+      names = await fsp.readdir(this.dir);
+    } catch (err) {
+      if (err.code === 'ENOENT') return [];
+      throw err;
+    }
+    const out = [];
+    for (const file of names.sort()) {
+      if (!file.endsWith(PROFILE_EXT)) continue;
+      const name = file.slice(0, -PROFILE_EXT.length);
+      if (!WORKSPACE_NAME_RE.test(name)) continue;
+      try {
+        const profile = await this.load(name);
+        out.push({ name, description: profile.description, tabs: profile.tabs.length });
+      } catch (err) {
+        out.push({ name, description: '', tabs: 0, error: err.message });
+      }
+    }
+    return out;
+  }
+
+  /**
+   * Read and validate one profile.
+   * @param {string} name
+   * @throws {Error} code WORKSPACE_NOT_FOUND or INVALID_WORKSPACE
+   */
+  async load(name) {
+    if (typeof name !== 'string' || !WORKSPACE_NAME_RE.test(name)) {
+      throw workspaceError('WORKSPACE_NOT_FOUND', `Unknown workspace "${name}"`);
+    }
+    let text;
+    try {
+      text = await fsp.readFile(path.join(this.dir, name + PROFILE_EXT), 'utf8');
+    } catch (err) {
+      if (err.code === 'ENOENT') throw workspaceError('WORKSPACE_NOT_FOUND', `Unknown workspace "${name}"`);
+      throw err;
+    }
+    let raw;
+    try {
+      raw = JSON.parse(text);
+    } catch (err) {
+      throw workspaceError('INVALID_WORKSPACE', `Workspace "${name}": ${err.message}`);
+    }
+    return normalizeProfile(raw, name, this.tools);
+  }
+}
+
+module.exports = WorkspaceProfiles;
+module.exports.WorkspaceProfiles = WorkspaceProfiles;
+module.exports.normalizeProfile = normalizeProfile;
+module.exports.WORKSPACE_NAME_RE = WORKSPACE_NAME_RE;
+module.exports.WORKSPACE_TOOLS = WORKSPACE_TOOLS;
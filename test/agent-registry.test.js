@@ -0,0 +1,222 @@
+// test/agent-registry.test.js — agent plugins.
+//
+// Covers manifest validation and plugin loading (src/agent-registry.js), the
+// manifest-driven bridge (src/manifest-bridge.js), the per-agent busy regex in
+// session-status.js, and the server deriving start_<id> and /api/config tool
+// entries from the registry.
+
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const AgentRegistry = require('../src/agent-registry');
+const ManifestBridge = require('../src/manifest-bridge');
+const { deriveStatus } = require('../src/control/session-status');
+
+const { normalizeManifest } = AgentRegistry;
+
+const AIDER = {
+  id: 'aider',
+  name: 'Aider',
+  description: 'AI pair programming',
+  commandPaths: { linux: [process.execPath], win32: [process.execPath] },
+  args: ['--no-auto-commits'],
+  dangerousFlag: '--yes-always',
+  busyRegex: 'Waiting for model',
+  icon: { label: 'Ai', color: '#14b8a6' },
+};
+
+function writeManifest(storageDir, file, body) {
+  const dir = path.join(storageDir, 'agents');
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(path.join(dir, file), typeof body === 'string' ? body : JSON.stringify(body));
+}
+
+const quietLogger = { warn: () => {} };
+
+describe('agent plugin manifests', function () {
+  it('normalizes a manifest and fills in defaults', function () {
+    const m = normalizeManifest({ id: 'goose', name: 'Goose', commandPaths: { linux: ['goose'] } });
+    assert.strictEqual(m.defaultCommand, 'goose');
+    assert.deepStrictEqual(m.args, []);
+    assert.deepStrictEqual(m.commandPaths, { linux: ['goose'], win32: [] });
+    assert.strictEqual(m.dangerousFlag, null);
+    assert.strictEqual(m.trust, null);
+    assert.strictEqual(m.busyRegex, null);
+    assert.deepStrictEqual(m.icon, { label: 'G', color: null });
+
+    const full = normalizeManifest({ ...AIDER, autoAcceptTrust: true });
+    assert.ok(full.busyRegex.test('... WAITING FOR MODEL'), 'busyRegex is case-insensitive');
+    assert.deepStrictEqual(full.trust, { regex: null, keys: '1\r' });
+  });
+
+  it('rejects invalid manifests with INVALID_AGENT_MANIFEST', function () {
+    const bad = [
+      [{ ...AIDER, id: 'Aider' }, /"id" must be/],
+      [{ ...AIDER, id: 'session' }, /reserved/],
+      [{ ...AIDER, name: '' }, /"name"/],
+      [{ ...AIDER, args: ['ok', 3] }, /"args"/],
+      [{ ...AIDER, dangerousFlag: 'yes' }, /"dangerousFlag"/],
+      [{ ...AIDER, busyRegex: '(' }, /"busyRegex" is not a valid regular expression/],
+      [{ ...AIDER, icon: { color: 'red; background: url(x)' } }, /"icon.color"/],
+      [{ ...AIDER, icon: { label: 'toolong' } }, /"icon.label"/],
+      [{ ...AIDER, autoAcceptTrust: 'yes' }, /"autoAcceptTrust"/],
+    ];
+    for (const [raw, pattern] of bad) {
+      assert.throws(() => normalizeManifest(raw, 'aider.json'), (err) => {
+        assert.strictEqual(err.code, 'INVALID_AGENT_MANIFEST');
+        assert.match(err.message, /^Agent manifest aider\.json: /);
+        assert.match(err.message, pattern);
+        return true;
+      });
+    }
+  });
+});
+
+describe('AgentRegistry', function () {
+  let storageDir, registry;
+
+  beforeEach(function () {
+    storageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'agents-'));
+    registry = new AgentRegistry({ storageDir, logger: quietLogger });
+    registry.register('claude', { name: 'claude-bridge' }, { hasDangerousMode: true });
+    registry.register('terminal', { name: 'terminal-bridge' });
+  });
+
+  afterEach(function () {
+    fs.rmSync(storageDir, { recursive: true, force: true });
+  });
+
+  it('is fine without an agents directory', function () {
+    assert.deepStrictEqual(registry.loadPlugins(), { loaded: [], errors: [] });
+    assert.deepStrictEqual(registry.ids(), ['claude', 'terminal']);
+  });
+
+  it('loads valid plugins and reports the rest without replacing built-ins', function () {
+    writeManifest(storageDir, 'aider.json', AIDER);
+    writeManifest(storageDir, 'broken.json', '{ not json');
+    writeManifest(storageDir, 'claude.json', { ...AIDER, id: 'claude' });
+    writeManifest(storageDir, 'notes.txt', 'ignored');
+
+    const { loaded, errors } = registry.loadPlugins();
+    assert.deepStrictEqual(loaded, ['aider']);
+    assert.deepStrictEqual(errors.map((e) => e.file), ['broken.json', 'claude.json']);
+    assert.match(errors[1].error, /already registered/);
+    assert.deepStrictEqual(registry.bridgeFor('claude'), { name: 'claude-bridge' });
+
+    const aider = registry.get('aider');
+    assert.ok(aider.bridge instanceof ManifestBridge);
+    assert.strictEqual(aider.plugin, true);
+    assert.strictEqual(aider.hasDangerousMode, true);
+    assert.deepStrictEqual(registry.plugins().map((p) => p.id), ['aider']);
+    assert.strictEqual(registry.busyRegexFor('aider').source, 'Waiting for model');
+    assert.strictEqual(registry.busyRegexFor('claude'), null);
+  });
+
+  it('maps start_<id> messages to registered agents only', function () {
+    writeManifest(storageDir, 'aider.json', AIDER);
+    registry.loadPlugins();
+    assert.strictEqual(registry.toolForStartMessage('start_aider'), 'aider');
+    assert.strictEqual(registry.toolForStartMessage('start_terminal'), 'terminal');
+    assert.strictEqual(registry.toolForStartMessage('start_vim'), null);
+    assert.strictEqual(registry.toolForStartMessage('input'), null);
+  });
+});
+
+describe('ManifestBridge', function () {
+  it('builds args from the manifest and appends the dangerous flag on request', async function () {
+    const bridge = new ManifestBridge(normalizeManifest(AIDER));
+    await bridge._commandReady;
+    assert.strictEqual(bridge.toolName, 'Aider');
+    assert.deepStrictEqual(bridge.buildArgs({}), ['--no-auto-commits']);
+    assert.deepStrictEqual(bridge.buildArgs({ dangerouslySkipPermissions: true }), ['--no-auto-commits', '--yes-always']);
+    assert.ok(bridge.isAvailable());
+  });
+
+  it('answers the trust prompt once per session', async function () {
+    const bridge = new ManifestBridge(normalizeManifest({
+      ...AIDER, autoAcceptTrust: true, trustPromptRegex: 'trust this repo', trustKeys: 'y\r',
+    }));
+    await bridge._commandReady;
+    const writes = [];
+    const pty = { write: (d) => writes.push(d) };
+    const prompt = '\x1b[1mDo you trust this repo?\x1b[0m\n 1. Yes\n 2. No';
+
+    bridge.processOutput('s1', pty, 'Do you trust this repo?');
+    bridge.processOutput('s1', pty, prompt);
+    bridge.processOutput('s1', pty, prompt);
+    await new Promise((resolve) => setTimeout(resolve, 600));
+    assert.deepStrictEqual(writes, ['y\r'], 'needs the numbered options and fires once');
+  });
+});
+
+describe('per-agent busy regex', function () {
+  it('lets a plugin footer mark the session busy', function () {
+    const input = { session: { active: true, hadOutput: true }, renderedTail: '> Waiting for model' };
+    assert.notStrictEqual(deriveStatus(input).interactionState, 'busy');
+    const withRegex = deriveStatus({ ...input, busyRegex: /Waiting for model/i });
+    assert.strictEqual(withRegex.interactionState, 'busy');
+  });
+});
+
+let ClaudeCodeWebServer;
+try {
+  ({ ClaudeCodeWebServer } = require('../src/server'));
+} catch (e) {
+  // node-pty not installable on this runner — server suites skip.
+}
+
+(ClaudeCodeWebServer ? describe : describe.skip)('server with agent plugins', function () {
+  this.timeout(30000);
+
+  let server, port, storageDir;
+
+  before(async function () {
+    storageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'agents-server-'));
+    writeManifest(storageDir, 'aider.json', AIDER);
+    server = new ClaudeCodeWebServer({ port: 0, noAuth: true, sessionStoreOptions: { storageDir } });
+    const httpServer = await server.start();
+    port = httpServer.address().port;
+  });
+
+  after(async function () {
+    if (server) await server.close();
+    fs.rmSync(storageDir, { recursive: true, force: true });
+  });
+
+  it('lists plugins in /api/config next to the built-ins', async function () {
+    const config = await (await fetch(`http://127.0.0.1:${port}/api/config`)).json();
+    assert.deepStrictEqual(Object.keys(config.tools), ['claude', 'codex', 'copilot', 'gemini', 'terminal', 'aider']);
+    assert.deepStrictEqual(config.tools.aider, {
+      alias: 'Aider',
+      available: true,
+      hasDangerousMode: true,
+      plugin: true,
+      description: 'AI pair programming',
+      icon: { label: 'Ai', color: '#14b8a6' },
+    });
+    assert.strictEqual(config.aliases.aider, 'Aider');
+    assert.ok(server.workspaceProfiles.tools.includes('aider'), 'workspace tabs may use plugins');
+  });
+
+  it('starts plugins from start_<id> and resolves their bridge', async function () {
+    const started = [];
+    server.startToolSession = async (wsId, toolName, bridge) => { started.push([toolName, bridge]); };
+    server.webSocketConnections.set('ws-plugin', { ws: {}, user: null });
+    try {
+      await server.handleMessage('ws-plugin', { type: 'start_aider', options: {} });
+      await server.handleMessage('ws-plugin', { type: 'start_terminal', options: {} });
+      await server.handleMessage('ws-plugin', { type: 'start_nope' });
+    } finally {
+      server.webSocketConnections.delete('ws-plugin');
+      delete server.startToolSession;
+    }
+    assert.deepStrictEqual(started.map(([id]) => id), ['aider', 'terminal']);
+    assert.ok(started[0][1] instanceof ManifestBridge);
+    assert.strictEqual(started[1][1], server.terminalBridge);
+    assert.strictEqual(server.getBridgeForAgent('aider'), started[0][1]);
+    assert.strictEqual(server.getBridgeForAgent('nope'), null);
+  });
+});
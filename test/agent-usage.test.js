@@ -0,0 +1,224 @@
+// test/agent-usage.test.js — cross-agent usage accounting.
+//
+// Covers the codex / gemini / copilot readers in src/agent-usage.js against
+// fixture logs, the shared entry schema and pricing, the by-agent / model /
+// session summary, query parsing, and GET /api/usage.
+
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const AgentUsage = require('../src/agent-usage');
+
+const {
+  CodexUsageReader,
+  CopilotUsageReader,
+  GeminiUsageReader,
+  JsonObjectSplitter,
+  normalizeEntry,
+  parseUsageQuery,
+  summarize,
+} = AgentUsage;
+
+const T0 = Date.parse('2026-10-01T10:00:00Z');
+const iso = (minutes) => new Date(T0 + minutes * 60000).toISOString();
+const ALL = [0, Infinity];
+
+function writeJsonl(file, records) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, records.map((r) => JSON.stringify(r)).join('\n') + '\n');
+}
+
+function codexTokenCount(minutes, input, cached, output) {
+  return {
+    timestamp: iso(minutes),
+    type: 'event_msg',
+    payload: {
+      type: 'token_count',
+      info: { total_token_usage: { input_tokens: input, cached_input_tokens: cached, output_tokens: output, total_tokens: input + output } },
+    },
+  };
+}
+
+describe('agent usage readers', function () {
+  let dir;
+
+  beforeEach(function () { dir = fs.mkdtempSync(path.join(os.tmpdir(), 'agent-usage-')); });
+  afterEach(function () { fs.rmSync(dir, { recursive: true, force: true }); });
+
+  it('reads codex rollouts as per-turn deltas of the running total', async function () {
+    const file = path.join(dir, '2026', '10', '01', 'rollout-2026-10-01T10-00-00-0199a1b2-c3d4-7e5f-8a9b-0c1d2e3f4a5b.jsonl');
+    writeJsonl(file, [
+      { timestamp: iso(0), type: 'session_meta', payload: { id: 'codex-session', cwd: '/work/api' } },
+      { timestamp: iso(0), type: 'turn_context', payload: { model: 'gpt-5-codex', cwd: '/work/api' } },
+      { timestamp: iso(1), type: 'event_msg', payload: { type: 'token_count', info: null } },
+      codexTokenCount(1, 10000, 4000, 500),
+      codexTokenCount(1, 10000, 4000, 500), // repeated total: no new usage
+      codexTokenCount(5, 25000, 12000, 900),
+      'not json',
+    ]);
+    const entries = await new CodexUsageReader({ sessionsPath: dir }).readEntries(...ALL);
+    assert.deepStrictEqual(entries.map((e) => [e.inputTokens, e.cacheReadTokens, e.outputTokens]), [
+      [6000, 4000, 500],
+      [7000, 8000, 400],
+    ]);
+    assert.strictEqual(entries[0].sessionId, 'codex-session');
+    assert.strictEqual(entries[0].model, 'gpt-5-codex');
+    assert.strictEqual(entries[0].workingDir, '/work/api');
+    // gpt-5: $1.25 in, $0.125 cached, $10 out per 1M tokens
+    assert.ok(Math.abs(entries[0].totalCost - (6000 * 1.25 + 4000 * 0.125 + 500 * 10) / 1e6) < 1e-12);
+  });
+
+  it('reads gemini api_response records from a pretty-printed telemetry outfile', async function () {
+    const file = path.join(dir, 'telemetry.log');
+    const record = (minutes, attrs) => JSON.stringify({
+      body: 'API response from gemini-2.5-pro. Status: 200. {"nested": "}"}',
+      attributes: { 'event.name': 'gemini_cli.api_response', 'event.timestamp': iso(minutes), 'session.id': 'g1', ...attrs },
+    }, null, 2);
+    fs.writeFileSync(file, [
+      record(2, { model: 'gemini-2.5-pro', input_token_count: 2000, cached_content_token_count: 500, output_token_count: 300, thoughts_token_count: 200 }),
+      JSON.stringify({ attributes: { 'event.name': 'gemini_cli.user_prompt', 'event.timestamp': iso(2) } }, null, 2),
+      record(3, { model: 'gemini-2.5-flash', input_token_count: 100, output_token_count: 50 }),
+    ].join('\n'));
+    const entries = await new GeminiUsageReader({ telemetryPaths: [file, path.join(dir, 'missing.log')] }).readEntries(...ALL);
+    assert.deepStrictEqual(entries.map((e) => [e.model, e.inputTokens, e.cacheReadTokens, e.outputTokens]), [
+      ['gemini-2.5-pro', 1500, 500, 500],
+      ['gemini-2.5-flash', 100, 0, 50],
+    ]);
+    assert.strictEqual(entries[0].sessionId, 'g1');
+  });
+
+  it('splits concatenated JSON objects across arbitrary chunk boundaries', function () {
+    const text = '{"a":"}{\\"x"}\n{\n  "b": {"c": 1}\n}garbage{"d":2}';
+    for (let size = 1; size <= text.length; size++) {
+      const splitter = new JsonObjectSplitter();
+      const out = [];
+      for (let i = 0; i < text.length; i += size) out.push(...splitter.push(text.slice(i, i + size)));
+      assert.deepStrictEqual(out.map((o) => JSON.parse(o)), [{ a: '}{"x' }, { b: { c: 1 } }, { d: 2 }], `chunk size ${size}`);
+    }
+  });
+
+  it('reads copilot usage events in both camelCase and OpenAI shapes', async function () {
+    writeJsonl(path.join(dir, 'c0ffee.jsonl'), [
+      { type: 'session.start', timestamp: iso(0), data: { sessionId: 'cp-1', cwd: '/work/web', selectedModel: 'claude-sonnet-4.5' } },
+      { type: 'assistant.message', timestamp: iso(1), data: { usage: { prompt_tokens: 1000, completion_tokens: 40, prompt_tokens_details: { cached_tokens: 600 } } } },
+      { type: 'assistant.usage', timestamp: iso(2), data: { model: 'gpt-5', inputTokens: 800, outputTokens: 90, cacheReadTokens: 200, cacheWriteTokens: 10 } },
+      { type: 'user.message', timestamp: iso(3), data: { content: 'hi' } },
+    ]);
+    const entries = await new CopilotUsageReader({ sessionStatePath: dir }).readEntries(...ALL);
+    assert.deepStrictEqual(entries.map((e) => [e.model, e.inputTokens, e.outputTokens, e.cacheReadTokens, e.cacheCreationTokens, e.totalCost]), [
+      ['claude-sonnet-4.5', 400, 40, 600, 0, 0],
+      ['gpt-5', 800, 90, 200, 10, 0],
+    ]);
+    assert.strictEqual(entries[0].sessionId, 'cp-1');
+    assert.strictEqual(entries[0].workingDir, '/work/web');
+  });
+
+  it('skips files older than the window and entries outside it', async function () {
+    const file = path.join(dir, 'rollout-old.jsonl');
+    writeJsonl(file, [codexTokenCount(0, 100, 0, 10), codexTokenCount(60, 200, 0, 20)]);
+    const reader = new CodexUsageReader({ sessionsPath: dir });
+    assert.strictEqual((await reader.readEntries(T0 + 30 * 60000, Infinity)).length, 1);
+    const old = new Date(T0 - 86400000);
+    fs.utimesSync(file, old, old);
+    assert.strictEqual((await reader.readEntries(T0, Infinity)).length, 0);
+  });
+});
+
+describe('usage summary', function () {
+  it('normalizes entries and totals them by agent, model and session', function () {
+    const entries = [
+      normalizeEntry('claude', { timestamp: iso(0), sessionId: 's1', model: 'opus', inputTokens: 10, outputTokens: 5, totalCost: 0.5 }),
+      normalizeEntry('codex', { timestamp: iso(1), sessionId: 'c1', model: 'gpt-5', inputTokens: 1e6, outputTokens: 0 }),
+      normalizeEntry('codex', { timestamp: iso(2), sessionId: 'c1', model: 'o3', inputTokens: 0, outputTokens: 1e6 }),
+      normalizeEntry('copilot', { timestamp: iso(3), sessionId: 'p1', model: 'gpt-5', inputTokens: -3, outputTokens: 'x' }),
+    ];
+    assert.deepStrictEqual([entries[3].inputTokens, entries[3].outputTokens, entries[3].totalCost], [0, 0, 0]);
+
+    const summary = summarize(entries);
+    assert.strictEqual(summary.totals.requests, 4);
+    assert.strictEqual(summary.totals.totalTokens, 15 + 2e6);
+    assert.ok(Math.abs(summary.totals.totalCost - (0.5 + 1.25 + 8)) < 1e-9);
+    assert.deepStrictEqual(Object.keys(summary.byAgent).sort(), ['claude', 'codex', 'copilot']);
+    assert.strictEqual(summary.byAgent.codex.requests, 2);
+    assert.deepStrictEqual(summary.byModel.map((m) => `${m.agent}/${m.model}`), ['codex/o3', 'codex/gpt-5', 'claude/opus', 'copilot/gpt-5']);
+    const codexSession = summary.bySession[0];
+    assert.deepStrictEqual([codexSession.agent, codexSession.sessionId, codexSession.models], ['codex', 'c1', ['gpt-5', 'o3']]);
+    assert.deepStrictEqual([codexSession.firstEntry, codexSession.lastEntry], [iso(1), iso(2)]);
+  });
+
+  it('parses the query range and agent filter', function () {
+    const r = parseUsageQuery({ since: '2026-10-01T00:00:00Z', until: String(T0), agent: 'codex, gemini' });
+    assert.deepStrictEqual(r, { since: Date.parse('2026-10-01T00:00:00Z'), until: T0, agents: ['codex', 'gemini'] });
+    assert.strictEqual(parseUsageQuery({ until: String(T0), hours: '2' }).since, T0 - 2 * 3600000);
+    for (const bad of [{ since: 'yesterday' }, { hours: '0' }, { hours: '99999' }, { agent: 'aider' }, { since: String(T0), until: String(T0 - 1) }]) {
+      assert.throws(() => parseUsageQuery(bad), { code: 'INVALID_ARGUMENT' });
+    }
+  });
+
+  it('keeps going when one reader fails', async function () {
+    const usage = new AgentUsage({
+      readers: {
+        codex: { readEntries: async () => [normalizeEntry('codex', { timestamp: iso(0), model: 'gpt-5', inputTokens: 1 })] },
+        gemini: { readEntries: async () => { throw new Error('boom'); } },
+      },
+    });
+    const warn = console.warn;
+    console.warn = () => {};
+    try {
+      const out = await usage.getUsage({ since: 0, until: T0 + 1 });
+      assert.deepStrictEqual(out.agents, ['codex', 'gemini']);
+      assert.strictEqual(out.totals.requests, 1);
+    } finally {
+      console.warn = warn;
+    }
+  });
+});
+
+let ClaudeCodeWebServer;
+try {
+  ({ ClaudeCodeWebServer } = require('../src/server'));
+} catch (e) {
+  // node-pty not installable on this runner — server suites skip.
+}
+
+(ClaudeCodeWebServer ? describe : describe.skip)('GET /api/usage', function () {
+  this.timeout(30000);
+  let server, port, storageDir;
+
+  before(async function () {
+    storageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'agent-usage-server-'));
+    server = new ClaudeCodeWebServer({ port: 0, noAuth: true, sessionStoreOptions: { storageDir } });
+    const httpServer = await server.start();
+    port = httpServer.address().port;
+    server.agentUsage = new AgentUsage({
+      readers: {
+        claude: { readEntries: async () => [normalizeEntry('claude', { timestamp: iso(0), sessionId: 's1', model: 'sonnet', inputTokens: 100, outputTokens: 10, totalCost: 0.01 })] },
+        codex: { readEntries: async (since) => (since <= T0 ? [normalizeEntry('codex', { timestamp: iso(1), sessionId: 'c1', model: 'gpt-5', inputTokens: 50 })] : []) },
+      },
+    });
+  });
+
+  after(async function () {
+    if (server) await server.close();
+    fs.rmSync(storageDir, { recursive: true, force: true });
+  });
+
+  it('returns totals by agent, model and session for the range', async function () {
+    const res = await fetch(`http://127.0.0.1:${port}/api/usage?since=${T0 - 1}&until=${T0 + 3600000}&agent=claude,codex`);
+    assert.strictEqual(res.status, 200);
+    const body = await res.json();
+    assert.strictEqual(body.since, new Date(T0 - 1).toISOString());
+    assert.strictEqual(body.totals.requests, 2);
+    assert.deepStrictEqual(Object.keys(body.byAgent).sort(), ['claude', 'codex']);
+    assert.deepStrictEqual(body.bySession.map((s) => s.sessionId).sort(), ['c1', 's1']);
+  });
+
+  it('rejects a bad range', async function () {
+    const res = await fetch(`http://127.0.0.1:${port}/api/usage?hours=-1`);
+    assert.strictEqual(res.status, 400);
+    assert.strictEqual((await res.json()).code, 'INVALID_ARGUMENT');
+  });
+});
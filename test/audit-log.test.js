@@ -0,0 +1,204 @@
+// test/audit-log.test.js — append-only audit trail (src/utils/audit-log.js).
+//
+// Covers entry shape, input coalescing, rotation through utils/log-rotator,
+// filtered reads across rotated files, transport classification and the
+// server's instrumented routes + GET /api/audit.
+
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const AuditLog = require('../src/utils/audit-log');
+
+const { classifyTransport, actorFor } = AuditLog;
+
+function readEntries(file) {
+  return fs.readFileSync(file, 'utf8').trim().split('\n').map((l) => JSON.parse(l));
+}
+
+describe('AuditLog', function () {
+  let storageDir;
+
+  beforeEach(function () {
+    storageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'audit-'));
+  });
+
+  afterEach(function () {
+    fs.rmSync(storageDir, { recursive: true, force: true });
+  });
+
+  it('appends entries attributed to the acting user', async function () {
+    const log = new AuditLog({ storageDir, now: () => Date.UTC(2026, 0, 1) });
+    await log.record(actorFor({ name: 'alice', role: 'operator' }, 'tunnel'), 'session.create', { sessionId: 's1' });
+    await log.record(null, 'session.stop', { sessionId: 's1' });
+    assert.deepStrictEqual(readEntries(log.file), [
+      { ts: '2026-01-01T00:00:00.000Z', user: 'alice', role: 'operator', transport: 'tunnel', action: 'session.create', sessionId: 's1' },
+      { ts: '2026-01-01T00:00:00.000Z', user: null, role: null, transport: null, action: 'session.stop', sessionId: 's1' },
+    ]);
+  });
+
+  it('coalesces keystrokes into one entry per user, session and transport, without content', async function () {
+    const log = new AuditLog({ storageDir, inputQuietMs: 60000 });
+    const alice = { name: 'alice', role: 'operator' };
+    log.input(alice, 's1', 'l', 'websocket');
+    log.input(alice, 's1', 's', 'websocket');
+    log.input(alice, 's1', '\r', 'websocket');
+    log.input(alice, 's2', 'hé', 'websocket');
+    log.input(alice, 's1', 'run tests', 'control.message');
+    await log.close();
+    const entries = readEntries(log.file);
+    assert.deepStrictEqual(entries.map((e) => [e.action, e.sessionId, e.via, e.bytes, e.messages]), [
+      ['input', 's1', 'websocket', 3, 3],
+      ['input', 's2', 'websocket', 3, 1],
+      ['input', 's1', 'control.message', 9, 1],
+    ]);
+    assert.ok(!fs.readFileSync(log.file, 'utf8').includes('run tests'), 'input content is never logged');
+  });
+
+  it('flushes a burst after the quiet window', async function () {
+    const log = new AuditLog({ storageDir, inputQuietMs: 20 });
+    log.input(null, 's1', 'x', 'websocket');
+    await new Promise((r) => setTimeout(r, 60));
+    await log._queue;
+    assert.strictEqual(readEntries(log.file).length, 1);
+  });
+
+  it('drops entries while the disk-full breaker is open', async function () {
+    const log = new AuditLog({ storageDir, isDiskFull: () => true });
+    await log.record(null, 'session.create', {});
+    assert.strictEqual(fs.existsSync(log.file), false);
+  });
+
+  it('rotates past maxBytes into gzipped files and reads across them', async function () {
+    let t = 0;
+    const log = new AuditLog({ storageDir, maxBytes: 400, now: () => t });
+    for (let i = 0; i < 12; i++) {
+      t = Date.UTC(2026, 0, 1, 0, 0, i);
+      await log.record(actorFor({ name: i % 2 ? 'bob' : 'alice', role: 'operator' }, 'localhost'), 'file.write', { path: `/f${i}` });
+    }
+    const rotated = fs.readdirSync(log.dir).filter((n) => n.endsWith('.jsonl.gz'));
+    assert.ok(rotated.length >= 2, `expected rotated files, got ${rotated}`);
+    assert.ok(!fs.existsSync(log.file) || fs.statSync(log.file).size < 400);
+
+    const all = await log.query({});
+    assert.deepStrictEqual(all.entries.map((e) => e.path), Array.from({ length: 12 }, (_, i) => `/f${11 - i}`));
+    assert.strictEqual(all.hasMore, false);
+
+    const page = await log.query({ user: 'bob', limit: 2 });
+    assert.deepStrictEqual(page.entries.map((e) => e.path), ['/f11', '/f9']);
+    assert.strictEqual(page.hasMore, true);
+
+    const since = await log.query({ since: new Date(Date.UTC(2026, 0, 1, 0, 0, 9)).toISOString() });
+    assert.deepStrictEqual(since.entries.map((e) => e.path), ['/f11', '/f10', '/f9']);
+  });
+
+  it('filters by action family, session and transport', async function () {
+    const log = new AuditLog({ storageDir });
+    const alice = actorFor({ name: 'alice', role: 'operator' }, 'mesh');
+    await log.record(alice, 'session.create', { sessionId: 's1' });
+    await log.record(alice, 'session.stop', { sessionId: 's1' });
+    await log.record(actorFor(null, 'localhost'), 'file.write', { path: '/a' });
+    await log.record(alice, 'control.message', { sessionId: 's2', bytes: 4 });
+    const actions = async (f) => (await log.query(f)).entries.map((e) => e.action);
+    assert.deepStrictEqual(await actions({ action: 'session' }), ['session.stop', 'session.create']);
+    assert.deepStrictEqual(await actions({ action: 'file.write,control' }), ['control.message', 'file.write']);
+    assert.deepStrictEqual(await actions({ sessionId: 's2' }), ['control.message']);
+    assert.deepStrictEqual(await actions({ transport: 'localhost' }), ['file.write']);
+  });
+});
+
+describe('classifyTransport', function () {
+  const req = (remoteAddress, headers = {}) => ({ socket: { remoteAddress }, headers });
+
+  it('tells localhost, LAN, tunnel, mesh and other proxies apart', function () {
+    const both = { mesh: true, tunnel: true };
+    assert.strictEqual(classifyTransport(req('127.0.0.1', { host: 'localhost:7777' }), both), 'localhost');
+    assert.strictEqual(classifyTransport(req('::ffff:192.168.1.20', { host: '192.168.1.5:7777' }), both), 'lan');
+    assert.strictEqual(classifyTransport(req('127.0.0.1', {
+      host: 'localhost:7777', 'x-forwarded-host': 'abc-7777.usw2.devtunnels.ms', 'x-forwarded-for': '1.2.3.4',
+    }), both), 'tunnel');
+    assert.strictEqual(classifyTransport(req('127.0.0.1', { host: 'box.tail1234.ts.net' }), both), 'mesh');
+    assert.strictEqual(classifyTransport(req('127.0.0.1', { host: 'custom.example', 'tailscale-user-login': 'a@b' }), both), 'mesh');
+    assert.strictEqual(classifyTransport(req('127.0.0.1', { host: 'my.tunnel' }), { tunnel: true, tunnelHost: 'my.tunnel' }), 'tunnel');
+    assert.strictEqual(classifyTransport(req('::1', { host: 'example.com', 'x-forwarded-for': '1.2.3.4' }), both), 'proxy');
+  });
+
+  it('ignores proxy headers from other machines and for proxies that are not configured', function () {
+    const spoofed = { host: 'box.tail1234.ts.net', 'tailscale-user-login': 'a@b', 'x-forwarded-host': 'abc.devtunnels.ms' };
+    assert.strictEqual(classifyTransport(req('192.168.1.20', spoofed), { mesh: true, tunnel: true }), 'lan');
+    assert.strictEqual(classifyTransport(req('127.0.0.1', spoofed)), 'localhost');
+    assert.strictEqual(classifyTransport(req('127.0.0.1', { host: 'abc.devtunnels.ms' }), { mesh: true }), 'localhost');
+    assert.strictEqual(classifyTransport(req('127.0.0.1', { 'tailscale-user-login': 'a@b' }), { tunnel: true }), 'localhost');
+  });
+});
+
+let ClaudeCodeWebServer;
+try {
+  ({ ClaudeCodeWebServer } = require('../src/server'));
+} catch (e) {
+  // node-pty not installable on this runner — server suites skip.
+}
+
+function request(port, method, urlPath, body) {
+  return new Promise((resolve, reject) => {
+    const payload = body === undefined ? null : JSON.stringify(body);
+    const headers = payload ? { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(payload) } : {};
+    const req = http.request({ hostname: '127.0.0.1', port, path: urlPath, method, headers }, (res) => {
+      const chunks = [];
+      res.on('data', (c) => chunks.push(c));
+      res.on('end', () => resolve({ status: res.statusCode, body: JSON.parse(Buffer.concat(chunks).toString('utf8')) }));
+    });
+    req.on('error', reject);
+    if (payload) req.write(payload);
+    req.end();
+  });
+}
+
+(ClaudeCodeWebServer ? describe : describe.skip)('GET /api/audit', function () {
+  this.timeout(30000);
+
+  let server, port, storageDir, workDir;
+
+  before(async function () {
+    storageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'audit-api-'));
+    server = new ClaudeCodeWebServer({ port: 0, noAuth: true, sessionStoreOptions: { storageDir } });
+    // Writes must land inside the server's base folder.
+    workDir = fs.mkdtempSync(path.join(server.baseFolder, '.audit-test-'));
+    const httpServer = await server.start();
+    port = httpServer.address().port;
+  });
+
+  after(async function () {
+    if (server) await server.close();
+    fs.rmSync(storageDir, { recursive: true, force: true });
+    fs.rmSync(workDir, { recursive: true, force: true });
+  });
+
+  it('records session creates, file writes and folder creates with the transport', async function () {
+    const created = await request(port, 'POST', '/api/sessions/create', { name: 'audited' });
+    const file = path.join(workDir, 'a.txt');
+    assert.strictEqual((await request(port, 'PUT', '/api/files/content', { path: file, content: 'secret text' })).status, 200);
+    assert.strictEqual((await request(port, 'POST', '/api/create-folder', { parentPath: workDir, folderName: 'sub' })).status, 200);
+
+    const r = await request(port, 'GET', '/api/audit');
+    assert.strictEqual(r.status, 200);
+    assert.deepStrictEqual(r.body.entries.map((e) => e.action), ['folder.create', 'file.write', 'session.create']);
+    const [folder, write, create] = r.body.entries;
+    assert.strictEqual(create.sessionId, created.body.sessionId);
+    assert.strictEqual(create.via, 'http');
+    assert.strictEqual(write.path, file);
+    assert.strictEqual(write.bytes, 11);
+    assert.strictEqual(folder.path, path.join(workDir, 'sub'));
+    for (const e of r.body.entries) {
+      assert.strictEqual(e.user, null);
+      assert.strictEqual(e.transport, 'localhost');
+    }
+    assert.ok(!fs.readFileSync(server.auditLog.file, 'utf8').includes('secret text'), 'file content is never logged');
+
+    const filtered = await request(port, 'GET', '/api/audit?action=file&limit=5');
+    assert.deepStrictEqual(filtered.body.entries.map((e) => e.action), ['file.write']);
+  });
+});
@@ -0,0 +1,40 @@
+'use strict';
+
+// Pure-logic tests for the audit log viewer (src/public/audit-viewer.js):
+// query building and the one-line entry summaries. The modal itself is thin
+// DOM glue and is exercised manually.
+
+const assert = require('assert');
+const AuditViewer = require('../src/public/audit-viewer');
+
+const { buildQuery, describeEntry } = AuditViewer;
+
+describe('AuditViewer helpers', function () {
+  it('builds a query string from the non-empty filters', function () {
+    assert.strictEqual(buildQuery({ user: ' alice ', action: '', transport: 'tunnel' }, 200), 'user=alice&transport=tunnel&limit=200');
+    assert.strictEqual(buildQuery({}, 50), 'limit=50');
+  });
+
+  it('summarises entries without dumping every field', function () {
+    assert.strictEqual(
+      describeEntry({ action: 'file.write', path: '/repo/a.js', bytes: 12 }),
+      '/repo/a.js · 12 B'
+    );
+    assert.strictEqual(
+      describeEntry({ action: 'input', sessionId: '0123456789abcdef', via: 'websocket', messages: 1, bytes: 3 }),
+      'via websocket · 1 message · 3 B · session 01234567'
+    );
+    assert.strictEqual(
+      describeEntry({ action: 'session.create', name: 'api', agent: 'claude', via: 'control', sessionId: 'abc' }),
+      '"api" · claude · via control · session abc'
+    );
+    assert.strictEqual(
+      describeEntry({ action: 'policy.decision', decision: 'approve', rule: 'git status', dryRun: true, sessionId: 'abc' }),
+      'would approve (git status) · session abc'
+    );
+    assert.strictEqual(
+      describeEntry({ action: 'budget.interrupt', budget: 'daily', sessionId: 'abc' }),
+      'budget "daily" · session abc'
+    );
+  });
+});
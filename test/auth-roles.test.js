@@ -0,0 +1,271 @@
+// test/auth-roles.test.js — named users with per-user tokens and roles.
+//
+// Covers AuthManager user loading and lookup, the role helpers, and the three
+// enforcement points: the HTTP auth middleware (viewers are read-only), the
+// /api/control router and the WebSocket message handler.
+
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const express = require('express');
+const AuthManager = require('../src/utils/auth');
+const { createControlRouter } = require('../src/control/routes');
+
+const { canSendWsMessage, canUseHttpMethod } = AuthManager;
+
+const ALICE = 'alice-operator-token-0001';
+const BOB = 'bob-viewer-token-000000001';
+const SHARED = 'shared-token';
+
+describe('AuthManager users', function () {
+  let auth;
+
+  beforeEach(function () { auth = new AuthManager(); });
+  afterEach(function () { auth.destroy(); });
+
+  it('resolves user tokens and the shared token to identities', function () {
+    auth.addToken(SHARED);
+    auth.addUser('alice', ALICE, 'operator');
+    auth.addUser('bob', BOB, 'viewer');
+    assert.deepStrictEqual(auth.authenticate(ALICE), { name: 'alice', role: 'operator' });
+    assert.deepStrictEqual(auth.authenticate(BOB), { name: 'bob', role: 'viewer' });
+    assert.deepStrictEqual(auth.authenticate(SHARED), { name: 'owner', role: 'operator' });
+    assert.strictEqual(auth.authenticate('nope-nope-nope-nope'), null);
+    assert.strictEqual(auth.authenticate(undefined), null);
+    assert.strictEqual(auth.validateToken(BOB), true);
+  });
+
+  it('rejects weak tokens, unknown roles, duplicates and the reserved owner name', function () {
+    assert.throws(() => auth.addUser('a', 'short', 'viewer'), /at least 16/);
+    assert.throws(() => auth.addUser('a', ALICE, 'admin'), /unknown role/);
+    assert.throws(() => auth.addUser('owner', ALICE, 'viewer'), /reserved/);
+    assert.throws(() => auth.addUser('../x', ALICE, 'viewer'), /Invalid user name/);
+    auth.addUser('alice', ALICE, 'operator');
+    assert.throws(() => auth.addUser('alice', BOB, 'viewer'), /Duplicate/);
+    assert.throws(() => auth.addUser('carol', ALICE, 'viewer'), /reuses/);
+  });
+
+  it('loads users.json, skipping bad entries and tolerating a missing file', function () {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'users-'));
+    try {
+      assert.deepStrictEqual(auth.loadUsersFile(path.join(dir, 'missing.json')), { loaded: 0, errors: [] });
+      const file = path.join(dir, 'users.json');
+      fs.writeFileSync(file, JSON.stringify({ users: [
+        { name: 'alice', token: ALICE, role: 'operator' },
+        { name: 'bad', token: 'x', role: 'viewer' },
+      ] }));
+      const r = auth.loadUsersFile(file);
+      assert.strictEqual(r.loaded, 1);
+      assert.strictEqual(r.errors.length, 1);
+      assert.match(r.errors[0], /users\[1\]/);
+      assert.ok(auth.hasUsers());
+      fs.writeFileSync(file, '{ nope');
+      assert.match(new AuthManager().loadUsersFile(file).errors[0], /not valid JSON/);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('role helpers: viewers read and watch, operators do everything', function () {
+    const viewer = { name: 'bob', role: 'viewer' };
+    const operator = { name: 'alice', role: 'operator' };
+    assert.strictEqual(canUseHttpMethod(viewer, 'GET'), true);
+    assert.strictEqual(canUseHttpMethod(viewer, 'post'), false);
+    assert.strictEqual(canUseHttpMethod(operator, 'DELETE'), true);
+    assert.strictEqual(canUseHttpMethod(null, 'PUT'), true, 'auth disabled');
+    // Template env values and job transcripts are operator-only reads.
+    assert.strictEqual(canUseHttpMethod(viewer, 'GET', '/api/templates'), false);
+    assert.strictEqual(canUseHttpMethod(viewer, 'GET', '/api/jobs/j1/runs/r1/transcript'), false);
+    assert.strictEqual(canUseHttpMethod(viewer, 'GET', '/api/jobs'), true);
+    assert.strictEqual(canUseHttpMethod(operator, 'GET', '/api/templates'), true);
+    for (const type of ['join_session', 'leave_session', 'ping']) assert.strictEqual(canSendWsMessage(viewer, type), true, type);
+    // set_sticky_active leases the tab's note, which starts the summariser.
+    for (const type of ['input', 'resize', 'start_claude', 'stop', 'restart_server', 'set_sticky_active', 'some_future_type']) {
+      assert.strictEqual(canSendWsMessage(viewer, type), false, type);
+    }
+    assert.strictEqual(canSendWsMessage(operator, 'input'), true);
+  });
+});
+
+function listen(app) {
+  return new Promise((resolve) => {
+    const server = app.listen(0, '127.0.0.1', () => resolve({ server, port: server.address().port }));
+  });
+}
+
+function request(port, method, urlPath, token, body) {
+  return new Promise((resolve, reject) => {
+    const payload = body === undefined ? null : JSON.stringify(body);
+    const headers = {};
+    if (token) headers.Authorization = `Bearer ${token}`;
+    if (payload) {
+      headers['Content-Type'] = 'application/json';
+      headers['Content-Length'] = Buffer.byteLength(payload);
+    }
+    const req = http.request({ hostname: '127.0.0.1', port, path: urlPath, method, headers }, (res) => {
+      const chunks = [];
+      res.on('data', (c) => chunks.push(c));
+      res.on('end', () => {
+        const raw = Buffer.concat(chunks).toString('utf8');
+        let parsed = raw;
+        try { parsed = JSON.parse(raw); } catch (_) { /* not json */ }
+        resolve({ status: res.statusCode, body: parsed });
+      });
+    });
+    req.on('error', reject);
+    if (payload) req.write(payload);
+    req.end();
+  });
+}
+
+describe('/api/control role gate', function () {
+  it('lets a viewer read but answers writes with FORBIDDEN', async function () {
+    const sent = [];
+    const sessions = new Map([['s1', { id: 's1', name: 's1', active: true, agent: 'terminal' }]]);
+    const app = express();
+    app.use(express.json());
+    app.use((req, res, next) => {
+      req.user = { name: req.headers['x-user'], role: req.headers['x-role'] };
+      req.actor = { ...req.user, transport: 'localhost' };
+      next();
+    });
+    app.use('/api/control', createControlRouter({
+      sessions,
+      getStatusSignal: () => ({}),
+      sendMessage: async (opts) => { sent.push(opts); return { delivered: true }; },
+    }));
+    const { server, port } = await listen(app);
+    const as = (name, role) => (method, p, body) => new Promise((resolve, reject) => {
+      const payload = body ? JSON.stringify(body) : null;
+      const req = http.request({
+        hostname: '127.0.0.1', port, path: p, method,
+        headers: { 'x-user': name, 'x-role': role, ...(payload ? { 'Content-Type': 'application/json' } : {}) },
+      }, (res) => {
+        const chunks = [];
+        res.on('data', (c) => chunks.push(c));
+        res.on('end', () => resolve({ status: res.statusCode, body: JSON.parse(Buffer.concat(chunks).toString('utf8')) }));
+      });
+      req.on('error', reject);
+      if (payload) req.write(payload);
+      req.end();
+    });
+    try {
+      const viewer = as('bob', 'viewer');
+      assert.strictEqual((await viewer('GET', '/api/control/sessions')).status, 200);
+      const denied = await viewer('POST', '/api/control/sessions/s1/message', { message: 'hi' });
+      assert.strictEqual(denied.status, 403);
+      assert.strictEqual(denied.body.error.code, 'FORBIDDEN');
+      assert.strictEqual(sent.length, 0);
+
+      const ok = await as('alice', 'operator')('POST', '/api/control/sessions/s1/message', { message: 'hi' });
+      assert.strictEqual(ok.status, 200);
+      assert.deepStrictEqual(sent[0].actor, { name: 'alice', role: 'operator', transport: 'localhost' });
+    } finally {
+      server.close();
+    }
+  });
+});
+
+let ClaudeCodeWebServer;
+try {
+  ({ ClaudeCodeWebServer } = require('../src/server'));
+} catch (e) {
+  // node-pty not installable on this runner — server suites skip.
+}
+
+(ClaudeCodeWebServer ? describe : describe.skip)('multi-user server', function () {
+  this.timeout(30000);
+
+  let server, port, storageDir;
+
+  before(async function () {
+    storageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'auth-roles-'));
+    fs.writeFileSync(path.join(storageDir, 'users.json'), JSON.stringify({ users: [
+      { name: 'alice', token: ALICE, role: 'operator' },
+      { name: 'bob', token: BOB, role: 'viewer' },
+    ] }));
+    server = new ClaudeCodeWebServer({ port: 0, auth: SHARED, sessionStoreOptions: { storageDir } });
+    const httpServer = await server.start();
+    port = httpServer.address().port;
+  });
+
+  after(async function () {
+    if (server) await server.close();
+    fs.rmSync(storageDir, { recursive: true, force: true });
+  });
+
+  it('authenticates every user and reports who they are', async function () {
+    assert.strictEqual((await request(port, 'GET', '/api/config', 'wrong-token-wrong-token')).status, 401);
+    assert.deepStrictEqual((await request(port, 'GET', '/api/config', BOB)).body.user, { name: 'bob', role: 'viewer' });
+    assert.deepStrictEqual((await request(port, 'GET', '/api/config', SHARED)).body.user, { name: 'owner', role: 'operator' });
+    const verify = await request(port, 'POST', '/auth-verify', null, { token: ALICE });
+    assert.deepStrictEqual(verify.body, { valid: true, user: { name: 'alice', role: 'operator' } });
+  });
+
+  it('keeps viewers read-only over HTTP', async function () {
+    assert.strictEqual((await request(port, 'GET', '/api/sessions/list', BOB)).status, 200);
+    const denied = await request(port, 'POST', '/api/sessions/create', BOB, { name: 'x' });
+    assert.strictEqual(denied.status, 403);
+    const ok = await request(port, 'POST', '/api/sessions/create', ALICE, { name: 'x' });
+    assert.strictEqual(ok.status, 200);
+  });
+
+  it('keeps template env values and job transcripts from viewers', async function () {
+    const denied = await request(port, 'GET', '/api/templates', BOB);
+    assert.strictEqual(denied.status, 403);
+    assert.match(denied.body.message, /cannot read/);
+    assert.strictEqual((await request(port, 'GET', '/api/jobs/j1/runs/r1/transcript', BOB)).status, 403);
+    assert.strictEqual((await request(port, 'GET', '/api/templates', ALICE)).status, 200);
+  });
+
+  it('serves viewers recordings without their input events', async function () {
+    const dir = path.join(storageDir, 'recordings');
+    fs.mkdirSync(dir, { recursive: true });
+    const id = 'roles-rec-1700000000000';
+    fs.writeFileSync(path.join(dir, id + '.cast'), [
+      JSON.stringify({ version: 2, width: 80, height: 24 }),
+      JSON.stringify([0.1, 'o', 'Password: ']),
+      JSON.stringify([0.5, 'i', 'hunter2\r']),
+      JSON.stringify([0.6, 'r', '100x30']),
+      JSON.stringify([0.7, 'o', 'ok\r\n']),
+    ].join('\n') + '\n');
+
+    const asViewer = await request(port, 'GET', `/api/recordings/${id}`, BOB);
+    assert.strictEqual(asViewer.status, 200);
+    assert.ok(!asViewer.body.includes('hunter2'));
+    const codes = asViewer.body.trim().split('\n').slice(1).map((line) => JSON.parse(line)[1]);
+    assert.deepStrictEqual(codes, ['o', 'r', 'o']);
+
+    const asOperator = await request(port, 'GET', `/api/recordings/${id}`, ALICE);
+    assert.ok(asOperator.body.includes('hunter2'));
+  });
+
+  it('drops viewer input on the WebSocket and tells the client once', async function () {
+    const frames = [];
+    const sessionId = 'roles-ws';
+    let sentInput = 0;
+    server.claudeSessions.set(sessionId, { id: sessionId, active: true, agent: 'terminal', connections: new Set(['ws1']) });
+    const origBridge = server.getBridgeForAgent;
+    server.getBridgeForAgent = () => ({ sendInput: async () => { sentInput++; } });
+    server.sendToWebSocket = (ws, msg) => frames.push(msg);
+    server.webSocketConnections.set('ws1', { id: 'ws1', ws: {}, claudeSessionId: sessionId, user: { name: 'bob', role: 'viewer' } });
+    try {
+      await server.handleMessage('ws1', { type: 'input', data: 'ls\r' });
+      await server.handleMessage('ws1', { type: 'input', data: 'ls\r' });
+      assert.strictEqual(sentInput, 0);
+      assert.deepStrictEqual(frames.map((f) => f.code), ['forbidden']);
+
+      server.webSocketConnections.get('ws1').user = { name: 'alice', role: 'operator' };
+      await server.handleMessage('ws1', { type: 'input', data: 'ls\r' });
+      assert.strictEqual(sentInput, 1);
+    } finally {
+      server.getBridgeForAgent = origBridge;
+      server.webSocketConnections.delete('ws1');
+      server.claudeSessions.delete(sessionId);
+    }
+  });
+});
@@ -0,0 +1,101 @@
+'use strict';
+
+// Broadcast input: the tab set in SessionTabManager and the server copying a
+// WebSocket `input` frame to the other sessions it names.
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { SessionTabManager } = require('../src/public/session-manager');
+
+function buildManager(ids, activeTabId) {
+  const mgr = Object.create(SessionTabManager.prototype);
+  mgr.tabs = new Map(ids.map((id) => [id, {}]));
+  mgr.activeTabId = activeTabId;
+  mgr.broadcastIds = new Set();
+  mgr.renders = 0;
+  mgr._renderBroadcast = () => { mgr.renders++; };
+  return mgr;
+}
+
+describe('SessionTabManager broadcast set', function () {
+  it('adds the active tab with the first one and targets the others', function () {
+    const mgr = buildManager(['a', 'b', 'c'], 'a');
+    mgr.toggleBroadcast('b');
+    assert.deepStrictEqual([...mgr.broadcastIds], ['a', 'b']);
+    assert.deepStrictEqual(mgr.broadcastTargetsFor('a'), ['b']);
+    assert.deepStrictEqual(mgr.broadcastTargetsFor('b'), ['a']);
+    assert.strictEqual(mgr.broadcastTargetsFor('c'), null, 'a tab outside the set types only into itself');
+  });
+
+  it('ends the broadcast when fewer than two tabs are left', function () {
+    const mgr = buildManager(['a', 'b', 'c'], 'a');
+    mgr.setBroadcast(['a', 'b', 'c', 'gone']);
+    assert.deepStrictEqual([...mgr.broadcastIds], ['a', 'b', 'c']);
+    mgr.toggleBroadcast('c', false);
+    assert.deepStrictEqual(mgr.broadcastTargetsFor('a'), ['b']);
+    mgr.toggleBroadcast('b', false);
+    assert.strictEqual(mgr.broadcastIds.size, 0);
+    assert.strictEqual(mgr.broadcastTargetsFor('a'), null);
+  });
+
+  it('drops sessions the server could not deliver to', function () {
+    const mgr = buildManager(['a', 'b', 'c'], 'a');
+    mgr.setBroadcast(['a', 'b', 'c']);
+    const renders = mgr.renders;
+    mgr.dropBroadcastTargets(['x']);
+    assert.strictEqual(mgr.renders, renders, 'nothing to drop, nothing to redraw');
+    mgr.dropBroadcastTargets(['c']);
+    assert.deepStrictEqual([...mgr.broadcastIds], ['a', 'b']);
+  });
+});
+
+let ClaudeCodeWebServer;
+try {
+  ({ ClaudeCodeWebServer } = require('../src/server'));
+} catch (e) {
+  // node-pty not installable on this runner — server suites skip.
+}
+
+(ClaudeCodeWebServer ? describe : describe.skip)('WebSocket input broadcast', function () {
+  this.timeout(30000);
+  let server, storageDir;
+
+  before(async function () {
+    storageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'broadcast-'));
+    server = new ClaudeCodeWebServer({ port: 0, noAuth: true, sessionStoreOptions: { storageDir } });
+    await server.start();
+  });
+
+  after(async function () {
+    if (server) await server.close();
+    fs.rmSync(storageDir, { recursive: true, force: true });
+  });
+
+  it('copies the input to each named session and reports the ones that cannot take it', async function () {
+    const sent = [];
+    const frames = [];
+    const ids = ['bc-1', 'bc-2', 'bc-3', 'bc-idle'];
+    for (const id of ids) {
+      server.claudeSessions.set(id, { id, active: id !== 'bc-idle', agent: 'terminal', connections: new Set(id === 'bc-1' ? ['ws-bc'] : []) });
+    }
+    const origBridge = server.getBridgeForAgent;
+    server.getBridgeForAgent = () => ({ sendInput: async (id, data) => { sent.push([id, data]); } });
+    const origSend = server.sendToWebSocket;
+    server.sendToWebSocket = (ws, msg) => frames.push(msg);
+    server.webSocketConnections.set('ws-bc', { id: 'ws-bc', ws: {}, claudeSessionId: 'bc-1', user: null, actor: null });
+    try {
+      await server.handleMessage('ws-bc', { type: 'input', data: 'make migrate\r', broadcast: ['bc-2', 'bc-3', 'bc-1', 'bc-2', 'bc-idle', 'bc-gone'] });
+      assert.deepStrictEqual(sent.map(([id]) => id).sort(), ['bc-1', 'bc-2', 'bc-3']);
+      assert.ok(sent.every(([, data]) => data === 'make migrate\r'));
+      assert.deepStrictEqual(frames.map((f) => f.type), ['broadcast_skipped']);
+      assert.deepStrictEqual(frames[0].sessionIds.sort(), ['bc-gone', 'bc-idle']);
+    } finally {
+      server.getBridgeForAgent = origBridge;
+      server.sendToWebSocket = origSend;
+      server.webSocketConnections.delete('ws-bc');
+      for (const id of ids) server.claudeSessions.delete(id);
+    }
+  });
+});
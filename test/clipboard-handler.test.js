@@ -1,5 +1,5 @@
 const assert = require('assert');
-const { normalizeLineEndings, wrapBracketedPaste } = require('../src/public/clipboard-handler');
+const { normalizeLineEndings, wrapBracketedPaste, encodePaste } = require('../src/public/clipboard-handler');
 
 describe('clipboard-handler pure functions', function () {
 
@@ -43,4 +43,19 @@ describe('clipboard-handler pure functions', function () {
       assert.strictEqual(wrapBracketedPaste(text), '\x1b[200~\x1b[31mred\x1b[0m\x1b[201~');
     });
   });
+
+  describe('encodePaste', function () {
+    it('should send multi-line text as one bracketed paste', function () {
+      assert.strictEqual(encodePaste('a\nb', true), '\x1b[200~a\rb\x1b[201~');
+    });
+
+    it('should collapse newlines to spaces without bracketed paste', function () {
+      assert.strictEqual(encodePaste('a\r\nb\n\nc', false), 'a b c');
+    });
+
+    it('should press Enter after the text when submitting', function () {
+      assert.strictEqual(encodePaste('a\nb', true, true), '\x1b[200~a\rb\x1b[201~\r');
+      assert.strictEqual(encodePaste('a\nb', false, true), 'a\rb\r');
+    });
+  });
 });
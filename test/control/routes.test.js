@@ -334,6 +334,49 @@ describe('control/routes /api/control', function () {
     }
   });
 
+  it('POST /sessions/broadcast sends one message to every listed session', async function () {
+    const received = [];
+    const deps = fakeDeps({
+      sendMessage: async (opts) => {
+        received.push(opts);
+        if (opts.sessionId === 's2') return { error: { code: 'PRECONDITION_FAILED', message: 'not running' } };
+        return { messageId: `m-${opts.sessionId}`, delivered: true, duplicated: false };
+      },
+    });
+    const { server, port } = await listen(buildServer(deps));
+    try {
+      const res = await postJson(port, '/api/control/sessions/broadcast', {
+        sessionIds: ['s1', 's2', 'nope', 's1'],
+        message: 'run the migration',
+        idempotencyKey: 'mig-1',
+      });
+      assert.equal(res.status, 200);
+      assert.equal(res.body.delivered, 1);
+      assert.deepEqual(res.body.results.map((r) => r.sessionId), ['s1', 's2', 'nope']);
+      assert.equal(res.body.results[0].messageId, 'm-s1');
+      assert.equal(res.body.results[1].error.code, 'PRECONDITION_FAILED');
+      assert.equal(res.body.results[2].error.code, 'SESSION_NOT_FOUND');
+      assert.deepEqual(received.map((r) => [r.sessionId, r.message]), [['s1', 'run the migration'], ['s2', 'run the migration']]);
+
+      const again = await postJson(port, '/api/control/sessions/broadcast', {
+        sessionIds: ['s1'], message: 'run the migration', idempotencyKey: 'mig-1',
+      });
+      assert.equal(again.body.results[0].duplicated, true);
+      assert.equal(received.length, 2, 'a retried key is not sent twice');
+
+      const keys = await postJson(port, '/api/control/sessions/broadcast', { sessionIds: ['s1', 's2'], keys: 'Escape' });
+      assert.deepEqual(keys.body.results.map((r) => r.received.keys), ['Escape', 'Escape']);
+
+      for (const bad of [{ message: 'x' }, { sessionIds: [], message: 'x' }, { sessionIds: ['s1'] }, { sessionIds: ['s1'], message: 'x', keys: 'Enter' }]) {
+        const r = await postJson(port, '/api/control/sessions/broadcast', bad);
+        assert.equal(r.status, 400, JSON.stringify(bad));
+        assert.equal(r.body.error.code, 'INVALID_ARGUMENT');
+      }
+    } finally {
+      server.close();
+    }
+  });
+
   it('POST /sessions/:id/respond calls the injected responder', async function () {
     let received;
     const deps = fakeDeps({
@@ -439,6 +482,7 @@ describe('control/routes /api/control', function () {
   const FROZEN_CAP_VOCAB = new Set([
     'readiness_barrier', 'turn_binding', 'permission_mode', 'agent_args',
     'events_cursor', 'events_retention', 'multiplex_watch', 'session_state_seq',
+    'budgets', 'broadcast', 'webhooks',
   ]);
 
   it('F19: GET /capabilities emits the frozen { capabilities: string[], controlVersion: string } shape', async function () {
@@ -459,9 +503,9 @@ describe('control/routes /api/control', function () {
       }
       // controlVersion is a STRING.
       assert.equal(typeof r.body.controlVersion, 'string');
-      // The 6 expected tokens are present.
+      // The expected tokens are present.
       const set = new Set(r.body.capabilities);
-      for (const expected of ['permission_mode', 'agent_args', 'turn_binding', 'events_cursor', 'events_retention', 'session_state_seq']) {
+      for (const expected of ['permission_mode', 'agent_args', 'turn_binding', 'events_cursor', 'events_retention', 'session_state_seq', 'budgets', 'broadcast']) {
         assert.ok(set.has(expected), `advertises ${expected}`);
       }
     } finally {
@@ -469,6 +513,20 @@ describe('control/routes /api/control', function () {
     }
   });
 
+  it('F19: budgets is advertised together with the budget_alert event kind', function () {
+    const { ClaudeCodeWebServer } = require('../../src/server');
+    const caps = ClaudeCodeWebServer.prototype._controlCapabilities.call({ controlEventBus: new ControlEventBus() });
+    assert.ok(caps.capabilities.includes('budgets'));
+    assert.ok(caps.events.includes('budget_alert'));
+  });
+
+  it('F19: webhooks is advertised only when the server has a webhook manager', function () {
+    const { ClaudeCodeWebServer } = require('../../src/server');
+    const caps = (self) => ClaudeCodeWebServer.prototype._controlCapabilities.call({ controlEventBus: new ControlEventBus(), ...self }).capabilities;
+    assert.ok(caps({ webhooks: {} }).includes('webhooks'));
+    assert.ok(!caps({}).includes('webhooks'));
+  });
+
   it('F19: an OLD instance that omits a capability surfaces its absence (client fails closed)', async function () {
     // A pre-F10 instance: a valid frozen-shape array that simply lacks permission_mode.
     const deps = fakeDeps({ capabilities: () => ({ capabilities: ['turn_binding'], controlVersion: '0' }) });
@@ -378,6 +378,7 @@ describe('control steering helpers', function () {
     const FROZEN_CAP_VOCAB = new Set([
       'readiness_barrier', 'turn_binding', 'permission_mode', 'agent_args',
       'events_cursor', 'events_retention', 'multiplex_watch', 'session_state_seq',
+      'budgets', 'broadcast', 'webhooks',
     ]);
 
     it('returns the frozen { capabilities: string[], controlVersion: string } shape', function () {
@@ -394,9 +395,9 @@ describe('control steering helpers', function () {
         assert.equal(typeof token, 'string');
         assert.ok(FROZEN_CAP_VOCAB.has(token), `'${token}' is in the frozen vocabulary`);
       }
-      // The 6 expected tokens are present.
+      // The expected tokens are present.
       const set = new Set(cap.capabilities);
-      for (const expected of ['permission_mode', 'agent_args', 'turn_binding', 'events_cursor', 'events_retention', 'session_state_seq']) {
+      for (const expected of ['permission_mode', 'agent_args', 'turn_binding', 'events_cursor', 'events_retention', 'session_state_seq', 'budgets', 'broadcast']) {
         assert.ok(set.has(expected), `advertises ${expected}`);
       }
       // controlVersion is a STRING.
@@ -0,0 +1,254 @@
+'use strict';
+
+// Outbound webhooks: registration through /api/control/webhooks, signed
+// delivery to a local receiver, retries with backoff and the delivery log.
+
+const assert = require('assert');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const { createControlRouter } = require('../../src/control/routes');
+const { ControlEventBus } = require('../../src/control/event-bus');
+const { WebhookManager, signPayload, webhookEventFor } = require('../../src/control/webhooks');
+
+// A receiver that answers with the next status from `statuses` (then 200).
+async function startReceiver(statuses = []) {
+  const received = [];
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', (c) => chunks.push(c));
+    req.on('end', () => {
+      received.push({ headers: req.headers, body: Buffer.concat(chunks).toString('utf8') });
+      res.writeHead(statuses.length ? statuses.shift() : 200).end();
+    });
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  return { server, received, url: `http://127.0.0.1:${server.address().port}/hook` };
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+function waitFor(predicate, timeoutMs = 2000) {
+  const deadline = Date.now() + timeoutMs;
+  return new Promise((resolve, reject) => {
+    const tick = () => {
+      if (predicate()) return resolve();
+      if (Date.now() > deadline) return reject(new Error('timed out waiting'));
+      setTimeout(tick, 10);
+    };
+    tick();
+  });
+}
+
+describe('control webhooks', function () {
+  let dir;
+  let manager;
+  beforeEach(async function () {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'webhooks-'));
+    manager = new WebhookManager({
+      storageDir: dir,
+      hostname: 'box',
+      sessions: new Map([['s1', { name: 'api', agent: 'claude', workingDir: '/repo' }]]),
+      retryDelaysMs: [10, 20],
+      logger: { warn: () => {} },
+    });
+    await manager.init();
+  });
+  afterEach(async function () {
+    await manager.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('maps bus events, delivering crash exits as crashed', function () {
+    assert.strictEqual(webhookEventFor({ kind: 'turn_ended' }), 'turn_ended');
+    assert.strictEqual(webhookEventFor({ kind: 'exited', detail: { code: 0, signal: null } }), 'exited');
+    assert.strictEqual(webhookEventFor({ kind: 'exited', detail: { code: 1, signal: null } }), 'crashed');
+    assert.strictEqual(webhookEventFor({ kind: 'exited', detail: { code: null, signal: 'SIGTERM' } }), 'exited');
+    assert.strictEqual(webhookEventFor({ kind: 'became_busy' }), null);
+  });
+
+  it('posts signed events a webhook subscribed to and skips the rest', async function () {
+    const receiver = await startReceiver();
+    try {
+      const bus = new ControlEventBus();
+      manager.attach(bus);
+      const hook = await manager.create({ url: receiver.url, events: ['turn_ended', 'crashed'], secret: 'a-shared-secret-value' });
+
+      bus.append('s1', 'became_busy');
+      bus.append('s1', 'turn_ended');
+      bus.append('s1', 'exited', { code: 0, signal: null });
+      bus.append('s1', 'exited', { code: 137, signal: null });
+      await waitFor(() => receiver.received.length === 2);
+
+      const [turn, crash] = receiver.received;
+      assert.strictEqual(turn.headers['x-aiordie-event'], 'turn_ended');
+      assert.strictEqual(turn.headers['x-aiordie-signature'],
+        signPayload('a-shared-secret-value', turn.headers['x-aiordie-timestamp'], turn.body));
+      const payload = JSON.parse(turn.body);
+      assert.strictEqual(payload.id, turn.headers['x-aiordie-delivery']);
+      assert.deepStrictEqual(
+        { event: payload.event, sessionId: payload.sessionId, session: payload.session, host: payload.host },
+        { event: 'turn_ended', sessionId: 's1', session: { name: 'api', agent: 'claude', workingDir: '/repo' }, host: 'box' });
+      assert.deepStrictEqual(JSON.parse(crash.body).detail, { code: 137, signal: null });
+      assert.strictEqual(JSON.parse(crash.body).event, 'crashed');
+
+      const saved = JSON.parse(fs.readFileSync(path.join(dir, 'webhooks.json'), 'utf8'));
+      assert.strictEqual(saved.webhooks[0].id, hook.id);
+      if (process.platform !== 'win32') {
+        assert.strictEqual(fs.statSync(path.join(dir, 'webhooks.json')).mode & 0o777, 0o600);
+      }
+    } finally {
+      await new Promise((resolve) => receiver.server.close(resolve));
+    }
+  });
+
+  it('retries 5xx with the same delivery id and logs every attempt', async function () {
+    const receiver = await startReceiver([503, 500]);
+    try {
+      await manager.create({ url: receiver.url, events: ['waiting_input'] });
+      const [deliveryId] = manager.handleEvent({ seq: 7, sessionId: 's1', kind: 'waiting_input', at: 1 });
+      await waitFor(() => receiver.received.length === 3);
+      assert.deepStrictEqual(new Set(receiver.received.map((r) => r.headers['x-aiordie-delivery'])), new Set([deliveryId]));
+
+      await sleep(50);
+      const { deliveries } = await manager.deliveries({ deliveryId });
+      assert.deepStrictEqual(deliveries.map((d) => [d.attempt, d.statusCode, d.outcome]), [
+        [3, 200, 'delivered'],
+        [2, 500, 'retrying'],
+        [1, 503, 'retrying'],
+      ]);
+    } finally {
+      await new Promise((resolve) => receiver.server.close(resolve));
+    }
+  });
+
+  it('gives up after the last retry and does not retry a 4xx', async function () {
+    const down = await startReceiver([502, 502, 502]);
+    const reject = await startReceiver([400]);
+    try {
+      const a = await manager.create({ url: down.url, events: ['session_created'] });
+      const b = await manager.create({ url: reject.url, events: ['session_created'] });
+      manager.handleEvent({ sessionId: 's1', kind: 'session_created', at: 1 });
+      await waitFor(() => down.received.length === 3 && reject.received.length === 1);
+      await sleep(50);
+      assert.strictEqual(down.received.length, 3, 'one attempt plus two retries');
+
+      const last = (await manager.deliveries({ webhookId: a.id, limit: 1 })).deliveries[0];
+      assert.deepStrictEqual([last.attempt, last.outcome], [3, 'failed']);
+      const rejected = (await manager.deliveries({ webhookId: b.id })).deliveries;
+      assert.deepStrictEqual(rejected.map((d) => [d.attempt, d.statusCode, d.outcome]), [[1, 400, 'failed']]);
+    } finally {
+      await new Promise((resolve) => down.server.close(resolve));
+      await new Promise((resolve) => reject.server.close(resolve));
+    }
+  });
+
+  it('settles and logs a delivery whose retry is pending at shutdown', async function () {
+    const receiver = await startReceiver([503]);
+    try {
+      const hook = await manager.create({ url: receiver.url, events: ['turn_ended'] });
+      const delivery = manager._startDelivery(hook, { event: 'turn_ended', sessionId: 's1' }, [60000]);
+      await waitFor(() => manager._timers.size === 1);
+      await manager.close();
+
+      const entry = await delivery.done;
+      assert.deepStrictEqual([entry.attempt, entry.statusCode, entry.outcome], [1, null, 'failed']);
+      assert.match(entry.error, /shut down/);
+      const { deliveries } = await manager.deliveries({ deliveryId: delivery.id });
+      assert.deepStrictEqual(deliveries.map((d) => d.outcome), ['failed', 'retrying']);
+      assert.strictEqual(receiver.received.length, 1);
+    } finally {
+      await new Promise((resolve) => receiver.server.close(resolve));
+    }
+  });
+
+  it('rotates the delivery log and still reads the previous file', async function () {
+    manager.maxLogBytes = 400;
+    for (let i = 1; i <= 6; i++) {
+      await manager._log({ deliveryId: `d${i}`, webhookId: 'wh_x', attempt: 1, outcome: 'delivered' });
+    }
+    assert.ok(fs.existsSync(path.join(dir, 'webhook-deliveries.1.jsonl')));
+    const ids = (await manager.deliveries({ limit: 1000 })).deliveries.map((d) => d.deliveryId);
+    assert.deepStrictEqual(ids, ids.slice().sort().reverse());
+    assert.strictEqual(ids[0], 'd6');
+  });
+
+  describe('/api/control/webhooks', function () {
+    let api;
+    let base;
+    let user;
+    const audits = [];
+
+    beforeEach(async function () {
+      user = null;
+      audits.length = 0;
+      const app = express();
+      app.use(express.json());
+      app.use((req, res, next) => { req.user = user; next(); });
+      app.use('/api/control', createControlRouter({
+        sessions: new Map(),
+        eventBus: new ControlEventBus(),
+        webhooks: manager,
+        audit: (actor, action, details) => audits.push({ action, details }),
+      }));
+      api = await new Promise((resolve) => { const s = app.listen(0, '127.0.0.1', () => resolve(s)); });
+      base = `http://127.0.0.1:${api.address().port}/api/control/webhooks`;
+    });
+    afterEach(async function () {
+      await new Promise((resolve) => api.close(resolve));
+    });
+
+    const send = (method, url, body) => fetch(url, {
+      method,
+      headers: { 'Content-Type': 'application/json' },
+      body: body === undefined ? undefined : JSON.stringify(body),
+    });
+
+    it('creates, lists, updates, tests and deletes a webhook', async function () {
+      const receiver = await startReceiver();
+      try {
+        const created = await send('POST', base, { url: receiver.url, events: ['exited'], description: 'ci' });
+        assert.strictEqual(created.status, 201);
+        const { webhook } = await created.json();
+        assert.ok(webhook.secret.length >= 16, 'the generated secret is shown once');
+
+        const listed = await (await fetch(base)).json();
+        assert.strictEqual(listed.webhooks.length, 1);
+        assert.strictEqual(listed.webhooks[0].secret, undefined);
+
+        const patched = await (await send('PATCH', `${base}/${webhook.id}`, { events: ['exited', 'waiting_input'] })).json();
+        assert.deepStrictEqual(patched.webhook.events, ['waiting_input', 'exited']);
+
+        const ping = await (await send('POST', `${base}/${webhook.id}/test`)).json();
+        assert.strictEqual(ping.delivery.outcome, 'delivered');
+        assert.strictEqual(receiver.received[0].headers['x-aiordie-event'], 'ping');
+        assert.strictEqual(receiver.received[0].headers['x-aiordie-signature'],
+          signPayload(webhook.secret, receiver.received[0].headers['x-aiordie-timestamp'], receiver.received[0].body));
+
+        const log = await (await fetch(`${base}/deliveries?webhookId=${webhook.id}`)).json();
+        assert.strictEqual(log.deliveries[0].deliveryId, ping.delivery.deliveryId);
+
+        assert.deepStrictEqual(await (await send('DELETE', `${base}/${webhook.id}`)).json(), { removed: true });
+        assert.strictEqual((await fetch(`${base}/${webhook.id}`)).status, 404);
+        assert.deepStrictEqual(audits.map((a) => a.action), ['webhook.create', 'webhook.update', 'webhook.delete']);
+      } finally {
+        await new Promise((resolve) => receiver.server.close(resolve));
+      }
+    });
+
+    it('rejects bad input and keeps viewers out', async function () {
+      const bad = await send('POST', base, { url: 'ftp://example.net/x' });
+      assert.strictEqual(bad.status, 400);
+      assert.strictEqual((await bad.json()).error.code, 'INVALID_ARGUMENT');
+      assert.strictEqual((await send('POST', base, { url: 'https://example.net/x', events: ['became_busy'] })).status, 400);
+      assert.strictEqual((await send('POST', base, { url: 'https://example.net/x', secret: 'short' })).status, 400);
+
+      user = { name: 'val', role: 'viewer' };
+      const denied = await fetch(base);
+      assert.strictEqual(denied.status, 403);
+      assert.strictEqual((await denied.json()).error.code, 'FORBIDDEN');
+    });
+  });
+});
@@ -0,0 +1,25 @@
+'use strict';
+
+// Factories for synthetic Claude Code transcripts (JSONL, one record per
+// line), shared by the tests that parse them.
+
+/** One JSONL line. */
+const line = (o) => JSON.stringify(o) + '\n';
+
+/** A user prompt record. */
+const prompt = (uuid, text) => ({ type: 'user', uuid, timestamp: '2026-10-01T10:00:00Z', message: { role: 'user', content: text } });
+
+/** One assistant record; Claude writes a record per content block, all sharing the message id. */
+const assistant = (uuid, messageId, content, output) => ({
+  type: 'assistant',
+  uuid,
+  message: {
+    id: messageId,
+    model: 'claude-test',
+    role: 'assistant',
+    content,
+    usage: { input_tokens: 10, output_tokens: output, cache_read_input_tokens: 1000, cache_creation_input_tokens: 0 },
+  },
+});
+
+module.exports = { line, prompt, assistant };
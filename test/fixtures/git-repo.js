@@ -0,0 +1,40 @@
+'use strict';
+
+// Throwaway git repositories for the worktree and fork tests.
+
+const { execFileSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+function gitAvailable() {
+  try {
+    execFileSync('git', ['--version'], { stdio: 'ignore' });
+    return true;
+  } catch (_) {
+    return false;
+  }
+}
+
+/**
+ * A repo in a new temp dir with one commit holding `files`.
+ * @param {string} prefix - Temp dir name prefix.
+ * @param {Object<string, string>} [files] - Relative path -> contents.
+ * @returns {string} the repo's real path.
+ */
+function makeRepo(prefix, files = { 'a.txt': 'a\n' }) {
+  const dir = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), prefix)));
+  const git = (...args) => execFileSync('git', args, { cwd: dir, stdio: 'ignore' });
+  git('init', '-q');
+  git('config', 'user.email', 'test@example.com');
+  git('config', 'user.name', 'test');
+  for (const [file, text] of Object.entries(files)) {
+    fs.mkdirSync(path.dirname(path.join(dir, file)), { recursive: true });
+    fs.writeFileSync(path.join(dir, file), text);
+  }
+  git('add', '-A');
+  git('commit', '-q', '-m', 'init');
+  return dir;
+}
+
+module.exports = { gitAvailable, makeRepo };
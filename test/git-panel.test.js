@@ -0,0 +1,295 @@
+'use strict';
+
+// Git panel: the status / diff parsers and guards in utils/git-ops.js, the
+// client's pure helpers (git-panel.js) and /api/git/* on a temp repository.
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const gitOps = require('../src/utils/git-ops');
+const GitPanel = require('../src/public/git-panel');
+
+describe('git-ops parsers', function () {
+  it('parses porcelain status with branch, renames, conflicts and untracked files', function () {
+    const out = [
+      '## main...origin/main [ahead 2, behind 1]',
+      'M  staged.js',
+      ' M edited.js',
+      'MM both.js',
+      'R  new name.js', 'old.js',
+      '?? notes.txt',
+      'UU clash.js',
+      '',
+    ].join('\0');
+    const status = gitOps.parseStatus(out);
+    assert.deepStrictEqual(
+      [status.branch, status.upstream, status.ahead, status.behind, status.detached, status.unborn],
+      ['main', 'origin/main', 2, 1, false, false],
+    );
+    const byPath = Object.fromEntries(status.files.map((f) => [f.path, f]));
+    assert.deepStrictEqual(Object.keys(byPath), ['staged.js', 'edited.js', 'both.js', 'new name.js', 'notes.txt', 'clash.js']);
+    assert.deepStrictEqual([byPath['both.js'].staged, byPath['both.js'].unstaged], [true, true]);
+    assert.deepStrictEqual([byPath['edited.js'].staged, byPath['edited.js'].unstaged], [false, true]);
+    assert.strictEqual(byPath['new name.js'].origPath, 'old.js');
+    assert.strictEqual(byPath['notes.txt'].untracked, true);
+    assert.deepStrictEqual([byPath['clash.js'].conflicted, byPath['clash.js'].staged], [true, false]);
+  });
+
+  it('recognises an unborn branch and a detached HEAD', function () {
+    const unborn = gitOps.parseStatus('## No commits yet on trunk\0A  first.txt\0');
+    assert.deepStrictEqual([unborn.branch, unborn.unborn, unborn.files.length], ['trunk', true, 1]);
+    const detached = gitOps.parseStatus('## HEAD (no branch)\0');
+    assert.deepStrictEqual([detached.branch, detached.detached], [null, true]);
+  });
+
+  it('splits a diff into files and hunks with stable ids', function () {
+    const text = [
+      'diff --git a/src/app.js b/src/app.js',
+      'index 1111111..2222222 100644',
+      '--- a/src/app.js',
+      '+++ b/src/app.js',
+      '@@ -1,2 +1,2 @@',
+      '-const a = 1;',
+      '+const a = 2;',
+      ' const b = 3;',
+      '@@ -10 +10 @@ function tail() {',
+      '--- not a header',
+      '+++ not a header either',
+      'diff --git a/old.txt b/renamed.txt',
+      'similarity index 100%',
+      'rename from old.txt',
+      'rename to renamed.txt',
+      'diff --git "a/caf\\303\\251.png" "b/caf\\303\\251.png"',
+      'new file mode 100644',
+      'Binary files /dev/null and "b/caf\\303\\251.png" differ',
+      '',
+    ].join('\n');
+    const files = gitOps.parseDiff(text);
+    assert.deepStrictEqual(files.map((f) => [f.path, f.oldPath, f.status, f.binary, f.hunks.length]), [
+      ['src/app.js', 'src/app.js', 'modified', false, 2],
+      ['renamed.txt', 'old.txt', 'renamed', false, 0],
+      ['café.png', 'café.png', 'added', true, 0],
+    ]);
+    const [first, second] = files[0].hunks;
+    assert.deepStrictEqual(second.lines, ['--- not a header', '+++ not a header either'], 'hunk lines that look like headers stay in the hunk');
+    assert.match(first.id, /^[0-9a-f]{16}$/);
+    assert.notStrictEqual(first.id, second.id);
+    assert.strictEqual(gitOps.parseDiff(text)[0].hunks[0].id, first.id);
+    assert.strictEqual(gitOps.hunkPatch(files[0], first),
+      'diff --git a/src/app.js b/src/app.js\nindex 1111111..2222222 100644\n--- a/src/app.js\n+++ b/src/app.js\n' +
+      '@@ -1,2 +1,2 @@\n-const a = 1;\n+const a = 2;\n const b = 3;\n');
+  });
+
+  it('guards refs and repository paths', function () {
+    for (const ref of ['main', 'origin/feature-1', 'HEAD~2', 'v1.0^', 'abc1234']) {
+      assert.strictEqual(gitOps.isSafeRef(ref), true, ref);
+    }
+    for (const ref of ['-p', '--output=/tmp/x', 'a b', 'a;b', '', 'x'.repeat(201), 42]) {
+      assert.strictEqual(gitOps.isSafeRef(ref), false, String(ref));
+    }
+    for (const p of ['a.txt', 'src/deep/file.js', '-dash.txt', ':(glob)*']) {
+      assert.strictEqual(gitOps.isSafeRepoPath(p), true, p);
+    }
+    for (const p of ['', '/etc/passwd', 'C:\\x', '../up', 'a/../../b', 'nul\0byte', null]) {
+      assert.strictEqual(gitOps.isSafeRepoPath(p), false, String(p));
+    }
+  });
+
+  it('replaces repository and base paths in git messages', function () {
+    const message = gitOps.sanitizeGitMessage(
+      'fatal: /srv/work/repo/a.txt and /srv/work/other exist',
+      { repo: '/srv/work/repo', base: '/srv/work' },
+    );
+    assert.strictEqual(message, 'fatal: <repo>/a.txt and <base>/other exist');
+    assert.strictEqual(gitOps.sanitizeGitMessage('x'.repeat(400)).length, 300);
+  });
+});
+
+describe('GitPanel helpers', function () {
+  it('builds /api/git URLs, dropping empty values', function () {
+    assert.strictEqual(
+      GitPanel.buildGitUrl('diff', { path: '/r/a b', file: 'x&y', staged: true, untracked: false, commit: null, from: '' }),
+      '/api/git/diff?path=%2Fr%2Fa%20b&file=x%26y&staged=1',
+    );
+    assert.strictEqual(GitPanel.buildGitUrl('branches'), '/api/git/branches');
+  });
+
+  it('groups changes and picks the status letter for each list', function () {
+    const files = [
+      { path: 'a', index: 'M', worktree: 'M', staged: true, unstaged: true },
+      { path: 'b', index: '?', worktree: '?', untracked: true },
+      { path: 'c', index: 'U', worktree: 'U', conflicted: true },
+      { path: 'd', index: 'D', worktree: ' ', staged: true },
+    ];
+    const groups = GitPanel.groupChanges(files);
+    assert.deepStrictEqual(
+      [groups.conflicted, groups.staged, groups.unstaged].map((list) => list.map((f) => f.path)),
+      [['c'], ['a', 'd'], ['a', 'b']],
+    );
+    assert.deepStrictEqual(
+      [GitPanel.statusLetter(files[0], true), GitPanel.statusLetter(files[1], false), GitPanel.statusLetter(files[2], false), GitPanel.statusLetter(files[3], false)],
+      ['M', 'U', '!', ''],
+    );
+  });
+
+  it('compares two picked commits oldest first', function () {
+    const commits = [{ sha: 'c3' }, { sha: 'c2' }, { sha: 'c1' }];
+    assert.deepStrictEqual(GitPanel.compareRefs(commits, 'c3', 'c1'), { from: 'c1', to: 'c3' });
+    assert.deepStrictEqual(GitPanel.compareRefs(commits, 'c1', 'c2'), { from: 'c1', to: 'c2' });
+    assert.strictEqual(GitPanel.compareRefs(commits, 'c1', 'c1'), null);
+    assert.strictEqual(GitPanel.compareRefs(commits, 'c1', 'gone'), null);
+  });
+});
+
+let ClaudeCodeWebServer;
+try {
+  ({ ClaudeCodeWebServer } = require('../src/server'));
+} catch (e) {
+  // node-pty not installable on this runner — server suites skip.
+}
+let gitAvailable = true;
+try {
+  execFileSync('git', ['--version'], { stdio: 'ignore' });
+} catch (_) {
+  gitAvailable = false;
+}
+
+(ClaudeCodeWebServer && gitAvailable ? describe : describe.skip)('/api/git', function () {
+  this.timeout(30000);
+  let server, base, workspace, repo, storageDir;
+
+  const git = (...args) => execFileSync('git', args, { cwd: repo, encoding: 'utf8' }).trim();
+  const lines = (n, edit) => Array.from({ length: n }, (_, i) => (edit && edit[i + 1]) || `line ${i + 1}`).join('\n') + '\n';
+  const get = async (endpoint, params) => {
+    const res = await fetch(base + GitPanel.buildGitUrl(endpoint, { path: repo, ...params }));
+    return { status: res.status, body: await res.json() };
+  };
+  const post = async (endpoint, body) => {
+    const res = await fetch(`${base}/api/git/${endpoint}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ path: repo, ...body }),
+    });
+    return { status: res.status, body: await res.json() };
+  };
+
+  before(async function () {
+    storageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'git-panel-store-'));
+    // realpath: validatePath compares against the resolved base (macOS /var).
+    workspace = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'git-panel-ws-')));
+    repo = path.join(workspace, 'repo');
+    fs.mkdirSync(repo);
+    fs.mkdirSync(path.join(workspace, 'plain'));
+    git('init', '--quiet', '-b', 'main');
+    git('config', 'user.email', 'test@example.com');
+    git('config', 'user.name', 'Test');
+    git('config', 'commit.gpgsign', 'false');
+    fs.writeFileSync(path.join(repo, 'a.txt'), lines(20));
+    git('add', 'a.txt');
+    git('commit', '--quiet', '-m', 'first');
+
+    server = new ClaudeCodeWebServer({ port: 0, noAuth: true, sessionStoreOptions: { storageDir } });
+    server.baseFolder = workspace;
+    const httpServer = await server.start();
+    base = `http://127.0.0.1:${httpServer.address().port}`;
+  });
+
+  after(async function () {
+    if (server) await server.close();
+    fs.rmSync(storageDir, { recursive: true, force: true });
+    fs.rmSync(workspace, { recursive: true, force: true });
+  });
+
+  it('reports status and stages and unstages whole files', async function () {
+    fs.writeFileSync(path.join(repo, 'a.txt'), lines(20, { 1: 'top', 20: 'bottom' }));
+    fs.writeFileSync(path.join(repo, 'new.txt'), 'fresh\n');
+
+    let { status, body } = await get('status');
+    assert.strictEqual(status, 200);
+    assert.strictEqual(body.root, repo);
+    assert.strictEqual(body.branch, 'main');
+    assert.deepStrictEqual(body.files.map((f) => [f.path, f.index + f.worktree]), [['a.txt', ' M'], ['new.txt', '??']]);
+
+    const untracked = await get('diff', { file: 'new.txt', untracked: true });
+    assert.deepStrictEqual(untracked.body.files[0].hunks[0].lines, ['+fresh']);
+
+    assert.strictEqual((await post('stage', { files: ['new.txt'] })).status, 200);
+    ({ body } = await get('status'));
+    assert.strictEqual(body.files.find((f) => f.path === 'new.txt').index, 'A');
+
+    assert.strictEqual((await post('unstage', { all: true })).status, 200);
+    ({ body } = await get('status'));
+    assert.strictEqual(body.files.find((f) => f.path === 'new.txt').untracked, true);
+  });
+
+  it('stages and unstages a single hunk', async function () {
+    let { body } = await get('diff', { file: 'a.txt' });
+    const [top, bottom] = body.files[0].hunks;
+    assert.ok(top && bottom, 'two separate hunks');
+
+    assert.strictEqual((await post('stage-hunk', { file: 'a.txt', hunkId: top.id })).status, 200);
+    const staged = (await get('diff', { file: 'a.txt', staged: true })).body.files[0].hunks;
+    const unstaged = (await get('diff', { file: 'a.txt' })).body.files[0].hunks;
+    assert.deepStrictEqual(staged.map((h) => h.lines.filter((l) => l[0] === '+')), [['+top']]);
+    assert.deepStrictEqual(unstaged.map((h) => h.lines.filter((l) => l[0] === '+')), [['+bottom']]);
+
+    const stale = await post('stage-hunk', { file: 'a.txt', hunkId: top.id });
+    assert.strictEqual(stale.status, 409);
+    assert.strictEqual(stale.body.code, 'HUNK_CHANGED');
+
+    assert.strictEqual((await post('stage-hunk', { file: 'a.txt', hunkId: staged[0].id, unstage: true })).status, 200);
+    ({ body } = await get('diff', { file: 'a.txt', staged: true }));
+    assert.deepStrictEqual(body.files, []);
+  });
+
+  it('commits, creates and switches branches, and reads the log', async function () {
+    const nothing = await post('commit', { message: 'empty' });
+    assert.strictEqual(nothing.status, 409);
+    assert.strictEqual(nothing.body.code, 'GIT_REFUSED');
+    assert.strictEqual((await post('commit', { message: '   ' })).body.code, 'INVALID_ARGUMENT');
+
+    await post('stage', { all: true });
+    const made = await post('commit', { message: 'second\n\nwith a body' });
+    assert.strictEqual(made.status, 201);
+    assert.strictEqual(made.body.commit.sha, git('rev-parse', 'HEAD'));
+    assert.strictEqual(made.body.commit.subject, 'second');
+
+    assert.strictEqual((await post('switch', { branch: 'feature', create: true })).status, 200);
+    let { body } = await get('branches');
+    assert.deepStrictEqual(body.local.map((b) => [b.name, b.current]), [['feature', true], ['main', false]]);
+    const missing = await post('switch', { branch: 'nope' });
+    assert.strictEqual(missing.status, 404);
+    assert.strictEqual(missing.body.code, 'BRANCH_NOT_FOUND');
+    assert.strictEqual((await post('switch', { branch: 'main' })).status, 200);
+    assert.strictEqual(git('branch', '--show-current'), 'main');
+
+    ({ body } = await get('log', { limit: 1 }));
+    assert.deepStrictEqual(body.commits.map((c) => c.subject), ['second']);
+    ({ body } = await get('log', { skip: 1 }));
+    assert.deepStrictEqual(body.commits.map((c) => c.subject), ['first']);
+
+    const [first, second] = git('rev-list', '--reverse', 'HEAD').split('\n');
+    ({ body } = await get('diff', { commit: second }));
+    assert.deepStrictEqual(body.files.map((f) => [f.path, f.status]), [['a.txt', 'modified'], ['new.txt', 'added']]);
+    ({ body } = await get('diff', { from: first, to: second, file: 'new.txt' }));
+    assert.deepStrictEqual(body.files.map((f) => f.path), ['new.txt']);
+  });
+
+  it('rejects unsafe refs and paths, and folders outside a repository', async function () {
+    let res = await get('diff', { from: '--output=/tmp/owned' });
+    assert.deepStrictEqual([res.status, res.body.code], [400, 'INVALID_REF']);
+    res = await get('log', { ref: 'no-such-branch' });
+    assert.deepStrictEqual([res.status, res.body.code], [404, 'REF_NOT_FOUND']);
+    res = await post('stage', { files: ['../escape.txt'] });
+    assert.deepStrictEqual([res.status, res.body.code], [400, 'INVALID_ARGUMENT']);
+
+    res = await fetch(`${base}/api/git/status?path=${encodeURIComponent(path.join(workspace, 'plain'))}`);
+    assert.strictEqual(res.status, 404);
+    assert.strictEqual((await res.json()).code, 'NOT_A_GIT_REPO');
+    res = await fetch(`${base}/api/git/status?path=${encodeURIComponent(os.homedir())}`);
+    assert.strictEqual(res.status, 403);
+    assert.strictEqual((await fetch(`${base}/api/git/status`)).status, 400);
+  });
+});
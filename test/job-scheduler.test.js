@@ -0,0 +1,309 @@
+'use strict';
+
+// Scheduled jobs: the cron parser, next-run times, a run's steps against a
+// real ControlEventBus with fake session deps (create, message, turn_ended,
+// transcript, stop), overlap and failure outcomes, and the /api/jobs routes.
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ControlEventBus } = require('../src/control/event-bus');
+const { JobScheduler, parseCron, nextRun } = require('../src/job-scheduler');
+const JobsPanel = require('../src/public/jobs-panel');
+
+const at = (...parts) => new Date(...parts).getTime();
+
+function waitUntil(predicate, timeoutMs = 2000) {
+  const deadline = Date.now() + timeoutMs;
+  return new Promise((resolve, reject) => {
+    const tick = () => {
+      if (predicate()) return resolve();
+      if (Date.now() > deadline) return reject(new Error('timed out waiting'));
+      setTimeout(tick, 10);
+    };
+    tick();
+  });
+}
+
+describe('job schedules', function () {
+  it('parses fields, names, ranges, steps and macros', function () {
+    const c = parseCron('*/15 9-17 * jan,jul mon-fri');
+    assert.deepStrictEqual([...c.minutes], [0, 15, 30, 45]);
+    assert.deepStrictEqual([...c.hours], [9, 10, 11, 12, 13, 14, 15, 16, 17]);
+    assert.deepStrictEqual([...c.months], [1, 7]);
+    assert.deepStrictEqual([...c.weekdays], [1, 2, 3, 4, 5]);
+    assert.deepStrictEqual([...parseCron('5/20 * * * 7').minutes], [5, 25, 45]);
+    assert.deepStrictEqual([...parseCron('0 0 * * 7').weekdays], [0], '7 is Sunday');
+    assert.strictEqual(parseCron('@daily').expr, '@daily');
+    assert.deepStrictEqual([...parseCron('@hourly').minutes], [0]);
+  });
+
+  it('rejects malformed schedules', function () {
+    for (const bad of ['', '* * * *', '60 * * * *', '* * * * mon-sun-x', '*/0 * * * *', '10-5 * * * *', 'a b c d e']) {
+      assert.throws(() => parseCron(bad), (err) => err.code === 'INVALID_ARGUMENT', bad);
+    }
+  });
+
+  it('finds the next matching minute in local time', function () {
+    assert.strictEqual(nextRun('*/15 * * * *', at(2026, 9, 19, 10, 7, 30)), at(2026, 9, 19, 10, 15));
+    assert.strictEqual(nextRun('*/15 * * * *', at(2026, 9, 19, 10, 15)), at(2026, 9, 19, 10, 30), 'strictly after');
+    // Friday evening -> Monday morning.
+    assert.strictEqual(nextRun('0 9 * * mon-fri', at(2026, 9, 23, 18)), at(2026, 9, 26, 9));
+    assert.strictEqual(nextRun('@monthly', at(2026, 11, 31, 12)), at(2027, 0, 1));
+    assert.strictEqual(nextRun('0 0 29 2 *', at(2026, 9, 19)), at(2028, 1, 29));
+    assert.strictEqual(nextRun('0 0 31 2 *', at(2026, 9, 19)), null);
+  });
+
+  it('matches either day field when both are restricted', function () {
+    // The 13th or a Friday, whichever comes first: Friday 23 Oct 2026.
+    assert.strictEqual(nextRun('0 0 13 * fri', at(2026, 9, 19)), at(2026, 9, 23));
+    assert.strictEqual(nextRun('0 0 13 * *', at(2026, 9, 19)), at(2026, 10, 13));
+  });
+});
+
+describe('JobScheduler', function () {
+  let dir, bus, scheduler, calls, now, turnKind, submission;
+
+  beforeEach(async function () {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'jobs-'));
+    bus = new ControlEventBus();
+    calls = [];
+    now = at(2026, 9, 19, 8, 59);
+    turnKind = 'turn_ended';
+    submission = 'submitted';
+    scheduler = makeScheduler();
+    await scheduler.init();
+  });
+
+  afterEach(async function () {
+    await scheduler.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  function makeScheduler(overrides) {
+    let n = 0;
+    return new JobScheduler({
+      storageDir: dir,
+      eventBus: bus,
+      now: () => now,
+      logger: { warn() {} },
+      createSession: async (opts) => {
+        calls.push(['create', opts]);
+        return { sessionId: `s${++n}`, lifecycle: 'running' };
+      },
+      sendMessage: async (opts) => {
+        calls.push(['message', opts.sessionId, opts.message]);
+        if (turnKind) setTimeout(() => bus.append(opts.sessionId, turnKind), 5);
+        return { submission: { status: submission } };
+      },
+      readTail: async (id) => ({ text: `screen of ${id}` }),
+      stopSession: async (id) => { calls.push(['stop', id]); },
+      ...overrides,
+    });
+  }
+
+  const job = (extra) => scheduler.create({ name: 'triage', schedule: '0 9 * * *', prompt: 'Triage new issues', ...extra }, 'alice');
+
+  it('validates and persists jobs with their next run', async function () {
+    await assert.rejects(job({ schedule: '0 0 31 2 *' }), /never runs/);
+    await assert.rejects(job({ prompt: ' ' }), (err) => err.code === 'INVALID_ARGUMENT' && err.statusCode === 400);
+    await assert.rejects(job({ timeoutMinutes: 0 }), /timeoutMinutes/);
+
+    const created = await job({ workingDir: '/repo' });
+    assert.match(created.id, /^job_[0-9a-f]{12}$/);
+    assert.strictEqual(created.nextRunAt, at(2026, 9, 19, 9));
+    assert.deepStrictEqual([created.agent, created.timeoutMinutes, created.keepSession, created.createdBy], ['claude', 30, false, 'alice']);
+
+    const saved = JSON.parse(fs.readFileSync(path.join(dir, 'jobs.json'), 'utf8'));
+    assert.deepStrictEqual(saved.jobs.map((j) => j.id), [created.id]);
+
+    const paused = await scheduler.update(created.id, { enabled: false });
+    assert.strictEqual(paused.nextRunAt, null);
+    await assert.rejects(scheduler.update('job_nope', {}), (err) => err.statusCode === 404);
+  });
+
+  it('only accepts registered agents', async function () {
+    scheduler = makeScheduler({ agents: () => ['claude', 'codex'] });
+    await assert.rejects(job({ agent: 'clade' }), (err) => err.code === 'INVALID_ARGUMENT' && /unknown agent "clade"/.test(err.message));
+    const created = await job({ agent: 'codex' });
+    assert.strictEqual(created.agent, 'codex');
+    await assert.rejects(scheduler.update(created.id, { agent: 'gpt' }), /unknown agent "gpt"/);
+    assert.strictEqual(scheduler.get(created.id).agent, 'codex');
+  });
+
+  it('ends the turn of an agent without turn detection when it goes idle', async function () {
+    submission = 'no_turn_binding';
+    turnKind = 'became_idle';
+    const created = await job({ agent: 'codex' });
+    scheduler.runNow(created.id);
+    await waitUntil(() => scheduler.get(created.id).lastRun);
+    const [run] = await scheduler.runs(created.id);
+    assert.deepStrictEqual([run.status, run.turn, run.error], ['succeeded', 'no_turn_binding', null]);
+  });
+
+  it('does not take became_idle as the end of a bound turn', async function () {
+    turnKind = 'became_idle';
+    scheduler = makeScheduler({
+      sendMessage: async (opts) => {
+        setTimeout(() => bus.append(opts.sessionId, 'became_idle'), 5);
+        setTimeout(() => bus.append(opts.sessionId, 'exited'), 30);
+        return { submission: { status: 'submitted' } };
+      },
+    });
+    const created = await job();
+    scheduler.runNow(created.id);
+    await waitUntil(() => scheduler.get(created.id).lastRun);
+    const [run] = await scheduler.runs(created.id);
+    assert.deepStrictEqual([run.status, run.error], ['failed', 'the agent exited before finishing its turn']);
+  });
+
+  it('runs a due job: create, prompt, turn_ended, transcript, stop', async function () {
+    const created = await job({ workingDir: '/repo' });
+    assert.deepStrictEqual(scheduler.tick(), [], 'not due yet');
+
+    now = at(2026, 9, 19, 9, 0, 10);
+    const [run] = scheduler.tick();
+    assert.strictEqual(run.status, 'running');
+    assert.strictEqual(scheduler.get(created.id).nextRunAt, at(2026, 9, 20, 9));
+    await waitUntil(() => scheduler.get(created.id).lastRun);
+
+    const [, createOpts] = calls[0];
+    assert.deepStrictEqual([createOpts.workingDir, createOpts.agent, createOpts.start], ['/repo', 'claude', true]);
+    assert.deepStrictEqual(calls.slice(1), [['message', 's1', 'Triage new issues'], ['stop', 's1']]);
+
+    const [done] = await scheduler.runs(created.id);
+    assert.deepStrictEqual([done.id, done.status, done.trigger, done.sessionId, done.turn], [run.id, 'succeeded', 'schedule', 's1', 'submitted']);
+    assert.strictEqual(await scheduler.transcript(created.id, run.id), 'screen of s1');
+    assert.strictEqual(done.transcriptBytes, 'screen of s1'.length);
+  });
+
+  it('keeps the session when asked and records an agent that exits as failed', async function () {
+    turnKind = 'exited';
+    const created = await job({ keepSession: true });
+    scheduler.runNow(created.id);
+    await waitUntil(() => scheduler.get(created.id).lastRun);
+    const [run] = await scheduler.runs(created.id);
+    assert.deepStrictEqual([run.status, run.trigger], ['failed', 'manual']);
+    assert.match(run.error, /exited/);
+    assert.ok(!calls.some(([kind]) => kind === 'stop'));
+  });
+
+  it('times out a turn that never ends', async function () {
+    turnKind = null;
+    scheduler = makeScheduler({
+      sendMessage: async () => {
+        now += 2 * 60 * 1000;
+        return { submission: { status: 'submitted' } };
+      },
+    });
+    const created = await job({ timeoutMinutes: 1 });
+    scheduler.runNow(created.id);
+    await waitUntil(() => scheduler.get(created.id).lastRun);
+    const [run] = await scheduler.runs(created.id);
+    assert.strictEqual(run.status, 'timed_out');
+    assert.strictEqual(await scheduler.transcript(created.id, run.id), 'screen of s1', 'the screen is kept anyway');
+  });
+
+  it('skips a scheduled run while the last one is still going and refuses a second run now', async function () {
+    turnKind = null;
+    const created = await job({ schedule: '* * * * *' });
+    scheduler.runNow(created.id);
+    assert.throws(() => scheduler.runNow(created.id), (err) => err.code === 'JOB_RUNNING' && err.statusCode === 409);
+
+    now += 60 * 1000;
+    assert.deepStrictEqual(scheduler.tick(), []);
+    await waitUntil(() => scheduler.get(created.id).lastRun);
+    const runs = await scheduler.runs(created.id);
+    assert.deepStrictEqual(runs.map((r) => r.status), ['running', 'skipped']);
+    assert.strictEqual(scheduler.get(created.id).running.id, runs[0].id);
+
+    bus.append('s1', 'turn_ended');
+    await waitUntil(() => !scheduler.get(created.id).running);
+  });
+
+  it('reloads jobs after a restart and deletes a job with its history', async function () {
+    const created = await job();
+    scheduler.runNow(created.id);
+    await waitUntil(() => scheduler.get(created.id).lastRun);
+    await scheduler.close();
+
+    scheduler = makeScheduler();
+    await scheduler.init();
+    assert.strictEqual(scheduler.get(created.id).nextRunAt, at(2026, 9, 19, 9));
+    assert.strictEqual((await scheduler.runs(created.id)).length, 1);
+
+    await scheduler.remove(created.id);
+    assert.deepStrictEqual(scheduler.list(), []);
+    assert.ok(!fs.existsSync(path.join(dir, 'jobs', created.id)));
+    await assert.rejects(scheduler.runs(created.id), (err) => err.code === 'JOB_NOT_FOUND');
+  });
+});
+
+describe('JobsPanel helpers', function () {
+  it('builds a job body from the form', function () {
+    assert.deepStrictEqual(JobsPanel.jobPayload({
+      name: ' nightly ', schedule: ' @daily ', prompt: 'Run the tests', agent: 'codex', workingDir: ' ', timeoutMinutes: '45',
+    }), {
+      name: 'nightly', schedule: '@daily', prompt: 'Run the tests', agent: 'codex',
+      workingDir: null, timeoutMinutes: 45, keepSession: false, enabled: true,
+    });
+  });
+
+  it('formats run durations', function () {
+    assert.strictEqual(JobsPanel.formatDuration(42000), '42s');
+    assert.strictEqual(JobsPanel.formatDuration(65 * 60 * 1000), '1h 5m');
+    assert.strictEqual(JobsPanel.formatDuration(null), '—');
+  });
+});
+
+let ClaudeCodeWebServer;
+try {
+  ({ ClaudeCodeWebServer } = require('../src/server'));
+} catch (e) {
+  // node-pty not installable on this runner — server suites skip.
+}
+
+(ClaudeCodeWebServer ? describe : describe.skip)('/api/jobs', function () {
+  this.timeout(30000);
+  let server, base, storageDir;
+
+  before(async function () {
+    storageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'jobs-server-'));
+    server = new ClaudeCodeWebServer({ port: 0, noAuth: true, sessionStoreOptions: { storageDir } });
+    const httpServer = await server.start();
+    base = `http://127.0.0.1:${httpServer.address().port}/api/jobs`;
+  });
+
+  after(async function () {
+    if (server) await server.close();
+    fs.rmSync(storageDir, { recursive: true, force: true });
+  });
+
+  const send = (url, method, body) => fetch(url, {
+    method,
+    headers: { 'Content-Type': 'application/json' },
+    body: body && JSON.stringify(body),
+  });
+
+  it('creates, lists, edits and deletes a job', async function () {
+    const bad = await send(base, 'POST', { name: 'x', schedule: '* *', prompt: 'hi' });
+    assert.strictEqual(bad.status, 400);
+    assert.strictEqual((await bad.json()).code, 'INVALID_ARGUMENT');
+
+    const res = await send(base, 'POST', { name: 'nightly', schedule: '30 2 * * *', prompt: 'Summarise yesterday' });
+    assert.strictEqual(res.status, 201);
+    const { job } = await res.json();
+    assert.ok(job.nextRunAt > Date.now());
+
+    const list = await (await fetch(base)).json();
+    assert.deepStrictEqual(list.jobs.map((j) => j.id), [job.id]);
+
+    const patched = await send(`${base}/${job.id}`, 'PATCH', { enabled: false });
+    assert.strictEqual((await patched.json()).job.nextRunAt, null);
+    assert.deepStrictEqual((await (await fetch(`${base}/${job.id}/runs`)).json()).runs, []);
+
+    assert.strictEqual((await send(`${base}/${job.id}`, 'DELETE')).status, 200);
+    assert.strictEqual((await send(`${base}/${job.id}/run`, 'POST')).status, 404);
+  });
+});
@@ -0,0 +1,282 @@
+// test/output-index.test.js — full-text search over session output.
+//
+// Covers the OutputIndex text pipeline (escape stripping, carriage-return
+// overwrites, repaint dedupe, secret redaction), its file format and
+// disk-budget rails (rollover, retention and size-cap pruning, disk-full
+// pause, line numbers that survive a restart), search ordering and snippets,
+// forgetting deleted and evicted sessions, the GET /api/sessions/search route
+// and the client's pure helpers.
+
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const OutputIndex = require('../src/utils/output-index');
+const SessionSearch = require('../src/public/session-search');
+
+const { resolveLine, stripTerminal } = OutputIndex;
+
+const SID = '1b4e28ba-2fa1-11d2-883f-0016d3cca427';
+const SID2 = '6fa459ea-ee8a-3ca4-894e-db77e160355e';
+
+function readRows(file) {
+  return fs.readFileSync(file, 'utf8').trim().split('\n').map((l) => JSON.parse(l));
+}
+
+describe('OutputIndex text pipeline', function () {
+  it('strips colours, titles and cursor moves', function () {
+    assert.strictEqual(stripTerminal('\x1b]0;title\x07\x1b[1;31mError\x1b[0m: boom'), 'Error: boom');
+    assert.strictEqual(stripTerminal('a\x1b[2;1Hb\x1b[3Cc'), 'a\nb c');
+    assert.strictEqual(stripTerminal('\x1b(Bok\x1b=\x07'), 'ok');
+  });
+
+  it('keeps what a carriage-return overwrite leaves on screen', function () {
+    assert.strictEqual(resolveLine('10%\r50%\r100%  '), '100%');
+    assert.strictEqual(resolveLine('done\r'), 'done');
+    assert.strictEqual(resolveLine('   '), '');
+  });
+});
+
+describe('OutputIndex', function () {
+  let dir, now, index, sessions;
+
+  beforeEach(function () {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'output-index-'));
+    now = Date.UTC(2026, 9, 19, 12);
+    sessions = new Map([[SID, { name: 'api', agent: 'claude' }]]);
+    index = makeIndex();
+  });
+
+  afterEach(async function () {
+    await index.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  function makeIndex(options) {
+    return new OutputIndex({
+      storageDir: dir,
+      describe: (id) => sessions.get(id) || null,
+      now: () => now,
+      ...options,
+    });
+  }
+
+  it('indexes redacted lines with running line numbers', async function () {
+    index.feed(SID, 'npm test\r\n\r\n  \x1b[31mTypeError: x is undefined\x1b[0m\r\n');
+    index.feed(SID, 'export OPENAI_API_KEY=sk-abcdefghijklmnopqrstuvwx\r\npartial');
+    await index.flush();
+    const [header, ...rows] = readRows(path.join(dir, 'search', `${SID}.jsonl`));
+    assert.deepStrictEqual(header, { v: 1, sessionId: SID, name: 'api', agent: 'claude', startedAt: now });
+    assert.deepStrictEqual(rows, [
+      [now, 1, 'npm test'],
+      [now, 3, '  TypeError: x is undefined'],
+      [now, 4, 'export OPENAI_API_KEY=[redacted]'],
+    ], 'blank lines count but are not stored; the unterminated line waits');
+
+    index.feed(SID, ' line\r\n');
+    await index.flush();
+    const last = readRows(path.join(dir, 'search', `${SID}.jsonl`)).pop();
+    assert.deepStrictEqual(last, [now, 5, 'partial line']);
+  });
+
+  it('does not store a repainted line twice', async function () {
+    index.feed(SID, 'status: ok\nstatus: ok\nother\nstatus: ok\n');
+    await index.flush();
+    const rows = readRows(path.join(dir, 'search', `${SID}.jsonl`)).slice(1);
+    assert.deepStrictEqual(rows.map((r) => r[1]), [1, 3]);
+  });
+
+  it('finds matches newest first with a centred snippet', async function () {
+    index.feed(SID, 'Error: first\n');
+    await index.flush();
+    now += 60000;
+    sessions.set(SID2, { name: 'web', agent: 'codex' });
+    index.feed(SID2, `${'x'.repeat(400)} ERROR: second ${'y'.repeat(400)}\nok\n`);
+    await index.flush();
+
+    const results = await index.search('error:');
+    assert.deepStrictEqual(results.map((r) => [r.name, r.line, r.linesFromEnd, r.live]), [
+      ['web', 1, 1, true],
+      ['api', 1, 0, true],
+    ]);
+    const { text, match } = results[0];
+    assert.strictEqual(text.length, 240);
+    assert.strictEqual(text.slice(match[0], match[1]), 'ERROR:');
+    assert.ok(match[0] > 100 && match[0] < 140, 'match sits mid-snippet');
+
+    assert.strictEqual((await index.search('error', { limit: 1 })).length, 1);
+    assert.deepStrictEqual((await index.search('error', { sessionId: SID })).map((r) => r.sessionId), [SID]);
+    assert.deepStrictEqual(await index.search('nothing like this'), []);
+  });
+
+  it('keeps closed sessions searchable under their last name', async function () {
+    index.feed(SID, 'panic: at the disco\n');
+    await index.flush();
+    sessions.delete(SID);
+    const [hit] = await index.search('panic');
+    assert.deepStrictEqual([hit.name, hit.live, hit.linesFromEnd], ['api', false, null]);
+  });
+
+  it('continues line numbers after a restart and seeds only new sessions', async function () {
+    index.feed(SID, 'one\ntwo\n');
+    await index.flush();
+    await index.close();
+
+    index = makeIndex();
+    await index.seed(SID, ['replayed tail\n']);
+    index.feed(SID, 'three\n');
+    await index.flush();
+    const rows = readRows(path.join(dir, 'search', `${SID}.jsonl`));
+    assert.strictEqual(rows.filter((r) => !Array.isArray(r)).length, 1, 'one header');
+    assert.deepStrictEqual(rows.pop(), [now, 3, 'three']);
+
+    await index.seed(SID2, ['restored output\n']);
+    await index.flush();
+    assert.strictEqual((await index.search('restored')).length, 1);
+  });
+
+  it('rolls a session file over at its cap', async function () {
+    index = makeIndex({ maxSessionBytes: 300 });
+    for (let i = 0; i < 6; i++) {
+      index.feed(SID, `line ${i} ${'z'.repeat(60)}\n`);
+      await index.flush();
+    }
+    const current = readRows(path.join(dir, 'search', `${SID}.jsonl`));
+    const rotated = readRows(path.join(dir, 'search', `${SID}.1.jsonl`));
+    assert.strictEqual(current[0].sessionId, SID, 'the new file starts with a header');
+    assert.strictEqual(rotated[0].sessionId, SID);
+    assert.ok(fs.statSync(path.join(dir, 'search', `${SID}.jsonl`)).size <= 300);
+    assert.strictEqual((await index.search('line 5')).length, 1);
+  });
+
+  it('pauses while the disk is full', async function () {
+    let full = true;
+    index = makeIndex({ isDiskFull: () => full });
+    index.feed(SID, 'dropped\n');
+    await index.flush();
+    full = false;
+    index.feed(SID, 'kept\n');
+    await index.flush();
+    assert.deepStrictEqual((await index.search('dropped')), []);
+    assert.strictEqual((await index.search('kept')).length, 1);
+  });
+
+  it('prunes by age, then oldest first down to the size cap', async function () {
+    const search = path.join(dir, 'search');
+    fs.mkdirSync(search);
+    const write = (name, bytes, ageDays) => {
+      const file = path.join(search, name);
+      fs.writeFileSync(file, 'x'.repeat(bytes));
+      const t = (now - ageDays * 86400000) / 1000;
+      fs.utimesSync(file, t, t);
+    };
+    write(`${SID}.jsonl`, 400, 0);
+    write(`${SID}.1.jsonl`, 400, 1);
+    write(`${SID2}.jsonl`, 400, 2);
+    write(`${SID2}.1.jsonl`, 400, 40);
+    write('notes.txt', 400, 90);
+
+    index = makeIndex({ maxBytes: 900, retentionDays: 30 });
+    const { pruned } = await index.prune();
+    assert.deepStrictEqual(pruned.sort(), [`${SID}.1.jsonl`, `${SID2}.1.jsonl`]);
+    assert.deepStrictEqual(fs.readdirSync(search).sort(), [`${SID}.jsonl`, `${SID2}.jsonl`, 'notes.txt']);
+  });
+
+  it('writes the last partial line and drops a forgotten session', async function () {
+    index.feed(SID, 'done\n$ exit');
+    await index.forget(SID);
+    assert.strictEqual(index._sessions.has(SID), false);
+    const rows = readRows(path.join(dir, 'search', `${SID}.jsonl`)).slice(1);
+    assert.deepStrictEqual(rows.map((r) => r[2]), ['done', '$ exit']);
+    await index.forget(SID); // unknown now: a no-op
+    assert.strictEqual((await index.search('exit')).length, 1, 'still searchable');
+  });
+
+  it('is on unless AIORDIE_SEARCH_INDEX turns it off', function () {
+    assert.strictEqual(OutputIndex.fromOptions({ storageDir: dir }, {}).enabled, true);
+    assert.strictEqual(OutputIndex.fromOptions({ storageDir: dir }, { AIORDIE_SEARCH_INDEX: '0' }).enabled, false);
+    const tuned = OutputIndex.fromOptions({ storageDir: dir }, { AIORDIE_SEARCH_MAX_MB: '16', AIORDIE_SEARCH_RETENTION_DAYS: '7' });
+    assert.deepStrictEqual([tuned.maxBytes, tuned.retentionDays], [16 * 1024 * 1024, 7]);
+  });
+});
+
+describe('SessionSearch helpers', function () {
+  it('builds the search query', function () {
+    assert.strictEqual(SessionSearch.buildQuery('  stack trace ', 20), 'q=stack+trace&limit=20');
+  });
+
+  it('splits a snippet around its match', function () {
+    assert.deepStrictEqual(SessionSearch.splitSnippet({ text: 'at foo (bar.js:1)', match: [3, 6] }), {
+      before: 'at ', match: 'foo', after: ' (bar.js:1)',
+    });
+  });
+
+  it('scrolls the hit to mid-screen', function () {
+    assert.strictEqual(SessionSearch.scrollTarget(1000, 24, 100), 887);
+    assert.strictEqual(SessionSearch.scrollTarget(30, 24, 25), 0);
+  });
+});
+
+let ClaudeCodeWebServer;
+try {
+  ({ ClaudeCodeWebServer } = require('../src/server'));
+} catch (e) {
+  // node-pty not installable on this runner — server suites skip.
+}
+
+(ClaudeCodeWebServer ? describe : describe.skip)('GET /api/sessions/search', function () {
+  this.timeout(30000);
+  let server, port, storageDir;
+
+  before(async function () {
+    storageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'output-index-server-'));
+    server = new ClaudeCodeWebServer({ port: 0, noAuth: true, sessionStoreOptions: { storageDir } });
+    const httpServer = await server.start();
+    port = httpServer.address().port;
+  });
+
+  after(async function () {
+    if (server) await server.close();
+    fs.rmSync(storageDir, { recursive: true, force: true });
+  });
+
+  it('searches what the server indexed', async function () {
+    server.outputIndex.feed(SID, 'Traceback (most recent call last):\n');
+    const res = await fetch(`http://127.0.0.1:${port}/api/sessions/search?q=traceback`);
+    assert.strictEqual(res.status, 200);
+    const body = await res.json();
+    assert.strictEqual(body.query, 'traceback');
+    assert.deepStrictEqual(body.results.map((r) => [r.sessionId, r.line, r.live]), [[SID, 1, false]]);
+  });
+
+  it('forgets a session when it is deleted or evicted', async function () {
+    const created = await fetch(`http://127.0.0.1:${port}/api/sessions/create`, {
+      method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ name: 'gone' }),
+    });
+    const { sessionId } = await created.json();
+    server.outputIndex.feed(sessionId, 'last words');
+    const deleted = await fetch(`http://127.0.0.1:${port}/api/sessions/${sessionId}`, { method: 'DELETE' });
+    assert.strictEqual(deleted.status, 200);
+    assert.strictEqual(server.outputIndex._sessions.has(sessionId), false);
+    assert.strictEqual((await server.outputIndex.search('last words')).length, 1);
+
+    const staleId = 'stale-' + Date.now();
+    const monthAgo = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000).toISOString();
+    server.claudeSessions.set(staleId, {
+      id: staleId, name: 'stale', workingDir: storageDir, created: monthAgo, lastActivity: monthAgo,
+      active: false, agent: 'claude', connections: new Set(), outputBuffer: [],
+    });
+    server.outputIndex.feed(staleId, 'old output\n');
+    await server._evictStaleSessions();
+    assert.strictEqual(server.claudeSessions.has(staleId), false);
+    assert.strictEqual(server.outputIndex._sessions.has(staleId), false);
+  });
+
+  it('rejects a query that is too short', async function () {
+    const res = await fetch(`http://127.0.0.1:${port}/api/sessions/search?q=a`);
+    assert.strictEqual(res.status, 400);
+    assert.strictEqual((await res.json()).code, 'INVALID_ARGUMENT');
+  });
+});
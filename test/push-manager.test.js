@@ -0,0 +1,247 @@
+'use strict';
+
+// Web Push: the RFC 8291 encryption vector, VAPID signing, PushManager's
+// event → notification rules and a round trip through a local receiver that
+// decrypts what it gets.
+
+const assert = require('assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const webPush = require('../src/utils/web-push');
+const PushManager = require('../src/push-manager');
+const { createPushRouter } = PushManager;
+const PushClient = require('../src/public/push-client');
+
+const b64 = (s) => Buffer.from(s, 'base64url');
+
+// A browser's side of a subscription: its ECDH key pair and auth secret.
+function makeBrowserKeys() {
+  const ecdh = crypto.createECDH('prime256v1');
+  ecdh.generateKeys();
+  const auth = crypto.randomBytes(16);
+  return { ecdh, auth, keys: { p256dh: ecdh.getPublicKey().toString('base64url'), auth: auth.toString('base64url') } };
+}
+
+// RFC 8291 decryption, as the browser does it.
+function decrypt(body, browser) {
+  const salt = body.subarray(0, 16);
+  const idLen = body.readUInt8(20);
+  const asPublic = body.subarray(21, 21 + idLen);
+  const ciphertext = body.subarray(21 + idLen);
+  const uaPublic = browser.ecdh.getPublicKey();
+  const secret = browser.ecdh.computeSecret(asPublic);
+  const ikm = Buffer.from(crypto.hkdfSync('sha256', secret, browser.auth, Buffer.concat([Buffer.from('WebPush: info\0'), uaPublic, asPublic]), 32));
+  const cek = Buffer.from(crypto.hkdfSync('sha256', ikm, salt, Buffer.from('Content-Encoding: aes128gcm\0'), 16));
+  const nonce = Buffer.from(crypto.hkdfSync('sha256', ikm, salt, Buffer.from('Content-Encoding: nonce\0'), 12));
+  const decipher = crypto.createDecipheriv('aes-128-gcm', cek, nonce);
+  decipher.setAuthTag(ciphertext.subarray(ciphertext.length - 16));
+  const plain = Buffer.concat([decipher.update(ciphertext.subarray(0, ciphertext.length - 16)), decipher.final()]);
+  assert.strictEqual(plain[plain.length - 1], 2, 'last-record delimiter');
+  return plain.subarray(0, plain.length - 1).toString('utf8');
+}
+
+describe('web-push', function () {
+  it('matches the RFC 8291 example message', function () {
+    const body = webPush.encryptPayload('When I grow up, I want to be a watermelon', {
+      p256dh: 'BCVxsr7N_eNgVRqvHtD0zTZsEc6-VV-JvLexhqUzORcxaOzi6-AYWXvTBHm4bjyPjs7Vd8pZGH6SRpkNtoIAiw4',
+      auth: 'BTBZMqHH6r4Tts7J_aSIgg',
+    }, {
+      salt: b64('DGv6ra1nlYgDCS1FRnbzlw'),
+      senderPrivateKey: b64('yfWPiYE-n46HLnH0KqZOF1fJJU3MYrct3AELtAQ-oRw'),
+    });
+    assert.strictEqual(body.toString('base64url'),
+      'DGv6ra1nlYgDCS1FRnbzlwAAEABBBP4z9KsN6nGRTbVYI_c7VJSPQTBtkgcy27mlmlMoZIIgDll6e3vCYLocInmYWAmS6TlzAC8wEqKK6PBru3jl7A_yl95bQpu6cVPTpK4Mqgkf1CXztLVBSt2Ks3oZwbuwXPXLWyouBWLVWGNWQexSgSxsj_Qulcy4a-fN');
+  });
+
+  it('signs a VAPID JWT for the endpoint origin', function () {
+    const keys = webPush.generateVapidKeys();
+    const header = webPush.vapidAuthorization('https://push.example.net/send/abc', keys, 'mailto:ops@example.net', 1000);
+    const [, jwt, k] = /^vapid t=([^,]+), k=(.+)$/.exec(header);
+    assert.strictEqual(k, keys.publicKey);
+    const [h, c, sig] = jwt.split('.');
+    assert.deepStrictEqual(JSON.parse(b64(c).toString()), { aud: 'https://push.example.net', exp: 1000 + 12 * 3600, sub: 'mailto:ops@example.net' });
+    const pub = b64(keys.publicKey);
+    const key = crypto.createPublicKey({ format: 'jwk', key: { kty: 'EC', crv: 'P-256', x: pub.subarray(1, 33).toString('base64url'), y: pub.subarray(33).toString('base64url') } });
+    assert.ok(crypto.verify('sha256', Buffer.from(`${h}.${c}`), { key, dsaEncoding: 'ieee-p1363' }, b64(sig)));
+  });
+});
+
+describe('PushManager', function () {
+  let dir;
+  beforeEach(function () { dir = fs.mkdtempSync(path.join(os.tmpdir(), 'push-manager-')); });
+  afterEach(function () { fs.rmSync(dir, { recursive: true, force: true }); });
+
+  async function makeManager(send) {
+    const sent = [];
+    const manager = new PushManager({
+      storageDir: dir,
+      hostname: 'box',
+      sessions: new Map([['s1', { name: 'api' }]]),
+      send: send || (async (sub, message) => { sent.push({ endpoint: sub.endpoint, message }); return { statusCode: 201 }; }),
+      logger: { warn: () => {} },
+      pushHosts: ['push.example.net'],
+    });
+    await manager.init();
+    return { manager, sent };
+  }
+
+  it('creates VAPID keys once and keeps them private', async function () {
+    const { manager } = await makeManager();
+    const file = path.join(dir, 'push', 'vapid.json');
+    if (process.platform !== 'win32') assert.strictEqual(fs.statSync(file).mode & 0o777, 0o600);
+    const again = await makeManager();
+    assert.strictEqual(again.manager.vapidKeys.publicKey, manager.vapidKeys.publicKey);
+  });
+
+  it('pushes long turns and waiting input, honouring per-browser mutes', async function () {
+    const { manager, sent } = await makeManager();
+    const phone = { endpoint: 'https://push.example.net/phone', keys: makeBrowserKeys().keys };
+    const laptop = { endpoint: 'https://push.example.net/laptop', keys: makeBrowserKeys().keys };
+    await manager.subscribe(phone, 'alice');
+    await manager.subscribe(laptop, 'alice');
+
+    await manager.handleEvent({ sessionId: 's1', kind: 'became_busy', at: 0 });
+    await manager.handleEvent({ sessionId: 's1', kind: 'turn_ended', at: 5000 });
+    assert.strictEqual(sent.length, 0, 'a short turn is not worth a push');
+
+    await manager.handleEvent({ sessionId: 's1', kind: 'became_busy', at: 10000 });
+    await manager.handleEvent({ sessionId: 's1', kind: 'became_idle', at: 100000 });
+    await manager.handleEvent({ sessionId: 's1', kind: 'turn_ended', at: 100100 });
+    assert.strictEqual(sent.length, 2);
+    assert.deepStrictEqual(sent[0].message, {
+      title: '[box] api',
+      body: 'Turn finished after 1m 30s',
+      sessionId: 's1',
+      kind: 'turn_ended',
+      tag: 's1:turn_ended',
+    });
+
+    const state = await manager.setMuted(phone.endpoint, 's1', true);
+    assert.deepStrictEqual(state.muted, ['s1']);
+    await manager.handleEvent({ sessionId: 's1', kind: 'waiting_input', at: 200000 });
+    assert.deepStrictEqual(sent.slice(2).map((s) => [s.endpoint, s.message.body]), [[laptop.endpoint, 'Waiting for your input']]);
+
+    await manager.handleEvent({ sessionId: 's1', kind: 'session_deleted', at: 300000 });
+    assert.deepStrictEqual(manager.state(phone.endpoint).muted, []);
+  });
+
+  it('pushes budget alerts, including day budgets with no session', async function () {
+    const { manager, sent } = await makeManager();
+    await manager.subscribe({ endpoint: 'https://push.example.net/phone', keys: makeBrowserKeys().keys });
+    await manager.handleEvent({
+      sessionId: null,
+      kind: 'budget_alert',
+      at: 1,
+      detail: { budget: 'daily', cost: 41.5, maxCost: 40, tokens: 900000, maxTokens: null, fraction: 1.0375, exceeded: true, interrupted: ['s1'] },
+    });
+    assert.deepStrictEqual(sent[0].message, {
+      title: '[box] Budget "daily" exceeded',
+      body: '104% used: $41.50 of $40 \u2014 interrupted 1 session(s)',
+      sessionId: null,
+      kind: 'budget_alert',
+      tag: 'budget:daily',
+    });
+  });
+
+  it('drops subscriptions the push service reports gone', async function () {
+    const { manager } = await makeManager(async () => ({ statusCode: 410 }));
+    await manager.subscribe({ endpoint: 'https://push.example.net/old', keys: makeBrowserKeys().keys });
+    await manager.handleEvent({ sessionId: 's1', kind: 'waiting_input', at: 1 });
+    assert.strictEqual(manager.subscriptions.length, 0);
+    const saved = JSON.parse(fs.readFileSync(path.join(dir, 'push', 'subscriptions.json'), 'utf8'));
+    assert.deepStrictEqual(saved.subscriptions, []);
+  });
+
+  it('rejects plain-http endpoints off loopback and malformed keys', async function () {
+    const { manager } = await makeManager();
+    const keys = makeBrowserKeys().keys;
+    await assert.rejects(manager.subscribe({ endpoint: 'http://push.example.net/x', keys }), /must be https/);
+    await assert.rejects(manager.subscribe({ endpoint: 'https://push.example.net/x', keys: { p256dh: 'AAAA', auth: keys.auth } }), /P-256/);
+  });
+
+  it('only posts to known push services', async function () {
+    const { manager } = await makeManager();
+    const keys = makeBrowserKeys().keys;
+    for (const endpoint of ['https://169.254.169.254/latest/meta-data', 'https://10.0.0.5/x', 'http://127.0.0.1:8080/x', 'https://evil.example.com/x']) {
+      await assert.rejects(manager.subscribe({ endpoint, keys }), (err) => err.status === 400 && /not a known push service/.test(err.message), endpoint);
+    }
+    assert.deepStrictEqual(manager.subscriptions, []);
+
+    const { normalizeSubscription, KNOWN_PUSH_HOSTS } = PushManager;
+    for (const endpoint of ['https://fcm.googleapis.com/fcm/send/a', 'https://updates.push.services.mozilla.com/wpush/v2/b', 'https://web.push.apple.com/c']) {
+      assert.strictEqual(normalizeSubscription({ endpoint, keys }, KNOWN_PUSH_HOSTS).endpoint, endpoint);
+    }
+    assert.throws(() => normalizeSubscription({ endpoint: 'https://fcm.googleapis.com.evil.net/x', keys }), /not a known push service/);
+
+    // A subscription saved before the check, to a host no longer allowed, is dropped on load.
+    const file = path.join(dir, 'push', 'subscriptions.json');
+    fs.writeFileSync(file, JSON.stringify({ subscriptions: [{ endpoint: 'https://10.0.0.5/x', keys }, { endpoint: 'https://push.example.net/ok', keys }] }));
+    const { manager: reloaded } = await makeManager();
+    assert.deepStrictEqual(reloaded.subscriptions.map((s) => s.endpoint), ['https://push.example.net/ok']);
+  });
+
+  it('delivers an encrypted, VAPID-signed message through /api/push to a local receiver', async function () {
+    const received = [];
+    const receiver = http.createServer((req, res) => {
+      const chunks = [];
+      req.on('data', (c) => chunks.push(c));
+      req.on('end', () => {
+        received.push({ headers: req.headers, body: Buffer.concat(chunks) });
+        res.writeHead(201).end();
+      });
+    });
+    await new Promise((resolve) => receiver.listen(0, '127.0.0.1', resolve));
+    const manager = new PushManager({ storageDir: dir, hostname: 'box', sessions: new Map([['s1', { name: 'api' }]]), pushHosts: ['127.0.0.1'] });
+    await manager.init();
+    const audits = [];
+    const app = express();
+    app.use(express.json());
+    app.use('/api/push', createPushRouter({ pushManager: manager, audit: (actor, action, details) => audits.push({ action, details }) }));
+    const api = await new Promise((resolve) => { const s = app.listen(0, '127.0.0.1', () => resolve(s)); });
+
+    try {
+      const browser = makeBrowserKeys();
+      const endpoint = `http://127.0.0.1:${receiver.address().port}/push/device-1`;
+      const base = `http://127.0.0.1:${api.address().port}/api/push`;
+      const post = (p, body) => fetch(base + p, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) });
+
+      const sub = await post('/subscribe', { subscription: { endpoint, keys: browser.keys } });
+      assert.strictEqual(sub.status, 201);
+      assert.strictEqual((await sub.json()).publicKey, manager.vapidKeys.publicKey);
+      assert.deepStrictEqual(audits, [{ action: 'push.subscribe', details: { host: `127.0.0.1:${receiver.address().port}` } }]);
+
+      assert.strictEqual(await manager.handleEvent({ sessionId: 's1', kind: 'waiting_input', at: 1 }), 1);
+      assert.strictEqual(received.length, 1);
+      const { headers, body } = received[0];
+      assert.strictEqual(headers['content-encoding'], 'aes128gcm');
+      assert.strictEqual(headers.urgency, 'high');
+      assert.ok(headers.authorization.endsWith(`k=${manager.vapidKeys.publicKey}`));
+      assert.deepStrictEqual(JSON.parse(decrypt(body, browser)), {
+        title: '[box] api', body: 'Waiting for your input', sessionId: 's1', kind: 'waiting_input', tag: 's1:waiting_input',
+      });
+
+      const mute = await post('/mute', { endpoint, sessionId: 's1', muted: true });
+      assert.deepStrictEqual((await mute.json()).muted, ['s1']);
+      const state = await (await fetch(`${base}?endpoint=${encodeURIComponent(endpoint)}`)).json();
+      assert.strictEqual(state.subscribed, true);
+
+      const gone = await post('/unsubscribe', { endpoint });
+      assert.deepStrictEqual(await gone.json(), { removed: true });
+      assert.strictEqual((await post('/mute', { endpoint, sessionId: 's1' })).status, 404);
+    } finally {
+      await new Promise((resolve) => api.close(resolve));
+      await new Promise((resolve) => receiver.close(resolve));
+    }
+  });
+});
+
+describe('PushClient.keyToBytes', function () {
+  it('decodes a base64url VAPID key', function () {
+    const keys = webPush.generateVapidKeys();
+    assert.deepStrictEqual(Buffer.from(PushClient.keyToBytes(keys.publicKey)), b64(keys.publicKey));
+  });
+});
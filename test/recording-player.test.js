@@ -0,0 +1,62 @@
+'use strict';
+
+// Pure-logic tests for the session replay viewer (src/public/recording-player.js):
+// asciicast parsing, seek indexing, event collapsing and time-offset parsing.
+// The DOM/xterm shell is thin glue over these and is exercised manually.
+
+const assert = require('assert');
+const RecordingPlayer = require('../src/public/recording-player');
+
+const { parseAsciicast, indexAfter, collectRange, formatOffset, parseOffset } = RecordingPlayer;
+
+const CAST = [
+  JSON.stringify({ version: 2, width: 80, height: 24, title: 't' }),
+  JSON.stringify([0.5, 'o', 'a']),
+  JSON.stringify([1.0, 'i', 'x']),
+  JSON.stringify([1.0, 'o', 'b']),
+  JSON.stringify([2.0, 'r', '100x30']),
+  JSON.stringify([3.25, 'o', 'c']),
+  '[4.0, "o", "tor', // torn tail of a recording that is still being written
+].join('\n');
+
+describe('recording-player.js (replay logic)', function () {
+  it('parses header and events, skipping a torn last line', function () {
+    const cast = parseAsciicast(CAST);
+    assert.strictEqual(cast.header.width, 80);
+    assert.strictEqual(cast.events.length, 5);
+    assert.strictEqual(cast.duration, 3.25);
+  });
+
+  it('rejects files that are not asciicast v2', function () {
+    assert.throws(() => parseAsciicast('{"version":1}\n'), /asciicast v2/);
+    assert.throws(() => parseAsciicast(''), /Empty/);
+  });
+
+  it('finds the first event after an offset', function () {
+    const { events } = parseAsciicast(CAST);
+    assert.strictEqual(indexAfter(events, 0), 0);
+    assert.strictEqual(indexAfter(events, 1.0), 3, 'events at exactly t are included');
+    assert.strictEqual(indexAfter(events, 99), events.length);
+  });
+
+  it('collapses a range into output, last size and last input', function () {
+    const { events } = parseAsciicast(CAST);
+    assert.deepStrictEqual(collectRange(events, 0, events.length), {
+      output: 'abc',
+      size: { cols: 100, rows: 30 },
+      input: 'x',
+    });
+    assert.deepStrictEqual(collectRange(events, 0, 1), { output: 'a', size: null, input: null });
+  });
+
+  it('formats and parses time offsets', function () {
+    assert.strictEqual(formatOffset(0), '0:00');
+    assert.strictEqual(formatOffset(75.9), '1:15');
+    assert.strictEqual(formatOffset(3723), '1:02:03');
+    assert.strictEqual(parseOffset('90'), 90);
+    assert.strictEqual(parseOffset('1:30'), 90);
+    assert.strictEqual(parseOffset('1:02:03'), 3723);
+    assert.strictEqual(parseOffset('abc'), null);
+    assert.strictEqual(parseOffset(''), null);
+  });
+});
@@ -0,0 +1,249 @@
+'use strict';
+
+// Secret vault: the encrypted store (secret-vault.js), literal-value
+// redaction (secret-redact.js), and secrets injected into a session's PTY
+// without reaching sessions.json or an export.
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { SecretVault, normalizeSecretNames } = require('../src/secret-vault');
+const {
+  redactSecrets,
+  registerSecretValues,
+  clearSecretValues,
+  redactKnownSecretChunks,
+} = require('../src/utils/secret-redact');
+const SessionStore = require('../src/utils/session-store');
+const CircularBuffer = require('../src/utils/circular-buffer');
+const VaultManager = require('../src/public/vault-manager');
+
+// Cheap scrypt for tests; the default cost is for real passphrases.
+const FAST_KDF = { N: 2 ** 10, r: 8, p: 1 };
+
+describe('SecretVault', function () {
+  let storageDir, vault;
+
+  beforeEach(function () {
+    storageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'vault-'));
+    vault = new SecretVault({ storageDir, kdf: FAST_KDF });
+  });
+
+  afterEach(function () {
+    fs.rmSync(storageDir, { recursive: true, force: true });
+  });
+
+  it('keeps names and values out of the file and reads them back with the passphrase', async function () {
+    assert.deepStrictEqual(await vault.status(), { exists: false, unlocked: false });
+    await vault.create('correct horse');
+    await vault.set('OPENAI_API_KEY', 'sk-live-value-123');
+    const raw = fs.readFileSync(path.join(storageDir, 'vault.json'), 'utf8');
+    assert.ok(!raw.includes('OPENAI_API_KEY') && !raw.includes('sk-live-value-123'));
+    if (process.platform !== 'win32') assert.strictEqual(fs.statSync(path.join(storageDir, 'vault.json')).mode & 0o777, 0o600);
+
+    const reopened = new SecretVault({ storageDir, kdf: FAST_KDF });
+    assert.deepStrictEqual(await reopened.status(), { exists: true, unlocked: false });
+    await assert.rejects(reopened.unlock('wrong horse'), (err) => err.code === 'INVALID_PASSPHRASE' && err.statusCode === 403);
+    await reopened.unlock('correct horse');
+    assert.deepStrictEqual(reopened.list().map((s) => s.name), ['OPENAI_API_KEY']);
+    assert.deepStrictEqual(reopened.resolve(['OPENAI_API_KEY']), { OPENAI_API_KEY: 'sk-live-value-123' });
+  });
+
+  it('refuses to resolve while locked or for a name it does not have', async function () {
+    await vault.create('correct horse');
+    assert.throws(() => vault.resolve(['NOPE']), (err) => err.code === 'SECRET_NOT_FOUND' && err.statusCode === 404);
+    vault.lock();
+    assert.deepStrictEqual(vault.resolve([]), {});
+    assert.throws(() => vault.resolve(['ANY']), (err) => err.code === 'VAULT_LOCKED' && err.statusCode === 423);
+    assert.throws(() => vault.list(), (err) => err.code === 'VAULT_LOCKED');
+    await assert.rejects(vault.create('another one'), (err) => err.code === 'VAULT_EXISTS');
+  });
+
+  it('changes the passphrase only when given the current one', async function () {
+    await vault.create('correct horse');
+    await vault.set('TOKEN', 'abcdef123456');
+    await assert.rejects(vault.changePassphrase('wrong horse', 'battery staple'), (err) => err.code === 'INVALID_PASSPHRASE');
+    await vault.changePassphrase('correct horse', 'battery staple');
+    const reopened = new SecretVault({ storageDir, kdf: FAST_KDF });
+    await assert.rejects(reopened.unlock('correct horse'), (err) => err.code === 'INVALID_PASSPHRASE');
+    await reopened.unlock('battery staple');
+    assert.deepStrictEqual(reopened.resolve(['TOKEN']), { TOKEN: 'abcdef123456' });
+  });
+
+  it('keeps a save queued before a lock readable', async function () {
+    await vault.create('correct horse');
+    const saving = vault.set('TOKEN', 'abcdef123456');
+    vault.lock();
+    await saving;
+    const reopened = new SecretVault({ storageDir, kdf: FAST_KDF });
+    await reopened.unlock('correct horse');
+    assert.deepStrictEqual(reopened.resolve(['TOKEN']), { TOKEN: 'abcdef123456' });
+  });
+
+  it('validates names, values and passphrases', async function () {
+    await assert.rejects(vault.create('short'), (err) => err.code === 'INVALID_ARGUMENT');
+    await vault.create('correct horse');
+    await assert.rejects(vault.set('BAD-NAME', 'value'), (err) => err.code === 'INVALID_ARGUMENT');
+    await assert.rejects(vault.set('OK', ''), (err) => err.code === 'INVALID_ARGUMENT');
+    assert.deepStrictEqual(normalizeSecretNames(['A', 'B', 'A']), ['A', 'B']);
+    assert.throws(() => normalizeSecretNames('A'), (err) => err.code === 'INVALID_ARGUMENT');
+  });
+});
+
+describe('secret-redact known values', function () {
+  afterEach(clearSecretValues);
+
+  it('redacts registered values anywhere redactSecrets runs, and skips short ones', function () {
+    registerSecretValues(['plain-looking-value', 'abc']);
+    assert.strictEqual(redactSecrets('got plain-looking-value and abc'), 'got [redacted] and abc');
+  });
+
+  it('redacts a value split across chunks and keeps the chunk count', function () {
+    registerSecretValues(['hunter2hunter2']);
+    const chunks = ['login: hun', 'ter2hu', 'nter2 ok\r\n', 'again hunter2hunter2\r\n'];
+    assert.deepStrictEqual(redactKnownSecretChunks(chunks), ['login: [redacted]', '', ' ok\r\n', 'again [redacted]\r\n']);
+    const untouched = ['nothing here'];
+    assert.strictEqual(redactKnownSecretChunks(untouched), untouched);
+  });
+
+  it('matches a multi-line value as the terminal echoes it', function () {
+    registerSecretValues(['line-one\nline-two']);
+    assert.deepStrictEqual(redactKnownSecretChunks(['x line-one\r', '\nline-two y']), ['x [redacted]', ' y']);
+  });
+
+  it('scrubs registered values from the buffers SessionStore writes', async function () {
+    const storageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'vault-store-'));
+    try {
+      registerSecretValues(['tok_0123456789']);
+      const store = new SessionStore({ storageDir });
+      const outputBuffer = CircularBuffer.fromArray(['$ echo $TOKEN\r\ntok_01234', '56789\r\n$ '], 1000);
+      const sessions = new Map([['s1', { name: 'One', workingDir: storageDir, outputBuffer, secretNames: ['TOKEN'] }]]);
+      store.markDirty();
+      await store.saveSessions(sessions);
+      const saved = JSON.parse(fs.readFileSync(path.join(storageDir, 'sessions.json'), 'utf8')).sessions[0];
+      assert.deepStrictEqual(saved.outputBuffer, ['$ echo $TOKEN\r\n[redacted]', '\r\n$ ']);
+      assert.deepStrictEqual(saved.secretNames, ['TOKEN']);
+    } finally {
+      fs.rmSync(storageDir, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('VaultManager helpers', function () {
+  it('lists every vault secret for a tab and keeps names the vault lost', function () {
+    assert.deepStrictEqual(VaultManager.secretChoices(['A', 'B'], ['B', 'GONE']), [
+      { name: 'A', checked: false, missing: false },
+      { name: 'B', checked: true, missing: false },
+      { name: 'GONE', checked: true, missing: true },
+    ]);
+  });
+});
+
+let ClaudeCodeWebServer;
+try {
+  ({ ClaudeCodeWebServer } = require('../src/server'));
+} catch (e) {
+  // node-pty not installable on this runner — server suites skip.
+}
+
+(ClaudeCodeWebServer && process.platform !== 'win32' ? describe : describe.skip)('/api/vault', function () {
+  this.timeout(60000);
+  const TOKEN = 'vault-test-token-8c1f2e';
+  let server, base, storageDir, workspace;
+
+  const call = async (method, url, body) => {
+    const res = await fetch(base + url, {
+      method,
+      headers: body ? { 'Content-Type': 'application/json' } : {},
+      body: body ? JSON.stringify(body) : undefined,
+    });
+    const text = await res.text();
+    let json = null;
+    try { json = JSON.parse(text); } catch (_) { /* not JSON */ }
+    return { status: res.status, body: json, text };
+  };
+  const waitFor = async (check, ms) => {
+    const deadline = Date.now() + ms;
+    while (Date.now() < deadline) {
+      const value = check();
+      if (value) return value;
+      await new Promise((r) => setTimeout(r, 250));
+    }
+    return check();
+  };
+
+  before(async function () {
+    storageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'vault-server-'));
+    workspace = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'vault-ws-')));
+    server = new ClaudeCodeWebServer({ port: 0, noAuth: true, sessionStoreOptions: { storageDir } });
+    server.baseFolder = workspace;
+    server.secretVault.kdf = FAST_KDF;
+    const httpServer = await server.start();
+    base = `http://127.0.0.1:${httpServer.address().port}`;
+  });
+
+  after(async function () {
+    clearSecretValues();
+    if (server) {
+      for (const [id, session] of server.claudeSessions) {
+        if (session.active) await server.getBridgeForAgent(session.agent).stopSession(id).catch(() => {});
+      }
+      await server.close();
+    }
+    fs.rmSync(storageDir, { recursive: true, force: true });
+    fs.rmSync(workspace, { recursive: true, force: true });
+  });
+
+  it('creates, locks and unlocks the vault, listing names only', async function () {
+    assert.deepStrictEqual((await call('GET', '/api/vault')).body, { exists: false, unlocked: false, secrets: [] });
+    assert.strictEqual((await call('POST', '/api/vault', { passphrase: 'correct horse' })).status, 201);
+    const set = await call('PUT', '/api/vault/secrets/VAULT_TEST_TOKEN', { value: TOKEN });
+    assert.deepStrictEqual(set.body.secrets.map((s) => s.name), ['VAULT_TEST_TOKEN']);
+    assert.ok(!set.text.includes(TOKEN));
+    assert.strictEqual((await call('POST', '/api/vault/lock')).body.unlocked, false);
+    assert.strictEqual((await call('POST', '/api/vault/unlock', { passphrase: 'nope nope' })).body.code, 'INVALID_PASSPHRASE');
+  });
+
+  it('will not start a session with secrets while the vault is locked', async function () {
+    const r = await call('POST', '/api/control/sessions/create', { agent: 'terminal', start: true, workingDir: workspace, secrets: ['VAULT_TEST_TOKEN'] });
+    assert.strictEqual(r.status, 423);
+    assert.strictEqual(r.body.error.code, 'VAULT_LOCKED');
+  });
+
+  it('injects a secret into the PTY and keeps it out of sessions.json and exports', async function () {
+    assert.strictEqual((await call('POST', '/api/vault/unlock', { passphrase: 'correct horse' })).status, 200);
+    const r = await call('POST', '/api/control/sessions/create', {
+      agent: 'terminal', start: true, workingDir: workspace, secrets: ['VAULT_TEST_TOKEN'], readyTimeoutMs: 0,
+    });
+    assert.strictEqual(r.status, 200);
+    const id = r.body.sessionId;
+    const session = server.claudeSessions.get(id);
+    assert.deepStrictEqual(session.secretNames, ['VAULT_TEST_TOKEN']);
+
+    await server.getBridgeForAgent('terminal').sendInput(id, 'echo "$VAULT_TEST_TOKEN" | tee token.txt\r');
+    const tokenFile = path.join(workspace, 'token.txt');
+    assert.strictEqual(await waitFor(() => fs.existsSync(tokenFile) && fs.readFileSync(tokenFile, 'utf8'), 20000), `${TOKEN}\n`);
+    await waitFor(() => session.outputBuffer.toArray().join('').includes(TOKEN), 5000);
+
+    server.sessionStore.markDirty();
+    await server.sessionStore.saveSessions(server.claudeSessions);
+    const saved = fs.readFileSync(path.join(storageDir, 'sessions.json'), 'utf8');
+    assert.ok(!saved.includes(TOKEN));
+    assert.ok(saved.includes('[redacted]'));
+
+    const exported = await call('GET', `/api/sessions/${id}/export?format=md`);
+    assert.strictEqual(exported.status, 200);
+    assert.ok(!exported.text.includes(TOKEN));
+  });
+
+  it('sets the secrets a tab starts with', async function () {
+    const created = await call('POST', '/api/sessions/create', { name: 'Plain', workingDir: workspace });
+    const id = created.body.sessionId;
+    const r = await call('PUT', `/api/sessions/${id}/secrets`, { secrets: ['VAULT_TEST_TOKEN'] });
+    assert.deepStrictEqual(r.body, { secrets: ['VAULT_TEST_TOKEN'], active: false });
+    const listed = (await call('GET', '/api/sessions/list')).body.sessions.find((s) => s.id === id);
+    assert.deepStrictEqual(listed.secretNames, ['VAULT_TEST_TOKEN']);
+    assert.strictEqual((await call('PUT', `/api/sessions/${id}/secrets`, { secrets: ['bad-name'] })).status, 400);
+  });
+});
@@ -0,0 +1,193 @@
+'use strict';
+
+// Session export: report assembly, redaction and rendering (session-export.js)
+// and GET /api/sessions/:id/export for a terminal tab in a git repository and
+// a Claude tab bound to a synthetic transcript.
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const sessionExport = require('../src/session-export');
+const CircularBuffer = require('../src/utils/circular-buffer');
+const { line, prompt, assistant } = require('./fixtures/claude-transcript');
+
+const TOKEN = 'ghp_' + 'a1B2c3D4e5F6g7H8i9J0k1L2m3N4';
+
+const TRANSCRIPT = [
+  line(prompt('u1', `Use ${TOKEN} to push`)),
+  line(assistant('a1', 'msg-1', [{ type: 'text', text: 'Pushing.' }], 5)),
+  line(assistant('a2', 'msg-1', [{ type: 'tool_use', id: 'tu-1', name: 'Bash', input: { command: 'git push\n--force' } }], 20)),
+  line({
+    type: 'user',
+    uuid: 'u2',
+    message: { role: 'user', content: [{ type: 'tool_result', tool_use_id: 'tu-1', is_error: true, content: 'rejected' }] },
+  }),
+].join('');
+
+describe('session-export', function () {
+  const session = { id: 's1', name: 'Fix <login>', agent: 'claude', workingDir: '/w', created: '2026-10-01T09:00:00Z' };
+  const now = new Date('2026-10-02T12:00:00Z');
+
+  it('reduces terminal output to plain lines', function () {
+    const lines = sessionExport.terminalLines(['\x1b[32mok\x1b[0m\r\n', '\r\n\r\n\r\n', 'progress 10%\rprogress 99%\r\n', '\r\n']);
+    assert.deepStrictEqual(lines, ['ok', '', 'progress 99%']);
+    assert.deepStrictEqual(sessionExport.terminalLines(['a\nb\nc\n'], 2), ['b', 'c']);
+  });
+
+  it('groups transcript entries into turns and counts each message once', async function () {
+    const { readTranscript } = require('../src/claude-transcript');
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'export-'));
+    try {
+      const file = path.join(dir, 't.jsonl');
+      fs.writeFileSync(file, TRANSCRIPT);
+      const [turn] = sessionExport.turnsFromEntries((await readTranscript(file)).entries);
+      assert.deepStrictEqual(turn.replies, ['Pushing.']);
+      assert.deepStrictEqual(turn.tools, [{ name: 'Bash', detail: 'git push', file: null, error: true }]);
+      assert.deepStrictEqual(turn.usage, { inputTokens: 10, outputTokens: 20, cacheReadTokens: 1000, cacheCreationTokens: 0 });
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('redacts every string in the report', function () {
+    const report = sessionExport.redactReport(sessionExport.buildReport({
+      session,
+      note: { title: 'Deploy', goal: `API_KEY=${TOKEN}`, done: [TOKEN], remaining: [] },
+      terminal: [`export GITHUB_TOKEN=${TOKEN}\n`],
+      now,
+    }));
+    assert.ok(!JSON.stringify(report).includes(TOKEN));
+    assert.strictEqual(report.note.goal, 'API_KEY=[redacted]');
+    assert.strictEqual(report.conversation.kind, 'terminal');
+  });
+
+  it('renders Markdown whose fences the content cannot close', function () {
+    const report = sessionExport.buildReport({ session, note: null, terminal: ['```\nnot the end\n'], now });
+    const md = sessionExport.toMarkdown(report);
+    assert.ok(md.startsWith('# Fix \\<login\\>\n'));
+    assert.ok(md.includes('## Terminal\n\n````text\n```\nnot the end\n````\n'));
+    assert.strictEqual(sessionExport.exportFileName(report, 'md'), 'Fix-login-2026-10-02.md');
+  });
+
+  it('renders self-contained, escaped HTML', function () {
+    const report = sessionExport.buildReport({
+      session,
+      note: { goal: '<script>alert(1)</script>', done: [], remaining: [] },
+      now,
+    });
+    const html = sessionExport.toHtml(report);
+    assert.ok(html.includes("content=\"default-src 'none'; style-src 'unsafe-inline'\""));
+    assert.ok(html.includes('&lt;script&gt;alert(1)&lt;/script&gt;'));
+    assert.ok(!/<script|<link|src=/i.test(html));
+  });
+});
+
+let ClaudeCodeWebServer;
+try {
+  ({ ClaudeCodeWebServer } = require('../src/server'));
+} catch (e) {
+  // node-pty not installable on this runner — server suites skip.
+}
+let gitAvailable = true;
+try {
+  execFileSync('git', ['--version'], { stdio: 'ignore' });
+} catch (_) {
+  gitAvailable = false;
+}
+
+(ClaudeCodeWebServer && gitAvailable ? describe : describe.skip)('/api/sessions/:id/export', function () {
+  this.timeout(30000);
+  let server, base, storageDir, workspace, repo, transcriptDir;
+
+  const git = (...args) => execFileSync('git', args, { cwd: repo, encoding: 'utf8' }).trim();
+
+  before(async function () {
+    storageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'export-store-'));
+    // realpath: validatePath compares against the resolved base (macOS /var).
+    workspace = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'export-ws-')));
+    transcriptDir = fs.mkdtempSync(path.join(os.tmpdir(), 'export-project-'));
+    repo = path.join(workspace, 'repo');
+    fs.mkdirSync(repo);
+    git('init', '--quiet', '-b', 'main');
+    git('config', 'user.email', 'test@example.com');
+    git('config', 'user.name', 'Test');
+    git('config', 'commit.gpgsign', 'false');
+    fs.writeFileSync(path.join(repo, 'a.txt'), 'one\n');
+    git('add', 'a.txt');
+    git('commit', '--quiet', '-m', 'Add a.txt');
+    fs.writeFileSync(path.join(repo, 'a.txt'), 'two\n');
+    fs.writeFileSync(path.join(repo, 'new.txt'), 'new\n');
+    fs.writeFileSync(path.join(transcriptDir, 'claude-1.jsonl'), TRANSCRIPT);
+
+    server = new ClaudeCodeWebServer({ port: 0, noAuth: true, sessionStoreOptions: { storageDir } });
+    server.baseFolder = workspace;
+    const httpServer = await server.start();
+    base = `http://127.0.0.1:${httpServer.address().port}/api/sessions`;
+
+    const outputBuffer = new CircularBuffer(100);
+    outputBuffer.push(`$ \x1b[1mcat .env\x1b[0m\r\nGITHUB_TOKEN=${TOKEN}\r\n`);
+    const created = new Date(Date.now() - 60_000);
+    server.claudeSessions.set('ex-term', {
+      id: 'ex-term', name: 'Terminal work', active: false, agent: 'terminal', workingDir: repo,
+      connections: new Set(), created, outputBuffer,
+      stickyNote: { title: 'Release prep', goal: 'Tag the release', done: ['Bumped version'], remaining: ['Push tag'] },
+    });
+    server.claudeSessions.set('ex-claude', {
+      id: 'ex-claude', name: 'Claude work', active: false, agent: 'claude', workingDir: repo,
+      connections: new Set(), created, outputBuffer: new CircularBuffer(10),
+    });
+    server._stickyJsonl.set('ex-claude', { file: path.join(transcriptDir, 'claude-1.jsonl'), claudeSessionId: 'claude-1', offset: 0 });
+  });
+
+  after(async function () {
+    if (server) {
+      server._stickyJsonl.delete('ex-claude');
+      server.claudeSessions.delete('ex-term');
+      server.claudeSessions.delete('ex-claude');
+      await server.close();
+    }
+    for (const dir of [storageDir, workspace, transcriptDir]) fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('exports a terminal tab with its note, terminal text and changed files', async function () {
+    const res = await fetch(`${base}/ex-term/export?format=json`);
+    assert.strictEqual(res.status, 200);
+    const report = await res.json();
+    assert.strictEqual(report.note.goal, 'Tag the release');
+    assert.strictEqual(report.conversation.kind, 'terminal');
+    assert.deepStrictEqual(report.conversation.lines, ['$ cat .env', 'GITHUB_TOKEN=[redacted]']);
+    assert.strictEqual(report.repo.branch, 'main');
+    assert.deepStrictEqual(report.repo.files.map((f) => f.path).sort(), ['a.txt', 'new.txt']);
+    assert.deepStrictEqual(report.repo.commits.map((c) => c.subject), ['Add a.txt']);
+    assert.strictEqual(report.usage, null);
+
+    const md = await fetch(`${base}/ex-term/export`);
+    assert.strictEqual(md.headers.get('content-type'), 'text/markdown; charset=utf-8');
+    assert.match(md.headers.get('content-disposition'), /^attachment; filename="Release-prep-\d{4}-\d{2}-\d{2}\.md"$/);
+    const text = await md.text();
+    assert.ok(text.includes('## Files changed'));
+    assert.ok(!text.includes(TOKEN));
+  });
+
+  it('exports a Claude tab from its transcript', async function () {
+    const res = await fetch(`${base}/ex-claude/export?format=html`);
+    assert.strictEqual(res.status, 200);
+    assert.strictEqual(res.headers.get('content-type'), 'text/html; charset=utf-8');
+    const html = await res.text();
+    assert.ok(html.includes('<h2>Conversation</h2>'));
+    assert.ok(html.includes('Pushing.'));
+    assert.ok(html.includes('Use [redacted] to push'));
+    assert.ok(!html.includes(TOKEN));
+  });
+
+  it('rejects unknown formats and sessions', async function () {
+    const bad = await fetch(`${base}/ex-term/export?format=pdf`);
+    assert.strictEqual(bad.status, 400);
+    assert.strictEqual((await bad.json()).code, 'INVALID_ARGUMENT');
+    const missing = await fetch(`${base}/nope/export`);
+    assert.strictEqual(missing.status, 404);
+    assert.strictEqual((await missing.json()).code, 'SESSION_NOT_FOUND');
+  });
+});
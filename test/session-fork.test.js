@@ -0,0 +1,243 @@
+// test/session-fork.test.js — forking a running session.
+//
+// Covers ClaudeCodeWebServer._forkSession (same tool, directory and launch
+// options; claude resumes its bound transcript with --fork-session; optional
+// git worktree), src/utils/git-worktree.js, and the POST
+// /api/sessions/:id/fork route.
+
+'use strict';
+
+const assert = require('assert');
+const { execFileSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createWorktree, findRepo } = require('../src/utils/git-worktree');
+const { gitAvailable, makeRepo: makeGitRepo } = require('./fixtures/git-repo');
+
+// A repo with one commit and a src/ subdirectory.
+const makeRepo = () => makeGitRepo('fork-repo-', { 'src/a.txt': 'a\n' });
+
+(gitAvailable() ? describe : describe.skip)('git-worktree', function () {
+  this.timeout(20000);
+  let repo;
+
+  beforeEach(function () { repo = makeRepo(); });
+  afterEach(function () { fs.rmSync(repo, { recursive: true, force: true }); });
+
+  it('creates a branch worktree that mirrors the subdirectory and stays out of git status', async function () {
+    const wt = await createWorktree(path.join(repo, 'src'), { prefix: 'fork' });
+    assert.match(wt.branch, /^ai-or-die\/fork-[0-9a-f]{8}$/);
+    assert.strictEqual(path.dirname(wt.path), path.join(repo, '.ai-or-die', 'worktrees'));
+    assert.strictEqual(wt.workingDir, path.join(wt.path, 'src'));
+    assert.strictEqual(fs.readFileSync(path.join(wt.workingDir, 'a.txt'), 'utf8'), 'a\n');
+    assert.strictEqual(execFileSync('git', ['status', '--porcelain'], { cwd: repo, encoding: 'utf8' }), '');
+
+    // A worktree of a worktree still lands under the main checkout.
+    const nested = await createWorktree(wt.path, { prefix: 'fork' });
+    assert.strictEqual(path.dirname(nested.path), path.join(repo, '.ai-or-die', 'worktrees'));
+    assert.strictEqual((await findRepo(wt.path)).mainRoot, repo);
+  });
+
+  it('refuses a directory outside any repository', async function () {
+    const plain = fs.mkdtempSync(path.join(os.tmpdir(), 'fork-plain-'));
+    try {
+      await assert.rejects(createWorktree(plain), { code: 'NOT_A_GIT_REPO' });
+    } finally {
+      fs.rmSync(plain, { recursive: true, force: true });
+    }
+  });
+});
+
+let ClaudeCodeWebServer;
+try {
+  ({ ClaudeCodeWebServer } = require('../src/server'));
+} catch (e) {
+  // node-pty not installable on this runner — server suites skip.
+}
+
+(ClaudeCodeWebServer ? describe : describe.skip)('ClaudeCodeWebServer._forkSession', function () {
+  this.timeout(20000);
+  let server, starts, audits;
+
+  beforeEach(function () {
+    starts = [];
+    audits = [];
+    server = Object.create(ClaudeCodeWebServer.prototype);
+    server.baseFolder = os.tmpdir();
+    server.selectedWorkingDir = null;
+    server.claudeSessions = new Map();
+    server._stickyJsonl = new Map();
+    server.sessionStore = { markDirty: () => {} };
+    server.saveSessionsToDisk = () => {};
+    server._pushEvictionEntry = () => {};
+    server.validatePath = (p) => ({ valid: true, path: p });
+    server.auditLog = { record: (actor, action, details) => audits.push([action, details]) };
+    server._controlAwaitReady = async () => ({ ready: true, bound: false });
+    server._controlStartAgent = async (sessionId, toolName, opts) => {
+      starts.push({ toolName, opts });
+      const s = server.claudeSessions.get(sessionId);
+      s.active = true;
+      s.agent = toolName;
+    };
+  });
+
+  function addSource(fields) {
+    server.claudeSessions.set('src', {
+      id: 'src', name: 'api', active: true, workingDir: '/work/api', connections: new Set(), ...fields,
+    });
+  }
+
+  it('resumes a bound claude transcript with the source launch options', async function () {
+    addSource({
+      agent: 'claude',
+      launchOptions: { dangerouslySkipPermissions: false, permissionMode: 'plan', extraEnv: { FOO: 'bar' } },
+    });
+    server._stickyJsonl.set('src', { claudeSessionId: 'c0ffee', transcriptPending: false });
+
+    const r = await server._forkSession('src');
+    assert.strictEqual(r.sourceSessionId, 'src');
+    assert.strictEqual(r.name, 'api (fork)');
+    assert.strictEqual(r.workingDir, '/work/api');
+    assert.strictEqual(r.resumed, true);
+    assert.strictEqual(r.worktree, null);
+    assert.deepStrictEqual(starts, [{
+      toolName: 'claude',
+      opts: {
+        cols: undefined, rows: undefined,
+        dangerouslySkipPermissions: false,
+        permissionMode: 'plan',
+        agentArgs: ['--resume', 'c0ffee', '--fork-session'],
+        extraEnv: { FOO: 'bar' },
+      },
+    }]);
+    assert.strictEqual(server.claudeSessions.get(r.sessionId).forkedFrom, 'src');
+    assert.deepStrictEqual(audits.map(([action]) => action), ['session.create', 'session.fork']);
+    assert.strictEqual(audits[0][1].via, 'fork');
+  });
+
+  it('starts other agents fresh in the same place, terminals at their live cwd', async function () {
+    addSource({ agent: 'terminal', liveCwd: '/work/api/src' });
+    server._stickyJsonl.set('src', { claudeSessionId: 'c0ffee', transcriptPending: false });
+    const r = await server._forkSession('src', { name: 'try b' });
+    assert.strictEqual(r.name, 'try b');
+    assert.strictEqual(r.workingDir, '/work/api/src');
+    assert.strictEqual(r.resumed, false);
+    assert.strictEqual(starts[0].opts.agentArgs, undefined);
+  });
+
+  it('does not resume a claude bind whose transcript does not exist yet', async function () {
+    addSource({ agent: 'claude' });
+    server._stickyJsonl.set('src', { claudeSessionId: 'c0ffee', transcriptPending: true });
+    assert.strictEqual((await server._forkSession('src')).resumed, false);
+  });
+
+  it('refuses unknown sessions and sessions without a running agent', async function () {
+    await assert.rejects(server._forkSession('nope'), { code: 'SESSION_NOT_FOUND', statusCode: 404 });
+    addSource({ agent: null, active: false });
+    await assert.rejects(server._forkSession('src'), { code: 'PRECONDITION_FAILED', statusCode: 409 });
+  });
+
+  (gitAvailable() ? it : it.skip)('forks into a new worktree branch', async function () {
+    const repo = makeRepo();
+    try {
+      addSource({ agent: 'codex', workingDir: path.join(repo, 'src') });
+      const r = await server._forkSession('src', { worktree: true });
+      assert.match(r.worktree.branch, /^ai-or-die\/fork-/);
+      assert.strictEqual(r.workingDir, path.join(r.worktree.path, 'src'));
+      assert.deepStrictEqual(server.claudeSessions.get(r.sessionId).worktree, r.worktree);
+      assert.strictEqual(audits[1][1].branch, r.worktree.branch);
+    } finally {
+      fs.rmSync(repo, { recursive: true, force: true });
+    }
+  });
+
+  (gitAvailable() ? it : it.skip)('gives a claude fork in a worktree a copy of the transcript to resume', async function () {
+    const repo = makeRepo();
+    const projects = fs.mkdtempSync(path.join(os.tmpdir(), 'fork-projects-'));
+    try {
+      const sourceDir = path.join(repo, 'src');
+      const transcript = path.join(projects, sourceDir.replace(/[^a-zA-Z0-9]/g, '-'), 'c0ffee.jsonl');
+      fs.mkdirSync(path.dirname(transcript));
+      fs.writeFileSync(transcript, '{"type":"user"}\n');
+      addSource({ agent: 'claude', workingDir: sourceDir });
+      server._stickyJsonl.set('src', { claudeSessionId: 'c0ffee', file: transcript, transcriptPending: false });
+
+      const r = await server._forkSession('src', { worktree: true });
+      assert.strictEqual(r.resumed, true);
+      assert.deepStrictEqual(starts[0].opts.agentArgs, ['--resume', 'c0ffee', '--fork-session']);
+      const copy = path.join(projects, r.workingDir.replace(/[^a-zA-Z0-9]/g, '-'), 'c0ffee.jsonl');
+      assert.strictEqual(fs.readFileSync(copy, 'utf8'), '{"type":"user"}\n');
+
+      // Without a transcript file to copy, the worktree fork starts fresh.
+      server._stickyJsonl.set('src', { claudeSessionId: 'c0ffee', transcriptPending: false });
+      const fresh = await server._forkSession('src', { worktree: true });
+      assert.strictEqual(fresh.resumed, false);
+      assert.strictEqual(starts[1].opts.agentArgs, undefined);
+    } finally {
+      fs.rmSync(repo, { recursive: true, force: true });
+      fs.rmSync(projects, { recursive: true, force: true });
+    }
+  });
+});
+
+(ClaudeCodeWebServer ? describe : describe.skip)('POST /api/sessions/:id/fork', function () {
+  this.timeout(30000);
+  let server, port, storageDir;
+
+  before(async function () {
+    storageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'fork-route-'));
+    server = new ClaudeCodeWebServer({ port: 0, noAuth: true, sessionStoreOptions: { storageDir } });
+    const httpServer = await server.start();
+    port = httpServer.address().port;
+  });
+
+  after(async function () {
+    if (server) await server.close();
+    fs.rmSync(storageDir, { recursive: true, force: true });
+  });
+
+  const fork = (id, body = {}) => fetch(`http://127.0.0.1:${port}/api/sessions/${id}/fork`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+  });
+
+  it('maps errors to status codes', async function () {
+    const missing = await fork('no-such-session');
+    assert.strictEqual(missing.status, 404);
+    assert.strictEqual((await missing.json()).code, 'SESSION_NOT_FOUND');
+
+    const created = await (await fetch(`http://127.0.0.1:${port}/api/sessions/create`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ name: 'idle' }),
+    })).json();
+    const idle = await fork(created.sessionId);
+    assert.strictEqual(idle.status, 409);
+    assert.strictEqual((await idle.json()).code, 'PRECONDITION_FAILED');
+  });
+
+  it('forks a running session', async function () {
+    server._controlStartAgent = async (sessionId, toolName) => {
+      const s = server.claudeSessions.get(sessionId);
+      s.active = true;
+      s.agent = toolName;
+    };
+    server.claudeSessions.set('live', {
+      id: 'live', name: 'live', active: true, agent: 'gemini', workingDir: server.baseFolder,
+      connections: new Set(), outputBuffer: { push: () => {} },
+    });
+    try {
+      const res = await fork('live', { name: 'other idea' });
+      assert.strictEqual(res.status, 200);
+      const body = await res.json();
+      assert.strictEqual(body.name, 'other idea');
+      assert.strictEqual(body.agent, 'gemini');
+      assert.strictEqual(server.claudeSessions.get(body.sessionId).forkedFrom, 'live');
+    } finally {
+      server.claudeSessions.get('live').active = false;
+      delete server._controlStartAgent;
+    }
+  });
+});
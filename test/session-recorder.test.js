@@ -0,0 +1,346 @@
+// test/session-recorder.test.js — opt-in asciicast recording of PTY sessions.
+//
+// Covers the SessionRecorder file format (asciicast v2 header + o/i/r events
+// with relative timestamps), its safety rails (disabled by default, id
+// validation, size cap, disk-full pause, prune never touching a live file), the
+// BaseBridge hooks that feed it, and the /api/recordings routes.
+
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const SessionRecorder = require('../src/utils/session-recorder');
+const BaseBridge = require('../src/base-bridge');
+const { registerSecretValues, clearSecretValues } = require('../src/utils/secret-redact');
+
+const SID = '1b4e28ba-2fa1-11d2-883f-0016d3cca427';
+
+function readLines(file) {
+  return fs.readFileSync(file, 'utf8').trim().split('\n').map((l) => JSON.parse(l));
+}
+
+function makeClock(start) {
+  let now = start;
+  const clock = () => now;
+  clock.advance = (ms) => { now += ms; };
+  return clock;
+}
+
+describe('SessionRecorder', function () {
+  let dir;
+
+  beforeEach(function () {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'recorder-test-'));
+  });
+
+  afterEach(function () {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('is off unless enabled and records nothing', async function () {
+    const rec = new SessionRecorder({ storageDir: dir });
+    assert.strictEqual(rec.start(SID, { cols: 80, rows: 24 }), null);
+    rec.output(SID, 'hello');
+    assert.strictEqual(fs.existsSync(path.join(dir, 'recordings')), false);
+    assert.deepStrictEqual(await rec.list(), []);
+  });
+
+  it('scrubs a vault secret split across output reads or typed a key at a time', async function () {
+    registerSecretValues(['tok_0123456789']);
+    try {
+      const clock = makeClock(1700000000000);
+      const rec = new SessionRecorder({ enabled: true, storageDir: dir, now: clock });
+      const id = rec.start(SID, { cols: 80, rows: 24 });
+      clock.advance(100);
+      rec.output(SID, '$ echo $TOKEN\r\ntok_012');
+      clock.advance(100);
+      rec.output(SID, '3456789\r\n$ ');
+      clock.advance(100);
+      for (const key of 'tok_0123456789') rec.input(SID, key);
+      clock.advance(100);
+      rec.resize(SID, 100, 30);
+      await rec.stop(SID);
+
+      const file = path.join(dir, 'recordings', id + '.cast');
+      assert.ok(!fs.readFileSync(file, 'utf8').includes('0123456789'));
+      const events = readLines(file).slice(1);
+      assert.deepStrictEqual(events.filter((e) => e[1] === 'o'), [
+        [0.1, 'o', '$ echo $TOKEN\r\n[redacted]'],
+        [0.2, 'o', '\r\n$ '],
+      ]);
+      assert.deepStrictEqual(events.filter((e) => e[1] === 'i'), [[0.3, 'i', '[redacted]']]);
+      assert.deepStrictEqual(events[events.length - 1], [0.4, 'r', '100x30']);
+    } finally {
+      clearSecretValues();
+    }
+  });
+
+  it('enables from --record or AIORDIE_RECORD', function () {
+    assert.strictEqual(SessionRecorder.fromOptions({ record: true, storageDir: dir }, {}).enabled, true);
+    assert.strictEqual(SessionRecorder.fromOptions({ storageDir: dir }, { AIORDIE_RECORD: '1' }).enabled, true);
+    assert.strictEqual(SessionRecorder.fromOptions({ storageDir: dir }, { AIORDIE_RECORD: '0' }).enabled, false);
+    const tuned = SessionRecorder.fromOptions({ record: true, storageDir: dir }, {
+      AIORDIE_RECORD_MAX_MB: '2',
+      AIORDIE_RECORD_RETENTION_DAYS: '3',
+    });
+    assert.strictEqual(tuned.maxBytes, 2 * 1024 * 1024);
+    assert.strictEqual(tuned.retentionDays, 3);
+  });
+
+  it('writes an asciicast v2 header and timed o/i/r events', async function () {
+    const clock = makeClock(1700000000000);
+    const rec = new SessionRecorder({ enabled: true, storageDir: dir, now: clock });
+    const id = rec.start(SID, { cols: 100, rows: 30, title: 'nightly', agent: 'claude', workingDir: '/w' });
+    assert.strictEqual(id, `${SID}-1700000000000`);
+    assert.ok(rec.isRecording(SID));
+
+    clock.advance(250);
+    rec.output(SID, '$ ');
+    clock.advance(1000);
+    rec.input(SID, 'ls\r');
+    clock.advance(5);
+    rec.resize(SID, 120, 40);
+    rec.output(SID, '');          // empty chunks are dropped
+    await rec.stop(SID);
+    assert.strictEqual(rec.isRecording(SID), false);
+
+    const [header, ...events] = readLines(path.join(dir, 'recordings', id + '.cast'));
+    assert.strictEqual(header.version, 2);
+    assert.strictEqual(header.width, 100);
+    assert.strictEqual(header.height, 30);
+    assert.strictEqual(header.timestamp, 1700000000);
+    assert.strictEqual(header.title, 'nightly');
+    assert.deepStrictEqual(header.aiOrDie, { sessionId: SID, agent: 'claude', command: null, workingDir: '/w' });
+    assert.deepStrictEqual(events, [
+      [0.25, 'o', '$ '],
+      [1.25, 'i', 'ls\r'],
+      [1.255, 'r', '120x40'],
+    ]);
+  });
+
+  it('starts a fresh file when the same session respawns', async function () {
+    const clock = makeClock(1000);
+    const rec = new SessionRecorder({ enabled: true, storageDir: dir, now: clock });
+    const first = rec.start(SID, {});
+    clock.advance(10);
+    const second = rec.start(SID, {});
+    assert.notStrictEqual(first, second);
+    await rec.closeAll();
+    const listed = await rec.list({ sessionId: SID });
+    assert.deepStrictEqual(listed.map((r) => r.id), [second, first]);
+    assert.ok(listed.every((r) => r.active === false));
+  });
+
+  it('refuses ids that could escape the recordings directory', function () {
+    const rec = new SessionRecorder({ enabled: true, storageDir: dir });
+    assert.strictEqual(rec.start('../evil', {}), null);
+    assert.strictEqual(rec.resolve('../sessions'), null);
+    assert.strictEqual(rec.resolve(`..%2F${SID}-1`), null);
+    assert.strictEqual(rec.resolve(`${SID}-123`), null, 'unknown id resolves to null');
+  });
+
+  it('stops growing a recording at maxBytes', async function () {
+    const rec = new SessionRecorder({ enabled: true, storageDir: dir, maxBytes: 400 });
+    const id = rec.start(SID, { cols: 80, rows: 24 });
+    for (let i = 0; i < 50; i++) rec.output(SID, 'x'.repeat(40));
+    await rec.stop(SID);
+    const file = path.join(dir, 'recordings', id + '.cast');
+    assert.ok(fs.statSync(file).size <= 400, 'file stays under the cap');
+    readLines(file); // every line is still whole JSON
+  });
+
+  it('pauses writes while the disk-full breaker is open', async function () {
+    let full = false;
+    const rec = new SessionRecorder({ enabled: true, storageDir: dir, isDiskFull: () => full });
+    const id = rec.start(SID, {});
+    rec.output(SID, 'before');
+    full = true;
+    rec.output(SID, 'during');
+    full = false;
+    rec.output(SID, 'after');
+    await rec.stop(SID);
+    const events = readLines(path.join(dir, 'recordings', id + '.cast')).slice(1);
+    assert.deepStrictEqual(events.map((e) => e[2]), ['before', 'after']);
+  });
+
+  it('refuses to delete a recording that is still being written', async function () {
+    const rec = new SessionRecorder({ enabled: true, storageDir: dir });
+    const id = rec.start(SID, {});
+    await assert.rejects(() => rec.remove(id), { code: 'RECORDING_ACTIVE' });
+    await rec.stop(SID);
+    assert.strictEqual(await rec.remove(id), true);
+    assert.strictEqual(await rec.remove(id), false);
+  });
+
+  it('prunes expired recordings but never a live one', async function () {
+    const rec = new SessionRecorder({ enabled: true, storageDir: dir, retentionDays: 1 });
+    const recDir = path.join(dir, 'recordings');
+    const liveId = rec.start(SID, {});
+    const oldFiles = ['aaaa-1.cast', 'bbbb-2.cast'];
+    for (const name of oldFiles) fs.writeFileSync(path.join(recDir, name), '{"version":2}\n');
+    const old = new Date(Date.now() - 3 * 24 * 60 * 60 * 1000);
+    for (const name of [...oldFiles, liveId + '.cast']) fs.utimesSync(path.join(recDir, name), old, old);
+
+    const result = await rec.prune();
+    assert.strictEqual(result.ok, true);
+    const left = fs.readdirSync(recDir).sort();
+    // pruneOldFiles keeps the newest finished file; the live one is never a candidate.
+    assert.ok(left.includes(liveId + '.cast'), 'live recording survives');
+    assert.strictEqual(left.length, 2);
+    await rec.stop(SID);
+  });
+});
+
+describe('BaseBridge recorder hooks', function () {
+  function fakeRecorder() {
+    const calls = [];
+    const recorder = {};
+    for (const m of ['start', 'output', 'input', 'resize', 'stop']) {
+      recorder[m] = (...args) => calls.push([m, ...args]);
+    }
+    return { recorder, calls };
+  }
+
+  it('records input and resize for a live session', async function () {
+    const bridge = new BaseBridge('terminal');
+    const { recorder, calls } = fakeRecorder();
+    bridge.recorder = recorder;
+    bridge.sessions.set('s1', {
+      active: true,
+      writeQueue: Promise.resolve(),
+      process: { write() {}, resize() {} },
+    });
+
+    await bridge.sendInput('s1', 'echo hi\r');
+    await bridge.resize('s1', 132, 43);
+    assert.deepStrictEqual(calls, [
+      ['input', 's1', 'echo hi\r'],
+      ['resize', 's1', 132, 43],
+    ]);
+  });
+
+  it('does not record a resize the PTY rejected', async function () {
+    const bridge = new BaseBridge('terminal');
+    const { recorder, calls } = fakeRecorder();
+    bridge.recorder = recorder;
+    bridge.sessions.set('s1', { active: true, process: { resize() { throw new Error('EBADF'); } } });
+    await assert.rejects(() => bridge.resize('s1', 90, 30));
+    assert.deepStrictEqual(calls, []);
+  });
+
+  it('never lets a recorder fault reach the PTY path', async function () {
+    const bridge = new BaseBridge('terminal');
+    bridge.recorder = { input() { throw new Error('boom'); }, stop() { throw new Error('boom'); } };
+    let written = '';
+    bridge.sessions.set('s1', {
+      active: true,
+      writeQueue: Promise.resolve(),
+      process: { write(d) { written += d; } },
+    });
+    const warn = console.warn;
+    console.warn = () => {};
+    try {
+      await bridge.sendInput('s1', 'q');
+    } finally {
+      console.warn = warn;
+    }
+    assert.strictEqual(written, 'q');
+  });
+
+  it('closes the recording when the session is stopped', async function () {
+    const bridge = new BaseBridge('terminal');
+    const { recorder, calls } = fakeRecorder();
+    bridge.recorder = recorder;
+    bridge.sessions.set('s1', { active: true, process: null, _ptyDisposables: [] });
+    await bridge.stopSession('s1');
+    assert.deepStrictEqual(calls, [['stop', 's1']]);
+  });
+});
+
+let ClaudeCodeWebServer;
+try {
+  ({ ClaudeCodeWebServer } = require('../src/server'));
+} catch (e) {
+  // node-pty not installable on this runner — route suite skips.
+}
+
+function request(port, method, urlPath) {
+  return new Promise((resolve, reject) => {
+    const req = http.request({ hostname: '127.0.0.1', port, path: urlPath, method }, (res) => {
+      const chunks = [];
+      res.on('data', (c) => chunks.push(c));
+      res.on('end', () => {
+        const raw = Buffer.concat(chunks).toString('utf8');
+        const ct = res.headers['content-type'] || '';
+        resolve({ status: res.statusCode, headers: res.headers, body: ct.includes('application/json') ? JSON.parse(raw) : raw });
+      });
+    });
+    req.on('error', reject);
+    req.end();
+  });
+}
+
+(ClaudeCodeWebServer ? describe : describe.skip)('/api/recordings', function () {
+  this.timeout(30000);
+
+  let server, port, storageDir, recId;
+
+  before(async function () {
+    storageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'recordings-api-'));
+    server = new ClaudeCodeWebServer({ port: 0, noAuth: true, record: true, sessionStoreOptions: { storageDir } });
+    const httpServer = await server.start();
+    port = httpServer.address().port;
+    recId = server.sessionRecorder.start(SID, { cols: 80, rows: 24, title: 'api' });
+    server.sessionRecorder.output(SID, 'hello\r\n');
+    await server.sessionRecorder.stop(SID);
+  });
+
+  after(async function () {
+    if (server) await server.close();
+    fs.rmSync(storageDir, { recursive: true, force: true });
+  });
+
+  it('advertises recording in /api/config', async function () {
+    const r = await request(port, 'GET', '/api/config');
+    assert.strictEqual(r.status, 200);
+    assert.deepStrictEqual(r.body.recording, { enabled: true });
+  });
+
+  it('attaches the recorder to every bridge', function () {
+    for (const agent of ['claude', 'codex', 'copilot', 'gemini', 'terminal']) {
+      assert.strictEqual(server.getBridgeForAgent(agent).recorder, server.sessionRecorder, agent);
+    }
+  });
+
+  it('lists recordings, optionally filtered by session', async function () {
+    const all = await request(port, 'GET', '/api/recordings');
+    assert.strictEqual(all.status, 200);
+    assert.strictEqual(all.body.enabled, true);
+    assert.deepStrictEqual(all.body.recordings.map((r) => r.id), [recId]);
+    assert.strictEqual(all.body.recordings[0].title, 'api');
+
+    const other = await request(port, 'GET', '/api/recordings?sessionId=someone-else');
+    assert.deepStrictEqual(other.body.recordings, []);
+  });
+
+  it('serves the cast file and 404s unknown or malformed ids', async function () {
+    const r = await request(port, 'GET', `/api/recordings/${recId}`);
+    assert.strictEqual(r.status, 200);
+    assert.match(r.headers['content-type'], /application\/x-asciicast/);
+    const lines = r.body.trim().split('\n');
+    assert.strictEqual(JSON.parse(lines[0]).version, 2);
+    assert.strictEqual(JSON.parse(lines[1])[2], 'hello\r\n');
+
+    assert.strictEqual((await request(port, 'GET', '/api/recordings/nope-1')).status, 404);
+    assert.strictEqual((await request(port, 'GET', '/api/recordings/..%2Fsessions')).status, 404);
+  });
+
+  it('deletes a finished recording', async function () {
+    const del = await request(port, 'DELETE', `/api/recordings/${recId}`);
+    assert.strictEqual(del.status, 200);
+    assert.strictEqual((await request(port, 'GET', `/api/recordings/${recId}`)).status, 404);
+  });
+});
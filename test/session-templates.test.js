@@ -0,0 +1,194 @@
+'use strict';
+
+// Session templates: the library (session-templates.js), the manager's form
+// helpers (template-library.js), and starting a tab from a template through
+// POST /api/sessions/create and the control plane.
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { TemplateStore, upsertInstructions, instructionsFileFor } = require('../src/session-templates');
+const TemplateLibrary = require('../src/public/template-library');
+
+describe('TemplateStore', function () {
+  let storageDir, store;
+
+  beforeEach(function () {
+    storageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'templates-'));
+    store = new TemplateStore({ storageDir });
+  });
+
+  afterEach(function () {
+    fs.rmSync(storageDir, { recursive: true, force: true });
+  });
+
+  it('saves templates with defaults and finds them by id or name', async function () {
+    const t = await store.create({ name: ' Reviewer ', env: { MODE: 'review' }, args: ['--verbose'], secrets: ['GH_TOKEN', 'GH_TOKEN'], prompt: 'Review the diff' }, 'alice');
+    assert.match(t.id, /^tpl_[0-9a-f]{12}$/);
+    assert.strictEqual(t.name, 'Reviewer');
+    assert.strictEqual(t.agent, 'claude');
+    assert.strictEqual(t.dangerouslySkipPermissions, false);
+    assert.strictEqual(t.instructions, null);
+    assert.deepStrictEqual(t.secrets, ['GH_TOKEN']);
+    assert.strictEqual(t.createdBy, 'alice');
+    assert.strictEqual((await store.get(t.id)).name, 'Reviewer');
+    assert.strictEqual((await store.get('reviewer')).id, t.id);
+    const saved = JSON.parse(fs.readFileSync(path.join(storageDir, 'templates.json'), 'utf8'));
+    assert.strictEqual(saved.version, 1);
+    assert.deepStrictEqual(saved.templates[0].env, { MODE: 'review' });
+  });
+
+  it('rejects bad fields and duplicate names', async function () {
+    const bad = [
+      { name: '' },
+      { name: 'x', agent: '../bin/sh' },
+      { name: 'x', env: { 'BAD-NAME': '1' } },
+      { name: 'x', env: { OK: 1 } },
+      { name: 'x', args: ['--ok', ''] },
+      { name: 'x', secrets: ['not-a-name'] },
+      { name: 'x', instructionsFile: '../README.md' },
+    ];
+    for (const input of bad) {
+      await assert.rejects(store.create(input), (err) => err.code === 'INVALID_ARGUMENT' && err.statusCode === 400);
+    }
+    await store.create({ name: 'Dup' });
+    await assert.rejects(store.create({ name: 'dup' }), (err) => err.code === 'TEMPLATE_EXISTS' && err.statusCode === 409);
+  });
+
+  it('updates only the fields given, and removes', async function () {
+    const t = await store.create({ name: 'Shell', agent: 'terminal', env: { A: '1' } });
+    const next = await store.update(t.id, { prompt: 'ls' });
+    assert.deepStrictEqual(next.env, { A: '1' });
+    assert.strictEqual(next.agent, 'terminal');
+    assert.strictEqual(next.prompt, 'ls');
+    await store.remove(t.id);
+    await assert.rejects(store.get(t.id), (err) => err.code === 'TEMPLATE_NOT_FOUND' && err.statusCode === 404);
+  });
+});
+
+describe('upsertInstructions', function () {
+  it('appends a marked block and replaces it on the next launch', function () {
+    const first = upsertInstructions('# Project\n\nUse tabs.\n', 'Reviewer', 'Be terse.');
+    assert.strictEqual(first, '# Project\n\nUse tabs.\n\n<!-- ai-or-die template: Reviewer -->\nBe terse.\n<!-- /ai-or-die template: Reviewer -->\n');
+    const again = upsertInstructions(first, 'Reviewer', 'Be thorough.');
+    assert.ok(again.includes('Be thorough.') && !again.includes('Be terse.'));
+    assert.ok(again.startsWith('# Project\n\nUse tabs.\n'));
+    assert.strictEqual(upsertInstructions('', 'T', 'x'), '<!-- ai-or-die template: T -->\nx\n<!-- /ai-or-die template: T -->\n');
+  });
+
+  it('picks each agent\'s instructions file', function () {
+    assert.deepStrictEqual(['claude', 'gemini', 'codex', 'terminal'].map(instructionsFileFor), ['CLAUDE.md', 'GEMINI.md', 'AGENTS.md', 'AGENTS.md']);
+  });
+});
+
+describe('TemplateLibrary helpers', function () {
+  it('parses NAME=value lines and one argument per line', function () {
+    assert.deepStrictEqual(TemplateLibrary.parseEnv('A=1\n\n# note\nURL=http://x?a=b\nbad line'), {
+      env: { A: '1', URL: 'http://x?a=b' },
+      errors: ['Line 5: expected NAME=value'],
+    });
+    assert.strictEqual(TemplateLibrary.formatEnv({ A: '1', B: '' }), 'A=1\nB=');
+    assert.deepStrictEqual(TemplateLibrary.parseArgs(' --model \n\nsonnet\n'), ['--model', 'sonnet']);
+    assert.deepStrictEqual(TemplateLibrary.parseNames(' A, B\nC '), ['A', 'B', 'C']);
+    assert.strictEqual(
+      TemplateLibrary.describeTemplate({ agent: 'codex', dangerouslySkipPermissions: true, env: { A: '1' }, args: [], prompt: 'hi' }),
+      'codex · skips permissions · 1 env var · first prompt',
+    );
+  });
+});
+
+let ClaudeCodeWebServer;
+try {
+  ({ ClaudeCodeWebServer } = require('../src/server'));
+} catch (e) {
+  // node-pty not installable on this runner — server suites skip.
+}
+
+(ClaudeCodeWebServer && process.platform !== 'win32' ? describe : describe.skip)('/api/templates', function () {
+  this.timeout(60000);
+  let server, base, storageDir, workspace;
+
+  const call = async (method, url, body) => {
+    const res = await fetch(base + url, {
+      method,
+      headers: body ? { 'Content-Type': 'application/json' } : {},
+      body: body ? JSON.stringify(body) : undefined,
+    });
+    return { status: res.status, body: await res.json() };
+  };
+  const waitFor = async (check, ms) => {
+    const deadline = Date.now() + ms;
+    while (Date.now() < deadline) {
+      const value = check();
+      if (value) return value;
+      await new Promise((r) => setTimeout(r, 250));
+    }
+    return check();
+  };
+
+  before(async function () {
+    storageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'templates-store-'));
+    // realpath: validatePath compares against the resolved base (macOS /var).
+    workspace = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'templates-ws-')));
+    fs.writeFileSync(path.join(workspace, 'AGENTS.md'), '# Rules\n');
+    server = new ClaudeCodeWebServer({ port: 0, noAuth: true, sessionStoreOptions: { storageDir } });
+    server.baseFolder = workspace;
+    const httpServer = await server.start();
+    base = `http://127.0.0.1:${httpServer.address().port}`;
+  });
+
+  after(async function () {
+    if (server) {
+      for (const [id, session] of server.claudeSessions) {
+        if (session.active) await server.getBridgeForAgent(session.agent).stopSession(id).catch(() => {});
+      }
+      await server.close();
+    }
+    fs.rmSync(storageDir, { recursive: true, force: true });
+    fs.rmSync(workspace, { recursive: true, force: true });
+  });
+
+  it('creates, lists, updates and deletes templates', async function () {
+    const created = await call('POST', '/api/templates', { name: 'Scratch', agent: 'terminal' });
+    assert.strictEqual(created.status, 201);
+    const id = created.body.template.id;
+    assert.strictEqual((await call('PATCH', `/api/templates/${id}`, { description: 'A shell' })).body.template.description, 'A shell');
+    assert.deepStrictEqual((await call('GET', '/api/templates')).body.templates.map((t) => t.name), ['Scratch']);
+    assert.strictEqual((await call('POST', '/api/templates', { name: 'scratch' })).status, 409);
+    assert.strictEqual((await call('DELETE', `/api/templates/${id}`)).status, 200);
+    assert.strictEqual((await call('DELETE', `/api/templates/${id}`)).body.code, 'TEMPLATE_NOT_FOUND');
+  });
+
+  it('starts a tab with the template\'s env and instructions, then types the first prompt once idle', async function () {
+    await call('POST', '/api/templates', {
+      name: 'Greeter',
+      agent: 'terminal',
+      env: { TPL_GREETING: 'hello from the template' },
+      instructions: 'Say hello.',
+      prompt: 'echo "$TPL_GREETING" > greeting.txt',
+    });
+    const r = await call('POST', '/api/sessions/create', { template: 'greeter', workingDir: workspace });
+    assert.strictEqual(r.status, 200);
+    assert.strictEqual(r.body.name, 'Greeter');
+    assert.strictEqual(r.body.agent, 'terminal');
+    assert.strictEqual(r.body.workingDir, workspace);
+    assert.strictEqual(r.body.prompt, 'pending');
+    assert.deepStrictEqual(r.body.instructions, { file: path.join(workspace, 'AGENTS.md'), written: true });
+    assert.ok(fs.readFileSync(path.join(workspace, 'AGENTS.md'), 'utf8').startsWith('# Rules\n\n<!-- ai-or-die template: Greeter -->\nSay hello.\n'));
+
+    const greeting = path.join(workspace, 'greeting.txt');
+    const text = await waitFor(() => fs.existsSync(greeting) && fs.readFileSync(greeting, 'utf8'), 40000);
+    assert.strictEqual(text, 'hello from the template\n');
+    assert.strictEqual(server.claudeSessions.get(r.body.sessionId).templatePrompt, 'sent');
+  });
+
+  it('answers 404 for an unknown template on both create routes', async function () {
+    const http = await call('POST', '/api/sessions/create', { template: 'nope' });
+    assert.strictEqual(http.status, 404);
+    assert.strictEqual(http.body.code, 'TEMPLATE_NOT_FOUND');
+    const control = await call('POST', '/api/control/sessions/create', { template: 'nope' });
+    assert.strictEqual(control.status, 404);
+    assert.strictEqual(control.body.error.code, 'TEMPLATE_NOT_FOUND');
+  });
+});
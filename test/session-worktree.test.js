@@ -0,0 +1,214 @@
+// test/session-worktree.test.js — worktree-per-session mode.
+//
+// Covers closeWorktree (merge / discard / cleanup) in
+// src/utils/git-worktree.js, and the server side: `worktree: true` on
+// POST /api/sessions/create and the control-plane create, the branch in the
+// session list, and DELETE /api/sessions/:id?worktree=<action>.
+
+'use strict';
+
+const assert = require('assert');
+const { execFileSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createWorktree, closeWorktree } = require('../src/utils/git-worktree');
+const { gitAvailable, makeRepo: makeGitRepo } = require('./fixtures/git-repo');
+
+const makeRepo = () => makeGitRepo('wt-repo-');
+
+function git(cwd, ...args) {
+  return execFileSync('git', args, { cwd, encoding: 'utf8' }).trim();
+}
+
+function commitFile(cwd, file, text) {
+  fs.writeFileSync(path.join(cwd, file), text);
+  git(cwd, 'add', '-A');
+  git(cwd, 'commit', '-q', '-m', `edit ${file}`);
+}
+
+const branchExists = (repo, branch) => git(repo, 'branch', '--list', branch) !== '';
+
+const describeGit = gitAvailable() ? describe : describe.skip;
+
+describeGit('closeWorktree', function () {
+  this.timeout(20000);
+  let repo;
+
+  beforeEach(function () { repo = makeRepo(); });
+  afterEach(function () { fs.rmSync(repo, { recursive: true, force: true }); });
+
+  it('merges committed work back and removes the worktree and branch', async function () {
+    const wt = await createWorktree(repo);
+    commitFile(wt.path, 'b.txt', 'b\n');
+    const out = await closeWorktree(wt, 'merge');
+    assert.deepStrictEqual(out, { action: 'merge', branch: wt.branch, branchDeleted: true });
+    assert.strictEqual(fs.readFileSync(path.join(repo, 'b.txt'), 'utf8'), 'b\n');
+    assert.ok(!fs.existsSync(wt.path));
+    assert.ok(!branchExists(repo, wt.branch));
+  });
+
+  it('refuses to merge or clean up a worktree with uncommitted changes', async function () {
+    const wt = await createWorktree(repo);
+    fs.writeFileSync(path.join(wt.path, 'scratch.txt'), 'wip\n');
+    await assert.rejects(closeWorktree(wt, 'merge'), { code: 'WORKTREE_DIRTY' });
+    await assert.rejects(closeWorktree(wt, 'cleanup'), { code: 'WORKTREE_DIRTY' });
+    assert.ok(fs.existsSync(path.join(wt.path, 'scratch.txt')), 'nothing was touched');
+  });
+
+  it('aborts a conflicting merge and keeps the worktree', async function () {
+    const wt = await createWorktree(repo);
+    commitFile(wt.path, 'a.txt', 'theirs\n');
+    commitFile(repo, 'a.txt', 'ours\n');
+    await assert.rejects(closeWorktree(wt, 'merge'), { code: 'MERGE_CONFLICT' });
+    assert.strictEqual(fs.readFileSync(path.join(repo, 'a.txt'), 'utf8'), 'ours\n');
+    assert.strictEqual(git(repo, 'status', '--porcelain'), '');
+    assert.ok(fs.existsSync(wt.path));
+  });
+
+  it('refuses to merge into a main checkout with uncommitted changes', async function () {
+    const wt = await createWorktree(repo);
+    commitFile(wt.path, 'a.txt', 'theirs\n');
+    fs.writeFileSync(path.join(repo, 'a.txt'), 'local edit\n');
+    await assert.rejects(closeWorktree(wt, 'merge'), { code: 'REPO_DIRTY' });
+    assert.strictEqual(fs.readFileSync(path.join(repo, 'a.txt'), 'utf8'), 'local edit\n', 'local edit kept');
+    assert.ok(fs.existsSync(wt.path));
+    assert.ok(branchExists(repo, wt.branch));
+  });
+
+  it('leaves an unfinished merge alone and reports other merge failures as such', async function () {
+    const wt = await createWorktree(repo);
+    commitFile(wt.path, 'b.txt', 'b\n');
+    const mergeHead = path.join(repo, '.git', 'MERGE_HEAD');
+    fs.writeFileSync(mergeHead, git(repo, 'rev-parse', 'HEAD') + '\n');
+    await assert.rejects(closeWorktree(wt, 'merge'), { code: 'REPO_DIRTY' });
+    assert.ok(fs.existsSync(mergeHead), 'not aborted');
+    fs.unlinkSync(mergeHead);
+
+    // The branch is gone: git fails before any merge starts.
+    git(wt.path, 'checkout', '-q', '--detach');
+    git(repo, 'branch', '-D', wt.branch);
+    await assert.rejects(closeWorktree(wt, 'merge'), { code: 'GIT_FAILED' });
+  });
+
+  it('discards changes and branch, or removes only the checkout', async function () {
+    const dropped = await createWorktree(repo);
+    commitFile(dropped.path, 'b.txt', 'b\n');
+    fs.writeFileSync(path.join(dropped.path, 'scratch.txt'), 'wip\n');
+    assert.strictEqual((await closeWorktree(dropped, 'discard')).branchDeleted, true);
+    assert.ok(!fs.existsSync(dropped.path));
+    assert.ok(!branchExists(repo, dropped.branch));
+
+    const kept = await createWorktree(repo);
+    commitFile(kept.path, 'c.txt', 'c\n');
+    assert.strictEqual((await closeWorktree(kept, 'cleanup')).branchDeleted, false);
+    assert.ok(!fs.existsSync(kept.path));
+    assert.ok(branchExists(repo, kept.branch));
+    assert.ok(!fs.existsSync(path.join(repo, 'b.txt')));
+  });
+});
+
+let ClaudeCodeWebServer;
+try {
+  ({ ClaudeCodeWebServer } = require('../src/server'));
+} catch (e) {
+  // node-pty not installable on this runner — server suites skip.
+}
+
+(ClaudeCodeWebServer && gitAvailable() ? describe : describe.skip)('worktree sessions', function () {
+  this.timeout(30000);
+  let server, port, storageDir, repo;
+
+  before(async function () {
+    storageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'wt-server-'));
+    server = new ClaudeCodeWebServer({ port: 0, noAuth: true, sessionStoreOptions: { storageDir } });
+    const httpServer = await server.start();
+    port = httpServer.address().port;
+  });
+
+  // validatePath memoizes the canonical baseFolder.
+  function setBaseFolder(dir) {
+    server.baseFolder = dir;
+    server._canonicalizedBaseFolder = null;
+  }
+
+  beforeEach(function () {
+    repo = makeRepo();
+    setBaseFolder(repo);
+  });
+
+  afterEach(function () { fs.rmSync(repo, { recursive: true, force: true }); });
+
+  after(async function () {
+    if (server) await server.close();
+    fs.rmSync(storageDir, { recursive: true, force: true });
+  });
+
+  const api = (method, url, body) => fetch(`http://127.0.0.1:${port}${url}`, {
+    method,
+    headers: { 'Content-Type': 'application/json' },
+    body: body ? JSON.stringify(body) : undefined,
+  });
+
+  async function createWorktreeSession() {
+    const res = await api('POST', '/api/sessions/create', { name: 'iso', workingDir: repo, worktree: true });
+    assert.strictEqual(res.status, 200);
+    return (await res.json()).session;
+  }
+
+  it('creates the session in a new worktree and lists its branch', async function () {
+    const session = await createWorktreeSession();
+    assert.match(session.worktree.branch, /^ai-or-die\/session-[0-9a-f]{8}$/);
+    assert.strictEqual(session.workingDir, session.worktree.path);
+    assert.strictEqual(session.worktree.repoRoot, repo);
+    assert.strictEqual(git(session.workingDir, 'rev-parse', '--abbrev-ref', 'HEAD'), session.worktree.branch);
+
+    const { sessions } = await (await api('GET', '/api/sessions/list')).json();
+    assert.deepStrictEqual(sessions.find((s) => s.id === session.id).worktree, session.worktree);
+  });
+
+  it('rejects worktree mode outside a repository', async function () {
+    const plain = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'wt-plain-')));
+    setBaseFolder(plain);
+    try {
+      const res = await api('POST', '/api/sessions/create', { workingDir: plain, worktree: true });
+      assert.strictEqual(res.status, 400);
+      assert.strictEqual((await res.json()).code, 'NOT_A_GIT_REPO');
+    } finally {
+      fs.rmSync(plain, { recursive: true, force: true });
+    }
+  });
+
+  it('merges on close, and keeps the session when git refuses', async function () {
+    const session = await createWorktreeSession();
+    fs.writeFileSync(path.join(session.workingDir, 'b.txt'), 'b\n');
+
+    const refused = await api('DELETE', `/api/sessions/${session.id}?worktree=merge`);
+    assert.strictEqual(refused.status, 409);
+    assert.strictEqual((await refused.json()).code, 'WORKTREE_DIRTY');
+    assert.ok(server.claudeSessions.has(session.id));
+
+    git(session.workingDir, 'add', '-A');
+    git(session.workingDir, 'commit', '-q', '-m', 'b');
+    const res = await api('DELETE', `/api/sessions/${session.id}?worktree=merge`);
+    assert.strictEqual(res.status, 200);
+    assert.deepStrictEqual((await res.json()).worktree, { action: 'merge', branch: session.worktree.branch, branchDeleted: true });
+    assert.ok(!server.claudeSessions.has(session.id));
+    assert.ok(fs.existsSync(path.join(repo, 'b.txt')));
+  });
+
+  it('leaves the worktree alone without an action and rejects unknown ones', async function () {
+    const session = await createWorktreeSession();
+    assert.strictEqual((await api('DELETE', `/api/sessions/${session.id}?worktree=squash`)).status, 400);
+    assert.strictEqual((await api('DELETE', `/api/sessions/${session.id}`)).status, 200);
+    assert.ok(fs.existsSync(session.worktree.path));
+  });
+
+  it('supports worktree mode on the control-plane create', async function () {
+    const out = await server._controlCreateSession({ name: 'ctl', workingDir: repo, worktree: true });
+    assert.match(out.worktree.branch, /^ai-or-die\/session-/);
+    const session = server.claudeSessions.get(out.sessionId);
+    assert.strictEqual(session.workingDir, out.worktree.path);
+    assert.deepStrictEqual(session.worktree, out.worktree);
+  });
+});
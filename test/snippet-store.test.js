@@ -0,0 +1,178 @@
+'use strict';
+
+// Prompt snippets: the two libraries on disk, validation, import/export,
+// the client's placeholder helpers, and the /api/snippets routes.
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { SnippetStore, snippetVariables } = require('../src/snippet-store');
+const SnippetLibrary = require('../src/public/snippet-library');
+
+describe('SnippetStore', function () {
+  let storageDir, workspace, store;
+
+  beforeEach(function () {
+    storageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'snippets-'));
+    workspace = fs.mkdtempSync(path.join(os.tmpdir(), 'snippets-ws-'));
+    store = new SnippetStore({ storageDir, workspaceDir: () => workspace });
+  });
+
+  afterEach(function () {
+    fs.rmSync(storageDir, { recursive: true, force: true });
+    fs.rmSync(workspace, { recursive: true, force: true });
+  });
+
+  it('keeps one user library per account and a workspace library in the base folder', async function () {
+    await store.create('user', { name: 'Review', body: 'Review {{file}} for {{ focus }}' }, 'alice');
+    await store.create('user', { name: 'Mine', body: 'b' }, 'bob');
+    const shared = await store.create('workspace', { name: 'Deploy', body: 'Deploy to {{env}}' }, 'alice');
+    assert.ok(fs.existsSync(path.join(workspace, '.ai-or-die', 'snippets.json')));
+    assert.ok(fs.existsSync(path.join(storageDir, 'snippets', 'alice.json')));
+
+    const { snippets, errors } = await store.list('alice');
+    assert.deepStrictEqual(errors, []);
+    assert.deepStrictEqual(snippets.map((s) => [s.scope, s.name]), [['user', 'Review'], ['workspace', 'Deploy']]);
+    assert.deepStrictEqual(snippets[0].variables, ['file', 'focus']);
+    assert.strictEqual(shared.id.startsWith('snp_'), true);
+
+    const bob = await store.list('bob');
+    assert.deepStrictEqual(bob.snippets.map((s) => s.name), ['Mine', 'Deploy']);
+  });
+
+  it('hashes account names that are not safe file names', function () {
+    const file = store.fileFor('user', '../../etc/passwd');
+    assert.strictEqual(path.dirname(file), path.join(storageDir, 'snippets'));
+    assert.match(path.basename(file), /^u-[0-9a-f]{16}\.json$/);
+    assert.strictEqual(path.basename(store.fileFor('user', null)), 'default.json');
+  });
+
+  it('validates, updates and removes snippets', async function () {
+    for (const bad of [{ body: 'x' }, { name: 'x' }, { name: 'x', body: '  ' }, { name: 'x'.repeat(101), body: 'x' }]) {
+      await assert.rejects(store.create('user', bad), (err) => err.code === 'INVALID_ARGUMENT' && err.statusCode === 400);
+    }
+    assert.throws(() => store.fileFor('team', null), (err) => err.code === 'INVALID_ARGUMENT');
+
+    const s = await store.create('user', { name: 'a', body: 'one', description: 'first' });
+    const updated = await store.update('user', s.id, { body: 'two {{x}}' });
+    assert.strictEqual(updated.name, 'a');
+    assert.strictEqual(updated.description, 'first');
+    assert.deepStrictEqual(updated.variables, ['x']);
+    await assert.rejects(store.update('user', 'snp_nope', { body: 'x' }), (err) => err.statusCode === 404);
+
+    await store.remove('user', s.id);
+    assert.deepStrictEqual((await store.list(null)).snippets, []);
+    await assert.rejects(store.remove('user', s.id), (err) => err.code === 'SNIPPET_NOT_FOUND');
+  });
+
+  it('does not lose concurrent writes to one library', async function () {
+    await Promise.all(Array.from({ length: 10 }, (_, i) => store.create('user', { name: `s${i}`, body: 'x' })));
+    assert.strictEqual((await store.list(null)).snippets.length, 10);
+  });
+
+  it('exports without ids and imports by name', async function () {
+    await store.create('user', { name: 'keep', body: 'old' });
+    const exported = await store.export('user');
+    assert.deepStrictEqual(exported, { version: 1, snippets: [{ name: 'keep', description: null, body: 'old' }] });
+
+    const result = await store.import('workspace', {
+      snippets: [{ name: 'keep', body: 'new' }, { name: 'fresh', body: 'hi {{who}}', description: 'd' }],
+    });
+    assert.deepStrictEqual(result, { added: 2, updated: 0 });
+    const again = await store.import('workspace', { snippets: [{ name: 'keep', body: 'newer' }] });
+    assert.deepStrictEqual(again, { added: 0, updated: 1 });
+    const ws = (await store.list(null)).snippets.filter((s) => s.scope === 'workspace');
+    assert.deepStrictEqual(ws.map((s) => [s.name, s.body]), [['fresh', 'hi {{who}}'], ['keep', 'newer']]);
+
+    await assert.rejects(store.import('user', { nope: [] }), (err) => err.code === 'INVALID_ARGUMENT');
+    await assert.rejects(store.import('user', { snippets: [{ name: 'ok', body: 'x' }, { name: 'bad' }] }),
+      (err) => /snippets\[1\]/.test(err.message));
+    assert.strictEqual((await store.export('user')).snippets.length, 1, 'nothing written from a bad file');
+  });
+
+  it('reports an unreadable library instead of failing the list', async function () {
+    fs.mkdirSync(path.join(workspace, '.ai-or-die'));
+    fs.writeFileSync(path.join(workspace, '.ai-or-die', 'snippets.json'), '{not json');
+    await store.create('user', { name: 'a', body: 'b' });
+    const { snippets, errors } = await store.list(null);
+    assert.strictEqual(snippets.length, 1);
+    assert.deepStrictEqual(errors.map((e) => e.scope), ['workspace']);
+  });
+});
+
+describe('snippet placeholders', function () {
+  it('lists variables in order of first use', function () {
+    assert.deepStrictEqual(snippetVariables('{{a}} {{ b }} {{a}} {{c.d-e}} {{1x}} {x}'), ['a', 'b', 'c.d-e']);
+    assert.deepStrictEqual(SnippetLibrary.variablesOf('{{a}} {{ b }} {{a}}'), ['a', 'b']);
+  });
+
+  it('fills every placeholder and blanks missing values', function () {
+    assert.strictEqual(SnippetLibrary.fillSnippet('Fix {{ file }} then {{file}} ({{why}})', { file: 'a.js' }), 'Fix a.js then a.js ()');
+  });
+});
+
+let ClaudeCodeWebServer;
+try {
+  ({ ClaudeCodeWebServer } = require('../src/server'));
+} catch (e) {
+  // node-pty not installable on this runner — server suites skip.
+}
+
+(ClaudeCodeWebServer ? describe : describe.skip)('/api/snippets', function () {
+  this.timeout(30000);
+  let server, base, storageDir, workspace;
+
+  before(async function () {
+    storageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'snippets-server-'));
+    workspace = fs.mkdtempSync(path.join(os.tmpdir(), 'snippets-server-ws-'));
+    server = new ClaudeCodeWebServer({ port: 0, noAuth: true, sessionStoreOptions: { storageDir } });
+    server.baseFolder = workspace;
+    const httpServer = await server.start();
+    base = `http://127.0.0.1:${httpServer.address().port}/api/snippets`;
+  });
+
+  after(async function () {
+    if (server) await server.close();
+    fs.rmSync(storageDir, { recursive: true, force: true });
+    fs.rmSync(workspace, { recursive: true, force: true });
+  });
+
+  const send = (url, method, body) => fetch(url, {
+    method,
+    headers: { 'Content-Type': 'application/json' },
+    body: body && JSON.stringify(body),
+  });
+
+  it('creates, lists, edits and deletes a snippet', async function () {
+    const bad = await send(base, 'POST', { scope: 'team', name: 'x', body: 'y' });
+    assert.strictEqual(bad.status, 400);
+    assert.strictEqual((await bad.json()).code, 'INVALID_ARGUMENT');
+
+    const res = await send(base, 'POST', { scope: 'workspace', name: 'Review', body: 'Review {{file}}' });
+    assert.strictEqual(res.status, 201);
+    const { snippet } = await res.json();
+    assert.deepStrictEqual(snippet.variables, ['file']);
+
+    const list = await (await fetch(base)).json();
+    assert.deepStrictEqual(list.snippets.map((s) => s.id), [snippet.id]);
+
+    const patched = await send(`${base}/workspace/${snippet.id}`, 'PATCH', { name: 'Review file' });
+    assert.strictEqual((await patched.json()).snippet.name, 'Review file');
+
+    assert.strictEqual((await send(`${base}/workspace/${snippet.id}`, 'DELETE')).status, 200);
+    assert.strictEqual((await send(`${base}/workspace/${snippet.id}`, 'DELETE')).status, 404);
+  });
+
+  it('round-trips a library through export and import', async function () {
+    await send(base, 'POST', { name: 'mine', body: 'hello {{name}}' });
+    const exported = await fetch(`${base}/export?scope=user`);
+    assert.match(exported.headers.get('content-disposition'), /snippets-user\.json/);
+    const data = await exported.json();
+
+    const imported = await send(`${base}/import?scope=workspace`, 'POST', data);
+    assert.deepStrictEqual(await imported.json(), { added: 1, updated: 0 });
+    const list = await (await fetch(base)).json();
+    assert.deepStrictEqual(list.snippets.map((s) => `${s.scope}:${s.name}`), ['user:mine', 'workspace:mine']);
+  });
+});
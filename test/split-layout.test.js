@@ -0,0 +1,81 @@
+'use strict';
+
+// The split view grid model behind SplitContainer: splitting, closing,
+// divider arithmetic, and reading a saved layout back.
+
+const assert = require('assert');
+const SplitLayout = require('../src/public/split-layout');
+
+const sessions = (layout) => SplitLayout.listPanes(layout).map((p) => p.sessionId);
+const sizes = (tracks) => tracks.map((t) => t.size);
+
+describe('SplitLayout', function () {
+  it('splits right into a new column and down within the column', function () {
+    const layout = SplitLayout.createLayout(['a', 'b']);
+    assert.deepStrictEqual(sizes(layout.columns), [50, 50]);
+
+    assert.strictEqual(SplitLayout.splitPane(layout, 0, 'down', 'c'), 1);
+    assert.deepStrictEqual(sessions(layout), ['a', 'c', 'b']);
+    assert.deepStrictEqual(sizes(layout.columns[0].panes), [50, 50]);
+
+    assert.strictEqual(SplitLayout.splitPane(layout, 1, 'right', 'd'), 2, 'a new column starts after every pane of its left neighbour');
+    assert.deepStrictEqual(sessions(layout), ['a', 'c', 'd', 'b']);
+    assert.deepStrictEqual(sizes(layout.columns), [25, 25, 50]);
+  });
+
+  it('stops at six panes and at the minimum size', function () {
+    const layout = SplitLayout.createLayout(['a', 'b']);
+    assert.strictEqual(SplitLayout.splitPane(layout, 0, 'right', 'c'), 1);
+    assert.strictEqual(SplitLayout.splitPane(layout, 0, 'right', 'x'), -1, '12.5% columns are under MIN_SIZE');
+    assert.strictEqual(SplitLayout.splitPane(layout, 0, 'down', 'd'), 1);
+    assert.strictEqual(SplitLayout.splitPane(layout, 2, 'down', 'e'), 3);
+    assert.strictEqual(SplitLayout.splitPane(layout, 4, 'down', 'f'), 5);
+    assert.deepStrictEqual(sessions(layout), ['a', 'd', 'c', 'e', 'b', 'f']);
+    assert.strictEqual(SplitLayout.paneCount(layout), SplitLayout.MAX_PANES);
+    assert.strictEqual(SplitLayout.splitPane(layout, 0, 'down', 'g'), -1);
+    assert.strictEqual(SplitLayout.splitPane(layout, 0, 'sideways', 'g'), -1);
+  });
+
+  it('gives a closed pane\'s space to its neighbour', function () {
+    const layout = SplitLayout.createLayout(['a', 'b', 'c']);
+    SplitLayout.splitPane(layout, 2, 'down', 'd');
+    assert.ok(SplitLayout.removePane(layout, 2));
+    assert.deepStrictEqual(sessions(layout), ['a', 'b', 'd']);
+    assert.deepStrictEqual(sizes(layout.columns[2].panes), [100]);
+
+    assert.ok(SplitLayout.removePane(layout, 0));
+    assert.deepStrictEqual(sizes(layout.columns), [66.66, 33.33]);
+    assert.ok(SplitLayout.removePane(layout, 1));
+    assert.strictEqual(SplitLayout.removePane(layout, 0), false, 'the last pane stays');
+  });
+
+  it('moves one divider without crossing the minimum', function () {
+    assert.deepStrictEqual(SplitLayout.resizeTracks([30, 30, 40], 1, 10), [30, 40, 30]);
+    assert.deepStrictEqual(SplitLayout.resizeTracks([30, 30, 40], 0, -50), [15, 45, 40]);
+    assert.deepStrictEqual(SplitLayout.resizeTracks([50, 50], 0, 100), [85, 15]);
+    assert.deepStrictEqual(SplitLayout.resizeTracks([50, 50], 1, 10), [50, 50], 'no track after the last one');
+  });
+
+  it('validates a saved layout and drops closed sessions', function () {
+    assert.strictEqual(SplitLayout.normalizeLayout(null), null);
+    assert.strictEqual(SplitLayout.normalizeLayout({ dividerPosition: 40 }), null, 'the old two-pane state has no grid');
+    assert.strictEqual(SplitLayout.normalizeLayout({ columns: [{ size: -1, panes: [{ size: 1 }] }] }), null);
+    assert.strictEqual(SplitLayout.normalizeLayout({ columns: [{ size: 1, panes: [] }] }), null);
+
+    const raw = {
+      columns: [
+        { size: 2, panes: [{ size: 1, sessionId: 'a' }, { size: 3, sessionId: 'gone' }] },
+        { size: 2, panes: Array.from({ length: 6 }, (_, i) => ({ size: 1, sessionId: `s${i}` })) },
+      ],
+    };
+    const layout = SplitLayout.normalizeLayout(raw);
+    assert.strictEqual(SplitLayout.paneCount(layout), SplitLayout.MAX_PANES);
+    assert.deepStrictEqual(sizes(layout.columns), [50, 50]);
+    assert.deepStrictEqual(sizes(layout.columns[0].panes), [25, 75]);
+
+    const pruned = SplitLayout.pruneLayout(layout, (id) => id !== 'gone');
+    assert.deepStrictEqual(sessions(pruned), ['a', 's0', 's1', 's2', 's3']);
+    assert.deepStrictEqual(sizes(pruned.columns[0].panes), [100]);
+    assert.strictEqual(SplitLayout.pruneLayout(SplitLayout.createLayout(['x']), () => false), null);
+  });
+});
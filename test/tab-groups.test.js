@@ -0,0 +1,182 @@
+'use strict';
+
+// Tab groups: the client's ordering and repository plan (tab-groups.js), the
+// sidebar's state mapping, SessionStore persistence and the REST routes.
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const TabGroups = require('../src/public/tab-groups');
+const TabSidebar = require('../src/public/tab-sidebar');
+const SessionStore = require('../src/utils/session-store');
+
+describe('TabGroups', function () {
+  const groups = [
+    { id: 'g1', name: 'api', color: 'blue' },
+    { id: 'g2', name: 'web', color: 'gray' },
+    { id: 'g3', name: 'empty', color: 'green' },
+  ];
+  const members = { a: 'g2', c: 'g1', d: 'g2', e: 'gone' };
+  const groupOf = (id) => members[id] || null;
+
+  it('lists groups with tabs in group order, then the ungrouped tabs', function () {
+    const sections = TabGroups.arrangeTabs(['a', 'b', 'c', 'd', 'e'], groups, groupOf);
+    assert.deepStrictEqual(
+      sections.map((s) => [s.group && s.group.id, s.sessionIds]),
+      [['g1', ['c']], ['g2', ['a', 'd']], [null, ['b', 'e']]],
+    );
+  });
+
+  it('picks the least used colour', function () {
+    assert.strictEqual(TabGroups.nextColor([]), 'gray');
+    assert.strictEqual(TabGroups.nextColor(groups), 'yellow');
+  });
+
+  it('plans a group for each repository with two or more tabs', function () {
+    const roots = [
+      { sessionId: 'a', root: '/src/web' },
+      { sessionId: 'b', root: '/src/web' },
+      { sessionId: 'c', root: 'C:\\src\\shop' },
+      { sessionId: 'd', root: 'C:\\src\\shop' },
+      { sessionId: 'e', root: '/src/lonely' },
+      { sessionId: 'f', root: null },
+    ];
+    const plan = TabGroups.planRepoGroups(roots, groups, groupOf);
+    assert.deepStrictEqual(plan.assign, [{ sessionId: 'b', groupId: 'g2' }], 'the existing "web" group is reused');
+    assert.deepStrictEqual(plan.create, [{ name: 'shop', color: 'yellow', sessionIds: ['c', 'd'] }]);
+  });
+});
+
+describe('TabSidebar.stateOf', function () {
+  it('maps derived status to a sidebar state', function () {
+    const cases = [
+      [{ lifecycle: 'running', interactionState: 'busy' }, 'busy'],
+      [{ lifecycle: 'running', interactionState: 'idle' }, 'idle'],
+      [{ lifecycle: 'running', interactionState: 'waiting_input' }, 'waiting'],
+      [{ lifecycle: 'running', interactionState: 'blocked' }, 'waiting'],
+      [{ lifecycle: 'crashed', interactionState: 'busy' }, 'exited'],
+      [{ lifecycle: 'created' }, 'stopped'],
+      [{ lifecycle: 'running', interactionState: 'unknown' }, null],
+      [undefined, null],
+    ];
+    for (const [status, state] of cases) assert.strictEqual(TabSidebar.stateOf(status), state, JSON.stringify(status));
+  });
+});
+
+describe('SessionStore tab groups', function () {
+  let storageDir;
+
+  beforeEach(function () {
+    storageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'tab-groups-store-'));
+  });
+
+  afterEach(function () {
+    fs.rmSync(storageDir, { recursive: true, force: true });
+  });
+
+  it('saves groups with the sessions and drops empty ones on load', async function () {
+    const store = new SessionStore({ storageDir });
+    const kept = store.createGroup({ name: '  api  ', color: 'purple' });
+    const empty = store.createGroup({ name: 'empty' });
+    const sessions = new Map([
+      ['s1', { id: 's1', name: 'one', created: new Date(), groupId: kept.id }],
+      ['s2', { id: 's2', name: 'two', created: new Date() }],
+    ]);
+    assert.strictEqual(await store.saveSessions(sessions), true);
+
+    const reloaded = new SessionStore({ storageDir });
+    const loaded = await reloaded.loadSessions();
+    assert.deepStrictEqual(reloaded.listGroups(), [{ id: kept.id, name: 'api', color: 'purple', collapsed: false }]);
+    assert.strictEqual(loaded.get('s1').groupId, kept.id);
+    assert.strictEqual(loaded.get('s2').groupId, null);
+    assert.throws(() => reloaded.requireGroup(empty.id), (err) => err.code === 'GROUP_NOT_FOUND' && err.statusCode === 404);
+  });
+
+  it('rejects unknown colours and clears memberships of removed groups', function () {
+    const store = new SessionStore({ storageDir });
+    assert.throws(() => store.createGroup({ name: 'x', color: 'teal' }), (err) => err.statusCode === 400);
+    const group = store.createGroup({ name: 'x' });
+    const sessions = new Map([['s1', { id: 's1', groupId: group.id }]]);
+    store.removeGroup(group.id);
+    assert.strictEqual(store.pruneGroups(sessions), true);
+    assert.strictEqual(sessions.get('s1').groupId, null);
+    assert.strictEqual(store.pruneGroups(sessions), false);
+  });
+});
+
+let ClaudeCodeWebServer;
+try {
+  ({ ClaudeCodeWebServer } = require('../src/server'));
+} catch (e) {
+  // node-pty not installable on this runner — server suites skip.
+}
+
+(ClaudeCodeWebServer ? describe : describe.skip)('/api/session-groups', function () {
+  this.timeout(30000);
+  let server, base, storageDir;
+  const ids = ['tg-1', 'tg-2'];
+
+  before(async function () {
+    storageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'tab-groups-server-'));
+    server = new ClaudeCodeWebServer({ port: 0, noAuth: true, sessionStoreOptions: { storageDir } });
+    const httpServer = await server.start();
+    base = `http://127.0.0.1:${httpServer.address().port}/api`;
+    for (const id of ids) {
+      server.claudeSessions.set(id, { id, name: id, active: false, agent: 'terminal', connections: new Set(), created: new Date() });
+    }
+  });
+
+  after(async function () {
+    if (server) {
+      for (const id of ids) server.claudeSessions.delete(id);
+      await server.close();
+    }
+    fs.rmSync(storageDir, { recursive: true, force: true });
+  });
+
+  const send = (url, method, body) => fetch(url, {
+    method,
+    headers: { 'Content-Type': 'application/json' },
+    body: body && JSON.stringify(body),
+  });
+
+  it('groups sessions, moves them and drops the group with its last tab', async function () {
+    const empty = await send(`${base}/session-groups`, 'POST', { name: 'none', sessionIds: ['missing'] });
+    assert.strictEqual(empty.status, 400);
+    assert.strictEqual((await empty.json()).code, 'INVALID_ARGUMENT');
+
+    const created = await send(`${base}/session-groups`, 'POST', { name: 'pair', color: 'red', sessionIds: ids });
+    assert.strictEqual(created.status, 201);
+    const { group } = await created.json();
+    let state = await (await fetch(`${base}/session-groups`)).json();
+    assert.deepStrictEqual(state.members, { 'tg-1': group.id, 'tg-2': group.id });
+
+    const renamed = await send(`${base}/session-groups/${group.id}`, 'PATCH', { name: 'renamed', collapsed: true });
+    assert.deepStrictEqual((await renamed.json()).group, { id: group.id, name: 'renamed', color: 'red', collapsed: true });
+
+    const missing = await send(`${base}/sessions/tg-1/group`, 'PUT', { groupId: 'nope' });
+    assert.strictEqual(missing.status, 404);
+    assert.strictEqual((await missing.json()).code, 'GROUP_NOT_FOUND');
+    assert.strictEqual((await send(`${base}/sessions/gone/group`, 'PUT', { groupId: null })).status, 404);
+
+    await send(`${base}/sessions/tg-1/group`, 'PUT', { groupId: null });
+    state = await (await fetch(`${base}/session-groups`)).json();
+    assert.deepStrictEqual(state.members, { 'tg-2': group.id });
+
+    await send(`${base}/sessions/tg-2/group`, 'PUT', { groupId: null });
+    state = await (await fetch(`${base}/session-groups`)).json();
+    assert.deepStrictEqual(state, { groups: [], members: {} });
+    assert.strictEqual((await send(`${base}/session-groups/${group.id}`, 'DELETE')).status, 404);
+  });
+
+  it('reports each session\'s agent state', async function () {
+    const { sessions } = await (await fetch(`${base}/sessions/status`)).json();
+    const mine = sessions.filter((s) => ids.includes(s.id));
+    assert.deepStrictEqual(mine.map((s) => s.id).sort(), ids);
+    mine.forEach((s) => {
+      assert.strictEqual(typeof s.lifecycle, 'string');
+      assert.strictEqual(s.stickyTitle, null);
+    });
+  });
+});
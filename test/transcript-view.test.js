@@ -0,0 +1,215 @@
+'use strict';
+
+// Conversation view: transcript parsing (claude-transcript.js), the client's
+// turn grouping and edit diffs (transcript-view.js), and the REST route.
+// Fixtures are synthetic transcripts in a temp dir, never ~/.claude.
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { readTranscript, entriesFromRecord } = require('../src/claude-transcript');
+const TranscriptView = require('../src/public/transcript-view');
+const { line, prompt, assistant } = require('./fixtures/claude-transcript');
+
+const editCall = { type: 'tool_use', id: 'tu-1', name: 'Edit', input: { file_path: '/w/app.js', old_string: 'a = 1', new_string: 'a = 2' } };
+const editResult = {
+  type: 'user',
+  uuid: 'u2',
+  message: { role: 'user', content: [{ type: 'tool_result', tool_use_id: 'tu-1', content: 'The file has been updated.' }] },
+  toolUseResult: {
+    filePath: '/w/app.js',
+    structuredPatch: [{ oldStart: 3, oldLines: 1, newStart: 3, newLines: 1, lines: ['-a = 1', '+a = 2'] }],
+  },
+};
+
+const FIXTURE = [
+  line({ type: 'summary', summary: 'old' }),
+  line(prompt('u1', 'Bump a <system-reminder>ignore me</system-reminder>')),
+  line(assistant('a1', 'msg-1', [{ type: 'text', text: 'Bumping it.' }], 5)),
+  line(assistant('a2', 'msg-1', [editCall], 40)),
+  line(editResult),
+  line({ ...prompt('s1', 'subagent prompt'), isSidechain: true }),
+  line({ ...prompt('m1', 'meta'), isMeta: true }),
+  line(prompt('u3', 'Thanks')),
+  line(assistant('a3', 'msg-2', [{ type: 'text', text: 'Done.' }], 3)),
+].join('');
+
+describe('claude-transcript', function () {
+  let dir, file;
+
+  beforeEach(function () {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'transcript-'));
+    file = path.join(dir, 'sess.jsonl');
+  });
+
+  afterEach(function () {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('reads prompts, replies, tool calls and results, skipping sidechain and meta lines', async function () {
+    fs.writeFileSync(file, FIXTURE);
+    const result = await readTranscript(file);
+    assert.deepStrictEqual(result.entries.map((e) => e.kind), ['user', 'assistant', 'assistant', 'tool_result', 'user', 'assistant']);
+    assert.strictEqual(result.entries[0].text, 'Bump a');
+    const call = result.entries[2].blocks[0];
+    assert.strictEqual(call.file, '/w/app.js');
+    assert.deepStrictEqual(result.entries[3].patch, [{ header: '@@ -3,1 +3,1 @@', lines: ['-a = 1', '+a = 2'] }]);
+    assert.strictEqual(result.offset, Buffer.byteLength(FIXTURE));
+    assert.strictEqual(result.more, false);
+  });
+
+  it('leaves a partial last line for the next read and starts over past the end', async function () {
+    fs.writeFileSync(file, line(prompt('u1', 'one')) + '{"type":"user"');
+    const first = await readTranscript(file);
+    assert.strictEqual(first.entries.length, 1);
+    assert.strictEqual(first.offset, Buffer.byteLength(line(prompt('u1', 'one'))));
+
+    const again = await readTranscript(file, { offset: 10_000 });
+    assert.strictEqual(again.reset, true);
+    assert.strictEqual(again.entries.length, 1);
+    assert.strictEqual(await readTranscript(path.join(dir, 'missing.jsonl')), null);
+  });
+
+  it('starts a large file at its newest window and pages forward', async function () {
+    const lines = Array.from({ length: 40 }, (_, i) => line(prompt(`u${i}`, `prompt ${i}`)));
+    fs.writeFileSync(file, lines.join(''));
+    const tail = await readTranscript(file, { maxBytes: 1024 });
+    assert.strictEqual(tail.truncated, true);
+    assert.strictEqual(tail.entries[tail.entries.length - 1].text, 'prompt 39');
+    assert.ok(tail.entries.length < 40);
+
+    const paged = await readTranscript(file, { offset: 1, maxBytes: 1024 });
+    assert.strictEqual(paged.truncated, false);
+    assert.strictEqual(paged.more, true);
+  });
+
+  it('records what a Write replaced', function () {
+    const [entry] = entriesFromRecord({
+      type: 'user',
+      message: { content: [{ type: 'tool_result', tool_use_id: 't', content: [{ type: 'text', text: 'ok' }] }] },
+      toolUseResult: { type: 'update', filePath: '/w/a', content: 'new', originalFile: 'old' },
+    });
+    assert.strictEqual(entry.original, 'old');
+    assert.strictEqual(entry.text, 'ok');
+  });
+});
+
+describe('TranscriptView helpers', function () {
+  it('groups entries into turns and counts each message\'s last usage once', async function () {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'transcript-'));
+    try {
+      const file = path.join(dir, 'sess.jsonl');
+      fs.writeFileSync(file, FIXTURE);
+      const turns = TranscriptView.buildTurns((await readTranscript(file)).entries);
+      assert.deepStrictEqual(turns.map((t) => t.prompt.text), ['Bump a', 'Thanks']);
+      assert.deepStrictEqual(turns[0].items.map((i) => i.type), ['text', 'tool']);
+      assert.strictEqual(turns[0].items[1].result.toolUseId, 'tu-1');
+      assert.deepStrictEqual(turns[0].usage, { input: 10, output: 40, cacheRead: 1000, cacheCreation: 0 });
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('formats token counts', function () {
+    assert.deepStrictEqual([950, 1234, 12345, 2500000].map(TranscriptView.formatTokens), ['950', '1.2k', '12k', '2.5M']);
+  });
+
+  it('builds the two sides of each file edit', function () {
+    assert.deepStrictEqual(TranscriptView.editSources({ name: 'Edit', input: editCall.input }), { original: 'a = 1', modified: 'a = 2' });
+    assert.deepStrictEqual(
+      TranscriptView.editSources({ name: 'MultiEdit', input: { edits: [{ old_string: 'x', new_string: 'y' }, { old_string: 'p', new_string: 'q' }] } }),
+      { original: 'x\n\np', modified: 'y\n\nq' },
+    );
+    assert.deepStrictEqual(
+      TranscriptView.editSources({ name: 'Write', input: { content: 'new' }, result: { original: 'old' } }),
+      { original: 'old', modified: 'new' },
+    );
+    assert.strictEqual(TranscriptView.editSources({ name: 'Bash', input: { command: 'ls' } }), null);
+    assert.strictEqual(TranscriptView.toolSummary('Bash', { command: 'npm test\n--watch' }), 'npm test');
+  });
+});
+
+let ClaudeCodeWebServer;
+try {
+  ({ ClaudeCodeWebServer } = require('../src/server'));
+} catch (e) {
+  // node-pty not installable on this runner — server suites skip.
+}
+
+(ClaudeCodeWebServer ? describe : describe.skip)('/api/sessions/:id/transcript', function () {
+  this.timeout(30000);
+  let server, base, storageDir, dir, file;
+
+  before(async function () {
+    storageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'transcript-server-'));
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'transcript-project-'));
+    file = path.join(dir, 'claude-1.jsonl');
+    fs.writeFileSync(file, FIXTURE);
+    server = new ClaudeCodeWebServer({ port: 0, noAuth: true, sessionStoreOptions: { storageDir } });
+    const httpServer = await server.start();
+    base = `http://127.0.0.1:${httpServer.address().port}/api/sessions`;
+    for (const id of ['tv-bound', 'tv-plain']) {
+      server.claudeSessions.set(id, { id, name: id, active: false, agent: 'claude', connections: new Set(), created: new Date() });
+    }
+    server._stickyJsonl.set('tv-bound', { file, claudeSessionId: 'claude-1', offset: 0 });
+  });
+
+  after(async function () {
+    if (server) {
+      server._stickyJsonl.delete('tv-bound');
+      server.claudeSessions.delete('tv-bound');
+      server.claudeSessions.delete('tv-plain');
+      await server.close();
+    }
+    fs.rmSync(storageDir, { recursive: true, force: true });
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('returns the bound transcript and then only what was appended', async function () {
+    const first = await (await fetch(`${base}/tv-bound/transcript`)).json();
+    assert.strictEqual(first.claudeSessionId, 'claude-1');
+    assert.strictEqual(first.entries.length, 6);
+
+    fs.appendFileSync(file, line(prompt('u9', 'More')));
+    const next = await (await fetch(`${base}/tv-bound/transcript?offset=${first.offset}&claudeSessionId=claude-1`)).json();
+    assert.deepStrictEqual(next.entries.map((e) => e.text), ['More']);
+    assert.strictEqual(next.reset, false);
+
+    const other = await (await fetch(`${base}/tv-bound/transcript?offset=${next.offset}&claudeSessionId=claude-0`)).json();
+    assert.strictEqual(other.reset, true);
+    assert.strictEqual(other.entries.length, 7);
+  });
+
+  it('answers 404 for unknown and unbound sessions', async function () {
+    const unknown = await fetch(`${base}/nope/transcript`);
+    assert.strictEqual(unknown.status, 404);
+    assert.strictEqual((await unknown.json()).code, 'SESSION_NOT_FOUND');
+    const unbound = await fetch(`${base}/tv-plain/transcript/watch`);
+    assert.strictEqual(unbound.status, 404);
+    assert.strictEqual((await unbound.json()).code, 'TRANSCRIPT_NOT_FOUND');
+  });
+
+  it('streams a change event when the transcript is written', async function () {
+    const controller = new AbortController();
+    const response = await fetch(`${base}/tv-bound/transcript/watch`, { signal: controller.signal });
+    assert.strictEqual(response.headers.get('content-type'), 'text/event-stream');
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let text = '';
+    const waitFor = async (needle) => {
+      while (!text.includes(needle)) {
+        const { value, done } = await reader.read();
+        if (done) throw new Error(`stream ended before ${needle}`);
+        text += decoder.decode(value);
+      }
+    };
+    try {
+      await waitFor('"start"');
+      fs.appendFileSync(file, line(prompt('u10', 'Again')));
+      await waitFor('"change"');
+    } finally {
+      controller.abort();
+    }
+  });
+});
@@ -0,0 +1,233 @@
+// test/usage-budget.test.js — usage budgets.
+//
+// Covers src/usage-budget.js: the budgets.json schema, tying usage entries to
+// sessions, threshold alerts that fire once per period and survive a restart,
+// interrupts for sessions still spending past a cap, and the budgets block in
+// the control-plane snapshot.
+
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const UsageBudget = require('../src/usage-budget');
+const { normalizeEntry } = require('../src/agent-usage');
+
+const { attributeEntries, compileBudgets } = UsageBudget;
+
+// Local time, so "since midnight" does not depend on the runner's zone.
+const NOON = new Date(2026, 9, 19, 12, 0, 0).getTime();
+const at = (minutes) => new Date(NOON + minutes * 60000).toISOString();
+
+function entry(agent, minutes, fields) {
+  return normalizeEntry(agent, { timestamp: at(minutes), model: 'm', ...fields });
+}
+
+describe('compileBudgets', function () {
+  it('fills defaults and resolves directories', function () {
+    const { budgets } = compileBudgets({
+      thresholds: [0.8, 0.5, 0.8],
+      budgets: [
+        { name: 'daily', scope: 'day', maxCost: 40 },
+        { scope: 'workingDir', workingDir: '~/src/api', maxTokens: 1000, agent: 'codex', interrupt: true, thresholds: [0.9] },
+      ],
+    });
+    assert.deepStrictEqual(budgets[0], {
+      name: 'daily', scope: 'day', workingDir: null, agents: null,
+      maxCost: 40, maxTokens: null, thresholds: [0.5, 0.8], interrupt: false,
+    });
+    assert.strictEqual(budgets[1].name, 'budget 2');
+    assert.strictEqual(budgets[1].workingDir, path.join(os.homedir(), 'src', 'api'));
+    assert.deepStrictEqual(budgets[1].agents, ['codex']);
+    assert.deepStrictEqual(budgets[1].thresholds, [0.9]);
+  });
+
+  it('rejects malformed budgets', function () {
+    const bad = [
+      null,
+      { budgets: {} },
+      { thresholds: [1.5], budgets: [] },
+      { budgets: [{ scope: 'week', maxCost: 1 }] },
+      { budgets: [{ scope: 'day' }] },
+      { budgets: [{ scope: 'day', maxCost: -1 }] },
+      { budgets: [{ scope: 'day', maxTokens: 1.5 }] },
+      { budgets: [{ scope: 'workingDir', maxCost: 1 }] },
+      { budgets: [{ scope: 'day', workingDir: '/x', maxCost: 1 }] },
+      { budgets: [{ scope: 'day', maxCost: 1, agent: 'aider' }] },
+      { budgets: [{ scope: 'day', maxCost: 1, interrupt: 'yes' }] },
+      { budgets: [{ name: 'a', scope: 'day', maxCost: 1 }, { name: 'a', scope: 'session', maxCost: 1 }] },
+    ];
+    for (const raw of bad) assert.throws(() => compileBudgets(raw), { code: 'INVALID_BUDGET' }, JSON.stringify(raw));
+  });
+});
+
+describe('attributeEntries', function () {
+  it('ties entries to the newest matching session that was already running', function () {
+    const sessions = [
+      { id: 'old', agent: 'codex', workingDir: '/w/api', startedAt: NOON - 3600000 },
+      { id: 'new', agent: 'codex', workingDir: '/w/api', startedAt: NOON + 10 * 60000 },
+      { id: 'cl', agent: 'claude', workingDir: '/w/api', startedAt: NOON - 3600000, claudeSessionId: 'c-1' },
+    ];
+    const entries = [
+      entry('codex', 5, { workingDir: '/w/api/src' }),
+      entry('codex', 15, { workingDir: '/w/api' }),
+      entry('codex', 15, { workingDir: '/w/web' }),
+      entry('claude', 1, { sessionId: 'c-1', workingDir: '/elsewhere' }),
+      entry('claude', 2, { sessionId: 'c-2', workingDir: '/w/api' }),
+      entry('gemini', 3, {}),
+    ];
+    const owners = attributeEntries(entries, sessions);
+    assert.deepStrictEqual(entries.map((e) => (owners.get(e) || {}).id || null), ['old', 'new', null, 'cl', null, null]);
+  });
+});
+
+describe('UsageBudget', function () {
+  let dir, entries, sessions, interrupts, alerts, now;
+
+  beforeEach(function () {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'usage-budget-'));
+    entries = [];
+    sessions = [];
+    interrupts = [];
+    alerts = [];
+    now = NOON + 60 * 60000;
+  });
+  afterEach(function () { fs.rmSync(dir, { recursive: true, force: true }); });
+
+  function writeBudgets(raw) {
+    fs.writeFileSync(path.join(dir, 'budgets.json'), JSON.stringify(raw));
+  }
+
+  function makeBudget() {
+    return new UsageBudget({
+      storageDir: dir,
+      agentUsage: { getEntries: async ({ since, until }) => entries.filter((e) => Date.parse(e.timestamp) >= since && Date.parse(e.timestamp) <= until) },
+      listSessions: () => sessions,
+      interrupt: async (sessionId, budget) => { interrupts.push([sessionId, budget]); },
+      notify: (alert) => alerts.push(alert),
+      intervalMs: 60000,
+      now: () => now,
+    });
+  }
+
+  it('does nothing without a budgets file', async function () {
+    const budget = makeBudget();
+    budget.agentUsage = { getEntries: async () => { throw new Error('should not read usage'); } };
+    assert.deepStrictEqual(await budget.check(), []);
+    assert.deepStrictEqual(budget.snapshot().budgets, []);
+  });
+
+  it('alerts once per threshold and remembers it across a restart', async function () {
+    writeBudgets({ thresholds: [0.5, 0.8], budgets: [{ name: 'daily', scope: 'day', maxCost: 10 }] });
+    entries.push(entry('codex', -13 * 60, { totalCost: 100 })); // yesterday
+    entries.push(entry('codex', 1, { totalCost: 6 }));
+    const budget = makeBudget();
+    await budget.init();
+
+    let fired = await budget.check();
+    assert.deepStrictEqual(fired.map((a) => [a.budget, a.threshold, a.period]), [['daily', 0.5, '2026-10-19']]);
+    assert.strictEqual(alerts.length, 1);
+    assert.strictEqual((await budget.check()).length, 0, 'no repeat inside the period');
+
+    entries.push(entry('claude', 2, { totalCost: 5 }));
+    const restarted = makeBudget();
+    await restarted.init();
+    assert.strictEqual(restarted.snapshot().budgets[0].cost, 6, 'last measurement survives a restart');
+    fired = await restarted.check();
+    assert.deepStrictEqual(fired.map((a) => a.threshold), [1], 'crossing 0.8 and 1 at once sends one alert');
+    const [row] = restarted.snapshot().budgets;
+    assert.deepStrictEqual([row.cost, row.exceeded, row.notified], [11, true, [0.5, 0.8, 1]]);
+    assert.strictEqual(row.fraction, 1.1);
+    assert.ok(!row.contributors, 'internal fields stay private');
+  });
+
+  it('measures session and directory budgets and interrupts sessions still spending', async function () {
+    writeBudgets({
+      budgets: [
+        { name: 'per session', scope: 'session', maxTokens: 1000, interrupt: true },
+        { name: 'api', scope: 'workingDir', workingDir: '/w/api', maxCost: 100 },
+      ],
+    });
+    sessions.push({ id: 's1', agent: 'codex', workingDir: '/w/api', startedAt: NOON - 24 * 3600000 });
+    sessions.push({ id: 's2', agent: 'copilot', workingDir: '/w/web', startedAt: NOON });
+    sessions.push({ id: 't1', agent: 'terminal', workingDir: '/w/api', startedAt: NOON });
+    entries.push(entry('codex', -20 * 60, { workingDir: '/w/api', inputTokens: 900, totalCost: 30 }));
+    entries.push(entry('codex', 59.5, { workingDir: '/w/api', inputTokens: 200, totalCost: 1 }));
+    entries.push(entry('copilot', 30, { workingDir: '/w/web', inputTokens: 10 }));
+    const budget = makeBudget();
+
+    await budget.check();
+    const rows = budget.snapshot().budgets;
+    assert.deepStrictEqual(rows.map((r) => [r.budget, r.sessionId, r.tokens, r.cost]), [
+      ['per session', 's1', 1100, 31],
+      ['per session', 's2', 10, 0],
+      ['api', null, 200, 1],
+    ], 'session budgets count from the session start; directory budgets from midnight');
+    assert.deepStrictEqual(interrupts, [['s1', 'per session']]);
+    assert.deepStrictEqual(alerts.map((a) => [a.sessionId, a.threshold, a.interrupted]), [['s1', 1, ['s1']]]);
+
+    // Nothing new since the last check: the cap stays exceeded but the
+    // session is left alone.
+    now += 60000;
+    await budget.check();
+    assert.strictEqual(interrupts.length, 1);
+
+    // It spends again: interrupted again, reported again.
+    entries.push(entry('codex', 61.5, { workingDir: '/w/api', outputTokens: 5 }));
+    now += 60000;
+    await budget.check();
+    assert.strictEqual(interrupts.length, 2);
+    assert.deepStrictEqual(alerts[1].interrupted, ['s1']);
+    assert.strictEqual(budget.snapshot().budgets[0].interrupts.length, 2);
+  });
+
+  it('keeps the last good state when the file is broken', async function () {
+    writeBudgets({ budgets: [{ name: 'daily', scope: 'day', maxCost: 10 }] });
+    const budget = makeBudget();
+    await budget.check();
+    fs.writeFileSync(path.join(dir, 'budgets.json'), '{ "budgets": [');
+    const warn = console.warn;
+    console.warn = () => {};
+    try {
+      await budget.check();
+    } finally {
+      console.warn = warn;
+    }
+    const snap = budget.snapshot();
+    assert.match(snap.error, /budgets\.json/);
+    assert.strictEqual(snap.budgets.length, 1);
+  });
+});
+
+let ClaudeCodeWebServer;
+try {
+  ({ ClaudeCodeWebServer } = require('../src/server'));
+} catch (e) {
+  // node-pty not installable on this runner — server suites skip.
+}
+
+(ClaudeCodeWebServer ? describe : describe.skip)('usage budgets in the server', function () {
+  it('reports budgets in the control-plane snapshot', async function () {
+    const srv = Object.create(ClaudeCodeWebServer.prototype);
+    srv.claudeSessions = new Map();
+    srv.usageBudget = { snapshot: () => ({ file: 'b.json', error: null, checkedAt: 1, budgets: [] }) };
+    const snap = await srv._controlSnapshot();
+    assert.deepStrictEqual(snap.budgets, { file: 'b.json', error: null, checkedAt: 1, budgets: [] });
+  });
+
+  it('sends Esc through the bridge and audits the interrupt', async function () {
+    const sent = [];
+    const audits = [];
+    const srv = Object.create(ClaudeCodeWebServer.prototype);
+    srv.claudeSessions = new Map([['s1', { id: 's1', active: true, agent: 'codex' }]]);
+    srv.getBridgeForAgent = () => ({ sendInput: async (id, data) => sent.push([id, data]) });
+    srv.auditLog = { record: (actor, action, details) => audits.push([actor, action, details]) };
+    await srv._budgetInterrupt('s1', 'daily');
+    assert.deepStrictEqual(sent, [['s1', '\x1b']]);
+    assert.deepStrictEqual(audits, [[null, 'budget.interrupt', { sessionId: 's1', budget: 'daily' }]]);
+
+    srv.claudeSessions.get('s1').active = false;
+    await assert.rejects(srv._budgetInterrupt('s1', 'daily'), { code: 'PRECONDITION_FAILED' });
+  });
+});
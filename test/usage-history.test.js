@@ -0,0 +1,207 @@
+// test/usage-history.test.js — usage history for the dashboard and export.
+//
+// Covers src/usage-history.js (query parsing, bucketing with empty periods,
+// per-model / per-project breakdowns, session windows, CSV), the
+// GET /api/usage/history route and the dashboard's pure helpers.
+
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { normalizeEntry } = require('../src/agent-usage');
+const {
+  buildHistory, bucketStart, historyToCsv, parseHistoryQuery, sessionWindows,
+} = require('../src/usage-history');
+const UsageDashboard = require('../src/public/usage-dashboard');
+
+// Local time throughout, so day boundaries do not depend on the runner's zone.
+const local = (y, m, d, h = 0, min = 0) => new Date(y, m - 1, d, h, min).getTime();
+
+function entry(agent, ms, fields) {
+  return normalizeEntry(agent, { timestamp: new Date(ms).toISOString(), model: 'm', ...fields });
+}
+
+describe('parseHistoryQuery', function () {
+  it('reads dates as whole local days', function () {
+    const q = parseHistoryQuery({ from: '2026-10-01', to: '2026-10-19', groupBy: 'week', agent: 'codex,claude' });
+    assert.strictEqual(q.from, local(2026, 10, 1));
+    assert.strictEqual(q.to, local(2026, 10, 20) - 1);
+    assert.strictEqual(q.groupBy, 'week');
+    assert.deepStrictEqual(q.agents, ['codex', 'claude']);
+  });
+
+  it('defaults to the last 30 days by day', function () {
+    const q = parseHistoryQuery({ to: '2026-10-19' });
+    assert.strictEqual(q.from, local(2026, 9, 20));
+    assert.strictEqual(q.groupBy, 'day');
+    assert.strictEqual(q.agents, undefined);
+  });
+
+  it('accepts timestamps and epoch milliseconds', function () {
+    const q = parseHistoryQuery({ from: String(local(2026, 10, 1, 6)), to: new Date(local(2026, 10, 2, 6)).toISOString() });
+    assert.deepStrictEqual([q.from, q.to], [local(2026, 10, 1, 6), local(2026, 10, 2, 6)]);
+  });
+
+  it('rejects bad input', function () {
+    const bad = [
+      { from: 'yesterday' },
+      { from: '2026-10-19', to: '2026-10-01' },
+      { from: '2024-01-01', to: '2026-01-01' },
+      { groupBy: 'hour' },
+      { agent: 'aider' },
+    ];
+    for (const query of bad) assert.throws(() => parseHistoryQuery(query), { code: 'INVALID_ARGUMENT' }, JSON.stringify(query));
+  });
+});
+
+describe('buildHistory', function () {
+  const entries = [
+    entry('claude', local(2026, 10, 12, 9, 10), { model: 'opus', inputTokens: 100, outputTokens: 50, totalCost: 1, workingDir: '/w/api' }),
+    entry('claude', local(2026, 10, 12, 13, 59), { model: 'opus', inputTokens: 10, totalCost: 0.5, workingDir: '/w/api' }),
+    entry('claude', local(2026, 10, 12, 14, 0), { model: 'sonnet', inputTokens: 10, totalCost: 0.1, workingDir: '/w/web' }),
+    entry('codex', local(2026, 10, 14, 20), { model: 'gpt-5', outputTokens: 40, totalCost: 2, workingDir: '/w/api' }),
+    entry('gemini', local(2026, 10, 20, 1), { inputTokens: 999 }), // after the range
+  ];
+
+  it('fills every day in the range and splits by agent', function () {
+    const h = buildHistory(entries, { from: local(2026, 10, 11), to: local(2026, 10, 15) - 1, groupBy: 'day' });
+    assert.deepStrictEqual(h.buckets.map((b) => [b.period, b.requests, b.totalTokens]), [
+      ['2026-10-11', 0, 0],
+      ['2026-10-12', 3, 170],
+      ['2026-10-13', 0, 0],
+      ['2026-10-14', 1, 40],
+    ]);
+    assert.strictEqual(h.buckets[1].byAgent.claude.totalCost, 1.6);
+    assert.deepStrictEqual(h.totals.requests, 4);
+  });
+
+  it('groups by Monday-based week and by month', function () {
+    // 2026-10-12 is a Monday.
+    assert.strictEqual(bucketStart(local(2026, 10, 18, 23), 'week'), local(2026, 10, 12));
+    assert.strictEqual(bucketStart(local(2026, 10, 19, 1), 'week'), local(2026, 10, 19));
+    const weeks = buildHistory(entries, { from: local(2026, 10, 1), to: local(2026, 10, 20) - 1, groupBy: 'week' });
+    assert.deepStrictEqual(weeks.buckets.map((b) => b.period), ['2026-09-28', '2026-10-05', '2026-10-12', '2026-10-19']);
+    assert.strictEqual(weeks.buckets[2].requests, 4);
+    const months = buildHistory(entries, { from: local(2026, 9, 15), to: local(2026, 10, 20) - 1, groupBy: 'month' });
+    assert.deepStrictEqual(months.buckets.map((b) => [b.period, b.requests]), [['2026-09', 0], ['2026-10', 4]]);
+  });
+
+  it('breaks down by model and project, costliest first', function () {
+    const h = buildHistory(entries, { from: local(2026, 10, 1), to: local(2026, 10, 20) - 1, groupBy: 'day' });
+    assert.deepStrictEqual(h.byModel.map((m) => [m.agent, m.model, m.totalCost]), [
+      ['codex', 'gpt-5', 2], ['claude', 'opus', 1.5], ['claude', 'sonnet', 0.1],
+    ]);
+    assert.deepStrictEqual(h.byProject.map((p) => [p.project, p.agents, p.requests]), [
+      ['/w/api', ['claude', 'codex'], 3], ['/w/web', ['claude'], 1],
+    ]);
+  });
+
+  it('opens claude session windows on the hour and rolls them after 5 hours', function () {
+    const windows = sessionWindows(entries.filter((e) => e.agent === 'claude'), 5);
+    assert.deepStrictEqual(windows.map((w) => [w.start, w.requests]), [
+      [new Date(local(2026, 10, 12, 9)).toISOString(), 2],
+      [new Date(local(2026, 10, 12, 14)).toISOString(), 1],
+    ]);
+    assert.strictEqual(windows[0].end, new Date(local(2026, 10, 12, 14)).toISOString());
+  });
+
+  it('exports CSV rows per period, model and project', function () {
+    const h = buildHistory([
+      ...entries,
+      entry('codex', local(2026, 10, 14, 21), { model: 'gpt-5', workingDir: '=cmd|"x"', totalCost: 0.25 }),
+    ], { from: local(2026, 10, 1), to: local(2026, 10, 20) - 1, groupBy: 'day' });
+    const lines = historyToCsv(h).trim().split('\r\n');
+    assert.strictEqual(lines[0], 'period,agent,model,project,requests,inputTokens,outputTokens,cacheCreationTokens,cacheReadTokens,totalTokens,totalCost');
+    assert.strictEqual(lines[1], '2026-10-12,claude,opus,/w/api,2,110,50,0,0,160,1.500000');
+    assert.strictEqual(lines.length, 5);
+    assert.strictEqual(lines[4], '2026-10-14,codex,gpt-5,"\'=cmd|""x""",1,0,0,0,0,0,0.250000', 'formula cells are neutralised');
+  });
+});
+
+describe('UsageDashboard helpers', function () {
+  it('builds the history query for the last N days', function () {
+    assert.strictEqual(
+      UsageDashboard.buildQuery({ days: 7, groupBy: 'week', agent: 'codex', format: 'csv' }, new Date(2026, 9, 19, 15)),
+      'from=2026-10-13&to=2026-10-19&groupBy=week&agent=codex&format=csv'
+    );
+  });
+
+  it('stacks agents into bars scaled to the tallest bucket', function () {
+    const { max, bars } = UsageDashboard.chartBars([
+      { period: 'a', totalCost: 4, byAgent: { claude: { totalCost: 3 }, codex: { totalCost: 1 } } },
+      { period: 'b', totalCost: 0, byAgent: {} },
+      { period: 'c', totalCost: 2, byAgent: { gemini: { totalCost: 2 } } },
+    ], 'totalCost');
+    assert.strictEqual(max, 4);
+    assert.deepStrictEqual(bars[0].segments, [
+      { agent: 'claude', value: 3, y: 0.25, height: 0.75 },
+      { agent: 'codex', value: 1, y: 0, height: 0.25 },
+    ]);
+    assert.deepStrictEqual(bars[1].segments, []);
+    assert.deepStrictEqual(bars[2].segments, [{ agent: 'gemini', value: 2, y: 0.5, height: 0.5 }]);
+  });
+
+  it('formats tokens and cost compactly', function () {
+    assert.deepStrictEqual([999, 1500, 2500000].map(UsageDashboard.formatTokens), ['999', '1.5K', '2.5M']);
+    assert.deepStrictEqual([0.5, 123.4].map(UsageDashboard.formatCost), ['$0.50', '$123']);
+  });
+});
+
+let ClaudeCodeWebServer;
+try {
+  ({ ClaudeCodeWebServer } = require('../src/server'));
+} catch (e) {
+  // node-pty not installable on this runner — server suites skip.
+}
+
+(ClaudeCodeWebServer ? describe : describe.skip)('GET /api/usage/history', function () {
+  this.timeout(30000);
+  let server, base, storageDir;
+
+  before(async function () {
+    storageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'usage-history-server-'));
+    server = new ClaudeCodeWebServer({ port: 0, noAuth: true, sessionStoreOptions: { storageDir } });
+    server.agentUsage = {
+      getEntries: async ({ since, until }) => [
+        entry('codex', local(2026, 10, 12, 10), { model: 'gpt-5', outputTokens: 40, totalCost: 2, workingDir: '/w/api' }),
+      ].filter((e) => Date.parse(e.timestamp) >= since && Date.parse(e.timestamp) <= until),
+    };
+    const httpServer = await server.start();
+    base = `http://127.0.0.1:${httpServer.address().port}`;
+  });
+
+  after(async function () {
+    if (server) await server.close();
+    fs.rmSync(storageDir, { recursive: true, force: true });
+  });
+
+  it('returns bucketed history as JSON', async function () {
+    const res = await fetch(`${base}/api/usage/history?from=2026-10-11&to=2026-10-13`);
+    assert.strictEqual(res.status, 200);
+    const body = await res.json();
+    assert.deepStrictEqual(body.buckets.map((b) => b.requests), [0, 1, 0]);
+    assert.strictEqual(body.rows, undefined, 'CSV rows are not part of the JSON view');
+    assert.strictEqual(body.byProject[0].project, '/w/api');
+  });
+
+  it('downloads CSV and JSON attachments', async function () {
+    const csv = await fetch(`${base}/api/usage/history?from=2026-10-11&to=2026-10-13&format=csv`);
+    assert.match(csv.headers.get('content-type'), /^text\/csv/);
+    assert.strictEqual(csv.headers.get('content-disposition'), 'attachment; filename="usage-2026-10-11-to-2026-10-13-day.csv"');
+    assert.match(await csv.text(), /^period,agent,.*\r\n2026-10-12,codex,gpt-5,\/w\/api,1,/);
+
+    const json = await fetch(`${base}/api/usage/history?from=2026-10-11&to=2026-10-13&format=json`);
+    assert.match(json.headers.get('content-disposition'), /usage-2026-10-11-to-2026-10-13-day\.json/);
+    assert.strictEqual((await json.json()).totals.totalCost, 2);
+  });
+
+  it('rejects invalid queries', async function () {
+    const res = await fetch(`${base}/api/usage/history?groupBy=hour`);
+    assert.strictEqual(res.status, 400);
+    assert.strictEqual((await res.json()).code, 'INVALID_ARGUMENT');
+    const fmt = await fetch(`${base}/api/usage/history?format=xml`);
+    assert.strictEqual(fmt.status, 400);
+  });
+});
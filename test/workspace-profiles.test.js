@@ -0,0 +1,245 @@
+// test/workspace-profiles.test.js — named workspace profiles.
+//
+// Covers profile loading/validation (src/utils/workspace-profiles.js), the
+// server's _launchWorkspace (one headless session per tab, startup command
+// typed only once the agent can take it, split layout) and the
+// /api/workspaces + POST /api/sessions/create {workspace} routes.
+
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const WorkspaceProfiles = require('../src/utils/workspace-profiles');
+
+const { normalizeProfile } = WorkspaceProfiles;
+
+function writeProfile(storageDir, name, body) {
+  const dir = path.join(storageDir, 'workspaces');
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(path.join(dir, `${name}.json`), typeof body === 'string' ? body : JSON.stringify(body));
+}
+
+describe('WorkspaceProfiles', function () {
+  let storageDir, profiles;
+
+  beforeEach(function () {
+    storageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'workspaces-'));
+    profiles = new WorkspaceProfiles({ storageDir });
+  });
+
+  afterEach(function () {
+    fs.rmSync(storageDir, { recursive: true, force: true });
+  });
+
+  it('normalises tabs with defaults and expands ~', function () {
+    const p = normalizeProfile({
+      description: 'morning',
+      tabs: [
+        { tool: 'claude', workingDir: '~/repo-a', name: 'A' },
+        { command: 'npm run dev', split: true },
+      ],
+    }, 'daily');
+    assert.strictEqual(p.description, 'morning');
+    assert.deepStrictEqual(p.tabs[0], {
+      name: 'A', tool: 'claude', workingDir: path.join(os.homedir(), 'repo-a'), command: null, split: null,
+    });
+    assert.deepStrictEqual(p.tabs[1], {
+      name: 'daily 2', tool: 'terminal', workingDir: null, command: 'npm run dev', split: 'right',
+    });
+  });
+
+  it('rejects malformed profiles with the offending tab named', function () {
+    assert.throws(() => normalizeProfile({ tabs: [] }, 'w'), /non-empty array/);
+    assert.throws(() => normalizeProfile({ tabs: [{ tool: 'vim' }] }, 'w'), /tab 1 has unknown tool "vim"/);
+    assert.throws(() => normalizeProfile({ tabs: [{}, { split: 'up' }] }, 'w'), /tab 2 "split"/);
+    assert.throws(() => normalizeProfile({ tabs: [{ split: 'right' }, { split: 'right' }] }, 'w'), /only one tab/);
+    try {
+      normalizeProfile([], 'w');
+      assert.fail('expected a throw');
+    } catch (err) {
+      assert.strictEqual(err.code, 'INVALID_WORKSPACE');
+    }
+  });
+
+  it('lists profiles by name, flagging ones that fail to parse', async function () {
+    writeProfile(storageDir, 'b-broken', '{ not json');
+    writeProfile(storageDir, 'a-good', { description: 'ok', tabs: [{}, {}] });
+    fs.writeFileSync(path.join(storageDir, 'workspaces', 'notes.txt'), 'ignored');
+    const list = await profiles.list();
+    assert.deepStrictEqual(list.map((w) => w.name), ['a-good', 'b-broken']);
+    assert.deepStrictEqual(list[0], { name: 'a-good', description: 'ok', tabs: 2 });
+    assert.ok(list[1].error);
+  });
+
+  it('returns an empty list when the directory does not exist', async function () {
+    assert.deepStrictEqual(await profiles.list(), []);
+  });
+
+  it('refuses unknown and path-like names', async function () {
+    for (const name of ['missing', '../sessions', '', 'a/b']) {
+      await assert.rejects(profiles.load(name), (err) => err.code === 'WORKSPACE_NOT_FOUND', name);
+    }
+  });
+});
+
+let ClaudeCodeWebServer;
+try {
+  ({ ClaudeCodeWebServer } = require('../src/server'));
+} catch (e) {
+  // node-pty not installable on this runner — server suites skip.
+}
+
+// Replace the headless spawn with a fake so no agent CLI is needed. `ready`
+// maps tab names to the readiness the fake reports.
+function fakeSpawn(server, ready = {}) {
+  const sent = [];
+  server._controlStartAgent = async (sessionId, toolName) => {
+    const s = server.claudeSessions.get(sessionId);
+    s.active = true;
+    s.agent = toolName;
+  };
+  server._controlAwaitReady = async (sessionId) => {
+    const s = server.claudeSessions.get(sessionId);
+    return ready[s.name] || { ready: true, bound: false };
+  };
+  server._controlSendMessage = async ({ sessionId, message }) => {
+    sent.push([server.claudeSessions.get(sessionId).name, message]);
+    return { delivered: true };
+  };
+  return sent;
+}
+
+(ClaudeCodeWebServer ? describe : describe.skip)('ClaudeCodeWebServer._launchWorkspace', function () {
+  let storageDir, server;
+
+  beforeEach(function () {
+    storageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'workspaces-launch-'));
+    server = Object.create(ClaudeCodeWebServer.prototype);
+    server.baseFolder = process.cwd();
+    server.selectedWorkingDir = null;
+    server.claudeSessions = new Map();
+    server.sessionStore = { markDirty: () => {} };
+    server.saveSessionsToDisk = () => {};
+    server._pushEvictionEntry = () => {};
+    server.validatePath = (p) => (p.startsWith(process.cwd()) ? { valid: true, path: p } : { valid: false, error: 'outside' });
+    server.workspaceProfiles = new WorkspaceProfiles({ storageDir });
+    server.auditLog = { input: () => {}, record: () => {} };
+  });
+
+  afterEach(function () {
+    fs.rmSync(storageDir, { recursive: true, force: true });
+  });
+
+  it('creates one session per tab in profile order and types startup commands', async function () {
+    writeProfile(storageDir, 'daily', {
+      tabs: [
+        { name: 'api', tool: 'claude', workingDir: 'src' },
+        { name: 'web', tool: 'codex' },
+        { name: 'dev', command: 'npm run dev', split: 'right' },
+      ],
+    });
+    const sent = fakeSpawn(server);
+    const r = await server._launchWorkspace('daily');
+
+    assert.strictEqual(r.workspace, 'daily');
+    assert.deepStrictEqual(Array.from(server.claudeSessions.values(), (s) => [s.name, s.agent]),
+      [['api', 'claude'], ['web', 'codex'], ['dev', 'terminal']]);
+    assert.strictEqual(r.sessions[0].workingDir, path.join(process.cwd(), 'src'));
+    assert.deepStrictEqual(sent, [['dev', 'npm run dev']]);
+    assert.strictEqual(r.sessions[2].commandSent, true);
+    assert.deepStrictEqual(r.layout, {
+      split: { left: r.sessions[0].sessionId, right: r.sessions[2].sessionId },
+      focus: r.sessions[0].sessionId,
+    });
+  });
+
+  it('does not type into a folder-trust prompt', async function () {
+    writeProfile(storageDir, 'trusty', { tabs: [{ name: 'c', tool: 'claude', command: 'hello' }] });
+    const sent = fakeSpawn(server, {
+      c: { ready: false, bound: false, blocker: { kind: 'trust', message: 'folder-trust prompt' } },
+    });
+    const r = await server._launchWorkspace('trusty');
+    assert.deepStrictEqual(sent, []);
+    assert.strictEqual(r.sessions[0].commandSent, false);
+    assert.strictEqual(r.sessions[0].blocker.kind, 'trust');
+    assert.strictEqual(r.layout.split, null);
+  });
+
+  it('validates every working directory before creating anything', async function () {
+    writeProfile(storageDir, 'escape', { tabs: [{ name: 'ok' }, { name: 'bad', workingDir: path.parse(process.cwd()).root }] });
+    fakeSpawn(server);
+    await assert.rejects(server._launchWorkspace('escape'), (err) => err.code === 'INVALID_WORKDIR' && /"bad"/.test(err.message));
+    assert.strictEqual(server.claudeSessions.size, 0);
+  });
+});
+
+function request(port, method, urlPath, body) {
+  return new Promise((resolve, reject) => {
+    const payload = body === undefined ? null : JSON.stringify(body);
+    const headers = payload ? { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(payload) } : {};
+    const req = http.request({ hostname: '127.0.0.1', port, path: urlPath, method, headers }, (res) => {
+      const chunks = [];
+      res.on('data', (c) => chunks.push(c));
+      res.on('end', () => {
+        resolve({ status: res.statusCode, body: JSON.parse(Buffer.concat(chunks).toString('utf8')) });
+      });
+    });
+    req.on('error', reject);
+    if (payload) req.write(payload);
+    req.end();
+  });
+}
+
+(ClaudeCodeWebServer ? describe : describe.skip)('/api/workspaces', function () {
+  this.timeout(30000);
+
+  let server, port, storageDir;
+
+  before(async function () {
+    storageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'workspaces-api-'));
+    writeProfile(storageDir, 'pair', { description: 'two shells', tabs: [{ name: 'one' }, { name: 'two' }] });
+    writeProfile(storageDir, 'bad', { tabs: [{ tool: 'nope' }] });
+    server = new ClaudeCodeWebServer({ port: 0, noAuth: true, sessionStoreOptions: { storageDir } });
+    const httpServer = await server.start();
+    port = httpServer.address().port;
+    fakeSpawn(server);
+  });
+
+  after(async function () {
+    if (server) await server.close();
+    fs.rmSync(storageDir, { recursive: true, force: true });
+  });
+
+  it('lists profiles', async function () {
+    const r = await request(port, 'GET', '/api/workspaces');
+    assert.strictEqual(r.status, 200);
+    assert.deepStrictEqual(r.body.workspaces.map((w) => w.name), ['bad', 'pair']);
+    assert.deepStrictEqual(r.body.workspaces[1], { name: 'pair', description: 'two shells', tabs: 2 });
+  });
+
+  it('launches a workspace through POST /api/sessions/create', async function () {
+    const r = await request(port, 'POST', '/api/sessions/create', { workspace: 'pair' });
+    assert.strictEqual(r.status, 200);
+    assert.strictEqual(r.body.success, true);
+    assert.deepStrictEqual(r.body.sessions.map((s) => s.name), ['one', 'two']);
+    for (const s of r.body.sessions) assert.ok(server.claudeSessions.has(s.sessionId));
+  });
+
+  it('maps unknown and invalid profiles to 404 and 400', async function () {
+    const missing = await request(port, 'POST', '/api/sessions/create', { workspace: 'nope' });
+    assert.strictEqual(missing.status, 404);
+    assert.strictEqual(missing.body.code, 'WORKSPACE_NOT_FOUND');
+    const bad = await request(port, 'POST', '/api/sessions/create', { workspace: 'bad' });
+    assert.strictEqual(bad.status, 400);
+    assert.strictEqual(bad.body.code, 'INVALID_WORKSPACE');
+  });
+
+  it('still creates a plain session without a workspace', async function () {
+    const r = await request(port, 'POST', '/api/sessions/create', { name: 'plain' });
+    assert.strictEqual(r.status, 200);
+    assert.strictEqual(r.body.session.name, 'plain');
+  });
+});